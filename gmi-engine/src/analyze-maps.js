@@ -0,0 +1,162 @@
+/**
+ * Map Analyzer CLI - MapAnalyzer over many maps without a browser
+ *
+ * PURPOSE:
+ * Runs the editor's playability analysis (reachable finish, narrow gaps,
+ * trap pockets, spawn overlaps, crushers with no escape, unbreakable
+ * breakables) over the built-in maps and any exported map files, so broken
+ * maps are caught on CI before anyone races them.
+ *
+ * Maps saved in the editor live in the browser's IndexedDB; use the
+ * editor's "Export All" button to download them as one file and pass that
+ * file here.
+ *
+ * USAGE:
+ *   npm run analyze:maps                                # built-in maps + src/test-maps
+ *   npm run analyze:maps -- gmi-maps.json my-maps/ --out report.json
+ *
+ *   PATH...        Map files or folders of .json files (editor exports, "Export All"
+ *                  bundles, or arrays of maps). Replaces the defaults
+ *   --builtin      Also check the built-in maps when paths are given
+ *   --radius R     Ball radius in px (default: game config, 15)
+ *   --balls A,B    Ball roster for breakableBy and spawn lanes (default: game config)
+ *   --out FILE     Write the JSON report to FILE (default: stdout)
+ *   --strict       Exit with an error on warnings too
+ *
+ * Exits with code 1 when any map has errors.
+ *
+ * @module analyze-maps
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { analyzeMap } from './shared/MapAnalyzer.js';
+import { getDefaultConfig } from './ui/ConfigManager.js';
+import { getRaceRoster } from './shared/Roster.js';
+import { BUILTIN_CRUSHER_MAP, BUILTIN_BOSS_MAP, BUILTIN_BREAKABLE_MAP, BUILTIN_CIRCUIT_MAP } from './maps/BuiltinMaps.js';
+import { CHAIN_RACE_MAPS, CHAIN_BOSS_MAPS, CHAIN_WEAPONS_TEST } from './game/systems/MapChain.js';
+
+const TEST_MAPS_DIR = path.join(__dirname, 'test-maps');
+
+// ============================================
+// CLI
+// ============================================
+
+function parseArgs(argv) {
+  const config = getDefaultConfig();
+  const options = {
+    paths: [],
+    builtin: false,
+    radius: config.balls.radius,
+    balls: getRaceRoster(config).map(racer => racer.name),
+    out: null,
+    strict: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+    if (arg === '--builtin') { options.builtin = true; }
+    else if (arg === '--radius') { options.radius = parseFloat(next) || options.radius; i++; }
+    else if (arg === '--balls') { options.balls = next.split(',').map(name => name.trim()).filter(Boolean); i++; }
+    else if (arg === '--out') { options.out = next; i++; }
+    else if (arg === '--strict') { options.strict = true; }
+    else if (!arg.startsWith('--')) { options.paths.push(arg); }
+  }
+
+  if (options.paths.length === 0) {
+    options.builtin = true;
+    options.paths.push(TEST_MAPS_DIR);
+  }
+  return options;
+}
+
+// Progress and summary go to stderr so stdout stays pure JSON
+function report(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+// ============================================
+// MAP SOURCES
+// ============================================
+
+function builtinMaps() {
+  const maps = [
+    BUILTIN_CRUSHER_MAP, BUILTIN_BOSS_MAP, BUILTIN_BREAKABLE_MAP, BUILTIN_CIRCUIT_MAP,
+    ...CHAIN_RACE_MAPS, ...CHAIN_BOSS_MAPS, ...CHAIN_WEAPONS_TEST
+  ];
+  // The weapons chain reuses race maps
+  return [...new Set(maps)].map(map => ({ source: 'built-in', map }));
+}
+
+/**
+ * Every map in a file or folder of .json files
+ */
+function loadMaps(target) {
+  if (!fs.existsSync(target)) {
+    throw new Error(`Not found: ${target}`);
+  }
+  if (fs.statSync(target).isDirectory()) {
+    return fs.readdirSync(target)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .flatMap(file => loadMaps(path.join(target, file)));
+  }
+
+  const json = JSON.parse(fs.readFileSync(target, 'utf8'));
+  const maps = Array.isArray(json) ? json : (json.maps || [json]);
+  return maps.map(map => ({ source: path.relative(process.cwd(), target) || target, map }));
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  let entries;
+  try {
+    entries = [
+      ...(options.builtin ? builtinMaps() : []),
+      ...options.paths.flatMap(loadMaps)
+    ];
+  } catch (err) {
+    report(`[MapAnalyzer] ${err.message}`);
+    process.exit(1);
+  }
+
+  report(`[MapAnalyzer] ${entries.length} map(s), ball radius ${options.radius}, roster ${options.balls.join(', ')}`);
+
+  const results = entries.map(({ source, map }) => {
+    const name = map.name || map.id || path.basename(source);
+    const analysis = analyzeMap(map, { ballRadius: options.radius, ballNames: options.balls });
+    const { error, warning, info } = analysis.counts;
+    report(`${analysis.ok ? 'OK  ' : 'FAIL'} ${name} (${source}) - ${error} error(s), ${warning} warning(s), ${info} note(s)`);
+    analysis.issues
+      .filter(issue => issue.severity !== 'info')
+      .forEach(issue => report(`       ${issue.severity.padEnd(7)} ${issue.message}`));
+
+    return { name, source, ...analysis };
+  });
+
+  const failed = results.filter(result => !result.ok || (options.strict && result.counts.warning > 0));
+  report(`[MapAnalyzer] ${failed.length} of ${results.length} map(s) failed`);
+
+  const json = JSON.stringify({
+    ballRadius: options.radius,
+    balls: options.balls,
+    analyzedAt: new Date().toISOString(),
+    maps: results
+  }, null, 2);
+  if (options.out) {
+    fs.writeFileSync(options.out, json);
+    report(`[MapAnalyzer] Report written to ${options.out}`);
+  } else {
+    process.stdout.write(`${json}\n`);
+  }
+
+  process.exitCode = failed.length > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,193 @@
+/**
+ * Animated Properties
+ *
+ * Everything the keyframe system can animate, and how each kind of value
+ * is interpolated. Shared by the runtime AnimationPlayer and the editor
+ * preview (AnimationController) so both evaluate every track the same way.
+ *
+ * Features:
+ * - Transform: x, y (offsets), rotation (degrees), scaleX, scaleY
+ * - Motion path: bezier curve through { x, y } keyframes, optionally
+ *   orienting the obstacle along it (see MotionPath.js)
+ * - Appearance: color ('#rrggbb', blended per channel), alpha (0-1)
+ * - Collision: solid (boolean, balls pass through while false)
+ * - Behavior parameters: rotationSpeed, moveSpeed, moveDistance,
+ *   crusherSpeed, bumperStrength, boostMultiplier
+ * - Hold keyframes: easing 'step' keeps a value until the next keyframe
+ *   (booleans always hold)
+ */
+
+import { Easings } from './Easings.js';
+import { evaluatePathEnd, evaluatePathSegment } from './MotionPath.js';
+
+// Easing name of a step/hold keyframe
+export const HOLD_EASING = 'step';
+
+export const TRANSFORM_PROPERTIES = ['x', 'y', 'rotation', 'scaleX', 'scaleY'];
+
+/**
+ * Property registry. Defaults of behavior parameters and color come from
+ * the obstacle when it has them (see getDefaultValue)
+ */
+export const ANIMATED_PROPERTIES = {
+  x: { label: 'x', type: 'number', group: 'Transform', default: 0, step: 1 },
+  y: { label: 'y', type: 'number', group: 'Transform', default: 0, step: 1 },
+  rotation: { label: 'rotation', type: 'number', group: 'Transform', default: 0, step: 1 },
+  scaleX: { label: 'scaleX', type: 'number', group: 'Transform', default: 1, min: 0, step: 0.1 },
+  scaleY: { label: 'scaleY', type: 'number', group: 'Transform', default: 1, min: 0, step: 0.1 },
+  path: { label: 'path', type: 'path', group: 'Transform', default: { x: 0, y: 0 }, step: 1 },
+
+  color: { label: 'color', type: 'color', group: 'Appearance', default: '#4a5568' },
+  alpha: { label: 'alpha', type: 'number', group: 'Appearance', default: 1, min: 0, max: 1, step: 0.05 },
+
+  solid: { label: 'solid', type: 'boolean', group: 'Collision', default: true },
+
+  rotationSpeed: { label: 'rot. speed', type: 'number', group: 'Behavior', default: 2, min: 0, step: 0.1 },
+  moveSpeed: { label: 'move speed', type: 'number', group: 'Behavior', default: 50, min: 0, step: 1 },
+  moveDistance: { label: 'move dist.', type: 'number', group: 'Behavior', default: 100, min: 0, step: 1 },
+  crusherSpeed: { label: 'crush speed', type: 'number', group: 'Behavior', default: 80, min: 0, step: 1 },
+  bumperStrength: { label: 'bumper', type: 'number', group: 'Behavior', default: 1.5, min: 0, step: 0.1 },
+  boostMultiplier: { label: 'boost', type: 'number', group: 'Behavior', default: 1.8, min: 0, step: 0.1 }
+};
+
+// Tracks named after anything else animate a number of the same name
+const GENERIC_PROPERTY = { type: 'number', group: 'Behavior', default: 0, step: 0.1 };
+
+/**
+ * Get the definition of a property
+ * @param {string} property - Track name
+ * @returns {Object} { label, type, group, default, min?, max?, step? }
+ */
+export function getPropertyDef(property) {
+  return ANIMATED_PROPERTIES[property] || { ...GENERIC_PROPERTY, label: property };
+}
+
+/**
+ * Value a new keyframe starts with: transform offsets start at rest, the
+ * rest at the obstacle's own value
+ * @param {string} property - Track name
+ * @param {Object} [obstacle] - Obstacle map data
+ */
+export function getDefaultValue(property, obstacle = null) {
+  const def = getPropertyDef(property);
+  if (def.type === 'path') return { ...def.default };
+  if (def.group === 'Transform') return def.default;
+  if (def.type === 'boolean') return def.default;
+  return obstacle?.[property] ?? def.default;
+}
+
+/**
+ * Coerce an edited value to the property's type (path values: { x, y })
+ */
+export function parsePropertyValue(property, raw) {
+  const def = getPropertyDef(property);
+  if (def.type === 'path') {
+    return { x: parseFloat(raw?.x) || 0, y: parseFloat(raw?.y) || 0 };
+  }
+  if (def.type === 'boolean') return raw === true || raw === 'true';
+  if (def.type === 'color') return /^#[0-9a-f]{6}$/i.test(raw) ? raw.toLowerCase() : def.default;
+
+  const value = parseFloat(raw);
+  if (!Number.isFinite(value)) return def.default;
+  return Math.min(def.max ?? Infinity, Math.max(def.min ?? -Infinity, value));
+}
+
+/**
+ * Short text for a keyframe value (timeline tooltips)
+ */
+export function formatPropertyValue(property, value) {
+  const def = getPropertyDef(property);
+  if (def.type === 'boolean') return value ? 'on' : 'off';
+  if (def.type === 'color') return value;
+  if (def.type === 'path') return `${Math.round(value.x)}, ${Math.round(value.y)}`;
+  return Number.isInteger(value) ? String(value) : Number(value).toFixed(2);
+}
+
+/**
+ * Blend two '#rrggbb' colors
+ */
+function mixColors(from, to, t) {
+  const a = parseInt(String(from).replace('#', ''), 16) || 0;
+  const b = parseInt(String(to).replace('#', ''), 16) || 0;
+
+  const channel = shift => {
+    const ca = (a >> shift) & 0xff;
+    const cb = (b >> shift) & 0xff;
+    return Math.round(Math.min(255, Math.max(0, ca + (cb - ca) * t))) << shift;
+  };
+
+  const mixed = channel(16) | channel(8) | channel(0);
+  return '#' + mixed.toString(16).padStart(6, '0');
+}
+
+/**
+ * Interpolate between two keyframes (kf1's easing shapes the transition)
+ * @param {string} property - Track name
+ * @param {Object} kf1 - { time, value, easing }
+ * @param {Object} kf2 - { time, value, easing }
+ * @param {number} time - Time between kf1.time and kf2.time
+ */
+export function interpolateValue(property, kf1, kf2, time) {
+  const type = getPropertyDef(property).type;
+  const range = kf2.time - kf1.time;
+  if (range <= 0) return type === 'path' ? evaluatePathSegment(kf1, kf2, 1) : kf2.value;
+
+  const t = Math.max(0, Math.min(1, (time - kf1.time) / range));
+
+  // Discrete values jump when the next keyframe is reached
+  if (type === 'boolean') return t < 1 ? kf1.value : kf2.value;
+
+  const easedT = Easings.get(kf1.easing || 'linear')(t);
+  if (type === 'color') return mixColors(kf1.value, kf2.value, easedT);
+  if (type === 'path') return evaluatePathSegment(kf1, kf2, easedT);
+
+  return kf1.value + (kf2.value - kf1.value) * easedT;
+}
+
+/**
+ * Evaluate a property's keyframes at a time
+ * @param {string} property - Track name
+ * @param {Array} keyframes - [{ time, value, easing }]
+ * @param {number} time - Time in ms (already looped)
+ * @returns {*} Value at time, or null if there are no keyframes
+ *   (paths: { x, y, angle } with angle the heading in degrees, or null)
+ */
+export function evaluateTrack(property, keyframes, time) {
+  if (!keyframes || keyframes.length === 0) return null;
+
+  const sorted = [...keyframes].sort((a, b) => a.time - b.time);
+  const last = sorted[sorted.length - 1];
+  const isPath = getPropertyDef(property).type === 'path';
+
+  if (time <= sorted[0].time) return isPath ? evaluatePathEnd(sorted, false) : sorted[0].value;
+  if (time >= last.time) return isPath ? evaluatePathEnd(sorted, true) : last.value;
+
+  for (let i = 0; i < sorted.length - 1; i++) {
+    if (time >= sorted[i].time && time <= sorted[i + 1].time) {
+      return interpolateValue(property, sorted[i], sorted[i + 1], time);
+    }
+  }
+
+  return isPath ? evaluatePathEnd(sorted, true) : last.value;
+}
+
+/**
+ * Combine evaluated transform values into offsets from the obstacle's base:
+ * the path adds to x/y, and with `orient` on the path track its heading
+ * adds to rotation. Properties that aren't animated stay undefined
+ * @param {Object} values - Evaluated track values
+ * @param {Object} [tracks] - The animation's tracks (for path options)
+ * @returns {{x?: number, y?: number, rotation?: number, scaleX?: number, scaleY?: number}}
+ */
+export function resolveTransform(values, tracks = {}) {
+  const path = values.path;
+  const orient = path && tracks.path?.orient && typeof path.angle === 'number';
+
+  return {
+    x: values.x !== undefined || path ? (values.x ?? 0) + (path?.x ?? 0) : undefined,
+    y: values.y !== undefined || path ? (values.y ?? 0) + (path?.y ?? 0) : undefined,
+    rotation: orient ? (values.rotation ?? 0) + path.angle : values.rotation,
+    scaleX: values.scaleX,
+    scaleY: values.scaleY
+  };
+}
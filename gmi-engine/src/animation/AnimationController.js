@@ -5,15 +5,25 @@
  * Bridges between Timeline UI, Presets, and the Editor Scene.
  *
  * Responsibilities:
- * - Store animation data for all obstacles in the map
+ * - Store animation data for all obstacles (and animation groups) in the map
  * - Connect Timeline UI to obstacle selection
  * - Preview animations in the editor canvas
+ * - Animation groups: membership, pivots (see AnimationGroups.js)
+ * - Presets and the user's clip library
+ * - Start triggers: which zones and breakables an animation can wait for
  * - Export animation data for saving
  */
 
 import { Timeline } from './Timeline.js';
 import { AnimationPlayer } from './AnimationPlayer.js';
+import { evaluateTrack, resolveTransform } from './AnimatedProperties.js';
 import { Presets, applyPreset, listPresetsByCategory } from './Presets.js';
+import { GroupHierarchy, createGroupId } from './AnimationGroups.js';
+import { saveClip, deleteClip, isClipKey } from './ClipLibrary.js';
+import { normalizeTrigger } from './AnimationTriggers.js';
+
+// Layer color of animation groups (matches their pivot markers in the editor)
+export const GROUP_COLOR = '#ff00ff';
 
 export class AnimationController {
   constructor(options = {}) {
@@ -29,9 +39,16 @@ export class AnimationController {
     // Callback when timeline time changes
     this.onTimeChangeCallback = options.onTimeChange || (() => {});
 
-    // Animation data storage: obstacleId -> animation config
+    // Callback when animation groups change (membership, names)
+    this.onGroupsChange = options.onGroupsChange || (() => {});
+
+    // Animation data storage: obstacleId (or groupId) -> animation config
     this.animations = {};
 
+    // Animation groups: groupId -> { name, x, y, children }
+    this.groups = {};
+    this.hierarchy = new GroupHierarchy();
+
     // Currently selected obstacle
     this.selectedObstacleId = null;
 
@@ -62,10 +79,31 @@ export class AnimationController {
       onKeyframeChange: (obstacleId, animData) => this.handleKeyframeChange(obstacleId, animData),
       onTimeChange: (time) => this.handleTimeChange(time),
       onPlayStateChange: (isPlaying) => this.handlePlayStateChange(isPlaying),
-      onLayerSelect: (obstacleId) => this.handleLayerSelect(obstacleId)
+      onLayerSelect: (obstacleId) => this.handleLayerSelect(obstacleId),
+      getTriggerTargets: (event) => this.getTriggerTargets(event)
     });
   }
 
+  /**
+   * Zones or obstacles an animation trigger can wait for (labels match the canvas)
+   * @param {string} event - 'trigger' or 'breakable'
+   * @returns {Array<{id: string, label: string}>}
+   */
+  getTriggerTargets(event) {
+    if (!this.scene) return [];
+
+    if (event === 'trigger') {
+      return (this.scene.triggers || []).map((trigger, i) => ({ id: trigger.id, label: `T${i + 1}` }));
+    }
+    if (event === 'breakable') {
+      return (this.scene.obstacles || [])
+        .map((obs, i) => ({ obs, i }))
+        .filter(({ obs }) => obs.breakable || obs.behavior === 'breakable')
+        .map(({ obs, i }) => ({ id: obs.id, label: `#${i + 1} ${obs.type}` }));
+    }
+    return [];
+  }
+
   /**
    * Handle layer selection from Timeline UI
    * Used to highlight/select the obstacle in the editor when clicking a layer
@@ -151,7 +189,7 @@ export class AnimationController {
   handleTimeChange(time) {
     // Update ALL animated obstacles, not just the selected one
     if (this.scene) {
-      for (const obstacleId of Object.keys(this.animations)) {
+      for (const obstacleId of this.getPreviewIds()) {
         this.updateObstacleAtTime(obstacleId, time);
       }
     }
@@ -219,7 +257,7 @@ export class AnimationController {
     const currentTime = this.timeline?.currentTime || 0;
 
     // Update ALL animated obstacles, not just the selected one
-    for (const obstacleId of Object.keys(this.animations)) {
+    for (const obstacleId of this.getPreviewIds()) {
       this.updateObstacleAtTime(obstacleId, currentTime);
     }
 
@@ -230,7 +268,8 @@ export class AnimationController {
    * Update obstacle visuals at a specific time (for preview)
    */
   updateObstacleAtTime(obstacleId, time) {
-    if (!this.scene || !this.animations[obstacleId]) return;
+    const grouped = !!this.hierarchy.getParent(obstacleId);
+    if (!this.scene || (!this.animations[obstacleId] && !grouped)) return;
 
     const animData = this.animations[obstacleId];
     const obstacle = this.findObstacleById(obstacleId);
@@ -239,8 +278,8 @@ export class AnimationController {
 
     // Store base position if not already (use CENTER position for all shapes)
     if (obstacle.animBaseX === undefined) {
-      // For rectangles, compute center from top-left corner
-      if (obstacle.type === 'rectangle' || obstacle.type === 'rect') {
+      // For rectangles and polygons, compute center from top-left corner
+      if (obstacle.type === 'rectangle' || obstacle.type === 'rect' || obstacle.type === 'polygon') {
         obstacle.animBaseX = obstacle.x + (obstacle.width || 0) / 2;
         obstacle.animBaseY = obstacle.y + (obstacle.height || 0) / 2;
       } else {
@@ -253,21 +292,41 @@ export class AnimationController {
       obstacle.animBaseScaleY = 1;
     }
 
-    // Evaluate animation at time
+    // Evaluate animation at time (group members are carried by their groups)
     const values = this.evaluateAtTime(animData, time);
-
-    // Apply to obstacle in editor scene (preview values are CENTER positions)
+    const own = resolveTransform(values, animData?.tracks);
+    const transform = grouped
+      ? this.hierarchy.place(obstacleId, { x: obstacle.animBaseX, y: obstacle.animBaseY }, own, groupId => {
+        const group = this.animations[groupId];
+        return group ? { values: this.evaluateAtTime(group, time), tracks: group.tracks } : null;
+      })
+      : own;
+
+    // Apply to obstacle in editor scene (preview values are CENTER positions).
+    // Behavior parameters have nothing to show: the editor doesn't run behaviors
     if (this.scene.updateObstaclePreview) {
       this.scene.updateObstaclePreview(obstacleId, {
-        x: values.x !== undefined ? obstacle.animBaseX + values.x : undefined,
-        y: values.y !== undefined ? obstacle.animBaseY + values.y : undefined,
-        rotation: values.rotation !== undefined ? obstacle.animBaseRotation + (values.rotation * Math.PI / 180) : undefined,
-        scaleX: values.scaleX,
-        scaleY: values.scaleY
+        x: transform.x !== undefined ? obstacle.animBaseX + transform.x : undefined,
+        y: transform.y !== undefined ? obstacle.animBaseY + transform.y : undefined,
+        rotation: transform.rotation !== undefined ? obstacle.animBaseRotation + (transform.rotation * Math.PI / 180) : undefined,
+        scaleX: transform.scaleX,
+        scaleY: transform.scaleY,
+        color: values.color,
+        alpha: values.alpha,
+        solid: values.solid
       });
     }
   }
 
+  /**
+   * Obstacles the preview moves: animated ones and group members
+   */
+  getPreviewIds() {
+    const ids = new Set(Object.keys(this.animations));
+    Object.values(this.groups).forEach(group => group.children.forEach(id => ids.add(id)));
+    return [...ids].filter(id => !this.groups[id]);
+  }
+
   /**
    * Find obstacle by ID in the scene
    */
@@ -278,18 +337,26 @@ export class AnimationController {
 
   /**
    * Evaluate animation tracks at a specific time
+   * (same loop and interpolation rules as the runtime AnimationPlayer;
+   * a triggered animation previews as if its event fired at 0)
    */
   evaluateAtTime(animData, time) {
     const result = {};
 
     if (!animData?.tracks) return result;
 
-    // Apply loop mode
-    const loopedTime = this.applyLoop(time, animData.duration, animData.loop);
+    // Apply loop mode (the first frame holds until the start offset).
+    // Play once and the first run of reverse hold the end like getTriggeredTime
+    const offsetTime = Math.max(0, time - (animData.startOffset || 0));
+    const trigger = normalizeTrigger(animData.trigger);
+    const loopedTime = trigger && trigger.mode !== 'play'
+      ? Math.min(offsetTime, animData.duration)
+      : this.player.applyLoop(offsetTime, animData.duration, animData.loop, animData.loopCount || 0);
 
     for (const [property, track] of Object.entries(animData.tracks)) {
-      if (track.keyframes && track.keyframes.length > 0) {
-        result[property] = this.interpolateTrack(track.keyframes, loopedTime);
+      const value = evaluateTrack(property, track.keyframes, loopedTime);
+      if (value !== null) {
+        result[property] = value;
       }
     }
 
@@ -297,77 +364,201 @@ export class AnimationController {
   }
 
   /**
-   * Apply loop mode to time
+   * Apply a preset or clip to the selected obstacle
+   * @param {string} presetKey - Preset or clip key
+   * @param {Object} [options] - { obstacleId, startOffset } (see Presets.applyPreset)
    */
-  applyLoop(time, duration, loop) {
-    if (duration <= 0) return 0;
+  applyPreset(presetKey, options = {}) {
+    const obstacleId = options.obstacleId || this.selectedObstacleId;
+    if (!obstacleId) return false;
+
+    const animData = applyPreset(presetKey, obstacleId, options);
+    if (!animData) return false;
+
+    // A new motion keeps the start trigger it replaces
+    const trigger = this.animations[obstacleId]?.trigger;
+    if (trigger) animData.trigger = { ...trigger };
 
-    switch (loop) {
-      case 'none':
-      case 'hold':
-        return Math.min(time, duration);
-      case 'loop':
-        return time % duration;
-      case 'pingpong':
-        const phase = time % (duration * 2);
-        return phase <= duration ? phase : duration * 2 - phase;
-      default:
-        return time % duration;
+    // Store animation
+    this.animations[obstacleId] = animData;
+
+    // Update timeline
+    if (this.timeline) {
+      this.timeline.setAnimation(obstacleId, animData);
     }
+
+    // Notify
+    this.onAnimationChange(obstacleId, animData);
+
+    return true;
   }
 
   /**
-   * Interpolate a track's keyframes at a given time
+   * Apply a preset or clip to every member of a group, each starting
+   * `stagger` ms after the previous one (left to right) for wave effects
+   * @returns {number} Members animated
    */
-  interpolateTrack(keyframes, time) {
-    if (keyframes.length === 0) return 0;
-    if (keyframes.length === 1) return keyframes[0].value;
+  applyPresetToMembers(presetKey, groupId, stagger = 0) {
+    const group = this.groups[groupId];
+    if (!group) return 0;
+
+    const position = id => this.groups[id]?.x ?? this.getObstacleCenter(this.findObstacleById(id))?.x ?? 0;
+    const members = group.children
+      .filter(id => this.groups[id] || this.findObstacleById(id))
+      .sort((a, b) => position(a) - position(b));
 
-    const sorted = [...keyframes].sort((a, b) => a.time - b.time);
+    members.forEach((id, i) => this.applyPreset(presetKey, { obstacleId: id, startOffset: i * stagger }));
+    return members.length;
+  }
 
-    // Before first
-    if (time <= sorted[0].time) return sorted[0].value;
+  /**
+   * Save the selected obstacle's animation to the clip library
+   * @returns {string|null} Clip key
+   */
+  saveClip(name) {
+    const animData = this.animations[this.selectedObstacleId];
+    return animData ? saveClip(name, animData) : null;
+  }
 
-    // After last
-    if (time >= sorted[sorted.length - 1].time) return sorted[sorted.length - 1].value;
+  /**
+   * Delete a clip from the library (built-in presets stay)
+   */
+  deleteClip(key) {
+    return isClipKey(key) && deleteClip(key);
+  }
 
-    // Find surrounding keyframes
-    for (let i = 0; i < sorted.length - 1; i++) {
-      if (time >= sorted[i].time && time <= sorted[i + 1].time) {
-        const kf1 = sorted[i];
-        const kf2 = sorted[i + 1];
-        const range = kf2.time - kf1.time;
-        const t = (time - kf1.time) / range;
+  // ---- Animation groups ----
 
-        // TODO: Apply easing function
-        return kf1.value + (kf2.value - kf1.value) * t;
-      }
+  /**
+   * Replace all groups (loading a map, undo)
+   */
+  setGroups(groups) {
+    this.groups = groups || {};
+
+    // The editor selects and drags groups like obstacles
+    for (const [groupId, group] of Object.entries(this.groups)) {
+      group.id = groupId;
+      group.type = 'group';
+      group.children = group.children || [];
     }
+    this.hierarchy = new GroupHierarchy(this.groups);
+  }
+
+  /**
+   * Rebuild the hierarchy after membership changed and notify
+   */
+  commitGroups(label) {
+    this.hierarchy = new GroupHierarchy(this.groups);
+    this.refreshTimeline();
+    this.onGroupsChange(label);
+  }
 
-    return sorted[sorted.length - 1].value;
+  /**
+   * Create a group with its pivot at a point
+   * @returns {string} Group id
+   */
+  createGroup(pivot, name = null) {
+    const groupId = createGroupId();
+    this.groups[groupId] = {
+      id: groupId,
+      type: 'group',
+      name: name || `Group ${Object.keys(this.groups).length + 1}`,
+      x: Math.round(pivot.x),
+      y: Math.round(pivot.y),
+      children: []
+    };
+    this.commitGroups('Create animation group');
+    return groupId;
   }
 
   /**
-   * Apply a preset to the selected obstacle
+   * Move an obstacle or group into a group (null: out of any group).
+   * A group can't join itself or one of its own members
+   * @returns {boolean} Whether the membership changed
    */
-  applyPreset(presetKey) {
-    if (!this.selectedObstacleId) return false;
+  setParent(id, groupId) {
+    if (groupId && (!this.groups[groupId] || this.hierarchy.isWithin(groupId, id))) return false;
+    if ((this.hierarchy.getParent(id) || null) === (groupId || null)) return false;
 
-    const animData = applyPreset(presetKey, this.selectedObstacleId);
-    if (!animData) return false;
+    for (const group of Object.values(this.groups)) {
+      group.children = group.children.filter(childId => childId !== id);
+    }
+    if (groupId) this.groups[groupId].children.push(id);
 
-    // Store animation
-    this.animations[this.selectedObstacleId] = animData;
+    this.commitGroups(groupId ? 'Add to animation group' : 'Remove from animation group');
+    return true;
+  }
 
-    // Update timeline
-    if (this.timeline) {
-      this.timeline.setAnimation(this.selectedObstacleId, animData);
+  /**
+   * Dissolve a group: members move up to its own group, its animation goes
+   */
+  deleteGroup(groupId) {
+    const group = this.groups[groupId];
+    if (!group) return;
+
+    const parentId = this.hierarchy.getParent(groupId);
+    for (const other of Object.values(this.groups)) {
+      other.children = other.children.filter(childId => childId !== groupId);
     }
+    if (parentId) this.groups[parentId].children.push(...group.children);
+    delete this.groups[groupId];
 
-    // Notify
-    this.onAnimationChange(this.selectedObstacleId, animData);
+    if (this.animations[groupId]) this.removeAnimation(groupId);
+    this.commitGroups('Delete animation group');
+  }
 
-    return true;
+  /**
+   * Rename a group
+   */
+  renameGroup(groupId, name) {
+    const group = this.groups[groupId];
+    const trimmed = String(name || '').trim();
+    if (!group || !trimmed || group.name === trimmed) return;
+
+    group.name = trimmed;
+    this.commitGroups('Rename animation group');
+  }
+
+  /**
+   * Groups an obstacle or group could join (not itself or its members)
+   * @returns {Array<{id: string, name: string}>}
+   */
+  getParentOptions(id) {
+    return Object.entries(this.groups)
+      .filter(([groupId]) => !this.hierarchy.isWithin(groupId, id))
+      .map(([groupId, group]) => ({ id: groupId, name: group.name }));
+  }
+
+  /**
+   * Rest center of an obstacle (or a group's pivot)
+   */
+  getObstacleCenter(obstacle) {
+    if (!obstacle) return null;
+    if (obstacle.type === 'circle' || obstacle.type === 'group') return { x: obstacle.x, y: obstacle.y };
+    return { x: obstacle.x + (obstacle.width || 0) / 2, y: obstacle.y + (obstacle.height || 0) / 2 };
+  }
+
+  /**
+   * Export animation groups (for saving map); members that no longer exist are dropped
+   * @param {Array} existingObstacles - Optional array of obstacles to validate against
+   * @returns {Object|null} Groups, or null if there are none
+   */
+  exportGroups(existingObstacles = null) {
+    const validIds = existingObstacles
+      ? new Set([...existingObstacles.map(o => o.id), ...Object.keys(this.groups)])
+      : null;
+
+    const result = {};
+    for (const [groupId, group] of Object.entries(this.groups)) {
+      result[groupId] = {
+        name: group.name,
+        x: group.x,
+        y: group.y,
+        children: group.children.filter(id => !validIds || validIds.has(id))
+      };
+    }
+
+    return Object.keys(result).length > 0 ? result : null;
   }
 
   /**
@@ -416,9 +607,11 @@ export class AnimationController {
    * Load animations from map data
    * @param {Object} animationsData - Animation data keyed by obstacleId
    * @param {Array} existingObstacles - Optional array of obstacles for validation and timeline display
+   * @param {Object} [groups] - Map animationGroups
    */
-  loadAnimations(animationsData, existingObstacles = null) {
+  loadAnimations(animationsData, existingObstacles = null, groups = null) {
     this.animations = {};
+    this.setGroups(groups ? JSON.parse(JSON.stringify(groups)) : {});
 
     // Store the obstacles reference for timeline display
     this._cachedObstacles = existingObstacles;
@@ -429,7 +622,7 @@ export class AnimationController {
     }
 
     const validIds = existingObstacles
-      ? new Set(existingObstacles.map(o => o.id))
+      ? new Set([...existingObstacles.map(o => o.id), ...Object.keys(this.groups)])
       : null;
 
     for (const [obstacleId, animData] of Object.entries(animationsData)) {
@@ -461,7 +654,11 @@ export class AnimationController {
   refreshTimelineWithObstacles(obstacles) {
     if (!this.timeline) return;
 
-    const obstacleList = obstacles || this._cachedObstacles || this.scene?.obstacles || [];
+    // Groups show up as layers too
+    const obstacleList = [
+      ...(obstacles || this._cachedObstacles || this.scene?.obstacles || []),
+      ...Object.entries(this.groups).map(([id, group]) => ({ id, type: 'group', name: group.name, color: GROUP_COLOR }))
+    ];
     this.timeline.setAnimations(this.animations, obstacleList);
 
     // If there's a selected obstacle, make sure it's shown
@@ -481,7 +678,7 @@ export class AnimationController {
   exportAnimations(existingObstacles = null) {
     const result = {};
     const validIds = existingObstacles
-      ? new Set(existingObstacles.map(o => o.id))
+      ? new Set([...existingObstacles.map(o => o.id), ...Object.keys(this.groups)])
       : null;
 
     for (const [obstacleId, animData] of Object.entries(this.animations)) {
@@ -513,7 +710,10 @@ export class AnimationController {
         y: obstacle.animBaseY,
         rotation: obstacle.animBaseRotation,
         scaleX: obstacle.animBaseScaleX || 1,
-        scaleY: obstacle.animBaseScaleY || 1
+        scaleY: obstacle.animBaseScaleY || 1,
+        color: obstacle.color,
+        alpha: 1,
+        solid: true
       });
     }
   }
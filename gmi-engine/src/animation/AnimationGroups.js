@@ -0,0 +1,122 @@
+/**
+ * Animation Groups
+ *
+ * Parent transforms for keyframe animation. A group is a pivot point (like
+ * an After Effects null object) with member obstacles and nested groups;
+ * the group's own animation, keyed by the group id in `map.animations`,
+ * carries every member along. A windmill is a group of blades with a
+ * looping rotation on the group.
+ *
+ * Features:
+ * - Map data: `animationGroups: { [groupId]: { name, x, y, children: [ids] } }`
+ *   (x, y: pivot; children: obstacle or group ids)
+ * - Members keep their own animation, applied before the group's
+ * - Group rotation and scale turn and spread members around the pivot,
+ *   group x/y (and motion paths) move them all
+ * - Nested groups apply innermost first
+ */
+
+import { resolveTransform } from './AnimatedProperties.js';
+
+/**
+ * New unique group id
+ */
+export function createGroupId() {
+  return 'group-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Ids of everything that sits in a group
+ * @param {Object} groups - Map animationGroups
+ * @returns {Set<string>}
+ */
+export function getGroupedIds(groups) {
+  const ids = new Set();
+  for (const group of Object.values(groups || {})) {
+    (group.children || []).forEach(id => ids.add(id));
+  }
+  return ids;
+}
+
+export class GroupHierarchy {
+  /**
+   * @param {Object} groups - Map animationGroups
+   */
+  constructor(groups = {}) {
+    this.groups = groups || {};
+
+    // childId -> groupId (a child belongs to one group, the first listing it)
+    this.parents = {};
+    for (const [groupId, group] of Object.entries(this.groups)) {
+      for (const childId of group.children || []) {
+        if (!this.parents[childId]) this.parents[childId] = groupId;
+      }
+    }
+  }
+
+  /**
+   * Group an obstacle or group sits in, or null
+   */
+  getParent(id) {
+    return this.parents[id] || null;
+  }
+
+  /**
+   * Groups above an obstacle or group, innermost first (cycles are cut)
+   */
+  getAncestors(id) {
+    const ancestors = [];
+    let parent = this.getParent(id);
+    while (parent && this.groups[parent] && !ancestors.includes(parent) && parent !== id) {
+      ancestors.push(parent);
+      parent = this.getParent(parent);
+    }
+    return ancestors;
+  }
+
+  /**
+   * Whether `id` is `groupId` or inside it (a group can't join its own descendant)
+   */
+  isWithin(id, groupId) {
+    return id === groupId || this.getAncestors(id).includes(groupId);
+  }
+
+  /**
+   * Carry an obstacle's own animation through the groups above it
+   * @param {string} id - Obstacle id
+   * @param {{x: number, y: number}} base - Obstacle's rest center
+   * @param {Object} transform - Its own offsets (resolveTransform result)
+   * @param {Function} evaluateGroup - groupId -> { values, tracks } at the
+   *   current time, or null if the group doesn't animate
+   * @returns {{x: number, y: number, rotation: number, scaleX: number, scaleY: number}}
+   *   Offsets from the base, like resolveTransform but always complete
+   */
+  place(id, base, transform, evaluateGroup) {
+    let x = base.x + (transform.x ?? 0);
+    let y = base.y + (transform.y ?? 0);
+    let rotation = transform.rotation ?? 0;
+    let scaleX = transform.scaleX ?? 1;
+    let scaleY = transform.scaleY ?? 1;
+
+    for (const groupId of this.getAncestors(id)) {
+      const evaluated = evaluateGroup(groupId);
+      if (!evaluated) continue;
+
+      const group = resolveTransform(evaluated.values, evaluated.tracks);
+      const pivot = this.groups[groupId];
+      const angle = (group.rotation ?? 0) * Math.PI / 180;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const dx = (x - pivot.x) * (group.scaleX ?? 1);
+      const dy = (y - pivot.y) * (group.scaleY ?? 1);
+
+      x = pivot.x + (group.x ?? 0) + dx * cos - dy * sin;
+      y = pivot.y + (group.y ?? 0) + dx * sin + dy * cos;
+      rotation += group.rotation ?? 0;
+      scaleX *= group.scaleX ?? 1;
+      scaleY *= group.scaleY ?? 1;
+    }
+
+    return { x: x - base.x, y: y - base.y, rotation, scaleX, scaleY };
+  }
+}
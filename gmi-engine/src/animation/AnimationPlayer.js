@@ -5,18 +5,41 @@
  * Used by RaceScene to animate obstacles during gameplay.
  *
  * Features:
- * - Keyframe interpolation with easing
+ * - Keyframe interpolation with easing (and step/hold keyframes)
  * - Loop modes: none, loop, pingpong, hold
- * - Supports all transform properties (x, y, rotation, scaleX, scaleY)
+ * - Transform (x, y, rotation, scaleX, scaleY), bezier motion paths,
+ *   color, alpha, solid and behavior parameters (see AnimatedProperties.js)
+ * - Animation groups: members follow their group's transform (see AnimationGroups.js)
+ * - Start offset: an animation can start later than the race (staggered waves)
+ * - Triggers: an animation can wait for an event (zone, breakable, boss HP,
+ *   first finisher) and play once or reverse (see AnimationTriggers.js)
+ * - Physics: bodies are driven kinematically, with velocity, so balls bounce
+ *   off them with their momentum and never tunnel (see KinematicMotion.js)
  */
 
-import { Easings } from './Easings.js';
+import { evaluateTrack, getPropertyDef, resolveTransform } from './AnimatedProperties.js';
+import { GroupHierarchy } from './AnimationGroups.js';
+import { matchesTrigger, normalizeTrigger } from './AnimationTriggers.js';
+import { drawObstacleGraphics } from '../game/rendering/ObstacleRenderer.js';
+import { moveKinematic } from '../game/systems/KinematicMotion.js';
 
 export class AnimationPlayer {
   constructor() {
-    // Map of obstacleId -> animation data
+    // Map of obstacleId (or groupId) -> animation data
     this.animations = new Map();
 
+    // Animation groups (parent transforms)
+    this.hierarchy = new GroupHierarchy();
+
+    // Triggered animations: obstacleId -> { firedAt, from, direction } once set off
+    this.triggerStates = new Map();
+
+    // Triggers waiting out their delay: [{ obstacleId, due }]
+    this.pendingTriggers = [];
+
+    // Time of the last update (events are timed on the same clock)
+    this.lastUpdateTime = 0;
+
     // Animation start time (set when race starts)
     this.startTime = 0;
 
@@ -40,9 +63,11 @@ export class AnimationPlayer {
   /**
    * Load animations from map data
    * @param {Object} animationsData - Map of obstacleId -> animation config
+   * @param {Object} [groups] - Map animationGroups
    */
-  loadAnimations(animationsData) {
+  loadAnimations(animationsData, groups = null) {
     this.animations.clear();
+    this.hierarchy = new GroupHierarchy(groups);
 
     if (!animationsData) return;
 
@@ -69,6 +94,8 @@ export class AnimationPlayer {
       duration: anim.duration || 2000,
       loop: anim.loop || 'none',      // none, loop, pingpong, hold
       loopCount: anim.loopCount || 0,  // 0 = infinite
+      startOffset: anim.startOffset || 0, // ms after the race start (or the trigger)
+      trigger: normalizeTrigger(anim.trigger), // null = plays from race start
       tracks: anim.tracks
     };
   }
@@ -80,6 +107,7 @@ export class AnimationPlayer {
   start(startTime = 0) {
     this.startTime = Date.now() - startTime;
     this.isPlaying = true;
+    this.resetTriggers();
   }
 
   /**
@@ -94,6 +122,85 @@ export class AnimationPlayer {
    */
   reset() {
     this.startTime = Date.now();
+    this.resetTriggers();
+  }
+
+  /**
+   * Triggered animations wait for their event again
+   */
+  resetTriggers() {
+    this.triggerStates.clear();
+    this.pendingTriggers = [];
+    this.lastUpdateTime = 0;
+  }
+
+  /**
+   * Report a race event; animations waiting for it start after their delay
+   * @param {string} event - 'trigger', 'breakable', 'bossHp' or 'finish'
+   * @param {Object} [detail] - { id } or { from, to } (see AnimationTriggers.matchesTrigger)
+   */
+  handleEvent(event, detail = {}) {
+    if (!this.isPlaying) return;
+
+    for (const [obstacleId, anim] of this.animations) {
+      if (!anim.trigger || !matchesTrigger(anim.trigger, event, detail)) continue;
+      this.pendingTriggers.push({ obstacleId, due: this.lastUpdateTime + anim.trigger.delay * 1000 });
+    }
+  }
+
+  /**
+   * Start triggered animations whose delay is over
+   * @param {number} time - Current time in ms
+   */
+  processTriggers(time) {
+    if (this.pendingTriggers.length === 0) return;
+
+    const due = this.pendingTriggers.filter(pending => pending.due <= time);
+    this.pendingTriggers = this.pendingTriggers.filter(pending => pending.due > time);
+    due.sort((a, b) => a.due - b.due).forEach(pending => this.fireTrigger(pending.obstacleId, pending.due));
+  }
+
+  /**
+   * Set off a triggered animation. Play and play-once start only the first
+   * time; reverse turns around from wherever it is
+   */
+  fireTrigger(obstacleId, time) {
+    const anim = this.animations.get(obstacleId);
+    const state = this.triggerStates.get(obstacleId);
+    if (!anim?.trigger) return;
+
+    if (anim.trigger.mode !== 'reverse') {
+      if (state) return;
+      this.triggerStates.set(obstacleId, { firedAt: time, from: 0, direction: 1 });
+    } else {
+      this.triggerStates.set(obstacleId, {
+        firedAt: time,
+        from: state ? this.getTriggeredTime(anim, state, time) : 0,
+        direction: state ? -state.direction : 1
+      });
+    }
+
+    console.log(`[AnimationPlayer] ${obstacleId} triggered (${anim.trigger.event}, ${anim.trigger.mode})`);
+  }
+
+  /**
+   * Animation time of a triggered animation (first frame until set off)
+   * @param {Object} anim - Normalized animation
+   * @param {Object} [state] - Trigger state
+   * @param {number} time - Current time in ms
+   */
+  getTriggeredTime(anim, state, time) {
+    if (!state) return 0;
+
+    const elapsed = Math.max(0, time - state.firedAt - anim.startOffset);
+    switch (anim.trigger.mode) {
+      case 'once':
+        return Math.min(elapsed, anim.duration);
+      case 'reverse':
+        return Math.min(anim.duration, Math.max(0, state.from + state.direction * elapsed));
+      default:
+        return this.applyLoop(elapsed, anim.duration, anim.loop, anim.loopCount);
+    }
   }
 
   /**
@@ -114,6 +221,15 @@ export class AnimationPlayer {
     return this.animations.has(obstacleId);
   }
 
+  /**
+   * Check if an obstacle moves with keyframes: its own or a group's
+   * @param {string} obstacleId
+   * @returns {boolean}
+   */
+  isAnimated(obstacleId) {
+    return this.hasAnimation(obstacleId) || !!this.hierarchy.getParent(obstacleId);
+  }
+
   /**
    * Get animation data for an obstacle
    * @param {string} obstacleId
@@ -174,66 +290,15 @@ export class AnimationPlayer {
     }
   }
 
-  /**
-   * Interpolate between two keyframes
-   * @param {Object} kf1 - First keyframe { time, value, easing }
-   * @param {Object} kf2 - Second keyframe { time, value, easing }
-   * @param {number} time - Current time
-   * @returns {number} Interpolated value
-   */
-  interpolate(kf1, kf2, time) {
-    if (!kf1 || !kf2) return kf1?.value ?? kf2?.value ?? 0;
-
-    // Calculate progress (0-1) between keyframes
-    const range = kf2.time - kf1.time;
-    if (range <= 0) return kf2.value;
-
-    const t = (time - kf1.time) / range;
-    const clampedT = Math.max(0, Math.min(1, t));
-
-    // Apply easing (use kf1's easing for the transition out of kf1)
-    const easingFn = Easings.get(kf1.easing || 'linear');
-    const easedT = easingFn(clampedT);
-
-    // Linear interpolation with eased t
-    return kf1.value + (kf2.value - kf1.value) * easedT;
-  }
-
   /**
    * Evaluate a single track at a given time
    * @param {Object} track - Track with keyframes array
    * @param {number} time - Time to evaluate at
-   * @returns {number|null} Value at time, or null if no keyframes
+   * @param {string} property - Track name (decides how values interpolate)
+   * @returns {*} Value at time, or null if no keyframes
    */
-  evaluateTrack(track, time) {
-    if (!track || !track.keyframes || track.keyframes.length === 0) {
-      return null;
-    }
-
-    const keyframes = track.keyframes;
-
-    // Sort keyframes by time (should already be sorted, but be safe)
-    const sorted = [...keyframes].sort((a, b) => a.time - b.time);
-
-    // Before first keyframe
-    if (time <= sorted[0].time) {
-      return sorted[0].value;
-    }
-
-    // After last keyframe
-    if (time >= sorted[sorted.length - 1].time) {
-      return sorted[sorted.length - 1].value;
-    }
-
-    // Find surrounding keyframes
-    for (let i = 0; i < sorted.length - 1; i++) {
-      if (time >= sorted[i].time && time <= sorted[i + 1].time) {
-        return this.interpolate(sorted[i], sorted[i + 1], time);
-      }
-    }
-
-    // Fallback (shouldn't reach here)
-    return sorted[sorted.length - 1].value;
+  evaluateTrack(track, time, property) {
+    return evaluateTrack(property, track?.keyframes, time);
   }
 
   /**
@@ -246,16 +311,17 @@ export class AnimationPlayer {
     const anim = this.animations.get(obstacleId);
     if (!anim) return null;
 
-    // Use provided time or current playback time
-    const rawTime = time !== null ? time : this.getCurrentTime();
-
-    // Apply loop mode
-    const loopedTime = this.applyLoop(rawTime, anim.duration, anim.loop, anim.loopCount);
+    // Use provided time or current playback time; the first frame holds until
+    // the start offset (triggered animations: until set off, then the offset)
+    const now = time !== null ? time : this.getCurrentTime();
+    const loopedTime = anim.trigger
+      ? this.getTriggeredTime(anim, this.triggerStates.get(obstacleId), now)
+      : this.applyLoop(Math.max(0, now - anim.startOffset), anim.duration, anim.loop, anim.loopCount);
 
     // Evaluate each track
     const result = {};
     for (const [property, track] of Object.entries(anim.tracks)) {
-      const value = this.evaluateTrack(track, loopedTime);
+      const value = this.evaluateTrack(track, loopedTime, property);
       if (value !== null) {
         result[property] = value;
       }
@@ -287,7 +353,7 @@ export class AnimationPlayer {
         console.log(`    KF[${i}]: t=${kf.time}, v=${kf.value}, ease=${kf.easing}`);
       });
 
-      const value = this.evaluateTrack(track, loopedTime);
+      const value = this.evaluateTrack(track, loopedTime, property);
       console.log(`    -> Interpolated value: ${value}`);
       if (value !== null) {
         result[property] = value;
@@ -303,8 +369,9 @@ export class AnimationPlayer {
    * @param {Array} obstacles - Array of obstacle objects from RaceScene
    * @param {number} time - Current time in ms
    * @param {Object} matter - Phaser Matter instance for physics body updates
+   * @param {Array} [balls] - Balls from RaceScene, kept in front of fast obstacles
    */
-  update(obstacles, time, matter) {
+  update(obstacles, time, matter, balls = []) {
     if (!this.isPlaying && time === undefined) return;
 
     const now = Date.now();
@@ -314,16 +381,30 @@ export class AnimationPlayer {
       console.log(`[AnimPlayer] update() time=${time}ms, obstacles=${obstacles.length}, animated=${this.animations.size}`);
     }
 
+    this.lastUpdateTime = time ?? this.getCurrentTime();
+    this.processTriggers(this.lastUpdateTime);
+
+    const ballBodies = balls
+      .filter(ball => ball.body && !ball.finished && !ball.eliminated)
+      .map(ball => ball.body);
+
+    // Group transforms at this time, for obstacles inside groups
+    const evaluateGroup = groupId => {
+      const values = this.evaluate(groupId, time);
+      return values ? { values, tracks: this.getAnimation(groupId).tracks } : null;
+    };
+
     obstacles.forEach(obs => {
       try {
         // Skip if no animation for this obstacle
-        if (!obs.data?.id || !this.hasAnimation(obs.data.id)) return;
+        if (!obs.data?.id || !this.isAnimated(obs.data.id)) return;
 
         // Skip destroyed or invalid obstacles
         if (!obs.body || obs.destroyed) return;
 
-        // Get animated values
-        const values = this.evaluate(obs.data.id, time);
+        // Get animated values (group members may have none of their own)
+        const grouped = !!this.hierarchy.getParent(obs.data.id);
+        const values = this.evaluate(obs.data.id, time) || (grouped ? {} : null);
         if (!values) return;
 
         if (shouldLog) {
@@ -346,11 +427,16 @@ export class AnimationPlayer {
           obs.animBaseScaleY = baseScaleY;
         }
 
-        // Calculate final values (animation values are relative to base)
-        const finalX = values.x !== undefined ? baseX + values.x : obs.body.position.x;
-        const finalY = values.y !== undefined ? baseY + values.y : obs.body.position.y;
-        const finalRotation = values.rotation !== undefined
-          ? baseRotation + (values.rotation * Math.PI / 180)  // Convert degrees to radians
+        // Calculate final values (animation values are relative to base;
+        // a motion path adds to x/y and may steer rotation, groups carry their members)
+        const own = resolveTransform(values, this.getAnimation(obs.data.id)?.tracks);
+        const transform = grouped
+          ? this.hierarchy.place(obs.data.id, { x: baseX, y: baseY }, own, evaluateGroup)
+          : own;
+        const finalX = transform.x !== undefined ? baseX + transform.x : obs.body.position.x;
+        const finalY = transform.y !== undefined ? baseY + transform.y : obs.body.position.y;
+        const finalRotation = transform.rotation !== undefined
+          ? baseRotation + (transform.rotation * Math.PI / 180)  // Convert degrees to radians
           : obs.body.angle;
 
         // Validate values are finite numbers
@@ -359,61 +445,129 @@ export class AnimationPlayer {
           return;
         }
 
-        // Store previous position for collision resolution
-        const prevX = obs.body.position.x;
-        const prevY = obs.body.position.y;
-
-        // Update physics body position
-        if (matter && obs.body && (values.x !== undefined || values.y !== undefined)) {
-          const Matter = Phaser.Physics.Matter.Matter;
-
-          // Calculate movement direction (for pushing balls)
-          const dx = finalX - prevX;
-          const dy = finalY - prevY;
-
-          // Move the obstacle
-          Matter.Body.setPosition(obs.body, { x: finalX, y: finalY });
-
-          // Set velocity in movement direction to help push balls
-          if (Math.abs(dx) > 0.1 || Math.abs(dy) > 0.1) {
-            const speed = 5; // Movement speed multiplier
-            Matter.Body.setVelocity(obs.body, { x: dx * speed, y: dy * speed });
-          } else {
-            Matter.Body.setVelocity(obs.body, { x: 0, y: 0 });
-          }
-        }
-
-        // Update physics body rotation
-        if (matter && obs.body && values.rotation !== undefined) {
+        // Drive the physics body; standing still zeroes its velocity.
+        // Non-solid obstacles collide with nothing, so they have nothing to sweep
+        if (matter && obs.body) {
           const Matter = Phaser.Physics.Matter.Matter;
-          Matter.Body.setAngle(obs.body, finalRotation);
+          moveKinematic(Matter, obs.body, { x: finalX, y: finalY, angle: finalRotation },
+            obs.solid === false || obs.sensor ? [] : ballBodies);
         }
 
         // Update graphics position
         if (obs.graphics) {
-          if (values.x !== undefined || values.y !== undefined) {
+          if (transform.x !== undefined || transform.y !== undefined) {
             obs.graphics.x = finalX;
             obs.graphics.y = finalY;
           }
 
-          if (values.rotation !== undefined) {
+          if (transform.rotation !== undefined) {
             obs.graphics.rotation = finalRotation;
           }
 
           // Handle scale (graphics only, physics body doesn't scale well)
-          if (values.scaleX !== undefined) {
-            obs.graphics.scaleX = baseScaleX * values.scaleX;
+          if (transform.scaleX !== undefined) {
+            obs.graphics.scaleX = baseScaleX * transform.scaleX;
           }
-          if (values.scaleY !== undefined) {
-            obs.graphics.scaleY = baseScaleY * values.scaleY;
+          if (transform.scaleY !== undefined) {
+            obs.graphics.scaleY = baseScaleY * transform.scaleY;
           }
         }
+
+        // Appearance, collision and behavior parameters
+        this.applyProperties(obs, values);
       } catch (err) {
         console.error(`[AnimPlayer] Error updating obstacle ${obs.data?.id}:`, err);
       }
     });
   }
 
+  /**
+   * Apply the non-transform values of an evaluated frame
+   * @param {Object} obs - Obstacle object from RaceScene
+   * @param {Object} values - Evaluated property values
+   */
+  applyProperties(obs, values) {
+    for (const [property, value] of Object.entries(values)) {
+      if (getPropertyDef(property).group === 'Transform') continue;
+
+      switch (property) {
+        case 'alpha':
+          if (obs.graphics) obs.graphics.setAlpha(value);
+          break;
+        case 'color':
+          this.applyColor(obs, value);
+          break;
+        case 'solid':
+          this.applySolid(obs, value);
+          break;
+        default:
+          // Behavior parameters are read live by the obstacle managers
+          if (typeof obs[property] === 'number' && isFinite(value)) {
+            if (!obs.animBaseParams) obs.animBaseParams = {};
+            if (!(property in obs.animBaseParams)) obs.animBaseParams[property] = obs[property];
+            obs[property] = value;
+          }
+      }
+    }
+  }
+
+  /**
+   * Redraw an obstacle in a new color (only when the color changed)
+   */
+  applyColor(obs, color) {
+    const colorInt = parseInt(String(color).replace('#', ''), 16);
+    if (!obs.graphics || !isFinite(colorInt) || obs.animColor === colorInt) return;
+
+    obs.animColor = colorInt;
+    drawObstacleGraphics(obs.graphics, {
+      ...obs.data,
+      health: obs.health,
+      maxHealth: obs.maxHealth
+    }, colorInt);
+  }
+
+  /**
+   * Switch an obstacle's collisions on or off. The body stays in the world
+   * (triggers and other systems keep finding it), its mask just matches nothing
+   */
+  applySolid(obs, solid) {
+    if ((obs.solid !== false) === !!solid) return;
+
+    const filter = obs.body.collisionFilter;
+    if (solid) {
+      filter.mask = obs.animBaseMask ?? 0xFFFFFFFF;
+    } else {
+      obs.animBaseMask = filter.mask;
+      filter.mask = 0;
+    }
+    obs.solid = !!solid;
+  }
+
+  /**
+   * Put an obstacle's color, alpha, collisions and behavior parameters back
+   * the way the map defines them (RaceScene resets the transform)
+   * @param {Object} obs - Obstacle object from RaceScene
+   */
+  restore(obs) {
+    const anim = this.animations.get(obs.data?.id);
+    if (!anim || !obs.body || obs.destroyed) return;
+
+    if (anim.tracks.alpha && obs.graphics) obs.graphics.setAlpha(1);
+
+    if (obs.animColor !== undefined) {
+      delete obs.animColor;
+      this.applyColor(obs, obs.data.color || '#4a5568');
+      delete obs.animColor;
+    }
+
+    this.applySolid(obs, true);
+
+    if (obs.animBaseParams) {
+      Object.assign(obs, obs.animBaseParams);
+      delete obs.animBaseParams;
+    }
+  }
+
   /**
    * Get debug info for an animation
    * @param {string} obstacleId
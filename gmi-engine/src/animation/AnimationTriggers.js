@@ -0,0 +1,85 @@
+/**
+ * Animation Triggers
+ *
+ * When a keyframe animation starts. Without a trigger an animation runs
+ * from race start with its loop mode; with one it holds its first frame
+ * until the event happens. Shared by the runtime AnimationPlayer and the
+ * timeline, which authors the trigger.
+ *
+ * Features:
+ * - Map data: `animations[id].trigger = { event, target, hpThreshold, delay, mode }`
+ * - Events: a trigger zone fires (`target`: trigger id), a breakable is
+ *   destroyed (`target`: obstacle id), the boss drops to `hpThreshold`
+ *   (fraction of max HP), the first ball finishes
+ * - `delay` (s) between the event and the start
+ * - Modes: play (with the loop settings), play once (hold the end), reverse
+ *   (every further trigger plays it back the other way, like a door)
+ */
+
+// Event the animation waits for; 'start' (race start) means no trigger
+export const ANIMATION_TRIGGER_EVENTS = {
+  start: 'Race start',
+  trigger: 'Trigger zone fires',
+  breakable: 'Breakable destroyed',
+  bossHp: 'Boss HP drops to',
+  finish: 'First finisher'
+};
+
+export const ANIMATION_TRIGGER_MODES = {
+  play: 'Play (loop settings)',
+  once: 'Play once',
+  reverse: 'Reverse on next trigger'
+};
+
+// Events that name the zone or obstacle they wait for
+export const TARGETED_EVENTS = ['trigger', 'breakable'];
+
+/**
+ * Clean up a trigger from map data
+ * @param {Object} [trigger] - Raw trigger
+ * @returns {Object|null} Trigger, or null for animations that run from race start
+ */
+export function normalizeTrigger(trigger) {
+  if (!trigger || !ANIMATION_TRIGGER_EVENTS[trigger.event] || trigger.event === 'start') return null;
+
+  return {
+    event: trigger.event,
+    target: TARGETED_EVENTS.includes(trigger.event) ? trigger.target || null : null,
+    hpThreshold: Math.min(1, Math.max(0, trigger.hpThreshold ?? 0.5)),
+    delay: Math.max(0, trigger.delay || 0),
+    mode: ANIMATION_TRIGGER_MODES[trigger.mode] ? trigger.mode : 'play'
+  };
+}
+
+/**
+ * Whether an event sets a trigger off
+ * @param {Object} trigger - Normalized trigger
+ * @param {string} event - Event name
+ * @param {Object} detail - { id } for zones and breakables, { from, to } HP fractions for the boss
+ */
+export function matchesTrigger(trigger, event, detail = {}) {
+  if (trigger.event !== event) return false;
+
+  switch (event) {
+    case 'trigger':
+    case 'breakable':
+      return !!trigger.target && detail.id === trigger.target;
+    case 'bossHp':
+      return detail.from > trigger.hpThreshold && detail.to <= trigger.hpThreshold;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Short description of a trigger (timeline tooltips)
+ */
+export function describeTrigger(trigger) {
+  if (!trigger) return ANIMATION_TRIGGER_EVENTS.start;
+
+  let text = ANIMATION_TRIGGER_EVENTS[trigger.event];
+  if (trigger.event === 'bossHp') text += ` ${Math.round(trigger.hpThreshold * 100)}%`;
+  if (trigger.target) text += ` (${trigger.target})`;
+  if (trigger.delay > 0) text += `, +${trigger.delay}s`;
+  return `${text} - ${ANIMATION_TRIGGER_MODES[trigger.mode]}`;
+}
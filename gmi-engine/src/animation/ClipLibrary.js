@@ -0,0 +1,86 @@
+/**
+ * Clip Library
+ *
+ * User-saved animation clips, kept in localStorage next to the built-in
+ * Presets. A clip has the same shape as a preset, so everything that lists
+ * or applies presets (Presets.listPresetsByCategory, applyPreset) handles
+ * clips too.
+ *
+ * Features:
+ * - Save any obstacle's animation under a name (same name overwrites)
+ * - Clips are listed under their own category
+ */
+
+const STORAGE_KEY = 'gmi-animation-clips';
+
+// Category clips are listed under
+export const CLIP_CATEGORY = 'My Clips';
+
+// Keys of user clips, so they never collide with preset keys
+const CLIP_KEY_PREFIX = 'clip:';
+
+/**
+ * All saved clips
+ * @returns {Object} key -> { name, category, duration, loop, loopCount, tracks }
+ */
+export function loadClips() {
+  if (typeof localStorage === 'undefined') return {};
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch (e) {
+    console.error('[ClipLibrary] Failed to load clips:', e);
+    return {};
+  }
+}
+
+function storeClips(clips) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(clips));
+  } catch (e) {
+    console.error('[ClipLibrary] Failed to save clips:', e);
+  }
+}
+
+/**
+ * Whether a preset key names a user clip
+ */
+export function isClipKey(key) {
+  return typeof key === 'string' && key.startsWith(CLIP_KEY_PREFIX);
+}
+
+/**
+ * Save an animation as a clip
+ * @param {string} name - Clip name
+ * @param {Object} animData - { duration, loop, loopCount, tracks }
+ * @returns {string|null} Clip key, or null without a name or tracks
+ */
+export function saveClip(name, animData) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed || !animData?.tracks || Object.keys(animData.tracks).length === 0) return null;
+
+  const key = CLIP_KEY_PREFIX + trimmed.toLowerCase();
+  const clips = loadClips();
+  clips[key] = {
+    name: trimmed,
+    category: CLIP_CATEGORY,
+    duration: animData.duration || 2000,
+    loop: animData.loop || 'pingpong',
+    loopCount: animData.loopCount || 0,
+    tracks: JSON.parse(JSON.stringify(animData.tracks))
+  };
+  storeClips(clips);
+  console.log(`[ClipLibrary] Saved clip "${trimmed}"`);
+  return key;
+}
+
+/**
+ * Delete a saved clip
+ * @param {string} key - Clip key
+ */
+export function deleteClip(key) {
+  const clips = loadClips();
+  if (!clips[key]) return false;
+  delete clips[key];
+  storeClips(clips);
+  return true;
+}
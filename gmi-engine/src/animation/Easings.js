@@ -8,12 +8,96 @@
  * - easeIn: Starts slow, ends fast
  * - easeOut: Starts fast, ends slow
  * - easeInOut: Slow at both ends
+ *
+ * Custom curves use CSS syntax: 'cubic-bezier(x1, y1, x2, y2)'.
+ */
+
+// Parsed custom curves by easing name
+const customCurves = new Map();
+
+const CUBIC_BEZIER_PATTERN = /^cubic-bezier\(\s*([-\d.]+)\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)\s*\)$/;
+
+/**
+ * Easing function of a CSS cubic-bezier curve from (0,0) to (1,1)
+ * @param {number} x1 - First handle x (clamped to 0-1)
+ * @param {number} y1 - First handle y (may overshoot)
+ * @param {number} x2 - Second handle x (clamped to 0-1)
+ * @param {number} y2 - Second handle y (may overshoot)
+ * @returns {Function} t (0-1) => eased value
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+  const ax1 = Math.min(1, Math.max(0, x1));
+  const ax2 = Math.min(1, Math.max(0, x2));
+
+  // Polynomial coefficients of one axis of the curve
+  const coefficients = (p1, p2) => {
+    const c = 3 * p1;
+    const b = 3 * (p2 - p1) - c;
+    return [1 - c - b, b, c];
+  };
+  const [axX, bxX, cxX] = coefficients(ax1, ax2);
+  const [ayY, byY, cyY] = coefficients(y1, y2);
+
+  const sampleX = u => ((axX * u + bxX) * u + cxX) * u;
+  const sampleY = u => ((ayY * u + byY) * u + cyY) * u;
+  const slopeX = u => (3 * axX * u + 2 * bxX) * u + cxX;
+
+  // Curve parameter where x(u) = t: Newton first, bisection if it stalls
+  const solve = t => {
+    let u = t;
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(u) - t;
+      if (Math.abs(error) < 1e-6) return u;
+      const slope = slopeX(u);
+      if (Math.abs(slope) < 1e-6) break;
+      u -= error / slope;
+    }
+
+    let low = 0;
+    let high = 1;
+    u = t;
+    for (let i = 0; i < 30 && high - low > 1e-6; i++) {
+      if (sampleX(u) < t) low = u; else high = u;
+      u = (low + high) / 2;
+    }
+    return u;
+  };
+
+  return t => {
+    if (t <= 0) return 0;
+    if (t >= 1) return 1;
+    return sampleY(solve(t));
+  };
+}
+
+/**
+ * Parse 'cubic-bezier(x1, y1, x2, y2)'
+ * @returns {number[]|null} [x1, y1, x2, y2], or null for any other name
  */
+export function parseCubicBezier(name) {
+  const match = CUBIC_BEZIER_PATTERN.exec(String(name || '').trim());
+  if (!match) return null;
+  const values = match.slice(1).map(Number);
+  return values.every(Number.isFinite) ? values : null;
+}
+
+/**
+ * Easing name of a custom curve (handle x clamped to 0-1, rounded to 0.01)
+ */
+export function formatCubicBezier([x1, y1, x2, y2]) {
+  const round = v => Math.round(v * 100) / 100;
+  const clampX = v => round(Math.min(1, Math.max(0, v)));
+  return `cubic-bezier(${clampX(x1)}, ${round(y1)}, ${clampX(x2)}, ${round(y2)})`;
+}
 
 export const Easings = {
   // ============= LINEAR =============
   linear: t => t,
 
+  // ============= STEP (Hold) =============
+  // Keeps the keyframe's value until the next keyframe is reached
+  step: t => t < 1 ? 0 : 1,
+
   // ============= QUADRATIC =============
   easeInQuad: t => t * t,
   easeOutQuad: t => 1 - (1 - t) * (1 - t),
@@ -121,11 +205,17 @@ export const Easings = {
 
   /**
    * Get easing function by name
-   * @param {string} name - Easing name (e.g., "easeInOut", "bounce")
+   * @param {string} name - Easing name (e.g., "easeInOut", "cubic-bezier(0.3, 0, 0.2, 1)")
    * @returns {Function} Easing function, defaults to linear
    */
   get(name) {
-    return this[name] || this.linear;
+    if (typeof this[name] === 'function' && name !== 'get' && name !== 'list') return this[name];
+
+    if (!customCurves.has(name)) {
+      const curve = parseCubicBezier(name);
+      customCurves.set(name, curve ? cubicBezier(...curve) : this.linear);
+    }
+    return customCurves.get(name);
   },
 
   /**
@@ -141,6 +231,7 @@ export const Easings = {
    */
   groups: {
     'Basic': ['linear', 'ease', 'easeIn', 'easeOut', 'easeInOut'],
+    'Hold': ['step'],
     'Quad': ['easeInQuad', 'easeOutQuad', 'easeInOutQuad'],
     'Cubic': ['easeInCubic', 'easeOutCubic', 'easeInOutCubic'],
     'Sine': ['easeInSine', 'easeOutSine', 'easeInOutSine'],
@@ -0,0 +1,198 @@
+/**
+ * Motion Path
+ *
+ * Bezier math for the `path` track: position keyframes are the vertices of
+ * a spatial curve, each with optional handles (like After Effects motion
+ * paths). Between two keyframes the obstacle follows the cubic bezier
+ *   vertex1 -> vertex1 + outTangent -> vertex2 + inTangent -> vertex2
+ * at a speed set by the keyframe's easing, measured along the curve's
+ * length, so a linear circle orbits at constant speed.
+ *
+ * Features:
+ * - Path keyframe: { time, value: { x, y }, easing, inTangent?, outTangent? }
+ *   (offsets from the obstacle's base position, handles relative to the vertex)
+ * - Arc-length parameterized evaluation with the tangent angle for
+ *   "orient to path"
+ * - Smooth (Catmull-Rom) handles, closed when the path ends where it starts
+ * - Polyline sampling for drawing the path in the editor
+ */
+
+// Samples per segment for arc-length tables and editor drawing
+const LENGTH_SAMPLES = 24;
+
+// Handle length of a quarter circle as a fraction of the radius
+export const CIRCLE_KAPPA = 0.5523;
+
+const ZERO = { x: 0, y: 0 };
+
+/**
+ * Control points of the curve between two path keyframes
+ * @returns {Array<{x: number, y: number}>} [p0, p1, p2, p3]
+ */
+export function getSegmentPoints(kf1, kf2) {
+  const a = kf1.value || ZERO;
+  const b = kf2.value || ZERO;
+  const out = kf1.outTangent || ZERO;
+  const inn = kf2.inTangent || ZERO;
+
+  return [
+    { x: a.x, y: a.y },
+    { x: a.x + out.x, y: a.y + out.y },
+    { x: b.x + inn.x, y: b.y + inn.y },
+    { x: b.x, y: b.y }
+  ];
+}
+
+/**
+ * Point on a cubic bezier
+ */
+export function bezierPoint([p0, p1, p2, p3], u) {
+  const v = 1 - u;
+  const a = v * v * v;
+  const b = 3 * v * v * u;
+  const c = 3 * v * u * u;
+  const d = u * u * u;
+  return {
+    x: a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+    y: a * p0.y + b * p1.y + c * p2.y + d * p3.y
+  };
+}
+
+/**
+ * Direction of travel on a cubic bezier, in degrees (null if it doesn't move)
+ */
+export function bezierAngle(points, u) {
+  const [p0, p1, p2, p3] = points;
+  const v = 1 - u;
+  let dx = 3 * v * v * (p1.x - p0.x) + 6 * v * u * (p2.x - p1.x) + 3 * u * u * (p3.x - p2.x);
+  let dy = 3 * v * v * (p1.y - p0.y) + 6 * v * u * (p2.y - p1.y) + 3 * u * u * (p3.y - p2.y);
+
+  // Handles collapsed onto the vertex: look a little further along
+  if (Math.abs(dx) < 1e-6 && Math.abs(dy) < 1e-6) {
+    const ahead = bezierPoint(points, Math.min(1, u + 0.01));
+    const behind = bezierPoint(points, Math.max(0, u - 0.01));
+    dx = ahead.x - behind.x;
+    dy = ahead.y - behind.y;
+    if (Math.abs(dx) < 1e-6 && Math.abs(dy) < 1e-6) return null;
+  }
+
+  return Math.atan2(dy, dx) * 180 / Math.PI;
+}
+
+/**
+ * Curve parameter at a fraction of the segment's length
+ * @param {Array} points - Segment control points
+ * @param {number} fraction - 0-1 of the way along the curve
+ */
+export function arcLengthParam(points, fraction) {
+  const lengths = [0];
+  let prev = points[0];
+  for (let i = 1; i <= LENGTH_SAMPLES; i++) {
+    const point = bezierPoint(points, i / LENGTH_SAMPLES);
+    lengths.push(lengths[i - 1] + Math.hypot(point.x - prev.x, point.y - prev.y));
+    prev = point;
+  }
+
+  const total = lengths[LENGTH_SAMPLES];
+  if (total <= 0) return fraction;
+
+  // Eased fractions may overshoot (back/elastic): extrapolate linearly
+  if (fraction <= 0 || fraction >= 1) return fraction;
+
+  const target = fraction * total;
+  let i = 1;
+  while (i < LENGTH_SAMPLES && lengths[i] < target) i++;
+  const span = lengths[i] - lengths[i - 1];
+  const local = span > 0 ? (target - lengths[i - 1]) / span : 0;
+  return (i - 1 + local) / LENGTH_SAMPLES;
+}
+
+/**
+ * Position and heading between two path keyframes
+ * @param {Object} kf1 - Path keyframe the segment starts at
+ * @param {Object} kf2 - Path keyframe the segment ends at
+ * @param {number} progress - Eased 0-1 progress along the segment's length
+ * @returns {{x: number, y: number, angle: number|null}}
+ */
+export function evaluatePathSegment(kf1, kf2, progress) {
+  const points = getSegmentPoints(kf1, kf2);
+  const u = arcLengthParam(points, progress);
+  const point = bezierPoint(points, u);
+  return { x: point.x, y: point.y, angle: bezierAngle(points, Math.max(0, Math.min(1, u))) };
+}
+
+/**
+ * Position and heading at a path's first or last keyframe
+ */
+export function evaluatePathEnd(sorted, atEnd) {
+  const kf = atEnd ? sorted[sorted.length - 1] : sorted[0];
+  const value = kf.value || ZERO;
+  if (sorted.length < 2) return { x: value.x, y: value.y, angle: null };
+
+  const points = atEnd
+    ? getSegmentPoints(sorted[sorted.length - 2], kf)
+    : getSegmentPoints(kf, sorted[1]);
+  return { x: value.x, y: value.y, angle: bezierAngle(points, atEnd ? 1 : 0) };
+}
+
+/**
+ * Whether a path ends where it starts (orbits, loops)
+ */
+export function isClosedPath(sorted) {
+  if (sorted.length < 3) return false;
+  const first = sorted[0].value || ZERO;
+  const last = sorted[sorted.length - 1].value || ZERO;
+  return Math.hypot(first.x - last.x, first.y - last.y) < 0.5;
+}
+
+/**
+ * Give every vertex smooth (Catmull-Rom) handles. Closed paths wrap around,
+ * the ends of open paths point at their neighbour
+ * @param {Array} keyframes - Path keyframes (edited in place, sorted by time)
+ */
+export function smoothPathTangents(keyframes) {
+  const sorted = keyframes.sort((a, b) => a.time - b.time);
+  const n = sorted.length;
+  if (n < 2) return keyframes;
+
+  const closed = isClosedPath(sorted);
+  const at = i => sorted[i].value || ZERO;
+
+  sorted.forEach((kf, i) => {
+    let prev = i > 0 ? at(i - 1) : null;
+    let next = i < n - 1 ? at(i + 1) : null;
+
+    // The first and last vertex of a closed path are the same point
+    if (closed && i === 0) prev = at(n - 2);
+    if (closed && i === n - 1) next = at(1);
+
+    const here = at(i);
+    const dx = ((next || here).x - (prev || here).x) / (prev && next ? 6 : 3);
+    const dy = ((next || here).y - (prev || here).y) / (prev && next ? 6 : 3);
+
+    kf.inTangent = { x: -dx, y: -dy };
+    kf.outTangent = { x: dx, y: dy };
+  });
+
+  return keyframes;
+}
+
+/**
+ * Points along a whole path, for drawing
+ * @param {Array} keyframes - Path keyframes
+ * @param {number} [samples] - Points per segment
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function samplePath(keyframes, samples = LENGTH_SAMPLES) {
+  const sorted = [...keyframes].sort((a, b) => a.time - b.time);
+  if (sorted.length === 0) return [];
+
+  const result = [{ ...(sorted[0].value || ZERO) }];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const points = getSegmentPoints(sorted[i], sorted[i + 1]);
+    for (let s = 1; s <= samples; s++) {
+      result.push(bezierPoint(points, s / samples));
+    }
+  }
+  return result;
+}
@@ -9,8 +9,12 @@
  * - Rotation: Spin, pendulum, wobble
  * - Scale: Pulse, bounce, squeeze
  * - Combined: Complex multi-property animations
+ * - Path: Bezier motion paths (orbit, sweeper arc)
+ * - My Clips: animations the user saved (see ClipLibrary.js)
  */
 
+import { loadClips } from './ClipLibrary.js';
+
 export const Presets = {
   // ============= MOVEMENT =============
 
@@ -448,23 +452,71 @@ export const Presets = {
         ]
       }
     }
+  },
+
+  // ============= PATH =============
+
+  // Circle of radius 80 through four vertices, handles radius * CIRCLE_KAPPA long.
+  // Linear easing on a path is constant speed along the curve
+  orbit: {
+    name: 'Orbit',
+    category: 'Path',
+    duration: 4000,
+    loop: 'loop',
+    tracks: {
+      path: {
+        orient: true,
+        keyframes: [
+          { time: 0, value: { x: 80, y: 0 }, easing: 'linear', inTangent: { x: 0, y: -44 }, outTangent: { x: 0, y: 44 } },
+          { time: 1000, value: { x: 0, y: 80 }, easing: 'linear', inTangent: { x: 44, y: 0 }, outTangent: { x: -44, y: 0 } },
+          { time: 2000, value: { x: -80, y: 0 }, easing: 'linear', inTangent: { x: 0, y: 44 }, outTangent: { x: 0, y: -44 } },
+          { time: 3000, value: { x: 0, y: -80 }, easing: 'linear', inTangent: { x: -44, y: 0 }, outTangent: { x: 44, y: 0 } },
+          { time: 4000, value: { x: 80, y: 0 }, easing: 'linear', inTangent: { x: 0, y: -44 }, outTangent: { x: 0, y: 44 } }
+        ]
+      }
+    }
+  },
+
+  sweeperArc: {
+    name: 'Sweeper Arc',
+    category: 'Path',
+    duration: 2000,
+    loop: 'pingpong',
+    tracks: {
+      path: {
+        orient: true,
+        keyframes: [
+          { time: 0, value: { x: -80, y: 0 }, easing: 'easeInOutSine', outTangent: { x: 0, y: -107 } },
+          { time: 2000, value: { x: 80, y: 0 }, easing: 'easeInOutSine', inTangent: { x: 0, y: -107 } }
+        ]
+      }
+    }
   }
 };
 
 /**
- * Get preset by key
+ * Built-in presets and the user's saved clips
+ * @returns {Object} key -> preset
+ */
+function getAllPresets() {
+  return { ...Presets, ...loadClips() };
+}
+
+/**
+ * Get preset (or user clip) by key
  * @param {string} key - Preset key
  * @returns {Object|null} Preset data or null
  */
 export function getPreset(key) {
-  return Presets[key] ? { ...Presets[key] } : null;
+  const preset = Presets[key] || loadClips()[key];
+  return preset ? { ...preset } : null;
 }
 
 /**
  * Apply a preset to an obstacle (creates animation data)
  * @param {string} presetKey - Preset key
  * @param {string} obstacleId - Obstacle ID
- * @param {Object} options - Override options { duration, loop }
+ * @param {Object} options - Override options { duration, loop, loopCount, startOffset }
  * @returns {Object|null} Animation data for this obstacle
  */
 export function applyPreset(presetKey, obstacleId, options = {}) {
@@ -475,19 +527,20 @@ export function applyPreset(presetKey, obstacleId, options = {}) {
     obstacleId,
     duration: options.duration || preset.duration,
     loop: options.loop || preset.loop,
-    loopCount: options.loopCount || 0,
+    loopCount: options.loopCount ?? preset.loopCount ?? 0,
+    startOffset: options.startOffset || 0,
     tracks: JSON.parse(JSON.stringify(preset.tracks)) // Deep copy tracks
   };
 }
 
 /**
- * List all presets grouped by category
+ * List all presets grouped by category (user clips under 'My Clips')
  * @returns {Object} { category: [{ key, name }] }
  */
 export function listPresetsByCategory() {
   const groups = {};
 
-  for (const [key, preset] of Object.entries(Presets)) {
+  for (const [key, preset] of Object.entries(getAllPresets())) {
     const category = preset.category || 'Other';
     if (!groups[category]) {
       groups[category] = [];
@@ -504,9 +557,9 @@ export function listPresetsByCategory() {
 }
 
 /**
- * List all preset keys
+ * List all preset keys (including user clips)
  * @returns {string[]}
  */
 export function listPresetKeys() {
-  return Object.keys(Presets);
+  return Object.keys(getAllPresets());
 }
@@ -8,12 +8,50 @@
  * - Collapsible layers with property tracks
  * - Time ruler with markers
  * - Draggable playhead
- * - Property tracks with keyframe diamonds
- * - Click to add/select keyframes
+ * - Property tracks with keyframe diamonds (squares for hold keyframes)
+ * - Transform tracks always shown; color, alpha, solid and behavior
+ *   parameters added per layer from the "+ property" menu
+ * - Click to add/select keyframes, edit the selected keyframe's value
+ * - Custom cubic-bezier easing curves next to the named easings
+ * - Motion path tracks: orient to path, smooth handles
+ * - Start trigger per layer: race start or an event, play once or reverse
  * - Play/Pause controls (animates ALL objects)
  */
 
-import { Easings } from './Easings.js';
+import { Easings, formatCubicBezier, parseCubicBezier } from './Easings.js';
+import { smoothPathTangents } from './MotionPath.js';
+import {
+  ANIMATION_TRIGGER_EVENTS,
+  ANIMATION_TRIGGER_MODES,
+  TARGETED_EVENTS,
+  describeTrigger,
+  normalizeTrigger
+} from './AnimationTriggers.js';
+import {
+  ANIMATED_PROPERTIES,
+  HOLD_EASING,
+  TRANSFORM_PROPERTIES,
+  evaluateTrack,
+  formatPropertyValue,
+  getDefaultValue,
+  getPropertyDef,
+  parsePropertyValue
+} from './AnimatedProperties.js';
+
+// Easing select value that opens the custom curve editor
+const CUSTOM_EASING = 'custom';
+
+// A custom curve starts as ease-in-out
+const DEFAULT_CURVE = [0.42, 0, 0.58, 1];
+
+// Custom curve editor size: unit box of width - 2 * pad, room above and
+// below for overshooting curves
+const CURVE_CANVAS = { width: 120, height: 160, pad: 10 };
+
+// Group names are typed by the user
+function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
 
 export class Timeline {
   constructor(container, options = {}) {
@@ -22,6 +60,8 @@ export class Timeline {
     this.onTimeChange = options.onTimeChange || (() => {});
     this.onPlayStateChange = options.onPlayStateChange || (() => {});
     this.onLayerSelect = options.onLayerSelect || (() => {});
+    // event -> [{ id, label }] zones or obstacles a trigger can wait for
+    this.getTriggerTargets = options.getTriggerTargets || (() => []);
 
     // Timeline state
     this.currentTime = 0;
@@ -47,9 +87,10 @@ export class Timeline {
     // UI state
     this.isDraggingPlayhead = false;
     this.isDraggingKeyframe = false;
+    this.draggingCurveHandle = null; // 0 or 1 while dragging a custom easing handle
 
-    // Properties to show in timeline
-    this.properties = ['x', 'y', 'rotation', 'scaleX', 'scaleY'];
+    // Properties always shown in timeline (others appear once they have keyframes)
+    this.properties = [...TRANSFORM_PROPERTIES];
 
     // Playback
     this.playStartTime = 0;
@@ -89,6 +130,13 @@ export class Timeline {
             </select>
           </label>
           <span class="tl-separator">|</span>
+          <label title="When the selected layer's animation starts">Start:
+            <select class="tl-trigger-event" disabled>
+              ${Object.entries(ANIMATION_TRIGGER_EVENTS).map(([event, label]) => `<option value="${event}">${label}</option>`).join('')}
+            </select>
+          </label>
+          <span class="tl-trigger-options"></span>
+          <span class="tl-separator">|</span>
           <span class="tl-layer-count">0 layers</span>
         </div>
 
@@ -113,6 +161,9 @@ export class Timeline {
 
         <div class="timeline-footer">
           <span class="tl-hint">Click track to add keyframe | Drag keyframe to move | Delete to remove</span>
+          <div class="tl-value-editor" style="display: none;">
+            <label>Value: <span class="tl-value-field"></span></label>
+          </div>
           <div class="tl-easing-selector" style="display: none;">
             <label>Easing:
               <select class="tl-easing">
@@ -120,6 +171,10 @@ export class Timeline {
               </select>
             </label>
           </div>
+          <div class="tl-curve-editor" style="display: none;">
+            <canvas class="tl-curve-canvas" width="${CURVE_CANVAS.width}" height="${CURVE_CANVAS.height}"></canvas>
+            <input type="text" class="tl-curve-input" spellcheck="false" title="x1, y1, x2, y2">
+          </div>
         </div>
       </div>
     `;
@@ -130,12 +185,19 @@ export class Timeline {
     this.timeDisplay = this.container.querySelector('.tl-time-display');
     this.durationInput = this.container.querySelector('.tl-duration');
     this.loopSelect = this.container.querySelector('.tl-loop');
+    this.triggerEventSelect = this.container.querySelector('.tl-trigger-event');
+    this.triggerOptions = this.container.querySelector('.tl-trigger-options');
     this.rulerTicks = this.container.querySelector('.ruler-ticks');
     this.playhead = this.container.querySelector('.playhead');
     this.layersList = this.container.querySelector('.tl-layers-list');
     this.tracksContainer = this.container.querySelector('.timeline-tracks');
     this.easingSelector = this.container.querySelector('.tl-easing-selector');
     this.easingSelect = this.container.querySelector('.tl-easing');
+    this.valueEditor = this.container.querySelector('.tl-value-editor');
+    this.valueField = this.container.querySelector('.tl-value-field');
+    this.curveEditor = this.container.querySelector('.tl-curve-editor');
+    this.curveCanvas = this.container.querySelector('.tl-curve-canvas');
+    this.curveInput = this.container.querySelector('.tl-curve-input');
     this.layerCount = this.container.querySelector('.tl-layer-count');
 
     // Initial render
@@ -154,6 +216,7 @@ export class Timeline {
       }
       html += `</optgroup>`;
     }
+    html += `<optgroup label="Custom"><option value="${CUSTOM_EASING}">Custom curve...</option></optgroup>`;
     return html;
   }
 
@@ -217,6 +280,12 @@ export class Timeline {
       }
     });
 
+    // Start trigger of the selected layer
+    this.triggerEventSelect.addEventListener('change', (e) => this.setTriggerField('event', e.target.value));
+    this.triggerOptions.addEventListener('change', (e) => {
+      if (e.target.dataset.field) this.setTriggerField(e.target.dataset.field, e.target.value);
+    });
+
     // Easing change
     this.easingSelect.addEventListener('change', (e) => {
       if (this.selectedKeyframe) {
@@ -224,12 +293,63 @@ export class Timeline {
         const animData = this.allAnimations[obstacleId];
         const track = animData?.tracks[property];
         if (track && track.keyframes[index]) {
-          track.keyframes[index].easing = e.target.value;
+          if (e.target.value === CUSTOM_EASING) {
+            // Start the custom curve from a plain ease-in-out
+            track.keyframes[index].easing = formatCubicBezier(DEFAULT_CURVE);
+            this.showCurveEditor(DEFAULT_CURVE);
+          } else {
+            track.keyframes[index].easing = e.target.value;
+            this.curveEditor.style.display = 'none';
+          }
           this.onKeyframeChange(obstacleId, animData);
         }
       }
     });
 
+    // Custom easing curve: drag the handles or type the four numbers
+    this.curveCanvas.addEventListener('mousedown', (e) => {
+      const curve = this.getSelectedCurve();
+      if (!curve) return;
+      const rect = this.curveCanvas.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      const handles = [this.curveToCanvas(curve[0], curve[1]), this.curveToCanvas(curve[2], curve[3])];
+      const distances = handles.map(h => Math.hypot(h.x - x, h.y - y));
+      const nearest = distances[0] <= distances[1] ? 0 : 1;
+      if (distances[nearest] <= 12) {
+        e.preventDefault();
+        this.draggingCurveHandle = nearest;
+      }
+    });
+
+    this.curveInput.addEventListener('change', (e) => {
+      const text = e.target.value.trim();
+      const curve = parseCubicBezier(text) || parseCubicBezier(`cubic-bezier(${text})`);
+      if (curve) {
+        this.setSelectedCurve(curve);
+        this.renderLayers();
+      } else {
+        this.showCurveEditor(this.getSelectedCurve() || DEFAULT_CURVE);
+      }
+    });
+
+    // Value change of the selected keyframe
+    this.valueField.addEventListener('change', (e) => {
+      if (!this.selectedKeyframe) return;
+      const { obstacleId, property, index } = this.selectedKeyframe;
+      const animData = this.allAnimations[obstacleId];
+      const kf = animData?.tracks[property]?.keyframes[index];
+      if (!kf) return;
+
+      let raw = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+      if (e.target.dataset.axis) {
+        raw = { ...kf.value, [e.target.dataset.axis]: e.target.value };
+      }
+      kf.value = parsePropertyValue(property, raw);
+      this.renderLayers();
+      this.onKeyframeChange(obstacleId, animData);
+    });
+
     // Playhead drag
     this.playhead.addEventListener('mousedown', (e) => {
       e.preventDefault();
@@ -329,8 +449,9 @@ export class Timeline {
               <span class="tl-layer-toggle ${isExpanded ? 'expanded' : ''}">${isExpanded ? '&#9660;' : '&#9654;'}</span>
               <span class="tl-layer-color" style="background-color: ${color};"></span>
               <span class="tl-layer-name">${displayName}</span>
+              ${animData.trigger ? `<span class="tl-layer-trigger" title="Starts on: ${describeTrigger(normalizeTrigger(animData.trigger))}">&#9889;</span>` : ''}
             </div>
-            ${isExpanded ? this.buildPropertyLabels(obstacleId) : ''}
+            ${isExpanded ? this.buildPropertyLabels(obstacleId, animData) : ''}
           </div>
         `;
 
@@ -349,6 +470,77 @@ export class Timeline {
 
     // Attach layer click events
     this.attachLayerEvents();
+    this.renderTriggerOptions();
+  }
+
+  /**
+   * Show the selected layer's start trigger in the controls bar
+   */
+  renderTriggerOptions() {
+    const animData = this.allAnimations[this.obstacleId];
+    const trigger = animData?.trigger || null;
+    this.triggerEventSelect.disabled = !animData;
+    this.triggerEventSelect.value = trigger?.event || 'start';
+
+    if (!trigger) {
+      this.triggerOptions.innerHTML = '';
+      return;
+    }
+
+    let html = '';
+    if (TARGETED_EVENTS.includes(trigger.event)) {
+      const targets = this.getTriggerTargets(trigger.event);
+      html += `
+        <select data-field="target">
+          <option value="">- choose -</option>
+          ${targets.map(t => `<option value="${t.id}" ${t.id === trigger.target ? 'selected' : ''}>${escapeHtml(t.label)}</option>`).join('')}
+        </select>`;
+    }
+    if (trigger.event === 'bossHp') {
+      html += `<label><input type="number" class="tl-trigger-number" data-field="hpThreshold" min="0" max="100" step="5" value="${Math.round((trigger.hpThreshold ?? 0.5) * 100)}">%</label>`;
+    }
+    html += `
+      <label title="Delay after the event">+<input type="number" class="tl-trigger-number" data-field="delay" min="0" step="0.5" value="${trigger.delay || 0}">s</label>
+      <select data-field="mode">
+        ${Object.entries(ANIMATION_TRIGGER_MODES).map(([mode, label]) => `<option value="${mode}" ${mode === (trigger.mode || 'play') ? 'selected' : ''}>${label}</option>`).join('')}
+      </select>
+      <span class="tl-trigger-hint" title="The preview ignores the event and delay">preview: fired at 0s</span>`;
+    this.triggerOptions.innerHTML = html;
+  }
+
+  /**
+   * Edit the selected layer's start trigger ('start' removes it)
+   * @param {string} field - event, target, hpThreshold (percent), delay (s) or mode
+   * @param {string} raw - Value from the control
+   */
+  setTriggerField(field, raw) {
+    const animData = this.allAnimations[this.obstacleId];
+    if (!animData) return;
+
+    const trigger = animData.trigger;
+    if (field === 'event') {
+      if (raw === 'start') {
+        delete animData.trigger;
+      } else {
+        // A new event waits for a new target; delay and mode carry over
+        animData.trigger = { event: raw, delay: trigger?.delay || 0, mode: trigger?.mode || 'play' };
+        if (raw === 'bossHp') animData.trigger.hpThreshold = 0.5;
+      }
+    } else if (trigger) {
+      switch (field) {
+        case 'hpThreshold':
+          trigger.hpThreshold = Math.min(100, Math.max(0, parseFloat(raw) || 0)) / 100;
+          break;
+        case 'delay':
+          trigger.delay = Math.max(0, parseFloat(raw) || 0);
+          break;
+        default:
+          trigger[field] = raw;
+      }
+    }
+
+    this.renderLayers();
+    this.onKeyframeChange(this.obstacleId, animData);
   }
 
   /**
@@ -360,30 +552,81 @@ export class Timeline {
       const shortId = obstacleId.split('-').pop().slice(-4);
       return `Object ${shortId}`;
     }
+    if (obstacle.type === 'group') return `&#9671; ${escapeHtml(obstacle.name)}`;
     const type = obstacle.type === 'circle' ? 'Circle' : 'Rect';
     const shortId = obstacleId.split('-').pop().slice(-4);
     return `${type} (${shortId})`;
   }
 
+  /**
+   * Properties shown for a layer: transform, then any other animated ones
+   */
+  getLayerProperties(animData) {
+    const tracks = animData?.tracks || {};
+    const registered = Object.keys(ANIMATED_PROPERTIES)
+      .filter(prop => tracks[prop] && !this.properties.includes(prop));
+    const other = Object.keys(tracks).filter(prop => !ANIMATED_PROPERTIES[prop]);
+    return [...this.properties, ...registered, ...other];
+  }
+
+  /**
+   * Build the "+ property" menu of properties a layer doesn't show yet
+   */
+  buildAddPropertyOptions(animData) {
+    const shown = new Set(this.getLayerProperties(animData));
+    const groups = {};
+    for (const [prop, def] of Object.entries(ANIMATED_PROPERTIES)) {
+      if (shown.has(prop)) continue;
+      (groups[def.group] = groups[def.group] || []).push(`<option value="${prop}">${def.label}</option>`);
+    }
+
+    let html = '<option value="">+ property</option>';
+    for (const [group, options] of Object.entries(groups)) {
+      html += `<optgroup label="${group}">${options.join('')}</optgroup>`;
+    }
+    return html;
+  }
+
   /**
    * Build property labels for an expanded layer
    */
-  buildPropertyLabels(obstacleId) {
+  buildPropertyLabels(obstacleId, animData) {
     let html = '';
-    for (const prop of this.properties) {
-      html += `<div class="tl-label tl-prop-label" data-property="${prop}" data-obstacle-id="${obstacleId}">${prop}</div>`;
+    for (const prop of this.getLayerProperties(animData)) {
+      const options = getPropertyDef(prop).type === 'path' ? this.buildPathOptions(obstacleId, animData) : '';
+      html += `<div class="tl-label tl-prop-label" data-property="${prop}" data-obstacle-id="${obstacleId}">${getPropertyDef(prop).label}${options}</div>`;
     }
+    html += `
+      <div class="tl-label tl-prop-label">
+        <select class="tl-add-property" data-obstacle-id="${obstacleId}">${this.buildAddPropertyOptions(animData)}</select>
+      </div>
+    `;
     return html;
   }
 
+  /**
+   * Orient-to-path toggle and smooth-handles button of a path track
+   */
+  buildPathOptions(obstacleId, animData) {
+    const track = animData?.tracks?.path;
+    if (!track) return '';
+    return `
+      <label class="tl-path-option" title="Orient to path: rotate along the direction of travel">
+        <input type="checkbox" class="tl-path-orient" data-obstacle-id="${obstacleId}" ${track.orient ? 'checked' : ''}>orient
+      </label>
+      <button class="tl-path-smooth" data-obstacle-id="${obstacleId}" title="Smooth path handles">~</button>
+    `;
+  }
+
   /**
    * Build property tracks for an expanded layer
    */
   buildPropertyTracks(obstacleId, animData) {
     let html = '';
-    for (const prop of this.properties) {
+    for (const prop of this.getLayerProperties(animData)) {
       const track = animData?.tracks?.[prop];
       const keyframes = track?.keyframes || [];
+      const isDiscrete = getPropertyDef(prop).type === 'boolean';
 
       html += `
         <div class="tl-track" data-property="${prop}" data-obstacle-id="${obstacleId}">
@@ -394,17 +637,20 @@ export class Timeline {
               const isSelected = this.selectedKeyframe?.obstacleId === obstacleId &&
                                 this.selectedKeyframe?.property === prop &&
                                 this.selectedKeyframe?.index === index;
-              return `<div class="keyframe ${isSelected ? 'selected' : ''}"
+              const isHold = isDiscrete || kf.easing === HOLD_EASING;
+              return `<div class="keyframe ${isSelected ? 'selected' : ''} ${isHold ? 'hold' : ''}"
                           style="left: ${left}%;"
                           data-index="${index}"
                           data-obstacle-id="${obstacleId}"
                           data-property="${prop}"
-                          title="${prop}: ${kf.value} @ ${kf.time}ms (${kf.easing})"></div>`;
+                          title="${prop}: ${formatPropertyValue(prop, kf.value)} @ ${kf.time}ms (${isDiscrete ? 'hold' : kf.easing})"></div>`;
             }).join('')}
           </div>
         </div>
       `;
     }
+    // Row facing the "+ property" menu
+    html += '<div class="tl-track tl-track-spacer"></div>';
     return html;
   }
 
@@ -434,8 +680,35 @@ export class Timeline {
       });
     });
 
+    // Motion path options
+    this.layersList.querySelectorAll('.tl-path-orient').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const animData = this.allAnimations[checkbox.dataset.obstacleId];
+        if (!animData?.tracks.path) return;
+        animData.tracks.path.orient = checkbox.checked;
+        this.onKeyframeChange(checkbox.dataset.obstacleId, animData);
+      });
+    });
+    this.layersList.querySelectorAll('.tl-path-smooth').forEach(button => {
+      button.addEventListener('click', () => {
+        const animData = this.allAnimations[button.dataset.obstacleId];
+        if (!animData?.tracks.path) return;
+        smoothPathTangents(animData.tracks.path.keyframes);
+        this.renderLayers();
+        this.onKeyframeChange(button.dataset.obstacleId, animData);
+      });
+    });
+
+    // Add a property track (first keyframe at the playhead)
+    this.layersList.querySelectorAll('.tl-add-property').forEach(select => {
+      select.addEventListener('change', () => {
+        if (!select.value) return;
+        this.addKeyframe(select.value, Math.round(this.currentTime), null, select.dataset.obstacleId);
+      });
+    });
+
     // Track clicks
-    const tracks = this.tracksContainer.querySelectorAll('.tl-track');
+    const tracks = this.tracksContainer.querySelectorAll('.tl-track:not(.tl-track-spacer)');
     tracks.forEach(track => {
       track.addEventListener('click', (e) => this.handleTrackClick(e, track));
       track.addEventListener('dblclick', (e) => this.handleTrackDoubleClick(e, track));
@@ -514,6 +787,18 @@ export class Timeline {
       this.setCurrentTime(percent * this.duration);
     }
 
+    if (this.draggingCurveHandle !== null) {
+      const curve = this.getSelectedCurve();
+      if (curve) {
+        const rect = this.curveCanvas.getBoundingClientRect();
+        const point = this.canvasToCurve(e.clientX - rect.left, e.clientY - rect.top);
+        curve[this.draggingCurveHandle * 2] = point.x;
+        curve[this.draggingCurveHandle * 2 + 1] = point.y;
+        this.setSelectedCurve(curve);
+      }
+      return;
+    }
+
     if (this.isDraggingKeyframe && this.selectedKeyframe) {
       const container = this.container.querySelector('.timeline-tracks-container');
       const rect = container.getBoundingClientRect();
@@ -534,6 +819,12 @@ export class Timeline {
   handleMouseUp(e) {
     this.isDraggingPlayhead = false;
     this.isDraggingKeyframe = false;
+
+    // Keyframe tooltips show the final curve
+    if (this.draggingCurveHandle !== null) {
+      this.draggingCurveHandle = null;
+      this.renderLayers();
+    }
   }
 
   /**
@@ -542,6 +833,7 @@ export class Timeline {
   handleKeydown(e) {
     // Only handle if timeline is visible
     if (!this.container.offsetParent) return;
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
     switch (e.code) {
       case 'Space':
@@ -583,9 +875,9 @@ export class Timeline {
 
   /**
    * Add a keyframe at the specified time
-   * @param {string} property - Property name (x, y, rotation, etc.)
+   * @param {string} property - Property name (x, y, rotation, color, solid, etc.)
    * @param {number} time - Time in ms
-   * @param {number|null} value - Value or null for default
+   * @param {*} value - Value, or null for the track's current value (default if new)
    * @param {string|null} obstacleId - Obstacle ID (uses current if not provided)
    */
   addKeyframe(property, time, value = null, obstacleId = null) {
@@ -614,11 +906,14 @@ export class Timeline {
         track.keyframes[existing].value = value;
       }
     } else {
-      // Add new keyframe
+      // Add new keyframe (discrete properties always hold)
+      const current = evaluateTrack(property, track.keyframes, time);
       const newKf = {
         time,
-        value: value !== null ? value : this.getDefaultValue(property),
-        easing: 'easeInOutQuad'
+        value: value !== null ? value
+          : current !== null ? parsePropertyValue(property, current)
+          : this.getDefaultValue(property, targetId),
+        easing: getPropertyDef(property).type === 'boolean' ? HOLD_EASING : 'easeInOutQuad'
       };
       track.keyframes.push(newKf);
       track.keyframes.sort((a, b) => a.time - b.time);
@@ -634,17 +929,11 @@ export class Timeline {
   }
 
   /**
-   * Get default value for a property
+   * Get default value for a property of an obstacle
    */
-  getDefaultValue(property) {
-    switch (property) {
-      case 'x': return 0;
-      case 'y': return 0;
-      case 'rotation': return 0;
-      case 'scaleX': return 1;
-      case 'scaleY': return 1;
-      default: return 0;
-    }
+  getDefaultValue(property, obstacleId = this.obstacleId) {
+    const obstacle = this.obstacles.find(o => o.id === obstacleId);
+    return getDefaultValue(property, obstacle);
   }
 
   /**
@@ -660,18 +949,140 @@ export class Timeline {
 
     this.renderLayers();
 
-    // Show easing selector
+    // Show value editor and easing selector
     const animData = this.allAnimations[obstacleId];
     if (animData?.tracks[property]?.keyframes[index]) {
       const kf = animData.tracks[property].keyframes[index];
-      this.easingSelect.value = kf.easing || 'linear';
-      this.easingSelector.style.display = 'inline-block';
+      const isDiscrete = getPropertyDef(property).type === 'boolean';
+      this.valueField.innerHTML = this.buildValueInput(property, kf.value);
+      this.valueEditor.style.display = 'inline-block';
+      const curve = parseCubicBezier(kf.easing);
+      this.easingSelect.value = curve ? CUSTOM_EASING : (kf.easing || 'linear');
+      this.easingSelector.style.display = isDiscrete ? 'none' : 'inline-block';
+      if (curve && !isDiscrete) {
+        this.showCurveEditor(curve);
+      } else {
+        this.curveEditor.style.display = 'none';
+      }
 
       // Enable dragging
       this.isDraggingKeyframe = true;
     }
   }
 
+  /**
+   * Control points of the selected keyframe's custom easing, or null
+   */
+  getSelectedCurve() {
+    if (!this.selectedKeyframe) return null;
+    const { obstacleId, property, index } = this.selectedKeyframe;
+    const kf = this.allAnimations[obstacleId]?.tracks[property]?.keyframes[index];
+    return kf ? parseCubicBezier(kf.easing) : null;
+  }
+
+  /**
+   * Give the selected keyframe a custom easing curve
+   * @param {number[]} curve - [x1, y1, x2, y2]
+   */
+  setSelectedCurve(curve) {
+    const { obstacleId, property, index } = this.selectedKeyframe;
+    const animData = this.allAnimations[obstacleId];
+    const kf = animData?.tracks[property]?.keyframes[index];
+    if (!kf) return;
+
+    kf.easing = formatCubicBezier(curve);
+    this.showCurveEditor(parseCubicBezier(kf.easing));
+    this.onKeyframeChange(obstacleId, animData);
+  }
+
+  /**
+   * Show and draw the custom easing editor
+   */
+  showCurveEditor(curve) {
+    this.curveEditor.style.display = 'flex';
+    this.curveInput.value = curve.join(', ');
+
+    const ctx = this.curveCanvas.getContext('2d');
+    const { width, height } = CURVE_CANVAS;
+    const start = this.curveToCanvas(0, 0);
+    const end = this.curveToCanvas(1, 1);
+    const h1 = this.curveToCanvas(curve[0], curve[1]);
+    const h2 = this.curveToCanvas(curve[2], curve[3]);
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Unit box
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(start.x, end.y, end.x - start.x, start.y - end.y);
+
+    // Handle arms
+    ctx.strokeStyle = 'rgba(255, 0, 255, 0.7)';
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(h1.x, h1.y);
+    ctx.moveTo(end.x, end.y);
+    ctx.lineTo(h2.x, h2.y);
+    ctx.stroke();
+
+    // Curve
+    ctx.strokeStyle = '#00ffff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.bezierCurveTo(h1.x, h1.y, h2.x, h2.y, end.x, end.y);
+    ctx.stroke();
+
+    // Handles
+    ctx.fillStyle = '#ff00ff';
+    for (const h of [h1, h2]) {
+      ctx.beginPath();
+      ctx.arc(h.x, h.y, 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  /**
+   * Curve editor coordinates (curve y may overshoot the unit box)
+   */
+  curveToCanvas(x, y) {
+    const { width, height, pad } = CURVE_CANVAS;
+    const size = width - pad * 2;
+    return { x: pad + x * size, y: height / 2 + size / 2 - y * size };
+  }
+
+  canvasToCurve(px, py) {
+    const { width, height, pad } = CURVE_CANVAS;
+    const size = width - pad * 2;
+    const maxY = (height / 2 + size / 2) / size;
+    const minY = maxY - height / size;
+    return {
+      x: Math.min(1, Math.max(0, (px - pad) / size)),
+      y: Math.min(maxY, Math.max(minY, (height / 2 + size / 2 - py) / size))
+    };
+  }
+
+  /**
+   * Build the input for a keyframe value of a property
+   */
+  buildValueInput(property, value) {
+    const def = getPropertyDef(property);
+    if (def.type === 'path') {
+      return ['x', 'y'].map(axis =>
+        `${axis} <input type="number" class="tl-value" data-axis="${axis}" value="${Math.round(value[axis] * 10) / 10}" step="${def.step}">`
+      ).join(' ');
+    }
+    if (def.type === 'boolean') {
+      return `<input type="checkbox" class="tl-value" ${value ? 'checked' : ''}>`;
+    }
+    if (def.type === 'color') {
+      return `<input type="color" class="tl-value" value="${value}">`;
+    }
+    const min = def.min !== undefined ? `min="${def.min}"` : '';
+    const max = def.max !== undefined ? `max="${def.max}"` : '';
+    return `<input type="number" class="tl-value" value="${value}" ${min} ${max} step="${def.step ?? 1}">`;
+  }
+
   /**
    * Delete the selected keyframe
    */
@@ -700,6 +1111,8 @@ export class Timeline {
 
       this.selectedKeyframe = null;
       this.easingSelector.style.display = 'none';
+      this.valueEditor.style.display = 'none';
+      this.curveEditor.style.display = 'none';
       this.renderLayers();
       this.onKeyframeChange(obstacleId, animData);
     }
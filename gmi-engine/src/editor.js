@@ -1,6 +1,72 @@
 import Phaser from 'phaser';
 import { getMapStorage } from './shared/MapStorage.js';
-import { AnimationController } from './animation/AnimationController.js';
+import { AnimationController, GROUP_COLOR } from './animation/AnimationController.js';
+import { getDefaultValue } from './animation/AnimatedProperties.js';
+import { samplePath } from './animation/MotionPath.js';
+import { BOSS_PATTERNS } from './game/systems/BossSystem.js';
+import { BOSS_MOVEMENT_MODES } from './game/managers/BossMovementManager.js';
+import {
+  EditorHistory, propertyCommand, insertCommand, removeCommand, snapshotProps, diffProps
+} from './editor/EditorHistory.js';
+import { createPolygonObstacle, pointInPolygonObstacle } from './shared/PolygonGeometry.js';
+import { drawPolygonShape, drawPinballIndicator, getObstacleAlpha } from './game/rendering/ObstacleRenderer.js';
+import { TRIGGER_ACTIONS } from './game/managers/TriggerManager.js';
+import { HAZARD_TYPES, directionVector } from './game/managers/HazardZoneManager.js';
+import { analyzeMap } from './shared/MapAnalyzer.js';
+import { configStorage, getDefaultConfig } from './ui/ConfigManager.js';
+import { getRaceRoster } from './shared/Roster.js';
+
+// Zone fill/border colors by type (checkpoints match the in-game yellow)
+const ZONE_COLORS = {
+  start: 0x00ff88,
+  finish: 0xff4444,
+  checkpoint: 0xffd43b,
+  trigger: 0xcc5de8,
+  hazard: HAZARD_TYPES.lava.color // new hazards start as lava
+};
+
+// Trigger action labels for the properties panel (order = TRIGGER_ACTIONS)
+const TRIGGER_ACTION_LABELS = {
+  toggleObstacle: 'Show / hide obstacle',
+  startCrusher: 'Start crusher',
+  spawnItem: 'Spawn item',
+  spawnBoss: 'Spawn boss',
+  setGravity: 'Set gravity',
+  setSpeed: 'Set ball speed',
+  banner: 'Show banner'
+};
+
+// A new action, or an action whose type was changed in the panel
+const TRIGGER_ACTION_DEFAULTS = {
+  toggleObstacle: { target: '', state: 'toggle' },
+  startCrusher: { target: '' },
+  spawnItem: { target: '' },
+  spawnBoss: {},
+  setGravity: { x: 0, y: 0.2 },
+  setSpeed: { value: 1.5, duration: 3 },
+  banner: { text: 'Watch out!', duration: 2.5 }
+};
+
+const MAX_LAPS = 20;
+
+// Map analysis: re-run this long after the last change, overlay colors per severity
+const ANALYSIS_DELAY = 250; // ms
+const ANALYSIS_COLORS = {
+  error: 0xff4444,
+  warning: 0xff922b,
+  info: 0x4dabf7
+};
+
+/**
+ * Escape text for an HTML attribute value (panel templates)
+ */
+function escapeAttribute(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// Polygon tool: clicks this close to the first/last point close or finish the outline
+const POLYGON_SNAP_DISTANCE = 10;
+const POLYLINE_THICKNESS = 6;
 
 // ============================================================================
 // Editor Scene - Phaser scene for canvas rendering
@@ -13,12 +79,18 @@ class EditorScene extends Phaser.Scene {
     this.itemSpawns = [];
     this.startZone = null;
     this.finishZone = null;
+    this.checkpoints = [];
+    this.triggers = [];
+    this.hazards = [];
+    this.laps = 1;
     this.selectedObject = null;
     this.currentTool = 'select';
     this.isDrawing = false;
     this.drawStart = { x: 0, y: 0 };
+    this.polygonPoints = [];
     this.previewGraphics = null;
     this.selectionHandles = [];
+    this.pathHandles = [];
     this.mapWidth = 800;
     this.mapHeight = 600;
 
@@ -28,6 +100,12 @@ class EditorScene extends Phaser.Scene {
     this.gridColor = 0xcccccc;
     this.gridSize = 50;
     this.showGrid = true;
+
+    // Playability analysis (see shared/MapAnalyzer.js)
+    this.analysis = null;
+    this.analysisTimer = null;
+    this.showAnalysis = true;
+    this.highlightedIssue = -1;
   }
 
   init(data) {
@@ -46,6 +124,9 @@ class EditorScene extends Phaser.Scene {
     // Zone layer (start/finish)
     this.zoneLayer = this.add.graphics();
 
+    // Analysis overlay (problem areas found by the map analyzer)
+    this.analysisLayer = this.add.graphics();
+
     // Selection layer
     this.selectionLayer = this.add.graphics();
 
@@ -78,6 +159,8 @@ class EditorScene extends Phaser.Scene {
     // Keyboard
     this.input.keyboard.on('keydown-DELETE', this.deleteSelected, this);
     this.input.keyboard.on('keydown-BACKSPACE', this.deleteSelected, this);
+    this.input.keyboard.on('keydown-ENTER', () => this.finishPolygon(false));
+    this.input.keyboard.on('keydown-ESC', this.cancelPolygon, this);
 
     console.log('EditorScene created', this.mapWidth, 'x', this.mapHeight);
   }
@@ -120,6 +203,7 @@ class EditorScene extends Phaser.Scene {
   }
 
   setTool(tool) {
+    this.cancelPolygon();
     this.currentTool = tool;
     this.clearSelection();
   }
@@ -147,6 +231,9 @@ class EditorScene extends Phaser.Scene {
     } else if (this.currentTool === 'item') {
       // Item spawn placement - instant click, no drag
       this.placeItemSpawn(x, y);
+    } else if (this.currentTool === 'polygon') {
+      // Polygon outline - one click per point
+      this.addPolygonPoint(x, y);
     } else {
       // Start drawing
       this.isDrawing = true;
@@ -168,6 +255,12 @@ class EditorScene extends Phaser.Scene {
     // Note: dragging and resizing are handled by onDragMove/onResizeMove
     // which are attached separately in startDrag/startResize
 
+    if (this.currentTool === 'polygon' && this.polygonPoints.length > 0) {
+      const worldPoint = this.cameras.main.getWorldPoint(pointer.x, pointer.y);
+      this.drawPreviewPolygon(worldPoint.x, worldPoint.y);
+      return;
+    }
+
     if (!this.isDrawing) return;
 
     // Convert to world coordinates for drawing preview
@@ -181,7 +274,7 @@ class EditorScene extends Phaser.Scene {
       this.drawPreviewRect(this.drawStart.x, this.drawStart.y, x, y);
     } else if (this.currentTool === 'circle') {
       this.drawPreviewCircle(this.drawStart.x, this.drawStart.y, x, y);
-    } else if (this.currentTool === 'start' || this.currentTool === 'finish') {
+    } else if (['start', 'finish', 'checkpoint', 'trigger', 'hazard'].includes(this.currentTool)) {
       this.drawPreviewZone(this.drawStart.x, this.drawStart.y, x, y, this.currentTool);
     }
   }
@@ -221,14 +314,26 @@ class EditorScene extends Phaser.Scene {
       this.createStartZone(this.drawStart.x, this.drawStart.y, x, y);
     } else if (this.currentTool === 'finish') {
       this.createFinishZone(this.drawStart.x, this.drawStart.y, x, y);
+    } else if (this.currentTool === 'checkpoint') {
+      this.createCheckpoint(this.drawStart.x, this.drawStart.y, x, y);
+    } else if (this.currentTool === 'trigger') {
+      this.createTrigger(this.drawStart.x, this.drawStart.y, x, y);
+    } else if (this.currentTool === 'hazard') {
+      this.createHazard(this.drawStart.x, this.drawStart.y, x, y);
     }
   }
 
   // ---- Selection ----
 
   handleSelectClick(x, y) {
-    // Check if clicked on a handle
+    // Check if clicked on a handle (motion path handles sit on top)
     if (this.selectedObject) {
+      const pathHandle = this.getPathHandleAtPoint(x, y);
+      if (pathHandle) {
+        this.startPathDrag(pathHandle);
+        return;
+      }
+
       const handle = this.getHandleAtPoint(x, y);
       if (handle) {
         this.startResize(handle, x, y);
@@ -236,6 +341,14 @@ class EditorScene extends Phaser.Scene {
       }
     }
 
+    // Animation group pivots sit on top of what they group
+    const group = this.getAnimationGroupAtPoint(x, y);
+    if (group) {
+      this.selectObject(group, 'group');
+      this.startDrag(x, y);
+      return;
+    }
+
     // Check zones first
     if (this.startZone && this.pointInRect(x, y, this.startZone)) {
       this.selectObject(this.startZone, 'start');
@@ -245,6 +358,18 @@ class EditorScene extends Phaser.Scene {
       this.selectObject(this.finishZone, 'finish');
       return;
     }
+    for (let i = this.checkpoints.length - 1; i >= 0; i--) {
+      if (this.pointInRect(x, y, this.checkpoints[i])) {
+        this.selectObject(this.checkpoints[i], 'checkpoint');
+        return;
+      }
+    }
+    for (let i = this.triggers.length - 1; i >= 0; i--) {
+      if (this.pointInRect(x, y, this.triggers[i])) {
+        this.selectObject(this.triggers[i], 'trigger');
+        return;
+      }
+    }
 
     // Check obstacles (reverse order - top items first)
     for (let i = this.obstacles.length - 1; i >= 0; i--) {
@@ -267,6 +392,14 @@ class EditorScene extends Phaser.Scene {
       }
     }
 
+    // Hazards last: they are floor areas and often lie under obstacles
+    for (let i = this.hazards.length - 1; i >= 0; i--) {
+      if (this.pointInRect(x, y, this.hazards[i])) {
+        this.selectObject(this.hazards[i], 'hazard');
+        return;
+      }
+    }
+
     // Clicked on nothing
     this.clearSelection();
   }
@@ -281,6 +414,9 @@ class EditorScene extends Phaser.Scene {
       const dx = x - obj.x;
       const dy = y - obj.y;
       return (dx * dx + dy * dy) <= (obj.radius * obj.radius);
+    } else if (obj.type === 'polygon') {
+      // Small margin so thin paths are still easy to click
+      return pointInPolygonObstacle(obj, x, y, 3);
     } else {
       return this.pointInRect(x, y, obj);
     }
@@ -300,6 +436,7 @@ class EditorScene extends Phaser.Scene {
   clearSelection() {
     this.selectedObject = null;
     this.selectedType = null;
+    this.pathHandles = [];
     this.selectionLayer.clear();
     this.handleLayer.clear();
 
@@ -319,13 +456,19 @@ class EditorScene extends Phaser.Scene {
     // Highlight color
     this.selectionLayer.lineStyle(2, 0x00ffff, 1);
 
-    if (obj.type === 'circle') {
+    if (obj.type === 'group') {
+      // Pivots have no size to resize
+      this.selectionLayer.strokeCircle(obj.x, obj.y, 12);
+      this.selectionHandles = [];
+    } else if (obj.type === 'circle') {
       this.selectionLayer.strokeCircle(obj.x, obj.y, obj.radius + 3);
       this.drawCircleHandles(obj);
     } else {
       this.selectionLayer.strokeRect(obj.x - 2, obj.y - 2, obj.width + 4, obj.height + 4);
       this.drawRectHandles(obj);
     }
+
+    this.drawMotionPath(obj);
   }
 
   drawRectHandles(obj) {
@@ -386,6 +529,173 @@ class EditorScene extends Phaser.Scene {
     return null;
   }
 
+  // ---- Motion paths ----
+
+  /**
+   * Path track of the selected obstacle's animation, or null
+   */
+  getSelectedPathTrack() {
+    if ((this.selectedType !== 'obstacle' && this.selectedType !== 'group') || !this.selectedObject) return null;
+    const anim = window.editorUI?.animationController?.animations[this.selectedObject.id];
+    return anim?.tracks.path || null;
+  }
+
+  /**
+   * World position path offsets are relative to (the obstacle's animation base)
+   */
+  getPathOrigin(obj) {
+    if (obj.animBaseX !== undefined) return { x: obj.animBaseX, y: obj.animBaseY };
+    if (obj.type === 'circle' || obj.type === 'group') return { x: obj.x, y: obj.y };
+    return { x: obj.x + (obj.width || 0) / 2, y: obj.y + (obj.height || 0) / 2 };
+  }
+
+  /**
+   * Draw the selected obstacle's motion path with its vertex and bezier handles
+   */
+  drawMotionPath(obj) {
+    this.pathHandles = [];
+    const track = this.getSelectedPathTrack();
+    if (!track || track.keyframes.length === 0) return;
+
+    const origin = this.getPathOrigin(obj);
+    const points = samplePath(track.keyframes).map(p => ({ x: origin.x + p.x, y: origin.y + p.y }));
+
+    this.selectionLayer.lineStyle(2, 0xff00ff, 0.8);
+    this.selectionLayer.strokePoints(points);
+
+    track.keyframes.forEach((kf, index) => {
+      const vx = origin.x + kf.value.x;
+      const vy = origin.y + kf.value.y;
+
+      // Bezier handles (zero-length handles stay hidden under the vertex)
+      for (const kind of ['inTangent', 'outTangent']) {
+        const tangent = kf[kind];
+        if (!tangent || (tangent.x === 0 && tangent.y === 0)) continue;
+
+        const hx = vx + tangent.x;
+        const hy = vy + tangent.y;
+        this.handleLayer.lineStyle(1, 0xff00ff, 0.7);
+        this.handleLayer.lineBetween(vx, vy, hx, hy);
+        this.handleLayer.fillStyle(0xff00ff, 1);
+        this.handleLayer.fillCircle(hx, hy, 4);
+        this.pathHandles.push({ x: hx, y: hy, kind, index });
+      }
+
+      this.handleLayer.fillStyle(0xffffff, 1);
+      this.handleLayer.lineStyle(1, 0xff00ff, 1);
+      this.handleLayer.fillRect(vx - 4, vy - 4, 8, 8);
+      this.handleLayer.strokeRect(vx - 4, vy - 4, 8, 8);
+      this.pathHandles.push({ x: vx, y: vy, kind: 'vertex', index });
+    });
+  }
+
+  getPathHandleAtPoint(x, y) {
+    const tolerance = 8;
+    // Last drawn first: vertices win over handles they overlap
+    for (let i = this.pathHandles.length - 1; i >= 0; i--) {
+      const handle = this.pathHandles[i];
+      if (Math.abs(x - handle.x) <= tolerance && Math.abs(y - handle.y) <= tolerance) {
+        return handle;
+      }
+    }
+    return null;
+  }
+
+  startPathDrag(handle) {
+    this.pathDragHandle = handle;
+    this.input.off('pointermove', this.onPointerMove, this);
+    this.input.on('pointermove', this.onPathDragMove, this);
+    this.input.once('pointerup', this.onPathDragEnd, this);
+  }
+
+  onPathDragMove(pointer) {
+    const track = this.getSelectedPathTrack();
+    const kf = track?.keyframes[this.pathDragHandle?.index];
+    if (!kf) return;
+
+    const worldPoint = this.cameras.main.getWorldPoint(pointer.x, pointer.y);
+    const origin = this.getPathOrigin(this.selectedObject);
+    const { kind } = this.pathDragHandle;
+
+    if (kind === 'vertex') {
+      kf.value = { x: Math.round(worldPoint.x - origin.x), y: Math.round(worldPoint.y - origin.y) };
+    } else {
+      const tangent = {
+        x: Math.round(worldPoint.x - origin.x - kf.value.x),
+        y: Math.round(worldPoint.y - origin.y - kf.value.y)
+      };
+      kf[kind] = tangent;
+
+      // Keep the vertex smooth: the opposite handle turns along, keeping its length
+      const opposite = kind === 'inTangent' ? 'outTangent' : 'inTangent';
+      const otherLength = kf[opposite] ? Math.hypot(kf[opposite].x, kf[opposite].y) : 0;
+      const length = Math.hypot(tangent.x, tangent.y);
+      if (otherLength > 0 && length > 0) {
+        kf[opposite] = {
+          x: Math.round(-tangent.x / length * otherLength),
+          y: Math.round(-tangent.y / length * otherLength)
+        };
+      }
+    }
+
+    const controller = window.editorUI.animationController;
+    controller.updateObstacleAtTime(this.selectedObject.id, controller.timeline?.currentTime || 0);
+    this.drawSelection();
+  }
+
+  onPathDragEnd() {
+    this.input.off('pointermove', this.onPathDragMove, this);
+    this.input.on('pointermove', this.onPointerMove, this);
+    this.pathDragHandle = null;
+
+    const controller = window.editorUI?.animationController;
+    const obstacleId = this.selectedObject?.id;
+    const anim = controller?.animations[obstacleId];
+    if (!anim) return;
+
+    controller.timeline?.setAnimation(obstacleId, anim);
+    controller.onAnimationChange(obstacleId, anim);
+  }
+
+  // ---- Animation groups ----
+
+  /**
+   * Draw animation group pivots (diamonds) with a line to each member
+   */
+  drawAnimationGroups() {
+    const controller = window.editorUI?.animationController;
+    if (!controller) return;
+
+    const color = parseInt(GROUP_COLOR.replace('#', ''), 16);
+    for (const group of Object.values(controller.groups)) {
+      this.obstacleLayer.lineStyle(1, color, 0.35);
+      for (const childId of group.children) {
+        const child = controller.groups[childId] || this.obstacles.find(o => o.id === childId);
+        const center = controller.getObstacleCenter(child);
+        if (center) this.obstacleLayer.lineBetween(group.x, group.y, center.x, center.y);
+      }
+
+      this.obstacleLayer.fillStyle(color, 0.9);
+      this.obstacleLayer.lineStyle(1, 0x000000, 1);
+      const diamond = [
+        { x: group.x, y: group.y - 7 },
+        { x: group.x + 7, y: group.y },
+        { x: group.x, y: group.y + 7 },
+        { x: group.x - 7, y: group.y }
+      ];
+      this.obstacleLayer.fillPoints(diamond, true);
+      this.obstacleLayer.strokePoints(diamond, true);
+    }
+  }
+
+  getAnimationGroupAtPoint(x, y) {
+    const groups = window.editorUI?.animationController?.groups || {};
+    const tolerance = 8;
+    return Object.values(groups).find(group =>
+      Math.abs(x - group.x) <= tolerance && Math.abs(y - group.y) <= tolerance
+    ) || null;
+  }
+
   // ---- Dragging ----
 
   startDrag(x, y) {
@@ -426,15 +736,33 @@ class EditorScene extends Phaser.Scene {
     this.input.on('pointermove', this.onPointerMove, this);
 
     if (window.editorUI && this.selectedObject) {
-      window.editorUI.onObjectSelected(this.selectedObject, this.selectedType);
+      const obj = this.selectedObject;
+      const moved = obj.x !== this.dragObjectStart.x || obj.y !== this.dragObjectStart.y;
+      const history = window.editorUI.history;
+      const label = `Move ${this.describeObject(obj, this.selectedType)}`;
+
+      history.beginGroup(label);
+      if (moved && this.selectedType === 'group') {
+        // Groups live in the animation controller, with their own undo snapshots
+        window.editorUI.recordGroupChange(label);
+      } else if (moved) {
+        history.push(propertyCommand(label, obj, this.dragObjectStart, { x: obj.x, y: obj.y }));
+      }
+
+      window.editorUI.onObjectSelected(obj, this.selectedType);
 
       // Trigger auto-keyframe after drag
-      if (window.editorUI.isAutoKeyframeEnabled() &&
-          window.editorUI.animationController?.animations[this.selectedObject.id]) {
+      if (moved && window.editorUI.isAutoKeyframeEnabled() &&
+          window.editorUI.animationController?.animations[obj.id]) {
         console.log('[Drag] Auto-keyframing position after drag');
-        window.editorUI.recordKeyframeFromCurrentPosition('x');
-        window.editorUI.recordKeyframeFromCurrentPosition('y');
+        if (this.getSelectedPathTrack()) {
+          window.editorUI.recordKeyframeFromCurrentPosition('path');
+        } else {
+          window.editorUI.recordKeyframeFromCurrentPosition('x');
+          window.editorUI.recordKeyframeFromCurrentPosition('y');
+        }
       }
+      history.endGroup();
     }
   }
 
@@ -525,7 +853,17 @@ class EditorScene extends Phaser.Scene {
     this.input.on('pointermove', this.onPointerMove, this);
 
     if (window.editorUI && this.selectedObject) {
-      window.editorUI.onObjectSelected(this.selectedObject, this.selectedType);
+      const obj = this.selectedObject;
+      const keys = ['x', 'y', 'width', 'height', 'radius'];
+      const pick = (source) => Object.fromEntries(keys.map(key => [key, source[key]]));
+      const changed = diffProps(pick(this.resizeObjectStart), pick(obj));
+      if (changed) {
+        this.recordHistory(propertyCommand(
+          `Resize ${this.describeObject(obj, this.selectedType)}`, obj, changed.before, changed.after
+        ));
+      }
+
+      window.editorUI.onObjectSelected(obj, this.selectedType);
     }
   }
 
@@ -552,13 +890,31 @@ class EditorScene extends Phaser.Scene {
     this.previewGraphics.strokeCircle(x1, y1, radius);
   }
 
+  drawPreviewPolygon(cursorX, cursorY) {
+    const points = [...this.polygonPoints, { x: cursorX, y: cursorY }];
+
+    this.previewGraphics.clear();
+    if (points.length >= 3) {
+      this.previewGraphics.fillStyle(0x4a5568, 0.5);
+      this.previewGraphics.fillPoints(points, true);
+    }
+    this.previewGraphics.lineStyle(2, 0x00ffff, 0.8);
+    this.previewGraphics.strokePoints(points, false);
+
+    // The first point is drawn larger: clicking it closes the outline
+    this.previewGraphics.fillStyle(0x00ffff, 1);
+    this.polygonPoints.forEach((p, i) => {
+      this.previewGraphics.fillCircle(p.x, p.y, i === 0 ? 6 : 3);
+    });
+  }
+
   drawPreviewZone(x1, y1, x2, y2, type) {
     const x = Math.min(x1, x2);
     const y = Math.min(y1, y2);
     const w = Math.abs(x2 - x1);
     const h = Math.abs(y2 - y1);
 
-    const color = type === 'start' ? 0x00ff88 : 0xff4444;
+    const color = ZONE_COLORS[type] ?? ZONE_COLORS.finish;
 
     this.previewGraphics.lineStyle(3, color, 0.8);
     this.previewGraphics.fillStyle(color, 0.2);
@@ -602,6 +958,7 @@ class EditorScene extends Phaser.Scene {
     };
 
     this.obstacles.push(obstacle);
+    this.recordHistory(insertCommand(`Add ${obstacle.type}`, this.obstacles, obstacle));
     this.redraw();
     this.selectObject(obstacle, 'obstacle');
     this.updateStatus();
@@ -629,19 +986,47 @@ class EditorScene extends Phaser.Scene {
     };
 
     this.obstacles.push(obstacle);
+    this.recordHistory(insertCommand(`Add ${obstacle.type}`, this.obstacles, obstacle));
+    this.redraw();
+    this.selectObject(obstacle, 'obstacle');
+    this.updateStatus();
+  }
+
+  createPolygon(points, closed) {
+    const obstacle = createPolygonObstacle(points, {
+      id: 'obs-' + Date.now(),
+      closed,
+      ...(closed ? {} : { thickness: POLYLINE_THICKNESS }),
+      angle: 0,
+      color: '#e74c3c',
+      behavior: 'static',
+      health: 3,
+      breakableBy: ['Red', 'Blue'],
+      rotationSpeed: 2,
+      rotationDirection: 'cw',
+      moveDirection: 'horizontal',
+      moveDistance: 100,
+      moveSpeed: 50
+    });
+    if (!obstacle) return;
+
+    this.obstacles.push(obstacle);
+    this.recordHistory(insertCommand(`Add ${obstacle.type}`, this.obstacles, obstacle));
     this.redraw();
     this.selectObject(obstacle, 'obstacle');
     this.updateStatus();
   }
 
   createStartZone(x1, y1, x2, y2) {
-    this.startZone = {
+    const previous = this.startZone;
+    this.setZone('start', {
       type: 'start',
       x: Math.min(x1, x2),
       y: Math.min(y1, y2),
       width: Math.max(50, Math.abs(x2 - x1)),
       height: Math.max(20, Math.abs(y2 - y1))
-    };
+    });
+    this.recordHistory(this.zoneCommand('Place start zone', 'start', previous, this.startZone));
 
     this.redraw();
     this.selectObject(this.startZone, 'start');
@@ -649,41 +1034,177 @@ class EditorScene extends Phaser.Scene {
   }
 
   createFinishZone(x1, y1, x2, y2) {
-    this.finishZone = {
+    const previous = this.finishZone;
+    this.setZone('finish', {
       type: 'finish',
       x: Math.min(x1, x2),
       y: Math.min(y1, y2),
       width: Math.max(50, Math.abs(x2 - x1)),
       height: Math.max(20, Math.abs(y2 - y1))
-    };
+    });
+    this.recordHistory(this.zoneCommand('Place finish zone', 'finish', previous, this.finishZone));
 
     this.redraw();
     this.selectObject(this.finishZone, 'finish');
     this.updateValidation();
   }
 
+  createCheckpoint(x1, y1, x2, y2) {
+    const checkpoint = {
+      type: 'checkpoint',
+      x: Math.min(x1, x2),
+      y: Math.min(y1, y2),
+      width: Math.max(20, Math.abs(x2 - x1)),
+      height: Math.max(20, Math.abs(y2 - y1))
+    };
+
+    this.checkpoints.push(checkpoint);
+    this.recordHistory(insertCommand('Add checkpoint', this.checkpoints, checkpoint));
+    this.redraw();
+    this.selectObject(checkpoint, 'checkpoint');
+  }
+
+  createTrigger(x1, y1, x2, y2) {
+    const trigger = {
+      type: 'trigger',
+      id: 'trigger-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+      x: Math.min(x1, x2),
+      y: Math.min(y1, y2),
+      width: Math.max(20, Math.abs(x2 - x1)),
+      height: Math.max(20, Math.abs(y2 - y1)),
+      event: 'enter',
+      delay: 0,
+      cooldown: 0,
+      actions: []
+    };
+
+    this.triggers.push(trigger);
+    this.recordHistory(insertCommand('Add trigger', this.triggers, trigger));
+    this.redraw();
+    this.selectObject(trigger, 'trigger');
+  }
+
+  createHazard(x1, y1, x2, y2) {
+    const hazard = {
+      type: 'hazard',
+      id: 'hazard-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+      kind: 'lava',
+      x: Math.min(x1, x2),
+      y: Math.min(y1, y2),
+      width: Math.max(20, Math.abs(x2 - x1)),
+      height: Math.max(20, Math.abs(y2 - y1)),
+      ...HAZARD_TYPES.lava.params
+    };
+
+    this.hazards.push(hazard);
+    this.recordHistory(insertCommand('Add hazard', this.hazards, hazard));
+    this.redraw();
+    this.selectObject(hazard, 'hazard');
+  }
+
+  // ---- Polygon Tool ----
+
+  /**
+   * Add an outline point. Clicking the first point closes the polygon,
+   * clicking the last point again (double-click) finishes an open path
+   */
+  addPolygonPoint(x, y) {
+    const points = this.polygonPoints;
+    const isNear = (p) => Math.hypot(p.x - x, p.y - y) <= POLYGON_SNAP_DISTANCE;
+
+    if (points.length >= 3 && isNear(points[0])) {
+      this.finishPolygon(true);
+    } else if (points.length >= 2 && isNear(points[points.length - 1])) {
+      this.finishPolygon(false);
+    } else {
+      points.push({ x, y });
+      this.drawPreviewPolygon(x, y);
+    }
+  }
+
+  finishPolygon(closed) {
+    const points = this.polygonPoints;
+    if (points.length === 0) return;
+
+    this.polygonPoints = [];
+    this.previewGraphics.clear();
+    if (points.length >= (closed ? 3 : 2)) {
+      this.createPolygon(points, closed);
+    }
+  }
+
+  cancelPolygon() {
+    this.polygonPoints = [];
+    this.previewGraphics?.clear();
+  }
+
   // ---- Delete ----
 
   deleteSelected() {
+    // While drawing a polygon, Delete/Backspace removes the last point
+    if (this.polygonPoints.length > 0) {
+      this.polygonPoints.pop();
+      const last = this.polygonPoints[this.polygonPoints.length - 1];
+      if (last) this.drawPreviewPolygon(last.x, last.y);
+      else this.previewGraphics.clear();
+      return;
+    }
+
     if (!this.selectedObject) return;
 
+    const obj = this.selectedObject;
+    const label = `Delete ${this.describeObject(obj, this.selectedType)}`;
+
     if (this.selectedType === 'obstacle') {
-      const idx = this.obstacles.indexOf(this.selectedObject);
+      const idx = this.obstacles.indexOf(obj);
       if (idx !== -1) {
         this.obstacles.splice(idx, 1);
+        this.recordHistory(removeCommand(label, this.obstacles, obj, idx));
       }
-    } else if (this.selectedType === 'start') {
-      this.startZone = null;
-    } else if (this.selectedType === 'finish') {
-      this.finishZone = null;
-    } else if (this.selectedType === 'itemSpawn') {
-      // Destroy the label text if it exists
-      if (this.selectedObject.labelText) {
-        this.selectedObject.labelText.destroy();
+    } else if (this.selectedType === 'start' || this.selectedType === 'finish') {
+      this.setZone(this.selectedType, null);
+      this.recordHistory(this.zoneCommand(label, this.selectedType, obj, null));
+    } else if (this.selectedType === 'checkpoint') {
+      const idx = this.checkpoints.indexOf(obj);
+      if (idx !== -1) {
+        this.removeCheckpoint(obj);
+        this.recordHistory({
+          label,
+          undo: () => this.checkpoints.splice(idx, 0, obj),
+          redo: () => this.removeCheckpoint(obj)
+        });
+      }
+    } else if (this.selectedType === 'trigger') {
+      const idx = this.triggers.indexOf(obj);
+      if (idx !== -1) {
+        this.removeTrigger(obj);
+        this.recordHistory({
+          label,
+          undo: () => this.triggers.splice(idx, 0, obj),
+          redo: () => this.removeTrigger(obj)
+        });
       }
-      const idx = this.itemSpawns.indexOf(this.selectedObject);
+    } else if (this.selectedType === 'hazard') {
+      const idx = this.hazards.indexOf(obj);
       if (idx !== -1) {
-        this.itemSpawns.splice(idx, 1);
+        this.removeHazard(obj);
+        this.recordHistory({
+          label,
+          undo: () => this.hazards.splice(idx, 0, obj),
+          redo: () => this.removeHazard(obj)
+        });
+      }
+    } else if (this.selectedType === 'group') {
+      window.editorUI?.deleteAnimationGroup(obj.id);
+    } else if (this.selectedType === 'itemSpawn') {
+      const idx = this.itemSpawns.indexOf(obj);
+      if (idx !== -1) {
+        this.removeItemSpawn(obj);
+        this.recordHistory({
+          label,
+          undo: () => this.itemSpawns.splice(idx, 0, obj),
+          redo: () => this.removeItemSpawn(obj)
+        });
       }
     }
 
@@ -699,24 +1220,32 @@ class EditorScene extends Phaser.Scene {
     this.obstacleLayer.clear();
     this.zoneLayer.clear();
 
-    // Draw zones
+    // Draw zones (hazards first, they are floor areas)
+    this.drawHazards();
     if (this.startZone) {
-      this.drawZone(this.startZone, 0x00ff88, 'START');
+      this.drawZone(this.startZone, ZONE_COLORS.start, 'START');
     }
     if (this.finishZone) {
-      this.drawZone(this.finishZone, 0xff4444, 'FINISH');
+      this.drawZone(this.finishZone, ZONE_COLORS.finish, 'FINISH');
     }
+    this.checkpoints.forEach((checkpoint, i) => {
+      this.drawZone(checkpoint, ZONE_COLORS.checkpoint, `CP ${i + 1}`);
+    });
+    this.drawTriggers();
 
     // Draw obstacles
     for (const obs of this.obstacles) {
       this.drawObstacle(obs);
     }
+    this.drawAnimationGroups();
 
     // Draw item spawns
     this.drawItemSpawns();
 
     // Draw boss preview
     this.drawBossPreview();
+
+    this.scheduleAnalysis();
   }
 
   drawBossPreview() {
@@ -760,6 +1289,35 @@ class EditorScene extends Phaser.Scene {
     this.zoneLayer.fillCircle(x - width / 5, y - height / 6 + 2, 3);
     this.zoneLayer.fillCircle(x + width / 5, y - height / 6 + 2, 3);
 
+    // Draw movement: patrol loops as lines, teleport anchors as boxes
+    const movements = [{ movement: config.movement, color }]
+      .concat((config.phases || []).map(phase => ({ movement: phase.movement, color: phase.color ?? color })));
+    movements.forEach(({ movement, color: lineColor }) => {
+      if (!movement) return;
+      this.zoneLayer.lineStyle(2, lineColor, 0.7);
+
+      const waypoints = movement.waypoints || [];
+      if (waypoints.length > 0) {
+        this.zoneLayer.beginPath();
+        this.zoneLayer.moveTo(waypoints[waypoints.length - 1].x, waypoints[waypoints.length - 1].y);
+        waypoints.forEach(p => this.zoneLayer.lineTo(p.x, p.y));
+        this.zoneLayer.strokePath();
+        waypoints.forEach(p => this.zoneLayer.strokeCircle(p.x, p.y, 5));
+      }
+      (movement.anchors || []).forEach(p => {
+        this.zoneLayer.strokeRect(p.x - width / 2, p.y - height / 2, width, height);
+      });
+    });
+
+    // Draw parts at their offsets
+    (config.parts || []).forEach(part => {
+      const radius = part.radius || 14;
+      this.zoneLayer.fillStyle(color, 0.8);
+      this.zoneLayer.lineStyle(2, 0xffaa00, 1);
+      this.zoneLayer.fillCircle(x + part.offsetX, y + part.offsetY, radius);
+      this.zoneLayer.strokeCircle(x + part.offsetX, y + part.offsetY, radius);
+    });
+
     // Draw BOSS label
     if (!this.bossLabel) {
       this.bossLabel = this.add.text(0, 0, 'BOSS', {
@@ -780,6 +1338,9 @@ class EditorScene extends Phaser.Scene {
   }
 
   placeBoss(x, y) {
+    const history = window.editorUI?.history;
+    history?.beginGroup('Place boss');
+
     // Enable boss if not already enabled
     const bossToggle = document.getElementById('boss-enabled');
     if (bossToggle && !bossToggle.checked) {
@@ -801,7 +1362,9 @@ class EditorScene extends Phaser.Scene {
     // Mark as having unsaved changes
     if (window.editorUI) {
       window.editorUI.hasUnsavedChanges = true;
+      window.editorUI.recordBossChange('Place boss');
     }
+    history?.endGroup();
 
     console.log('[EditorScene] Boss placed at', Math.round(x), Math.round(y));
   }
@@ -818,6 +1381,11 @@ class EditorScene extends Phaser.Scene {
     };
 
     this.itemSpawns.push(spawn);
+    this.recordHistory({
+      label: 'Place item spawn',
+      undo: () => this.removeItemSpawn(spawn),
+      redo: () => this.itemSpawns.push(spawn)
+    });
     this.redraw();
 
     // Select the new spawn for editing
@@ -899,9 +1467,55 @@ class EditorScene extends Phaser.Scene {
     zone.labelText.setText(label);
   }
 
+  /**
+   * Trigger zones, labelled with their number and event
+   */
+  drawTriggers() {
+    this.triggers.forEach((trigger, i) => {
+      const when = trigger.event === 'time' ? `${trigger.delay || 0}s` : trigger.event;
+      this.drawZone(trigger, ZONE_COLORS.trigger, `T${i + 1} ${when}`);
+    });
+  }
+
+  /**
+   * Hazard zones in their kind's color, with an arrow for wind and conveyors
+   */
+  drawHazards() {
+    this.hazards.forEach(hazard => {
+      const type = HAZARD_TYPES[hazard.kind] || HAZARD_TYPES.lava;
+      const detail = {
+        lava: `${hazard.damage}/${hazard.interval}s`,
+        mud: `x${hazard.multiplier}`,
+        speed: `x${hazard.multiplier}`,
+        wind: `${hazard.direction}°`,
+        conveyor: `${hazard.direction}°`
+      }[hazard.kind];
+      this.drawZone(hazard, type.color, detail ? `${type.label} ${detail}` : type.label);
+      hazard.labelText.setColor('#' + type.color.toString(16).padStart(6, '0')); // the kind may have changed
+
+      if (hazard.kind === 'wind' || hazard.kind === 'conveyor') {
+        const { x: dx, y: dy } = directionVector(hazard.direction);
+        const cx = hazard.x + hazard.width / 2;
+        const cy = hazard.y + hazard.height / 2;
+        const length = Math.min(hazard.width, hazard.height) * 0.4;
+        const tipX = cx + dx * length;
+        const tipY = cy + dy * length;
+        this.zoneLayer.lineStyle(3, type.color, 0.9);
+        this.zoneLayer.lineBetween(cx - dx * length, cy - dy * length, tipX, tipY);
+        this.zoneLayer.fillStyle(type.color, 0.9);
+        this.zoneLayer.fillTriangle(
+          tipX + dx * 8, tipY + dy * 8,
+          tipX - dy * 6, tipY + dx * 6,
+          tipX + dy * 6, tipY - dx * 6
+        );
+      }
+    });
+  }
+
   drawObstacle(obs) {
     const color = parseInt(obs.color.replace('#', ''), 16);
-    this.obstacleLayer.fillStyle(color, 1);
+    const alpha = this.getEditorAlpha(obs);
+    this.obstacleLayer.fillStyle(color, alpha);
 
     if (obs.type === 'circle') {
       this.obstacleLayer.fillCircle(obs.x, obs.y, obs.radius);
@@ -914,9 +1528,15 @@ class EditorScene extends Phaser.Scene {
         this.drawBreakableIndicator(obs.x, obs.y, obs.radius);
       } else if (obs.behavior === 'moving') {
         this.drawMovingIndicator(obs);
+      } else {
+        this.drawPinballMarkings(obs, obs.x, obs.y);
       }
     } else {
-      this.obstacleLayer.fillRect(obs.x, obs.y, obs.width, obs.height);
+      if (obs.type === 'polygon') {
+        drawPolygonShape(this.obstacleLayer, obs, color, null, alpha);
+      } else {
+        this.obstacleLayer.fillRect(obs.x, obs.y, obs.width, obs.height);
+      }
 
       // Behavior indicators
       const cx = obs.x + obs.width / 2;
@@ -931,10 +1551,29 @@ class EditorScene extends Phaser.Scene {
         this.drawMovingIndicator(obs);
       } else if (obs.behavior === 'crusher') {
         this.drawCrusherIndicator(obs);
+      } else {
+        this.drawPinballMarkings(obs, cx, cy);
       }
     }
   }
 
+  /**
+   * Fill alpha in the editor; obstacles hidden until a trigger are faded
+   */
+  getEditorAlpha(obs) {
+    return getObstacleAlpha(obs) * (obs.startHidden ? 0.35 : 1);
+  }
+
+  /**
+   * Bumper, flipper, boost and portal markings centred on (cx, cy)
+   */
+  drawPinballMarkings(obs, cx, cy) {
+    this.obstacleLayer.save();
+    this.obstacleLayer.translateCanvas(cx, cy);
+    drawPinballIndicator(this.obstacleLayer, obs);
+    this.obstacleLayer.restore();
+  }
+
   drawBreakableIndicator(x, y, size) {
     // Draw crack pattern
     this.obstacleLayer.lineStyle(2, 0xffffff, 0.5);
@@ -1031,13 +1670,182 @@ class EditorScene extends Phaser.Scene {
     }
   }
 
+  // ---- Map Analysis ----
+
+  /**
+   * Re-run the playability analysis once the map stops changing
+   */
+  scheduleAnalysis() {
+    clearTimeout(this.analysisTimer);
+    this.analysisTimer = setTimeout(() => this.runAnalysis(), ANALYSIS_DELAY);
+  }
+
+  /**
+   * Analyze the map for the game's configured ball size and roster
+   */
+  runAnalysis() {
+    const config = configStorage.load('default') || getDefaultConfig();
+    const ballNames = getRaceRoster(config).map(racer => racer.name);
+
+    this.analysis = analyzeMap(
+      { width: this.mapWidth, height: this.mapHeight, data: this.getMapData() },
+      { ballRadius: config.balls.radius, ballNames }
+    );
+    this.highlightedIssue = -1;
+    this.drawAnalysis();
+    window.editorUI?.renderAnalysisPanel(this.analysis);
+  }
+
+  drawAnalysis() {
+    const layer = this.analysisLayer;
+    if (!layer) return;
+    layer.clear();
+    if (!this.analysis || !this.showAnalysis) return;
+
+    this.analysis.issues.forEach((issue, i) => {
+      const color = ANALYSIS_COLORS[issue.severity];
+      const highlighted = i === this.highlightedIssue;
+      const { x, y, width, height } = issue.area;
+
+      layer.fillStyle(color, highlighted ? 0.35 : 0.15);
+      layer.fillRect(x, y, width, height);
+      layer.lineStyle(highlighted ? 3 : 2, color, 0.9);
+      layer.strokeRect(x, y, width, height);
+
+      // Narrow gaps also show the gap itself
+      if (issue.line) {
+        layer.lineStyle(3, color, 1);
+        layer.lineBetween(issue.line.x1, issue.line.y1, issue.line.x2, issue.line.y2);
+      }
+    });
+  }
+
+  /**
+   * Highlight an issue, centre the view on it and select its obstacle
+   */
+  focusIssue(index) {
+    const issue = this.analysis?.issues[index];
+    if (!issue) return;
+
+    this.highlightedIssue = index;
+    this.drawAnalysis();
+    this.cameras.main.centerOn(issue.area.x + issue.area.width / 2, issue.area.y + issue.area.height / 2);
+
+    const obstacle = issue.obstacles && this.obstacles[issue.obstacles[0]];
+    if (obstacle) {
+      this.selectObject(obstacle, 'obstacle');
+    }
+  }
+
+  // ---- History ----
+
+  /**
+   * Record an undoable step in the editor history
+   */
+  recordHistory(command) {
+    window.editorUI?.history.push(command);
+  }
+
+  /**
+   * Short name of an object for history labels
+   */
+  describeObject(obj, type) {
+    if (type === 'obstacle') return obj.type;
+    if (type === 'itemSpawn') return 'item spawn';
+    if (type === 'checkpoint') return 'checkpoint';
+    if (type === 'trigger') return 'trigger';
+    if (type === 'hazard') return `${HAZARD_TYPES[obj.kind]?.label.toLowerCase() || 'hazard'} zone`;
+    if (type === 'group') return 'animation group';
+    return `${type} zone`;
+  }
+
+  /**
+   * Replace the start or finish zone, dropping the old zone's label
+   */
+  setZone(type, zone) {
+    const key = type === 'start' ? 'startZone' : 'finishZone';
+    const previous = this[key];
+    if (previous && previous !== zone && previous.labelText) {
+      previous.labelText.destroy();
+      previous.labelText = null;
+    }
+    this[key] = zone;
+  }
+
+  zoneCommand(label, type, before, after) {
+    return {
+      label,
+      undo: () => this.setZone(type, before),
+      redo: () => this.setZone(type, after)
+    };
+  }
+
+  /**
+   * Remove a checkpoint and its label (the label is recreated on redraw)
+   */
+  removeCheckpoint(checkpoint) {
+    if (checkpoint.labelText) {
+      checkpoint.labelText.destroy();
+      checkpoint.labelText = null;
+    }
+    const idx = this.checkpoints.indexOf(checkpoint);
+    if (idx !== -1) {
+      this.checkpoints.splice(idx, 1);
+    }
+  }
+
+  /**
+   * Remove a trigger zone and its label (the label is recreated on redraw)
+   */
+  removeTrigger(trigger) {
+    if (trigger.labelText) {
+      trigger.labelText.destroy();
+      trigger.labelText = null;
+    }
+    const idx = this.triggers.indexOf(trigger);
+    if (idx !== -1) {
+      this.triggers.splice(idx, 1);
+    }
+  }
+
+  /**
+   * Remove a hazard zone and its label (the label is recreated on redraw)
+   */
+  removeHazard(hazard) {
+    if (hazard.labelText) {
+      hazard.labelText.destroy();
+      hazard.labelText = null;
+    }
+    const idx = this.hazards.indexOf(hazard);
+    if (idx !== -1) {
+      this.hazards.splice(idx, 1);
+    }
+  }
+
+  /**
+   * Remove an item spawn and its label (the label is recreated on redraw)
+   */
+  removeItemSpawn(spawn) {
+    if (spawn.labelText) {
+      spawn.labelText.destroy();
+      spawn.labelText = null;
+    }
+    const idx = this.itemSpawns.indexOf(spawn);
+    if (idx !== -1) {
+      this.itemSpawns.splice(idx, 1);
+    }
+  }
+
   // ---- Load/Save Data ----
 
   loadMapData(data) {
     // Clear existing
     this.obstacles = [];
-    this.startZone = null;
-    this.finishZone = null;
+    this.setZone('start', null);
+    this.setZone('finish', null);
+    [...this.checkpoints].forEach(checkpoint => this.removeCheckpoint(checkpoint));
+    [...this.triggers].forEach(trigger => this.removeTrigger(trigger));
+    [...this.hazards].forEach(hazard => this.removeHazard(hazard));
 
     // Clear item spawn labels
     for (const spawn of this.itemSpawns) {
@@ -1045,9 +1853,6 @@ class EditorScene extends Phaser.Scene {
     }
     this.itemSpawns = [];
 
-    if (this.startZone?.labelText) this.startZone.labelText.destroy();
-    if (this.finishZone?.labelText) this.finishZone.labelText.destroy();
-
     // Load obstacles
     if (data.obstacles) {
       this.obstacles = data.obstacles.map(obs => ({
@@ -1071,10 +1876,27 @@ class EditorScene extends Phaser.Scene {
     if (data.finishZone) {
       this.finishZone = { ...data.finishZone, type: 'finish' };
     }
+    this.checkpoints = (data.checkpoints || []).map(checkpoint => ({ ...checkpoint, type: 'checkpoint' }));
+    this.triggers = (data.triggers || []).map(trigger => ({
+      ...trigger,
+      type: 'trigger',
+      id: trigger.id || 'trigger-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+      actions: (trigger.actions || []).map(action => ({ ...action }))
+    }));
+    this.hazards = (data.hazards || [])
+      .filter(hazard => HAZARD_TYPES[hazard.kind])
+      .map(hazard => ({
+        ...HAZARD_TYPES[hazard.kind].params,
+        ...hazard,
+        type: 'hazard',
+        id: hazard.id || 'hazard-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9)
+      }));
+    this.laps = data.laps || 1;
+    window.editorUI?.updateLapsInput(this.laps);
 
-    // Load animations into controller (pass obstacles to filter out orphaned animations)
-    if (window.editorUI?.animationController && data.animations) {
-      window.editorUI.animationController.loadAnimations(data.animations, this.obstacles);
+    // Load animations and groups into controller (pass obstacles to filter out orphaned animations)
+    if (window.editorUI?.animationController) {
+      window.editorUI.animationController.loadAnimations(data.animations || null, this.obstacles, data.animationGroups);
     }
 
     // Load boss config into UI
@@ -1086,12 +1908,16 @@ class EditorScene extends Phaser.Scene {
     this.redraw();
     this.updateStatus();
     this.updateValidation();
+
+    // A loaded map starts with a fresh undo history
+    window.editorUI?.resetHistory();
   }
 
   getMapData() {
     // Get animation data from EditorUI's animation controller
     // Pass obstacles array to filter out orphaned animations
     const animations = window.editorUI?.animationController?.exportAnimations(this.obstacles) || null;
+    const animationGroups = window.editorUI?.animationController?.exportGroups(this.obstacles) || null;
 
     // Get boss config from UI
     const bossConfig = window.editorUI?.getBossConfig() || null;
@@ -1109,6 +1935,37 @@ class EditorScene extends Phaser.Scene {
         width: this.finishZone.width,
         height: this.finishZone.height
       } : null,
+      checkpoints: this.checkpoints.map(checkpoint => ({
+        x: checkpoint.x,
+        y: checkpoint.y,
+        width: checkpoint.width,
+        height: checkpoint.height
+      })),
+      laps: this.laps,
+      triggers: this.triggers.map(trigger => ({
+        id: trigger.id,
+        x: trigger.x,
+        y: trigger.y,
+        width: trigger.width,
+        height: trigger.height,
+        event: trigger.event,
+        delay: trigger.delay,
+        cooldown: trigger.cooldown,
+        actions: trigger.actions.map(action => ({ ...action }))
+      })),
+      hazards: this.hazards.map(hazard => {
+        const params = {};
+        Object.keys(HAZARD_TYPES[hazard.kind].params).forEach(key => { params[key] = hazard[key]; });
+        return {
+          id: hazard.id,
+          kind: hazard.kind,
+          x: hazard.x,
+          y: hazard.y,
+          width: hazard.width,
+          height: hazard.height,
+          ...params
+        };
+      }),
       bossConfig: bossConfig,
       obstacles: this.obstacles.map(obs => ({
         id: obs.id,
@@ -1118,6 +1975,9 @@ class EditorScene extends Phaser.Scene {
         width: obs.width,
         height: obs.height,
         radius: obs.radius,
+        points: obs.points,
+        closed: obs.closed,
+        thickness: obs.thickness,
         angle: obs.angle,
         color: obs.color,
         behavior: obs.behavior,
@@ -1130,7 +1990,18 @@ class EditorScene extends Phaser.Scene {
         moveSpeed: obs.moveSpeed,
         crusherDirection: obs.crusherDirection,
         crusherSpeed: obs.crusherSpeed,
-        crusherResetDelay: obs.crusherResetDelay
+        crusherResetDelay: obs.crusherResetDelay,
+        bumperStrength: obs.bumperStrength,
+        bumperPoints: obs.bumperPoints,
+        flipperSide: obs.flipperSide,
+        flipperSwing: obs.flipperSwing,
+        flipperMode: obs.flipperMode,
+        flipperInterval: obs.flipperInterval,
+        flipperRange: obs.flipperRange,
+        boostMultiplier: obs.boostMultiplier,
+        boostDuration: obs.boostDuration,
+        portalChannel: obs.portalChannel,
+        startHidden: obs.startHidden
       })),
       itemSpawns: this.itemSpawns.map(spawn => ({
         id: spawn.id,
@@ -1140,7 +2011,8 @@ class EditorScene extends Phaser.Scene {
         spawnOnStart: spawn.spawnOnStart,
         respawnTime: spawn.respawnTime
       })),
-      animations: animations
+      animations: animations,
+      animationGroups: animationGroups
     };
   }
 
@@ -1164,6 +2036,9 @@ class EditorScene extends Phaser.Scene {
     if (values.rotation !== undefined) obs._previewRotation = values.rotation;
     if (values.scaleX !== undefined) obs._previewScaleX = values.scaleX;
     if (values.scaleY !== undefined) obs._previewScaleY = values.scaleY;
+    if (values.color !== undefined) obs._previewColor = values.color;
+    if (values.alpha !== undefined) obs._previewAlpha = values.alpha;
+    if (values.solid !== undefined) obs._previewSolid = values.solid;
 
     // Redraw with preview values
     this.redrawWithPreview();
@@ -1174,18 +2049,24 @@ class EditorScene extends Phaser.Scene {
     this.obstacleLayer.clear();
     this.zoneLayer.clear();
 
-    // Draw zones
+    // Draw zones (hazards first, they are floor areas)
+    this.drawHazards();
     if (this.startZone) {
-      this.drawZone(this.startZone, 0x00ff88, 'START');
+      this.drawZone(this.startZone, ZONE_COLORS.start, 'START');
     }
     if (this.finishZone) {
-      this.drawZone(this.finishZone, 0xff4444, 'FINISH');
+      this.drawZone(this.finishZone, ZONE_COLORS.finish, 'FINISH');
     }
+    this.checkpoints.forEach((checkpoint, i) => {
+      this.drawZone(checkpoint, ZONE_COLORS.checkpoint, `CP ${i + 1}`);
+    });
+    this.drawTriggers();
 
     // Draw obstacles with preview transforms
     for (const obs of this.obstacles) {
       this.drawObstacleWithPreview(obs);
     }
+    this.drawAnimationGroups();
   }
 
   drawObstacleWithPreview(obs) {
@@ -1196,7 +2077,10 @@ class EditorScene extends Phaser.Scene {
     const scaleX = obs._previewScaleX !== undefined ? obs._previewScaleX : 1;
     const scaleY = obs._previewScaleY !== undefined ? obs._previewScaleY : 1;
 
-    const color = parseInt(obs.color.replace('#', ''), 16);
+    // Animated alpha multiplies like graphics.setAlpha at runtime; phased-out
+    // (non-solid) obstacles are faded like startHidden ones
+    const color = parseInt((obs._previewColor ?? obs.color).replace('#', ''), 16);
+    const alpha = this.getEditorAlpha(obs) * (obs._previewAlpha ?? 1) * (obs._previewSolid === false ? 0.35 : 1);
 
     // Save graphics state
     this.obstacleLayer.save();
@@ -1208,15 +2092,25 @@ class EditorScene extends Phaser.Scene {
       this.obstacleLayer.rotateCanvas(rotation);
       this.obstacleLayer.scaleCanvas(scaleX, scaleY);
 
-      this.obstacleLayer.fillStyle(color, 1);
+      this.obstacleLayer.fillStyle(color, alpha);
       this.obstacleLayer.fillCircle(0, 0, obs.radius);
+    } else if (obs.type === 'polygon') {
+      // Outline relative to its bounding-box centre, like the rectangle
+      this.obstacleLayer.translateCanvas(x, y);
+      this.obstacleLayer.rotateCanvas(rotation);
+      this.obstacleLayer.scaleCanvas(scaleX, scaleY);
+
+      drawPolygonShape(this.obstacleLayer, obs, color, {
+        x: obs.x + obs.width / 2,
+        y: obs.y + obs.height / 2
+      }, alpha);
     } else {
       // For rectangles, transform around center
       this.obstacleLayer.translateCanvas(x, y);
       this.obstacleLayer.rotateCanvas(rotation);
       this.obstacleLayer.scaleCanvas(scaleX, scaleY);
 
-      this.obstacleLayer.fillStyle(color, 1);
+      this.obstacleLayer.fillStyle(color, alpha);
       this.obstacleLayer.fillRect(-obs.width / 2, -obs.height / 2, obs.width, obs.height);
     }
 
@@ -1248,6 +2142,8 @@ class EditorScene extends Phaser.Scene {
       // Small danger indicator
       this.obstacleLayer.lineStyle(2, 0xff0000, 0.8);
       this.obstacleLayer.strokeCircle(cx, cy - 10, 4);
+    } else {
+      this.drawPinballMarkings(obs, cx, cy);
     }
   }
 
@@ -1259,6 +2155,9 @@ class EditorScene extends Phaser.Scene {
       delete obs._previewRotation;
       delete obs._previewScaleX;
       delete obs._previewScaleY;
+      delete obs._previewColor;
+      delete obs._previewAlpha;
+      delete obs._previewSolid;
     }
     this.redraw();
   }
@@ -1295,6 +2194,19 @@ class EditorUI {
     this.editingChainId = null;
     this.editingChainMaps = []; // Array of {id, name, hasBoss} for current chain
     this.currentChainMapIndex = 0;
+
+    // Boss movement, phases and parts being edited (same shape as bossConfig)
+    this.bossMovement = null;
+    this.bossPhases = [];
+    this.bossParts = [];
+
+    // Undo/redo history (animations and boss config are tracked as JSON snapshots)
+    this.history = new EditorHistory({
+      onChange: () => this.renderHistoryPanel(),
+      onApply: () => this.onHistoryApplied()
+    });
+    this.animationSnapshots = {};
+    this.bossConfigSnapshot = null;
   }
 
   async init() {
@@ -1336,6 +2248,12 @@ class EditorUI {
     // Setup chain edit mode
     this.setupChainEditMode();
 
+    // Setup undo/redo buttons and history panel
+    this.setupHistoryPanel();
+
+    // Setup map analysis panel
+    this.setupAnalysisPanel();
+
     // Load map list
     await this.refreshMapList();
 
@@ -1407,8 +2325,14 @@ class EditorUI {
       select: 'Select',
       rectangle: 'Rectangle',
       circle: 'Circle',
+      polygon: 'Polygon',
       start: 'Start Zone',
-      finish: 'Finish Zone'
+      finish: 'Finish Zone',
+      checkpoint: 'Checkpoint',
+      trigger: 'Trigger Zone',
+      hazard: 'Hazard Zone',
+      boss: 'Boss Position',
+      item: 'Item Spawn'
     };
     document.getElementById('status-tool').textContent = `Tool: ${toolNames[tool]}`;
 
@@ -1417,8 +2341,14 @@ class EditorUI {
       select: 'Click to select, drag to move, use handles to resize',
       rectangle: 'Click and drag to draw a rectangle obstacle',
       circle: 'Click and drag to draw a circle obstacle',
+      polygon: 'Click to add points; click the first point to close, double-click or Enter for an open path, Esc to cancel',
       start: 'Click and drag to place the spawn area (green)',
-      finish: 'Click and drag to place the finish line (red)'
+      finish: 'Click and drag to place the finish line (red)',
+      checkpoint: 'Click and drag to add a checkpoint (yellow); balls pass them in order every lap',
+      trigger: 'Click and drag to add a trigger zone (purple), then add its actions in the properties panel',
+      hazard: 'Click and drag to add a hazard zone (lava, mud, speed, wind, conveyor or no-weapons)',
+      boss: 'Click to place the boss',
+      item: 'Click to place an item spawn point'
     };
     document.getElementById('status-tip').textContent = `Tip: ${tips[tool]}`;
 
@@ -1437,9 +2367,23 @@ class EditorUI {
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
       switch (e.key.toLowerCase()) {
+        case 'z':
+          if (e.ctrlKey || e.metaKey) {
+            e.preventDefault();
+            if (e.shiftKey) this.redo();
+            else this.undo();
+          }
+          break;
+        case 'y':
+          if (e.ctrlKey || e.metaKey) {
+            e.preventDefault();
+            this.redo();
+          }
+          break;
         case 'v': this.selectTool('select'); break;
         case 'r': this.selectTool('rectangle'); break;
         case 'c': this.selectTool('circle'); break;
+        case 'g': this.selectTool('polygon'); break;
         case 's':
           if (e.ctrlKey || e.metaKey) {
             e.preventDefault();
@@ -1449,6 +2393,9 @@ class EditorUI {
           }
           break;
         case 'f': this.selectTool('finish'); break;
+        case 'p': this.selectTool('checkpoint'); break;
+        case 't': this.selectTool('trigger'); break;
+        case 'h': this.selectTool('hazard'); break;
         case 'b': this.selectTool('boss'); break;
         case 'i': this.selectTool('item'); break;
       }
@@ -1487,6 +2434,7 @@ class EditorUI {
     });
 
     document.getElementById('btn-export').addEventListener('click', () => this.exportCurrentMap());
+    document.getElementById('btn-export-all')?.addEventListener('click', () => this.exportAllMaps());
 
     // Test in game
     document.getElementById('btn-test-map').addEventListener('click', () => this.testInGame());
@@ -1510,9 +2458,32 @@ class EditorUI {
 
   // ---- Property Inputs ----
 
+  /**
+   * One "breakable by" checkbox per racer in the game's roster, plus any
+   * racer the obstacle names that isn't in the roster (kept, shown greyed)
+   * @param {string[]} checked - Names to tick
+   */
+  renderBreakableOptions(checked) {
+    const container = document.getElementById('breakable-by-list');
+    if (!container) return;
+
+    const config = configStorage.load('default') || getDefaultConfig();
+    const roster = getRaceRoster(config);
+    const others = checked
+      .filter(name => !roster.some(racer => racer.name === name))
+      .map(name => ({ name, color: '#888' }));
+
+    container.innerHTML = [...roster, ...others].map((racer, i) => `
+      <div class="checkbox-item">
+        <input type="checkbox" class="breakable-ball" id="breakable-ball-${i}" data-ball="${escapeAttribute(racer.name)}"${checked.includes(racer.name) ? ' checked' : ''}>
+        <label for="breakable-ball-${i}" style="color: ${racer.color};">${escapeAttribute(racer.name)}</label>
+      </div>
+    `).join('');
+  }
+
   setupPropertyInputs() {
     // Position and size inputs
-    const posInputs = ['prop-x', 'prop-y', 'prop-width', 'prop-height', 'prop-radius', 'prop-angle'];
+    const posInputs = ['prop-x', 'prop-y', 'prop-width', 'prop-height', 'prop-radius', 'prop-thickness', 'prop-angle'];
     posInputs.forEach(id => {
       const el = document.getElementById(id);
       if (el) {
@@ -1533,7 +2504,9 @@ class EditorUI {
 
     // Behavior-specific inputs
     const behaviorInputs = [
-      'prop-health', 'prop-rotation-speed', 'prop-move-distance', 'prop-move-speed'
+      'prop-health', 'prop-rotation-speed', 'prop-move-distance', 'prop-move-speed',
+      'prop-bumper-strength', 'prop-bumper-points', 'prop-flipper-swing', 'prop-flipper-interval',
+      'prop-flipper-range', 'prop-boost-multiplier', 'prop-boost-duration', 'prop-portal-channel'
     ];
     behaviorInputs.forEach(id => {
       const el = document.getElementById(id);
@@ -1542,10 +2515,9 @@ class EditorUI {
       }
     });
 
-    // Breakable checkboxes
-    document.querySelectorAll('[id^="breakable-"]').forEach(cb => {
-      cb.addEventListener('change', () => this.onPropertyChange());
-    });
+    // Breakable checkboxes (one per racer, rebuilt on selection)
+    document.getElementById('breakable-by-list')?.addEventListener('change', () => this.onPropertyChange());
+    this.renderBreakableOptions(['Red', 'Blue']);
 
     // Rotation direction
     document.querySelectorAll('input[name="rotation-dir"]').forEach(radio => {
@@ -1557,6 +2529,13 @@ class EditorUI {
       radio.addEventListener('change', () => this.onPropertyChange());
     });
 
+    document.getElementById('prop-start-hidden')?.addEventListener('change', () => this.onPropertyChange());
+
+    // Flipper hinge and firing mode
+    document.querySelectorAll('input[name="flipper-side"], input[name="flipper-mode"]').forEach(radio => {
+      radio.addEventListener('change', () => this.onPropertyChange());
+    });
+
     // Zone inputs
     const zoneInputs = ['zone-x', 'zone-y', 'zone-width', 'zone-height'];
     zoneInputs.forEach(id => {
@@ -1575,6 +2554,51 @@ class EditorUI {
       }
     });
 
+    // Trigger inputs
+    const triggerInputs = ['trigger-x', 'trigger-y', 'trigger-width', 'trigger-height', 'trigger-event', 'trigger-delay', 'trigger-cooldown'];
+    triggerInputs.forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => this.onTriggerPropertyChange());
+    });
+
+    document.getElementById('btn-add-trigger-action')?.addEventListener('click', () => {
+      this.editTriggerActions('Add trigger action', actions => [
+        ...actions, { type: 'banner', ...TRIGGER_ACTION_DEFAULTS.banner }
+      ]);
+    });
+
+    const actionList = document.getElementById('trigger-action-list');
+    actionList?.addEventListener('change', (e) => {
+      const index = parseInt(e.target.dataset.index);
+      const field = e.target.dataset.field;
+      if (isNaN(index) || !field) return;
+      this.editTriggerActions('Edit trigger action', actions => actions.map((action, i) => {
+        if (i !== index) return action;
+        if (field === 'type') return { type: e.target.value, ...TRIGGER_ACTION_DEFAULTS[e.target.value] };
+        const numeric = e.target.type === 'number';
+        return { ...action, [field]: numeric ? (parseFloat(e.target.value) || 0) : e.target.value };
+      }));
+    });
+    actionList?.addEventListener('click', (e) => {
+      if (!e.target.classList.contains('btn-remove-action')) return;
+      const index = parseInt(e.target.dataset.index);
+      this.editTriggerActions('Remove trigger action', actions => actions.filter((_, i) => i !== index));
+    });
+
+    document.getElementById('btn-delete-trigger')?.addEventListener('click', () => {
+      this.getScene()?.deleteSelected();
+    });
+
+    // Hazard inputs
+    const hazardInputs = ['hazard-x', 'hazard-y', 'hazard-width', 'hazard-height', 'hazard-kind',
+      'hazard-damage', 'hazard-interval', 'hazard-multiplier', 'hazard-direction', 'hazard-strength'];
+    hazardInputs.forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => this.onHazardPropertyChange());
+    });
+
+    document.getElementById('btn-delete-hazard')?.addEventListener('click', () => {
+      this.getScene()?.deleteSelected();
+    });
+
     // Delete item spawn button
     document.getElementById('btn-delete-item')?.addEventListener('click', () => {
       const scene = this.getScene();
@@ -1589,10 +2613,13 @@ class EditorUI {
     if (!scene || !scene.selectedObject) return;
 
     const obj = scene.selectedObject;
+    const before = snapshotProps(obj);
     const oldX = obj.x;
     const oldY = obj.y;
     const oldAngle = obj.angle;
 
+    this.history.beginGroup(`Edit ${scene.describeObject(obj, 'obstacle')}`);
+
     if (obj.type === 'circle') {
       obj.x = parseInt(document.getElementById('prop-x').value) || 0;
       obj.y = parseInt(document.getElementById('prop-y').value) || 0;
@@ -1603,6 +2630,9 @@ class EditorUI {
       obj.width = parseInt(document.getElementById('prop-width').value) || 80;
       obj.height = parseInt(document.getElementById('prop-height').value) || 25;
     }
+    if (obj.type === 'polygon' && obj.closed === false) {
+      obj.thickness = parseInt(document.getElementById('prop-thickness').value) || POLYLINE_THICKNESS;
+    }
 
     obj.angle = parseInt(document.getElementById('prop-angle').value) || 0;
     obj.color = document.getElementById('prop-color').value;
@@ -1625,13 +2655,8 @@ class EditorUI {
     obj.moveSpeed = parseInt(document.getElementById('prop-move-speed').value) || 50;
 
     // Breakable colors
-    const breakableBy = [];
-    if (document.getElementById('breakable-red').checked) breakableBy.push('Red');
-    if (document.getElementById('breakable-blue').checked) breakableBy.push('Blue');
-    if (document.getElementById('breakable-green').checked) breakableBy.push('Green');
-    if (document.getElementById('breakable-yellow').checked) breakableBy.push('Yellow');
-    if (document.getElementById('breakable-purple').checked) breakableBy.push('Purple');
-    obj.breakableBy = breakableBy;
+    obj.breakableBy = Array.from(document.querySelectorAll('#breakable-by-list .breakable-ball:checked'))
+      .map(cb => cb.dataset.ball);
 
     // Rotation direction
     obj.rotationDirection = document.querySelector('input[name="rotation-dir"]:checked').value;
@@ -1644,6 +2669,29 @@ class EditorUI {
     obj.crusherSpeed = parseInt(document.getElementById('prop-crusher-speed').value) || 80;
     obj.crusherResetDelay = parseInt(document.getElementById('prop-crusher-delay').value) || 2000;
 
+    // Bumper settings (0 points is allowed)
+    obj.bumperStrength = parseFloat(document.getElementById('prop-bumper-strength').value) || 1.5;
+    const bumperPoints = parseInt(document.getElementById('prop-bumper-points').value);
+    obj.bumperPoints = Number.isNaN(bumperPoints) ? 1 : bumperPoints;
+
+    // Flipper settings
+    obj.flipperSide = document.querySelector('input[name="flipper-side"]:checked').value;
+    obj.flipperSwing = parseInt(document.getElementById('prop-flipper-swing').value) || 45;
+    obj.flipperMode = document.querySelector('input[name="flipper-mode"]:checked').value;
+    obj.flipperInterval = parseInt(document.getElementById('prop-flipper-interval').value) || 1500;
+    obj.flipperRange = parseInt(document.getElementById('prop-flipper-range').value) || 0;
+
+    // Boost pad and portal settings
+    obj.boostMultiplier = parseFloat(document.getElementById('prop-boost-multiplier').value) || 1.8;
+    obj.boostDuration = parseFloat(document.getElementById('prop-boost-duration').value) || 1.5;
+    obj.portalChannel = parseInt(document.getElementById('prop-portal-channel').value) || 1;
+
+    // Switched off at race start (a trigger shows it)
+    obj.startHidden = document.getElementById('prop-start-hidden').checked;
+
+    this.recordPropertyChange(obj, before);
+    this.history.endGroup();
+
     scene.redraw();
     scene.drawSelection();
     this.hasUnsavedChanges = true;
@@ -1656,6 +2704,10 @@ class EditorUI {
     document.getElementById('rotating-settings').classList.toggle('hidden', behavior !== 'rotating');
     document.getElementById('moving-settings').classList.toggle('hidden', behavior !== 'moving');
     document.getElementById('crusher-settings').classList.toggle('hidden', behavior !== 'crusher');
+    document.getElementById('bumper-settings').classList.toggle('hidden', behavior !== 'bumper');
+    document.getElementById('flipper-settings').classList.toggle('hidden', behavior !== 'flipper');
+    document.getElementById('boost-settings').classList.toggle('hidden', behavior !== 'boost');
+    document.getElementById('portal-settings').classList.toggle('hidden', behavior !== 'portal');
   }
 
   // ---- Animation Timeline ----
@@ -1665,12 +2717,22 @@ class EditorUI {
     this.animationController = new AnimationController({
       timelineContainer: document.getElementById('timeline-container'),
       onAnimationChange: (obstacleId, animData) => {
+        this.recordAnimationChange(obstacleId);
         this.hasUnsavedChanges = true;
         this.updateAnimationStatus(obstacleId);
         this.updateKeyframeButtons();
+        // Motion path overlay and start offset follow keyframe edits
+        this.getScene()?.drawSelection();
+        this.renderAnimationGroupControls();
       },
       onTimeChange: (time) => {
         this.updateKeyframeButtons();
+      },
+      onGroupsChange: (label) => {
+        this.recordGroupChange(label);
+        this.hasUnsavedChanges = true;
+        this.redrawScene();
+        this.renderAnimationGroupControls();
       }
     });
 
@@ -1745,9 +2807,139 @@ class EditorUI {
       }
     });
 
+    this.setupAnimationLibrary();
+
     console.log('[Animation] Timeline setup complete');
   }
 
+  /**
+   * Animation panel controls: start offset, groups, presets and clips
+   */
+  setupAnimationLibrary() {
+    const controller = this.animationController;
+    const selected = () => this.getScene()?.selectedObject || null;
+    this.renderPresetOptions();
+
+    document.getElementById('anim-start-offset')?.addEventListener('change', (e) => {
+      const anim = controller.animations[controller.selectedObstacleId];
+      if (!anim) return;
+      anim.startOffset = Math.max(0, parseInt(e.target.value) || 0);
+      controller.onAnimationChange(controller.selectedObstacleId, anim);
+    });
+
+    // Groups
+    document.getElementById('anim-parent')?.addEventListener('change', (e) => {
+      const obj = selected();
+      if (obj) controller.setParent(obj.id, e.target.value || null);
+    });
+
+    document.getElementById('btn-anim-new-group')?.addEventListener('click', () => {
+      const obj = selected();
+      if (!obj) return;
+      this.history.beginGroup('Create animation group');
+      const groupId = controller.createGroup(controller.getObstacleCenter(obj));
+      controller.setParent(obj.id, groupId);
+      this.history.endGroup();
+    });
+
+    document.getElementById('anim-group-name')?.addEventListener('change', (e) => {
+      const obj = selected();
+      if (obj?.type === 'group') controller.renameGroup(obj.id, e.target.value);
+    });
+
+    document.getElementById('btn-anim-ungroup')?.addEventListener('click', () => {
+      if (selected()?.type === 'group') this.getScene().deleteSelected();
+    });
+
+    // Presets and clips
+    const presetKey = () => document.getElementById('anim-preset')?.value;
+    const presetOffset = () => Math.max(0, parseInt(document.getElementById('anim-preset-offset')?.value) || 0);
+
+    document.getElementById('btn-apply-preset')?.addEventListener('click', () => {
+      if (!presetKey() || !selected()) return;
+      controller.applyPreset(presetKey(), { obstacleId: selected().id, startOffset: presetOffset() });
+      this.renderAnimationGroupControls();
+    });
+
+    document.getElementById('btn-apply-preset-members')?.addEventListener('click', () => {
+      const obj = selected();
+      if (!presetKey() || obj?.type !== 'group') return;
+      this.history.beginGroup('Stagger animation');
+      const count = controller.applyPresetToMembers(presetKey(), obj.id, presetOffset());
+      this.history.endGroup();
+      console.log(`[Animation] Applied ${presetKey()} to ${count} members, ${presetOffset()}ms apart`);
+    });
+
+    document.getElementById('btn-save-clip')?.addEventListener('click', () => {
+      const nameInput = document.getElementById('anim-clip-name');
+      const key = controller.saveClip(nameInput.value);
+      if (!key) {
+        alert('Select an animated obstacle and enter a clip name');
+        return;
+      }
+      nameInput.value = '';
+      this.renderPresetOptions(key);
+    });
+
+    document.getElementById('btn-delete-clip')?.addEventListener('click', () => {
+      const select = document.getElementById('anim-preset');
+      const name = select.selectedOptions[0]?.textContent;
+      if (!select.value || !confirm(`Delete clip "${name}"?`)) return;
+      if (!controller.deleteClip(select.value)) {
+        alert('Built-in presets can\'t be deleted');
+        return;
+      }
+      this.renderPresetOptions();
+    });
+  }
+
+  /**
+   * Fill the preset menu: built-in presets, then the user's clips
+   */
+  renderPresetOptions(selectedKey = null) {
+    const select = document.getElementById('anim-preset');
+    if (!select) return;
+
+    const categories = this.animationController.getPresetsForUI();
+    select.innerHTML = Object.entries(categories).map(([category, presets]) => `
+      <optgroup label="${escapeAttribute(category)}">
+        ${presets.map(preset => `<option value="${escapeAttribute(preset.key)}">${escapeAttribute(preset.name)}</option>`).join('')}
+      </optgroup>
+    `).join('');
+    if (selectedKey) select.value = selectedKey;
+  }
+
+  /**
+   * Show the selection's group, start offset and group-only controls
+   */
+  renderAnimationGroupControls() {
+    const obj = this.getScene()?.selectedObject;
+    const controller = this.animationController;
+    if (!obj || !controller) return;
+
+    const isGroup = obj.type === 'group';
+    const parentSelect = document.getElementById('anim-parent');
+    parentSelect.innerHTML = '<option value="">(no group)</option>' + controller.getParentOptions(obj.id)
+      .map(group => `<option value="${group.id}">${escapeAttribute(group.name)}</option>`)
+      .join('');
+    parentSelect.value = controller.hierarchy.getParent(obj.id) || '';
+
+    document.getElementById('anim-group-settings').style.display = isGroup ? 'block' : 'none';
+    document.getElementById('anim-group-name').value = isGroup ? obj.name : '';
+    document.getElementById('btn-anim-ungroup').style.display = isGroup ? 'block' : 'none';
+    document.getElementById('btn-apply-preset-members').style.display = isGroup ? 'block' : 'none';
+    document.getElementById('anim-start-offset').value = controller.animations[obj.id]?.startOffset || 0;
+  }
+
+  /**
+   * Delete an animation group (members move up a level) as one undo step
+   */
+  deleteAnimationGroup(groupId) {
+    this.history.beginGroup('Delete animation group');
+    this.animationController.deleteGroup(groupId);
+    this.history.endGroup();
+  }
+
   addKeyframeForProperty(property) {
     const scene = this.getScene();
     if (!scene?.selectedObject || !this.animationController) return;
@@ -1778,6 +2970,7 @@ class EditorUI {
 
     const obstacleId = scene.selectedObject.id;
     const currentTime = Math.round(this.animationController.timeline?.currentTime || 0);
+    this.history.beginGroup(`Toggle ${property} keyframe`);
 
     console.log('[KF] obstacleId:', obstacleId, 'currentTime:', currentTime);
 
@@ -1833,6 +3026,7 @@ class EditorUI {
 
     // Notify change
     this.animationController.onAnimationChange(obstacleId, anim);
+    this.history.endGroup();
     this.hasUnsavedChanges = true;
 
     this.updateAnimationStatus(obstacleId);
@@ -1857,7 +3051,8 @@ class EditorUI {
       case 'scaleY':
         return parseFloat(document.getElementById('anim-offset-scaleY')?.value) || 1;
       default:
-        return 0;
+        // Color and behavior parameters key the obstacle's current value
+        return getDefaultValue(property, this.getScene()?.selectedObject);
     }
   }
 
@@ -1874,17 +3069,20 @@ class EditorUI {
     const obj = scene.selectedObject;
     const obstacleId = obj.id;
 
+    // Circles and group pivots are positioned by their center
+    const isCentered = obj.type === 'circle' || obj.type === 'group';
+
     // Get or create base position (first time we animate this obstacle)
     if (!obj._animBaseX) {
-      obj._animBaseX = obj.type === 'circle' ? obj.x : obj.x + obj.width / 2;
-      obj._animBaseY = obj.type === 'circle' ? obj.y : obj.y + obj.height / 2;
+      obj._animBaseX = isCentered ? obj.x : obj.x + obj.width / 2;
+      obj._animBaseY = isCentered ? obj.y : obj.y + obj.height / 2;
       obj._animBaseRotation = obj.angle || 0;
       console.log('[KF] Set base position:', obj._animBaseX, obj._animBaseY);
     }
 
     // Calculate current offset from base
-    const currentX = obj.type === 'circle' ? obj.x : obj.x + obj.width / 2;
-    const currentY = obj.type === 'circle' ? obj.y : obj.y + obj.height / 2;
+    const currentX = isCentered ? obj.x : obj.x + obj.width / 2;
+    const currentY = isCentered ? obj.y : obj.y + obj.height / 2;
 
     let value;
     switch (property) {
@@ -1897,6 +3095,9 @@ class EditorUI {
       case 'rotation':
         value = (obj.angle || 0) - (obj._animBaseRotation || 0);
         break;
+      case 'path':
+        value = { x: currentX - obj._animBaseX, y: currentY - obj._animBaseY };
+        break;
       default:
         value = 0;
     }
@@ -2097,45 +3298,287 @@ class EditorUI {
       return;
     }
 
-    const obstacleId = scene.selectedObject.id;
-    const anim = this.animationController?.animations[obstacleId];
+    const obstacleId = scene.selectedObject.id;
+    const anim = this.animationController?.animations[obstacleId];
+
+    if (!anim) {
+      console.error('[DEBUG] No animation for obstacle', obstacleId);
+      alert('No animation on this obstacle');
+      return;
+    }
+
+    console.log('=== ANIMATION DEBUG ===');
+    console.log('Obstacle ID:', obstacleId);
+    console.log('Duration:', anim.duration, 'ms');
+    console.log('Loop mode:', anim.loop);
+    console.log('Tracks:', Object.keys(anim.tracks));
+
+    // Log each track's keyframes
+    for (const [prop, track] of Object.entries(anim.tracks)) {
+      console.log(`\nTrack: ${prop}`);
+      console.log('Keyframes:');
+      track.keyframes.forEach((kf, i) => {
+        console.log(`  [${i}] time=${kf.time}ms, value=${kf.value}, easing=${kf.easing}`);
+      });
+    }
+
+    // Evaluate at different times
+    console.log('\n--- Interpolation test ---');
+    const testTimes = [0, 250, 500, 750, 1000, 1500, 2000];
+    testTimes.forEach(t => {
+      const values = this.animationController.evaluateAtTime(anim, t);
+      console.log(`t=${t}ms:`, values);
+    });
+
+    console.log('========================');
+    alert('Animation data logged to console (F12)');
+  }
+
+  // ---- Map Analysis ----
+
+  setupAnalysisPanel() {
+    document.getElementById('analysis-overlay')?.addEventListener('change', (e) => {
+      const scene = this.getScene();
+      if (!scene) return;
+      scene.showAnalysis = e.target.checked;
+      scene.drawAnalysis();
+    });
+
+    // Clicking an issue shows where it is
+    document.getElementById('analysis-list')?.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-issue]');
+      if (!item) return;
+      this.getScene()?.focusIssue(parseInt(item.dataset.issue));
+      this.renderAnalysisPanel(this.getScene()?.analysis);
+    });
+  }
+
+  /**
+   * List the analyzer's findings (called by EditorScene.runAnalysis)
+   */
+  renderAnalysisPanel(analysis) {
+    const summary = document.getElementById('analysis-summary');
+    const list = document.getElementById('analysis-list');
+    if (!summary || !list || !analysis) return;
+
+    const { counts, issues, ballRadius } = analysis;
+    summary.textContent = issues.length === 0
+      ? `No problems found for balls of radius ${ballRadius}`
+      : `${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} note(s) for balls of radius ${ballRadius}`;
+
+    const highlighted = this.getScene()?.highlightedIssue;
+    list.innerHTML = issues.map((issue, index) => {
+      const classes = ['analysis-issue', issue.severity];
+      if (index === highlighted) classes.push('current');
+      return `<div class="${classes.join(' ')}" data-issue="${index}" title="${issue.code}">${escapeAttribute(issue.message)}</div>`;
+    }).join('');
+  }
+
+  // ---- Undo / Redo History ----
+
+  setupHistoryPanel() {
+    document.getElementById('btn-undo')?.addEventListener('click', () => this.undo());
+    document.getElementById('btn-redo')?.addEventListener('click', () => this.redo());
+
+    // Clicking an entry jumps to the state right after it
+    document.getElementById('history-list')?.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-position]');
+      if (item) this.history.jumpTo(parseInt(item.dataset.position));
+    });
+
+    this.renderHistoryPanel();
+  }
+
+  undo() {
+    const command = this.history.undo();
+    if (command) console.log('[History] Undo:', command.label);
+  }
+
+  redo() {
+    const command = this.history.redo();
+    if (command) console.log('[History] Redo:', command.label);
+  }
+
+  /**
+   * Start a fresh history from the current editor state (after a map load)
+   */
+  resetHistory() {
+    this.animationSnapshots = {};
+    const animations = this.animationController?.animations || {};
+    for (const [obstacleId, animData] of Object.entries(animations)) {
+      this.animationSnapshots[obstacleId] = JSON.stringify(animData);
+    }
+    this.bossConfigSnapshot = this.getBossConfig();
+    this.groupsSnapshot = this.getGroupsJson();
+    this.history.clear();
+  }
+
+  renderHistoryPanel() {
+    const list = document.getElementById('history-list');
+    if (list) {
+      const entries = this.history.getEntries();
+      const position = this.history.position;
+      const rows = [
+        { label: 'Initial state', done: true },
+        ...entries
+      ].map((entry, index) => {
+        const classes = ['history-entry'];
+        if (index === position) classes.push('current');
+        if (!entry.done) classes.push('undone');
+        return `<div class="${classes.join(' ')}" data-position="${index}">${entry.label}</div>`;
+      });
+      list.innerHTML = rows.reverse().join('');
+    }
+
+    const undoBtn = document.getElementById('btn-undo');
+    const redoBtn = document.getElementById('btn-redo');
+    if (undoBtn) undoBtn.disabled = !this.history.canUndo;
+    if (redoBtn) redoBtn.disabled = !this.history.canRedo;
+  }
+
+  /**
+   * Refresh canvas and panels after a step was undone or redone
+   */
+  onHistoryApplied() {
+    this.hasUnsavedChanges = true;
+    const scene = this.getScene();
+    if (!scene) return;
+
+    this.updateLapsInput(scene.laps);
+
+    const selected = scene.selectedObject;
+    const stillExists = selected && (
+      scene.obstacles.includes(selected) ||
+      scene.itemSpawns.includes(selected) ||
+      scene.checkpoints.includes(selected) ||
+      scene.triggers.includes(selected) ||
+      scene.hazards.includes(selected) ||
+      selected === scene.startZone ||
+      selected === scene.finishZone ||
+      Object.values(this.animationController?.groups || {}).includes(selected)
+    );
+
+    scene.redraw();
+    if (stillExists) {
+      scene.selectObject(selected, scene.selectedType);
+    } else {
+      scene.clearSelection();
+    }
+    scene.updateStatus();
+    scene.updateValidation();
+  }
+
+  /**
+   * Record the difference between a snapshot and an object's current props
+   */
+  recordPropertyChange(obj, before, label = 'Edit properties') {
+    const changed = diffProps(before, snapshotProps(obj));
+    if (changed) {
+      this.history.push(propertyCommand(label, obj, changed.before, changed.after));
+    }
+  }
+
+  /**
+   * Record an obstacle's animation change since its last snapshot
+   * Called from the controller's change callback, so every keyframe edit
+   * (timeline, keyframe buttons, presets, auto-keyframe) goes through here
+   */
+  recordAnimationChange(obstacleId) {
+    const animData = this.animationController?.animations[obstacleId];
+    const before = this.animationSnapshots[obstacleId] ?? null;
+    const after = animData ? JSON.stringify(animData) : null;
+    if (before === after) return;
+
+    this.animationSnapshots[obstacleId] = after;
+    this.history.push({
+      label: 'Edit keyframes',
+      mergeKey: `anim:${obstacleId}`,
+      undo: () => this.restoreAnimation(obstacleId, before),
+      redo: () => this.restoreAnimation(obstacleId, after)
+    });
+  }
+
+  /**
+   * Animation groups as stored in the map (the undo snapshot of groups)
+   */
+  getGroupsJson() {
+    return JSON.stringify(this.animationController?.exportGroups() || null);
+  }
+
+  /**
+   * Record an animation group change (create, join, rename, move pivot, delete)
+   */
+  recordGroupChange(label) {
+    const before = this.groupsSnapshot ?? 'null';
+    const after = this.getGroupsJson();
+    if (before === after) return;
+
+    this.groupsSnapshot = after;
+    this.history.push({
+      label,
+      undo: () => this.restoreGroups(before),
+      redo: () => this.restoreGroups(after)
+    });
+  }
 
-    if (!anim) {
-      console.error('[DEBUG] No animation for obstacle', obstacleId);
-      alert('No animation on this obstacle');
-      return;
+  /**
+   * Put groups back from a snapshot. Groups that still exist are updated in
+   * place, so the canvas selection keeps pointing at them
+   */
+  restoreGroups(json) {
+    const controller = this.animationController;
+    const groups = JSON.parse(json) || {};
+    for (const [groupId, group] of Object.entries(groups)) {
+      groups[groupId] = Object.assign(controller.groups[groupId] || {}, group);
     }
+    controller.setGroups(groups);
+    this.groupsSnapshot = json;
+    controller.refreshTimelineWithObstacles(this.getScene()?.obstacles);
+  }
 
-    console.log('=== ANIMATION DEBUG ===');
-    console.log('Obstacle ID:', obstacleId);
-    console.log('Duration:', anim.duration, 'ms');
-    console.log('Loop mode:', anim.loop);
-    console.log('Tracks:', Object.keys(anim.tracks));
-
-    // Log each track's keyframes
-    for (const [prop, track] of Object.entries(anim.tracks)) {
-      console.log(`\nTrack: ${prop}`);
-      console.log('Keyframes:');
-      track.keyframes.forEach((kf, i) => {
-        console.log(`  [${i}] time=${kf.time}ms, value=${kf.value}, easing=${kf.easing}`);
-      });
+  restoreAnimation(obstacleId, json) {
+    const controller = this.animationController;
+    if (json) {
+      controller.animations[obstacleId] = JSON.parse(json);
+    } else {
+      delete controller.animations[obstacleId];
     }
+    this.animationSnapshots[obstacleId] = json;
+    controller.refreshTimelineWithObstacles(this.getScene()?.obstacles);
+  }
 
-    // Evaluate at different times
-    console.log('\n--- Interpolation test ---');
-    const testTimes = [0, 250, 500, 750, 1000, 1500, 2000];
-    testTimes.forEach(t => {
-      const values = this.animationController.evaluateAtTime(anim, t);
-      console.log(`t=${t}ms:`, values);
+  /**
+   * Record the boss config change since the last snapshot
+   */
+  recordBossChange(label) {
+    const before = this.bossConfigSnapshot;
+    const after = this.getBossConfig();
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+    this.bossConfigSnapshot = after;
+    this.history.push({
+      label,
+      undo: () => this.restoreBossConfig(before),
+      redo: () => this.restoreBossConfig(after)
     });
+  }
 
-    console.log('========================');
-    alert('Animation data logged to console (F12)');
+  restoreBossConfig(config) {
+    this.loadBossConfig(config);
+    this.bossConfigSnapshot = this.getBossConfig();
+    this.redrawScene();
   }
 
   // ---- Boss Configuration Panel ----
 
   setupBossPanel() {
+    // Record every boss edit for undo. Listeners on the panel run after the
+    // field handlers below, so the config is already updated; clicks that
+    // change nothing (e.g. on labels) record nothing.
+    const panelContent = document.getElementById('boss-panel-content');
+    panelContent?.addEventListener('change', () => this.recordBossChange('Edit boss'));
+    panelContent?.addEventListener('click', () => this.recordBossChange('Edit boss'));
+
     // Toggle panel
     document.getElementById('boss-panel-toggle')?.addEventListener('click', () => {
       const content = document.getElementById('boss-panel-content');
@@ -2176,6 +3619,358 @@ class EditorUI {
         this.redrawScene();
       });
     });
+
+    // Boss phases
+    document.getElementById('btn-add-boss-phase')?.addEventListener('click', () => {
+      const lowest = this.bossPhases.reduce((min, p) => Math.min(min, p.hpThreshold), 1);
+      this.bossPhases.push({
+        hpThreshold: this.bossPhases.length === 0 ? 1 : Math.round(lowest * 50) / 100,
+        patterns: [document.getElementById('boss-pattern')?.value || 'spiral'],
+        order: 'loop'
+      });
+      this.hasUnsavedChanges = true;
+      this.renderBossPhases();
+      this.redrawScene();
+    });
+
+    const phaseList = document.getElementById('boss-phase-list');
+    phaseList?.addEventListener('change', (e) => {
+      const index = parseInt(e.target.dataset.index);
+      const field = e.target.dataset.field;
+      if (isNaN(index) || !field) return;
+      this.updateBossPhaseField(index, field, e.target.value);
+      if (field === 'moveMode') this.renderBossPhases();
+      this.hasUnsavedChanges = true;
+      this.redrawScene();
+    });
+    phaseList?.addEventListener('click', (e) => {
+      if (!e.target.classList.contains('btn-remove-phase')) return;
+      this.bossPhases.splice(parseInt(e.target.dataset.index), 1);
+      this.hasUnsavedChanges = true;
+      this.renderBossPhases();
+      this.redrawScene();
+    });
+
+    // Boss parts
+    document.getElementById('btn-add-boss-part')?.addEventListener('click', () => {
+      // Alternate sides below the boss
+      const side = this.bossParts.length % 2 === 0 ? -1 : 1;
+      const width = parseInt(document.getElementById('boss-width')?.value) || 80;
+      this.bossParts.push({
+        id: `part-${this.bossParts.length + 1}`,
+        offsetX: side * Math.round(width / 2 + 20),
+        offsetY: 30,
+        health: 30,
+        pattern: 'aimed'
+      });
+      this.hasUnsavedChanges = true;
+      this.renderBossParts();
+      this.redrawScene();
+    });
+
+    const partList = document.getElementById('boss-part-list');
+    partList?.addEventListener('change', (e) => {
+      const part = this.bossParts[parseInt(e.target.dataset.index)];
+      const field = e.target.dataset.field;
+      if (!part || !field) return;
+      if (field === 'id' || field === 'pattern') {
+        part[field] = e.target.value.trim() || part[field];
+      } else {
+        part[field] = parseFloat(e.target.value) || 0;
+      }
+      this.hasUnsavedChanges = true;
+      this.redrawScene();
+    });
+    partList?.addEventListener('click', (e) => {
+      if (!e.target.classList.contains('btn-remove-part')) return;
+      this.bossParts.splice(parseInt(e.target.dataset.index), 1);
+      this.hasUnsavedChanges = true;
+      this.renderBossParts();
+      this.redrawScene();
+    });
+
+    // Boss default movement
+    document.getElementById('boss-movement-fields')?.addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      if (!field) return;
+      const movement = this.applyMovementField(this.bossMovement, field, e.target.value);
+      this.bossMovement = movement?.mode === 'none' ? null : movement;
+      if (field === 'moveMode') this.renderBossMovement();
+      this.hasUnsavedChanges = true;
+      this.redrawScene();
+    });
+
+    this.renderBossMovement();
+  }
+
+  renderBossMovement() {
+    const container = document.getElementById('boss-movement-fields');
+    if (!container) return;
+    this.updateBossTrackOptions();
+    container.innerHTML = this.renderMovementFields(this.bossMovement, 'base', false);
+  }
+
+  /**
+   * Animated obstacle IDs offered for the 'animation' movement mode
+   */
+  updateBossTrackOptions() {
+    const datalist = document.getElementById('boss-track-options');
+    if (!datalist) return;
+    const ids = Object.keys(this.animationController?.animations || {});
+    datalist.innerHTML = ids.map(id => `<option value="${id}">`).join('');
+  }
+
+  /**
+   * Movement inputs for the boss default (index 'base') or a phase.
+   * Phases can inherit the boss default movement.
+   */
+  renderMovementFields(movement, index, canInherit) {
+    const mode = movement ? (movement.mode || 'patrol') : (canInherit ? '' : 'none');
+    const labels = {
+      '': 'Boss default',
+      none: 'Stay in place',
+      patrol: 'Patrol waypoints',
+      animation: 'Follow animation track',
+      chase: 'Chase leading ball',
+      teleport: 'Teleport between anchors'
+    };
+    const modes = (canInherit ? [''] : []).concat(BOSS_MOVEMENT_MODES);
+    const formatPoints = (points) => (points || []).map(p => `${p.x},${p.y}`).join(' ');
+    const attrs = (field) => `data-index="${index}" data-field="${field}"`;
+
+    let fields = '';
+    switch (mode) {
+      case 'patrol':
+        fields = `
+          <div class="control-group">
+            <label class="control-label">Waypoints (x,y x,y ...)</label>
+            <input type="text" ${attrs('movePoints')} value="${formatPoints(movement.waypoints)}">
+          </div>
+          <div class="control-group">
+            <label class="control-label">Speed (px/s)</label>
+            <input type="number" min="10" step="10" ${attrs('moveSpeed')} value="${movement.speed ?? ''}" placeholder="60">
+          </div>`;
+        break;
+      case 'teleport':
+        fields = `
+          <div class="control-group">
+            <label class="control-label">Anchors (x,y x,y ...)</label>
+            <input type="text" ${attrs('movePoints')} value="${formatPoints(movement.anchors)}">
+          </div>
+          <div class="control-group">
+            <label class="control-label">Interval (ms)</label>
+            <input type="number" min="500" step="250" ${attrs('moveInterval')} value="${movement.interval ?? ''}" placeholder="3000">
+          </div>`;
+        break;
+      case 'chase':
+        fields = `
+          <div class="control-row">
+            <div class="control-group">
+              <label class="control-label">Speed (px/s)</label>
+              <input type="number" min="10" step="10" ${attrs('moveSpeed')} value="${movement.speed ?? ''}" placeholder="60">
+            </div>
+            <div class="control-group">
+              <label class="control-label">Axis</label>
+              <select ${attrs('moveAxis')}>
+                <option value="x" ${movement.axis !== 'both' ? 'selected' : ''}>Horizontal</option>
+                <option value="both" ${movement.axis === 'both' ? 'selected' : ''}>Both</option>
+              </select>
+            </div>
+          </div>`;
+        break;
+      case 'animation':
+        fields = `
+          <div class="control-group">
+            <label class="control-label">Track (animated obstacle ID)</label>
+            <input type="text" list="boss-track-options" ${attrs('moveTrack')} value="${movement.track || ''}">
+          </div>`;
+        break;
+    }
+
+    return `
+      <div class="control-group">
+        <label class="control-label">Movement</label>
+        <select ${attrs('moveMode')}>
+          ${modes.map(m => `<option value="${m}" ${m === mode ? 'selected' : ''}>${labels[m]}</option>`).join('')}
+        </select>
+      </div>
+      ${fields}
+    `;
+  }
+
+  /**
+   * Apply one movement input and return the new movement config
+   * (null = stay in place for the boss, inherit for a phase)
+   */
+  applyMovementField(movement, field, value) {
+    if (field === 'moveMode') {
+      if (value === '') return null;
+      if (value === 'none') return { mode: 'none' };
+      return { mode: value };
+    }
+    if (!movement) return movement;
+
+    const next = { ...movement };
+    switch (field) {
+      case 'movePoints': {
+        const points = value.trim().split(/\s+/)
+          .map(pair => pair.split(',').map(Number))
+          .filter(([x, y]) => !isNaN(x) && !isNaN(y))
+          .map(([x, y]) => ({ x, y }));
+        next[movement.mode === 'teleport' ? 'anchors' : 'waypoints'] = points;
+        break;
+      }
+      case 'moveSpeed':
+        next.speed = parseFloat(value) || 60;
+        break;
+      case 'moveInterval':
+        next.interval = parseInt(value) || 3000;
+        break;
+      case 'moveAxis':
+        next.axis = value;
+        break;
+      case 'moveTrack':
+        next.track = value.trim();
+        break;
+    }
+    return next;
+  }
+
+  renderBossPhases() {
+    const listEl = document.getElementById('boss-phase-list');
+    if (!listEl) return;
+
+    this.updateBossTrackOptions();
+    const bossColor = document.getElementById('boss-color')?.value || '#cc3300';
+    const orderOptions = (order) => ['loop', 'random']
+      .map(o => `<option value="${o}" ${o === (order || 'loop') ? 'selected' : ''}>${o === 'loop' ? 'Loop in order' : 'Random pick'}</option>`)
+      .join('');
+
+    listEl.innerHTML = this.bossPhases.map((phase, idx) => `
+      <div class="boss-phase">
+        <div class="boss-phase-header">
+          Phase ${idx + 1}
+          <button class="toolbar-btn danger small btn-remove-phase" data-index="${idx}" title="Remove phase">&times;</button>
+        </div>
+        <div class="control-row">
+          <div class="control-group">
+            <label class="control-label">Starts at HP %</label>
+            <input type="number" min="0" max="100" step="5" data-index="${idx}" data-field="hpPercent" value="${Math.round(phase.hpThreshold * 100)}">
+          </div>
+          <div class="control-group">
+            <label class="control-label">Color</label>
+            <input type="color" data-index="${idx}" data-field="color" value="${phase.color !== undefined ? '#' + phase.color.toString(16).padStart(6, '0') : bossColor}">
+          </div>
+        </div>
+        <div class="control-group">
+          <label class="control-label">Patterns (${BOSS_PATTERNS.join(', ')})</label>
+          <input type="text" data-index="${idx}" data-field="patterns" value="${(phase.patterns || []).join(', ')}">
+        </div>
+        <div class="control-row">
+          <div class="control-group">
+            <label class="control-label">Order</label>
+            <select data-index="${idx}" data-field="order">${orderOptions(phase.order)}</select>
+          </div>
+          <div class="control-group">
+            <label class="control-label">Cooldown (ms)</label>
+            <input type="number" min="100" step="50" data-index="${idx}" data-field="attackCooldown" value="${phase.attackCooldown ?? ''}" placeholder="default">
+          </div>
+        </div>
+        <div class="control-group">
+          <label class="control-label">Shot Speed</label>
+          <input type="number" min="1" step="0.5" data-index="${idx}" data-field="projectileSpeed" value="${phase.projectileSpeed ?? ''}" placeholder="4">
+        </div>
+        ${this.renderMovementFields(phase.movement, idx, true)}
+        <div class="control-row">
+          <div class="control-group">
+            <label class="control-label">Shield (ms)</label>
+            <input type="number" min="0" step="250" data-index="${idx}" data-field="shield" value="${phase.shield ?? ''}" placeholder="0">
+          </div>
+          <div class="control-group">
+            <label class="control-label">Minions</label>
+            <input type="number" min="0" max="6" step="1" data-index="${idx}" data-field="minions" value="${phase.minions ?? ''}" placeholder="0">
+          </div>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  renderBossParts() {
+    const listEl = document.getElementById('boss-part-list');
+    if (!listEl) return;
+
+    const patternOptions = (pattern) => BOSS_PATTERNS
+      .map(p => `<option value="${p}" ${p === pattern ? 'selected' : ''}>${p}</option>`)
+      .join('');
+
+    listEl.innerHTML = this.bossParts.map((part, idx) => `
+      <div class="boss-phase">
+        <div class="boss-phase-header">
+          <input type="text" data-index="${idx}" data-field="id" value="${part.id}" style="width: 70%;">
+          <button class="toolbar-btn danger small btn-remove-part" data-index="${idx}" title="Remove part">&times;</button>
+        </div>
+        <div class="control-row">
+          <div class="control-group">
+            <label class="control-label">Offset X</label>
+            <input type="number" step="5" data-index="${idx}" data-field="offsetX" value="${part.offsetX}">
+          </div>
+          <div class="control-group">
+            <label class="control-label">Offset Y</label>
+            <input type="number" step="5" data-index="${idx}" data-field="offsetY" value="${part.offsetY}">
+          </div>
+        </div>
+        <div class="control-row">
+          <div class="control-group">
+            <label class="control-label">HP</label>
+            <input type="number" min="1" step="5" data-index="${idx}" data-field="health" value="${part.health}">
+          </div>
+          <div class="control-group">
+            <label class="control-label">Pattern</label>
+            <select data-index="${idx}" data-field="pattern">${patternOptions(part.pattern)}</select>
+          </div>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  updateBossPhaseField(index, field, value) {
+    const phase = this.bossPhases[index];
+    if (!phase) return;
+
+    // Optional numbers: empty input falls back to the boss defaults
+    const setOptional = (key, number) => {
+      if (value === '' || isNaN(number)) delete phase[key];
+      else phase[key] = number;
+    };
+
+    switch (field) {
+      case 'hpPercent':
+        phase.hpThreshold = Math.min(100, Math.max(0, parseFloat(value) || 0)) / 100;
+        break;
+      case 'patterns':
+        phase.patterns = value.split(/[\s,]+/).filter(p => BOSS_PATTERNS.includes(p));
+        break;
+      case 'order':
+        phase.order = value;
+        break;
+      case 'color':
+        phase.color = parseInt(value.replace('#', ''), 16);
+        break;
+      case 'attackCooldown':
+      case 'minions':
+        setOptional(field, parseInt(value));
+        break;
+      case 'projectileSpeed':
+      case 'shield':
+        setOptional(field, parseFloat(value));
+        break;
+      default:
+        if (field.startsWith('move')) {
+          const movement = this.applyMovementField(phase.movement, field, value);
+          if (movement) phase.movement = movement;
+          else delete phase.movement;
+        }
+    }
   }
 
   redrawScene() {
@@ -2202,7 +3997,16 @@ class EditorUI {
       attackCooldown: parseInt(document.getElementById('boss-cooldown')?.value) || 800,
       color: colorInt,
       shape: document.querySelector('input[name="boss-shape"]:checked')?.value || 'rectangle',
-      winCondition: document.getElementById('boss-win-condition')?.value || 'boss'
+      winCondition: document.getElementById('boss-win-condition')?.value || 'boss',
+      ...(this.bossMovement && { movement: JSON.parse(JSON.stringify(this.bossMovement)) }),
+      ...(this.bossPhases.length > 0 && {
+        phases: this.bossPhases
+          .map(phase => JSON.parse(JSON.stringify(phase)))
+          .sort((a, b) => b.hpThreshold - a.hpThreshold)
+      }),
+      ...(this.bossParts.length > 0 && {
+        parts: this.bossParts.map(part => ({ ...part }))
+      })
     };
   }
 
@@ -2214,6 +4018,13 @@ class EditorUI {
     if (checkbox) checkbox.checked = enabled;
     if (settings) settings.style.display = enabled ? 'block' : 'none';
 
+    this.bossMovement = config?.movement ? JSON.parse(JSON.stringify(config.movement)) : null;
+    this.bossPhases = (config?.phases || []).map(phase => JSON.parse(JSON.stringify(phase)));
+    this.bossParts = (config?.parts || []).map(part => ({ ...part }));
+    this.renderBossMovement();
+    this.renderBossPhases();
+    this.renderBossParts();
+
     if (config) {
       document.getElementById('boss-x').value = config.x || 400;
       document.getElementById('boss-y').value = config.y || 100;
@@ -3032,10 +4843,12 @@ class EditorUI {
     if (!scene || !scene.selectedObject) return;
 
     const zone = scene.selectedObject;
+    const before = snapshotProps(zone);
     zone.x = parseInt(document.getElementById('zone-x').value) || 0;
     zone.y = parseInt(document.getElementById('zone-y').value) || 0;
     zone.width = parseInt(document.getElementById('zone-width').value) || 200;
     zone.height = parseInt(document.getElementById('zone-height').value) || 40;
+    this.recordPropertyChange(zone, before, `Edit ${scene.describeObject(zone, zone.type)}`);
 
     scene.redraw();
     scene.drawSelection();
@@ -3047,17 +4860,187 @@ class EditorUI {
     if (!scene || !scene.selectedObject) return;
 
     const spawn = scene.selectedObject;
+    const before = snapshotProps(spawn);
     spawn.x = parseInt(document.getElementById('item-x').value) || 0;
     spawn.y = parseInt(document.getElementById('item-y').value) || 0;
     spawn.itemType = document.getElementById('item-type').value || 'random';
     spawn.spawnOnStart = document.getElementById('item-spawn-on-start').checked;
     spawn.respawnTime = parseInt(document.getElementById('item-respawn-time').value) || 0;
+    this.recordPropertyChange(spawn, before, 'Edit item spawn');
+
+    scene.redraw();
+    scene.drawSelection();
+    this.hasUnsavedChanges = true;
+  }
+
+  onTriggerPropertyChange() {
+    const scene = this.getScene();
+    if (!scene || !scene.selectedObject) return;
+
+    const trigger = scene.selectedObject;
+    const before = snapshotProps(trigger);
+    trigger.x = parseInt(document.getElementById('trigger-x').value) || 0;
+    trigger.y = parseInt(document.getElementById('trigger-y').value) || 0;
+    trigger.width = Math.max(20, parseInt(document.getElementById('trigger-width').value) || 100);
+    trigger.height = Math.max(20, parseInt(document.getElementById('trigger-height').value) || 100);
+    trigger.event = document.getElementById('trigger-event').value;
+    trigger.delay = Math.max(0, parseFloat(document.getElementById('trigger-delay').value) || 0);
+    trigger.cooldown = Math.max(0, parseFloat(document.getElementById('trigger-cooldown').value) || 0);
+    this.recordPropertyChange(trigger, before, 'Edit trigger');
+
+    this.updateTriggerEventInputs(trigger);
+    scene.redraw();
+    scene.drawSelection();
+    this.hasUnsavedChanges = true;
+  }
+
+  onHazardPropertyChange() {
+    const scene = this.getScene();
+    if (!scene || scene.selectedType !== 'hazard') return;
+
+    const hazard = scene.selectedObject;
+    const before = snapshotProps(hazard);
+    hazard.x = parseInt(document.getElementById('hazard-x').value) || 0;
+    hazard.y = parseInt(document.getElementById('hazard-y').value) || 0;
+    hazard.width = Math.max(20, parseInt(document.getElementById('hazard-width').value) || 100);
+    hazard.height = Math.max(20, parseInt(document.getElementById('hazard-height').value) || 100);
+
+    const kind = document.getElementById('hazard-kind').value;
+    if (kind !== hazard.kind) {
+      // Swap the old kind's settings for the new kind's defaults
+      Object.keys(HAZARD_TYPES[hazard.kind].params).forEach(key => delete hazard[key]);
+      Object.assign(hazard, HAZARD_TYPES[kind].params);
+      hazard.kind = kind;
+    } else {
+      Object.keys(HAZARD_TYPES[kind].params).forEach(key => {
+        const value = parseFloat(document.getElementById(`hazard-${key}`).value);
+        hazard[key] = isNaN(value) ? HAZARD_TYPES[kind].params[key] : value;
+      });
+      if (hazard.interval !== undefined) hazard.interval = Math.max(0.1, hazard.interval);
+    }
+    this.recordPropertyChange(hazard, before, `Edit ${scene.describeObject(hazard, 'hazard')}`);
 
+    this.populateHazardInputs(hazard);
     scene.redraw();
     scene.drawSelection();
     this.hasUnsavedChanges = true;
   }
 
+  /**
+   * Fill the hazard panel and show only the selected kind's settings
+   */
+  populateHazardInputs(hazard) {
+    document.getElementById('hazard-x').value = Math.round(hazard.x);
+    document.getElementById('hazard-y').value = Math.round(hazard.y);
+    document.getElementById('hazard-width').value = Math.round(hazard.width);
+    document.getElementById('hazard-height').value = Math.round(hazard.height);
+    document.getElementById('hazard-kind').value = hazard.kind;
+
+    const params = HAZARD_TYPES[hazard.kind].params;
+    ['damage', 'interval', 'multiplier', 'direction', 'strength'].forEach(key => {
+      document.getElementById(`hazard-${key}-group`).style.display = key in params ? 'block' : 'none';
+      if (key in params) document.getElementById(`hazard-${key}`).value = hazard[key];
+    });
+    document.getElementById('hazard-strength-label').textContent =
+      hazard.kind === 'conveyor' ? 'Belt Speed (px/s)' : 'Strength';
+  }
+
+  /**
+   * Replace the selected trigger's action list (actions are never edited in
+   * place, so undo snapshots stay intact)
+   * @param {string} label - History label
+   * @param {Function} update - Old actions -> new actions
+   */
+  editTriggerActions(label, update) {
+    const scene = this.getScene();
+    if (!scene || scene.selectedType !== 'trigger') return;
+
+    const trigger = scene.selectedObject;
+    const before = snapshotProps(trigger);
+    trigger.actions = update(trigger.actions);
+    this.recordPropertyChange(trigger, before, label);
+
+    this.renderTriggerActions(trigger);
+    this.hasUnsavedChanges = true;
+  }
+
+  updateTriggerEventInputs(trigger) {
+    document.getElementById('trigger-delay').disabled = trigger.event !== 'time';
+    document.getElementById('trigger-cooldown').disabled = trigger.event !== 'enter';
+  }
+
+  renderTriggerActions(trigger) {
+    const listEl = document.getElementById('trigger-action-list');
+    if (!listEl) return;
+
+    const typeOptions = (type) => TRIGGER_ACTIONS
+      .map(t => `<option value="${t}" ${t === type ? 'selected' : ''}>${TRIGGER_ACTION_LABELS[t]}</option>`)
+      .join('');
+
+    listEl.innerHTML = trigger.actions.map((action, idx) => `
+      <div class="boss-phase trigger-action">
+        <div class="boss-phase-header">
+          <select data-index="${idx}" data-field="type" style="width: 80%;">${typeOptions(action.type)}</select>
+          <button class="toolbar-btn danger small btn-remove-action" data-index="${idx}" title="Remove action">&times;</button>
+        </div>
+        ${this.renderTriggerActionFields(action, idx)}
+      </div>
+    `).join('');
+  }
+
+  renderTriggerActionFields(action, idx) {
+    const scene = this.getScene();
+    const select = (field, options) => `
+      <select data-index="${idx}" data-field="${field}">
+        <option value="">- choose -</option>
+        ${options.map(o => `<option value="${o.value}" ${o.value === action[field] ? 'selected' : ''}>${o.label}</option>`).join('')}
+      </select>`;
+    const number = (label, field, step) => `
+      <div class="control-group">
+        <label class="control-label">${label}</label>
+        <input type="number" step="${step}" data-index="${idx}" data-field="${field}" value="${action[field] ?? 0}">
+      </div>`;
+    const obstacleOptions = (filter) => scene.obstacles
+      .map((obs, i) => ({ obs, i }))
+      .filter(({ obs }) => filter(obs))
+      .map(({ obs, i }) => ({
+        value: obs.id,
+        label: `#${i + 1} ${obs.type}${obs.behavior && obs.behavior !== 'static' ? ` (${obs.behavior})` : ''}`
+      }));
+
+    switch (action.type) {
+      case 'toggleObstacle':
+        return `
+          <div class="control-group">${select('target', obstacleOptions(() => true))}</div>
+          <div class="control-group">${select('state', [
+            { value: 'toggle', label: 'Toggle' },
+            { value: 'show', label: 'Show' },
+            { value: 'hide', label: 'Hide' }
+          ])}</div>`;
+      case 'startCrusher':
+        return `<div class="control-group">${select('target', obstacleOptions(obs => obs.behavior === 'crusher'))}</div>
+          <div class="panel-hint">The crusher waits at its start until this fires</div>`;
+      case 'spawnItem':
+        return `<div class="control-group">${select('target', scene.itemSpawns.map((spawn, i) => ({
+          value: spawn.id,
+          label: `Spawn ${i + 1} (${spawn.itemType || 'random'})`
+        })))}</div>`;
+      case 'spawnBoss':
+        return '<div class="panel-hint">Spawns the boss from Boss Configuration instead of at race start</div>';
+      case 'setGravity':
+        return `<div class="control-row">${number('Gravity X', 'x', 0.05)}${number('Gravity Y', 'y', 0.05)}</div>`;
+      case 'setSpeed':
+        return `<div class="control-row">${number('Speed x', 'value', 0.1)}${number('For (s, 0 = rest)', 'duration', 0.5)}</div>`;
+      case 'banner':
+        return `
+          <div class="control-group">
+            <input type="text" data-index="${idx}" data-field="text" value="${escapeAttribute(action.text || '')}">
+          </div>
+          ${number('Seconds', 'duration', 0.5)}`;
+    }
+    return '';
+  }
+
   // ---- Selection Callbacks ----
 
   onObjectSelected(obj, type) {
@@ -3066,11 +5049,15 @@ class EditorUI {
       document.getElementById('obstacle-properties').style.display = 'block';
       document.getElementById('panel-zone-properties').style.display = 'none';
       document.getElementById('panel-item-properties').style.display = 'none';
+      document.getElementById('panel-trigger-properties').style.display = 'none';
+      document.getElementById('panel-hazard-properties').style.display = 'none';
 
       // Show/hide radius vs width/height
       const isCircle = obj.type === 'circle';
       document.getElementById('prop-radius-group').style.display = isCircle ? 'block' : 'none';
       document.querySelector('#prop-width').parentElement.parentElement.style.display = isCircle ? 'none' : 'flex';
+      const isPath = obj.type === 'polygon' && obj.closed === false;
+      document.getElementById('prop-thickness-group').style.display = isPath ? 'block' : 'none';
 
       // Populate values
       document.getElementById('prop-x').value = Math.round(obj.x);
@@ -3078,6 +5065,7 @@ class EditorUI {
       document.getElementById('prop-width').value = Math.round(obj.width || 80);
       document.getElementById('prop-height').value = Math.round(obj.height || 25);
       document.getElementById('prop-radius').value = Math.round(obj.radius || 20);
+      document.getElementById('prop-thickness').value = Math.round(obj.thickness || POLYLINE_THICKNESS);
       document.getElementById('prop-angle').value = Math.round(obj.angle || 0);
       document.getElementById('prop-color').value = obj.color || '#e74c3c';
 
@@ -3087,11 +5075,7 @@ class EditorUI {
 
       // Breakable settings
       document.getElementById('prop-health').value = obj.health || 3;
-      document.getElementById('breakable-red').checked = (obj.breakableBy || []).includes('Red');
-      document.getElementById('breakable-blue').checked = (obj.breakableBy || []).includes('Blue');
-      document.getElementById('breakable-green').checked = (obj.breakableBy || []).includes('Green');
-      document.getElementById('breakable-yellow').checked = (obj.breakableBy || []).includes('Yellow');
-      document.getElementById('breakable-purple').checked = (obj.breakableBy || []).includes('Purple');
+      this.renderBreakableOptions(obj.breakableBy || []);
 
       // Rotating settings
       document.getElementById('prop-rotation-speed').value = obj.rotationSpeed || 2;
@@ -3108,24 +5092,65 @@ class EditorUI {
       document.getElementById('prop-crusher-speed').value = obj.crusherSpeed || 80;
       document.getElementById('prop-crusher-delay').value = obj.crusherResetDelay || 2000;
 
+      // Bumper settings
+      document.getElementById('prop-bumper-strength').value = obj.bumperStrength || 1.5;
+      document.getElementById('prop-bumper-points').value = obj.bumperPoints ?? 1;
+
+      // Flipper settings
+      document.getElementById(obj.flipperSide === 'right' ? 'flipper-right' : 'flipper-left').checked = true;
+      document.getElementById('prop-flipper-swing').value = obj.flipperSwing || 45;
+      document.getElementById(obj.flipperMode === 'trigger' ? 'flipper-trigger' : 'flipper-interval').checked = true;
+      document.getElementById('prop-flipper-interval').value = obj.flipperInterval || 1500;
+      document.getElementById('prop-flipper-range').value = obj.flipperRange || 0;
+
+      // Boost pad and portal settings
+      document.getElementById('prop-boost-multiplier').value = obj.boostMultiplier || 1.8;
+      document.getElementById('prop-boost-duration').value = obj.boostDuration || 1.5;
+      document.getElementById('prop-portal-channel').value = obj.portalChannel || 1;
+
+      document.getElementById('prop-start-hidden').checked = !!obj.startHidden;
+
       // Show animation panel and notify controller
       document.getElementById('panel-animation').style.display = 'block';
       if (this.animationController) {
         this.animationController.selectObstacle(obj.id, obj);
         this.updateAnimationStatus(obj.id);
         this.updateKeyframeButtons();
+        this.renderAnimationGroupControls();
       }
 
-    } else if (type === 'start' || type === 'finish') {
+    } else if (type === 'group') {
+      // Animation groups only have animation settings
+      document.getElementById('no-selection').style.display = 'none';
+      document.getElementById('obstacle-properties').style.display = 'none';
+      document.getElementById('panel-zone-properties').style.display = 'none';
+      document.getElementById('panel-item-properties').style.display = 'none';
+      document.getElementById('panel-trigger-properties').style.display = 'none';
+      document.getElementById('panel-hazard-properties').style.display = 'none';
+      document.getElementById('panel-animation').style.display = 'block';
+
+      if (this.animationController) {
+        this.animationController.selectObstacle(obj.id, obj);
+        this.updateAnimationStatus(obj.id);
+        this.updateKeyframeButtons();
+        this.renderAnimationGroupControls();
+      }
+
+    } else if (type === 'start' || type === 'finish' || type === 'checkpoint') {
       document.getElementById('no-selection').style.display = 'none';
       document.getElementById('obstacle-properties').style.display = 'none';
       document.getElementById('panel-zone-properties').style.display = 'block';
       document.getElementById('panel-item-properties').style.display = 'none';
+      document.getElementById('panel-trigger-properties').style.display = 'none';
+      document.getElementById('panel-hazard-properties').style.display = 'none';
       document.getElementById('panel-animation').style.display = 'none';
 
-      const hint = type === 'start'
-        ? 'Start Zone: Where balls spawn at race start'
-        : 'Finish Zone: The goal line for the race';
+      const hints = {
+        start: 'Start Zone: Where balls spawn at race start',
+        finish: 'Finish Zone: The goal line for the race',
+        checkpoint: `Checkpoint ${this.getScene().checkpoints.indexOf(obj) + 1}: Must be passed in order before a lap counts`
+      };
+      const hint = hints[type];
       document.getElementById('zone-hint').textContent = hint;
 
       document.getElementById('zone-x').value = Math.round(obj.x);
@@ -3142,6 +5167,8 @@ class EditorUI {
       document.getElementById('obstacle-properties').style.display = 'none';
       document.getElementById('panel-zone-properties').style.display = 'none';
       document.getElementById('panel-item-properties').style.display = 'block';
+      document.getElementById('panel-trigger-properties').style.display = 'none';
+      document.getElementById('panel-hazard-properties').style.display = 'none';
       document.getElementById('panel-animation').style.display = 'none';
 
       document.getElementById('item-x').value = Math.round(obj.x);
@@ -3151,6 +5178,42 @@ class EditorUI {
       document.getElementById('item-respawn-time').value = obj.respawnTime || 0;
 
       // Clear animation selection for items
+      if (this.animationController) {
+        this.animationController.selectObstacle(null);
+      }
+    } else if (type === 'trigger') {
+      document.getElementById('no-selection').style.display = 'none';
+      document.getElementById('obstacle-properties').style.display = 'none';
+      document.getElementById('panel-zone-properties').style.display = 'none';
+      document.getElementById('panel-item-properties').style.display = 'none';
+      document.getElementById('panel-trigger-properties').style.display = 'block';
+      document.getElementById('panel-hazard-properties').style.display = 'none';
+      document.getElementById('panel-animation').style.display = 'none';
+
+      document.getElementById('trigger-x').value = Math.round(obj.x);
+      document.getElementById('trigger-y').value = Math.round(obj.y);
+      document.getElementById('trigger-width').value = Math.round(obj.width);
+      document.getElementById('trigger-height').value = Math.round(obj.height);
+      document.getElementById('trigger-event').value = obj.event || 'enter';
+      document.getElementById('trigger-delay').value = obj.delay || 0;
+      document.getElementById('trigger-cooldown').value = obj.cooldown || 0;
+      this.updateTriggerEventInputs(obj);
+      this.renderTriggerActions(obj);
+
+      if (this.animationController) {
+        this.animationController.selectObstacle(null);
+      }
+    } else if (type === 'hazard') {
+      document.getElementById('no-selection').style.display = 'none';
+      document.getElementById('obstacle-properties').style.display = 'none';
+      document.getElementById('panel-zone-properties').style.display = 'none';
+      document.getElementById('panel-item-properties').style.display = 'none';
+      document.getElementById('panel-trigger-properties').style.display = 'none';
+      document.getElementById('panel-hazard-properties').style.display = 'block';
+      document.getElementById('panel-animation').style.display = 'none';
+
+      this.populateHazardInputs(obj);
+
       if (this.animationController) {
         this.animationController.selectObstacle(null);
       }
@@ -3162,6 +5225,8 @@ class EditorUI {
     document.getElementById('obstacle-properties').style.display = 'none';
     document.getElementById('panel-zone-properties').style.display = 'none';
     document.getElementById('panel-item-properties').style.display = 'none';
+    document.getElementById('panel-trigger-properties').style.display = 'none';
+    document.getElementById('panel-hazard-properties').style.display = 'none';
     document.getElementById('panel-animation').style.display = 'none';
 
     // Clear animation selection
@@ -3390,6 +5455,17 @@ class EditorUI {
     await this.mapStorage.exportJSON(this.currentMapId);
   }
 
+  async exportAllMaps() {
+    if (this.currentMapId) {
+      await this.saveCurrentMap();
+    }
+
+    const count = await this.mapStorage.exportAllJSON();
+    if (count === 0) {
+      alert('No saved maps to export');
+    }
+  }
+
   async importMap(file) {
     try {
       const imported = await this.mapStorage.importJSON(file);
@@ -3440,6 +5516,28 @@ class EditorUI {
     document.getElementById('show-grid')?.addEventListener('change', () => {
       this.applyMapSettings();
     });
+
+    // Laps (saved with the map, unlike the view settings above)
+    document.getElementById('map-laps')?.addEventListener('change', (e) => {
+      const scene = this.getScene();
+      if (!scene) return;
+
+      const laps = Math.max(1, Math.min(MAX_LAPS, parseInt(e.target.value) || 1));
+      e.target.value = laps;
+      if (laps === scene.laps) return;
+
+      this.history.push(propertyCommand('Set laps', scene, { laps: scene.laps }, { laps }));
+      scene.laps = laps;
+      this.hasUnsavedChanges = true;
+    });
+  }
+
+  /**
+   * Show the map's lap count in the Map Settings panel
+   */
+  updateLapsInput(laps) {
+    const input = document.getElementById('map-laps');
+    if (input) input.value = laps;
   }
 
   applyMapSettings() {
@@ -0,0 +1,290 @@
+/**
+ * EditorHistory - Command-based undo/redo for the map editor
+ *
+ * PURPOSE:
+ * Every mutation the editor makes is recorded as a command that knows how
+ * to revert (undo) and re-apply (redo) itself. Most edits happen live
+ * (dragging, typing in the properties panel), so commands are recorded
+ * after the change with the before/after state instead of being executed
+ * through the history.
+ *
+ * COMMANDS:
+ *   { label, undo(), redo(), mergeKey? }
+ * Helpers build the common shapes:
+ *   propertyCommand(label, target, before, after) // restores changed keys
+ *   insertCommand(label, list, item)              // item was added to a list
+ *   removeCommand(label, list, item, index)       // item was removed from a list
+ *   groupCommand(label, commands)                 // several steps as one
+ *
+ * Commands pushed between beginGroup() and endGroup() undo as one step.
+ * Consecutive commands with the same mergeKey pushed within MERGE_WINDOW_MS
+ * collapse into one step (e.g. dragging a keyframe along the timeline).
+ * Pushes made while a command is being undone/redone are ignored, so change
+ * callbacks fired by the restore don't record new history.
+ *
+ * USAGE:
+ *   const history = new EditorHistory({ onChange: () => renderPanel() });
+ *   history.push(propertyCommand('Move obstacle', obs, { x: 10 }, { x: 40 }));
+ *   history.undo();
+ *   history.redo();
+ *
+ * @module EditorHistory
+ */
+
+const DEFAULT_LIMIT = 100;
+const MERGE_WINDOW_MS = 1000;
+
+export class EditorHistory {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Max undo steps kept
+   * @param {Function} [options.onChange] - Called when the stacks change
+   * @param {Function} [options.onApply] - Called after a command is undone/redone
+   */
+  constructor({ limit = DEFAULT_LIMIT, onChange = null, onApply = null } = {}) {
+    this.limit = limit;
+    this.onChange = onChange;
+    this.onApply = onApply;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.group = null;
+    this.groupDepth = 0;
+    this.isApplying = false;
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Record a command whose change has already been applied
+   */
+  push(command) {
+    if (this.isApplying || !command) return;
+
+    if (this.group) {
+      this.group.commands.push(command);
+      return;
+    }
+
+    const now = Date.now();
+    const top = this.undoStack[this.undoStack.length - 1];
+    if (command.mergeKey && top?.mergeKey === command.mergeKey &&
+        now - top.time < MERGE_WINDOW_MS && this.redoStack.length === 0) {
+      // Keep the oldest undo state, take the newest redo state
+      this.undoStack[this.undoStack.length - 1] = { ...top, redo: command.redo, time: now };
+      this.notify();
+      return;
+    }
+
+    this.undoStack.push({ ...command, time: now });
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.notify();
+  }
+
+  /**
+   * Apply a command and record it
+   */
+  execute(command) {
+    this.apply(() => command.redo());
+    this.push(command);
+  }
+
+  /**
+   * Start collecting pushes into one step (groups nest; the outermost label wins)
+   */
+  beginGroup(label) {
+    if (this.groupDepth++ === 0) {
+      this.group = { label, commands: [] };
+    }
+  }
+
+  /**
+   * Close the current group and record it as a single step
+   */
+  endGroup() {
+    if (this.groupDepth === 0 || --this.groupDepth > 0) return;
+
+    const { label, commands } = this.group;
+    this.group = null;
+    if (commands.length === 0) return;
+
+    this.push(commands.length === 1
+      ? { ...commands[0], label, mergeKey: null }
+      : groupCommand(label, commands));
+  }
+
+  /**
+   * Revert the latest step
+   * @returns {Object|null} The command that was undone
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+
+    this.apply(() => command.undo());
+    this.redoStack.push(command);
+    this.notify();
+    return command;
+  }
+
+  /**
+   * Re-apply the latest undone step
+   * @returns {Object|null} The command that was redone
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+
+    this.apply(() => command.redo());
+    this.undoStack.push(command);
+    this.notify();
+    return command;
+  }
+
+  /**
+   * Undo or redo until `position` steps are applied (0 = initial state)
+   */
+  jumpTo(position) {
+    while (this.undoStack.length > position && this.canUndo) this.undo();
+    while (this.undoStack.length < position && this.canRedo) this.redo();
+  }
+
+  /**
+   * All steps oldest first; `done` is false for steps that were undone
+   */
+  getEntries() {
+    return [
+      ...this.undoStack.map(command => ({ label: command.label, done: true })),
+      ...[...this.redoStack].reverse().map(command => ({ label: command.label, done: false }))
+    ];
+  }
+
+  /**
+   * Number of applied steps
+   */
+  get position() {
+    return this.undoStack.length;
+  }
+
+  /**
+   * Forget all steps (e.g. after loading another map)
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.group = null;
+    this.groupDepth = 0;
+    this.notify();
+  }
+
+  apply(fn) {
+    this.isApplying = true;
+    try {
+      fn();
+    } finally {
+      this.isApplying = false;
+    }
+    if (this.onApply) this.onApply();
+  }
+
+  notify() {
+    if (this.onChange) this.onChange();
+  }
+}
+
+// ---- Command helpers ----
+
+/**
+ * Restore `before` / `after` values onto target (undefined deletes the key)
+ */
+export function propertyCommand(label, target, before, after) {
+  return {
+    label,
+    undo: () => assignProps(target, before),
+    redo: () => assignProps(target, after)
+  };
+}
+
+/**
+ * An item that was appended to / inserted into a list
+ */
+export function insertCommand(label, list, item, index = list.indexOf(item)) {
+  return {
+    label,
+    undo: () => removeFromList(list, item),
+    redo: () => list.splice(index, 0, item)
+  };
+}
+
+/**
+ * An item that was removed from a list at index
+ */
+export function removeCommand(label, list, item, index) {
+  return {
+    label,
+    undo: () => list.splice(index, 0, item),
+    redo: () => removeFromList(list, item)
+  };
+}
+
+/**
+ * Several commands undone/redone as one step
+ */
+export function groupCommand(label, commands) {
+  return {
+    label,
+    undo: () => [...commands].reverse().forEach(command => command.undo()),
+    redo: () => commands.forEach(command => command.redo())
+  };
+}
+
+/**
+ * Copy of an editor object's plain data (skips Phaser labels and _cached keys)
+ */
+export function snapshotProps(obj) {
+  const snapshot = {};
+  for (const [key, value] of Object.entries(obj)) {
+    if (key === 'labelText' || key.startsWith('_')) continue;
+    snapshot[key] = Array.isArray(value) ? [...value] : value;
+  }
+  return snapshot;
+}
+
+/**
+ * Keys that differ between two snapshots
+ * @returns {{before: Object, after: Object}|null} null when nothing changed
+ */
+export function diffProps(before, after) {
+  const changed = { before: {}, after: {} };
+  let any = false;
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+    changed.before[key] = before[key];
+    changed.after[key] = after[key];
+    any = true;
+  }
+  return any ? changed : null;
+}
+
+function assignProps(target, values) {
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined) {
+      delete target[key];
+    } else {
+      target[key] = Array.isArray(value) ? [...value] : value;
+    }
+  }
+}
+
+function removeFromList(list, item) {
+  const index = list.indexOf(item);
+  if (index !== -1) list.splice(index, 1);
+}
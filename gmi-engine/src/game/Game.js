@@ -71,13 +71,13 @@ export class Game {
     }
   }
 
-  startRace() {
+  startRace(seed) {
     this.isRacing = true;
     this.raceStartTime = Date.now();
 
     const scene = this.getScene();
     if (scene) {
-      scene.startRace();
+      scene.startRace(seed);
     }
   }
 
@@ -0,0 +1,224 @@
+/**
+ * BossMovementManager - Moves the boss body along its configured movement mode
+ * Extracted from BossSystem.js so phases can swap movement at runtime
+ *
+ * MODES (movement config, set per boss or per phase):
+ *   { mode: 'patrol', waypoints: [{ x, y }, ...], speed }   // px/s, loops
+ *   { mode: 'animation', track: 'obstacle-id' }             // keyframe offsets from spawn
+ *   { mode: 'chase', speed, axis: 'x' | 'both' }            // follow the leading ball
+ *   { mode: 'teleport', anchors: [{ x, y }, ...], interval } // blink every interval ms
+ *   { mode: 'none' }                                        // stay put
+ *
+ * PHYSICS:
+ * The boss is a static Matter body. Every frame it is moved with
+ * Body.setPosition(..., updateVelocity = true), so the solver sees the
+ * frame delta as the body's velocity and balls bounce off a moving boss
+ * with its momentum. Standing still zeroes the velocity the same way.
+ * Teleports move without velocity so nothing gets launched.
+ */
+
+import { rng } from '../systems/RandomSystem.js';
+import { resolveTransform } from '../../animation/AnimatedProperties.js';
+
+export const BOSS_MOVEMENT_MODES = ['none', 'patrol', 'animation', 'chase', 'teleport'];
+
+const DEFAULT_SPEED = 60;       // px/s for patrol and chase
+const DEFAULT_INTERVAL = 3000;  // ms between teleports
+const TELEPORT_FADE_MS = 250;   // fade out before / in after a blink
+
+export class BossMovementManager {
+  constructor(bossSystem) {
+    this.bossSystem = bossSystem;
+    this.scene = bossSystem.scene;
+    this.movement = null;
+    this.waypointIndex = 0;
+    this.teleportTimer = 0;
+    this.velocity = { x: 0, y: 0 };
+  }
+
+  /**
+   * Switch movement config (null or mode 'none' = stay in place)
+   * Configs without a mode but with waypoints are treated as patrol
+   */
+  setMovement(movement) {
+    const mode = movement?.mode || (movement?.waypoints ? 'patrol' : 'none');
+    this.movement = mode === 'none' ? null : { ...movement, mode };
+    this.waypointIndex = 0;
+    this.teleportTimer = 0;
+  }
+
+  get mode() {
+    return this.movement?.mode || 'none';
+  }
+
+  /**
+   * Advance movement by dt milliseconds (call every frame while racing)
+   */
+  update(dt) {
+    const boss = this.bossSystem.boss;
+    if (!boss || !boss.body || dt <= 0) return;
+
+    let target = null;
+    switch (this.mode) {
+      case 'patrol':
+        target = this.getPatrolTarget(boss, dt);
+        break;
+      case 'animation':
+        target = this.getAnimationTarget(boss);
+        break;
+      case 'chase':
+        target = this.getChaseTarget(boss, dt);
+        break;
+      case 'teleport':
+        this.updateTeleport(boss, dt);
+        break;
+    }
+
+    this.moveTo(target ? target.x : boss.x, target ? target.y : boss.y);
+  }
+
+  /**
+   * Next position along the waypoint loop
+   */
+  getPatrolTarget(boss, dt) {
+    const waypoints = this.movement.waypoints || [];
+    if (waypoints.length === 0) return null;
+
+    const waypoint = waypoints[this.waypointIndex % waypoints.length];
+    const step = (this.movement.speed || DEFAULT_SPEED) * dt / 1000;
+    const next = stepTowards(boss, waypoint, step);
+    if (next.x === waypoint.x && next.y === waypoint.y) {
+      this.waypointIndex++;
+    }
+    return next;
+  }
+
+  /**
+   * Spawn position plus the x/y (and motion path) offsets of an AnimationPlayer track
+   */
+  getAnimationTarget(boss) {
+    const player = this.scene.animationPlayer;
+    if (!player?.isPlaying || !player.hasAnimation(this.movement.track)) return null;
+
+    const values = player.evaluate(this.movement.track);
+    if (!values) return null;
+    const offset = resolveTransform(values);
+    return {
+      x: boss.spawnX + (offset.x ?? 0),
+      y: boss.spawnY + (offset.y ?? 0)
+    };
+  }
+
+  /**
+   * Step toward the leading ball (horizontally only unless axis is 'both')
+   */
+  getChaseTarget(boss, dt) {
+    const leader = this.findLeadingBall();
+    if (!leader) return null;
+
+    const goal = {
+      x: leader.body.position.x,
+      y: this.movement.axis === 'both' ? leader.body.position.y : boss.y
+    };
+    const step = (this.movement.speed || DEFAULT_SPEED) * dt / 1000;
+    return stepTowards(boss, goal, step);
+  }
+
+  /**
+   * Ball furthest along the course (boss damage breaks ties)
+   */
+  findLeadingBall() {
+    const balls = (this.scene.balls || []).filter(b => !b.finished && b.hp > 0 && b.body);
+    if (balls.length === 0) return null;
+
+    return balls.reduce((best, ball) => {
+      const progress = ball.progress || 0;
+      const bestProgress = best.progress || 0;
+      if (progress !== bestProgress) return progress > bestProgress ? ball : best;
+      return (ball.damageDealtToBoss || 0) > (best.damageDealtToBoss || 0) ? ball : best;
+    });
+  }
+
+  /**
+   * Count down to the next blink and fade the boss around it
+   */
+  updateTeleport(boss, dt) {
+    const anchors = this.movement.anchors || [];
+    if (anchors.length === 0) return;
+
+    const interval = this.movement.interval || DEFAULT_INTERVAL;
+    this.teleportTimer += dt;
+
+    // Telegraph: fade out just before the blink, fade back in after it
+    if (boss.graphics) {
+      const untilBlink = interval - this.teleportTimer;
+      const sinceBlink = this.teleportTimer;
+      const alpha = Math.min(1, untilBlink / TELEPORT_FADE_MS, sinceBlink / TELEPORT_FADE_MS);
+      boss.graphics.setAlpha(Math.max(0.15, alpha));
+    }
+
+    if (this.teleportTimer >= interval) {
+      this.teleportTimer = 0;
+      const anchor = this.pickAnchor(boss, anchors);
+      this.bossSystem.placeBoss(anchor.x, anchor.y);
+    }
+  }
+
+  /**
+   * Seeded random anchor, avoiding the current spot and anchors a ball sits on
+   */
+  pickAnchor(boss, anchors) {
+    const clearance = Math.max(boss.width, boss.height) / 2 + 20;
+    const balls = (this.scene.balls || []).filter(b => !b.finished && b.body);
+    const candidates = anchors.filter(a => {
+      if (a.x === boss.x && a.y === boss.y) return false;
+      return !balls.some(b => Math.hypot(b.body.position.x - a.x, b.body.position.y - a.y) < clearance);
+    });
+    return rng.pick(candidates.length > 0 ? candidates : anchors);
+  }
+
+  /**
+   * Move the body with the frame delta as its velocity
+   */
+  moveTo(x, y) {
+    const boss = this.bossSystem.boss;
+    this.velocity = { x: x - boss.x, y: y - boss.y };
+    this.scene.matter.body.setPosition(boss.body, { x, y }, true);
+    this.bossSystem.syncBossPosition(x, y);
+  }
+
+  /**
+   * Zero the body velocity (a static body keeps its last one otherwise)
+   */
+  hold() {
+    const boss = this.bossSystem.boss;
+    this.velocity = { x: 0, y: 0 };
+    this.scene.matter.body.setPosition(boss.body, { x: boss.x, y: boss.y }, true);
+    this.bossSystem.syncBossPosition(boss.x, boss.y);
+  }
+
+  /**
+   * Current boss velocity in px per frame (Matter velocity units)
+   */
+  getVelocity() {
+    return this.velocity;
+  }
+
+  reset() {
+    this.movement = null;
+    this.waypointIndex = 0;
+    this.teleportTimer = 0;
+    this.velocity = { x: 0, y: 0 };
+  }
+}
+
+/**
+ * Move from a point toward a goal by at most step pixels
+ */
+function stepTowards(from, goal, step) {
+  const dx = goal.x - from.x;
+  const dy = goal.y - from.y;
+  const dist = Math.sqrt(dx * dx + dy * dy);
+  if (dist <= step) return { x: goal.x, y: goal.y };
+  return { x: from.x + dx / dist * step, y: from.y + dy / dist * step };
+}
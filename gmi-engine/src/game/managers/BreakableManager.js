@@ -77,6 +77,9 @@ export class BreakableManager {
   destroy(obstacle) {
     obstacle.destroyed = true;
 
+    // Animations waiting for this breakable start now
+    this.scene.animationPlayer?.handleEvent('breakable', { id: obstacle.data?.id });
+
     // Remove physics body
     if (obstacle.body) {
       this.scene.matter.world.remove(obstacle.body);
@@ -1,9 +1,22 @@
 /**
  * CrushDetector - Handles crush detection for balls against obstacles and walls
  * Extracted from RaceScene.js for modularity
+ *
+ * Crushers are checked by geometry along their crush direction; keyframe-
+ * animated obstacles by a squeeze test on their physics contacts
  */
 
 import Phaser from 'phaser';
+import { getContactNormal, getPointVelocity } from '../systems/KinematicMotion.js';
+
+// Squeezed: overlapped from both sides by more than this fraction of the diameter
+const SQUEEZE_DEPTH = 0.2;
+
+// Contacts count as opposite sides when their normals are at least this opposed (-cos)
+const SQUEEZE_ALIGNMENT = 0.5;
+
+// Slowest an animated obstacle can move into a ball and still squeeze it (px/step)
+const MIN_PUSH_SPEED = 0.05;
 
 export class CrushDetector {
   constructor(scene) {
@@ -31,7 +44,7 @@ export class CrushDetector {
       const minCrushWallSize = 100; // Minimum size to be considered a "crush wall"
 
       this.scene.obstacles.forEach(obs => {
-        if (obs === crusher || obs.destroyed || obs.crusher) return;
+        if (obs === crusher || obs.destroyed || obs.disabled || obs.solid === false || obs.crusher || obs.sensor) return;
         const obsPos = obs.body.position;
         const obsW = obs.data.width || 50;
         const obsH = obs.data.height || 20;
@@ -165,173 +178,63 @@ export class CrushDetector {
   }
 
   /**
-   * After animated obstacles move, check if any balls are trapped/crushed
-   * All moving obstacles act as crushers - if a ball is squeezed between
-   * the obstacle and any surface (wall or another obstacle), the ball is eliminated.
+   * Squeeze test for keyframe-animated obstacles (kinematic bodies, see
+   * KinematicMotion.js). Run after they moved: a ball is crushed when an
+   * animated obstacle drives into it while something solid holds it from
+   * the opposite side, and the two overlap it by more than SQUEEZE_DEPTH of
+   * its diameter, i.e. the solver can no longer make room for it.
    */
-  resolveAnimatedObstacleCollisions() {
-    if (!this.scene.animationPlayer || this.scene.animationPlayer.animations.size === 0) return;
+  checkSqueezedBalls() {
+    const player = this.scene.animationPlayer;
+    if (!this.scene.isRacing || !player || player.animations.size === 0) return;
 
     const Matter = Phaser.Physics.Matter.Matter;
-    const ballDiameter = 24; // Standard ball diameter
-    const crushThreshold = ballDiameter * 0.7; // Ball is crushed if space < 70% of diameter
+    const solidBodies = [...(this.scene.walls || [])];
+    const movingBodies = [];
+
+    this.scene.obstacles.forEach(obs => {
+      if (!obs.body || obs.destroyed || obs.disabled || obs.solid === false || obs.sensor) return;
+      solidBodies.push(obs.body);
+      if (obs.data?.id && player.isAnimated(obs.data.id)) movingBodies.push(obs.body);
+    });
+    if (movingBodies.length === 0) return;
 
     this.scene.balls.forEach(ball => {
       if (!ball.body || ball.finished || ball.eliminated) return;
 
-      const ballPos = ball.body.position;
-      const ballRadius = ball.radius || 12;
-
-      // Check against each animated obstacle
-      this.scene.obstacles.forEach(obs => {
-        if (!obs.body || obs.destroyed) return;
-        if (!obs.data?.id || !this.scene.animationPlayer.hasAnimation(obs.data.id)) return;
-
-        const obsPos = obs.body.position;
-        let isColliding = false;
-        let pushX = 0;
-        let pushY = 0;
-
-        if (obs.data.type === 'circle') {
-          // Circle-circle collision
-          const obsRadius = obs.data.radius || 25;
-          const dx = ballPos.x - obsPos.x;
-          const dy = ballPos.y - obsPos.y;
-          const dist = Math.sqrt(dx * dx + dy * dy);
-          const minDist = obsRadius + ballRadius;
-
-          if (dist < minDist && dist > 0.1) {
-            isColliding = true;
-            const pushDist = minDist - dist + 5;
-            pushX = (dx / dist) * pushDist;
-            pushY = (dy / dist) * pushDist;
-          }
-        } else {
-          // Rectangle-circle collision
-          const halfW = (obs.data.width || 50) / 2;
-          const halfH = (obs.data.height || 20) / 2;
-
-          const closestX = Math.max(obsPos.x - halfW, Math.min(ballPos.x, obsPos.x + halfW));
-          const closestY = Math.max(obsPos.y - halfH, Math.min(ballPos.y, obsPos.y + halfH));
-
-          const dx = ballPos.x - closestX;
-          const dy = ballPos.y - closestY;
-          const dist = Math.sqrt(dx * dx + dy * dy);
-
-          if (dist < ballRadius) {
-            isColliding = true;
-            if (dist > 0.1) {
-              const pushDist = ballRadius - dist + 5;
-              pushX = (dx / dist) * pushDist;
-              pushY = (dy / dist) * pushDist;
-            } else {
-              // Ball center is inside obstacle - push toward nearest edge
-              const toLeft = ballPos.x - (obsPos.x - halfW);
-              const toRight = (obsPos.x + halfW) - ballPos.x;
-              const toTop = ballPos.y - (obsPos.y - halfH);
-              const toBottom = (obsPos.y + halfH) - ballPos.y;
-              const minEdge = Math.min(toLeft, toRight, toTop, toBottom);
-
-              if (minEdge === toLeft) pushX = -(halfW + ballRadius + 5);
-              else if (minEdge === toRight) pushX = halfW + ballRadius + 5;
-              else if (minEdge === toTop) pushY = -(halfH + ballRadius + 5);
-              else pushY = halfH + ballRadius + 5;
-            }
-          }
-        }
-
-        if (!isColliding) return;
-
-        // Calculate where the ball would be pushed to
-        let newX = ballPos.x + pushX;
-        let newY = ballPos.y + pushY;
-
-        // Check if ball would be crushed against a wall
-        const margin = ballRadius + 2;
-        const crushedAgainstWall =
-          (newX < margin && pushX < 0) ||
-          (newX > this.scene.gameWidth - margin && pushX > 0) ||
-          (newY < margin && pushY < 0) ||
-          (newY > this.scene.gameHeight - margin && pushY > 0);
-
-        // Check if ball would be crushed against another obstacle
-        let crushedAgainstObstacle = false;
-        if (!crushedAgainstWall) {
-          crushedAgainstObstacle = this.checkCrushAgainstObstacles(
-            ball, newX, newY, ballRadius, obs, crushThreshold
-          );
-        }
-
-        // If crushed, eliminate the ball
-        if (crushedAgainstWall || crushedAgainstObstacle) {
-          this.scene.eliminateBall(ball, 'crushed');
-          return;
-        }
-
-        // Not crushed - push the ball out safely
-        newX = Math.max(margin, Math.min(this.scene.gameWidth - margin, newX));
-        newY = Math.max(margin, Math.min(this.scene.gameHeight - margin, newY));
-
-        Matter.Body.setPosition(ball.body, { x: newX, y: newY });
-
-        // Give the ball velocity to bounce away
-        const currentVel = ball.body.velocity;
-        const speed = Math.sqrt(currentVel.x * currentVel.x + currentVel.y * currentVel.y) || 5;
-        const pushLen = Math.sqrt(pushX * pushX + pushY * pushY) || 1;
-
-        let velX = (pushX / pushLen) * speed;
-        let velY = (pushY / pushLen) * speed;
-
-        // Redirect velocity away from boundaries
-        if (newX <= margin) velX = Math.abs(velX);
-        if (newX >= this.scene.gameWidth - margin) velX = -Math.abs(velX);
-        if (newY <= margin) velY = Math.abs(velY);
-        if (newY >= this.scene.gameHeight - margin) velY = -Math.abs(velY);
-
-        Matter.Body.setVelocity(ball.body, { x: velX, y: velY });
-      });
+      // Animated obstacles this ball touches that are moving into it
+      const pushers = Matter.Query.collides(ball.body, movingBodies)
+        .map(collision => this.describeContact(collision, ball.body))
+        .filter(contact => {
+          const velocity = getPointVelocity(contact.body, ball.body.position);
+          return velocity.x * contact.normal.x + velocity.y * contact.normal.y > MIN_PUSH_SPEED;
+        });
+      if (pushers.length === 0) return;
+
+      const contacts = Matter.Query.collides(ball.body, solidBodies)
+        .map(collision => this.describeContact(collision, ball.body));
+      const diameter = (ball.radius || 12) * 2;
+
+      const squeezed = pushers.some(pusher => contacts.some(contact =>
+        contact.body !== pusher.body &&
+        pusher.normal.x * contact.normal.x + pusher.normal.y * contact.normal.y < -SQUEEZE_ALIGNMENT &&
+        pusher.depth + contact.depth > diameter * SQUEEZE_DEPTH
+      ));
+
+      if (squeezed) {
+        this.scene.eliminateBall(ball, 'crushed');
+      }
     });
   }
 
   /**
-   * Check if a ball at position (x,y) would be crushed against another obstacle
-   * @param {Object} ball - The ball object
-   * @param {number} x - X position to check
-   * @param {number} y - Y position to check
-   * @param {number} ballRadius - Ball radius
-   * @param {Object} excludeObs - Obstacle to exclude from check
-   * @param {number} crushThreshold - Threshold for crush detection
-   * @returns {boolean} True if the ball would be crushed
+   * Other body, normal pointing into the ball and overlap of a ball contact
    */
-  checkCrushAgainstObstacles(ball, x, y, ballRadius, excludeObs, crushThreshold) {
-    for (const otherObs of this.scene.obstacles) {
-      if (otherObs === excludeObs || otherObs.destroyed || !otherObs.body) continue;
-
-      const otherPos = otherObs.body.position;
-      let distToOther = Infinity;
-
-      if (otherObs.data?.type === 'circle') {
-        const otherRadius = otherObs.data.radius || 25;
-        const dx = x - otherPos.x;
-        const dy = y - otherPos.y;
-        distToOther = Math.sqrt(dx * dx + dy * dy) - otherRadius;
-      } else {
-        const halfW = (otherObs.data?.width || 50) / 2;
-        const halfH = (otherObs.data?.height || 20) / 2;
-
-        const closestX = Math.max(otherPos.x - halfW, Math.min(x, otherPos.x + halfW));
-        const closestY = Math.max(otherPos.y - halfH, Math.min(y, otherPos.y + halfH));
-
-        const dx = x - closestX;
-        const dy = y - closestY;
-        distToOther = Math.sqrt(dx * dx + dy * dy);
-      }
-
-      // If distance to other obstacle is less than crush threshold, ball is crushed
-      if (distToOther < crushThreshold) {
-        return true;
-      }
-    }
-    return false;
+  describeContact(collision, ballBody) {
+    return {
+      body: collision.parentA === ballBody ? collision.parentB : collision.parentA,
+      normal: getContactNormal(collision, ballBody),
+      depth: collision.depth
+    };
   }
 }
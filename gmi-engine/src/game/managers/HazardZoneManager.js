@@ -0,0 +1,210 @@
+/**
+ * HazardZoneManager - Area zones with a continuous effect on the balls inside
+ *
+ * KINDS (see HAZARD_TYPES for the defaults):
+ * - lava:      `damage` HP every `interval` s (through RaceScene.damageBall)
+ * - mud:       ball speed x `multiplier` (< 1 slows)
+ * - speed:     ball speed x `multiplier` (> 1 speeds up)
+ * - wind:      bends ball paths toward `direction` (`strength` = steering per s)
+ * - conveyor:  carries balls along `direction` at `strength` px/s
+ * - noWeapons: balls inside can't fire, hit or be hit by weapons
+ *
+ * A ball counts as inside while its centre is in the zone (same test as the
+ * finish and trigger zones). Overlapping speed zones multiply.
+ *
+ * MAP DATA:
+ *   hazards: [{ id, kind, x, y, width, height, ...params }]
+ *   direction is in degrees: 0 = right, 90 = down
+ */
+
+import { gameLog } from '../systems/GameLog.js';
+
+export const HAZARD_TYPES = {
+  lava: { label: 'Lava', color: 0xff6b1a, params: { damage: 5, interval: 0.5 } },
+  mud: { label: 'Mud', color: 0x8d6e63, params: { multiplier: 0.5 } },
+  speed: { label: 'Speed', color: 0x22b8cf, params: { multiplier: 1.5 } },
+  wind: { label: 'Wind', color: 0x74c0fc, params: { direction: 0, strength: 4 } },
+  conveyor: { label: 'Conveyor', color: 0x868e96, params: { direction: 0, strength: 60 } },
+  noWeapons: { label: 'No Weapons', color: 0x51cf66, params: {} }
+};
+
+export class HazardZoneManager {
+  constructor(scene) {
+    this.scene = scene;
+    this.zones = [];
+    this.ballZones = new Map();       // ballName -> Set of zones the ball is in
+    this.speedMultipliers = new Map(); // ballName -> product of speed zone multipliers
+    this.nextDamage = new Map();       // "zoneId:ballName" -> race time of the next lava tick
+  }
+
+  /**
+   * Read a map's hazard zones (unknown kinds are dropped)
+   * @param {Array} [hazards] - Map hazard data
+   */
+  load(hazards = []) {
+    this.zones = hazards
+      .filter(zone => HAZARD_TYPES[zone.kind])
+      .map((zone, i) => ({
+        ...HAZARD_TYPES[zone.kind].params,
+        ...zone,
+        id: zone.id || `hazard-${i + 1}`,
+        label: HAZARD_TYPES[zone.kind].label
+      }));
+    this.reset();
+
+    if (this.zones.length > 0) {
+      console.log(`[HazardZoneManager] ${this.zones.length} hazard zone(s)`);
+    }
+  }
+
+  /**
+   * Forget which balls are inside (race reset / new map)
+   */
+  reset() {
+    this.ballZones.clear();
+    this.speedMultipliers.clear();
+    this.nextDamage.clear();
+  }
+
+  /**
+   * Apply every zone to the balls inside it (called each tick while racing,
+   * before ball speeds are renormalized)
+   * @param {number} deltaSeconds - Frame time
+   * @param {number} raceTime - Seconds since race start
+   */
+  update(deltaSeconds, raceTime) {
+    if (this.zones.length === 0) return;
+
+    this.scene.balls.forEach(ball => {
+      if (ball.finished || ball.eliminated || ball.isRespawning) {
+        this.leaveAll(ball);
+        return;
+      }
+
+      const { x, y } = ball.body.position;
+      const previous = this.ballZones.get(ball.name) || new Set();
+      const inside = new Set(this.zones.filter(zone => this.scene.isBallInZone(x, y, ball.radius, zone)));
+
+      previous.forEach(zone => {
+        if (!inside.has(zone)) this.nextDamage.delete(`${zone.id}:${ball.name}`);
+      });
+      inside.forEach(zone => {
+        if (!previous.has(zone) && zone.kind !== 'lava') {
+          gameLog.hazard(ball.name, zone.label, this.describeEffect(zone));
+        }
+      });
+      this.ballZones.set(ball.name, inside);
+
+      let multiplier = 1;
+      inside.forEach(zone => {
+        switch (zone.kind) {
+          case 'lava':
+            this.applyLava(ball, zone, raceTime);
+            break;
+          case 'mud':
+          case 'speed':
+            multiplier *= zone.multiplier > 0 ? zone.multiplier : 1;
+            break;
+          case 'wind':
+            this.applyWind(ball, zone, deltaSeconds);
+            break;
+          case 'conveyor':
+            this.applyConveyor(ball, zone, deltaSeconds);
+            break;
+        }
+      });
+      this.speedMultipliers.set(ball.name, multiplier);
+    });
+  }
+
+  /**
+   * Damage on entry, then every `interval` seconds while the ball stays
+   */
+  applyLava(ball, zone, raceTime) {
+    const key = `${zone.id}:${ball.name}`;
+    const due = this.nextDamage.get(key) ?? raceTime;
+    if (raceTime < due) return;
+
+    this.nextDamage.set(key, raceTime + Math.max(0.1, zone.interval || 0.5));
+    this.scene.damageBall(ball, zone.damage, zone.label);
+  }
+
+  /**
+   * Push the velocity toward the wind; the per-frame speed renormalization
+   * keeps the ball's speed, so wind only bends its path
+   */
+  applyWind(ball, zone, deltaSeconds) {
+    const { x, y } = directionVector(zone.direction);
+    const push = (zone.strength || 0) * deltaSeconds;
+    const vel = ball.body.velocity;
+    this.scene.matter.body.setVelocity(ball.body, { x: vel.x + x * push, y: vel.y + y * push });
+  }
+
+  /**
+   * Move the ball with the belt on top of its own motion
+   */
+  applyConveyor(ball, zone, deltaSeconds) {
+    const { x, y } = directionVector(zone.direction);
+    const step = (zone.strength || 0) * deltaSeconds;
+    this.scene.matter.body.translate(ball.body, { x: x * step, y: y * step });
+  }
+
+  leaveAll(ball) {
+    const zones = this.ballZones.get(ball.name);
+    if (!zones) return;
+    zones.forEach(zone => this.nextDamage.delete(`${zone.id}:${ball.name}`));
+    this.ballZones.delete(ball.name);
+    this.speedMultipliers.delete(ball.name);
+  }
+
+  /**
+   * Ball speed multiplier from mud and speed zones (used by RaceScene.getBallSpeed)
+   */
+  getSpeedMultiplier(ball) {
+    return (ball && this.speedMultipliers.get(ball.name)) || 1;
+  }
+
+  /**
+   * Whether a ball is inside a no-weapons zone
+   */
+  isWeaponFree(ball) {
+    const zones = ball && this.ballZones.get(ball.name);
+    if (!zones) return false;
+    for (const zone of zones) {
+      if (zone.kind === 'noWeapons') return true;
+    }
+    return false;
+  }
+
+  /**
+   * Short effect text for the game log
+   */
+  describeEffect(zone) {
+    switch (zone.kind) {
+      case 'mud':
+      case 'speed':
+        return `speed x${zone.multiplier}`;
+      case 'wind':
+        return `pushed ${compassName(zone.direction)}`;
+      case 'conveyor':
+        return `carried ${compassName(zone.direction)}`;
+      case 'noWeapons':
+        return 'weapons disabled';
+    }
+    return '';
+  }
+}
+
+/**
+ * Unit vector for a direction in degrees (0 = right, 90 = down)
+ */
+export function directionVector(degrees = 0) {
+  const radians = degrees * Math.PI / 180;
+  return { x: Math.cos(radians), y: Math.sin(radians) };
+}
+
+function compassName(degrees = 0) {
+  const names = ['right', 'down-right', 'down', 'down-left', 'left', 'up-left', 'up', 'up-right'];
+  const index = Math.round((((degrees % 360) + 360) % 360) / 45) % 8;
+  return names[index];
+}
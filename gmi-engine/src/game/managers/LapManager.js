@@ -0,0 +1,169 @@
+/**
+ * LapManager - Checkpoints and laps for circuit races
+ *
+ * A lap is: pass every checkpoint zone in order, then enter the finish
+ * zone. A ball's race is over after `laps` laps. Maps without checkpoints
+ * and with one lap behave like the old single start-to-finish run.
+ *
+ * MAP DATA:
+ *   checkpoints: [{ x, y, width, height }, ...]  // pass order = array order
+ *   laps: 3                                      // default 1
+ *
+ * PER-BALL STATE (set by initBall):
+ *   ball.lap            - current lap (1-based)
+ *   ball.nextCheckpoint - index of the checkpoint to pass next
+ *   ball.lapTimes       - completed lap durations in seconds
+ *   ball.lapStartTime   - race time the current lap started
+ *
+ * PROGRESS:
+ * One TrackProgress distance field per segment (spawn -> CP1 -> ... ->
+ * finish), so ball.progress keeps growing over the whole race even when a
+ * circuit loops back past the start.
+ */
+
+import { TrackProgress } from '../systems/TrackProgress.js';
+import { gameLog } from '../systems/GameLog.js';
+
+export class LapManager {
+  constructor(scene) {
+    this.scene = scene;
+    this.checkpoints = [];
+    this.laps = 1;
+    this.segments = [];
+    this.fastestLap = null;
+  }
+
+  /**
+   * Build the course for a map
+   * @param {Object} course
+   * @param {Array} [course.checkpoints] - Checkpoint zones in pass order
+   * @param {number} [course.laps] - Laps to finish
+   * @param {Object} [course.finishZone] - Finish zone (null = finish line at finishY)
+   * @param {number} [course.finishY] - Finish line for maps without a zone
+   * @param {{x: number, y: number}} course.spawn - Spawn point
+   * @param {Array} [course.obstacles] - Map obstacle data
+   * @param {Set<string>} [course.animatedIds] - Obstacles with keyframe animations
+   */
+  setup({ checkpoints = [], laps = 1, finishZone = null, finishY = 60, spawn, obstacles = [], animatedIds = null }) {
+    this.checkpoints = checkpoints.map(cp => ({ x: cp.x, y: cp.y, width: cp.width, height: cp.height }));
+    this.laps = Math.max(1, Math.floor(laps) || 1);
+    this.fastestLap = null;
+
+    let from = spawn;
+    this.segments = [...this.checkpoints, finishZone].map(target => {
+      const field = new TrackProgress({
+        width: this.scene.gameWidth,
+        height: this.scene.gameHeight,
+        obstacles,
+        finishZone: target,
+        finishY,
+        spawn: from,
+        animatedIds
+      });
+      if (target) from = { x: target.x + target.width / 2, y: target.y + target.height / 2 };
+      return field;
+    });
+
+    if (this.isCircuit()) {
+      console.log(`[LapManager] ${this.laps} lap(s), ${this.checkpoints.length} checkpoint(s)`);
+    }
+  }
+
+  /**
+   * Whether the map uses checkpoints or more than one lap
+   */
+  isCircuit() {
+    return this.laps > 1 || this.checkpoints.length > 0;
+  }
+
+  /**
+   * Reset a ball's lap state (race start / reset)
+   */
+  initBall(ball) {
+    ball.lap = 1;
+    ball.nextCheckpoint = 0;
+    ball.lapTimes = [];
+    ball.lapStartTime = 0;
+    ball.inFinishZone = null; // unknown until the first update
+  }
+
+  /**
+   * Advance a ball's checkpoint and lap state for this frame
+   * Laps count when the ball enters the finish zone after passing every
+   * checkpoint, so a circuit that starts inside the finish zone works too
+   * @param {Object} ball
+   * @param {number} x - Ball position
+   * @param {number} y
+   * @param {boolean} inFinish - Ball is inside the finish zone (or past the finish line)
+   * @param {number} raceTime - Seconds since race start
+   * @returns {boolean} true when the ball completed its final lap
+   */
+  update(ball, x, y, inFinish, raceTime) {
+    const checkpoint = this.checkpoints[ball.nextCheckpoint];
+    if (checkpoint && isInZone(x, y, checkpoint)) {
+      ball.nextCheckpoint++;
+      this.scene.replayRecorder?.recordEvent('checkpoint', {
+        ball: ball.name, lap: ball.lap, checkpoint: ball.nextCheckpoint
+      });
+    }
+
+    const wasInFinish = ball.inFinishZone;
+    ball.inFinishZone = inFinish;
+
+    // Only entering counts; on a multi-lap circuit a ball that starts inside
+    // the finish zone has to leave it first
+    const entered = inFinish && (wasInFinish === false || (wasInFinish === null && this.laps === 1));
+    if (!entered || ball.nextCheckpoint < this.checkpoints.length) return false;
+
+    this.completeLap(ball, raceTime);
+    if (ball.lap >= this.laps) return true;
+
+    ball.lap++;
+    ball.nextCheckpoint = 0;
+    return false;
+  }
+
+  completeLap(ball, raceTime) {
+    const lapTime = raceTime - ball.lapStartTime;
+    ball.lapTimes.push(lapTime);
+    ball.lapStartTime = raceTime;
+    if (this.laps === 1) return;
+
+    const isFastest = !this.fastestLap || lapTime < this.fastestLap.time;
+    if (isFastest) {
+      this.fastestLap = { ballName: ball.name, lap: ball.lap, time: lapTime };
+    }
+    gameLog.lap(ball.name, ball.lap, this.laps, lapTime, isFastest);
+    this.scene.replayRecorder?.recordEvent('lap', {
+      ball: ball.name, lap: ball.lap, time: lapTime, fastest: isFastest
+    });
+  }
+
+  /**
+   * Race progress in percent across all laps
+   * @returns {number|null} null when the ball is somewhere unreachable
+   */
+  getProgress(ball, x, y) {
+    const count = this.segments.length;
+    const index = Math.min(ball.nextCheckpoint || 0, count - 1);
+    const fraction = this.segments[index].getProgress(x, y);
+    if (fraction === null) return null;
+
+    const done = ((ball.lap || 1) - 1) * count + index + fraction / 100;
+    return done / (this.laps * count) * 100;
+  }
+
+  /**
+   * Fastest lap time of one ball (seconds), or null before its first lap
+   */
+  getBestLap(ball) {
+    return ball.lapTimes?.length ? Math.min(...ball.lapTimes) : null;
+  }
+}
+
+/**
+ * Ball centre inside a zone (same rule as RaceScene.isBallInZone)
+ */
+function isInZone(x, y, zone) {
+  return x >= zone.x && x <= zone.x + zone.width && y >= zone.y && y <= zone.y + zone.height;
+}
@@ -1,9 +1,30 @@
 /**
  * SpecialObstacleManager - Handles updating special obstacle behaviors
- * (rotating, moving, crushing)
+ * (rotating, moving, crushing) and the pinball behaviors:
+ *
+ * - bumper:  kicks balls straight back out and scores bumper points
+ * - flipper: swings up around a hinge at one end, on an interval or when a
+ *            ball comes close, and launches the balls it hits
+ * - boost:   pass-through pad, multiplies ball speed for a while
+ * - portal:  pass-through zone, teleports balls to the other portal on the
+ *            same channel keeping their velocity
+ *
  * Extracted from RaceScene.js for modularity
  */
 
+import { rng } from '../systems/RandomSystem.js';
+
+// Behaviors that balls pass through (sensor bodies, no bounce)
+export const SENSOR_BEHAVIORS = ['boost', 'portal'];
+
+const BUMPER_KICK_DURATION = 0.35;  // s the bumper's extra speed lasts
+const FLIPPER_KICK = 1.8;           // speed multiplier for a ball hit by a rising flipper
+const FLIPPER_KICK_DURATION = 0.5;
+const FLIPPER_UP_TIME = 0.08;       // s to swing up
+const FLIPPER_HOLD_TIME = 0.15;
+const FLIPPER_DOWN_TIME = 0.25;
+const PORTAL_COOLDOWN = 0.6;        // s before a ball can teleport again
+
 export class SpecialObstacleManager {
   constructor(scene, crushDetector) {
     this.scene = scene;
@@ -11,12 +32,13 @@ export class SpecialObstacleManager {
   }
 
   /**
-   * Update all special obstacles (rotating, moving, crushing)
+   * Update all special obstacles (rotating, moving, crushing, flippers)
+   * and the timed ball effects (speed boosts, portal cooldowns)
    * @param {number} deltaSeconds - Time delta in seconds
    */
   update(deltaSeconds) {
     this.scene.obstacles.forEach(obs => {
-      if (obs.destroyed) return;
+      if (obs.destroyed || obs.disabled) return;
 
       // Handle rotating obstacles
       if (obs.rotating && obs.graphics) {
@@ -28,10 +50,36 @@ export class SpecialObstacleManager {
         this.updateMoving(obs, deltaSeconds);
       }
 
-      // Handle crusher obstacles - ONLY move when race is active
-      if (obs.crusher && obs.graphics && this.scene.isRacing) {
+      // Handle crusher obstacles - ONLY move when race is active (and
+      // after their trigger when one starts them)
+      if (obs.crusher && obs.graphics && this.scene.isRacing && (!obs.crusherOnTrigger || obs.crusherStarted)) {
         this.updateCrusher(obs, deltaSeconds);
       }
+
+      // Handle flippers - ONLY swing when race is active
+      if (obs.flipper && obs.graphics && this.scene.isRacing) {
+        this.updateFlipper(obs, deltaSeconds);
+      }
+    });
+
+    this.updateBallEffects(deltaSeconds);
+  }
+
+  /**
+   * Put flippers back at rest and clear ball effects (race reset)
+   */
+  reset() {
+    this.scene.obstacles.forEach(obs => {
+      if (!obs.flipper || !obs.flipperHinge) return;
+      obs.flipperState = 'rest';
+      obs.flipperOffset = 0;
+      obs.flipperTimer = (obs.flipperInterval || 1500) / 1000;
+      this.applyFlipperPose(obs);
+    });
+    this.scene.balls.forEach(ball => {
+      ball.boostTimer = 0;
+      ball.boostMultiplier = 1;
+      ball.portalCooldown = 0;
     });
   }
 
@@ -147,4 +195,220 @@ export class SpecialObstacleManager {
       }
     }
   }
+
+  // ---- Flippers ----
+
+  /**
+   * Remember the hinge and rest pose the first time a flipper updates
+   * (after the obstacle got its final position and angle)
+   */
+  initFlipper(obs) {
+    const body = obs.body;
+    const half = obs.data?.type === 'circle' ? 0 : (obs.data?.width || 50) / 2;
+
+    // Signed distance from the hinge to the body centre along the flipper
+    obs.flipperArm = obs.flipperSide === 'right' ? -half : half;
+    obs.flipperRestAngle = body.angle;
+    obs.flipperHinge = {
+      x: body.position.x - Math.cos(body.angle) * obs.flipperArm,
+      y: body.position.y - Math.sin(body.angle) * obs.flipperArm
+    };
+    obs.flipperOffset = 0;
+    obs.flipperState = 'rest';
+    obs.flipperTimer = (obs.flipperInterval || 1500) / 1000;
+  }
+
+  /**
+   * Swing a flipper: rest -> up -> hold -> down -> rest
+   * @param {Object} obs - The obstacle
+   * @param {number} deltaSeconds - Time delta
+   */
+  updateFlipper(obs, deltaSeconds) {
+    if (!obs.flipperHinge) this.initFlipper(obs);
+
+    // Left flippers swing counter-clockwise (free end up), right ones clockwise
+    const swing = (obs.flipperSwing || 45) * Math.PI / 180 * (obs.flipperSide === 'right' ? 1 : -1);
+
+    switch (obs.flipperState) {
+      case 'rest':
+        if (obs.flipperMode === 'trigger') {
+          if (this.isBallNearFlipper(obs)) this.triggerFlipper(obs);
+        } else {
+          obs.flipperTimer -= deltaSeconds;
+          if (obs.flipperTimer <= 0) this.triggerFlipper(obs);
+        }
+        return;
+      case 'up':
+        obs.flipperOffset += swing * deltaSeconds / FLIPPER_UP_TIME;
+        if (Math.abs(obs.flipperOffset) >= Math.abs(swing)) {
+          obs.flipperOffset = swing;
+          obs.flipperState = 'hold';
+          obs.flipperTimer = FLIPPER_HOLD_TIME;
+        }
+        break;
+      case 'hold':
+        obs.flipperTimer -= deltaSeconds;
+        if (obs.flipperTimer <= 0) obs.flipperState = 'down';
+        return;
+      case 'down':
+        obs.flipperOffset -= swing * deltaSeconds / FLIPPER_DOWN_TIME;
+        if (obs.flipperOffset * swing <= 0) {
+          obs.flipperOffset = 0;
+          obs.flipperState = 'rest';
+          obs.flipperTimer = (obs.flipperInterval || 1500) / 1000;
+        }
+        break;
+    }
+
+    this.applyFlipperPose(obs);
+  }
+
+  /**
+   * Start a flipper swing (ignored while it is already swinging)
+   * @param {Object} obs - The obstacle
+   */
+  triggerFlipper(obs) {
+    if (!obs.flipper || obs.destroyed) return;
+    if (!obs.flipperHinge) this.initFlipper(obs);
+    if (obs.flipperState === 'rest') obs.flipperState = 'up';
+  }
+
+  /**
+   * Rotate the flipper body and graphics around the hinge
+   */
+  applyFlipperPose(obs) {
+    const angle = obs.flipperRestAngle + obs.flipperOffset;
+    const x = obs.flipperHinge.x + Math.cos(angle) * obs.flipperArm;
+    const y = obs.flipperHinge.y + Math.sin(angle) * obs.flipperArm;
+
+    this.scene.matter.body.setAngle(obs.body, angle);
+    this.scene.matter.body.setPosition(obs.body, { x, y });
+    if (obs.graphics) {
+      obs.graphics.x = x;
+      obs.graphics.y = y;
+      obs.graphics.rotation = angle;
+    }
+  }
+
+  isBallNearFlipper(obs) {
+    const range = obs.flipperRange || Math.abs(obs.flipperArm) * 2 || 50;
+    const { x, y } = obs.body.position;
+    return this.scene.balls.some(ball => {
+      if (!ball.body || ball.finished || ball.eliminated || ball.isRespawning) return false;
+      const dx = ball.body.position.x - x;
+      const dy = ball.body.position.y - y;
+      return dx * dx + dy * dy <= range * range;
+    });
+  }
+
+  // ---- Ball contact ----
+
+  /**
+   * React to a ball touching a pinball obstacle
+   * @param {Object} obs - The obstacle (from scene.obstacles)
+   * @param {Object} ball - The ball
+   * @param {Object} pair - Matter collision pair
+   * @returns {boolean} true when handled (skip the normal bounce)
+   */
+  handleBallContact(obs, ball, pair) {
+    if (!obs || obs.destroyed || !ball?.body) return false;
+
+    switch (obs.behavior) {
+      case 'bumper':
+        this.hitBumper(obs, ball, pair);
+        return true;
+      case 'flipper':
+        // A flipper at rest is just a wall
+        if (obs.flipperState !== 'up') return false;
+        this.kickBall(obs, ball, pair, FLIPPER_KICK, FLIPPER_KICK_DURATION);
+        return true;
+      case 'boost':
+        this.applyBoost(ball, obs.boostMultiplier || 1.8, obs.boostDuration || 1.5);
+        return true;
+      case 'portal':
+        this.enterPortal(obs, ball);
+        return true;
+    }
+    return false;
+  }
+
+  hitBumper(obs, ball, pair) {
+    this.kickBall(obs, ball, pair, obs.bumperStrength || 1.5, BUMPER_KICK_DURATION);
+    ball.bumperScore = (ball.bumperScore || 0) + (obs.bumperPoints ?? 1);
+    this.scene.replayRecorder?.recordEvent('bumper', { ball: ball.name, score: ball.bumperScore });
+
+    // Visual feedback - flash
+    if (obs.graphics) {
+      obs.graphics.setAlpha(0.4);
+      this.scene.time.delayedCall(80, () => {
+        if (obs.graphics && !obs.destroyed) obs.graphics.setAlpha(1);
+      });
+    }
+  }
+
+  /**
+   * Launch a ball away from an obstacle with a temporary speed boost
+   */
+  kickBall(obs, ball, pair, multiplier, duration) {
+    this.applyBoost(ball, multiplier, duration);
+
+    // The collision normal's sign depends on body order: point it at the ball
+    const normal = pair.collision.normal;
+    const dx = ball.body.position.x - obs.body.position.x;
+    const dy = ball.body.position.y - obs.body.position.y;
+    const sign = normal.x * dx + normal.y * dy < 0 ? -1 : 1;
+    const angle = Math.atan2(normal.y * sign, normal.x * sign) + rng.range(-0.2, 0.2);
+    const speed = this.scene.getBallSpeed(ball);
+
+    this.scene.matter.body.setVelocity(ball.body, {
+      x: Math.cos(angle) * speed,
+      y: Math.sin(angle) * speed
+    });
+  }
+
+  /**
+   * Teleport a ball to the paired portal, keeping its velocity
+   */
+  enterPortal(obs, ball) {
+    if (ball.portalCooldown > 0) return;
+
+    const channel = obs.portalChannel || 1;
+    const exit = this.scene.obstacles.find(other =>
+      other !== obs && !other.destroyed && other.behavior === 'portal' && (other.portalChannel || 1) === channel
+    );
+    if (!exit) return;
+
+    // Matter's setPosition moves positionPrev too, so velocity is preserved
+    ball.portalCooldown = PORTAL_COOLDOWN;
+    this.scene.matter.body.setPosition(ball.body, { x: exit.body.position.x, y: exit.body.position.y });
+    ball.posHistory = [];
+    this.scene.replayRecorder?.recordEvent('portal', { ball: ball.name, channel });
+  }
+
+  // ---- Ball effects ----
+
+  /**
+   * Multiply a ball's speed for a while (the latest boost wins)
+   * @param {Object} ball - The ball
+   * @param {number} multiplier - Speed multiplier
+   * @param {number} duration - Seconds
+   */
+  applyBoost(ball, multiplier, duration) {
+    ball.boostMultiplier = multiplier;
+    ball.boostTimer = duration;
+  }
+
+  /**
+   * Current speed multiplier from boost pads, bumpers and flippers
+   */
+  getBoostMultiplier(ball) {
+    return ball?.boostTimer > 0 ? ball.boostMultiplier : 1;
+  }
+
+  updateBallEffects(deltaSeconds) {
+    this.scene.balls.forEach(ball => {
+      if (ball.boostTimer > 0) ball.boostTimer -= deltaSeconds;
+      if (ball.portalCooldown > 0) ball.portalCooldown -= deltaSeconds;
+    });
+  }
 }
@@ -0,0 +1,289 @@
+/**
+ * TriggerManager - Trigger zones and the map's scripted actions
+ *
+ * A trigger fires its actions when an event happens during the race:
+ *
+ * - enter: a ball enters the zone (every entry, limited by `cooldown`)
+ * - first: the first ball enters the zone (once per race)
+ * - time:  `delay` seconds after the race starts (once per race, zone unused)
+ *
+ * MAP DATA:
+ *   triggers: [{
+ *     id, x, y, width, height,
+ *     event: 'enter' | 'first' | 'time',
+ *     delay: 10,        // s, 'time' only
+ *     cooldown: 0,      // s between 'enter' firings
+ *     actions: [{ type, ... }]
+ *   }]
+ *
+ * ACTIONS (see TRIGGER_ACTIONS):
+ *   toggleObstacle { target, state: 'toggle' | 'show' | 'hide' }
+ *   startCrusher   { target }            // targeted crushers wait until started
+ *   spawnItem      { target }            // itemSpawns id
+ *   spawnBoss      {}                    // the map's boss waits for this
+ *   setGravity     { x, y }
+ *   setSpeed       { value, duration }   // ball speed multiplier, 0 s = rest of race
+ *   banner         { text, duration }
+ *
+ * Keyframe animations can also wait for a trigger to fire (animation
+ * trigger event 'trigger', see AnimationTriggers.js).
+ *
+ * Obstacles with `startHidden` begin the race switched off. reset() puts
+ * every obstacle, gravity and speed change back for the next race.
+ */
+
+export const TRIGGER_EVENTS = ['enter', 'first', 'time'];
+export const TRIGGER_ACTIONS = ['toggleObstacle', 'startCrusher', 'spawnItem', 'spawnBoss', 'setGravity', 'setSpeed', 'banner'];
+
+const DEFAULT_BANNER_DURATION = 2.5; // s
+const BANNER_Y = 110;                // below the countdown timer
+
+export class TriggerManager {
+  constructor(scene) {
+    this.scene = scene;
+    this.triggers = [];
+    this.targetIds = new Set();
+    this.baseGravity = { x: 0, y: 0 };
+    this.speedMultiplier = 1;
+    this.speedUntil = null;
+    this.banner = null;
+    this.bannerUntil = 0;
+    this.bossSpawned = false;
+  }
+
+  /**
+   * Read a map's triggers (before its obstacles are created, so the
+   * obstacles they target get their own graphics)
+   * @param {Array} [triggers] - Map trigger data
+   */
+  load(triggers = []) {
+    this.triggers = triggers.map((trigger, i) => ({
+      id: trigger.id || `trigger-${i + 1}`,
+      x: trigger.x,
+      y: trigger.y,
+      width: trigger.width,
+      height: trigger.height,
+      event: TRIGGER_EVENTS.includes(trigger.event) ? trigger.event : 'enter',
+      delay: trigger.delay || 0,
+      cooldown: trigger.cooldown || 0,
+      actions: (trigger.actions || []).filter(action => TRIGGER_ACTIONS.includes(action.type))
+    }));
+
+    this.targetIds = new Set();
+    this.triggers.forEach(trigger => trigger.actions.forEach(action => {
+      if (action.type === 'toggleObstacle' || action.type === 'startCrusher') {
+        this.targetIds.add(action.target);
+      }
+    }));
+
+    const gravity = this.scene.matter.world.localWorld.gravity;
+    this.baseGravity = { x: gravity.x, y: gravity.y };
+
+    if (this.triggers.length > 0) {
+      console.log(`[TriggerManager] ${this.triggers.length} trigger(s)`);
+    }
+  }
+
+  /**
+   * Whether an obstacle can change at runtime (toggled, started or hidden)
+   */
+  isTargeted(obsData) {
+    return !!obsData.startHidden || (!!obsData.id && this.targetIds.has(obsData.id));
+  }
+
+  /**
+   * Whether the map's boss waits for a spawnBoss action
+   */
+  spawnsBoss() {
+    return this.triggers.some(trigger => trigger.actions.some(action => action.type === 'spawnBoss'));
+  }
+
+  /**
+   * Restore the map's starting state (race reset / new map)
+   */
+  reset() {
+    this.triggers.forEach(trigger => {
+      trigger.fired = false;
+      trigger.lastFired = -Infinity;
+      trigger.ballsInside = new Set();
+    });
+
+    const startedCrushers = new Set(this.triggers.flatMap(trigger => trigger.actions
+      .filter(action => action.type === 'startCrusher')
+      .map(action => action.target)));
+
+    this.scene.obstacles.forEach(obs => {
+      this.setObstacleEnabled(obs, !obs.data?.startHidden);
+      obs.crusherOnTrigger = obs.crusher && startedCrushers.has(obs.data?.id);
+      obs.crusherStarted = false;
+    });
+
+    this.scene.matter.world.setGravity(this.baseGravity.x, this.baseGravity.y);
+    this.speedMultiplier = 1;
+    this.speedUntil = null;
+    this.hideBanner();
+
+    // A boss spawned by a trigger has to wait for it again
+    if (this.bossSpawned) {
+      this.scene.bossSystem?.cleanup();
+      this.bossSpawned = false;
+    }
+  }
+
+  /**
+   * Check every trigger's event (called each tick while racing)
+   * @param {number} raceTime - Seconds since race start
+   */
+  update(raceTime) {
+    if (this.speedUntil !== null && raceTime >= this.speedUntil) {
+      this.speedMultiplier = 1;
+      this.speedUntil = null;
+    }
+    if (this.banner && raceTime >= this.bannerUntil) {
+      this.hideBanner();
+    }
+
+    this.triggers.forEach(trigger => {
+      if (trigger.event === 'time') {
+        if (!trigger.fired && raceTime >= trigger.delay) this.fire(trigger, raceTime);
+        return;
+      }
+      if (trigger.event === 'first' && trigger.fired) return;
+
+      this.scene.balls.forEach(ball => {
+        if (ball.finished || ball.eliminated || ball.isRespawning) {
+          trigger.ballsInside.delete(ball.name);
+          return;
+        }
+
+        const { x, y } = ball.body.position;
+        const inside = this.scene.isBallInZone(x, y, ball.radius, trigger);
+        const entered = inside && !trigger.ballsInside.has(ball.name);
+        if (inside) trigger.ballsInside.add(ball.name);
+        else trigger.ballsInside.delete(ball.name);
+
+        if (!entered) return;
+        if (trigger.event === 'first' && trigger.fired) return;
+        if (raceTime - trigger.lastFired < trigger.cooldown) return;
+        this.fire(trigger, raceTime, ball);
+      });
+    });
+  }
+
+  /**
+   * Run a trigger's actions
+   * @param {Object} trigger
+   * @param {number} raceTime - Seconds since race start
+   * @param {Object} [ball] - Ball that set it off (zone events)
+   */
+  fire(trigger, raceTime, ball = null) {
+    trigger.fired = true;
+    trigger.lastFired = raceTime;
+    console.log(`[TriggerManager] ${trigger.id} fired (${trigger.event}${ball ? `, ${ball.name}` : ''})`);
+    this.scene.replayRecorder?.recordEvent('trigger', ball ? { trigger: trigger.id, ball: ball.name } : { trigger: trigger.id });
+
+    trigger.actions.forEach(action => this.runAction(action, raceTime));
+    this.scene.animationPlayer?.handleEvent('trigger', { id: trigger.id });
+  }
+
+  runAction(action, raceTime) {
+    switch (action.type) {
+      case 'toggleObstacle': {
+        const obs = this.findObstacle(action.target);
+        if (!obs) return;
+        const enabled = action.state === 'show' || (action.state !== 'hide' && !!obs.disabled);
+        this.setObstacleEnabled(obs, enabled);
+        break;
+      }
+      case 'startCrusher': {
+        const obs = this.findObstacle(action.target);
+        if (obs?.crusher) obs.crusherStarted = true;
+        break;
+      }
+      case 'spawnItem': {
+        const spawn = this.scene.itemSystem?.spawnPoints.find(point => point.id === action.target);
+        if (spawn) this.scene.itemSystem.spawnItemAtPoint(spawn);
+        break;
+      }
+      case 'spawnBoss':
+        if (!this.bossSpawned && !this.scene.bossSystem?.isAlive()) {
+          this.bossSpawned = this.scene.spawnMapBoss();
+        }
+        break;
+      case 'setGravity':
+        this.scene.matter.world.setGravity(action.x || 0, action.y || 0);
+        break;
+      case 'setSpeed':
+        this.speedMultiplier = action.value > 0 ? action.value : 1;
+        this.speedUntil = action.duration > 0 ? raceTime + action.duration : null;
+        break;
+      case 'banner':
+        this.showBanner(action.text || '', action.duration || DEFAULT_BANNER_DURATION, raceTime);
+        break;
+    }
+  }
+
+  /**
+   * Ball speed multiplier from setSpeed actions (used by RaceScene.getBallSpeed)
+   */
+  getSpeedMultiplier() {
+    return this.speedMultiplier;
+  }
+
+  /**
+   * Switch an obstacle's body and graphics on or off
+   */
+  setObstacleEnabled(obs, enabled) {
+    if (obs.destroyed || !!obs.disabled === !enabled) return;
+
+    obs.disabled = !enabled;
+    if (enabled) {
+      this.scene.matter.world.add(obs.body);
+    } else {
+      this.scene.matter.world.remove(obs.body);
+    }
+    if (obs.graphics) obs.graphics.setVisible(enabled);
+  }
+
+  findObstacle(id) {
+    return this.scene.obstacles.find(obs => obs.data?.id === id && !obs.destroyed);
+  }
+
+  // ---- Banner ----
+
+  showBanner(text, duration, raceTime) {
+    this.hideBanner();
+    if (!text) return;
+
+    const container = this.scene.add.container(this.scene.gameWidth / 2, BANNER_Y);
+    container.setDepth(500);
+
+    const label = this.scene.add.text(0, 0, text, {
+      fontSize: '22px',
+      fontStyle: 'bold',
+      color: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 4
+    }).setOrigin(0.5);
+
+    const width = label.width + 40;
+    const bg = this.scene.add.graphics();
+    bg.fillStyle(0x000000, 0.7);
+    bg.fillRoundedRect(-width / 2, -24, width, 48, 10);
+    bg.lineStyle(2, 0xcc5de8, 1);
+    bg.strokeRoundedRect(-width / 2, -24, width, 48, 10);
+
+    container.add([bg, label]);
+    this.banner = container;
+    this.bannerUntil = raceTime + duration;
+
+    this.scene.replayRecorder?.recordEvent('banner', { text });
+  }
+
+  hideBanner() {
+    if (this.banner) {
+      this.banner.destroy();
+      this.banner = null;
+    }
+  }
+}
@@ -4,13 +4,14 @@
  */
 
 /**
- * Render a ball's visual graphics (circle with eyes)
+ * Render a ball's visual graphics (circle with eyes, or the racer's skin)
  * @param {Phaser.Scene} scene - The Phaser scene
  * @param {number} radius - Ball radius
  * @param {string} colorHex - Color in hex format (e.g., '#ff4444')
- * @returns {Phaser.GameObjects.Graphics} The graphics object
+ * @param {string} [skinKey] - Loaded texture drawn over the ball instead of the eyes
+ * @returns {Phaser.GameObjects.Graphics|Phaser.GameObjects.Container} The ball's display object
  */
-export function renderBallGraphics(scene, radius, colorHex) {
+export function renderBallGraphics(scene, radius, colorHex, skinKey = null) {
   const graphics = scene.add.graphics();
   const colorNum = parseInt(colorHex.replace('#', ''), 16);
 
@@ -20,6 +21,12 @@ export function renderBallGraphics(scene, radius, colorHex) {
   graphics.fillStyle(colorNum, 1);
   graphics.fillCircle(0, 0, radius - 2);
 
+  if (skinKey) {
+    // Skins are square images with transparent corners, sized to the ball
+    const skin = scene.add.image(0, 0, skinKey).setDisplaySize((radius - 2) * 2, (radius - 2) * 2);
+    return scene.add.container(0, 0, [graphics, skin]);
+  }
+
   // Eyes - white background
   graphics.fillStyle(0xffffff, 1);
   graphics.fillRect(-radius / 3 - 3, -radius / 4, 6, 6);
@@ -0,0 +1,145 @@
+/**
+ * BossRenderer - Handles rendering of boss graphics and health bar
+ * Extracted from BossSystem.js so replays can draw bosses without physics
+ */
+
+/**
+ * Draw boss shape with evil eyes
+ * @param {Phaser.GameObjects.Graphics} graphics - The graphics object
+ * @param {number} x - Center X (local to graphics)
+ * @param {number} y - Center Y (local to graphics)
+ * @param {number} width - Boss width
+ * @param {number} height - Boss height
+ * @param {number} color - Fill color as a number
+ * @param {string} shape - 'rectangle', 'circle' or 'diamond'
+ */
+export function drawBossGraphics(graphics, x, y, width, height, color, shape) {
+  graphics.clear();
+
+  // Outline
+  graphics.lineStyle(3, 0x000000, 1);
+  graphics.fillStyle(color, 1);
+
+  switch (shape) {
+    case 'circle':
+      const radius = Math.min(width, height) / 2;
+      graphics.fillCircle(x, y, radius);
+      graphics.strokeCircle(x, y, radius);
+      break;
+
+    case 'diamond':
+      graphics.beginPath();
+      graphics.moveTo(x, y - height / 2);
+      graphics.lineTo(x + width / 2, y);
+      graphics.lineTo(x, y + height / 2);
+      graphics.lineTo(x - width / 2, y);
+      graphics.closePath();
+      graphics.fillPath();
+      graphics.strokePath();
+      break;
+
+    case 'rectangle':
+    default:
+      graphics.fillRect(x - width / 2, y - height / 2, width, height);
+      graphics.strokeRect(x - width / 2, y - height / 2, width, height);
+      break;
+  }
+
+  // Evil eyes
+  graphics.fillStyle(0xffffff, 1);
+  graphics.fillCircle(x - width / 5, y - height / 6, 8);
+  graphics.fillCircle(x + width / 5, y - height / 6, 8);
+  graphics.fillStyle(0x000000, 1);
+  graphics.fillCircle(x - width / 5, y - height / 6 + 2, 4);
+  graphics.fillCircle(x + width / 5, y - height / 6 + 2, 4);
+}
+
+/**
+ * Draw boss health bar above the boss
+ * @param {Phaser.GameObjects.Graphics} healthBarBg - Background graphics
+ * @param {Phaser.GameObjects.Graphics} healthBar - Fill graphics
+ * @param {Object} boss - { x, y, height, health, maxHealth }
+ */
+export function drawBossHealthBar(healthBarBg, healthBar, boss) {
+  const barWidth = 100;
+  const barHeight = 10;
+  const x = boss.x;
+  const y = boss.y - boss.height / 2 - 20;
+
+  // Background
+  healthBarBg.clear();
+  healthBarBg.fillStyle(0x333333, 0.8);
+  healthBarBg.fillRect(x - barWidth / 2, y, barWidth, barHeight);
+
+  // Health fill
+  const hpPercent = Math.max(0, boss.health / boss.maxHealth);
+  const fillWidth = Math.round(barWidth * hpPercent);
+
+  healthBar.clear();
+  let hpColor = 0x00ff00;
+  if (hpPercent < 0.3) hpColor = 0xff0000;
+  else if (hpPercent < 0.6) hpColor = 0xffaa00;
+
+  healthBar.fillStyle(hpColor, 1);
+  healthBar.fillRect(x - barWidth / 2 + 2, y + 2, fillWidth - 4, barHeight - 4);
+}
+
+/**
+ * Draw the invulnerability shield ring (centered on the graphics origin)
+ * @param {Phaser.GameObjects.Graphics} graphics - The graphics object
+ * @param {number} width - Boss width
+ * @param {number} height - Boss height
+ */
+export function drawBossShield(graphics, width, height) {
+  const radius = Math.max(width, height) / 2 + 12;
+
+  graphics.clear();
+  graphics.fillStyle(0x66ccff, 0.15);
+  graphics.fillCircle(0, 0, radius);
+  graphics.lineStyle(3, 0x66ccff, 0.9);
+  graphics.strokeCircle(0, 0, radius);
+}
+
+/**
+ * Draw a boss minion turret (centered on the graphics origin)
+ * @param {Phaser.GameObjects.Graphics} graphics - The graphics object
+ * @param {number} radius - Minion radius
+ * @param {number} color - Fill color (the boss color)
+ */
+export function drawBossMinion(graphics, radius, color) {
+  graphics.clear();
+  graphics.lineStyle(2, 0x000000, 1);
+  graphics.fillStyle(color, 1);
+  graphics.fillCircle(0, 0, radius);
+  graphics.strokeCircle(0, 0, radius);
+
+  // Single eye
+  graphics.fillStyle(0xffffff, 1);
+  graphics.fillCircle(0, -2, radius / 3);
+  graphics.fillStyle(0x000000, 1);
+  graphics.fillCircle(0, -1, radius / 6);
+}
+
+/**
+ * Draw a destructible boss part: a turret with a barrel pointing down
+ * (centered on the graphics origin)
+ * @param {Phaser.GameObjects.Graphics} graphics - The graphics object
+ * @param {number} radius - Part radius
+ * @param {number} color - Fill color (the boss color)
+ */
+export function drawBossPart(graphics, radius, color) {
+  graphics.clear();
+  graphics.lineStyle(2, 0x000000, 1);
+
+  // Barrel
+  graphics.fillStyle(0x444444, 1);
+  graphics.fillRect(-radius / 4, 0, radius / 2, radius * 1.4);
+  graphics.strokeRect(-radius / 4, 0, radius / 2, radius * 1.4);
+
+  // Armored housing
+  graphics.fillStyle(color, 1);
+  graphics.fillCircle(0, 0, radius);
+  graphics.strokeCircle(0, 0, radius);
+  graphics.lineStyle(2, 0xffaa00, 1);
+  graphics.strokeCircle(0, 0, radius * 0.55);
+}
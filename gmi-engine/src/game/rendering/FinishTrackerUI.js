@@ -1,13 +1,20 @@
 /**
- * FinishTrackerUI - Displays the finish order and eliminated balls
+ * FinishTrackerUI - Displays the finish order, the live order of the balls
+ * still racing (by track progress, with lap and last lap split on circuits)
+ * and eliminated balls
  * Extracted from RaceScene.js for modularity
  */
 
+// Row height, squeezed down to MIN_ROW_HEIGHT so big rosters stay on screen
+const ROW_HEIGHT = 22;
+const MIN_ROW_HEIGHT = 13;
+
 export class FinishTrackerUI {
   constructor(scene) {
     this.scene = scene;
     this.container = null;
     this.items = [];
+    this.signature = null;
   }
 
   /**
@@ -38,10 +45,12 @@ export class FinishTrackerUI {
 
     // Will be populated as balls finish
     this.items = [];
+    this.signature = null;
   }
 
   /**
    * Update the tracker with current ball states
+   * Cheap to call every frame: it only rebuilds when the order changes
    * @param {Array} balls - Array of ball objects
    */
   update(balls) {
@@ -52,16 +61,32 @@ export class FinishTrackerUI {
       .filter(b => b.finished)
       .sort((a, b) => a.finishPosition - b.finishPosition);
 
+    // Balls still racing, furthest along the track first
+    const racingBalls = balls
+      .filter(b => !b.finished && !b.eliminated)
+      .sort((a, b) => (b.progress || 0) - (a.progress || 0));
+
     // Get eliminated balls
     const eliminatedBalls = balls.filter(b => b.eliminated);
 
-    const totalEntries = finishedBalls.length + eliminatedBalls.length;
+    const lapManager = this.scene.lapManager;
+    const showLaps = lapManager?.laps > 1;
+
+    const signature = [finishedBalls, racingBalls, eliminatedBalls]
+      .map(group => group.map(b => `${b.name}:${b.lap || 1}`).join(','))
+      .join('|');
+    if (signature === this.signature) return;
+    this.signature = signature;
+
+    const totalEntries = finishedBalls.length + racingBalls.length + eliminatedBalls.length;
+    const rowHeight = Math.max(MIN_ROW_HEIGHT,
+      Math.min(ROW_HEIGHT, (this.scene.gameHeight - 50) / Math.max(1, totalEntries)));
 
     // Update background height
     const bg = this.container.list[0];
     bg.clear();
     bg.fillStyle(0x000000, 0.7);
-    bg.fillRoundedRect(0, 0, 150, 30 + totalEntries * 22, 5);
+    bg.fillRoundedRect(0, 0, 150, 30 + totalEntries * rowHeight, 5);
 
     // Clear old items
     this.items.forEach(item => item.destroy());
@@ -69,7 +94,7 @@ export class FinishTrackerUI {
 
     // Add finished balls
     finishedBalls.forEach((ball, index) => {
-      const y = 28 + index * 22;
+      const y = 28 + index * rowHeight;
 
       // Position medal
       const posText = this.scene.add.text(10, y, this.getPositionText(ball.finishPosition), {
@@ -106,9 +131,47 @@ export class FinishTrackerUI {
       this.items.push(timeText);
     });
 
+    // Add racing balls with their current place (dimmed)
+    racingBalls.forEach((ball, index) => {
+      const y = 28 + (finishedBalls.length + index) * rowHeight;
+      const position = finishedBalls.length + index + 1;
+
+      const posText = this.scene.add.text(10, y, this.getPositionText(position), {
+        fontSize: '11px',
+        color: '#888888'
+      });
+      this.container.add(posText);
+      this.items.push(posText);
+
+      const ballDot = this.scene.add.graphics();
+      ballDot.fillStyle(parseInt(ball.color.replace('#', ''), 16), 0.7);
+      ballDot.fillCircle(45, y + 6, 6);
+      this.container.add(ballDot);
+      this.items.push(ballDot);
+
+      const nameText = this.scene.add.text(55, y, ball.name, {
+        fontSize: '11px',
+        color: '#aaaaaa'
+      });
+      this.container.add(nameText);
+      this.items.push(nameText);
+
+      // Current lap and the last lap's split
+      if (showLaps) {
+        const lastLap = ball.lapTimes?.[ball.lapTimes.length - 1];
+        const split = lastLap ? ` ${this.formatTime(lastLap)}` : '';
+        const lapText = this.scene.add.text(140, y + 1, `L${ball.lap}/${lapManager.laps}${split}`, {
+          fontSize: '9px',
+          color: '#888888'
+        }).setOrigin(1, 0);
+        this.container.add(lapText);
+        this.items.push(lapText);
+      }
+    });
+
     // Add eliminated balls at the bottom
     eliminatedBalls.forEach((ball, index) => {
-      const y = 28 + (finishedBalls.length + index) * 22;
+      const y = 28 + (finishedBalls.length + racingBalls.length + index) * rowHeight;
 
       // OUT indicator for eliminated
       const posText = this.scene.add.text(10, y, 'OUT', {
@@ -172,11 +235,10 @@ export class FinishTrackerUI {
   }
 
   /**
-   * Format time in seconds to mm:ss.ms
+   * Format time in seconds to m:ss.s
    */
-  formatTime(timeMs) {
-    if (!timeMs) return '--:--';
-    const seconds = timeMs / 1000;
+  formatTime(seconds) {
+    if (!seconds) return '--:--';
     const mins = Math.floor(seconds / 60);
     const secs = (seconds % 60).toFixed(1);
     return `${mins}:${secs.padStart(4, '0')}`;
@@ -191,5 +253,6 @@ export class FinishTrackerUI {
       this.container = null;
     }
     this.items = [];
+    this.signature = null;
   }
 }
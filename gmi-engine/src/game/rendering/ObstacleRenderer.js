@@ -3,6 +3,21 @@
  * Extracted from RaceScene.js for modularity
  */
 
+import { getPolygonPoints } from '../../shared/PolygonGeometry.js';
+
+// Boost pads and portals are drawn see-through: balls pass over them
+const PAD_BEHAVIORS = ['boost', 'portal'];
+const PAD_ALPHA = 0.45;
+
+/**
+ * Fill alpha for an obstacle (pass-through pads are translucent)
+ * @param {Object} obs - The obstacle data
+ * @returns {number}
+ */
+export function getObstacleAlpha(obs) {
+  return PAD_BEHAVIORS.includes(obs.behavior) ? PAD_ALPHA : 1;
+}
+
 /**
  * Draw breakable indicator with health (crack lines)
  * @param {Phaser.GameObjects.Graphics} graphics - The graphics object
@@ -29,9 +44,30 @@ export function drawBreakableIndicator(graphics, health, maxHealth) {
  */
 export function drawObstacleGraphics(graphics, obs, color) {
   graphics.clear();
-  graphics.fillStyle(color, 1);
+  const alpha = getObstacleAlpha(obs);
+  graphics.fillStyle(color, alpha);
 
-  if (obs.type === 'circle') {
+  if (obs.type === 'polygon') {
+    const w = obs.width || 50;
+    const h = obs.height || 20;
+    drawPolygonShape(graphics, obs, color, { x: obs.x + w / 2, y: obs.y + h / 2 }, alpha);
+
+    // Behavior indicators
+    if (obs.behavior === 'rotating') {
+      graphics.lineStyle(2, 0xffffff, 0.5);
+      graphics.strokeCircle(0, 0, Math.min(w, h) * 0.3);
+      graphics.lineBetween(0, 0, Math.min(w, h) * 0.4, 0);
+    } else if (obs.behavior === 'breakable') {
+      drawBreakableIndicator(graphics, obs.health, obs.maxHealth);
+    } else if (obs.behavior === 'moving') {
+      graphics.lineStyle(2, 0xffffff, 0.5);
+      if (obs.moveDirection === 'horizontal') {
+        graphics.lineBetween(-15, 0, 15, 0);
+      } else {
+        graphics.lineBetween(0, -15, 0, 15);
+      }
+    }
+  } else if (obs.type === 'circle') {
     graphics.fillCircle(0, 0, obs.radius);
 
     // Behavior indicators
@@ -103,4 +139,74 @@ export function drawObstacleGraphics(graphics, obs, color) {
       }
     }
   }
+
+  drawPinballIndicator(graphics, obs);
+}
+
+/**
+ * Draw pinball behavior markings centred on the graphics origin
+ * (bumper rings, flipper hinge, boost chevrons, portal rings)
+ * @param {Phaser.GameObjects.Graphics} graphics - The graphics object
+ * @param {Object} obs - The obstacle data
+ */
+export function drawPinballIndicator(graphics, obs) {
+  const isCircle = obs.type === 'circle';
+  const w = isCircle ? obs.radius * 2 : (obs.width || 50);
+  const h = isCircle ? obs.radius * 2 : (obs.height || 20);
+  const size = Math.min(w, h);
+
+  switch (obs.behavior) {
+    case 'bumper':
+      graphics.lineStyle(3, 0xffffff, 0.9);
+      graphics.strokeCircle(0, 0, size * 0.35);
+      graphics.fillStyle(0xffffff, 0.9);
+      graphics.fillCircle(0, 0, size * 0.12);
+      break;
+    case 'flipper': {
+      // Hinge at the pivot end
+      const hingeX = isCircle ? 0 : (obs.flipperSide === 'right' ? 1 : -1) * (w - size) / 2;
+      graphics.fillStyle(0xffffff, 0.9);
+      graphics.fillCircle(hingeX, 0, Math.max(3, size * 0.3));
+      break;
+    }
+    case 'boost': {
+      const c = size * 0.25;
+      graphics.lineStyle(3, 0xffffff, 0.9);
+      for (const offset of [-c, c]) {
+        graphics.lineBetween(offset - c / 2, -c, offset + c / 2, 0);
+        graphics.lineBetween(offset + c / 2, 0, offset - c / 2, c);
+      }
+      break;
+    }
+    case 'portal':
+      graphics.lineStyle(3, 0xffffff, 0.9);
+      graphics.strokeCircle(0, 0, size * 0.4);
+      graphics.lineStyle(2, 0xffffff, 0.6);
+      graphics.strokeCircle(0, 0, size * 0.22);
+      break;
+  }
+}
+
+/**
+ * Fill a polygon obstacle (or stroke an open polyline with round joints)
+ * @param {Phaser.GameObjects.Graphics} graphics - The graphics object
+ * @param {Object} obs - Polygon obstacle data
+ * @param {number} color - The color as a number
+ * @param {Object} [origin] - Draw relative to this point (null = map coordinates)
+ * @param {number} [alpha] - Fill alpha
+ */
+export function drawPolygonShape(graphics, obs, color, origin = null, alpha = 1) {
+  const points = getPolygonPoints(obs, origin);
+  if (points.length < 2) return;
+
+  if (obs.closed === false) {
+    const thickness = obs.thickness || 6;
+    graphics.lineStyle(thickness, color, alpha);
+    graphics.strokePoints(points, false);
+    graphics.fillStyle(color, alpha);
+    points.forEach(p => graphics.fillCircle(p.x, p.y, thickness / 2));
+  } else {
+    graphics.fillStyle(color, alpha);
+    graphics.fillPoints(points, true);
+  }
 }
@@ -1,11 +1,17 @@
 /**
- * ZoneRenderer - Handles rendering of start and finish zones
+ * ZoneRenderer - Handles rendering of start, checkpoint, hazard and finish zones
  * Extracted from RaceScene.js for modularity
  */
 
+import { HAZARD_TYPES, directionVector } from '../managers/HazardZoneManager.js';
+
+const HAZARD_PATTERN_SPACING = 40; // px between arrows / pattern marks
+
 export class ZoneRenderer {
   constructor(scene) {
     this.scene = scene;
+    this.checkpointLabels = [];
+    this.hazardLabels = [];
   }
 
   /**
@@ -27,6 +33,114 @@ export class ZoneRenderer {
     }
   }
 
+  /**
+   * Draw a checkpoint zone with its pass order
+   * @param {Object} zone - Zone with x, y, width, height
+   * @param {number} index - Position in the checkpoint order (0-based)
+   */
+  drawCheckpoint(zone, index) {
+    const bgLayer = this.scene.bgLayer;
+
+    bgLayer.fillStyle(0xffd43b, 0.12);
+    bgLayer.fillRect(zone.x, zone.y, zone.width, zone.height);
+
+    bgLayer.lineStyle(2, 0xffd43b, 0.6);
+    // Dashed border
+    const dashLength = 8;
+    for (let i = zone.x; i < zone.x + zone.width; i += dashLength * 2) {
+      bgLayer.lineBetween(i, zone.y, Math.min(i + dashLength, zone.x + zone.width), zone.y);
+      bgLayer.lineBetween(i, zone.y + zone.height, Math.min(i + dashLength, zone.x + zone.width), zone.y + zone.height);
+    }
+    for (let i = zone.y; i < zone.y + zone.height; i += dashLength * 2) {
+      bgLayer.lineBetween(zone.x, i, zone.x, Math.min(i + dashLength, zone.y + zone.height));
+      bgLayer.lineBetween(zone.x + zone.width, i, zone.x + zone.width, Math.min(i + dashLength, zone.y + zone.height));
+    }
+
+    const label = this.scene.add.text(zone.x + zone.width / 2, zone.y + zone.height / 2, `CP ${index + 1}`, {
+      fontSize: '11px',
+      color: '#b08900',
+      fontStyle: 'bold'
+    }).setOrigin(0.5).setAlpha(0.8);
+    this.checkpointLabels.push(label);
+  }
+
+  /**
+   * Remove checkpoint labels (the zones themselves are cleared with bgLayer)
+   */
+  clearCheckpoints() {
+    this.checkpointLabels.forEach(label => label.destroy());
+    this.checkpointLabels = [];
+  }
+
+  /**
+   * Draw a hazard zone: tinted floor, a pattern showing its effect and a label
+   * @param {Object} zone - Hazard with kind, x, y, width, height and its params
+   */
+  drawHazardZone(zone) {
+    const bgLayer = this.scene.bgLayer;
+    const type = HAZARD_TYPES[zone.kind];
+    if (!type) return;
+    const { x, y, width, height } = zone;
+
+    bgLayer.fillStyle(type.color, zone.kind === 'noWeapons' ? 0.1 : 0.25);
+    bgLayer.fillRect(x, y, width, height);
+
+    bgLayer.lineStyle(2, type.color, 0.5);
+    const spacing = HAZARD_PATTERN_SPACING;
+    for (let px = x + spacing / 2; px < x + width; px += spacing) {
+      for (let py = y + spacing / 2; py < y + height; py += spacing) {
+        if (zone.kind === 'wind' || zone.kind === 'conveyor') {
+          this.drawArrow(bgLayer, px, py, zone.direction, spacing * 0.6);
+        } else if (zone.kind === 'lava') {
+          // Bubbles
+          bgLayer.strokeCircle(px, py, 4);
+          bgLayer.strokeCircle(px + 9, py - 7, 2);
+        } else if (zone.kind === 'mud') {
+          bgLayer.fillStyle(type.color, 0.5);
+          bgLayer.fillCircle(px, py, 3);
+          bgLayer.fillCircle(px + 12, py + 8, 2);
+        } else if (zone.kind === 'speed') {
+          // Chevrons (speed zones have no direction, they speed up any path)
+          bgLayer.lineBetween(px - 6, py - 6, px, py);
+          bgLayer.lineBetween(px, py, px - 6, py + 6);
+          bgLayer.lineBetween(px + 2, py - 6, px + 8, py);
+          bgLayer.lineBetween(px + 8, py, px + 2, py + 6);
+        }
+      }
+    }
+
+    bgLayer.lineStyle(2, type.color, 0.8);
+    bgLayer.strokeRect(x, y, width, height);
+
+    const label = this.scene.add.text(x + 4, y + 3, type.label.toUpperCase(), {
+      fontSize: '10px',
+      color: '#' + type.color.toString(16).padStart(6, '0'),
+      fontStyle: 'bold'
+    }).setAlpha(0.9);
+    this.hazardLabels.push(label);
+  }
+
+  /**
+   * Arrow centred on (cx, cy) pointing along a direction in degrees
+   */
+  drawArrow(graphics, cx, cy, direction, length) {
+    const { x: dx, y: dy } = directionVector(direction);
+    const tipX = cx + dx * length / 2;
+    const tipY = cy + dy * length / 2;
+    const head = length * 0.35;
+    graphics.lineBetween(cx - dx * length / 2, cy - dy * length / 2, tipX, tipY);
+    graphics.lineBetween(tipX, tipY, tipX - (dx * 0.8 - dy * 0.6) * head, tipY - (dy * 0.8 + dx * 0.6) * head);
+    graphics.lineBetween(tipX, tipY, tipX - (dx * 0.8 + dy * 0.6) * head, tipY - (dy * 0.8 - dx * 0.6) * head);
+  }
+
+  /**
+   * Remove hazard labels (the zones themselves are cleared with bgLayer)
+   */
+  clearHazards() {
+    this.hazardLabels.forEach(label => label.destroy());
+    this.hazardLabels = [];
+  }
+
   /**
    * Draw finish line (fallback checkered line for procedural maps)
    * @param {number} finishY - Y position of finish line
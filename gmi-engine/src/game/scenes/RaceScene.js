@@ -2,23 +2,36 @@ import Phaser from 'phaser';
 import { MapGenerator } from '../systems/MapGenerator.js';
 import { getMapLoader } from '../systems/MapLoader.js';
 import { AnimationPlayer } from '../../animation/AnimationPlayer.js';
+import { getGroupedIds } from '../../animation/AnimationGroups.js';
 import { volumeSystem } from '../systems/VolumeSystem.js';
-import { BossSystem } from '../systems/BossSystem.js';
+import { BossSystem, getBossScore } from '../systems/BossSystem.js';
 import { gameLog } from '../systems/GameLog.js';
 import { WeaponSystem } from '../systems/WeaponSystem.js';
 import { ItemSystem } from '../systems/ItemSystem.js';
 import { InventorySystem } from '../systems/InventorySystem.js';
 import { RouletteSystem } from '../systems/RouletteSystem.js';
-import { WEAPON_TYPES } from '../systems/WeaponDefinitions.js';
+import { WEAPON_TYPES, getWeaponStats } from '../systems/WeaponDefinitions.js';
 import { getPendingGameConfig } from '../Game.js';
 import { renderBallGraphics, renderHPBar, updateHPBar } from '../rendering/BallRenderer.js';
 import { FinishTrackerUI } from '../rendering/FinishTrackerUI.js';
 import { BreakableManager } from '../managers/BreakableManager.js';
 import { CrushDetector } from '../managers/CrushDetector.js';
-import { SpecialObstacleManager } from '../managers/SpecialObstacleManager.js';
-import { drawObstacleGraphics } from '../rendering/ObstacleRenderer.js';
+import { stopKinematic } from '../systems/KinematicMotion.js';
+import { SpecialObstacleManager, SENSOR_BEHAVIORS } from '../managers/SpecialObstacleManager.js';
+import { drawObstacleGraphics, drawPolygonShape } from '../rendering/ObstacleRenderer.js';
+import { createPolygonBody } from '../../shared/PolygonGeometry.js';
 import { BallBoundaryManager } from '../managers/BallBoundaryManager.js';
+import { LapManager } from '../managers/LapManager.js';
+import { TriggerManager } from '../managers/TriggerManager.js';
+import { HazardZoneManager } from '../managers/HazardZoneManager.js';
 import { ZoneRenderer } from '../rendering/ZoneRenderer.js';
+import { rng, createSeededRandom, hashSeed } from '../systems/RandomSystem.js';
+import { ReplayRecorder } from '../systems/ReplayRecorder.js';
+import { planSpawn, getSpawnPositions, SPAWN_MODES, DEFAULT_SPAWN_MODE } from '../systems/SpawnLanes.js';
+import { getRaceRoster } from '../../shared/Roster.js';
+import { mapChain } from '../systems/MapChain.js';
+import { pointSystem } from '../systems/PointSystem.js';
+import { statisticsSystem } from '../systems/StatisticsSystem.js';
 
 export class RaceScene extends Phaser.Scene {
   constructor() {
@@ -37,9 +50,13 @@ export class RaceScene extends Phaser.Scene {
     this.animationPlayer = null;
     this.raceStartTime = 0;
 
+    // Seed used by the shared RNG for the current race
+    this.raceSeed = null;
+
     // Boss system
     this.bossSystem = null;
     this.bossWinCondition = 'finish'; // 'boss', 'finish', or 'either'
+    this.bossKills = []; // { ballName, target: 'boss' | 'minion' | 'part' } for bonus points
     this.respawnDelay = 2000; // ms before ball respawns
 
     // Weapon & Item systems
@@ -48,6 +65,9 @@ export class RaceScene extends Phaser.Scene {
     this.inventorySystem = null;
     this.rouletteSystem = null;
 
+    // Replay recording
+    this.replayRecorder = null;
+
     // Turbo mode
     this.turboMode = false;
     this.timeScale = 1;
@@ -60,6 +80,8 @@ export class RaceScene extends Phaser.Scene {
     this.crushDetector = null;
     this.specialObstacleManager = null;
     this.ballBoundaryManager = null;
+    this.triggerManager = null;
+    this.hazardZoneManager = null;
 
     // Renderers
     this.zoneRenderer = null;
@@ -219,11 +241,17 @@ export class RaceScene extends Phaser.Scene {
     this.inventorySystem = new InventorySystem(this);
     this.rouletteSystem = new RouletteSystem(this);
 
+    // Initialize replay recorder
+    this.replayRecorder = new ReplayRecorder(this);
+
     // Initialize managers
     this.breakableManager = new BreakableManager(this);
     this.crushDetector = new CrushDetector(this);
     this.specialObstacleManager = new SpecialObstacleManager(this, this.crushDetector);
     this.ballBoundaryManager = new BallBoundaryManager(this);
+    this.lapManager = new LapManager(this);
+    this.triggerManager = new TriggerManager(this);
+    this.hazardZoneManager = new HazardZoneManager(this);
 
     // Create graphics layers
     this.bgLayer = this.add.graphics();
@@ -249,6 +277,13 @@ export class RaceScene extends Phaser.Scene {
     this.trapDetectionWindow = 500; // Window to detect trap (too many bounces)
     this.trapBounceThreshold = 6; // If this many bounces in window, ball is trapped
 
+    // Skin images already asked from the loader (failed ones are not retried)
+    this.requestedSkins = new Set();
+
+    // Spawn lanes of the current race (see SpawnLanes.js) and pending time-trial releases
+    this.spawnPlan = null;
+    this.spawnTimers = [];
+
     // Keyboard shortcut: Press 'L' to dump bounce log to console
     this.input.keyboard.on('keydown-L', () => {
       console.log('=== BOUNCE LOG (Last 50 bounces) ===');
@@ -286,28 +321,23 @@ export class RaceScene extends Phaser.Scene {
           const proj = this.weaponSystem.projectiles.find(p => p.body === projBody);
 
           if (proj) {
-            const damage = proj.damage || 10;
-            const ownerBall = this.balls.find(b => b.name === proj.owner);
-            const bossDied = this.bossSystem.takeDamage(damage);
-
-            // Log damage
-            console.log(`[WEAPON->BOSS] ${proj.owner} dealt ${damage} weapon damage to boss`);
-            gameLog.bossDamage(proj.owner, damage, this.bossSystem.boss.health, this.bossSystem.boss.maxHealth);
+            this.weaponSystem.handleProjectileBossHit(proj);
+          }
+          return;
+        }
 
-            // Track damage for standings
-            if (ownerBall) {
-              ownerBall.damageDealtToBoss = (ownerBall.damageDealtToBoss || 0) + damage;
-            }
+        // ====== WEAPON PROJECTILE -> BOSS MINION / PART COLLISION ======
+        const isBossTarget = (body) => body.label === 'bossMinion' || body.label === 'bossPart';
+        const isWeaponVsBossTarget = (pair.bodyA.label === 'weapon_projectile' && isBossTarget(pair.bodyB)) ||
+                                     (pair.bodyB.label === 'weapon_projectile' && isBossTarget(pair.bodyA));
 
-            // Destroy projectile if not piercing
-            if (!proj.piercing) {
-              this.weaponSystem.destroyProjectile(proj);
-            }
+        if (isWeaponVsBossTarget && this.weaponSystem && this.bossSystem?.isAlive()) {
+          const projBody = pair.bodyA.label === 'weapon_projectile' ? pair.bodyA : pair.bodyB;
+          const targetBody = projBody === pair.bodyA ? pair.bodyB : pair.bodyA;
+          const proj = this.weaponSystem.projectiles.find(p => p.body === projBody);
 
-            if (bossDied) {
-              console.log('[BOSS] Boss defeated by weapon! Triggering onBossDeath...');
-              gameLog.bossDeath();
-            }
+          if (proj) {
+            this.weaponSystem.handleProjectileBossTargetHit(proj, targetBody);
           }
           return;
         }
@@ -334,21 +364,26 @@ export class RaceScene extends Phaser.Scene {
           // ====== BOSS COLLISION ======
           if (otherBody.label === 'boss' && ball && this.bossSystem && this.bossSystem.isAlive()) {
             const damage = ball.damage || 10;
-            const bossDied = this.bossSystem.takeDamage(damage);
-            console.log(`[BOSS HIT] ${ball.name} dealt ${damage} damage to boss`);
-            gameLog.bossDamage(ball.name, damage, this.bossSystem.boss.health, this.bossSystem.boss.maxHealth);
+            const shielded = this.bossSystem.isShielded();
+            const bossDied = this.bossSystem.takeDamage(damage, ball.name);
+            if (!shielded) {
+              console.log(`[BOSS HIT] ${ball.name} dealt ${damage} damage to boss`);
+              gameLog.bossDamage(ball.name, damage, this.bossSystem.boss.health, this.bossSystem.boss.maxHealth);
+            }
 
             // Apply bounce off boss (strong bounce away)
             const bossPos = this.bossSystem.boss;
             const ballPos = ballBody.position;
             const dx = ballPos.x - bossPos.x;
             const dy = ballPos.y - bossPos.y;
-            const bounceAngle = Math.atan2(dy, dx) + (Math.random() - 0.5) * 0.5;
+            const bounceAngle = Math.atan2(dy, dx) + rng.range(-0.25, 0.25);
             const effectiveSpeed = this.getBallSpeed(ball);
+            // A moving boss carries its momentum into the bounce
+            const bossVelocity = this.bossSystem.getVelocity();
 
             this.matter.body.setVelocity(ballBody, {
-              x: Math.cos(bounceAngle) * effectiveSpeed * 1.2,
-              y: Math.sin(bounceAngle) * effectiveSpeed * 1.2
+              x: Math.cos(bounceAngle) * effectiveSpeed * 1.2 + bossVelocity.x,
+              y: Math.sin(bounceAngle) * effectiveSpeed * 1.2 + bossVelocity.y
             });
 
             if (bossDied) {
@@ -358,6 +393,12 @@ export class RaceScene extends Phaser.Scene {
             return; // Skip normal collision processing
           }
 
+          // ====== BOSS MINION / PART COLLISION ======
+          if ((otherBody.label === 'bossMinion' || otherBody.label === 'bossPart') && ball && this.bossSystem) {
+            this.bossSystem.damageTarget(otherBody, ball.damage || 10, ball.name);
+            return; // Static body - Matter handles the bounce
+          }
+
           // ====== PROJECTILE COLLISION (Boss) ======
           if (otherBody.label === 'projectile' && ball) {
             // Find the projectile
@@ -389,6 +430,13 @@ export class RaceScene extends Phaser.Scene {
             return; // Don't process normal bounce
           }
 
+          // ====== PINBALL SENSORS (boost pads, portals) ======
+          if (otherBody.label === 'sensor' && ball) {
+            const pad = this.obstacles.find(o => o.body === otherBody.parent);
+            this.specialObstacleManager.handleBallContact(pad, ball, pair);
+            return; // Pass-through, no bounce
+          }
+
           // ====== COLLISION DEBOUNCE SYSTEM ======
           // Prevent rapid micro-bounces on same obstacle
           const obstacleId = otherBody.id;
@@ -422,7 +470,7 @@ export class RaceScene extends Phaser.Scene {
               console.log(`[TRAP DETECTED] ${ball.name} had ${collisionHistory.length} bounces in ${this.trapDetectionWindow}ms - forcing escape!`);
 
               // Strong escape velocity in random direction (per-ball speed)
-              const escapeAngle = Math.random() * Math.PI * 2;
+              const escapeAngle = rng.random() * Math.PI * 2;
               const escapeSpeed = this.getBallSpeed(ball) * 1.5;
               this.matter.body.setVelocity(ballBody, {
                 x: Math.cos(escapeAngle) * escapeSpeed,
@@ -438,12 +486,13 @@ export class RaceScene extends Phaser.Scene {
           // Check if collision is with an obstacle (for breakable handling)
           if (isObstacle && ball) {
             // Find the obstacle
-            const obstacle = this.obstacles.find(o => o.body === otherBody);
+            // Compound (polygon) obstacles collide through their parts
+            const obstacle = this.obstacles.find(o => o.body === otherBody.parent);
 
             // Handle breakable obstacles using manager
             if (obstacle && obstacle.breakable && !obstacle.destroyed && this.breakableManager) {
               this.breakableManager.handleCollision(obstacle, ball, (obs) => {
-                const color = obs.data?.color ? parseInt(obs.data.color.replace('#', ''), 16) : 0x4a5568;
+                const color = obs.animColor ?? (obs.data?.color ? parseInt(obs.data.color.replace('#', ''), 16) : 0x4a5568);
                 drawObstacleGraphics(obs.graphics, {
                   ...obs.data,
                   health: obs.health,
@@ -451,6 +500,9 @@ export class RaceScene extends Phaser.Scene {
                 }, color);
               });
             }
+
+            // Bumpers and rising flippers launch the ball themselves
+            if (this.specialObstacleManager.handleBallContact(obstacle, ball, pair)) return;
           }
 
           // Store pre-bounce data for logging
@@ -478,7 +530,7 @@ export class RaceScene extends Phaser.Scene {
               // Corner hit: strong diagonal bounce away from corner
               const dirX = nearLeft ? 1 : -1;
               const dirY = nearTop ? 1 : -1;
-              const angle = Math.atan2(dirY, dirX) + (Math.random() - 0.5) * 0.5;
+              const angle = Math.atan2(dirY, dirX) + rng.range(-0.25, 0.25);
               newVelX = Math.cos(angle) * effectiveSpeed;
               newVelY = Math.sin(angle) * effectiveSpeed;
               twistApplied = 999;
@@ -493,7 +545,7 @@ export class RaceScene extends Phaser.Scene {
               let reflectY = vel.y - 2 * dotProduct * normal.y;
 
               // Add randomness to prevent deterministic paths
-              const twist = (0.2 + Math.random() * 0.4) * (Math.random() < 0.5 ? 1 : -1);
+              const twist = rng.range(0.2, 0.6) * rng.sign();
               const reflectAngle = Math.atan2(reflectY, reflectX) + twist;
 
               newVelX = Math.cos(reflectAngle) * effectiveSpeed;
@@ -561,6 +613,15 @@ export class RaceScene extends Phaser.Scene {
           const ball = this.balls.find(b => b.body === ballBody);
           if (!ball || ball.finished || ball.eliminated) return;
 
+          // A ball resting on a flipper gets launched when it swings up
+          if (otherBody.label === 'obstacle') {
+            const obstacle = this.obstacles.find(o => o.body === otherBody.parent);
+            if (obstacle?.flipper && this.specialObstacleManager.handleBallContact(obstacle, ball, pair)) {
+              ball.slideContactTime = 0;
+              return;
+            }
+          }
+
           // Track sliding - if ball has been in contact for too long
           if (!ball.slideContactTime) ball.slideContactTime = 0;
           ball.slideContactTime += 16; // Approximate frame time
@@ -573,7 +634,7 @@ export class RaceScene extends Phaser.Scene {
             if (speed > 0) {
               // Get collision normal and bounce hard (per-ball speed)
               const normal = pair.collision.normal;
-              const bounceAngle = Math.atan2(-normal.y, -normal.x) + (Math.random() - 0.5) * 1.0;
+              const bounceAngle = Math.atan2(-normal.y, -normal.x) + rng.range(-0.5, 0.5);
               const effectiveSpeed = this.getBallSpeed(ball);
 
               this.matter.body.setVelocity(ballBody, {
@@ -614,6 +675,8 @@ export class RaceScene extends Phaser.Scene {
     this.bgLayer.clear();
     this.obstacleLayer.clear();
     this.finishLayer.clear();
+    this.zoneRenderer.clearCheckpoints();
+    this.zoneRenderer.clearHazards();
 
     // Remove old physics bodies
     this.obstacles.forEach(o => {
@@ -636,7 +699,12 @@ export class RaceScene extends Phaser.Scene {
         obstacles: editorData.obstacles || [],
         startZone: editorData.startZone || null,
         finishZone: editorData.finishZone || null,
+        checkpoints: editorData.checkpoints || [],
+        laps: editorData.laps || 1,
+        triggers: editorData.triggers || [],
+        hazards: editorData.hazards || [],
         animations: editorData.animations || null,
+        animationGroups: editorData.animationGroups || null,
         finishY: editorData.finishZone ? editorData.finishZone.y : 60,
         spawnY: editorData.startZone ? (editorData.startZone.y + (editorData.startZone.height || 0) / 2) : (this.gameHeight - 80),
         lanes: 5
@@ -660,9 +728,14 @@ export class RaceScene extends Phaser.Scene {
     // Create obstacles with special behaviors
     const defaultColor = 0x4a5568;
 
-    // Pre-compute which obstacles have animations (need graphics objects)
+    // Pre-compute which obstacles have animations (need graphics objects);
+    // members of animation groups move with their group
     const animationData = mapData.animations || {};
-    const animatedIds = new Set(Object.keys(animationData));
+    const animationGroups = mapData.animationGroups || {};
+    const animatedIds = new Set([...Object.keys(animationData), ...getGroupedIds(animationGroups)]);
+
+    // Trigger targets can be switched on/off or started, so they need graphics too
+    this.triggerManager.load(mapData.triggers);
 
     console.log('[RaceScene] About to render obstacles:', mapData.obstacles.length, 'items');
     console.log('[RaceScene] editorMapData present:', !!this.editorMapData);
@@ -673,31 +746,59 @@ export class RaceScene extends Phaser.Scene {
       console.warn('[RaceScene] WARNING: No obstacles to render!');
     }
 
+    // Tilt jitter is part of the layout, so seed it from the map rather than the race stream
+    const layoutRandom = createSeededRandom(hashSeed(this.editorMapData?.id || this.config.map.seed, mapData.obstacles.length));
+
     let obstacleCount = 0;
     mapData.obstacles.forEach(obs => {
       obstacleCount++;
       // Convert angle from degrees to radians (map data uses degrees)
       const angleDegrees = obs.angle || 0;
       const angleRadians = angleDegrees * (Math.PI / 180);
-      // Add small random variation only if no explicit angle
-      const angle = angleDegrees !== 0 ? angleRadians : (Math.random() - 0.5) * 0.15;
+      // Add small random variation only if no explicit angle (polygons keep their drawn shape)
+      const angle = angleDegrees !== 0 || obs.type === 'polygon' ? angleRadians : (layoutRandom() - 0.5) * 0.15;
       const color = obs.color ? parseInt(obs.color.replace('#', ''), 16) : defaultColor;
 
       // Check if this obstacle has animation OR special behavior OR rotation
       const hasAnimation = obs.id && animatedIds.has(obs.id);
       const hasAngle = angleDegrees !== 0;
-      const needsGraphics = hasAnimation || hasAngle || (obs.behavior && obs.behavior !== 'static');
+      const isTriggerTarget = this.triggerManager.isTargeted(obs);
+      const needsGraphics = hasAnimation || hasAngle || isTriggerTarget || (obs.behavior && obs.behavior !== 'static');
 
       let body;
       let graphics = null;
 
-      if (obs.type === 'circle') {
-        body = this.matter.add.circle(obs.x, obs.y, obs.radius, {
-          isStatic: true,
-          friction: 0,
-          restitution: 1,
-          label: 'obstacle'
-        });
+      // Boost pads and portals are sensors: balls pass through them
+      const isSensor = SENSOR_BEHAVIORS.includes(obs.behavior);
+      const bodyOptions = {
+        isStatic: true,
+        isSensor,
+        friction: 0,
+        restitution: 1,
+        label: isSensor ? 'sensor' : 'obstacle'
+      };
+
+      if (obs.type === 'polygon') {
+        // Concave outlines become a compound body of convex parts
+        body = createPolygonBody(Phaser.Physics.Matter.Matter, obs, bodyOptions);
+        if (!body) {
+          console.warn('[RaceScene] Skipping polygon without area:', obs.id);
+          return;
+        }
+        this.matter.world.add(body);
+        if (angle) this.matter.body.setAngle(body, angle);
+
+        if (needsGraphics) {
+          graphics = this.add.graphics();
+          graphics.x = body.position.x;
+          graphics.y = body.position.y;
+          graphics.rotation = angle;
+          drawObstacleGraphics(graphics, obs, color);
+        } else {
+          drawPolygonShape(this.obstacleLayer, obs, color);
+        }
+      } else if (obs.type === 'circle') {
+        body = this.matter.add.circle(obs.x, obs.y, obs.radius, bodyOptions);
 
         // Create graphics object for animated or special obstacles
         if (needsGraphics) {
@@ -717,13 +818,7 @@ export class RaceScene extends Phaser.Scene {
           centerX, centerY,
           obs.width || 50,
           obs.height || 20,
-          {
-            isStatic: true,
-            friction: 0,
-            restitution: 1,
-            angle: angle,
-            label: 'obstacle'
-          }
+          { ...bodyOptions, angle }
         );
 
         // Create graphics object for animated or special obstacles (or rotated ones)
@@ -770,7 +865,20 @@ export class RaceScene extends Phaser.Scene {
         crusherStartX: obs.x + (obs.width || 0) / 2,
         crusherStartY: obs.y + (obs.height || 0) / 2,
         crusherActive: true,
-        crusherResetTimer: 0
+        crusherResetTimer: 0,
+        // Pinball properties
+        sensor: isSensor,
+        bumperStrength: obs.bumperStrength || 1.5,
+        bumperPoints: obs.bumperPoints ?? 1,
+        flipper: obs.flipper || obs.behavior === 'flipper',
+        flipperSide: obs.flipperSide || 'left',
+        flipperSwing: obs.flipperSwing || 45,
+        flipperMode: obs.flipperMode || 'interval',
+        flipperInterval: obs.flipperInterval || 1500,
+        flipperRange: obs.flipperRange || 0,
+        boostMultiplier: obs.boostMultiplier || 1.8,
+        boostDuration: obs.boostDuration || 1.5,
+        portalChannel: obs.portalChannel || 1
       };
 
       this.obstacles.push(obstacleObj);
@@ -778,9 +886,17 @@ export class RaceScene extends Phaser.Scene {
 
     console.log('[RaceScene] Obstacles created:', this.obstacles.length);
 
+    // Hide startHidden obstacles and hold crushers that wait for a trigger
+    this.triggerManager.reset();
+
     // Create walls
     this.createWalls();
 
+    // Hazard zones sit on the floor, under the start/finish and checkpoints
+    this.hazardZoneManager.load(mapData.hazards);
+    this.hazards = this.hazardZoneManager.zones;
+    this.hazards.forEach(zone => this.zoneRenderer.drawHazardZone(zone));
+
     // Draw start zone if from editor
     if (mapData.startZone) {
       this.zoneRenderer.drawStartZone(mapData.startZone);
@@ -799,6 +915,28 @@ export class RaceScene extends Phaser.Scene {
     this.spawnZone = mapData.startZone || null;
     this.lanes = mapData.lanes || 5;
 
+    // Checkpoints drawn over the floor, numbered in pass order
+    this.checkpoints = mapData.checkpoints || [];
+    this.checkpoints.forEach((checkpoint, i) => this.zoneRenderer.drawCheckpoint(checkpoint, i));
+
+    // Checkpoints, laps and the distance fields ball.progress is measured
+    // along (standings, finish tracker, timeout ranking)
+    this.lapManager.setup({
+      checkpoints: this.checkpoints,
+      laps: mapData.laps,
+      finishZone: this.finishZone,
+      finishY,
+      spawn: this.spawnZone
+        ? { x: this.spawnZone.x + this.spawnZone.width / 2, y: this.spawnZone.y + this.spawnZone.height / 2 }
+        : { x: this.gameWidth / 2, y: this.spawnY },
+      obstacles: mapData.obstacles,
+      // Trigger targets don't hold a fixed spot either
+      animatedIds: new Set([
+        ...animatedIds,
+        ...mapData.obstacles.filter(obs => obs.id && this.triggerManager.isTargeted(obs)).map(obs => obs.id)
+      ])
+    });
+
     // Create finish tracker display
     this.finishTrackerUI = new FinishTrackerUI(this);
     this.finishTrackerUI.create();
@@ -814,14 +952,14 @@ export class RaceScene extends Phaser.Scene {
       const obstacleIds = new Set(this.obstacles.map(o => o.data?.id).filter(Boolean));
 
       for (const [animId, anim] of Object.entries(animationData)) {
-        if (obstacleIds.has(animId)) {
+        if (obstacleIds.has(animId) || animationGroups[animId]) {
           validAnimations[animId] = anim;
         } else {
           console.log(`[RaceScene] Skipping orphaned animation: ${animId}`);
         }
       }
 
-      this.animationPlayer.loadAnimations(validAnimations);
+      this.animationPlayer.loadAnimations(validAnimations, animationGroups);
 
       // Debug: List all animation keys and obstacle IDs
       const animKeys = Object.keys(validAnimations);
@@ -831,7 +969,7 @@ export class RaceScene extends Phaser.Scene {
       // Store base positions for animated obstacles
       let matchedCount = 0;
       this.obstacles.forEach(obs => {
-        if (obs.data?.id && this.animationPlayer.hasAnimation(obs.data.id)) {
+        if (obs.data?.id && this.animationPlayer.isAnimated(obs.data.id)) {
           matchedCount++;
 
           // Store base position for animation offsets (graphics should already be created above)
@@ -863,23 +1001,13 @@ export class RaceScene extends Phaser.Scene {
           this.bossSystem.cleanup();
         }
 
-        // Spawn boss after a short delay to ensure map is ready
-        setTimeout(() => {
-          if (this.bossSystem) {
-            this.bossSystem.spawn(cfg.x, cfg.y, {
-              width: cfg.width,
-              height: cfg.height,
-              health: cfg.health,
-              color: cfg.color,
-              shape: cfg.shape
-            });
-            this.bossSystem.setPattern(cfg.pattern || 'spiral');
-            if (cfg.attackCooldown) {
-              this.bossSystem.setAttackCooldown(cfg.attackCooldown);
-            }
-            console.log('[RaceScene] Boss spawned:', cfg.pattern, 'HP:', cfg.health);
-          }
-        }, 100);
+        // Spawn boss after a short delay to ensure map is ready, unless a
+        // trigger brings it in mid-race
+        if (this.triggerManager.spawnsBoss()) {
+          console.log('[RaceScene] Boss waits for a trigger');
+        } else {
+          setTimeout(() => this.spawnMapBoss(), 100);
+        }
       } else {
         // No boss - default to finish zone win condition
         this.bossWinCondition = 'finish';
@@ -924,34 +1052,19 @@ export class RaceScene extends Phaser.Scene {
       });
       this.balls = [];
 
-      const ballCount = this.config.race.ballCount;
+      const roster = getRaceRoster(this.config);
+      const ballCount = roster.length;
       const radius = this.config.balls.radius;
-      const colors = this.config.balls.colors;
+      this.rosterSignature = JSON.stringify(roster);
+      this.loadBallSkins(roster);
 
-      console.log(`[RaceScene] Ball config: count=${ballCount}, radius=${radius}, colors=${colors.length}`);
+      console.log(`[RaceScene] Ball config: count=${ballCount}, radius=${radius}`);
 
-      // Calculate spawn positions based on spawn zone or default
-      let spawnPositions;
-      if (this.spawnZone) {
-        // Use editor spawn zone
-        const laneWidth = this.spawnZone.width / ballCount;
-        spawnPositions = Array.from({ length: ballCount }, (_, i) => ({
-          x: this.spawnZone.x + laneWidth * i + laneWidth / 2,
-          y: this.spawnZone.y + this.spawnZone.height / 2
-        }));
-      } else {
-        // Default: spread across width
-        const laneWidth = (this.gameWidth - 40) / ballCount;
-        const spawnY = this.spawnY || (this.gameHeight - 60);
-        spawnPositions = Array.from({ length: ballCount }, (_, i) => ({
-          x: 20 + laneWidth * i + laneWidth / 2,
-          y: spawnY
-        }));
-      }
+      const spawnPositions = this.getSpawnPositions(ballCount);
 
       for (let i = 0; i < ballCount; i++) {
         try {
-          const colorData = colors[i % colors.length];
+          const colorData = roster[i];
           const x = spawnPositions[i].x;
           const y = spawnPositions[i].y;
 
@@ -965,14 +1078,19 @@ export class RaceScene extends Phaser.Scene {
             label: 'ball'
           });
 
-          // Create graphics using extracted renderer
-          const graphics = renderBallGraphics(this, radius, colorData.color);
+          // Create graphics using extracted renderer (skin once its image has loaded)
+          const skinKey = colorData.skin ? this.getSkinKey(colorData.skin) : null;
+          const graphics = renderBallGraphics(this, radius, colorData.color,
+            skinKey && this.textures.exists(skinKey) ? skinKey : null);
 
           // Get stats from volume system based on ball name
           const stats = volumeSystem.getStatsForBall(colorData.name);
           if (!stats) {
             console.warn(`[RaceScene] No stats found for ball ${colorData.name}, using defaults`);
           }
+          // Racer base stats scale the volume stats
+          const base = colorData.stats;
+          const maxHp = Math.round((stats?.maxHp || 100) * base.hp);
 
           // Create HP bar using extracted renderer
           const { hpBar, hpBarBg } = renderHPBar(this, radius);
@@ -988,15 +1106,19 @@ export class RaceScene extends Phaser.Scene {
             finishTime: null,
             finishPosition: null,
             // Volume-based stats
-            hp: stats?.hp || 100,
-            maxHp: stats?.maxHp || 100,
-            speed: stats?.speed || 1.0,
-            damage: stats?.damage || 10,
+            hp: maxHp,
+            maxHp,
+            speed: (stats?.speed || 1.0) * base.speed,
+            damage: Math.round((stats?.damage || 10) * base.damage),
             hpBar,
             hpBarBg,
-            // Boss damage tracking for standings
-            damageDealtToBoss: 0
+            // Boss damage and kill tracking for standings
+            damageDealtToBoss: 0,
+            minionKills: 0,
+            partKills: 0,
+            bumperScore: 0
           });
+          this.lapManager.initBall(this.balls[this.balls.length - 1]);
         } catch (ballError) {
           console.error(`[RaceScene] Error creating ball ${i}:`, ballError);
         }
@@ -1009,22 +1131,148 @@ export class RaceScene extends Phaser.Scene {
   }
 
   /**
-   * Get effective speed for a ball (base speed * volume multiplier)
+   * Texture key of a racer skin image
+   */
+  getSkinKey(skin) {
+    return `ball-skin:${skin}`;
+  }
+
+  /**
+   * Load racer skins that aren't textures yet; balls are rebuilt with them
+   * once the loader finishes (unless a race is already running)
+   */
+  loadBallSkins(roster) {
+    const pending = [...new Set(roster.map(racer => racer.skin).filter(Boolean))]
+      .filter(skin => !this.textures.exists(this.getSkinKey(skin)) && !this.requestedSkins.has(skin));
+    if (pending.length === 0) return;
+
+    pending.forEach(skin => {
+      this.requestedSkins.add(skin);
+      this.load.image(this.getSkinKey(skin), skin);
+    });
+    this.load.once('complete', () => {
+      console.log(`[RaceScene] Loaded ${pending.length} ball skin(s)`);
+      if (!this.isRacing) this.createBalls();
+    });
+    this.load.start();
+  }
+
+  /**
+   * Spawn point of each lane (see SpawnLanes.getSpawnPositions)
+   * @param {number} count - Number of lanes
+   */
+  getSpawnPositions(count) {
+    return getSpawnPositions(count, {
+      zone: this.spawnZone,
+      width: this.gameWidth,
+      spawnY: this.spawnY || (this.gameHeight - 60),
+      radius: this.config.balls.radius
+    });
+  }
+
+  /**
+   * Move balls to their lanes for this race's spawn mode and hold back time-trial starters
+   */
+  applySpawnPlan() {
+    const mode = this.config.race.spawnMode || DEFAULT_SPAWN_MODE;
+    const positions = this.getSpawnPositions(this.balls.length);
+    const inChain = mapChain.isChainActive();
+
+    this.spawnPlan = planSpawn(this.balls.map(ball => ball.name), mode, {
+      seed: this.raceSeed,
+      levelIndex: inChain ? mapChain.currentIndex : 0,
+      standings: inChain ? pointSystem.getLeaderboard() : [],
+      // Lanes further along the track are better (progress before the first checkpoint)
+      laneScores: positions.map(p => this.lapManager.getProgress({ lap: 1, nextCheckpoint: 0 }, p.x, p.y) ?? 0)
+    });
+
+    this.balls.forEach(ball => {
+      ball.spawnLane = this.spawnPlan.lanes[ball.name];
+      ball.startOffset = 0;
+      this.matter.body.setPosition(ball.body, positions[ball.spawnLane]);
+
+      const delay = this.spawnPlan.delays[ball.name];
+      if (delay > 0) this.holdBall(ball, delay);
+    });
+
+    statisticsSystem.recordSpawnPlan(this.spawnPlan);
+    if (this.spawnPlan.mode !== DEFAULT_SPAWN_MODE) {
+      gameLog.log(`Spawn mode: ${SPAWN_MODES[this.spawnPlan.mode]}`, 'system');
+    }
+  }
+
+  /**
+   * Keep a time-trial ball out of play at the start line until its release
+   */
+  holdBall(ball, delay) {
+    // isRespawning already keeps weapons, hazards, triggers and speed control off the ball
+    ball.held = true;
+    ball.isRespawning = true;
+    this.matter.body.setStatic(ball.body, true);
+    ball.body.collisionFilter = { group: -1, category: 0x0002, mask: 0 };
+    if (ball.graphics) ball.graphics.setAlpha(0.3);
+
+    this.spawnTimers.push(this.time.delayedCall(delay, () => this.releaseBall(ball)));
+  }
+
+  /**
+   * Start a held time-trial ball; its own clock starts now
+   */
+  releaseBall(ball) {
+    if (!this.isRacing || !ball.held) return;
+
+    ball.held = false;
+    ball.isRespawning = false;
+    ball.startOffset = this.controller ? this.controller.getRaceTime() : (Date.now() - this.raceStartTime) / 1000;
+    this.matter.body.setStatic(ball.body, false);
+    ball.body.collisionFilter = { group: 0, category: 0x0001, mask: 0xFFFFFFFF };
+    if (ball.graphics) ball.graphics.setAlpha(1);
+
+    const effectiveSpeed = this.getBallSpeed(ball);
+    const angle = (-Math.PI / 2) + rng.range(-0.5, 0.5) * (Math.PI / 2);
+    this.matter.body.setVelocity(ball.body, {
+      x: Math.cos(angle) * effectiveSpeed,
+      y: Math.sin(angle) * effectiveSpeed
+    });
+    gameLog.log(`${ball.name} starts (+${ball.startOffset.toFixed(1)}s)`, 'system');
+  }
+
+  cancelSpawnTimers() {
+    this.spawnTimers.forEach(timer => timer.remove());
+    this.spawnTimers = [];
+  }
+
+  /**
+   * Time trial: rank finishers by their own time instead of crossing order
+   */
+  rankByOwnTime() {
+    const inTime = this.balls.filter(b => b.finished && !b.timedOut).sort((a, b) => a.finishTime - b.finishTime);
+    const timedOut = this.balls.filter(b => b.finished && b.timedOut).sort((a, b) => a.finishPosition - b.finishPosition);
+    [...inTime, ...timedOut].forEach((ball, index) => {
+      ball.finishPosition = index + 1;
+    });
+    if (this.finishTrackerUI) this.finishTrackerUI.update(this.balls);
+  }
+
+  /**
+   * Get effective speed for a ball (base speed * volume multiplier * pinball boost)
    */
   getBallSpeed(ball) {
     const speedMultiplier = ball?.speed || 1.0;
-    return this.ballSpeed * speedMultiplier;
+    return this.ballSpeed * speedMultiplier * this.specialObstacleManager.getBoostMultiplier(ball) *
+      this.triggerManager.getSpeedMultiplier() * this.hazardZoneManager.getSpeedMultiplier(ball);
   }
 
   /**
-   * Damage a ball (from projectiles, etc.)
+   * Damage a ball (from projectiles, hazard zones, etc.)
+   * @param {string} [source] - What dealt the damage, shown in the game log
    */
-  damageBall(ball, amount) {
+  damageBall(ball, amount, source = null) {
     if (!ball || ball.isRespawning) return;
 
     ball.hp -= amount;
-    console.log(`[BALL DAMAGE] ${ball.name} took ${amount} damage, HP: ${ball.hp}/${ball.maxHp}`);
-    gameLog.ballDamage(ball.name, amount, ball.hp, ball.maxHp);
+    console.log(`[BALL DAMAGE] ${ball.name} took ${amount} damage${source ? ` from ${source}` : ''}, HP: ${ball.hp}/${ball.maxHp}`);
+    gameLog.ballDamage(ball.name, amount, ball.hp, ball.maxHp, source);
 
     // Flash effect
     if (ball.graphics) {
@@ -1050,6 +1298,7 @@ export class RaceScene extends Phaser.Scene {
 
     this.balls.forEach(ball => {
       if (ball.finished || ball.eliminated || ball.isRespawning) return;
+      if (this.hazardZoneManager.isWeaponFree(ball)) return;
 
       const weapons = this.inventorySystem.getWeapons(ball.name);
       weapons.forEach(weapon => {
@@ -1063,8 +1312,8 @@ export class RaceScene extends Phaser.Scene {
         if (weapon.cooldownRemaining <= 0) {
           // Fire weapon
           this.weaponSystem.fireWeapon(ball, weapon, this.inventorySystem);
-          // Reset cooldown
-          weapon.cooldownRemaining = weaponDef.cooldown;
+          // Reset cooldown (from the level table)
+          weapon.cooldownRemaining = getWeaponStats(weaponDef, weapon.level).cooldown;
         }
       });
     });
@@ -1103,7 +1352,7 @@ export class RaceScene extends Phaser.Scene {
       }
 
       // Add some random offset to prevent stacking
-      respawnX += (Math.random() - 0.5) * 100;
+      respawnX += rng.range(-50, 50);
 
       // Reset position
       this.matter.body.setPosition(ball.body, { x: respawnX, y: respawnY });
@@ -1119,7 +1368,7 @@ export class RaceScene extends Phaser.Scene {
 
       // Give initial velocity
       const effectiveSpeed = this.getBallSpeed(ball);
-      const angle = -Math.PI / 2 + (Math.random() - 0.5) * Math.PI / 2;
+      const angle = -Math.PI / 2 + rng.range(-0.5, 0.5) * Math.PI / 2;
       this.matter.body.setVelocity(ball.body, {
         x: Math.cos(angle) * effectiveSpeed,
         y: Math.sin(angle) * effectiveSpeed
@@ -1139,12 +1388,75 @@ export class RaceScene extends Phaser.Scene {
     }
   }
 
+  /**
+   * Spawn the boss from the editor map's bossConfig
+   * Attacks start right away when the race is already running (trigger spawns)
+   * @returns {boolean} true if a boss was spawned
+   */
+  spawnMapBoss() {
+    const editorData = this.editorMapData?.data || this.editorMapData;
+    const cfg = editorData?.bossConfig;
+    if (!cfg || !this.bossSystem) return false;
+
+    this.bossSystem.spawn(cfg.x, cfg.y, {
+      width: cfg.width,
+      height: cfg.height,
+      health: cfg.health,
+      color: cfg.color,
+      shape: cfg.shape,
+      movement: cfg.movement,
+      phases: cfg.phases,
+      parts: cfg.parts
+    });
+    this.bossSystem.setPattern(cfg.pattern || 'spiral');
+    if (cfg.attackCooldown) {
+      this.bossSystem.setAttackCooldown(cfg.attackCooldown);
+    }
+    if (this.isRacing) {
+      this.bossSystem.startAttacking();
+    }
+    console.log('[RaceScene] Boss spawned:', cfg.pattern, 'HP:', cfg.health);
+    return true;
+  }
+
+  /**
+   * Called by BossSystem when a ball destroys a boss minion or part
+   * @param {string} ballName - Ball that landed the kill
+   * @param {string} target - 'minion' or 'part'
+   * @param {Object} entity - The destroyed minion / part ({ id, x, y, ... })
+   */
+  onBossKill(ballName, target, entity) {
+    const ball = this.balls.find(b => b.name === ballName);
+    if (!ball) return;
+
+    if (target === 'part') {
+      ball.partKills = (ball.partKills || 0) + 1;
+      gameLog.bossPartKill(ballName, entity.id);
+    } else {
+      ball.minionKills = (ball.minionKills || 0) + 1;
+      gameLog.bossMinionKill(ballName);
+    }
+    this.bossKills.push({ ballName, target });
+    this.replayRecorder?.recordEvent('bossKill', {
+      ball: ballName,
+      target,
+      x: Math.round(entity.x),
+      y: Math.round(entity.y)
+    });
+  }
+
   /**
    * Called when boss is defeated
    * For boss levels, rankings are determined by damage dealt to the boss
+   * plus credit for minion and part kills (see getBossScore)
+   * @param {string} [killerName] - Ball that landed the killing blow
    */
-  onBossDeath() {
-    console.log('[RaceScene] Boss defeated!');
+  onBossDeath(killerName = null) {
+    console.log('[RaceScene] Boss defeated!', killerName ? `Killing blow: ${killerName}` : '');
+    this.replayRecorder?.recordEvent('bossDeath', killerName ? { ball: killerName } : {});
+    if (killerName) {
+      this.bossKills.push({ ballName: killerName, target: 'boss' });
+    }
 
     // Check win condition - only complete level if boss death counts as win
     if (this.bossWinCondition === 'boss' || this.bossWinCondition === 'either') {
@@ -1167,17 +1479,18 @@ export class RaceScene extends Phaser.Scene {
   }
 
   /**
-   * Calculate and assign finish positions based on damage dealt to boss
+   * Calculate and assign finish positions based on damage dealt to boss,
+   * with minion and part kills credited on top (BOSS_KILL_CREDIT)
    * Called when a boss level is won
    */
   calculateBossDamageRankings() {
-    // Sort balls by damage dealt to boss (highest first)
+    // Sort balls by boss score (highest first), raw damage breaks ties
     const rankings = [...this.balls]
       .filter(b => !b.eliminated)
       .sort((a, b) => {
-        const damageA = a.damageDealtToBoss || 0;
-        const damageB = b.damageDealtToBoss || 0;
-        return damageB - damageA;
+        const scoreDiff = getBossScore(b) - getBossScore(a);
+        if (scoreDiff !== 0) return scoreDiff;
+        return (b.damageDealtToBoss || 0) - (a.damageDealtToBoss || 0);
       });
 
     // Get current race time for finish timestamps
@@ -1188,13 +1501,15 @@ export class RaceScene extends Phaser.Scene {
       ball.finished = true;
       ball.finishPosition = index + 1;
       ball.finishTime = raceTime;
-      console.log(`[DAMAGE RANKING] #${index + 1}: ${ball.name} - ${ball.damageDealtToBoss || 0} damage, time: ${raceTime.toFixed(1)}s`);
+      console.log(`[DAMAGE RANKING] #${index + 1}: ${ball.name} - ${ball.damageDealtToBoss || 0} damage, ${ball.minionKills || 0} minion / ${ball.partKills || 0} part kills, time: ${raceTime.toFixed(1)}s`);
     });
 
     // Log damage summary to game log
     const summaryRankings = rankings.map(b => ({
       name: b.name,
-      damage: b.damageDealtToBoss || 0
+      damage: b.damageDealtToBoss || 0,
+      minionKills: b.minionKills || 0,
+      partKills: b.partKills || 0
     }));
     gameLog.damageSummary(summaryRankings);
   }
@@ -1235,10 +1550,10 @@ export class RaceScene extends Phaser.Scene {
       // Update keyframe animations during race
       if (this.isRacing && this.animationPlayer) {
         const raceTime = Date.now() - this.raceStartTime;
-        this.animationPlayer.update(this.obstacles, raceTime, this.matter);
+        this.animationPlayer.update(this.obstacles, raceTime, this.matter, this.balls);
 
-        // After moving animated obstacles, check for balls trapped inside and push them out
-        this.crushDetector.resolveAnimatedObstacleCollisions();
+        // Balls an animated obstacle drives into a wall or another obstacle get crushed
+        this.crushDetector.checkSqueezedBalls();
       }
 
       // Always enforce ball boundaries to prevent balls from escaping the map
@@ -1296,7 +1611,7 @@ export class RaceScene extends Phaser.Scene {
           const centerX = this.gameWidth / 2;
           const centerY = this.gameHeight / 2;
           const toCenter = Math.atan2(centerY - pos.y, centerX - pos.x);
-          const randomSpread = (Math.random() - 0.5) * Math.PI / 2; // +/- 45 degrees
+          const randomSpread = rng.range(-0.5, 0.5) * Math.PI / 2; // +/- 45 degrees
           const escapeAngle = toCenter + randomSpread;
 
           const effectiveSpeed = this.getBallSpeed(ball);
@@ -1310,7 +1625,7 @@ export class RaceScene extends Phaser.Scene {
         // If stopped, kick it
         else if (speed < 0.5) {
           const effectiveSpeed = this.getBallSpeed(ball);
-          const angle = -Math.PI/2 + (Math.random() - 0.5) * Math.PI/2;
+          const angle = -Math.PI/2 + rng.range(-0.5, 0.5) * Math.PI/2;
           this.matter.body.setVelocity(ball.body, {
             x: Math.cos(angle) * effectiveSpeed,
             y: Math.sin(angle) * effectiveSpeed
@@ -1328,7 +1643,7 @@ export class RaceScene extends Phaser.Scene {
           if ((nearLeftWall || nearRightWall) && absX < absY * 0.5) {
             // Force strong bounce away from wall
             const bounceDir = nearLeftWall ? 1 : -1;
-            const randomAngle = (Math.PI / 4) + Math.random() * (Math.PI / 4); // 45-90 degrees from wall
+            const randomAngle = (Math.PI / 4) + rng.random() * (Math.PI / 4); // 45-90 degrees from wall
             newVelX = Math.cos(randomAngle) * effectiveSpeed * bounceDir;
             newVelY = vel.y > 0 ? Math.sin(randomAngle) * effectiveSpeed : -Math.sin(randomAngle) * effectiveSpeed;
             needsAdjustment = true;
@@ -1337,7 +1652,7 @@ export class RaceScene extends Phaser.Scene {
           else if ((nearTopWall || nearBottomWall) && absY < absX * 0.5) {
             // Force strong bounce away from wall
             const bounceDir = nearTopWall ? 1 : -1;
-            const randomAngle = (Math.PI / 4) + Math.random() * (Math.PI / 4); // 45-90 degrees from wall
+            const randomAngle = (Math.PI / 4) + rng.random() * (Math.PI / 4); // 45-90 degrees from wall
             newVelY = Math.sin(randomAngle) * effectiveSpeed * bounceDir;
             newVelX = vel.x > 0 ? Math.cos(randomAngle) * effectiveSpeed : -Math.cos(randomAngle) * effectiveSpeed;
             needsAdjustment = true;
@@ -1350,7 +1665,7 @@ export class RaceScene extends Phaser.Scene {
               const centerX = this.gameWidth / 2;
               const centerY = this.gameHeight / 2;
               const toCenter = Math.atan2(centerY - pos.y, centerX - pos.x);
-              const randomSpread = (Math.random() - 0.5) * Math.PI / 3;
+              const randomSpread = rng.range(-0.5, 0.5) * Math.PI / 3;
               const newAngle = toCenter + randomSpread;
               newVelX = Math.cos(newAngle) * effectiveSpeed;
               newVelY = Math.sin(newAngle) * effectiveSpeed;
@@ -1362,7 +1677,7 @@ export class RaceScene extends Phaser.Scene {
             const ratio = Math.min(absX, absY) / Math.max(absX, absY);
             if (ratio < 0.1) {
               const currentAngle = Math.atan2(vel.y, vel.x);
-              const nudge = (0.5 + Math.random() * 0.5) * (Math.random() < 0.5 ? 1 : -1);
+              const nudge = rng.range(0.5, 1) * rng.sign();
               const newAngle = currentAngle + nudge;
               newVelX = Math.cos(newAngle) * effectiveSpeed;
               newVelY = Math.sin(newAngle) * effectiveSpeed;
@@ -1388,6 +1703,18 @@ export class RaceScene extends Phaser.Scene {
     if (this.isRacing) {
       this.updateProgress();
 
+      // Trigger zones and timed map events
+      const raceTime = this.controller ? this.controller.getRaceTime() : (Date.now() - this.raceStartTime) / 1000;
+      this.triggerManager.update(raceTime);
+
+      // Hazard zones (lava, mud, speed, wind, conveyors, no-weapons)
+      this.hazardZoneManager.update(deltaSeconds, raceTime);
+
+      // Capture replay frame after this tick's movement and finishes
+      if (this.replayRecorder) {
+        this.replayRecorder.update(delta);
+      }
+
       // === PHYSICS BREACH DETECTION ===
       // Detect if balls phase through crush wall into trap zone
       // Crush wall at x=380-390, trap zone is x > 390
@@ -1444,6 +1771,7 @@ export class RaceScene extends Phaser.Scene {
     ball.eliminated = true;
     ball.eliminationReason = reason;
     console.log(`${ball.name} was ${reason}!`);
+    this.replayRecorder?.recordEvent('eliminate', { ball: ball.name, reason });
 
     // Visual effect - squish and fade
     if (ball.graphics) {
@@ -1479,9 +1807,8 @@ export class RaceScene extends Phaser.Scene {
 
 
   updateProgress() {
-    const startY = this.spawnY || (this.gameHeight - 60);
     const endY = this.finishY || 60;
-    const totalDist = Math.abs(startY - endY);
+    const raceTime = this.controller ? this.controller.getRaceTime() : (Date.now() - this.raceStartTime) / 1000;
     let finishedCount = this.balls.filter(b => b.finished).length;
 
     this.balls.forEach(ball => {
@@ -1490,35 +1817,46 @@ export class RaceScene extends Phaser.Scene {
       const ballX = ball.body.position.x;
       const ballY = ball.body.position.y;
 
-      // Calculate progress (distance traveled toward finish)
-      ball.progress = Math.max(0, Math.min(100, ((startY - ballY) / totalDist) * 100));
-
       // Check if ball reached finish
       // Skip finish zone checking if win condition is 'boss' only (no finish zone needed)
-      let hasFinished = false;
+      let inFinish = false;
 
       if (this.bossWinCondition !== 'boss') {
         // Check finish zone for 'finish' and 'either' win conditions
         if (this.finishZone) {
           // Check if ball is inside finish zone rectangle
-          hasFinished = this.isBallInZone(ballX, ballY, ball.radius, this.finishZone);
+          inFinish = this.isBallInZone(ballX, ballY, ball.radius, this.finishZone);
         } else {
           // Fallback: check Y position for procedural maps
-          hasFinished = ballY <= endY + 40;
+          inFinish = ballY <= endY + 40;
         }
       }
 
+      // Checkpoints and laps decide whether reaching the finish ends the race
+      const hasFinished = this.lapManager.update(ball, ballX, ballY, inFinish, raceTime);
+
+      // Progress along the track (keeps the last value if the ball is somewhere unreachable)
+      ball.progress = this.lapManager.getProgress(ball, ballX, ballY) ?? ball.progress;
+
       if (hasFinished) {
         ball.finished = true;
         // Calculate finish time - use controller if available, otherwise use scene's raceStartTime
         const finishTime = this.controller ? this.controller.getRaceTime() : (Date.now() - this.raceStartTime) / 1000;
         ball.finishTime = finishTime > 0 ? finishTime : (Date.now() - this.raceStartTime) / 1000;
+        // Time-trial balls are timed from their own release
+        ball.finishTime -= ball.startOffset || 0;
         ball.finishPosition = finishedCount + 1;
         console.log(`[FINISH] ${ball.name} finished at ${ball.finishTime.toFixed(2)}s (raceStartTime: ${this.raceStartTime}, controller: ${!!this.controller})`);
         finishedCount++; // Increment for next ball
         ball.progress = 100;
         console.log(ball.name, 'finished in position', ball.finishPosition);
         gameLog.finish(ball.name, ball.finishPosition);
+        this.replayRecorder?.recordEvent('finish', { ball: ball.name, position: ball.finishPosition });
+
+        // Animations waiting for the first finisher
+        if (ball.finishPosition === 1) {
+          this.animationPlayer?.handleEvent('finish');
+        }
 
         // Stop the ball and disable its collision so it doesn't block others
         this.matter.body.setVelocity(ball.body, { x: 0, y: 0 });
@@ -1545,6 +1883,9 @@ export class RaceScene extends Phaser.Scene {
       }
     });
 
+    // Live order of the balls still racing (rebuilds only when the order changes)
+    if (this.finishTrackerUI) this.finishTrackerUI.update(this.balls);
+
     // Race is complete when all balls are either finished or eliminated
     if (this.balls.every(b => b.finished || b.eliminated)) {
       this.onRaceComplete();
@@ -1655,6 +1996,7 @@ export class RaceScene extends Phaser.Scene {
       ball.timedOut = true; // Mark as timed out
 
       console.log(`[Race] ${ball.name} timed out at position ${ball.finishPosition} (progress: ${(ball.progress || 0).toFixed(1)}%)`);
+      this.replayRecorder?.recordEvent('finish', { ball: ball.name, position: ball.finishPosition, timedOut: true });
 
       // Stop the ball
       this.matter.body.setVelocity(ball.body, { x: 0, y: 0 });
@@ -1691,6 +2033,15 @@ export class RaceScene extends Phaser.Scene {
   onRaceComplete() {
     console.log('Race complete!');
     this.isRacing = false;
+
+    if (this.spawnPlan?.mode === 'stagger' && this.bossWinCondition !== 'boss') {
+      this.rankByOwnTime();
+    }
+
+    // Finalize replay (also stored as "last race" for the replay viewer)
+    if (this.replayRecorder) {
+      this.replayRecorder.stop();
+    }
     if (this.controller) {
       this.controller.isRacing = false;
     }
@@ -1708,8 +2059,17 @@ export class RaceScene extends Phaser.Scene {
     // For 'boss' win condition, level completion is handled by onBossDeath
   }
 
-  startRace() {
+  /**
+   * Start the race
+   * @param {number} [seed] - RNG seed for this race (random if omitted)
+   */
+  startRace(seed) {
     console.log('Starting race...');
+
+    // Seed the shared RNG first so every roll below is reproducible
+    this.raceSeed = rng.setSeed(seed ?? rng.generateSeed());
+    gameLog.log(`Race seed: ${this.raceSeed}`, 'system');
+
     console.log('[RaceScene] Ball speed:', this.ballSpeed);
     console.log('[RaceScene] Balls count:', this.balls.length);
     gameLog.raceStart();
@@ -1719,6 +2079,9 @@ export class RaceScene extends Phaser.Scene {
     this.raceStartTime = Date.now();
     console.log(`[RaceScene] Race started at timestamp: ${this.raceStartTime}`);
 
+    // Lanes and time-trial holds for this race's spawn mode
+    this.applySpawnPlan();
+
     // Initialize ball inventories (don't add weapons - weapons come from roulette)
     if (this.inventorySystem) {
       this.balls.forEach(ball => {
@@ -1743,8 +2106,10 @@ export class RaceScene extends Phaser.Scene {
     }
 
     this.balls.forEach(ball => {
+      if (ball.held) return; // Time-trial ball, released later
+
       const effectiveSpeed = this.getBallSpeed(ball);
-      const angle = (-Math.PI / 2) + (Math.random() - 0.5) * (Math.PI / 2);
+      const angle = (-Math.PI / 2) + rng.range(-0.5, 0.5) * (Math.PI / 2);
       const velX = Math.cos(angle) * effectiveSpeed;
       const velY = Math.sin(angle) * effectiveSpeed;
       console.log(`[RaceScene] ${ball.name} speed=${effectiveSpeed.toFixed(2)} initial velocity: (${velX.toFixed(2)}, ${velY.toFixed(2)})`);
@@ -1756,10 +2121,20 @@ export class RaceScene extends Phaser.Scene {
       this.bossSystem.startAttacking();
       console.log('[RaceScene] Boss started attacking');
     }
+
+    // Start recording replay (after initial velocities so frame 0 is the start line)
+    if (this.replayRecorder) {
+      this.replayRecorder.start(this.raceSeed);
+    }
   }
 
   stopRace() {
     this.isRacing = false;
+    this.cancelSpawnTimers();
+
+    if (this.replayRecorder) {
+      this.replayRecorder.stop();
+    }
     this.balls.forEach(ball => {
       this.matter.body.setVelocity(ball.body, { x: 0, y: 0 });
     });
@@ -1798,25 +2173,17 @@ export class RaceScene extends Phaser.Scene {
     // Note: Boss cleanup is handled by loadChainMap, not here
     // This allows reset() to be called without destroying the boss
 
-    const ballCount = this.balls.length;
+    // Pending time-trial releases belong to the old race
+    this.cancelSpawnTimers();
 
-    // Calculate spawn positions
-    let spawnPositions;
-    if (this.spawnZone) {
-      const laneWidth = this.spawnZone.width / ballCount;
-      spawnPositions = Array.from({ length: ballCount }, (_, i) => ({
-        x: this.spawnZone.x + laneWidth * i + laneWidth / 2,
-        y: this.spawnZone.y + this.spawnZone.height / 2
-      }));
-    } else {
-      const laneWidth = (this.gameWidth - 40) / ballCount;
-      const spawnY = this.spawnY || (this.gameHeight - 60);
-      spawnPositions = Array.from({ length: ballCount }, (_, i) => ({
-        x: 20 + laneWidth * i + laneWidth / 2,
-        y: spawnY
-      }));
+    // Roster edits made during the race
+    if (JSON.stringify(getRaceRoster(this.config)) !== this.rosterSignature) {
+      this.createBalls();
     }
 
+    // Balls line up in roster order; startRace moves them to the race's spawn plan
+    const spawnPositions = this.getSpawnPositions(this.balls.length);
+
     this.balls.forEach((ball, i) => {
       // Restore collision
       this.matter.body.setStatic(ball.body, false);
@@ -1837,10 +2204,13 @@ export class RaceScene extends Phaser.Scene {
       this.matter.body.setVelocity(ball.body, { x: 0, y: 0 });
 
       ball.progress = 0;
+      this.lapManager.initBall(ball);
       ball.finished = false;
       ball.finishTime = null;
       ball.finishPosition = null;
       ball.timedOut = false; // Reset timeout flag
+      ball.held = false;
+      ball.startOffset = 0;
       // Reset elimination state
       ball.eliminated = false;
       ball.eliminationReason = null;
@@ -1851,12 +2221,17 @@ export class RaceScene extends Phaser.Scene {
       // Reset HP and respawn state
       ball.hp = ball.maxHp;
       ball.isRespawning = false;
-      // Reset boss damage tracking for new level
+      // Reset boss damage and kill tracking for new level
       ball.damageDealtToBoss = 0;
+      ball.minionKills = 0;
+      ball.partKills = 0;
+      ball.bumperScore = 0;
       if (ball.hpBar) ball.hpBar.setAlpha(1);
       if (ball.hpBarBg) ball.hpBarBg.setAlpha(1);
     });
 
+    this.bossKills = [];
+
     // Clear bounce log and collision tracking
     this.bounceLog = [];
     if (this.recentCollisions) {
@@ -1877,11 +2252,21 @@ export class RaceScene extends Phaser.Scene {
       }
     });
 
+    // Flippers back to rest, clear speed boosts and portal cooldowns
+    this.specialObstacleManager.reset();
+
+    // Trigger-controlled obstacles, gravity and speed back to the map's start
+    this.triggerManager.reset();
+
+    // Nobody is standing in a hazard zone at the start line
+    this.hazardZoneManager.reset();
+
     // Reset animation player
     if (this.animationPlayer) {
       this.animationPlayer.reset();
-      // Reset animated obstacles to base positions
+      // Reset animated obstacles to base positions, colors and collisions
       this.obstacles.forEach(obs => {
+        this.animationPlayer.restore(obs);
         if (obs.animBaseX !== undefined && obs.graphics) {
           obs.graphics.x = obs.animBaseX;
           obs.graphics.y = obs.animBaseY;
@@ -1893,6 +2278,7 @@ export class RaceScene extends Phaser.Scene {
             y: obs.animBaseY
           });
           this.matter.body.setAngle(obs.body, obs.animBaseRotation || 0);
+          stopKinematic(Phaser.Physics.Matter.Matter, obs.body);
         }
       });
     }
@@ -1928,7 +2314,9 @@ export class RaceScene extends Phaser.Scene {
     this.ballSpeed = newConfig.physics.gravity || 5;
     if (this.ballSpeed < 3) this.ballSpeed = 5;
 
-    if (this.balls.length !== newConfig.race.ballCount) {
+    // Rebuild the balls when the roster (count, names, colours, skins or stats) changed;
+    // mid-race edits wait for the next reset
+    if (!this.isRacing && JSON.stringify(getRaceRoster(newConfig)) !== this.rosterSignature) {
       this.createBalls();
     }
   }
@@ -1948,7 +2336,13 @@ export class RaceScene extends Phaser.Scene {
         finished: ball.finished,
         finishTime: ball.finishTime,
         position: ball.finishPosition,
-        damageDealtToBoss: ball.damageDealtToBoss || 0
+        damageDealtToBoss: ball.damageDealtToBoss || 0,
+        minionKills: ball.minionKills || 0,
+        partKills: ball.partKills || 0,
+        bumperScore: ball.bumperScore || 0,
+        lap: ball.lap || 1,
+        laps: this.lapManager.laps,
+        bestLap: this.lapManager.getBestLap(ball)
       }));
   }
 }
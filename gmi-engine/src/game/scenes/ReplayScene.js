@@ -0,0 +1,461 @@
+import Phaser from 'phaser';
+import { renderBallGraphics, renderHPBar, updateHPBar } from '../rendering/BallRenderer.js';
+import { drawObstacleGraphics, drawPolygonShape } from '../rendering/ObstacleRenderer.js';
+import { drawBossGraphics, drawBossHealthBar } from '../rendering/BossRenderer.js';
+import { ZoneRenderer } from '../rendering/ZoneRenderer.js';
+import { REPLAY_VERSION, decodeFrame } from '../systems/ReplayRecorder.js';
+
+/**
+ * ReplayScene - Re-renders a recorded race without running physics
+ *
+ * Reads a replay produced by ReplayRecorder and interpolates between
+ * recorded frames. Supports play/pause, scrubbing and 0.25x-8x speed.
+ *
+ * USAGE:
+ *   scene.loadReplay(replayJson);
+ *   scene.play(); scene.pause(); scene.seek(12000); scene.setSpeed(4);
+ *   scene.onTimeUpdate = (t, duration) => { ... };   // UI sync
+ */
+
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 8;
+// Position jumps larger than this between frames are respawns - don't interpolate
+const TELEPORT_DISTANCE = 60;
+const DEFAULT_OBSTACLE_COLOR = 0x4a5568;
+
+export class ReplayScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'ReplayScene' });
+
+    this.replay = null;
+    this.playhead = 0;
+    this.isPlaying = false;
+    this.speed = 1;
+    this.frameIndex = 0;
+
+    // Visuals built from the replay
+    this.ballViews = [];
+    this.obstacleViews = [];
+    this.bossView = null;
+    this.effects = [];
+
+    // Callback for UI (scrub bar, timer)
+    this.onTimeUpdate = null;
+  }
+
+  create() {
+    this.gameWidth = this.sys.game.config.width;
+    this.gameHeight = this.sys.game.config.height;
+
+    this.bgLayer = this.add.graphics();
+    this.obstacleLayer = this.add.graphics();
+    this.finishLayer = this.add.graphics();
+    this.zoneRenderer = new ZoneRenderer(this);
+
+    this.standingsText = this.add.text(10, 10, '', {
+      fontSize: '13px',
+      color: '#ffffff',
+      backgroundColor: 'rgba(0,0,0,0.6)',
+      padding: { x: 6, y: 4 }
+    }).setDepth(100);
+
+    // A replay may have been handed over before the scene booted
+    if (this.replay) {
+      this.loadReplay(this.replay);
+    }
+  }
+
+  /**
+   * Load a replay and rebuild all visuals
+   * @param {Object} replay - Replay data from ReplayRecorder
+   */
+  loadReplay(replay) {
+    if (!replay || !Array.isArray(replay.frames) || replay.frames.length === 0) {
+      throw new Error('Replay has no frames');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+      console.warn(`[Replay] Version ${replay.version} differs from ${REPLAY_VERSION}, playback may be off`);
+    }
+
+    this.replay = replay;
+    if (!this.bgLayer) return; // create() will finish loading
+
+    this.clearVisuals();
+
+    this.gameWidth = replay.width || this.gameWidth;
+    this.gameHeight = replay.height || this.gameHeight;
+    this.scale.resize(this.gameWidth, this.gameHeight);
+
+    this.buildMap();
+    this.buildBalls();
+    this.buildBoss();
+
+    this.playhead = 0;
+    this.frameIndex = 0;
+    this.isPlaying = false;
+    this.renderAt(0);
+
+    console.log(`[Replay] Loaded ${replay.mapName}: ${replay.frames.length} frames, ${(this.getDuration() / 1000).toFixed(1)}s, seed ${replay.seed}`);
+  }
+
+  /**
+   * Destroy visuals from a previous replay
+   */
+  clearVisuals() {
+    this.bgLayer.clear();
+    this.obstacleLayer.clear();
+    this.finishLayer.clear();
+    if (this.finishText) {
+      this.finishText.destroy();
+      this.finishText = null;
+    }
+
+    this.ballViews.forEach(v => {
+      v.graphics.destroy();
+      v.hpBar.destroy();
+      v.hpBarBg.destroy();
+    });
+    this.obstacleViews.forEach(v => v.graphics.destroy());
+    if (this.bossView) {
+      this.bossView.graphics.destroy();
+      this.bossView.healthBar.destroy();
+      this.bossView.healthBarBg.destroy();
+    }
+    this.clearEffects();
+
+    this.ballViews = [];
+    this.obstacleViews = [];
+    this.bossView = null;
+  }
+
+  /**
+   * Draw background, zones and obstacles
+   */
+  buildMap() {
+    const replay = this.replay;
+
+    this.bgLayer.fillStyle(0xe8e0d0, 1);
+    this.bgLayer.fillRect(0, 0, this.gameWidth, this.gameHeight);
+
+    (replay.hazards || []).forEach(zone => this.zoneRenderer.drawHazardZone(zone));
+    if (replay.startZone) {
+      this.zoneRenderer.drawStartZone(replay.startZone);
+    }
+    (replay.checkpoints || []).forEach((checkpoint, i) => this.zoneRenderer.drawCheckpoint(checkpoint, i));
+    this.finishZone = replay.finishZone;
+    this.zoneRenderer.drawFinishLine(replay.finishY || 60);
+
+    replay.obstacles.forEach(obs => {
+      const color = obs.color ? parseInt(obs.color.replace('#', ''), 16) : DEFAULT_OBSTACLE_COLOR;
+
+      if (obs.dynamic) {
+        const graphics = this.add.graphics();
+        graphics.x = obs.x;
+        graphics.y = obs.y;
+        graphics.rotation = obs.angle;
+        drawObstacleGraphics(graphics, obs, color);
+        this.obstacleViews.push({ graphics });
+      } else {
+        // Static obstacles are baked into one layer, same as RaceScene
+        this.obstacleLayer.fillStyle(color, 1);
+        if (obs.type === 'circle') {
+          this.obstacleLayer.fillCircle(obs.x, obs.y, obs.radius);
+        } else if (obs.type === 'polygon') {
+          drawPolygonShape(this.obstacleLayer, {
+            ...obs, x: obs.x - obs.width / 2, y: obs.y - obs.height / 2
+          }, color);
+        } else {
+          this.obstacleLayer.fillRect(obs.x - obs.width / 2, obs.y - obs.height / 2, obs.width, obs.height);
+        }
+      }
+    });
+  }
+
+  /**
+   * Create ball graphics and HP bars
+   */
+  buildBalls() {
+    this.ballViews = this.replay.balls.map(ball => {
+      const graphics = renderBallGraphics(this, ball.radius, ball.color);
+      const { hpBar, hpBarBg } = renderHPBar(this, ball.radius);
+      return { ...ball, graphics, hpBar, hpBarBg };
+    });
+  }
+
+  /**
+   * Create boss graphics (if the race had a boss)
+   */
+  buildBoss() {
+    const boss = this.replay.boss;
+    if (!boss) return;
+
+    const graphics = this.add.graphics();
+    drawBossGraphics(graphics, 0, 0, boss.width, boss.height, boss.color, boss.shape);
+    this.bossView = {
+      ...boss,
+      graphics,
+      healthBarBg: this.add.graphics(),
+      healthBar: this.add.graphics()
+    };
+  }
+
+  // ==================== PLAYBACK CONTROLS ====================
+
+  play() {
+    if (!this.replay) return;
+    // Restart from the beginning if we're at the end
+    if (this.playhead >= this.getDuration()) {
+      this.seek(0);
+    }
+    this.isPlaying = true;
+  }
+
+  pause() {
+    this.isPlaying = false;
+  }
+
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+    return this.isPlaying;
+  }
+
+  /**
+   * Set playback speed (clamped to 0.25x-8x)
+   */
+  setSpeed(speed) {
+    this.speed = Phaser.Math.Clamp(speed, MIN_SPEED, MAX_SPEED);
+    return this.speed;
+  }
+
+  /**
+   * Jump to a time without replaying effects in between
+   * @param {number} t - Replay time in ms
+   */
+  seek(t) {
+    if (!this.replay) return;
+    this.playhead = Phaser.Math.Clamp(t, 0, this.getDuration());
+    this.clearEffects();
+    this.renderAt(this.playhead);
+  }
+
+  getDuration() {
+    if (!this.replay) return 0;
+    const frames = this.replay.frames;
+    return this.replay.duration || frames[frames.length - 1][0];
+  }
+
+  update(time, delta) {
+    this.updateEffects(delta);
+
+    if (!this.isPlaying || !this.replay) return;
+
+    const previous = this.playhead;
+    this.playhead = Math.min(this.playhead + delta * this.speed, this.getDuration());
+
+    this.spawnEventEffects(previous, this.playhead);
+    this.renderAt(this.playhead);
+
+    if (this.playhead >= this.getDuration()) {
+      this.pause();
+    }
+  }
+
+  // ==================== RENDERING ====================
+
+  /**
+   * Index of the last frame at or before t
+   */
+  findFrameIndex(t) {
+    const frames = this.replay.frames;
+    let lo = 0;
+    let hi = frames.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (frames[mid][0] <= t) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return lo;
+  }
+
+  /**
+   * Render the race state at time t (interpolated between frames)
+   */
+  renderAt(t) {
+    const frames = this.replay.frames;
+    const index = this.findFrameIndex(t);
+    const a = decodeFrame(this.replay, frames[index]);
+    const b = index + 1 < frames.length ? decodeFrame(this.replay, frames[index + 1]) : a;
+    const span = b.t - a.t;
+    const alpha = span > 0 ? Phaser.Math.Clamp((t - a.t) / span, 0, 1) : 0;
+    this.frameIndex = index;
+
+    // Balls
+    this.ballViews.forEach((view, i) => {
+      const from = a.balls[i];
+      const to = b.balls[i];
+      const jumped = from.state !== to.state ||
+        Phaser.Math.Distance.Between(from.x, from.y, to.x, to.y) > TELEPORT_DISTANCE;
+      const x = jumped ? from.x : Phaser.Math.Linear(from.x, to.x, alpha);
+      const y = jumped ? from.y : Phaser.Math.Linear(from.y, to.y, alpha);
+
+      view.graphics.setPosition(x, y);
+      view.hpBar.setPosition(x, y);
+      view.hpBarBg.setPosition(x, y);
+      updateHPBar(view.hpBar, from.hp, view.maxHp, view.radius);
+
+      // Match RaceScene's look for finished/eliminated balls
+      const visible = from.state !== 2;
+      view.graphics.setVisible(visible);
+      view.hpBar.setVisible(visible);
+      view.hpBarBg.setVisible(visible);
+      view.graphics.setAlpha(from.state === 1 ? 0.4 : 1);
+      view.graphics.setScale(from.state === 1 ? 0.7 : 1);
+    });
+
+    // Moving / breakable obstacles
+    this.obstacleViews.forEach((view, i) => {
+      const from = a.obstacles[i];
+      const to = b.obstacles[i];
+      view.graphics.setPosition(
+        Phaser.Math.Linear(from.x, to.x, alpha),
+        Phaser.Math.Linear(from.y, to.y, alpha)
+      );
+      view.graphics.rotation = from.angle + Phaser.Math.Angle.Wrap(to.angle - from.angle) * alpha;
+      view.graphics.setVisible(from.visible);
+    });
+
+    // Boss
+    if (this.bossView) {
+      const boss = a.boss;
+      const alive = boss.hp > 0;
+      this.bossView.graphics.setVisible(alive);
+      this.bossView.healthBar.setVisible(alive);
+      this.bossView.healthBarBg.setVisible(alive);
+      if (alive) {
+        this.bossView.graphics.setPosition(boss.x, boss.y);
+        drawBossHealthBar(this.bossView.healthBarBg, this.bossView.healthBar, {
+          x: boss.x,
+          y: boss.y,
+          height: this.bossView.height,
+          health: boss.hp,
+          maxHealth: this.bossView.maxHealth
+        });
+      }
+    }
+
+    this.updateStandings(t);
+
+    if (this.onTimeUpdate) {
+      this.onTimeUpdate(t, this.getDuration());
+    }
+  }
+
+  /**
+   * Finish order so far, from recorded finish events
+   */
+  updateStandings(t) {
+    const finishes = this.replay.events.filter(e => e.type === 'finish' && e.t <= t);
+    const lines = finishes.map(e => `${e.position}. ${e.ball}${e.timedOut ? ' (time)' : ''}`);
+    this.standingsText.setText(lines.length > 0 ? lines.join('\n') : 'Racing...');
+  }
+
+  // ==================== EVENT EFFECTS ====================
+
+  /**
+   * Spawn visual effects for events in (from, to]
+   */
+  spawnEventEffects(from, to) {
+    this.replay.events.forEach(event => {
+      if (event.t <= from || event.t > to) return;
+
+      const ballIndex = this.replay.balls.findIndex(b => b.name === event.ball);
+      const view = this.ballViews[ballIndex];
+
+      switch (event.type) {
+        case 'fire':
+          if (view) this.addFlash(view.graphics.x, view.graphics.y, view.radius, 0xffaa00);
+          break;
+        case 'pickup':
+          this.addFloatingText(event.x, event.y, `+${event.item}`, '#44ff44');
+          break;
+        case 'finish':
+          if (view) this.addFloatingText(view.graphics.x, view.graphics.y - 20, `#${event.position}`, '#ffd700');
+          break;
+        case 'lap':
+          if (view) this.addFloatingText(view.graphics.x, view.graphics.y - 20, `L${event.lap} ${event.time.toFixed(1)}s`, event.fastest ? '#e599f7' : '#ffffff');
+          break;
+        case 'bumper':
+          if (view) this.addFlash(view.graphics.x, view.graphics.y, view.radius, 0xffffff);
+          break;
+        case 'portal':
+          if (view) this.addFlash(view.graphics.x, view.graphics.y, view.radius, 0x74c0fc);
+          break;
+        case 'eliminate':
+          if (view) this.addFloatingText(view.graphics.x, view.graphics.y - 20, 'X', '#ff4444');
+          break;
+        case 'bossPhase':
+          if (this.bossView) {
+            this.addFloatingText(this.bossView.graphics.x, this.bossView.graphics.y - this.bossView.height / 2 - 30, `PHASE ${event.phase}`, '#ff6b6b');
+          }
+          break;
+        case 'bossKill':
+          this.addFloatingText(event.x, event.y, event.target === 'part' ? 'PART DOWN' : 'MINION DOWN', '#ffa94d');
+          break;
+        case 'banner':
+          this.addFloatingText(this.gameWidth / 2, 110, event.text, '#e599f7');
+          break;
+        case 'bossDeath':
+          if (this.bossView) this.addFlash(this.bossView.graphics.x, this.bossView.graphics.y, this.bossView.width, 0xff0000);
+          break;
+      }
+    });
+  }
+
+  addFlash(x, y, radius, color) {
+    const graphics = this.add.graphics();
+    graphics.lineStyle(2, color, 1);
+    graphics.strokeCircle(0, 0, radius + 4);
+    graphics.setPosition(x, y);
+    this.effects.push({ object: graphics, life: 200, maxLife: 200, rise: 0 });
+  }
+
+  addFloatingText(x, y, text, color) {
+    const label = this.add.text(x, y, text, {
+      fontSize: '12px',
+      color,
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5).setDepth(50);
+    this.effects.push({ object: label, life: 800, maxLife: 800, rise: 0.03 });
+  }
+
+  /**
+   * Fade effects out in replay time so they respect playback speed
+   */
+  updateEffects(delta) {
+    const step = this.isPlaying ? delta * this.speed : 0;
+    this.effects = this.effects.filter(effect => {
+      effect.life -= step;
+      if (effect.life <= 0) {
+        effect.object.destroy();
+        return false;
+      }
+      effect.object.setAlpha(effect.life / effect.maxLife);
+      effect.object.y -= effect.rise * step;
+      return true;
+    });
+  }
+
+  clearEffects() {
+    this.effects.forEach(effect => effect.object.destroy());
+    this.effects = [];
+  }
+}
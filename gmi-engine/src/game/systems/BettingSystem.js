@@ -348,7 +348,7 @@ class BettingSystemManager {
     const ballVolume = volumeSystem.getVolume(ballName);
 
     if (totalVolume === 0 || ballVolume === 0) {
-      return 5.0; // Default odds for no volume
+      return balls.length; // Even odds across the roster when there's no volume
     }
 
     const probability = ballVolume / totalVolume;
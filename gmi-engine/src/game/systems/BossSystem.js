@@ -9,6 +9,14 @@
  * FEATURES:
  * - Boss entity with health bar and visual representation
  * - Multiple attack patterns (spiral, spread, aimed, random, burst)
+ * - HP-threshold phases with their own pattern sequence, cooldown,
+ *   projectile speed, color and movement
+ * - Movement modes: patrol, animation track, chase leader, teleport
+ *   (see BossMovementManager)
+ * - Phase transition events: invulnerable shield, minion spawns
+ * - Destructible parts (turrets) that fire their own pattern until destroyed
+ * - Minions and parts take ball and weapon damage; kills are credited to
+ *   the ball that landed them (scene.onBossKill)
  * - Projectiles with configurable lifetime (auto-cleanup)
  * - Death animation with callback to scene
  *
@@ -19,15 +27,45 @@
  * - random: 3 projectiles in random directions
  * - burst: Rapid-fire downward shots
  *
+ * PHASES:
+ * Optional config.phases list. A phase starts once boss HP drops to its
+ * hpThreshold (fraction of max HP); the highest threshold is the opening
+ * phase. Unset fields fall back to setPattern/setAttackCooldown values.
+ *   {
+ *     hpThreshold: 0.5,                 // enter at 50% HP
+ *     patterns: ['spread', 'aimed'],    // attack sequence
+ *     order: 'loop',                    // 'loop' or 'random' (seeded)
+ *     attackCooldown: 600,              // ms between attacks
+ *     projectileSpeed: 5,
+ *     color: 0x9900cc,
+ *     movement: { mode: 'patrol', waypoints: [...], speed: 80 },
+ *     shield: 1500,                     // ms invulnerable on entry
+ *     minions: 2                        // minions spawned on entry
+ *   }
+ *
+ * PARTS:
+ * Optional config.parts list. Parts ride along with the boss at their
+ * offset and fire their own pattern with every boss attack until destroyed.
+ *   {
+ *     id: 'left-cannon',
+ *     offsetX: -50, offsetY: 30,        // from the boss center
+ *     radius: 14,
+ *     health: 40,
+ *     pattern: 'aimed'                  // any BOSS_PATTERNS entry
+ *   }
+ *
  * USAGE:
  *   const boss = new BossSystem(scene);
- *   boss.spawn(400, 100, { health: 100, pattern: 'spiral' });
+ *   boss.spawn(400, 100, { health: 100, movement: {...}, phases: [...] });
+ *   boss.setPattern('spiral'); // Pattern for bosses without phases
  *   boss.startAttacking();     // Begin shooting
- *   boss.takeDamage(15);       // Ball hit the boss
+ *   boss.takeDamage(15, 'Red'); // Ball hit the boss (name credited for the kill)
  *   boss.cleanup();            // Remove boss
  *
  * COLLISION:
- * - Ball hitting boss: Ball's damage stat applied to boss HP
+ * - Ball hitting boss: Ball's damage stat applied to boss HP (ignored while shielded)
+ * - Ball hitting minion ('bossMinion') or part ('bossPart'): Ball's damage stat
+ *   applied to its HP (damageTarget)
  * - Projectile hitting ball: Ball takes projectile damage (default 10)
  * - Projectiles auto-destroy after 5 seconds or leaving screen
  *
@@ -35,6 +73,61 @@
  */
 
 import { gameLog } from './GameLog.js';
+import { rng } from './RandomSystem.js';
+import { drawBossGraphics, drawBossHealthBar, drawBossShield, drawBossMinion, drawBossPart } from '../rendering/BossRenderer.js';
+import { BossMovementManager } from '../managers/BossMovementManager.js';
+
+export const BOSS_PATTERNS = ['spiral', 'spread', 'aimed', 'random', 'burst'];
+
+// Minions fire an aimed shot every Nth boss attack
+const MINION_FIRE_EVERY = 3;
+const MINION_RADIUS = 12;
+const PART_RADIUS = 14;
+const PART_HEALTH = 30;
+
+// Ranking credit (in damage points) for destroying a minion or a part
+export const BOSS_KILL_CREDIT = {
+  minion: 15,
+  part: 30
+};
+
+/**
+ * Boss level ranking score: damage dealt plus credit for minion and part kills
+ */
+export function getBossScore(ball) {
+  return (ball.damageDealtToBoss || 0) +
+    (ball.minionKills || 0) * BOSS_KILL_CREDIT.minion +
+    (ball.partKills || 0) * BOSS_KILL_CREDIT.part;
+}
+
+/**
+ * Sort phases by threshold (opening phase first) and drop unknown patterns
+ */
+function normalizePhases(phases) {
+  if (!Array.isArray(phases)) return [];
+  return phases
+    .map(phase => ({
+      ...phase,
+      hpThreshold: Math.min(1, Math.max(0, phase.hpThreshold ?? 1)),
+      patterns: (phase.patterns || []).filter(p => BOSS_PATTERNS.includes(p))
+    }))
+    .sort((a, b) => b.hpThreshold - a.hpThreshold);
+}
+
+/**
+ * Fill in part defaults and ids, falling back to an aimed pattern
+ */
+function normalizeParts(parts) {
+  if (!Array.isArray(parts)) return [];
+  return parts.map((part, i) => ({
+    id: part.id || `part-${i + 1}`,
+    offsetX: part.offsetX ?? 0,
+    offsetY: part.offsetY ?? 0,
+    radius: part.radius || PART_RADIUS,
+    health: part.health || PART_HEALTH,
+    pattern: BOSS_PATTERNS.includes(part.pattern) ? part.pattern : 'aimed'
+  }));
+}
 
 export class BossSystem {
   constructor(scene) {
@@ -49,6 +142,29 @@ export class BossSystem {
     this.currentPattern = 'spiral';
     this.patternIndex = 0;
     this.attackCooldown = 800; // ms between attacks
+    this.projectileSpeed = 4;
+
+    // Phase state
+    this.phases = [];
+    this.phaseIndex = -1;
+    this.sequenceIndex = 0;
+    this.shieldUntil = 0;
+    this.shieldGraphics = null;
+    this.minions = [];
+    this.minionCount = 0; // Minions spawned so far (for ids)
+    this.parts = [];
+    this.lastUpdate = 0;
+
+    // Movement (boss default, phases may override)
+    this.movement = new BossMovementManager(this);
+    this.baseMovement = null;
+  }
+
+  /**
+   * Current phase config (null for bosses without phases)
+   */
+  get phase() {
+    return this.phases[this.phaseIndex] || null;
   }
 
   /**
@@ -66,7 +182,10 @@ export class BossSystem {
       height = 80,
       health = 100,
       color = 0xff0000,
-      shape = 'rectangle' // 'rectangle', 'circle', 'diamond'
+      shape = 'rectangle', // 'rectangle', 'circle', 'diamond'
+      movement = null,
+      phases = [],
+      parts = []
     } = config;
 
     // Create boss graphics
@@ -85,11 +204,14 @@ export class BossSystem {
       graphics,
       x,
       y,
+      spawnX: x,
+      spawnY: y,
       width,
       height,
       health,
       maxHealth: health,
       color,
+      baseColor: color,
       shape,
       isAlive: true
     };
@@ -104,52 +226,83 @@ export class BossSystem {
     this.updateHealthBar();
 
     console.log('[BossSystem] Boss spawned at', x, y, 'with', health, 'HP');
-    gameLog.bossSpawn(health, this.currentPattern);
+
+    this.spawnParts(normalizeParts(parts));
+
+    this.baseMovement = movement;
+    this.movement.setMovement(movement);
+
+    this.phases = normalizePhases(phases);
+    this.phaseIndex = -1;
+    if (this.phases.length > 0) {
+      gameLog.bossSpawn(health, `${this.phases.length} phases`);
+      this.enterPhase(0);
+    } else {
+      gameLog.bossSpawn(health, this.currentPattern);
+    }
     return this.boss;
   }
 
   /**
-   * Draw boss shape
+   * Switch to a phase and fire its transition events
    */
-  drawBoss(graphics, x, y, width, height, color, shape) {
-    graphics.clear();
+  enterPhase(index) {
+    const phase = this.phases[index];
+    if (!phase || !this.boss) return;
 
-    // Outline
-    graphics.lineStyle(3, 0x000000, 1);
-    graphics.fillStyle(color, 1);
+    this.phaseIndex = index;
+    this.sequenceIndex = 0;
+    this.patternIndex = 0;
+    if (phase.movement) {
+      this.movement.setMovement(phase.movement);
+    } else if (index > 0) {
+      this.movement.setMovement(this.baseMovement);
+    }
 
-    switch (shape) {
-      case 'circle':
-        const radius = Math.min(width, height) / 2;
-        graphics.fillCircle(x, y, radius);
-        graphics.strokeCircle(x, y, radius);
-        break;
+    // Recolor (phases without a color go back to the spawn color)
+    this.boss.color = phase.color ?? this.boss.baseColor;
+    this.drawBoss(this.boss.graphics, 0, 0, this.boss.width, this.boss.height, this.boss.color, this.boss.shape);
+    this.parts.forEach(part => drawBossPart(part.graphics, part.radius, this.boss.color));
 
-      case 'diamond':
-        graphics.beginPath();
-        graphics.moveTo(x, y - height / 2);
-        graphics.lineTo(x + width / 2, y);
-        graphics.lineTo(x, y + height / 2);
-        graphics.lineTo(x - width / 2, y);
-        graphics.closePath();
-        graphics.fillPath();
-        graphics.strokePath();
-        break;
+    if (phase.shield > 0) {
+      this.raiseShield(phase.shield);
+    }
+    if (phase.minions > 0) {
+      this.spawnMinions(phase.minions);
+    }
 
-      case 'rectangle':
-      default:
-        graphics.fillRect(x - width / 2, y - height / 2, width, height);
-        graphics.strokeRect(x - width / 2, y - height / 2, width, height);
-        break;
+    // Restart the attack timer with the phase cooldown
+    if (this.attackInterval) {
+      this.stopAttacking();
+      this.startAttacking();
+    }
+
+    if (index > 0) {
+      console.log(`[BossSystem] Phase ${index + 1}/${this.phases.length}:`, phase.patterns.join(', ') || this.currentPattern);
+      gameLog.bossPhase(index + 1, this.phases.length, phase.patterns.length > 0 ? phase.patterns : [this.currentPattern]);
+      this.scene.replayRecorder?.recordEvent('bossPhase', { phase: index + 1 });
+    }
+  }
+
+  /**
+   * Enter every phase whose HP threshold has been crossed (last one wins)
+   */
+  checkPhaseTransition() {
+    const hpFraction = this.boss.health / this.boss.maxHealth;
+    let next = this.phaseIndex;
+    while (next + 1 < this.phases.length && hpFraction <= this.phases[next + 1].hpThreshold) {
+      next++;
+    }
+    if (next !== this.phaseIndex) {
+      this.enterPhase(next);
     }
+  }
 
-    // Evil eyes
-    graphics.fillStyle(0xffffff, 1);
-    graphics.fillCircle(x - width / 5, y - height / 6, 8);
-    graphics.fillCircle(x + width / 5, y - height / 6, 8);
-    graphics.fillStyle(0x000000, 1);
-    graphics.fillCircle(x - width / 5, y - height / 6 + 2, 4);
-    graphics.fillCircle(x + width / 5, y - height / 6 + 2, 4);
+  /**
+   * Draw boss shape
+   */
+  drawBoss(graphics, x, y, width, height, color, shape) {
+    drawBossGraphics(graphics, x, y, width, height, color, shape);
   }
 
   /**
@@ -157,28 +310,7 @@ export class BossSystem {
    */
   updateHealthBar() {
     if (!this.boss || !this.healthBarBg || !this.healthBar) return;
-
-    const barWidth = 100;
-    const barHeight = 10;
-    const x = this.boss.x;
-    const y = this.boss.y - this.boss.height / 2 - 20;
-
-    // Background
-    this.healthBarBg.clear();
-    this.healthBarBg.fillStyle(0x333333, 0.8);
-    this.healthBarBg.fillRect(x - barWidth / 2, y, barWidth, barHeight);
-
-    // Health fill
-    const hpPercent = Math.max(0, this.boss.health / this.boss.maxHealth);
-    const fillWidth = Math.round(barWidth * hpPercent);
-
-    this.healthBar.clear();
-    let hpColor = 0x00ff00;
-    if (hpPercent < 0.3) hpColor = 0xff0000;
-    else if (hpPercent < 0.6) hpColor = 0xffaa00;
-
-    this.healthBar.fillStyle(hpColor, 1);
-    this.healthBar.fillRect(x - barWidth / 2 + 2, y + 2, fillWidth - 4, barHeight - 4);
+    drawBossHealthBar(this.healthBarBg, this.healthBar, this.boss);
   }
 
   /**
@@ -192,7 +324,7 @@ export class BossSystem {
       if (this.boss && this.boss.isAlive && this.isActive) {
         this.executeAttackPattern();
       }
-    }, this.attackCooldown);
+    }, this.phase?.attackCooldown ?? this.attackCooldown);
 
     console.log('[BossSystem] Boss started attacking with pattern:', this.currentPattern);
   }
@@ -206,6 +338,9 @@ export class BossSystem {
       clearInterval(this.attackInterval);
       this.attackInterval = null;
     }
+    if (this.boss?.body) {
+      this.movement.hold();
+    }
   }
 
   /**
@@ -214,65 +349,107 @@ export class BossSystem {
   executeAttackPattern() {
     if (!this.boss || !this.boss.isAlive) return;
 
-    switch (this.currentPattern) {
+    this.firePattern(this.nextPattern(), this.boss);
+    this.parts.forEach(part => this.firePattern(part.pattern, part));
+
+    if (this.patternIndex % MINION_FIRE_EVERY === 0) {
+      this.fireMinionShots();
+    }
+
+    this.patternIndex++;
+  }
+
+  /**
+   * Fire one attack of a pattern from an origin (the boss or one of its parts)
+   */
+  firePattern(pattern, origin) {
+    switch (pattern) {
       case 'spiral':
-        this.patternSpiral();
+        this.patternSpiral(origin);
         break;
       case 'spread':
-        this.patternSpread();
+        this.patternSpread(origin);
         break;
       case 'aimed':
-        this.patternAimed();
+        this.patternAimed(origin);
         break;
       case 'random':
-        this.patternRandom();
+        this.patternRandom(origin);
         break;
       case 'burst':
-        this.patternBurst();
+        this.patternBurst(origin);
         break;
       default:
-        this.patternSpiral();
+        this.patternSpiral(origin);
     }
+  }
 
-    this.patternIndex++;
+  /**
+   * Pattern for the next attack: the phase sequence (looped or seeded
+   * random pick) or the single pattern set by setPattern
+   */
+  nextPattern() {
+    const patterns = this.phase?.patterns;
+    if (!patterns || patterns.length === 0) return this.currentPattern;
+
+    const pattern = this.phase.order === 'random'
+      ? rng.pick(patterns)
+      : patterns[this.sequenceIndex % patterns.length];
+    this.sequenceIndex++;
+    return pattern;
   }
 
   /**
    * Pattern: Spiral - single projectile rotating around
    */
-  patternSpiral() {
+  patternSpiral(origin) {
     const angle = (this.patternIndex * 15) * (Math.PI / 180); // 15 degrees per shot
-    this.fireProjectile(angle);
+    this.fireProjectile(angle, undefined, origin);
   }
 
   /**
    * Pattern: Spread - multiple projectiles in a fan
    */
-  patternSpread() {
+  patternSpread(origin) {
     const baseAngle = Math.PI / 2; // Down
     const spreadCount = 5;
     const spreadAngle = Math.PI / 4; // 45 degree spread total
 
     for (let i = 0; i < spreadCount; i++) {
       const offset = (i - (spreadCount - 1) / 2) * (spreadAngle / (spreadCount - 1));
-      this.fireProjectile(baseAngle + offset);
+      this.fireProjectile(baseAngle + offset, undefined, origin);
     }
   }
 
   /**
    * Pattern: Aimed - shoot toward nearest ball
    */
-  patternAimed() {
+  patternAimed(origin) {
+    const nearest = this.findNearestBall(origin.x, origin.y);
+    if (!nearest) return;
+
+    const dx = nearest.body.position.x - origin.x;
+    const dy = nearest.body.position.y - origin.y;
+    const angle = Math.atan2(dy, dx);
+
+    // Fire with slight spread
+    this.fireProjectile(angle, undefined, origin);
+    this.fireProjectile(angle - 0.2, undefined, origin);
+    this.fireProjectile(angle + 0.2, undefined, origin);
+  }
+
+  /**
+   * Nearest ball still in the race
+   */
+  findNearestBall(x, y) {
     const balls = this.scene.balls.filter(b => !b.finished && b.hp > 0);
-    if (balls.length === 0) return;
 
-    // Find nearest ball
-    let nearest = balls[0];
+    let nearest = null;
     let nearestDist = Infinity;
 
     balls.forEach(ball => {
-      const dx = ball.body.position.x - this.boss.x;
-      const dy = ball.body.position.y - this.boss.y;
+      const dx = ball.body.position.x - x;
+      const dy = ball.body.position.y - y;
       const dist = Math.sqrt(dx * dx + dy * dy);
       if (dist < nearestDist) {
         nearestDist = dist;
@@ -280,46 +457,39 @@ export class BossSystem {
       }
     });
 
-    const dx = nearest.body.position.x - this.boss.x;
-    const dy = nearest.body.position.y - this.boss.y;
-    const angle = Math.atan2(dy, dx);
-
-    // Fire with slight spread
-    this.fireProjectile(angle);
-    this.fireProjectile(angle - 0.2);
-    this.fireProjectile(angle + 0.2);
+    return nearest;
   }
 
   /**
    * Pattern: Random - shoot in random directions
    */
-  patternRandom() {
+  patternRandom(origin) {
     const count = 3;
     for (let i = 0; i < count; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      this.fireProjectile(angle);
+      const angle = rng.random() * Math.PI * 2;
+      this.fireProjectile(angle, undefined, origin);
     }
   }
 
   /**
    * Pattern: Burst - quick succession of projectiles downward
    */
-  patternBurst() {
+  patternBurst(origin) {
     const burstPhase = this.patternIndex % 10;
     if (burstPhase < 5) {
-      const angle = Math.PI / 2 + (Math.random() - 0.5) * 0.3;
-      this.fireProjectile(angle);
+      const angle = Math.PI / 2 + rng.range(-0.15, 0.15);
+      this.fireProjectile(angle, undefined, origin);
     }
   }
 
   /**
-   * Fire a single projectile
+   * Fire a single projectile (from the boss unless another origin is given)
    */
-  fireProjectile(angle, speed = 4) {
+  fireProjectile(angle, speed = this.phase?.projectileSpeed ?? this.projectileSpeed, origin = this.boss) {
     if (!this.boss) return;
 
-    const x = this.boss.x;
-    const y = this.boss.y;
+    const x = origin.x;
+    const y = origin.y;
 
     // Create projectile graphics
     const graphics = this.scene.add.graphics();
@@ -358,6 +528,13 @@ export class BossSystem {
    */
   update() {
     const now = Date.now();
+    const dt = this.lastUpdate ? Math.min(now - this.lastUpdate, 100) : 0;
+    this.lastUpdate = now;
+
+    if (this.boss && this.boss.isAlive) {
+      if (this.isActive) this.movement.update(dt);
+      this.updateShield(now);
+    }
 
     // Update projectile positions and cleanup old ones
     this.projectiles = this.projectiles.filter(proj => {
@@ -383,6 +560,235 @@ export class BossSystem {
     });
   }
 
+  /**
+   * Teleport the boss (no velocity, so balls are not launched)
+   */
+  placeBoss(x, y) {
+    this.scene.matter.body.setPosition(this.boss.body, { x, y });
+    this.syncBossPosition(x, y, false);
+  }
+
+  /**
+   * Keep graphics, health bar, shield and parts on the body after it moved
+   * @param {boolean} [updateVelocity] - Give parts the move as velocity (false for teleports)
+   */
+  syncBossPosition(x, y, updateVelocity = true) {
+    this.boss.x = x;
+    this.boss.y = y;
+    this.boss.graphics.x = x;
+    this.boss.graphics.y = y;
+    this.updateHealthBar();
+    if (this.shieldGraphics) {
+      this.shieldGraphics.x = x;
+      this.shieldGraphics.y = y;
+    }
+    this.parts.forEach(part => {
+      part.x = x + part.offsetX;
+      part.y = y + part.offsetY;
+      this.scene.matter.body.setPosition(part.body, { x: part.x, y: part.y }, updateVelocity);
+      part.graphics.x = part.x;
+      part.graphics.y = part.y;
+    });
+  }
+
+  /**
+   * Boss velocity in px per frame (zero unless it is moving)
+   */
+  getVelocity() {
+    return this.movement.getVelocity();
+  }
+
+  /**
+   * Make the boss ignore damage for a while
+   */
+  raiseShield(duration) {
+    this.shieldUntil = Date.now() + duration;
+    if (!this.shieldGraphics) {
+      this.shieldGraphics = this.scene.add.graphics();
+    }
+    drawBossShield(this.shieldGraphics, this.boss.width, this.boss.height);
+    this.shieldGraphics.x = this.boss.x;
+    this.shieldGraphics.y = this.boss.y;
+    this.shieldGraphics.setVisible(true);
+    console.log('[BossSystem] Shield up for', duration, 'ms');
+  }
+
+  /**
+   * Drop the shield ring when it expires
+   */
+  updateShield(now) {
+    if (!this.shieldGraphics || !this.shieldGraphics.visible) return;
+
+    if (now >= this.shieldUntil) {
+      this.shieldGraphics.setVisible(false);
+    }
+  }
+
+  /**
+   * Check if the boss currently ignores damage
+   */
+  isShielded() {
+    return !!this.boss && this.boss.isAlive && Date.now() < this.shieldUntil;
+  }
+
+  /**
+   * Spawn minions in a ring around the boss. Minions are static turrets
+   * that balls bounce off and break by hitting them.
+   */
+  spawnMinions(count) {
+    const ringRadius = Math.max(this.boss.width, this.boss.height) / 2 + MINION_RADIUS + 30;
+    const health = Math.max(10, Math.round(this.boss.maxHealth * 0.1));
+
+    for (let i = 0; i < count; i++) {
+      // Spread across the lower half so minions face the balls
+      const angle = Math.PI * (i + 1) / (count + 1);
+      const x = this.boss.x + Math.cos(angle) * ringRadius;
+      const y = this.boss.y + Math.sin(angle) * ringRadius;
+
+      const graphics = this.scene.add.graphics();
+      drawBossMinion(graphics, MINION_RADIUS, this.boss.color);
+      graphics.x = x;
+      graphics.y = y;
+
+      const body = this.scene.matter.add.circle(x, y, MINION_RADIUS, {
+        isStatic: true,
+        label: 'bossMinion'
+      });
+
+      this.minionCount++;
+      this.minions.push({
+        kind: 'minion',
+        id: `minion-${this.minionCount}`,
+        body,
+        graphics,
+        x,
+        y,
+        radius: MINION_RADIUS,
+        health,
+        maxHealth: health
+      });
+    }
+
+    console.log('[BossSystem] Spawned', count, 'minions');
+  }
+
+  /**
+   * Minions fire one aimed shot each
+   */
+  fireMinionShots() {
+    this.minions.forEach(minion => {
+      const target = this.findNearestBall(minion.x, minion.y);
+      if (!target) return;
+      const angle = Math.atan2(target.body.position.y - minion.y, target.body.position.x - minion.x);
+      this.fireProjectile(angle, undefined, minion);
+    });
+  }
+
+  /**
+   * Attach the destructible parts at their offsets from the boss
+   */
+  spawnParts(parts) {
+    parts.forEach(config => {
+      const x = this.boss.x + config.offsetX;
+      const y = this.boss.y + config.offsetY;
+
+      const graphics = this.scene.add.graphics();
+      drawBossPart(graphics, config.radius, this.boss.color);
+      graphics.x = x;
+      graphics.y = y;
+
+      const body = this.scene.matter.add.circle(x, y, config.radius, {
+        isStatic: true,
+        label: 'bossPart'
+      });
+
+      this.parts.push({ ...config, kind: 'part', body, graphics, x, y, maxHealth: config.health });
+    });
+
+    if (parts.length > 0) {
+      console.log('[BossSystem] Attached', parts.length, 'parts');
+    }
+  }
+
+  /**
+   * Minions and parts still standing (targets besides the boss itself)
+   */
+  getTargets() {
+    return [...this.minions, ...this.parts];
+  }
+
+  /**
+   * Damage a minion or part by its physics body
+   * @param {string} [attackerName] - Ball credited if the hit destroys it
+   * @returns {boolean} True if the target was destroyed
+   */
+  damageTarget(body, amount, attackerName) {
+    if (!this.boss || !this.boss.isAlive) return false;
+    return body.label === 'bossPart'
+      ? this.damagePart(body, amount, attackerName)
+      : this.damageMinion(body, amount, attackerName);
+  }
+
+  /**
+   * Damage a minion by its physics body
+   * @returns {boolean} True if the minion was destroyed
+   */
+  damageMinion(body, amount, attackerName) {
+    const minion = this.minions.find(m => m.body === body);
+    if (!minion) return false;
+
+    if (!this.applyTargetDamage(minion, amount)) return false;
+
+    this.destroyMinion(minion);
+    this.minions = this.minions.filter(m => m !== minion);
+    this.notifyKill(attackerName, minion);
+    return true;
+  }
+
+  /**
+   * Damage a part by its physics body; a destroyed part stops firing
+   * @returns {boolean} True if the part was destroyed
+   */
+  damagePart(body, amount, attackerName) {
+    const part = this.parts.find(p => p.body === body);
+    if (!part) return false;
+
+    if (!this.applyTargetDamage(part, amount)) return false;
+
+    this.destroyMinion(part);
+    this.parts = this.parts.filter(p => p !== part);
+    console.log(`[BossSystem] Part ${part.id} destroyed, ${this.parts.length} left`);
+    this.notifyKill(attackerName, part);
+    return true;
+  }
+
+  /**
+   * Take HP off a minion or part and fade it with its health
+   * @returns {boolean} True if it has no HP left
+   */
+  applyTargetDamage(target, amount) {
+    target.health -= amount;
+    target.graphics.setAlpha(0.4 + 0.6 * Math.max(0, target.health / target.maxHealth));
+    return target.health <= 0;
+  }
+
+  /**
+   * Tell the scene who destroyed a minion or part
+   */
+  notifyKill(attackerName, target) {
+    if (attackerName && this.scene.onBossKill) {
+      this.scene.onBossKill(attackerName, target.kind, target);
+    }
+  }
+
+  /**
+   * Remove a minion's (or part's) body and graphics
+   */
+  destroyMinion(minion) {
+    if (minion.graphics) minion.graphics.destroy();
+    if (minion.body) this.scene.matter.world.remove(minion.body);
+  }
+
   /**
    * Destroy a projectile
    */
@@ -393,13 +799,22 @@ export class BossSystem {
 
   /**
    * Boss takes damage
+   * @param {string} [attackerName] - Ball credited with the kill if this hit is fatal
    */
-  takeDamage(amount) {
+  takeDamage(amount, attackerName = null) {
     if (!this.boss || !this.boss.isAlive) return false;
+    if (this.isShielded()) return false;
 
+    const hpBefore = this.boss.health / this.boss.maxHealth;
     this.boss.health -= amount;
     this.updateHealthBar();
 
+    // Animations waiting for the boss to drop to an HP threshold
+    this.scene.animationPlayer?.handleEvent('bossHp', {
+      from: hpBefore,
+      to: Math.max(0, this.boss.health / this.boss.maxHealth)
+    });
+
     // Flash effect
     if (this.boss.graphics) {
       this.boss.graphics.setAlpha(0.3);
@@ -413,17 +828,19 @@ export class BossSystem {
     console.log('[BossSystem] Boss took', amount, 'damage, HP:', this.boss.health);
 
     if (this.boss.health <= 0) {
-      this.die();
+      this.die(attackerName);
       return true; // Boss died
     }
 
+    this.checkPhaseTransition();
     return false;
   }
 
   /**
    * Boss death
+   * @param {string} [killerName] - Ball that landed the killing blow
    */
-  die() {
+  die(killerName = null) {
     if (!this.boss || !this.boss.isAlive) return;
 
     console.log('[BossSystem] Boss defeated!');
@@ -433,11 +850,17 @@ export class BossSystem {
     // Hide health bar immediately
     if (this.healthBar) this.healthBar.setAlpha(0);
     if (this.healthBarBg) this.healthBarBg.setAlpha(0);
+    if (this.shieldGraphics) this.shieldGraphics.setVisible(false);
+
+    // Minions and parts fall with their boss (no kill credit)
+    this.getTargets().forEach(target => this.destroyMinion(target));
+    this.minions = [];
+    this.parts = [];
 
     // Notify scene immediately (don't wait for animation)
     // This triggers the chain progression
     if (this.scene.onBossDeath) {
-      this.scene.onBossDeath();
+      this.scene.onBossDeath(killerName);
     }
 
     // Death animation - flash and fade (cleanup will be called by loadChainMap)
@@ -461,8 +884,7 @@ export class BossSystem {
    * Set attack pattern
    */
   setPattern(pattern) {
-    const validPatterns = ['spiral', 'spread', 'aimed', 'random', 'burst'];
-    if (validPatterns.includes(pattern)) {
+    if (BOSS_PATTERNS.includes(pattern)) {
       this.currentPattern = pattern;
       this.patternIndex = 0;
       console.log('[BossSystem] Pattern set to:', pattern);
@@ -470,7 +892,7 @@ export class BossSystem {
   }
 
   /**
-   * Set attack speed
+   * Set attack speed (phases with their own cooldown override it)
    */
   setAttackCooldown(ms) {
     this.attackCooldown = ms;
@@ -496,6 +918,22 @@ export class BossSystem {
     this.projectiles.forEach(proj => this.destroyProjectile(proj));
     this.projectiles = [];
 
+    // Destroy minions, parts and phase state
+    this.getTargets().forEach(target => this.destroyMinion(target));
+    this.minions = [];
+    this.minionCount = 0;
+    this.parts = [];
+    if (this.shieldGraphics) {
+      this.shieldGraphics.destroy();
+      this.shieldGraphics = null;
+    }
+    this.shieldUntil = 0;
+    this.phases = [];
+    this.phaseIndex = -1;
+    this.lastUpdate = 0;
+    this.movement.reset();
+    this.baseMovement = null;
+
     // Destroy boss - be thorough
     if (this.boss) {
       // Remove physics body first
@@ -554,7 +992,13 @@ export class BossSystem {
       health: this.boss.health,
       maxHealth: this.boss.maxHealth,
       isAlive: this.boss.isAlive,
-      pattern: this.currentPattern
+      pattern: this.currentPattern,
+      phase: this.phaseIndex + 1,
+      phaseCount: this.phases.length,
+      movement: this.movement.mode,
+      shielded: this.isShielded(),
+      minions: this.minions.length,
+      parts: this.parts.map(p => p.id)
     };
   }
 }
@@ -21,12 +21,14 @@
  * - respawn (blue): Ball respawned
  * - hit (orange): Ball took damage
  * - victory (yellow): Win conditions
+ * - hazard (amber): A ball entered a hazard zone
  * - system (purple): System messages
  *
  * USAGE:
  *   gameLog.init();                          // Connect to DOM
  *   gameLog.bossDamage('Red', 15, 85, 100);  // Red hit boss for 15
  *   gameLog.ballDamage('Blue', 10, 90, 100); // Blue took 10 damage
+ *   gameLog.ballDamage('Blue', 5, 85, 100, 'Lava'); // ...attributed to its source
  *   gameLog.death('Green');                  // Green eliminated
  *   gameLog.respawn('Green');                // Green respawned
  *
@@ -96,6 +98,8 @@ class GameLogSystem {
       respawn: '#4dabf7',
       hit: '#ffa94d',
       victory: '#ffd43b',
+      evolution: '#e599f7',
+      hazard: '#ff922b',
       system: '#845ef7'
     };
     return colors[type] || colors.info;
@@ -191,9 +195,15 @@ class GameLogSystem {
     this.log(`<span style="color:#ffa94d">${attacker}</span> dealt <span style="color:#ff6b6b">${amount}</span> damage to <span style="color:#4dabf7">${target}</span>${hpStr}`, 'damage');
   }
 
-  ballDamage(ballName, amount, newHp, maxHp) {
+  ballDamage(ballName, amount, newHp, maxHp, source = null) {
     const percent = Math.round((newHp / maxHp) * 100);
-    this.log(`<span style="color:#4dabf7">${ballName}</span> took <span style="color:#ff6b6b">${amount}</span> damage (${newHp}/${maxHp} HP - ${percent}%)`, 'hit');
+    const sourceStr = source ? ` from <span style="color:#ff922b">${source}</span>` : '';
+    this.log(`<span style="color:#4dabf7">${ballName}</span> took <span style="color:#ff6b6b">${amount}</span> damage${sourceStr} (${newHp}/${maxHp} HP - ${percent}%)`, 'hit');
+  }
+
+  hazard(ballName, zoneLabel, effect) {
+    const effectStr = effect ? ` (${effect})` : '';
+    this.log(`<span style="color:#4dabf7">${ballName}</span> entered <span style="color:#ff922b">${zoneLabel}</span>${effectStr}`, 'hazard');
   }
 
   bossDamage(ballName, amount, bossHp, bossMaxHp) {
@@ -213,6 +223,18 @@ class GameLogSystem {
     this.log(`<span style="color:#cc3300">BOSS</span> spawned with ${hp} HP (${pattern} pattern)`, 'boss');
   }
 
+  bossPhase(phase, phaseCount, patterns) {
+    this.log(`<span style="color:#cc3300">BOSS</span> enters phase ${phase}/${phaseCount} (${patterns.join(' → ')})`, 'boss');
+  }
+
+  bossMinionKill(ballName) {
+    this.log(`<span style="color:#4dabf7">${ballName}</span> destroyed a <span style="color:#cc3300">boss minion</span>`, 'boss');
+  }
+
+  bossPartKill(ballName, partId) {
+    this.log(`<span style="color:#4dabf7">${ballName}</span> destroyed boss part <span style="color:#cc3300">${partId}</span>`, 'boss');
+  }
+
   bossDeath() {
     this.log(`<span style="color:#ffd43b">BOSS DEFEATED!</span>`, 'victory');
   }
@@ -229,6 +251,10 @@ class GameLogSystem {
     this.log(`<span style="color:#4dabf7">${ballName}</span> picked up <span style="color:#ffa94d">${weaponName}</span>`, 'info');
   }
 
+  evolution(ballName, fromName, intoName, buffName) {
+    this.log(`<span style="color:#4dabf7">${ballName}</span> evolved <span style="color:#ffa94d">${fromName}</span> + ${buffName} into <span style="color:#e599f7">${intoName}</span>!`, 'evolution');
+  }
+
   itemPickup(ballName, itemName) {
     this.log(`<span style="color:#4dabf7">${ballName}</span> picked up <span style="color:#51cf66">${itemName}</span>`, 'info');
   }
@@ -238,7 +264,12 @@ class GameLogSystem {
     rankings.forEach((entry, i) => {
       const position = i + 1;
       const medal = position === 1 ? '🥇' : position === 2 ? '🥈' : position === 3 ? '🥉' : `#${position}`;
-      this.log(`${medal} <span style="color:#4dabf7">${entry.name}</span>: <span style="color:#ff6b6b">${entry.damage}</span> damage`, 'victory');
+      const kills = [
+        entry.minionKills ? `${entry.minionKills} minion${entry.minionKills > 1 ? 's' : ''}` : '',
+        entry.partKills ? `${entry.partKills} part${entry.partKills > 1 ? 's' : ''}` : ''
+      ].filter(Boolean).join(', ');
+      const killStr = kills ? ` + ${kills}` : '';
+      this.log(`${medal} <span style="color:#4dabf7">${entry.name}</span>: <span style="color:#ff6b6b">${entry.damage}</span> damage${killStr}`, 'victory');
     });
   }
 
@@ -247,6 +278,11 @@ class GameLogSystem {
     this.log(`<span style="color:#51cf66">${name}</span> finished ${ordinal}!`, 'victory');
   }
 
+  lap(ballName, lap, laps, time, isFastest) {
+    const fastest = isFastest ? ` <span style="color:#e599f7">FASTEST LAP</span>` : '';
+    this.log(`<span style="color:#4dabf7">${ballName}</span> lap ${lap}/${laps}: <span style="color:#ffd43b">${time.toFixed(2)}s</span>${fastest}`, isFastest ? 'victory' : 'info');
+  }
+
   getOrdinal(n) {
     const s = ['th', 'st', 'nd', 'rd'];
     const v = n % 100;
@@ -4,11 +4,15 @@
  * Features:
  * - 3 weapon mount points per ball (120° apart)
  * - Active buff tracking with expiration
+ * - Weapon leveling up to each weapon's maxLevel
+ * - Evolution: maxed weapon + recipe buff -> evolved weapon
  * - Serialization for chain persistence
  */
 
-import { WEAPON_TYPES } from './WeaponDefinitions.js';
-import { BUFF_EFFECTS } from './ItemDefinitions.js';
+import { WEAPON_TYPES, findEvolution } from './WeaponDefinitions.js';
+import { BUFF_EFFECTS, ITEM_TYPES } from './ItemDefinitions.js';
+import { gameLog } from './GameLog.js';
+import { statisticsSystem } from './StatisticsSystem.js';
 
 export class InventorySystem {
   constructor(scene) {
@@ -85,8 +89,10 @@ export class InventorySystem {
     // Check if already has this weapon (upgrade instead)
     const existingWeapon = inv.weapons.find(w => w.id === weaponId);
     if (existingWeapon) {
-      existingWeapon.level = Math.min(existingWeapon.level + 1, 5);
-      console.log(`[Inventory] ${ballName} upgraded ${weaponId} to level ${existingWeapon.level}`);
+      const maxLevel = WEAPON_TYPES[weaponId]?.maxLevel || 1;
+      existingWeapon.level = Math.min(existingWeapon.level + 1, maxLevel);
+      console.log(`[Inventory] ${ballName} upgraded ${weaponId} to level ${existingWeapon.level}/${maxLevel}`);
+      this.checkEvolutions(ballName);
       return true;
     }
 
@@ -129,6 +135,7 @@ export class InventorySystem {
     const idx = inv.weapons.findIndex(w => w.id === weaponId);
     if (idx !== -1) {
       inv.weapons.splice(idx, 1);
+      this.scene.weaponSystem?.clearPassiveState(ballName, weaponId);
       return true;
     }
     return false;
@@ -163,9 +170,48 @@ export class InventorySystem {
     this.applyBuffEffect(ballName, buffId, data, true);
 
     console.log(`[Inventory] ${ballName} gained buff ${buffId} for ${duration}ms`);
+    this.checkEvolutions(ballName);
     return true;
   }
 
+  /**
+   * Evolve every maxed weapon whose recipe buff is active on the ball
+   */
+  checkEvolutions(ballName) {
+    const inv = this.inventories.get(ballName);
+    if (!inv) return;
+
+    const activeEffects = inv.activeBuffs.map(b => b.effect);
+
+    for (const weapon of inv.weapons) {
+      const weaponDef = WEAPON_TYPES[weapon.id];
+      if (!weaponDef || weapon.level < weaponDef.maxLevel) continue;
+
+      const recipe = findEvolution(weapon.id, activeEffects);
+      if (recipe && WEAPON_TYPES[recipe.into]) {
+        this.evolveWeapon(ballName, weapon, recipe);
+      }
+    }
+  }
+
+  /**
+   * Replace a weapon with its evolution (same mount, back to level 1)
+   */
+  evolveWeapon(ballName, weapon, recipe) {
+    const fromName = WEAPON_TYPES[recipe.from]?.name || recipe.from;
+    const intoName = WEAPON_TYPES[recipe.into].name;
+    const buffName = ITEM_TYPES[recipe.buff]?.name || recipe.buff;
+
+    this.scene.weaponSystem?.clearPassiveState(ballName, weapon.id);
+    weapon.id = recipe.into;
+    weapon.level = 1;
+    weapon.cooldownRemaining = 0;
+
+    console.log(`[Inventory] ${ballName} evolved ${recipe.from} + ${recipe.buff} into ${recipe.into}`);
+    gameLog.evolution(ballName, fromName, intoName, buffName);
+    statisticsSystem.recordEvolution(ballName, recipe.from, recipe.into, recipe.buff);
+  }
+
   /**
    * Remove a buff from a ball
    */
@@ -7,6 +7,8 @@
  * - Consumables: Instant effects (health)
  */
 
+import { rng } from './RandomSystem.js';
+
 export const ITEM_TYPES = {
   // ========== WEAPON CRATE ==========
 
@@ -137,13 +139,13 @@ export function getItemsByType(type) {
 // Get random item with rarity weighting
 export function getRandomItem(rarityWeights = { common: 50, uncommon: 35, rare: 15 }) {
   const totalWeight = Object.values(rarityWeights).reduce((a, b) => a + b, 0);
-  let roll = Math.random() * totalWeight;
+  let roll = rng.random() * totalWeight;
 
   for (const [rarity, weight] of Object.entries(rarityWeights)) {
     roll -= weight;
     if (roll <= 0) {
       const rarityItems = ITEM_RARITY[rarity];
-      const randomId = rarityItems[Math.floor(Math.random() * rarityItems.length)];
+      const randomId = rng.pick(rarityItems);
       return ITEM_TYPES[randomId];
     }
   }
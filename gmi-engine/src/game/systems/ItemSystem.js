@@ -4,6 +4,7 @@
 
 import { ITEM_TYPES, getRandomItem, getItem } from './ItemDefinitions.js';
 import { getRandomWeapon } from './WeaponDefinitions.js';
+import { rng } from './RandomSystem.js';
 
 export class ItemSystem {
   constructor(scene) {
@@ -87,8 +88,8 @@ export class ItemSystem {
     const margin = 50;
 
     // Random position avoiding edges
-    const x = margin + Math.random() * (this.scene.gameWidth - margin * 2);
-    const y = margin + Math.random() * (this.scene.gameHeight - margin * 2);
+    const x = margin + rng.random() * (this.scene.gameWidth - margin * 2);
+    const y = margin + rng.random() * (this.scene.gameHeight - margin * 2);
 
     this.createItem(itemDef, x, y);
   }
@@ -118,7 +119,7 @@ export class ItemSystem {
       y,
       spawnPoint,
       spawnTime: Date.now(),
-      bobOffset: Math.random() * Math.PI * 2 // For floating animation
+      bobOffset: rng.random() * Math.PI * 2 // For floating animation
     };
 
     this.items.push(item);
@@ -159,6 +160,7 @@ export class ItemSystem {
     const itemDef = item.definition;
 
     console.log(`[ItemSystem] ${ball.name} picked up ${itemDef.name}`);
+    this.scene.replayRecorder?.recordEvent('pickup', { ball: ball.name, item: itemDef.name, x: Math.round(item.x), y: Math.round(item.y) });
 
     // Apply item effect
     switch (itemDef.type) {
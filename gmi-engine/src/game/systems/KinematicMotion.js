@@ -0,0 +1,146 @@
+/**
+ * KinematicMotion - Drives keyframe-animated obstacles as kinematic bodies
+ *
+ * PURPOSE:
+ * Animated obstacles used to be teleported every frame with only a rough
+ * push velocity, so balls ended up inside them and had to be shoved out
+ * afterwards. Here an animated obstacle stays a static Matter body, but each
+ * move sets its velocity and angular velocity to the frame's displacement
+ * (Body.setPosition / setAngle with updateVelocity). The solver then treats
+ * it like a moving wall: contacts are resolved and balls bounce off with
+ * the obstacle's momentum, including the spin of rotating obstacles.
+ *
+ * TUNNELLING:
+ * The solver only sees where the body ends up. When any point of the body
+ * travels further than SUBSTEP_DISTANCE in one frame, the move is split
+ * into sub-steps and balls the body runs into along the way are pushed out
+ * in front of it and given its speed. The last sub-step is left to the
+ * solver, so balls are never overlapped by more than one sub-step.
+ *
+ * Balls that can't get out of the way are squeezed against whatever is
+ * behind them; CrushDetector.checkSqueezedBalls decides when that crushes.
+ *
+ * USAGE:
+ *   moveKinematic(Matter, obs.body, { x, y, angle }, ballBodies);
+ *   stopKinematic(Matter, obs.body);  // before teleporting it back on reset
+ *
+ * @module KinematicMotion
+ */
+
+// Furthest any point of a moving body travels per sub-step (px), below a ball radius
+export const SUBSTEP_DISTANCE = 6;
+
+// Upper bound on sub-steps per frame (a body crossing the map in one frame)
+const MAX_SUBSTEPS = 16;
+
+/**
+ * Normal of a Matter collision pointing into `body` (Matter's normal points
+ * from the pair's bodyB to its bodyA)
+ * @param {Object} collision - Matter collision record
+ * @param {Object} body - One of the two parent bodies
+ * @returns {{x: number, y: number}}
+ */
+export function getContactNormal(collision, body) {
+  const { normal } = collision;
+  return collision.parentA === body ? { x: normal.x, y: normal.y } : { x: -normal.x, y: -normal.y };
+}
+
+/**
+ * Velocity of a body at a world point (linear plus spin), px per step
+ */
+export function getPointVelocity(body, point) {
+  const w = body.angularVelocity || 0;
+  return {
+    x: body.velocity.x - w * (point.y - body.position.y),
+    y: body.velocity.y + w * (point.x - body.position.x)
+  };
+}
+
+/**
+ * Largest distance from a body's position to its vertices (lever arm of its spin)
+ */
+function getReach(body) {
+  let reach = 0;
+  for (const vertex of body.vertices) {
+    reach = Math.max(reach, Math.hypot(vertex.x - body.position.x, vertex.y - body.position.y));
+  }
+  return reach;
+}
+
+/**
+ * Move a static body to a pose as a kinematic body
+ * @param {Object} Matter - Matter namespace (Body, Query)
+ * @param {Object} body - Static Matter body
+ * @param {{x: number, y: number, angle: number}} target - Pose this frame (angle in radians)
+ * @param {Array} [sweepBodies] - Ball bodies to keep in front of it
+ */
+export function moveKinematic(Matter, body, target, sweepBodies = []) {
+  const { Body } = Matter;
+  const start = { x: body.position.x, y: body.position.y, angle: body.angle };
+  const dx = target.x - start.x;
+  const dy = target.y - start.y;
+  const dAngle = target.angle - start.angle;
+
+  const travel = Math.hypot(dx, dy) + Math.abs(dAngle) * getReach(body);
+  const steps = Math.min(MAX_SUBSTEPS, Math.ceil(travel / SUBSTEP_DISTANCE));
+
+  if (steps > 1 && sweepBodies.length > 0) {
+    // Velocity of the whole frame, so swept balls leave at the body's speed
+    body.velocity.x = dx;
+    body.velocity.y = dy;
+    body.angularVelocity = dAngle;
+
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      Body.setPosition(body, { x: start.x + dx * t, y: start.y + dy * t });
+      Body.setAngle(body, start.angle + dAngle * t);
+      sweepBalls(Matter, body, sweepBodies);
+    }
+
+    // Back to the start so the final move carries the full frame velocity
+    Body.setPosition(body, start);
+    Body.setAngle(body, start.angle);
+  }
+
+  Body.setPosition(body, { x: target.x, y: target.y }, true);
+  Body.setAngle(body, target.angle, true);
+}
+
+/**
+ * Push balls overlapping a body out in front of it, at least as fast as
+ * the body moves there
+ */
+function sweepBalls(Matter, body, sweepBodies) {
+  const { Body, Query } = Matter;
+
+  for (const ballBody of sweepBodies) {
+    if (ballBody.isStatic) continue;
+
+    const collision = Query.collides(ballBody, [body])[0];
+    if (!collision || collision.depth <= 0) continue;
+
+    const normal = getContactNormal(collision, ballBody);
+    Body.setPosition(ballBody, {
+      x: ballBody.position.x + normal.x * collision.depth,
+      y: ballBody.position.y + normal.y * collision.depth
+    });
+
+    const pushVelocity = getPointVelocity(body, ballBody.position);
+    const pushSpeed = pushVelocity.x * normal.x + pushVelocity.y * normal.y;
+    const ballSpeed = ballBody.velocity.x * normal.x + ballBody.velocity.y * normal.y;
+    if (ballSpeed < pushSpeed) {
+      Body.setVelocity(ballBody, {
+        x: ballBody.velocity.x + normal.x * (pushSpeed - ballSpeed),
+        y: ballBody.velocity.y + normal.y * (pushSpeed - ballSpeed)
+      });
+    }
+  }
+}
+
+/**
+ * Clear a kinematic body's velocity (it stops pushing balls)
+ */
+export function stopKinematic(Matter, body) {
+  Matter.Body.setPosition(body, { x: body.position.x, y: body.position.y }, true);
+  Matter.Body.setAngle(body, body.angle, true);
+}
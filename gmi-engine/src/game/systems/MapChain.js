@@ -26,6 +26,7 @@
  *   mapChain.getCurrentMap();             // Get current level data
  *   mapChain.nextMap();                   // Advance to next level
  *   mapChain.getProgress();               // { current: 2, total: 3, percent: 66 }
+ *   mapChain.getLevelSeed();              // Race seed for the current level
  *
  * MAP DATA FORMAT:
  *   {
@@ -34,7 +35,10 @@
  *     width: 800, height: 700,
  *     startZone: { x, y, width, height },
  *     finishZone: { x, y, width, height },  // Off-screen for boss maps
- *     bossConfig: { x, y, health, pattern, color },  // Optional
+ *     checkpoints: [{ x, y, width, height }],  // Optional, passed in order every lap
+ *     laps: 3,                                 // Optional, default 1
+ *     hazards: [{ kind, x, y, width, height, ... }],  // Optional, see HazardZoneManager
+ *     bossConfig: { x, y, health, pattern, color, phases, parts },  // Optional
  *     obstacles: [...]
  *   }
  *
@@ -42,12 +46,14 @@
  */
 
 import { gameLog } from './GameLog.js';
+import { rng, hashSeed } from './RandomSystem.js';
 
 class MapChainSystem {
   constructor() {
     this.maps = [];
     this.currentIndex = 0;
     this.isActive = false;
+    this.seed = null; // Chain seed - each level's race seed is derived from it
     this.onMapChange = null;
     this.onChainComplete = null;
   }
@@ -55,13 +61,23 @@ class MapChainSystem {
   /**
    * Set the chain of maps to play through
    * @param {Array} maps - Array of map objects or map IDs
+   * @param {number} [seed] - Chain seed (random if omitted)
    */
-  setChain(maps) {
+  setChain(maps, seed) {
     this.maps = maps;
     this.currentIndex = 0;
     this.isActive = true;
-    console.log('[MapChain] Chain set with', maps.length, 'maps');
-    gameLog.log(`Map chain started: ${maps.length} levels`, 'system');
+    this.seed = (seed ?? rng.generateSeed()) >>> 0;
+    console.log('[MapChain] Chain set with', maps.length, 'maps, seed', this.seed);
+    gameLog.log(`Map chain started: ${maps.length} levels (seed ${this.seed})`, 'system');
+  }
+
+  /**
+   * Get the race seed for a level, derived from the chain seed
+   * @param {number} [index] - Level index (defaults to current)
+   */
+  getLevelSeed(index = this.currentIndex) {
+    return hashSeed(this.seed, index);
   }
 
   /**
@@ -243,7 +259,19 @@ export const CHAIN_BOSS_MAPS = [
       width: 80, height: 60,
       health: 80,
       pattern: 'spiral',
-      color: 0xcc3300
+      color: 0xcc3300,
+      phases: [
+        { hpThreshold: 1, patterns: ['spiral'] },
+        {
+          hpThreshold: 0.5,
+          patterns: ['spiral', 'random'],
+          order: 'random',
+          projectileSpeed: 5,
+          color: 0xff5500,
+          movement: { mode: 'patrol', waypoints: [{ x: 250, y: 100 }, { x: 550, y: 100 }], speed: 50 },
+          minions: 2
+        }
+      ]
     },
     obstacles: [
       { id: "cover1", type: "rectangle", x: 150, y: 350, width: 80, height: 15, color: "#4a5568", behavior: "static" },
@@ -265,7 +293,28 @@ export const CHAIN_BOSS_MAPS = [
       width: 100, height: 70,
       health: 120,
       pattern: 'spread',
-      color: 0x9900cc
+      color: 0x9900cc,
+      movement: { mode: 'chase', speed: 40 },
+      phases: [
+        { hpThreshold: 1, patterns: ['spread', 'spiral', 'spiral'] },
+        {
+          hpThreshold: 0.6,
+          patterns: ['spread', 'burst'],
+          order: 'random',
+          attackCooldown: 650,
+          color: 0xcc33ff,
+          shield: 1500
+        },
+        {
+          hpThreshold: 0.25,
+          patterns: ['burst', 'spread', 'random'],
+          order: 'random',
+          attackCooldown: 500,
+          projectileSpeed: 5.5,
+          color: 0xff33cc,
+          movement: { mode: 'patrol', waypoints: [{ x: 200, y: 120 }, { x: 600, y: 120 }, { x: 400, y: 80 }], speed: 80 }
+        }
+      ]
     },
     obstacles: [
       // More cover for spread pattern
@@ -290,7 +339,33 @@ export const CHAIN_BOSS_MAPS = [
       health: 200,
       pattern: 'aimed',
       attackCooldown: 600,
-      color: 0xff0000
+      color: 0xff0000,
+      parts: [
+        { id: 'left-cannon', offsetX: -80, offsetY: 35, health: 40, pattern: 'spread' },
+        { id: 'right-cannon', offsetX: 80, offsetY: 35, health: 40, pattern: 'spread' }
+      ],
+      phases: [
+        { hpThreshold: 1, patterns: ['aimed', 'spiral'] },
+        {
+          hpThreshold: 0.66,
+          patterns: ['aimed', 'spread', 'random'],
+          order: 'random',
+          attackCooldown: 550,
+          color: 0xff4400,
+          movement: { mode: 'teleport', anchors: [{ x: 200, y: 110 }, { x: 400, y: 100 }, { x: 600, y: 110 }], interval: 2500 },
+          shield: 1200
+        },
+        {
+          hpThreshold: 0.33,
+          patterns: ['aimed', 'burst', 'aimed', 'spread'],
+          attackCooldown: 450,
+          projectileSpeed: 5.5,
+          color: 0xffaa00,
+          movement: { mode: 'patrol', waypoints: [{ x: 400, y: 160 }, { x: 220, y: 100 }, { x: 580, y: 100 }], speed: 90 },
+          shield: 2000,
+          minions: 3
+        }
+      ]
     },
     obstacles: [
       // Lots of cover for aimed shots
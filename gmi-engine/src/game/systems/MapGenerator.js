@@ -1,4 +1,5 @@
 import { createNoise2D } from 'simplex-noise';
+import { createSeededRandom } from './RandomSystem.js';
 
 export class MapGenerator {
   constructor(scene, width, height) {
@@ -182,13 +183,6 @@ export class MapGenerator {
   }
 
   seededRandom(seed) {
-    let state = seed || 12345;
-    return function() {
-      state |= 0;
-      state = state + 0x6D2B79F5 | 0;
-      let t = Math.imul(state ^ state >>> 15, 1 | state);
-      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
-      return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
+    return createSeededRandom(seed);
   }
 }
@@ -66,6 +66,11 @@ export class MapLoader {
       angle: (obs.angle || 0) * Math.PI / 180, // Convert degrees to radians
       color: obs.color,
 
+      // Polygon outline (points relative to x, y)
+      points: obs.points,
+      closed: obs.closed,
+      thickness: obs.thickness,
+
       // Behavior
       behavior: obs.behavior || 'static',
 
@@ -93,7 +98,29 @@ export class MapLoader {
       crusher: obs.behavior === 'crusher',
       crusherDirection: obs.crusherDirection || 'down',
       crusherSpeed: obs.crusherSpeed || 80,
-      crusherResetDelay: obs.crusherResetDelay || 2000
+      crusherResetDelay: obs.crusherResetDelay || 2000,
+
+      // Bumper properties
+      bumperStrength: obs.bumperStrength || 1.5,
+      bumperPoints: obs.bumperPoints ?? 1,
+
+      // Flipper properties
+      flipper: obs.behavior === 'flipper',
+      flipperSide: obs.flipperSide || 'left',
+      flipperSwing: obs.flipperSwing || 45,
+      flipperMode: obs.flipperMode || 'interval',
+      flipperInterval: obs.flipperInterval || 1500,
+      flipperRange: obs.flipperRange || 0, // 0 = flipper length
+
+      // Boost pad properties
+      boostMultiplier: obs.boostMultiplier || 1.8,
+      boostDuration: obs.boostDuration || 1.5,
+
+      // Portal properties (portals on the same channel are paired)
+      portalChannel: obs.portalChannel || 1,
+
+      // Switched off until a trigger shows it
+      startHidden: !!obs.startHidden
     }));
 
     return {
@@ -106,7 +133,13 @@ export class MapLoader {
       spawnY,
       startZone: data.startZone,
       finishZone: data.finishZone,
+      checkpoints: data.checkpoints || [],
+      laps: data.laps || 1,
+      triggers: data.triggers || [],
+      hazards: data.hazards || [],
+      itemSpawns: data.itemSpawns || [],
       animations: data.animations || null, // IMPORTANT: Include animation data!
+      animationGroups: data.animationGroups || null,
       bossConfig: data.bossConfig || null, // IMPORTANT: Include boss configuration!
       lanes: 5 // Default lanes
     };
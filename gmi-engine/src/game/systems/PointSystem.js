@@ -2,9 +2,11 @@
  * PointSystem.js - Tracks points across chain/campaign
  *
  * SCORING:
- * - Position points: 1st=10, 2nd=8, 3rd=6, 4th=4, 5th=2
+ * - Position points: scale with the field (Roster.getPositionPoints);
+ *   five balls score 1st=10, 2nd=8, 3rd=6, 4th=4, 5th=2
  * - Level multipliers: Escalating (1x, 1.25x, 1.5x, 2x for final)
- * - Boss bonuses: Damage dealt, kill shot, first blood
+ * - Boss bonuses: Damage dealt, kill shot, first blood, minion and part kills
+ * - Bumper bonus: Bumper points scored in the level (capped)
  * - Comeback bonuses: Position improvement rewards
  *
  * FEATURES:
@@ -15,25 +17,20 @@
  */
 
 import { gameLog } from './GameLog.js';
-
-// Point values for positions
-const POSITION_POINTS = {
-  1: 10,
-  2: 8,
-  3: 6,
-  4: 4,
-  5: 2
-};
+import { getPositionPoints, isUnderdogPosition } from '../../shared/Roster.js';
 
 // Bonus point values
 const BONUS_POINTS = {
   BOSS_KILL: 5,           // Final blow on boss
+  MINION_KILL: 1,         // Destroy a boss minion
+  PART_KILL: 2,           // Destroy a boss part (turret)
   FIRST_BLOOD: 2,         // First to damage boss
   DAMAGE_PER_50: 1,       // +1 point per 50 damage dealt
   POSITION_JUMP_2: 3,     // Improve 2+ positions from last level
   POSITION_JUMP_3: 5,     // Improve 3+ positions from last level
-  UNDERDOG_WIN: 5,        // Win from 4th or 5th place
-  MOST_PUMPED: 2          // Most volume pumped during level
+  UNDERDOG_WIN: 5,        // Win from the bottom 40% (4th or 5th of five)
+  MOST_PUMPED: 2,         // Most volume pumped during level
+  BUMPER_MAX: 5           // Cap on bumper points per level
 };
 
 class PointSystemManager {
@@ -123,14 +120,32 @@ class PointSystemManager {
   }
 
   /**
-   * Record boss kill
+   * Record a boss kill, or a minion / part kill credited separately
+   * @param {string} ballName - Ball that landed the kill
+   * @param {string} [target] - 'boss', 'minion' or 'part'
    */
-  recordBossKill(ballName) {
+  recordBossKill(ballName, target = 'boss') {
     if (!this.useBossBonuses) return;
 
-    this.bossKiller = ballName;
-    this.addBonus(ballName, BONUS_POINTS.BOSS_KILL, 'Boss Kill');
-    gameLog.log(`${ballName} lands the KILLING BLOW! +${BONUS_POINTS.BOSS_KILL} pts`, 'victory');
+    if (target === 'minion') {
+      this.addBonus(ballName, BONUS_POINTS.MINION_KILL, 'Minion Kill');
+    } else if (target === 'part') {
+      this.addBonus(ballName, BONUS_POINTS.PART_KILL, 'Part Kill');
+    } else {
+      this.bossKiller = ballName;
+      this.addBonus(ballName, BONUS_POINTS.BOSS_KILL, 'Boss Kill');
+      gameLog.log(`${ballName} lands the KILLING BLOW! +${BONUS_POINTS.BOSS_KILL} pts`, 'victory');
+    }
+  }
+
+  /**
+   * Record the bumper points a ball scored this level
+   * @param {string} ballName - Ball name
+   * @param {number} score - Sum of the bumpers' points
+   */
+  recordBumperScore(ballName, score) {
+    if (!score) return;
+    this.addBonus(ballName, Math.min(score, BONUS_POINTS.BUMPER_MAX), 'Bumpers');
   }
 
   /**
@@ -165,7 +180,7 @@ class PointSystemManager {
       const ballName = ball.name;
 
       // Base position points
-      let basePoints = POSITION_POINTS[position] || 1;
+      const basePoints = getPositionPoints(position, standings.length);
 
       // Add damage bonus (1 point per 50 damage)
       if (this.useBossBonuses && ball.damageDealtToBoss) {
@@ -186,8 +201,8 @@ class PointSystemManager {
             this.addBonus(ballName, BONUS_POINTS.POSITION_JUMP_2, `Jumped ${improvement} positions`);
           }
 
-          // Underdog win (was 4th or 5th, now 1st)
-          if (lastPosition >= 4 && position === 1) {
+          // Underdog win (was in the bottom 40%, now 1st)
+          if (isUnderdogPosition(lastPosition, standings.length) && position === 1) {
             this.addBonus(ballName, BONUS_POINTS.UNDERDOG_WIN, 'Underdog Victory');
             gameLog.log(`${ballName} UNDERDOG VICTORY! +${BONUS_POINTS.UNDERDOG_WIN} pts`, 'victory');
           }
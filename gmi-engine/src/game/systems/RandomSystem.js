@@ -0,0 +1,148 @@
+/**
+ * RandomSystem - Seedable random number service for the race pipeline
+ *
+ * PURPOSE:
+ * Every gameplay roll (weapon crates, item drops, roulette rewards, boss
+ * patterns, bounce twists, respawns) draws from this one stream, so a race
+ * replayed with the same seed plays out the same way.
+ *
+ * FEATURES:
+ * - mulberry32 generator (same algorithm as MapGenerator.seededRandom)
+ * - Chain seed -> per-level race seed derivation (hashSeed)
+ * - Helpers for ranges, integer rolls, picks, chances and shuffles
+ *
+ * NOT FOR:
+ * Purely cosmetic effects (lightning jitter, roulette spin wobble) and
+ * unique IDs keep using Math.random so they never shift the gameplay stream.
+ *
+ * USAGE:
+ *   rng.setSeed(123456);                 // Start a reproducible race
+ *   rng.random();                        // 0 <= n < 1
+ *   rng.range(-0.5, 0.5);                // Float in range
+ *   rng.int(0, 5);                       // Integer 0-4
+ *   rng.pick(['a', 'b']);                // Random element
+ *   hashSeed(chainSeed, levelIndex);     // Derive a level seed
+ *
+ * @module RandomSystem
+ */
+
+/**
+ * Create a standalone mulberry32 generator
+ * @param {number} seed - 32-bit seed (0 falls back to 12345)
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed || 12345;
+  return function() {
+    state |= 0;
+    state = state + 0x6D2B79F5 | 0;
+    let t = Math.imul(state ^ state >>> 15, 1 | state);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hash any number of values into a 32-bit seed (FNV-1a)
+ * @param {...*} parts - Values to combine (numbers, strings)
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function hashSeed(...parts) {
+  const str = parts.join(':');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+class RandomSystemManager {
+  constructor() {
+    this.seed = this.generateSeed();
+    this.next = createSeededRandom(this.seed);
+  }
+
+  /**
+   * Generate a fresh seed (the only non-deterministic entry point)
+   */
+  generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  /**
+   * Reset the stream to a seed
+   * @returns {number} The seed in use
+   */
+  setSeed(seed) {
+    this.seed = (Number(seed) || 0) >>> 0;
+    this.next = createSeededRandom(this.seed);
+    console.log('[Random] Seed set:', this.seed);
+    return this.seed;
+  }
+
+  /**
+   * Get the seed the current stream started from
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Float in [0, 1)
+   */
+  random() {
+    return this.next();
+  }
+
+  /**
+   * Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [min, max)
+   */
+  int(min, max) {
+    return Math.floor(this.range(min, max));
+  }
+
+  /**
+   * Random element of an array (undefined if empty)
+   */
+  pick(array) {
+    if (!array || array.length === 0) return undefined;
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * True with probability p
+   */
+  chance(p) {
+    return this.next() < p;
+  }
+
+  /**
+   * -1 or 1
+   */
+  sign() {
+    return this.next() < 0.5 ? -1 : 1;
+  }
+
+  /**
+   * Shuffled copy of an array (Fisher-Yates)
+   */
+  shuffle(array) {
+    const arr = [...array];
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  }
+}
+
+// Export singleton instance
+export const rng = new RandomSystemManager();
@@ -0,0 +1,310 @@
+/**
+ * ReplayRecorder - Captures a race at a fixed frame rate for later playback
+ *
+ * PURPOSE:
+ * Records everything needed to re-render a race without physics: ball
+ * positions and HP, moving obstacle transforms, boss HP, plus discrete
+ * events (weapon fires, item pickups, finishes). Played back by ReplayScene.
+ *
+ * FILE FORMAT (compact JSON, version 1):
+ *   {
+ *     version, seed, mapName, width, height, recordedAt, duration,
+ *     startZone, finishZone, finishY, checkpoints, hazards,
+ *     obstacles: [{ type, x, y, width, height, radius, angle, color, behavior, dynamic }],
+ *     balls: [{ name, color, radius, maxHp }],
+ *     boss: { width, height, color, shape, maxHealth } | null,
+ *     frames: [[t, ...ball(x, y, hp, state) x N, ...obstacle(x, y, angle, visible) x D, bossX, bossY, bossHp]],
+ *     events: [{ t, type, ball, ... }]
+ *   }
+ *
+ * Times are race milliseconds at 1x speed (turbo mode is compensated), so a
+ * replay always plays back at real race pace. Frames are sampled every
+ * FRAME_INTERVAL_MS of race time, whatever the render rate, and ReplayScene
+ * interpolates between them - a long race still fits in localStorage.
+ *
+ * BALL STATE: 0 = racing, 1 = finished, 2 = eliminated
+ *
+ * USAGE:
+ *   recorder.start(seed);                         // On race start
+ *   recorder.update(delta);                       // Every frame while racing (samples at 30 Hz)
+ *   recorder.recordEvent('fire', { ball, weapon });
+ *   recorder.stop();                              // On race end (saves last replay)
+ *   recorder.download();                          // Save .json file
+ *
+ * @module ReplayRecorder
+ */
+
+const LAST_REPLAY_KEY = 'gmi-last-replay';
+export const REPLAY_VERSION = 1;
+
+// Fixed-point scale for positions (1 decimal place keeps files small)
+const POS_SCALE = 10;
+// Fixed-point scale for angles (3 decimal places)
+const ANGLE_SCALE = 1000;
+// Race time between recorded frames (30 Hz)
+const FRAME_INTERVAL_MS = 1000 / 30;
+
+export class ReplayRecorder {
+  constructor(scene) {
+    this.scene = scene;
+    this.isRecording = false;
+    this.replay = null;
+    this.elapsed = 0;
+    this.lastFrameTime = 0;
+    this.dynamicObstacles = [];
+  }
+
+  /**
+   * Begin recording a new race
+   * @param {number} seed - RNG seed the race runs with
+   */
+  start(seed) {
+    const scene = this.scene;
+
+    // Obstacles with their own graphics can move, rotate or break - record them per frame
+    this.dynamicObstacles = scene.obstacles.filter(o => o.graphics);
+
+    const boss = scene.bossSystem?.boss;
+
+    this.replay = {
+      version: REPLAY_VERSION,
+      seed: seed ?? null,
+      mapName: scene.editorMapData?.name || 'Procedural',
+      width: scene.gameWidth,
+      height: scene.gameHeight,
+      recordedAt: Date.now(),
+      duration: 0,
+      startZone: scene.spawnZone || null,
+      finishZone: scene.finishZone || null,
+      finishY: scene.finishY,
+      checkpoints: scene.checkpoints || [],
+      hazards: scene.hazards || [],
+      obstacles: scene.obstacles.map(o => this.serializeObstacle(o)),
+      balls: scene.balls.map(ball => ({
+        name: ball.name,
+        color: ball.color,
+        radius: ball.radius,
+        maxHp: ball.maxHp
+      })),
+      boss: boss ? this.serializeBoss(boss) : null,
+      frames: [],
+      events: []
+    };
+
+    this.elapsed = 0;
+    this.isRecording = true;
+    this.captureFrame();
+    console.log('[Replay] Recording started:', this.replay.mapName);
+  }
+
+  /**
+   * Static description of an obstacle (shape, colour, initial transform)
+   */
+  serializeObstacle(obstacle) {
+    const data = obstacle.data || {};
+    const serialized = {
+      type: data.type === 'circle' || data.type === 'polygon' ? data.type : 'rect',
+      x: Math.round(obstacle.body.position.x * POS_SCALE) / POS_SCALE,
+      y: Math.round(obstacle.body.position.y * POS_SCALE) / POS_SCALE,
+      width: data.width || 50,
+      height: data.height || 20,
+      radius: data.radius || 0,
+      angle: obstacle.body.angle || 0,
+      color: data.color || null,
+      behavior: obstacle.behavior,
+      health: obstacle.health,
+      maxHealth: obstacle.maxHealth,
+      moveDirection: obstacle.moveDirection,
+      flipperSide: obstacle.flipperSide,
+      dynamic: !!obstacle.graphics
+    };
+    if (data.type === 'polygon') {
+      // Outline relative to the bounding box, x/y above is its centre
+      serialized.points = data.points;
+      serialized.closed = data.closed !== false;
+      serialized.thickness = data.thickness;
+    }
+    return serialized;
+  }
+
+  /**
+   * Static description of the boss
+   */
+  serializeBoss(boss) {
+    return {
+      width: boss.width,
+      height: boss.height,
+      color: boss.color,
+      shape: boss.shape,
+      maxHealth: boss.maxHealth
+    };
+  }
+
+  /**
+   * Advance the replay clock and capture a frame when one is due
+   * @param {number} delta - Frame delta in ms (real time)
+   */
+  update(delta) {
+    if (!this.isRecording) return;
+
+    this.elapsed += delta * (this.scene.timeScale || 1);
+
+    // Boss spawns shortly after map load - pick it up on the first frame it exists
+    const boss = this.scene.bossSystem?.boss;
+    if (boss && !this.replay.boss) {
+      this.replay.boss = this.serializeBoss(boss);
+    }
+
+    if (this.elapsed - this.lastFrameTime >= FRAME_INTERVAL_MS) {
+      this.captureFrame();
+    }
+  }
+
+  /**
+   * Capture the current state as one flat frame row
+   */
+  captureFrame() {
+    this.lastFrameTime = this.elapsed;
+    const frame = [Math.round(this.elapsed)];
+
+    this.scene.balls.forEach(ball => {
+      const pos = ball.body?.position || { x: 0, y: 0 };
+      const state = ball.eliminated ? 2 : (ball.finished ? 1 : 0);
+      frame.push(
+        Math.round(pos.x * POS_SCALE),
+        Math.round(pos.y * POS_SCALE),
+        Math.round(ball.hp ?? 0),
+        state
+      );
+    });
+
+    this.dynamicObstacles.forEach(obstacle => {
+      const g = obstacle.graphics;
+      frame.push(
+        Math.round((g?.x ?? obstacle.body.position.x) * POS_SCALE),
+        Math.round((g?.y ?? obstacle.body.position.y) * POS_SCALE),
+        Math.round((g?.rotation ?? obstacle.body.angle) * ANGLE_SCALE),
+        obstacle.destroyed || (g && !g.visible) ? 0 : 1
+      );
+    });
+
+    const boss = this.scene.bossSystem?.boss;
+    if (boss && boss.isAlive) {
+      frame.push(Math.round(boss.x * POS_SCALE), Math.round(boss.y * POS_SCALE), Math.round(boss.health));
+    } else {
+      frame.push(0, 0, boss ? 0 : -1);
+    }
+
+    this.replay.frames.push(frame);
+  }
+
+  /**
+   * Record a discrete event at the current replay time
+   * @param {string} type - 'fire', 'pickup', 'finish', 'eliminate', 'bossPhase', 'bossKill', 'bossDeath', 'trigger', 'banner'
+   * @param {Object} data - Event payload (usually includes ball name)
+   */
+  recordEvent(type, data = {}) {
+    if (!this.isRecording) return;
+    this.replay.events.push({ t: Math.round(this.elapsed), type, ...data });
+  }
+
+  /**
+   * Stop recording and keep the replay as "last race"
+   * @returns {Object|null} The finished replay
+   */
+  stop() {
+    if (!this.isRecording) return this.replay;
+
+    this.captureFrame();
+    this.isRecording = false;
+    this.replay.duration = Math.round(this.elapsed);
+
+    try {
+      localStorage.setItem(LAST_REPLAY_KEY, JSON.stringify(this.replay));
+    } catch (e) {
+      console.warn('[Replay] Could not store last replay:', e.message);
+    }
+
+    console.log(`[Replay] Recording stopped: ${this.replay.frames.length} frames, ${this.replay.events.length} events`);
+    return this.replay;
+  }
+
+  /**
+   * Get the current or last replay
+   */
+  getReplay() {
+    return this.replay;
+  }
+
+  /**
+   * Download the replay as a JSON file
+   */
+  download() {
+    if (!this.replay) {
+      console.warn('[Replay] Nothing recorded yet');
+      return;
+    }
+
+    const json = JSON.stringify(this.replay);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `gmi-replay-${this.replay.recordedAt}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Load the most recent replay saved by any recorder
+ * @returns {Object|null}
+ */
+export function loadLastReplay() {
+  try {
+    const json = localStorage.getItem(LAST_REPLAY_KEY);
+    return json ? JSON.parse(json) : null;
+  } catch (e) {
+    console.warn('[Replay] Could not read last replay:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Decode a frame row into ball/obstacle/boss state
+ * @param {Object} replay - Replay file
+ * @param {Array} frame - Frame row
+ */
+export function decodeFrame(replay, frame) {
+  let i = 1;
+  const balls = replay.balls.map(() => {
+    const state = {
+      x: frame[i] / POS_SCALE,
+      y: frame[i + 1] / POS_SCALE,
+      hp: frame[i + 2],
+      state: frame[i + 3]
+    };
+    i += 4;
+    return state;
+  });
+
+  const obstacles = [];
+  replay.obstacles.forEach(obs => {
+    if (!obs.dynamic) return;
+    obstacles.push({
+      x: frame[i] / POS_SCALE,
+      y: frame[i + 1] / POS_SCALE,
+      angle: frame[i + 2] / ANGLE_SCALE,
+      visible: frame[i + 3] === 1
+    });
+    i += 4;
+  });
+
+  const boss = {
+    x: frame[i] / POS_SCALE,
+    y: frame[i + 1] / POS_SCALE,
+    hp: frame[i + 2] // -1 = no boss, 0 = dead
+  };
+
+  return { t: frame[0], balls, obstacles, boss };
+}
@@ -2,8 +2,9 @@
  * RouletteSystem.js - CS:GO style loot box for ALL balls after each level
  *
  * Features:
- * - ALL 5 balls get roulette simultaneously
- * - Tiered odds based on placement (1st = better odds)
+ * - ALL balls get roulette simultaneously (instant rewards when the strips
+ *   don't fit on screen)
+ * - Tiered odds based on placement (1st = better odds), scaled to the roster size
  * - S-Tier, A-Tier, B-Tier, C-Tier rewards
  * - Synchronized spin and reveal
  */
@@ -11,6 +12,8 @@
 import { WEAPON_TYPES, WEAPON_TIERS, getRandomWeapon } from './WeaponDefinitions.js';
 import { ITEM_TYPES, ITEM_RARITY } from './ItemDefinitions.js';
 import { statisticsSystem } from './StatisticsSystem.js';
+import { rng } from './RandomSystem.js';
+import { getPlacementOdds } from '../../shared/Roster.js';
 
 // Reward tiers with weapon/buff assignments
 const REWARD_TIERS = {
@@ -52,7 +55,8 @@ const REWARD_TIERS = {
   }
 };
 
-// Odds by placement (percentages for each tier)
+// Odds by placement (percentages for each tier), written for five balls -
+// other roster sizes map onto it via Roster.getPlacementOdds
 const PLACEMENT_ODDS = {
   1: { S: 30, A: 40, B: 20, C: 10 },
   2: { S: 20, A: 35, B: 30, C: 15 },
@@ -97,6 +101,13 @@ export class RouletteSystem {
     console.log('[Roulette] Standings:', JSON.stringify(standings.map(s => ({ name: s.name, color: s.color }))));
     console.log('[Roulette] Scene dimensions:', this.scene.gameWidth, 'x', this.scene.gameHeight);
 
+    // One strip per ball: once rows get under half a strip tall, hand out the rewards instantly
+    if ((this.scene.gameHeight - 120) / standings.length < this.slotHeight / 2) {
+      console.log(`[Roulette] ${standings.length} strips don't fit - instant rewards`);
+      this.showAllInstant(standings, onComplete);
+      return;
+    }
+
     this.onComplete = onComplete;
     this.isSpinning = true;
     this.ballResults = [];
@@ -139,7 +150,7 @@ export class RouletteSystem {
     // Determine rewards for each ball without animation
     standings.forEach((ball, index) => {
       const position = index + 1;
-      const reward = this.determineRewardForPosition(position);
+      const reward = this.determineRewardForPosition(position, standings.length);
 
       this.ballResults.push({
         ball,
@@ -161,12 +172,14 @@ export class RouletteSystem {
 
   /**
    * Determine a reward based on position odds (used by instant mode)
+   * @param {number} position - 1-based finishing position
+   * @param {number} totalBalls - Balls in the standings
    */
-  determineRewardForPosition(position) {
-    const odds = PLACEMENT_ODDS[position] || PLACEMENT_ODDS[5];
+  determineRewardForPosition(position, totalBalls) {
+    const odds = getPlacementOdds(PLACEMENT_ODDS, position, totalBalls);
 
     // Roll for tier
-    const roll = Math.random() * 100;
+    const roll = rng.random() * 100;
     let tier;
     let cumulative = 0;
 
@@ -182,7 +195,7 @@ export class RouletteSystem {
     // Get items for this tier
     const tierData = REWARD_TIERS[tier] || REWARD_TIERS.C;
     const tierItems = tierData.items;
-    const reward = tierItems[Math.floor(Math.random() * tierItems.length)];
+    const reward = rng.pick(tierItems);
 
     // Add tier info to reward
     return {
@@ -282,7 +295,7 @@ export class RouletteSystem {
     slotsContainer.setMask(mask.createGeometryMask());
 
     // Generate reward pool based on position odds
-    const rewards = this.generateRewardPoolForPosition(position);
+    const rewards = this.generateRewardPoolForPosition(position, totalBalls);
     const slots = [];
 
     for (let i = 0; i < this.slotCount; i++) {
@@ -343,9 +356,9 @@ export class RouletteSystem {
   /**
    * Generate reward pool weighted by position
    */
-  generateRewardPoolForPosition(position) {
+  generateRewardPoolForPosition(position, totalBalls) {
     const rewards = [];
-    const odds = PLACEMENT_ODDS[position] || PLACEMENT_ODDS[5];
+    const odds = getPlacementOdds(PLACEMENT_ODDS, position, totalBalls);
 
     // Fill pool based on percentage odds
     const poolSize = 100;
@@ -355,7 +368,7 @@ export class RouletteSystem {
       const tierData = REWARD_TIERS[tier];
 
       for (let i = 0; i < count; i++) {
-        const item = tierData.items[Math.floor(Math.random() * tierData.items.length)];
+        const item = rng.pick(tierData.items);
         rewards.push({
           ...item,
           tier,
@@ -366,12 +379,7 @@ export class RouletteSystem {
     }
 
     // Shuffle
-    for (let i = rewards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [rewards[i], rewards[j]] = [rewards[j], rewards[i]];
-    }
-
-    return rewards;
+    return rng.shuffle(rewards);
   }
 
   /**
@@ -431,7 +439,7 @@ export class RouletteSystem {
    */
   spinRoulette(roulette) {
     // Pick winning slot based on position odds (already weighted in pool)
-    const winIndex = Math.floor(this.slotCount * 0.5 + Math.random() * this.slotCount * 0.3);
+    const winIndex = Math.floor(this.slotCount * 0.5 + rng.random() * this.slotCount * 0.3);
     const selectedReward = roulette.rewards[winIndex % roulette.rewards.length];
 
     // Store result
@@ -18,14 +18,22 @@
  * - <circle> - Circles
  * - <ellipse> - Ellipses (converted to circles)
  * - <line> - Lines (converted to thin rectangles)
- * - <polygon> - Polygons (uses bounding box)
- * - <path> - Basic paths (uses bounding box)
+ * - <polygon> - Polygons (exact outline, split into convex physics parts)
+ * - <polyline> - Open polylines (stroke-width thick)
+ * - <path> - Paths with all commands; curves and arcs are flattened to
+ *   segments. Closed or filled subpaths become polygons, open stroked ones
+ *   become polylines
  *
  * COLOR SUPPORT:
  * - Fill colors are extracted and can be used for visual styling
  * - Use different colors in Illustrator to categorize obstacles
  */
 
+import { flattenPath } from './SVGPath.js';
+import { createPolygonObstacle } from '../../shared/PolygonGeometry.js';
+
+const DEFAULT_STROKE_WIDTH = 4; // px, open polylines without stroke-width
+
 export class SVGMapLoader {
   constructor(scene) {
     this.scene = scene;
@@ -192,18 +200,17 @@ export class SVGMapLoader {
       if (shape) obstacles.push(shape);
     });
 
-    // Parse polygons
-    const polygons = container.querySelectorAll('polygon');
+    // Parse polygons and polylines
+    const polygons = container.querySelectorAll('polygon, polyline');
     polygons.forEach(polygon => {
       const shape = this.parsePolygon(polygon);
       if (shape) obstacles.push(shape);
     });
 
-    // Parse paths (basic bounding box)
+    // Parse paths (one obstacle per subpath)
     const paths = container.querySelectorAll('path');
     paths.forEach(path => {
-      const shape = this.parsePath(path);
-      if (shape) obstacles.push(shape);
+      obstacles.push(...this.parsePath(path));
     });
   }
 
@@ -299,44 +306,110 @@ export class SVGMapLoader {
   }
 
   parsePolygon(polygon) {
-    const points = polygon.getAttribute('points');
-    if (!points) return null;
+    const coords = (polygon.getAttribute('points') || '').trim().split(/[\s,]+/).map(parseFloat);
+    const points = [];
+    for (let i = 0; i + 1 < coords.length; i += 2) {
+      points.push({ x: coords[i], y: coords[i + 1] });
+    }
 
-    const bbox = this.getPolygonBBox(points);
-    if (!bbox) return null;
+    const closed = polygon.tagName.toLowerCase() === 'polygon' || this.hasFill(polygon);
+    return this.createPolygonShape(polygon, points, closed);
+  }
 
-    const color = this.parseColor(polygon);
+  /**
+   * Flatten a path's curves; every subpath becomes its own obstacle
+   * @returns {Array} Polygon obstacles (empty if the path has no shape)
+   */
+  parsePath(path) {
+    const d = path.getAttribute('d');
+    if (!d) return [];
 
-    return {
-      type: 'rect',
-      x: bbox.x,
-      y: bbox.y,
-      width: bbox.width,
-      height: bbox.height,
+    // A filled subpath is closed implicitly, even without Z
+    const filled = this.hasFill(path);
+    return flattenPath(d)
+      .map(subpath => this.createPolygonShape(path, subpath.points, subpath.closed || filled))
+      .filter(Boolean);
+  }
+
+  /**
+   * Polygon obstacle from element-space points (applies the element's transform)
+   */
+  createPolygonShape(element, points, closed) {
+    const matrix = this.parseTransformMatrix(element.getAttribute('transform'));
+    const transformed = points.map(p => applyMatrix(matrix, p));
+    const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2])) || 1;
+
+    return createPolygonObstacle(transformed, {
+      closed,
+      ...(closed ? {} : { thickness: this.parseStrokeWidth(element) * scale }),
       angle: 0,
-      color
-    };
+      color: this.parseColor(element)
+    });
   }
 
-  parsePath(path) {
-    const d = path.getAttribute('d');
-    if (!d) return null;
+  /**
+   * Full affine transform [a, b, c, d, e, f] (translate, rotate, scale,
+   * skewX/Y and matrix, applied in attribute order)
+   */
+  parseTransformMatrix(transform) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    if (!transform) return matrix;
+
+    const pattern = /(matrix|translate|rotate|scale|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(transform))) {
+      const v = match[2].trim().split(/[\s,]+/).map(parseFloat);
+      let next;
+      switch (match[1]) {
+        case 'matrix':
+          next = v.length >= 6 ? v.slice(0, 6) : [1, 0, 0, 1, 0, 0];
+          break;
+        case 'translate':
+          next = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+          break;
+        case 'scale':
+          next = [v[0] ?? 1, 0, 0, v[1] ?? v[0] ?? 1, 0, 0];
+          break;
+        case 'rotate': {
+          const a = (v[0] || 0) * Math.PI / 180;
+          const cx = v[1] || 0;
+          const cy = v[2] || 0;
+          const cos = Math.cos(a);
+          const sin = Math.sin(a);
+          next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+          break;
+        }
+        case 'skewX':
+          next = [1, 0, Math.tan((v[0] || 0) * Math.PI / 180), 1, 0, 0];
+          break;
+        case 'skewY':
+          next = [1, Math.tan((v[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+          break;
+      }
+      matrix = multiplyMatrix(matrix, next);
+    }
+    return matrix;
+  }
 
-    // Try to get bounding box from path data
-    const bbox = this.getPathBBox(d);
-    if (!bbox) return null;
+  hasFill(element) {
+    const style = element.getAttribute('style') || '';
+    const styleFill = style.match(/fill:\s*([^;]+)/);
+    const fill = styleFill ? styleFill[1].trim() : element.getAttribute('fill');
+    // An unset fill is black per spec, but stroked shapes without one are line art
+    return fill !== 'none' && !(fill === null && this.hasStroke(element));
+  }
 
-    const color = this.parseColor(path);
+  hasStroke(element) {
+    const style = element.getAttribute('style') || '';
+    const styleStroke = style.match(/stroke:\s*([^;]+)/);
+    const stroke = styleStroke ? styleStroke[1].trim() : element.getAttribute('stroke');
+    return !!stroke && stroke !== 'none';
+  }
 
-    return {
-      type: 'rect',
-      x: bbox.x,
-      y: bbox.y,
-      width: bbox.width,
-      height: bbox.height,
-      angle: 0,
-      color
-    };
+  parseStrokeWidth(element) {
+    const style = element.getAttribute('style') || '';
+    const styleWidth = style.match(/stroke-width:\s*([\d.]+)/);
+    return parseFloat(styleWidth ? styleWidth[1] : element.getAttribute('stroke-width')) || DEFAULT_STROKE_WIDTH;
   }
 
   parseTransform(transform) {
@@ -415,48 +488,22 @@ export class SVGMapLoader {
 
     return color;
   }
+}
 
-  getPolygonBBox(pointsStr) {
-    const coords = pointsStr.trim().split(/[\s,]+/).map(parseFloat);
-    if (coords.length < 4) return null;
-
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    for (let i = 0; i < coords.length; i += 2) {
-      const x = coords[i];
-      const y = coords[i + 1];
-      if (!isNaN(x) && !isNaN(y)) {
-        minX = Math.min(minX, x);
-        minY = Math.min(minY, y);
-        maxX = Math.max(maxX, x);
-        maxY = Math.max(maxY, y);
-      }
-    }
-
-    if (minX === Infinity) return null;
-    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
-  }
-
-  getPathBBox(d) {
-    // Extract all numbers from path data
-    const numbers = d.match(/-?[\d.]+/g);
-    if (!numbers || numbers.length < 2) return null;
-
-    const coords = numbers.map(parseFloat);
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-
-    // Simple approach: treat pairs as coordinates
-    for (let i = 0; i < coords.length - 1; i += 2) {
-      const x = coords[i];
-      const y = coords[i + 1];
-      if (!isNaN(x) && !isNaN(y)) {
-        minX = Math.min(minX, x);
-        minY = Math.min(minY, y);
-        maxX = Math.max(maxX, x);
-        maxY = Math.max(maxY, y);
-      }
-    }
+/**
+ * Compose two affine matrices (m applied after n)
+ */
+function multiplyMatrix(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
 
-    if (minX === Infinity || maxX - minX < 1 || maxY - minY < 1) return null;
-    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
-  }
+function applyMatrix(m, p) {
+  return { x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] };
 }
@@ -0,0 +1,290 @@
+/**
+ * SVGPath - Flattens SVG path data into point lists
+ *
+ * Supports every path command (M L H V C S Q T A Z, absolute and
+ * relative). Curves and arcs are split into straight segments of roughly
+ * CURVE_STEP px, so the outline stays faithful without producing hundreds
+ * of physics parts per curve.
+ *
+ * USAGE:
+ *   const subpaths = flattenPath('M10 10 C 20 0, 40 0, 50 10 Z');
+ *   // [{ points: [{ x, y }, ...], closed: true }]
+ *
+ * @module SVGPath
+ */
+
+const CURVE_STEP = 8;      // px per flattened segment
+const MIN_SEGMENTS = 2;
+const MAX_SEGMENTS = 32;
+
+// Parameters per command
+const PARAM_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+/**
+ * Flatten path data into subpaths
+ * @param {string} d - The path's `d` attribute
+ * @param {number} [step] - Target segment length for curves in px
+ * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>}
+ */
+export function flattenPath(d, step = CURVE_STEP) {
+  const subpaths = [];
+  let current = null;
+  let x = 0, y = 0;           // current point
+  let startX = 0, startY = 0; // subpath start
+  let lastControl = null;     // reflected by S / T
+  let lastCommand = '';
+
+  const moveTo = (nx, ny) => {
+    if (current && current.points.length > 1) subpaths.push(current);
+    current = { points: [{ x: nx, y: ny }], closed: false };
+    x = startX = nx;
+    y = startY = ny;
+  };
+  const lineTo = (nx, ny) => {
+    if (!current) moveTo(x, y);
+    current.points.push({ x: nx, y: ny });
+    x = nx;
+    y = ny;
+  };
+
+  for (const { command, params } of tokenize(d)) {
+    const upper = command.toUpperCase();
+    const relative = command !== upper && upper !== 'Z';
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+
+    switch (upper) {
+      case 'M':
+        moveTo(ox + params[0], oy + params[1]);
+        break;
+      case 'L':
+        lineTo(ox + params[0], oy + params[1]);
+        break;
+      case 'H':
+        lineTo(ox + params[0], y);
+        break;
+      case 'V':
+        lineTo(x, oy + params[0]);
+        break;
+      case 'C':
+      case 'S': {
+        let c1;
+        if (upper === 'C') {
+          c1 = { x: ox + params[0], y: oy + params[1] };
+        } else {
+          // Reflect the previous cubic control point
+          c1 = 'CS'.includes(lastCommand) && lastControl
+            ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y }
+            : { x, y };
+        }
+        const rest = upper === 'C' ? params.slice(2) : params;
+        const c2 = { x: ox + rest[0], y: oy + rest[1] };
+        const end = { x: ox + rest[2], y: oy + rest[3] };
+        cubicPoints({ x, y }, c1, c2, end, step).forEach(p => lineTo(p.x, p.y));
+        lastControl = c2;
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        let c;
+        if (upper === 'Q') {
+          c = { x: ox + params[0], y: oy + params[1] };
+        } else {
+          c = 'QT'.includes(lastCommand) && lastControl
+            ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y }
+            : { x, y };
+        }
+        const rest = upper === 'Q' ? params.slice(2) : params;
+        const end = { x: ox + rest[0], y: oy + rest[1] };
+        quadraticPoints({ x, y }, c, end, step).forEach(p => lineTo(p.x, p.y));
+        lastControl = c;
+        break;
+      }
+      case 'A': {
+        const end = { x: ox + params[5], y: oy + params[6] };
+        arcPoints({ x, y }, params[0], params[1], params[2], params[3], params[4], end, step)
+          .forEach(p => lineTo(p.x, p.y));
+        break;
+      }
+      case 'Z':
+        if (current) {
+          current.closed = true;
+          subpaths.push(current);
+          current = null;
+        }
+        x = startX;
+        y = startY;
+        break;
+    }
+
+    // Only curves keep a control point to reflect
+    if (!'CSQT'.includes(upper)) lastControl = null;
+    lastCommand = upper;
+  }
+
+  if (current && current.points.length > 1) subpaths.push(current);
+  return subpaths;
+}
+
+/**
+ * Split path data into commands with their numeric parameters
+ * Implicit repeats ("L 1 2 3 4") become separate commands, and a moveto
+ * followed by extra pairs continues as lineto, as the SVG spec says
+ */
+function tokenize(d) {
+  const commands = [];
+  const reader = createReader(d || '');
+  let command = null;
+
+  while (reader.skipSeparators(), !reader.done()) {
+    const next = reader.peek();
+    if (/[a-zA-Z]/.test(next)) {
+      command = next;
+      reader.advance();
+      if (command.toUpperCase() === 'Z') {
+        commands.push({ command, params: [] });
+        continue;
+      }
+    } else if (!command || command.toUpperCase() === 'Z') {
+      break; // numbers without a command: malformed, stop here
+    }
+
+    const upper = command.toUpperCase();
+    const params = [];
+    for (let i = 0; i < PARAM_COUNTS[upper]; i++) {
+      // Arc flags may be written without separators ("a5 5 0 01 10 0")
+      const value = upper === 'A' && (i === 3 || i === 4) ? reader.readFlag() : reader.readNumber();
+      if (value === null) return commands;
+      params.push(value);
+    }
+    commands.push({ command, params });
+
+    if (upper === 'M') command = command === 'M' ? 'L' : 'l';
+  }
+  return commands;
+}
+
+function createReader(text) {
+  const numberPattern = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+  let pos = 0;
+  return {
+    done: () => pos >= text.length,
+    peek: () => text[pos],
+    advance: () => { pos++; },
+    skipSeparators() {
+      while (pos < text.length && /[\s,]/.test(text[pos])) pos++;
+    },
+    readNumber() {
+      this.skipSeparators();
+      numberPattern.lastIndex = pos;
+      const match = numberPattern.exec(text);
+      if (!match) return null;
+      pos += match[0].length;
+      return parseFloat(match[0]);
+    },
+    readFlag() {
+      this.skipSeparators();
+      const ch = text[pos];
+      if (ch !== '0' && ch !== '1') return null;
+      pos++;
+      return ch === '1' ? 1 : 0;
+    }
+  };
+}
+
+function segmentCount(length, step) {
+  return Math.max(MIN_SEGMENTS, Math.min(MAX_SEGMENTS, Math.ceil(length / step)));
+}
+
+/**
+ * Points along a cubic Bezier (excluding the start point)
+ */
+function cubicPoints(p0, p1, p2, p3, step) {
+  const length = dist(p0, p1) + dist(p1, p2) + dist(p2, p3);
+  const n = segmentCount(length, step);
+  const points = [];
+  for (let i = 1; i <= n; i++) {
+    const t = i / n;
+    const mt = 1 - t;
+    points.push({
+      x: mt * mt * mt * p0.x + 3 * mt * mt * t * p1.x + 3 * mt * t * t * p2.x + t * t * t * p3.x,
+      y: mt * mt * mt * p0.y + 3 * mt * mt * t * p1.y + 3 * mt * t * t * p2.y + t * t * t * p3.y
+    });
+  }
+  return points;
+}
+
+/**
+ * Points along a quadratic Bezier (excluding the start point)
+ */
+function quadraticPoints(p0, p1, p2, step) {
+  const n = segmentCount(dist(p0, p1) + dist(p1, p2), step);
+  const points = [];
+  for (let i = 1; i <= n; i++) {
+    const t = i / n;
+    const mt = 1 - t;
+    points.push({
+      x: mt * mt * p0.x + 2 * mt * t * p1.x + t * t * p2.x,
+      y: mt * mt * p0.y + 2 * mt * t * p1.y + t * t * p2.y
+    });
+  }
+  return points;
+}
+
+/**
+ * Points along an elliptical arc (excluding the start point)
+ * Endpoint to centre parameterisation from the SVG spec, appendix B.2.4
+ */
+function arcPoints(p0, rx, ry, rotationDeg, largeArc, sweep, p1, step) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx < 1e-9 || ry < 1e-9 || (p0.x === p1.x && p0.y === p1.y)) return [p1];
+
+  const phi = rotationDeg * Math.PI / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  const dx = (p0.x - p1.x) / 2;
+  const dy = (p0.y - p1.y) / 2;
+  const x1 = cosPhi * dx + sinPhi * dy;
+  const y1 = -sinPhi * dx + cosPhi * dy;
+
+  // Scale radii up if they can't reach the end point
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  const sign = largeArc === sweep ? -1 : 1;
+  const coef = sign * Math.sqrt(Math.max(0, num / den));
+  const cx1 = coef * (rx * y1 / ry);
+  const cy1 = coef * -(ry * x1 / rx);
+  const cx = cosPhi * cx1 - sinPhi * cy1 + (p0.x + p1.x) / 2;
+  const cy = sinPhi * cx1 + cosPhi * cy1 + (p0.y + p1.y) / 2;
+
+  const theta1 = vectorAngle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+  let delta = vectorAngle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+  if (!sweep && delta > 0) delta -= Math.PI * 2;
+  if (sweep && delta < 0) delta += Math.PI * 2;
+
+  const n = segmentCount(Math.abs(delta) * Math.max(rx, ry), step);
+  const points = [];
+  for (let i = 1; i <= n; i++) {
+    const angle = theta1 + delta * i / n;
+    const ex = rx * Math.cos(angle);
+    const ey = ry * Math.sin(angle);
+    points.push({ x: cosPhi * ex - sinPhi * ey + cx, y: sinPhi * ex + cosPhi * ey + cy });
+  }
+  points[points.length - 1] = { x: p1.x, y: p1.y };
+  return points;
+}
+
+function vectorAngle(ux, uy, vx, vy) {
+  return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+}
+
+function dist(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
@@ -0,0 +1,250 @@
+/**
+ * SimulationCalibration - Finish-position model fitted from real simulations
+ *
+ * PURPOSE:
+ * Lets SimulationSystem project thousands of chains in milliseconds while
+ * still reflecting actual game behavior. The model is fitted from physics
+ * runs (multi-sim export or headless-sim stats) and sampled per race.
+ *
+ * MODEL:
+ * - Per map: finish-position histogram for every weapon a ball carried
+ *   into the race ('NONE' = unarmed, 'ALL' = every ball)
+ * - Per boss map: observed boss damage samples by finishing position
+ * - Chain layout (map order, boss flags) of the source runs
+ * - Force-finish (timeout) rate per ball per race
+ *
+ * SAMPLING:
+ * Each ball's position odds are the average of its weapons' histograms
+ * (Laplace-smoothed, falling back to the map's 'ALL' histogram when a
+ * weapon was seen fewer than MIN_SAMPLES times). Positions are then filled
+ * 1st to last, drawing among the remaining balls by their odds for that slot.
+ *
+ * USAGE:
+ *   const calibration = SimulationCalibration.fit(multiSimStats);
+ *   saveCalibration(calibration);
+ *   calibration.sampleFinishOrder('Level 1: Easy Start', { Red: ['SWORD'], ... });
+ *
+ * @module SimulationCalibration
+ */
+
+import { rng } from './RandomSystem.js';
+
+const CALIBRATION_KEY = 'gmi-sim-calibration';
+export const CALIBRATION_VERSION = 1;
+
+// Histogram keys for balls without weapons / for every ball
+const NO_WEAPON = 'NONE';
+const ALL_BALLS = 'ALL';
+
+// Weapon histograms with fewer observations fall back to the map baseline
+const MIN_SAMPLES = 5;
+// Boss damage samples kept per map and position
+const MAX_DAMAGE_SAMPLES = 500;
+
+export class SimulationCalibration {
+  constructor(model) {
+    if (!model || model.version !== CALIBRATION_VERSION || !model.maps) {
+      throw new Error('Invalid calibration model');
+    }
+    this.model = model;
+  }
+
+  /**
+   * Fit a model from multi-sim results
+   * @param {Object} data - MultiSimManager.stats, a multi-sim export, or headless-sim output
+   * @returns {SimulationCalibration}
+   */
+  static fit(data) {
+    const simulations = data?.simulations || [];
+    if (simulations.length === 0) {
+      throw new Error('No simulations to calibrate from');
+    }
+
+    const maps = {};
+    let ballCount = 0;
+    let raceCount = 0;
+
+    simulations.forEach(sim => {
+      // Weapons each ball has collected so far in this chain
+      const ballWeapons = {};
+
+      (sim.raceResults || []).forEach(race => {
+        const isBoss = !!race.isBoss;
+        const map = maps[race.mapName] || (maps[race.mapName] = {
+          isBoss,
+          races: 0,
+          positions: {},
+          bossDamage: {}
+        });
+
+        map.races++;
+        raceCount++;
+        ballCount = Math.max(ballCount, race.results.length);
+
+        race.results.forEach(r => {
+          const weapons = [...new Set(ballWeapons[r.name] || [])];
+          const keys = [ALL_BALLS, ...(weapons.length > 0 ? weapons : [NO_WEAPON])];
+
+          keys.forEach(key => {
+            const histogram = map.positions[key] || (map.positions[key] = []);
+            histogram[r.position - 1] = (histogram[r.position - 1] || 0) + 1;
+          });
+
+          if (isBoss && race.bossDamage) {
+            const samples = map.bossDamage[r.position] || (map.bossDamage[r.position] = []);
+            if (samples.length < MAX_DAMAGE_SAMPLES) {
+              samples.push(Math.round(race.bossDamage[r.name] || 0));
+            }
+          }
+        });
+
+        // Roulette awards apply from the next race on
+        (race.rouletteAwards || []).forEach(award => {
+          (ballWeapons[award.ballName] = ballWeapons[award.ballName] || []).push(award.weaponId);
+        });
+      });
+    });
+
+    // Stats keep counters at the top level, exports nest them in a summary
+    const diagnostics = data.diagnostics?.summary || data.diagnostics || {};
+    const forceFinished = diagnostics.forceFinishedBalls || 0;
+
+    const model = {
+      version: CALIBRATION_VERSION,
+      createdAt: Date.now(),
+      seed: data.seed ?? null,
+      sourceChains: simulations.length,
+      sourceRaces: raceCount,
+      ballCount,
+      chain: (simulations[0].raceResults || []).map(race => ({
+        mapName: race.mapName,
+        isBoss: !!race.isBoss
+      })),
+      timeoutRate: raceCount > 0 ? forceFinished / (raceCount * ballCount) : 0,
+      maps
+    };
+
+    console.log(`[Calibration] Fitted ${Object.keys(maps).length} maps from ${simulations.length} chains (${raceCount} races)`);
+    return new SimulationCalibration(model);
+  }
+
+  /**
+   * Map order of the calibrated chain
+   * @returns {Array<{mapName: string, isBoss: boolean}>}
+   */
+  get chain() {
+    return this.model.chain;
+  }
+
+  get timeoutRate() {
+    return this.model.timeoutRate;
+  }
+
+  hasMap(mapName) {
+    return !!this.model.maps[mapName];
+  }
+
+  /**
+   * Smoothed position probabilities for one histogram key (null if too few samples)
+   */
+  getHistogramOdds(map, key) {
+    const histogram = map.positions[key];
+    if (!histogram) return null;
+
+    const slots = this.model.ballCount;
+    let total = 0;
+    for (let i = 0; i < slots; i++) total += histogram[i] || 0;
+    if (key !== ALL_BALLS && total < MIN_SAMPLES) return null;
+
+    return Array.from({ length: slots }, (_, i) => ((histogram[i] || 0) + 1) / (total + slots));
+  }
+
+  /**
+   * Position probabilities for a ball carrying these weapons on a map
+   * @param {string} mapName
+   * @param {string[]} weaponIds - Weapons the ball carries into the race
+   * @returns {number[]} Probability per position (index 0 = 1st)
+   */
+  getPositionOdds(mapName, weaponIds = []) {
+    const map = this.model.maps[mapName];
+    const slots = this.model.ballCount;
+    if (!map) return Array(slots).fill(1 / slots);
+
+    const baseline = this.getHistogramOdds(map, ALL_BALLS);
+    const keys = weaponIds.length > 0 ? [...new Set(weaponIds)] : [NO_WEAPON];
+    const odds = keys.map(key => this.getHistogramOdds(map, key) || baseline);
+
+    return baseline.map((_, i) => odds.reduce((sum, o) => sum + o[i], 0) / odds.length);
+  }
+
+  /**
+   * Sample a finishing order for one race
+   * @param {string} mapName
+   * @param {Object} ballWeapons - ballName -> weaponIds carried into the race
+   * @returns {string[]} Ball names, winner first
+   */
+  sampleFinishOrder(mapName, ballWeapons) {
+    const remaining = Object.keys(ballWeapons).map(name => ({
+      name,
+      odds: this.getPositionOdds(mapName, ballWeapons[name])
+    }));
+    const order = [];
+
+    for (let slot = 0; remaining.length > 0; slot++) {
+      const weights = remaining.map(b => b.odds[Math.min(slot, b.odds.length - 1)]);
+      const total = weights.reduce((a, b) => a + b, 0);
+
+      let roll = rng.random() * total;
+      let index = remaining.length - 1;
+      for (let i = 0; i < weights.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) {
+          index = i;
+          break;
+        }
+      }
+
+      order.push(remaining.splice(index, 1)[0].name);
+    }
+
+    return order;
+  }
+
+  /**
+   * Sample boss damage dealt by the ball finishing in a position
+   * @returns {number} Damage (0 for race maps or unseen positions)
+   */
+  sampleBossDamage(mapName, position) {
+    const samples = this.model.maps[mapName]?.bossDamage?.[position];
+    return samples?.length ? rng.pick(samples) : 0;
+  }
+
+  toJSON() {
+    return this.model;
+  }
+}
+
+/**
+ * Store a calibration for the game and console (shared across pages on the same origin)
+ */
+export function saveCalibration(calibration) {
+  try {
+    localStorage.setItem(CALIBRATION_KEY, JSON.stringify(calibration));
+  } catch (e) {
+    console.warn('[Calibration] Could not store calibration:', e.message);
+  }
+}
+
+/**
+ * Load the stored calibration
+ * @returns {SimulationCalibration|null}
+ */
+export function loadCalibration() {
+  try {
+    const json = localStorage.getItem(CALIBRATION_KEY);
+    return json ? new SimulationCalibration(JSON.parse(json)) : null;
+  } catch (e) {
+    console.warn('[Calibration] Could not read calibration:', e.message);
+    return null;
+  }
+}
@@ -1,12 +1,27 @@
 /**
  * SimulationSystem.js - Auto-run multiple chains for data collection
  *
- * Simulates races with randomized outcomes to gather statistics quickly.
+ * Simulates races without physics to gather statistics quickly.
  * Results are properly recorded to StatisticsSystem.
+ *
+ * MODES:
+ * - 'random' (default): placeholder outcomes from weighted dice rolls
+ * - 'calibrated': samples finish orders, boss damage and timeouts from a
+ *   SimulationCalibration fitted on real multi-sim / headless-sim runs,
+ *   and plays the calibrated chain with sim-runner points and roulette
+ *
+ * USAGE (console):
+ *   simulationSystem.setCalibration(multiSimExportJson);
+ *   simulationSystem.runSimulation(1000, { mode: 'calibrated', seed: 42 });
+ *   simulationSystem.runSimulation(100, { balls: 12 });  // 12-ball roster
  */
 
 import { statisticsSystem } from './StatisticsSystem.js';
 import { WEAPON_TYPES } from './WeaponDefinitions.js';
+import { rng, hashSeed } from './RandomSystem.js';
+import { SimulationCalibration, saveCalibration, loadCalibration } from './SimulationCalibration.js';
+import { rollInstantReward } from '../../shared/SimRules.js';
+import { buildRoster, getPositionPoints, DEFAULT_BALL_NAMES } from '../../shared/Roster.js';
 
 class SimulationSystemManager {
   constructor() {
@@ -17,18 +32,52 @@ class SimulationSystemManager {
     this.currentLevel = 0;
     this.onProgress = null;
     this.onComplete = null;
+    this.mode = 'random';
+    this.calibration = null;
+
+    // Ball names (set per run from options.balls)
+    this.balls = [...DEFAULT_BALL_NAMES];
 
-    // Ball names
-    this.balls = ['Red', 'Blue', 'Green', 'Yellow', 'Purple'];
+    // Available weapons for simulation (evolved weapons never drop)
+    this.weaponIds = Object.keys(WEAPON_TYPES).filter(id => !WEAPON_TYPES[id].evolution);
+  }
+
+  /**
+   * Use a calibration for 'calibrated' mode (and remember it for next time)
+   * @param {SimulationCalibration|Object} source - Calibration, fitted model, or multi-sim stats/export to fit
+   * @returns {SimulationCalibration}
+   */
+  setCalibration(source) {
+    if (source instanceof SimulationCalibration) {
+      this.calibration = source;
+    } else if (source?.simulations) {
+      this.calibration = SimulationCalibration.fit(source);
+    } else {
+      this.calibration = new SimulationCalibration(source);
+    }
 
-    // Available weapons for simulation
-    this.weaponIds = Object.keys(WEAPON_TYPES);
+    saveCalibration(this.calibration);
+    return this.calibration;
+  }
+
+  /**
+   * Get the active calibration (falls back to the stored one)
+   * @returns {SimulationCalibration|null}
+   */
+  getCalibration() {
+    if (!this.calibration) {
+      this.calibration = loadCalibration();
+    }
+    return this.calibration;
   }
 
   /**
    * Run multiple chain simulations
    * @param {number} chainCount - Number of chains to simulate
    * @param {object} options - Simulation options
+   * @param {number} [options.seed] - Base seed; chain i runs with hashSeed(seed, i)
+   * @param {string} [options.mode] - 'random' or 'calibrated'
+   * @param {number} [options.balls=5] - Roster size (default racers, 2-32)
    */
   async runSimulation(chainCount, options = {}) {
     if (this.isRunning) {
@@ -36,22 +85,34 @@ class SimulationSystemManager {
       return;
     }
 
+    const mode = options.mode || 'random';
+    if (mode === 'calibrated' && !this.getCalibration()) {
+      console.warn('[Simulation] No calibration - run multi-sim and use its stats first');
+      return;
+    }
+
     this.isRunning = true;
     this.isPaused = false;
+    this.mode = mode;
+    this.balls = buildRoster([], options.balls ?? DEFAULT_BALL_NAMES.length).map(racer => racer.name);
     this.totalChains = chainCount;
     this.currentChain = 0;
 
-    const levelsPerChain = options.levelsPerChain || 3;
+    // Calibrated chains replay the map layout the calibration was fitted on
+    const levelsPerChain = mode === 'calibrated' ? this.calibration.chain.length : (options.levelsPerChain || 3);
+    const baseSeed = options.seed ?? rng.generateSeed();
 
-    console.log(`[Simulation] Starting ${chainCount} chain simulation (${levelsPerChain} levels each)`);
+    console.log(`[Simulation] Starting ${chainCount} ${mode} chain simulation (${levelsPerChain} levels each)`);
 
     const results = {
+      mode,
+      seed: baseSeed,
       startTime: Date.now(),
       chainsCompleted: 0,
       racesCompleted: 0,
       chainResults: [],
-      ballWins: { Red: 0, Blue: 0, Green: 0, Yellow: 0, Purple: 0 },
-      ballChainWins: { Red: 0, Blue: 0, Green: 0, Yellow: 0, Purple: 0 },
+      ballWins: Object.fromEntries(this.balls.map(name => [name, 0])),
+      ballChainWins: Object.fromEntries(this.balls.map(name => [name, 0])),
       weaponStats: {}
     };
 
@@ -65,7 +126,7 @@ class SimulationSystemManager {
 
       if (!this.isRunning) break;
 
-      const chainResult = await this.simulateChain(levelsPerChain, options);
+      const chainResult = await this.simulateChain(levelsPerChain, { ...options, seed: hashSeed(baseSeed, i) });
 
       if (chainResult) {
         results.chainsCompleted++;
@@ -118,7 +179,9 @@ class SimulationSystemManager {
    * Simulate a single chain
    */
   async simulateChain(levelCount, options = {}) {
+    const chainSeed = options.seed ?? rng.generateSeed();
     const chainResult = {
+      seed: chainSeed,
       levels: [],
       winner: null,
       finalStandings: null
@@ -128,6 +191,10 @@ class SimulationSystemManager {
     const cumulativePoints = {};
     this.balls.forEach(ball => cumulativePoints[ball] = 0);
 
+    // Calibrated mode: weapons won in the roulette carry through the chain
+    const ballWeapons = {};
+    this.balls.forEach(ball => ballWeapons[ball] = []);
+
     for (let levelIdx = 0; levelIdx < levelCount && this.isRunning; levelIdx++) {
       this.currentLevel = levelIdx + 1;
 
@@ -136,8 +203,14 @@ class SimulationSystemManager {
         await this.sleep(50);
       }
 
-      const isBossLevel = levelIdx === levelCount - 1;
-      const levelResult = await this.simulateLevel(levelIdx, isBossLevel, cumulativePoints);
+      const levelSeed = hashSeed(chainSeed, levelIdx);
+      let levelResult;
+      if (this.mode === 'calibrated') {
+        levelResult = this.simulateCalibratedLevel(levelIdx, this.calibration.chain[levelIdx], ballWeapons, levelSeed);
+      } else {
+        const isBossLevel = levelIdx === levelCount - 1;
+        levelResult = await this.simulateLevel(levelIdx, isBossLevel, cumulativePoints, levelSeed);
+      }
       chainResult.levels.push(levelResult);
 
       // Update cumulative points
@@ -161,6 +234,7 @@ class SimulationSystemManager {
 
       // Record chain completion with statistics system
       statisticsSystem.recordChainComplete({
+        seed: chainSeed,
         totalLevels: chainResult.levels.length,
         results: sortedBalls
       });
@@ -177,19 +251,20 @@ class SimulationSystemManager {
   /**
    * Simulate a single level/race
    */
-  async simulateLevel(levelIndex, isBossLevel, currentStandings) {
+  async simulateLevel(levelIndex, isBossLevel, currentStandings, seed) {
     const levelName = isBossLevel ? `Boss Level ${levelIndex + 1}` : `Level ${levelIndex + 1}`;
+    rng.setSeed(seed);
 
     // Start race in statistics
-    statisticsSystem.startRace(levelIndex, levelName, isBossLevel);
+    statisticsSystem.startRace(levelIndex, levelName, isBossLevel, seed);
 
     // Assign random weapons to balls
     const ballWeapons = {};
     this.balls.forEach(ball => {
-      const numWeapons = Math.floor(Math.random() * 3); // 0-2 weapons
+      const numWeapons = rng.int(0, 3); // 0-2 weapons
       const weapons = [];
       for (let i = 0; i < numWeapons; i++) {
-        const weaponId = this.weaponIds[Math.floor(Math.random() * this.weaponIds.length)];
+        const weaponId = rng.pick(this.weaponIds);
         weapons.push({ id: weaponId });
       }
       ballWeapons[ball] = weapons;
@@ -200,13 +275,13 @@ class SimulationSystemManager {
     // Lower position balls get slight boost (comeback mechanic)
     const ballScores = {};
     this.balls.forEach(ball => {
-      let baseScore = Math.random() * 100;
+      let baseScore = rng.random() * 100;
 
       // Underdog boost - lower ranked balls get small bonus
       const currentPoints = currentStandings[ball] || 0;
       const maxPoints = Math.max(...Object.values(currentStandings)) || 1;
       if (currentPoints < maxPoints * 0.5) {
-        baseScore += Math.random() * 10; // Small comeback chance
+        baseScore += rng.random() * 10; // Small comeback chance
       }
 
       // Weapon bonus
@@ -224,26 +299,26 @@ class SimulationSystemManager {
       .map(([name], idx) => name);
 
     // Calculate points and build results
-    const basePoints = [10, 8, 6, 4, 2];
     const multiplier = 1 + (levelIndex * 0.25); // Escalating multiplier
 
     const results = sortedBalls.map((ball, idx) => {
       const position = idx + 1;
-      const points = Math.round(basePoints[idx] * multiplier);
-      const damage = isBossLevel ? Math.floor(Math.random() * 300) : Math.floor(Math.random() * 100);
+      const points = Math.round(getPositionPoints(position, sortedBalls.length) * multiplier);
+      const damage = isBossLevel ? rng.int(0, 300) : rng.int(0, 100);
 
       return {
         name: ball,
         position,
         levelTotal: points,
         damageDealtToBoss: damage,
-        timedOut: Math.random() < 0.05 // 5% chance of timeout
+        timedOut: rng.chance(0.05) // 5% chance of timeout
       };
     });
 
     const levelResult = {
       levelIndex,
       levelName,
+      seed,
       isBossLevel,
       winner: results[0].name,
       results: results.map(r => ({
@@ -255,8 +330,8 @@ class SimulationSystemManager {
     };
 
     // Determine boss killer and first blood
-    const bossKiller = isBossLevel ? results[Math.floor(Math.random() * 2)].name : null;
-    const firstBlood = results[Math.floor(Math.random() * 3)].name;
+    const bossKiller = isBossLevel ? results[rng.int(0, 2)].name : null;
+    const firstBlood = results[rng.int(0, Math.min(3, results.length))].name;
 
     // Record to statistics system
     statisticsSystem.recordRaceResults(results, {
@@ -267,6 +342,62 @@ class SimulationSystemManager {
     return levelResult;
   }
 
+  /**
+   * Simulate a level by sampling the calibration
+   * @param {number} levelIndex - Level index in the chain
+   * @param {Object} level - { mapName, isBoss } from the calibrated chain
+   * @param {Object} ballWeapons - ballName -> weaponIds (updated with roulette awards)
+   * @param {number} seed - Level seed
+   */
+  simulateCalibratedLevel(levelIndex, level, ballWeapons, seed) {
+    const { mapName, isBoss } = level;
+    rng.setSeed(seed);
+
+    statisticsSystem.startRace(levelIndex, mapName, isBoss, seed);
+    this.balls.forEach(ball => {
+      statisticsSystem.recordBallWeapons(ball, ballWeapons[ball].map(id => ({ id })));
+    });
+
+    const order = this.calibration.sampleFinishOrder(mapName, ballWeapons);
+    const timeoutRate = this.calibration.timeoutRate;
+
+    const results = order.map((ball, idx) => ({
+      name: ball,
+      position: idx + 1,
+      levelTotal: getPositionPoints(idx + 1, order.length),
+      damageDealtToBoss: isBoss ? this.calibration.sampleBossDamage(mapName, idx + 1) : 0,
+      timedOut: rng.chance(timeoutRate)
+    }));
+
+    // Boss levels are ranked by damage, so the top damage dealer takes the kill.
+    // Sim runners don't track first blood - it stays a random draw.
+    statisticsSystem.recordRaceResults(results, {
+      bossKiller: isBoss ? results[0].name : null,
+      firstBlood: rng.pick(order)
+    });
+
+    // Instant roulette after race levels (boss levels award nothing, as in sim-runner)
+    if (!isBoss) {
+      results.forEach(r => {
+        ballWeapons[r.name].push(rollInstantReward(r.position, results.length).weaponId);
+      });
+    }
+
+    return {
+      levelIndex,
+      levelName: mapName,
+      seed,
+      isBossLevel: isBoss,
+      winner: results[0].name,
+      results: results.map(r => ({
+        name: r.name,
+        position: r.position,
+        points: r.levelTotal,
+        damage: r.damageDealtToBoss
+      }))
+    };
+  }
+
   /**
    * Generate summary statistics
    */
@@ -329,6 +460,7 @@ class SimulationSystemManager {
     return {
       isRunning: this.isRunning,
       isPaused: this.isPaused,
+      mode: this.mode,
       currentChain: this.currentChain,
       totalChains: this.totalChains,
       currentLevel: this.currentLevel,
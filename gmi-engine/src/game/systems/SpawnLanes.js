@@ -0,0 +1,142 @@
+/**
+ * SpawnLanes - Which spawn lane each ball starts a race in
+ *
+ * PURPOSE:
+ * Ball i used to always start in lane i, so on an asymmetric map the same
+ * colour got the best spot every race. Spawn modes spread (or deliberately
+ * hand out) that advantage. Plans are derived from the race seed with their
+ * own generator, so they never shift the gameplay RNG stream.
+ *
+ * MODES:
+ * - fixed:   ball i in lane i (classic)
+ * - shuffle: seeded shuffle, reproducible from the race seed
+ * - rotate:  lanes shift by one every chain level
+ * - reverse: chain leader gets the worst lane, last place the best
+ * - stagger: time trial - everyone starts from the middle lane, released
+ *            one at a time in seeded order and ranked by their own time
+ *
+ * Lane quality for "reverse" comes from the scene (track progress at each
+ * lane's spawn point), so "worst" means furthest from the finish.
+ *
+ * Lane positions (getSpawnPositions) are shared by RaceScene, both sim
+ * runners and the map analyzer. Lanes narrower than a ball wrap into extra
+ * rows centred on the start line, so big rosters never spawn overlapping.
+ *
+ * USAGE:
+ *   const plan = planSpawn(['Red', 'Blue'], 'shuffle', { seed });
+ *   plan.lanes.Red;   // Lane index
+ *   plan.delays.Red;  // Release delay in ms (stagger only, otherwise 0)
+ *   getSpawnPositions(12, { zone, radius: 15 })[plan.lanes.Red];  // { x, y }
+ *
+ * @module SpawnLanes
+ */
+
+import { createSeededRandom, hashSeed } from './RandomSystem.js';
+
+export const SPAWN_MODES = {
+  fixed: 'Fixed lanes',
+  shuffle: 'Shuffle every race',
+  rotate: 'Rotate each level',
+  reverse: 'Reverse standings',
+  stagger: 'Staggered time trial'
+};
+
+export const DEFAULT_SPAWN_MODE = 'fixed';
+
+// Time-trial gap between releases, squeezed so big rosters still start within MAX_STAGGER_MS
+const STAGGER_INTERVAL_MS = 1000;
+const MAX_STAGGER_MS = 10000;
+
+// Clearance between neighbouring balls on the start line (px)
+const SPAWN_GAP = 4;
+
+/**
+ * Seeded Fisher-Yates shuffle (does not touch the shared rng)
+ */
+function seededShuffle(array, seed) {
+  const random = createSeededRandom(hashSeed(seed, 'spawn'));
+  const arr = [...array];
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/**
+ * Spawn point of every lane, left to right and front row first
+ * @param {number} count - Number of lanes
+ * @param {Object} options
+ * @param {{x: number, y: number, width: number, height: number}} [options.zone] - Start zone
+ * @param {number} [options.width] - Map width (no start zone: lanes span the width at spawnY)
+ * @param {number} [options.spawnY] - Start line without a start zone
+ * @param {number} [options.radius=15] - Ball radius
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function getSpawnPositions(count, { zone = null, width = 800, spawnY = 540, radius = 15 } = {}) {
+  const line = zone
+    ? { x: zone.x, width: zone.width, y: zone.y + zone.height / 2 }
+    : { x: 20, width: width - 40, y: spawnY };
+
+  // One row while every lane fits a ball, otherwise as few balanced rows as possible
+  const spacing = radius * 2 + SPAWN_GAP;
+  const fit = Math.max(1, Math.floor(line.width / spacing));
+  const rows = Math.ceil(count / fit);
+  const perRow = Math.ceil(count / rows);
+
+  return Array.from({ length: count }, (_, i) => {
+    const row = Math.floor(i / perRow);
+    const lanesInRow = Math.min(perRow, count - row * perRow);
+    const laneWidth = line.width / lanesInRow;
+    return {
+      x: line.x + laneWidth * (i % perRow) + laneWidth / 2,
+      y: line.y + (row - (rows - 1) / 2) * spacing
+    };
+  });
+}
+
+/**
+ * Plan spawn lanes (and time-trial delays) for one race
+ * @param {string[]} names - Ball names in roster order
+ * @param {string} mode - Key of SPAWN_MODES (unknown modes fall back to fixed)
+ * @param {Object} [context]
+ * @param {number} [context.seed] - Race seed
+ * @param {number} [context.levelIndex=0] - 0-based chain level
+ * @param {Array<{name: string, points: number}>} [context.standings] - Chain leaderboard
+ * @param {number[]} [context.laneScores] - Per-lane quality, higher is better
+ * @returns {{ mode: string, lanes: Object<string, number>, delays: Object<string, number> }}
+ */
+export function planSpawn(names, mode, { seed = 0, levelIndex = 0, standings = [], laneScores = null } = {}) {
+  const count = names.length;
+  if (!SPAWN_MODES[mode]) mode = DEFAULT_SPAWN_MODE;
+
+  // order[lane] = ball name
+  let order = [...names];
+  const delays = Object.fromEntries(names.map(name => [name, 0]));
+
+  if (mode === 'shuffle') {
+    order = seededShuffle(names, seed);
+  } else if (mode === 'rotate') {
+    order = names.map((_, lane) => names[((lane - levelIndex) % count + count) % count]);
+  } else if (mode === 'reverse') {
+    // Ties (e.g. everyone on 0 points at level 1) are broken by the seed, not roster order
+    const tieBreak = seededShuffle(names, seed);
+    const points = Object.fromEntries(standings.map(s => [s.name, s.points]));
+    const ranking = [...tieBreak].sort((a, b) => (points[b] || 0) - (points[a] || 0));
+
+    const lanesBestFirst = names.map((_, lane) => lane)
+      .sort((a, b) => (laneScores?.[b] ?? -b) - (laneScores?.[a] ?? -a));
+    ranking.forEach((name, rank) => {
+      order[lanesBestFirst[count - 1 - rank]] = name;
+    });
+  } else if (mode === 'stagger') {
+    const interval = count > 1 ? Math.min(STAGGER_INTERVAL_MS, MAX_STAGGER_MS / (count - 1)) : 0;
+    seededShuffle(names, seed).forEach((name, slot) => {
+      delays[name] = Math.round(slot * interval);
+    });
+  }
+
+  const middleLane = Math.floor(count / 2);
+  const lanes = Object.fromEntries(order.map((name, lane) => [name, mode === 'stagger' ? middleLane : lane]));
+  return { mode, lanes, delays };
+}
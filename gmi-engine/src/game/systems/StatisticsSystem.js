@@ -5,6 +5,7 @@
  * - Win rate per ball color
  * - Average finish position
  * - Weapon effectiveness (win rate when held)
+ * - Weapon evolutions (recipe counts, per ball)
  * - Boss damage averages
  * - Comeback frequency
  * - Upset frequency (underdog wins)
@@ -13,6 +14,8 @@
  * PERSISTS: All data saved to localStorage
  */
 
+import { isUnderdogPosition } from '../../shared/Roster.js';
+
 const STORAGE_KEY = 'gmi-racing-statistics';
 
 class StatisticsSystemManager {
@@ -33,25 +36,22 @@ class StatisticsSystemManager {
       totalRaces: 0,
       totalChains: 0,
 
-      // Per-ball statistics
-      balls: {
-        Red: this.getEmptyBallStats(),
-        Blue: this.getEmptyBallStats(),
-        Green: this.getEmptyBallStats(),
-        Yellow: this.getEmptyBallStats(),
-        Purple: this.getEmptyBallStats()
-      },
+      // Per-ball statistics (added the first time a racer finishes a race)
+      balls: {},
 
       // Weapon statistics
       weapons: {},
 
+      // Weapon evolutions: evolvedId -> { from, buff, count, byBall }
+      evolutions: {},
+
       // Comeback tracking
       comebacks: {
         positionJump2: 0,  // Improved 2+ positions
         positionJump3: 0,  // Improved 3+ positions
         fifthToFirst: 0,   // 5th place to 1st
         fourthToFirst: 0,  // 4th place to 1st
-        underdogWins: 0    // 4th/5th winning a level
+        underdogWins: 0    // Bottom 40% of the field winning a level
       },
 
       // Race history (last 100 races)
@@ -75,7 +75,7 @@ class StatisticsSystemManager {
       wins: 0,
       chainWins: 0,
       totalPoints: 0,
-      finishPositions: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      finishPositions: {},  // position -> count
       totalDamageDealt: 0,
       bossKills: 0,
       firstBloods: 0,
@@ -92,7 +92,8 @@ class StatisticsSystemManager {
       racesHeld: 0,
       winsWithWeapon: 0,
       totalDamage: 0,
-      bossKillsWith: 0
+      bossKillsWith: 0,
+      timesEvolved: 0
     };
   }
 
@@ -127,15 +128,19 @@ class StatisticsSystemManager {
 
   /**
    * Start tracking a new race
+   * @param {number|null} seed - RNG seed the race runs with (for reproduction)
    */
-  startRace(levelIndex, levelName, isBossLevel) {
+  startRace(levelIndex, levelName, isBossLevel, seed = null) {
     this.currentRace = {
       levelIndex,
       levelName,
       isBossLevel,
+      seed,
+      spawnMode: null,
       startTime: Date.now(),
       ballData: {},
-      weaponsUsed: {}
+      weaponsUsed: {},
+      evolutions: []
     };
     console.log('[Statistics] Started tracking race:', levelName);
   }
@@ -163,6 +168,23 @@ class StatisticsSystemManager {
     });
   }
 
+  /**
+   * Record the spawn mode and each ball's starting lane (see SpawnLanes.js)
+   * @param {{ mode: string, lanes: Object<string, number>, delays: Object<string, number> }} plan
+   */
+  recordSpawnPlan(plan) {
+    if (!this.currentRace) return;
+
+    this.currentRace.spawnMode = plan.mode;
+    for (const [ballName, lane] of Object.entries(plan.lanes)) {
+      const data = this.currentRace.ballData[ballName] || (this.currentRace.ballData[ballName] = {
+        weapons: [], startPosition: null, finishPosition: null, damageDealt: 0, timedOut: false
+      });
+      data.startPosition = lane;
+      data.startDelay = plan.delays[ballName] || 0;
+    }
+  }
+
   /**
    * Record race results
    */
@@ -190,11 +212,13 @@ class StatisticsSystemManager {
         position,
         points: ball.levelTotal || 0,
         damage: ball.damageDealtToBoss || 0,
-        timedOut: ball.timedOut || false
+        timedOut: ball.timedOut || false,
+        lane: this.currentRace.ballData[ballName]?.startPosition ?? null
       });
 
       // Update ball stats
       this.updateBallStats(ballName, {
+        color: ball.color,
         position,
         points: ball.levelTotal || 0,
         damage: ball.damageDealtToBoss || 0,
@@ -252,9 +276,10 @@ class StatisticsSystemManager {
     ballStats.races++;
     ballStats.totalPoints += data.points || 0;
     ballStats.totalDamageDealt += data.damage || 0;
+    if (data.color) ballStats.color = data.color;
 
-    if (data.position >= 1 && data.position <= 5) {
-      ballStats.finishPositions[data.position]++;
+    if (data.position >= 1) {
+      ballStats.finishPositions[data.position] = (ballStats.finishPositions[data.position] || 0) + 1;
     }
 
     if (data.isWinner) {
@@ -305,6 +330,44 @@ class StatisticsSystemManager {
     this.stats.weapons[weaponId].timesAwarded++;
   }
 
+  /**
+   * Record a weapon evolution (maxed weapon + buff -> evolved weapon)
+   */
+  recordEvolution(ballName, fromId, intoId, buffId) {
+    // Stats saved before evolutions existed don't have the section
+    if (!this.stats.evolutions) {
+      this.stats.evolutions = {};
+    }
+    if (!this.stats.evolutions[intoId]) {
+      this.stats.evolutions[intoId] = { from: fromId, buff: buffId, count: 0, byBall: {} };
+    }
+
+    const evolution = this.stats.evolutions[intoId];
+    evolution.count++;
+    evolution.byBall[ballName] = (evolution.byBall[ballName] || 0) + 1;
+
+    if (!this.stats.weapons[intoId]) {
+      this.stats.weapons[intoId] = this.getEmptyWeaponStats();
+    }
+    this.stats.weapons[intoId].timesEvolved = (this.stats.weapons[intoId].timesEvolved || 0) + 1;
+
+    // Evolutions mid-race also land in the race history entry
+    if (this.currentRace) {
+      this.currentRace.evolutions.push({ ball: ballName, from: fromId, into: intoId });
+    }
+
+    this.saveStats();
+  }
+
+  /**
+   * Get evolution counts, most frequent first
+   */
+  getEvolutionStats() {
+    return Object.entries(this.stats.evolutions || {})
+      .map(([id, e]) => ({ id, from: e.from, buff: e.buff, count: e.count, byBall: e.byBall }))
+      .sort((a, b) => b.count - a.count);
+  }
+
   /**
    * Track comebacks
    */
@@ -325,7 +388,7 @@ class StatisticsSystemManager {
         }
 
         // Underdog wins
-        if (previousPosition >= 4 && currentPosition === 1) {
+        if (isUnderdogPosition(previousPosition, results.length) && currentPosition === 1) {
           this.stats.comebacks.underdogWins++;
 
           if (previousPosition === 5) {
@@ -344,6 +407,7 @@ class StatisticsSystemManager {
   recordChainComplete(finalResults) {
     const chainData = {
       timestamp: Date.now(),
+      seed: finalResults.seed ?? null,
       totalLevels: finalResults.totalLevels,
       winner: finalResults.winner,
       standings: finalResults.standings,
@@ -381,6 +445,7 @@ class StatisticsSystemManager {
     const rates = {};
     for (const [name, stats] of Object.entries(this.stats.balls)) {
       rates[name] = {
+        color: stats.color || null,
         winRate: stats.races > 0 ? (stats.wins / stats.races * 100).toFixed(1) : 0,
         chainWinRate: this.stats.totalChains > 0 ? (stats.chainWins / this.stats.totalChains * 100).toFixed(1) : 0,
         avgPosition: stats.races > 0 ? this.calculateAvgPosition(stats.finishPositions, stats.races).toFixed(2) : '-',
@@ -448,6 +513,40 @@ class StatisticsSystemManager {
     return names[id] || id;
   }
 
+  /**
+   * Win rate and average finish per starting lane, split by spawn mode
+   * (races recorded before spawn modes existed count as "fixed")
+   */
+  getLaneStats() {
+    const modes = {};
+    for (const race of this.stats.raceHistory) {
+      const mode = race.spawnMode || 'fixed';
+      if (!modes[mode]) modes[mode] = {};
+
+      race.results.forEach(result => {
+        const lane = result.lane ?? race.ballData?.[result.name]?.startPosition;
+        if (lane === null || lane === undefined) return;
+
+        const stats = modes[mode][lane] || (modes[mode][lane] = { races: 0, wins: 0, positionSum: 0 });
+        stats.races++;
+        stats.positionSum += result.position;
+        if (result.position === 1) stats.wins++;
+      });
+    }
+
+    const laneStats = {};
+    for (const [mode, lanes] of Object.entries(modes)) {
+      laneStats[mode] = Object.entries(lanes).map(([lane, stats]) => ({
+        lane: parseInt(lane),
+        races: stats.races,
+        wins: stats.wins,
+        winRate: (stats.wins / stats.races * 100).toFixed(1),
+        avgPosition: (stats.positionSum / stats.races).toFixed(2)
+      })).sort((a, b) => a.lane - b.lane);
+    }
+    return laneStats;
+  }
+
   /**
    * Get comeback statistics
    */
@@ -490,7 +589,9 @@ class StatisticsSystemManager {
       lastRaceAt: this.stats.lastRaceAt,
       ballWinRates: this.getBallWinRates(),
       weaponEffectiveness: this.getWeaponEffectiveness(),
-      comebacks: this.getComebackStats()
+      evolutions: this.getEvolutionStats(),
+      comebacks: this.getComebackStats(),
+      laneBias: this.getLaneStats()
     };
   }
 
@@ -0,0 +1,307 @@
+/**
+ * TrackProgress - Race progress measured along the track instead of along Y
+ *
+ * PURPOSE:
+ * Progress used to be (startY - ballY) / totalDist, which only ranks balls
+ * correctly on bottom-to-top maps. This builds a navigation distance field:
+ * a grid flood-filled from the finish zone around the fixed obstacles, so
+ * every open cell knows how far a ball still has to travel. Progress is
+ * that remaining distance relative to the spawn point's, which also works
+ * for winding, horizontal and spiral maps.
+ *
+ * WHAT BLOCKS THE PATH:
+ * Static, breakable and bumper obstacles (rectangles with their angle,
+ * circles, polygon outlines and polylines), grown by half a cell so walls
+ * thinner than a cell still block. Moving, rotating, crusher, flipper,
+ * keyframe-animated and trigger-controlled obstacles don't hold a fixed
+ * spot, so the field routes through their area; boost pads and portals
+ * don't block at all.
+ *
+ * USAGE:
+ *   const track = new TrackProgress({ width, height, obstacles, finishZone, spawn });
+ *   ball.progress = track.getProgress(x, y) ?? ball.progress; // 0..100
+ *
+ * @module TrackProgress
+ */
+
+import { pointInPolygonObstacle } from '../../shared/PolygonGeometry.js';
+
+const CELL_SIZE = 10;           // px per grid cell
+const SEARCH_RADIUS = 4;        // cells searched for open ground around a blocked cell
+const FINISH_LINE_MARGIN = 40;  // matches RaceScene's finish check for maps without a zone
+const MOVING_BEHAVIORS = ['rotating', 'moving', 'crusher', 'flipper'];
+const PASS_THROUGH_BEHAVIORS = ['boost', 'portal'];
+
+export class TrackProgress {
+  /**
+   * @param {Object} options
+   * @param {number} options.width - Map width in px
+   * @param {number} options.height - Map height in px
+   * @param {Array} [options.obstacles] - Map obstacle data (editor format)
+   * @param {Object} [options.finishZone] - { x, y, width, height }
+   * @param {number} [options.finishY] - Finish line for maps without a zone
+   * @param {{x: number, y: number}} options.spawn - Where balls start (progress 0)
+   * @param {Set<string>} [options.animatedIds] - Obstacles with keyframe animations (or otherwise not fixed)
+   */
+  constructor({ width, height, obstacles = [], finishZone = null, finishY = 60, spawn, animatedIds = null }) {
+    this.cellSize = CELL_SIZE;
+    this.cols = Math.max(1, Math.ceil(width / CELL_SIZE));
+    this.rows = Math.max(1, Math.ceil(height / CELL_SIZE));
+
+    this.blocked = new Uint8Array(this.cols * this.rows);
+    obstacles
+      .filter(obs => isFixedObstacle(obs, animatedIds))
+      .forEach(obs => this.blockObstacle(obs));
+
+    this.distance = this.floodFromFinish(finishZone, finishY);
+
+    // Normalise against the spawn; fall back to the furthest open cell if the
+    // spawn can't reach the finish (progress still orders balls sensibly)
+    const spawnDistance = this.distanceAt(spawn.x, spawn.y);
+    this.startDistance = spawnDistance > 0 ? spawnDistance : this.maxDistance();
+  }
+
+  /**
+   * Progress toward the finish in percent (0 = spawn, 100 = finish)
+   * @returns {number|null} null when the point can't reach the finish
+   */
+  getProgress(x, y) {
+    const remaining = this.distanceAt(x, y);
+    if (remaining === null || !(this.startDistance > 0)) return null;
+    return Math.max(0, Math.min(100, (1 - remaining / this.startDistance) * 100));
+  }
+
+  /**
+   * Remaining path length from a point to the finish in px
+   * Bilinear between the surrounding cell centres; a point inside an
+   * obstacle (e.g. pushed into one) uses the nearest open cell instead
+   * @returns {number|null}
+   */
+  distanceAt(x, y) {
+    const fx = x / this.cellSize - 0.5;
+    const fy = y / this.cellSize - 0.5;
+    const c0 = Math.floor(fx);
+    const r0 = Math.floor(fy);
+
+    let total = 0;
+    let weightSum = 0;
+    for (let dr = 0; dr <= 1; dr++) {
+      for (let dc = 0; dc <= 1; dc++) {
+        const d = this.cellDistance(c0 + dc, r0 + dr);
+        if (d === Infinity) continue;
+        const weight = (dc ? fx - c0 : 1 - (fx - c0)) * (dr ? fy - r0 : 1 - (fy - r0));
+        total += d * weight;
+        weightSum += weight;
+      }
+    }
+    if (weightSum > 0) return total / weightSum;
+
+    return this.nearestOpenDistance(Math.round(fx), Math.round(fy));
+  }
+
+  // ---- Grid construction ----
+
+  blockObstacle(obs) {
+    const margin = this.cellSize / 2;
+    const bounds = obstacleBounds(obs, margin);
+    const c1 = Math.max(0, Math.floor(bounds.minX / this.cellSize));
+    const c2 = Math.min(this.cols - 1, Math.floor(bounds.maxX / this.cellSize));
+    const r1 = Math.max(0, Math.floor(bounds.minY / this.cellSize));
+    const r2 = Math.min(this.rows - 1, Math.floor(bounds.maxY / this.cellSize));
+
+    for (let r = r1; r <= r2; r++) {
+      for (let c = c1; c <= c2; c++) {
+        const x = (c + 0.5) * this.cellSize;
+        const y = (r + 0.5) * this.cellSize;
+        if (pointInObstacle(obs, x, y, margin)) {
+          this.blocked[r * this.cols + c] = 1;
+        }
+      }
+    }
+  }
+
+  /**
+   * Dijkstra over the grid (8 neighbours, no corner cutting) seeded with
+   * every open cell of the finish zone
+   */
+  floodFromFinish(finishZone, finishY) {
+    const distance = new Float64Array(this.cols * this.rows).fill(Infinity);
+    const heap = new MinHeap();
+
+    for (let r = 0; r < this.rows; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        const i = r * this.cols + c;
+        if (this.blocked[i] || !this.isFinishCell(c, r, finishZone, finishY)) continue;
+        distance[i] = 0;
+        heap.push(i, 0);
+      }
+    }
+
+    const straight = this.cellSize;
+    const diagonal = this.cellSize * Math.SQRT2;
+    while (heap.size > 0) {
+      const { index, priority } = heap.pop();
+      if (priority > distance[index]) continue;
+
+      const c = index % this.cols;
+      const r = (index - c) / this.cols;
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          if (!dr && !dc) continue;
+          const nc = c + dc;
+          const nr = r + dr;
+          if (!this.isOpen(nc, nr)) continue;
+          if (dr && dc && (!this.isOpen(c + dc, r) || !this.isOpen(c, r + dr))) continue;
+
+          const next = nr * this.cols + nc;
+          const d = priority + (dr && dc ? diagonal : straight);
+          if (d < distance[next]) {
+            distance[next] = d;
+            heap.push(next, d);
+          }
+        }
+      }
+    }
+    return distance;
+  }
+
+  isFinishCell(c, r, finishZone, finishY) {
+    const x1 = c * this.cellSize;
+    const y1 = r * this.cellSize;
+    if (!finishZone) {
+      return y1 + this.cellSize / 2 <= finishY + FINISH_LINE_MARGIN;
+    }
+    return x1 < finishZone.x + finishZone.width && x1 + this.cellSize > finishZone.x &&
+      y1 < finishZone.y + finishZone.height && y1 + this.cellSize > finishZone.y;
+  }
+
+  // ---- Lookups ----
+
+  isOpen(c, r) {
+    return c >= 0 && r >= 0 && c < this.cols && r < this.rows && !this.blocked[r * this.cols + c];
+  }
+
+  cellDistance(c, r) {
+    if (c < 0 || r < 0 || c >= this.cols || r >= this.rows) return Infinity;
+    return this.distance[r * this.cols + c];
+  }
+
+  nearestOpenDistance(c, r) {
+    for (let radius = 1; radius <= SEARCH_RADIUS; radius++) {
+      let best = Infinity;
+      for (let dr = -radius; dr <= radius; dr++) {
+        for (let dc = -radius; dc <= radius; dc++) {
+          if (Math.max(Math.abs(dr), Math.abs(dc)) !== radius) continue;
+          const d = this.cellDistance(c + dc, r + dr);
+          if (d !== Infinity) best = Math.min(best, d + Math.hypot(dc, dr) * this.cellSize);
+        }
+      }
+      if (best !== Infinity) return best;
+    }
+    return null;
+  }
+
+  maxDistance() {
+    let max = 0;
+    for (const d of this.distance) {
+      if (d !== Infinity && d > max) max = d;
+    }
+    return max;
+  }
+}
+
+/**
+ * Whether an obstacle holds a fixed spot for the whole race
+ */
+export function isFixedObstacle(obs, animatedIds) {
+  if (obs.id && animatedIds?.has(obs.id)) return false;
+  if (obs.rotating || obs.moving || obs.crusher || obs.flipper) return false;
+  return !MOVING_BEHAVIORS.includes(obs.behavior) && !PASS_THROUGH_BEHAVIORS.includes(obs.behavior);
+}
+
+/**
+ * Axis-aligned bounds (rotated rectangles use their circumscribed circle)
+ */
+export function obstacleBounds(obs, margin = 0) {
+  if (obs.type === 'circle') {
+    const r = obs.radius + margin;
+    return { minX: obs.x - r, maxX: obs.x + r, minY: obs.y - r, maxY: obs.y + r };
+  }
+  if (obs.type === 'polygon' && obs.closed === false) {
+    margin += (obs.thickness || 6) / 2;
+  }
+  const w = obs.width || 50;
+  const h = obs.height || 20;
+  const cx = obs.x + w / 2;
+  const cy = obs.y + h / 2;
+  const rx = obs.angle ? Math.hypot(w, h) / 2 + margin : w / 2 + margin;
+  const ry = obs.angle ? rx : h / 2 + margin;
+  return { minX: cx - rx, maxX: cx + rx, minY: cy - ry, maxY: cy + ry };
+}
+
+/**
+ * Whether a point touches an obstacle (grown by margin px)
+ */
+export function pointInObstacle(obs, x, y, margin = 0) {
+  if (obs.type === 'circle') {
+    return Math.hypot(x - obs.x, y - obs.y) <= obs.radius + margin;
+  }
+  const w = obs.width || 50;
+  const h = obs.height || 20;
+  const angle = -(obs.angle || 0) * Math.PI / 180;
+  const dx = x - (obs.x + w / 2);
+  const dy = y - (obs.y + h / 2);
+  const localX = dx * Math.cos(angle) - dy * Math.sin(angle);
+  const localY = dx * Math.sin(angle) + dy * Math.cos(angle);
+  if (obs.type === 'polygon') {
+    // Polygons rotate around their bounding-box centre
+    return pointInPolygonObstacle(obs, obs.x + w / 2 + localX, obs.y + h / 2 + localY, margin);
+  }
+  return Math.abs(localX) <= w / 2 + margin && Math.abs(localY) <= h / 2 + margin;
+}
+
+/**
+ * Binary min-heap of grid indices keyed by distance
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(index, priority) {
+    const items = this.items;
+    items.push({ index, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
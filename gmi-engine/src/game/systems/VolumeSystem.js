@@ -17,6 +17,7 @@
  *
  * USAGE:
  *   volumeSystem.initialize();           // Set up default balls
+ *   volumeSystem.setRoster(getRaceRoster(config)); // Follow the race roster
  *   volumeSystem.addVolume('Red', 5000); // Increase Red's volume
  *   volumeSystem.getStatsForBall('Red'); // Get computed stats
  *   volumeSystem.startAutoFluctuate();   // Enable random changes
@@ -24,6 +25,24 @@
  * @module VolumeSystem
  */
 
+import { buildRoster, DEFAULT_BALL_COUNT } from '../../shared/Roster.js';
+
+// Starting volumes spread from the first racer down to the last
+const TOP_VOLUME = 50000;
+const BOTTOM_VOLUME = 30000;
+
+/**
+ * Racers with their starting volume (first racer highest)
+ */
+function withStartingVolumes(racers) {
+  const spread = (TOP_VOLUME - BOTTOM_VOLUME) / Math.max(1, racers.length - 1);
+  return racers.map((racer, i) => ({
+    name: racer.name,
+    color: racer.color,
+    volume: Math.round(TOP_VOLUME - spread * i)
+  }));
+}
+
 export class VolumeSystem {
   constructor() {
     // Volume data per ball
@@ -39,13 +58,7 @@ export class VolumeSystem {
     this.onChangeCallbacks = [];
 
     // Default balls
-    this.defaultBalls = [
-      { name: 'Red', color: '#ff0000', volume: 50000 },
-      { name: 'Blue', color: '#0066ff', volume: 45000 },
-      { name: 'Green', color: '#00cc00', volume: 40000 },
-      { name: 'Yellow', color: '#ffcc00', volume: 35000 },
-      { name: 'Purple', color: '#9900ff', volume: 30000 }
-    ];
+    this.defaultBalls = withStartingVolumes(buildRoster([], DEFAULT_BALL_COUNT));
   }
 
   /**
@@ -68,6 +81,28 @@ export class VolumeSystem {
     this.notifyChange();
   }
 
+  /**
+   * Follow a new race roster: racers already trading keep their volume,
+   * new ones start where the default spread puts them
+   * @param {Array<{name: string, color: string}>} racers - See Roster.getRaceRoster
+   */
+  setRoster(racers) {
+    const previous = this.volumes;
+    this.volumes = new Map();
+
+    withStartingVolumes(racers).forEach(ball => {
+      const kept = previous.get(ball.name);
+      this.volumes.set(ball.name, {
+        name: ball.name,
+        color: ball.color,
+        volume: kept ? kept.volume : ball.volume,
+        previousVolume: kept ? kept.previousVolume : ball.volume
+      });
+    });
+
+    this.notifyChange();
+  }
+
   /**
    * Get volume for a specific ball
    */
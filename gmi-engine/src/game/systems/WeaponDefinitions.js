@@ -1,200 +1,257 @@
 /**
  * WeaponDefinitions.js - Weapon type configurations for Vampire Survivors-style auto-attacking weapons
  *
- * Weapon Categories:
- * - Projectile: Fires bullets/orbs that travel and hit enemies
- * - Melee: Close-range attacks with arc/area hitboxes
- * - Area: AOE effects around the ball
+ * Weapons are data: config/weapons.json, validated against config/weapons.schema.json.
+ * Each weapon picks a delivery and composes behaviors on top of it:
+ * - Delivery: projectile, melee arc, orbit / aura (passive), area pulse
+ * - Behaviors: homing, piercing, bounces, pellets, chain, slow
+ *
+ * Leveling: a weapon's top-level stats are level 1, its `levels` table adds
+ * level 2..maxLevel (damage, cooldown, count, radius). getWeaponStats()
+ * resolves the row for a level.
+ *
+ * Evolution: an 'evolved' tier weapon names a recipe - a max-level weapon
+ * plus an active buff item - and replaces that weapon (see InventorySystem).
+ *
+ * The JSON is bundled at build time and can be reloaded at runtime with
+ * reloadWeapons() so designers can tune without a rebuild. Reloading updates
+ * WEAPON_TYPES in place, so every importer sees the new values.
  *
  * All weapons auto-fire based on cooldown timers.
  */
 
-export const WEAPON_TYPES = {
-  // ========== PROJECTILE WEAPONS ==========
-
-  PEA_SHOOTER: {
-    id: 'PEA_SHOOTER',
-    name: 'Pea Shooter',
-    type: 'projectile',
-    description: 'Basic single shot forward',
-    cooldown: 800, // ms between shots
-    damage: 5,
-    projectileSpeed: 6,
-    projectileRadius: 4,
-    projectileColor: 0x44ff44,
-    projectileLifetime: 3000,
-    piercing: false,
-    knockback: 0.5,
-    icon: '🟢'
-  },
-
-  SHOTGUN: {
-    id: 'SHOTGUN',
-    name: 'Shotgun',
-    type: 'projectile',
-    description: '5-pellet spread shot',
-    cooldown: 1200,
-    damage: 3,
-    projectileSpeed: 7,
-    projectileRadius: 3,
-    projectileColor: 0xff8844,
-    projectileLifetime: 2000,
-    pelletCount: 5,
-    spreadAngle: Math.PI / 6, // 30 degree total spread
-    piercing: false,
-    knockback: 0.3,
-    icon: '🔶'
-  },
-
-  HOMING_ORB: {
-    id: 'HOMING_ORB',
-    name: 'Homing Orb',
-    type: 'projectile',
-    description: 'Seeks nearest enemy ball',
-    cooldown: 1500,
-    damage: 8,
-    projectileSpeed: 4,
-    projectileRadius: 6,
-    projectileColor: 0x8844ff,
-    projectileLifetime: 4000,
-    homing: true,
-    homingStrength: 0.08, // Turn rate per frame
-    piercing: false,
-    knockback: 1.0,
-    icon: '🟣'
-  },
-
-  BOUNCY_SHOT: {
-    id: 'BOUNCY_SHOT',
-    name: 'Bouncy Shot',
-    type: 'projectile',
-    description: 'Bounces off walls up to 5 times',
-    cooldown: 1000,
-    damage: 4,
-    projectileSpeed: 5,
-    projectileRadius: 5,
-    projectileColor: 0x44ffff,
-    projectileLifetime: 5000,
-    bounces: 5,
-    piercing: false,
-    knockback: 0.6,
-    isSensor: false, // Bounces off walls (non-sensor)
-    icon: '🔵'
-  },
-
-  // ========== MELEE WEAPONS ==========
-
-  SWORD: {
-    id: 'SWORD',
-    name: 'Sword',
-    type: 'melee',
-    description: '90° slash arc attack',
-    cooldown: 600,
-    damage: 25, // BUFFED from 12
-    range: 120, // BUFFED from 40
-    arcAngle: Math.PI / 2, // 90 degrees
-    arcDuration: 150, // ms the hitbox is active
-    knockback: 1.5,
-    color: 0xcccccc,
-    icon: '⚔️'
-  },
-
-  FLAIL: {
-    id: 'FLAIL',
-    name: 'Flail',
-    type: 'melee',
-    description: 'Orbits ball constantly dealing contact damage',
-    cooldown: 0, // Passive - always active
-    damage: 12, // BUFFED from 2
-    hitCooldown: 400, // Increased from 300ms for balance
-    orbitRadius: 35,
-    orbitSpeed: 4, // Radians per second
-    size: 8, // Flail head radius
-    color: 0x888888,
-    passive: true,
-    knockback: 0.4,
-    icon: '⛓️'
-  },
-
-  SPIKE: {
-    id: 'SPIKE',
-    name: 'Spike Aura',
-    type: 'melee',
-    description: 'Contact damage aura around ball',
-    cooldown: 0, // Passive
-    damage: 18, // BUFFED from 3
-    hitCooldown: 500,
-    auraRadius: 25, // Extends beyond ball radius
-    color: 0xff4444,
-    passive: true,
-    knockback: 0.2,
-    icon: '💥'
-  },
-
-  HAMMER: {
-    id: 'HAMMER',
-    name: 'Hammer',
-    type: 'melee',
-    description: '180° sweep with big knockback',
-    cooldown: 1800,
-    damage: 45, // BUFFED from 20
-    range: 130, // BUFFED from 50
-    arcAngle: Math.PI, // 180 degrees
-    arcDuration: 300,
-    knockback: 3.0,
-    color: 0xaa6633,
-    icon: '🔨'
-  },
-
-  // ========== AREA WEAPONS ==========
-
-  FREEZE_AURA: {
-    id: 'FREEZE_AURA',
-    name: 'Freeze Aura',
-    type: 'area',
-    description: 'Slows nearby enemies by 50% for 2s',
-    cooldown: 5000,
-    damage: 0,
-    effectRadius: 80,
-    effectDuration: 2000, // How long slow lasts
-    slowAmount: 0.5, // Multiplier (0.5 = 50% speed)
-    color: 0x88ccff,
-    pulseColor: 0xaaeeff,
-    icon: '❄️'
-  },
-
-  LIGHTNING: {
-    id: 'LIGHTNING',
-    name: 'Lightning',
-    type: 'area',
-    description: 'Chains to up to 3 enemies',
-    cooldown: 3000,
-    damage: 15,
-    chainCount: 3,
-    chainRange: 100, // Max distance to chain
-    chainDelay: 100, // ms between chain hits
-    knockback: 0.8,
-    color: 0xffff44,
-    icon: '⚡'
-  }
-};
+import { rng } from './RandomSystem.js';
+import { ITEM_TYPES } from './ItemDefinitions.js';
+import { validateSchema } from '../../shared/SchemaValidator.js';
+import weaponSet from '../../config/weapons.json';
+import weaponSchema from '../../config/weapons.schema.json';
+
+const WEAPONS_URL = 'config/weapons.json';
+const TIER_NAMES = ['common', 'uncommon', 'rare', 'epic', 'evolved'];
+
+// Normalized weapon definitions by ID (colors as numbers, angles in radians)
+export const WEAPON_TYPES = {};
 
 // Weapon tiers for progression/roulette weighting
-export const WEAPON_TIERS = {
-  common: ['PEA_SHOOTER', 'SPIKE'],
-  uncommon: ['SHOTGUN', 'SWORD', 'FLAIL'],
-  rare: ['BOUNCY_SHOT', 'HAMMER', 'FREEZE_AURA'],
-  epic: ['HOMING_ORB', 'LIGHTNING']
-};
+export const WEAPON_TIERS = {};
 
 // Get all weapon IDs as array
-export const ALL_WEAPONS = Object.keys(WEAPON_TYPES);
+export const ALL_WEAPONS = [];
+
+// Evolution recipes: [{ from, buff, effect, into }]
+export const EVOLUTIONS = [];
+
+const toColor = hex => parseInt(hex.slice(1), 16);
+const toRadians = deg => deg * Math.PI / 180;
+
+/**
+ * Check a parsed weapon set against the schema and the delivery rules
+ * @param {Object} data - Contents of weapons.json
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateWeaponSet(data) {
+  const errors = validateSchema(data, weaponSchema);
+  if (errors.length > 0) return errors;
+
+  const seen = new Set();
+  data.weapons.forEach((w, i) => {
+    const path = `$.weapons[${i}] (${w.id})`;
+    const b = w.behaviors || {};
+
+    if (seen.has(w.id)) errors.push(`${path}: duplicate id`);
+    seen.add(w.id);
+
+    if (w.passive && !w.orbit && !w.aura) {
+      errors.push(`${path}: passive weapons need an orbit or aura block`);
+    }
+    if (w.type === 'projectile' && !w.projectile) {
+      errors.push(`${path}: projectile weapons need a projectile block`);
+    }
+    if (w.type === 'melee' && !w.passive && !w.melee) {
+      errors.push(`${path}: melee weapons need a melee block (or passive with orbit/aura)`);
+    }
+    if (w.type === 'area' && !w.area && !b.chain) {
+      errors.push(`${path}: area weapons need an area block or a chain behavior`);
+    }
+    if ((b.homing || b.bounces || b.pellets) && !w.projectile) {
+      errors.push(`${path}: homing, bounces and pellets only apply to projectiles`);
+    }
+    if ((w.tier === 'evolved') !== !!w.evolution) {
+      errors.push(`${path}: evolved weapons (and only they) need an evolution recipe`);
+    }
+  });
+
+  // Recipes can only be checked once every ID is known
+  const byId = Object.fromEntries(data.weapons.map(w => [w.id, w]));
+  const recipes = new Set();
+  data.weapons.filter(w => w.evolution).forEach(w => {
+    const { from, buff } = w.evolution;
+    const path = `${w.id}.evolution`;
+
+    if (!byId[from]) {
+      errors.push(`${path}: unknown weapon "${from}"`);
+    } else if (byId[from].evolution) {
+      errors.push(`${path}: "${from}" is already an evolved weapon`);
+    }
+    if (ITEM_TYPES[buff]?.type !== 'buff') {
+      errors.push(`${path}: "${buff}" is not a buff item`);
+    }
+    if (recipes.has(`${from}+${buff}`)) {
+      errors.push(`${path}: another weapon already evolves from ${from} + ${buff}`);
+    }
+    recipes.add(`${from}+${buff}`);
+  });
+
+  return errors;
+}
+
+/**
+ * Build the full per-level stat table (index 0 = level 1)
+ */
+function buildLevelTable(w) {
+  const b = w.behaviors || {};
+  const base = {
+    damage: w.damage,
+    cooldown: w.cooldown,
+    // Projectiles/pellets fired, or chain jumps for weapons that chain from the owner
+    count: w.projectile ? (b.pellets?.count || 1) : (b.chain?.count || 1),
+    radius: (w.projectile || w.orbit || w.aura || w.area)?.radius ?? w.melee?.range ?? 0
+  };
+
+  const table = [base];
+  (w.levels || []).forEach(row => {
+    table.push({ ...table[table.length - 1], ...row });
+  });
+  return table;
+}
+
+/**
+ * Convert a JSON weapon into the runtime definition
+ */
+function normalizeWeapon(w) {
+  const b = w.behaviors || {};
+  const levels = buildLevelTable(w);
+
+  return {
+    id: w.id,
+    name: w.name,
+    type: w.type,
+    tier: w.tier,
+    description: w.description || '',
+    icon: w.icon || '',
+    cooldown: w.cooldown,
+    damage: w.damage,
+    knockback: w.knockback || 0,
+    color: toColor(w.color),
+    passive: !!w.passive,
+    hitCooldown: w.hitCooldown || 0,
+    levels,
+    maxLevel: levels.length,
+    evolution: w.evolution ? { ...w.evolution } : null,
+    projectile: w.projectile && { lifetime: 3000, ...w.projectile },
+    melee: w.melee && { range: w.melee.range, arc: toRadians(w.melee.arcDeg), duration: w.melee.duration || 150 },
+    orbit: w.orbit && { ...w.orbit },
+    aura: w.aura && { ...w.aura },
+    area: w.area && {
+      radius: w.area.radius,
+      pulseColor: w.area.pulseColor ? toColor(w.area.pulseColor) : toColor(w.color)
+    },
+    behaviors: {
+      homing: b.homing && { ...b.homing },
+      piercing: !!b.piercing,
+      bounces: b.bounces || 0,
+      pellets: b.pellets && { count: b.pellets.count, spread: toRadians(b.pellets.spreadDeg) },
+      chain: b.chain && { delay: 0, ...b.chain },
+      slow: b.slow && { ...b.slow }
+    }
+  };
+}
+
+/**
+ * Replace the active weapon set (in place, keeping object identity)
+ */
+function applyWeaponSet(data) {
+  const weapons = data.weapons.map(normalizeWeapon);
+
+  Object.keys(WEAPON_TYPES).forEach(id => delete WEAPON_TYPES[id]);
+  weapons.forEach(w => { WEAPON_TYPES[w.id] = w; });
+
+  TIER_NAMES.forEach(tier => {
+    WEAPON_TIERS[tier] = weapons.filter(w => w.tier === tier).map(w => w.id);
+  });
+
+  ALL_WEAPONS.length = 0;
+  ALL_WEAPONS.push(...Object.keys(WEAPON_TYPES));
+
+  EVOLUTIONS.length = 0;
+  weapons.filter(w => w.evolution).forEach(w => {
+    EVOLUTIONS.push({
+      from: w.evolution.from,
+      buff: w.evolution.buff,
+      effect: ITEM_TYPES[w.evolution.buff]?.effect,
+      into: w.id
+    });
+  });
+}
+
+/**
+ * Fetch config/weapons.json again and swap it in if it validates
+ * @param {string} [url] - Weapon set to load
+ * @returns {Promise<{ok: boolean, count: number, errors: string[]}>}
+ */
+export async function reloadWeapons(url = WEAPONS_URL) {
+  let data;
+  try {
+    const response = await fetch(`${url}?t=${Date.now()}`, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    data = await response.json();
+  } catch (e) {
+    console.error(`[Weapons] Could not load ${url}:`, e.message);
+    return { ok: false, count: 0, errors: [e.message] };
+  }
+
+  const errors = validateWeaponSet(data);
+  if (errors.length > 0) {
+    console.error(`[Weapons] ${url} is invalid, keeping current weapons:\n  ${errors.join('\n  ')}`);
+    return { ok: false, count: 0, errors };
+  }
+
+  applyWeaponSet(data);
+  console.log(`[Weapons] Reloaded ${ALL_WEAPONS.length} weapons from ${url}`);
+  return { ok: true, count: ALL_WEAPONS.length, errors: [] };
+}
+
+// Bundled weapon set - a broken file is reported but still loaded so the game starts
+const bundledErrors = validateWeaponSet(weaponSet);
+if (bundledErrors.length > 0) {
+  console.error(`[Weapons] Bundled weapons.json is invalid:\n  ${bundledErrors.join('\n  ')}`);
+}
+applyWeaponSet(weaponSet);
 
 // Get weapon by ID
 export function getWeapon(id) {
   return WEAPON_TYPES[id] || null;
 }
 
+/**
+ * Stats for a weapon at a level (clamped to 1..maxLevel)
+ * @returns {{damage: number, cooldown: number, count: number, radius: number}}
+ */
+export function getWeaponStats(weaponDef, level = 1) {
+  const index = Math.max(1, Math.min(level, weaponDef.maxLevel)) - 1;
+  return weaponDef.levels[index];
+}
+
+/**
+ * Find the evolution a maxed weapon qualifies for
+ * @param {string} weaponId - Weapon at max level
+ * @param {string[]} activeEffects - Buff effects currently on the ball ('damage', 'ghost', ...)
+ * @returns {Object|null} Recipe { from, buff, effect, into }
+ */
+export function findEvolution(weaponId, activeEffects) {
+  return EVOLUTIONS.find(r => r.from === weaponId && activeEffects.includes(r.effect)) || null;
+}
+
 // Get weapons by type
 export function getWeaponsByType(type) {
   return Object.values(WEAPON_TYPES).filter(w => w.type === type);
@@ -209,13 +266,13 @@ export function getWeaponsByTier(tier) {
 // Get random weapon with tier weighting
 export function getRandomWeapon(tierWeights = { common: 50, uncommon: 30, rare: 15, epic: 5 }) {
   const totalWeight = Object.values(tierWeights).reduce((a, b) => a + b, 0);
-  let roll = Math.random() * totalWeight;
+  let roll = rng.random() * totalWeight;
 
   for (const [tier, weight] of Object.entries(tierWeights)) {
     roll -= weight;
     if (roll <= 0) {
       const tierWeapons = WEAPON_TIERS[tier];
-      const randomId = tierWeapons[Math.floor(Math.random() * tierWeapons.length)];
+      const randomId = rng.pick(tierWeapons);
       return WEAPON_TYPES[randomId];
     }
   }
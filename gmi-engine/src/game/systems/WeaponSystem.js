@@ -1,12 +1,22 @@
 /**
  * WeaponSystem.js - Manages weapon firing, projectiles, melee attacks, and area effects
  *
+ * Weapons are executed from their definition alone (see WeaponDefinitions.js):
+ * the delivery block decides how the attack is made (projectile, melee arc,
+ * orbit / aura passives, area pulse) and every hit goes through hitBall /
+ * hitBoss, which apply the composable behaviors (slow, chain). Boss minions
+ * and parts are hit by every delivery too (hitBossTarget). Damage,
+ * count and radius come from the weapon's level table (getWeaponStats).
+ *
  * Follows the BossSystem pattern for projectile management.
  */
 
-import { WEAPON_TYPES } from './WeaponDefinitions.js';
+import { WEAPON_TYPES, getWeaponStats } from './WeaponDefinitions.js';
 import { gameLog } from './GameLog.js';
 
+// Angle between shots when a non-pellet weapon fires several projectiles
+const MULTISHOT_SPACING = Math.PI / 18;
+
 export class WeaponSystem {
   constructor(scene) {
     this.scene = scene;
@@ -34,13 +44,12 @@ export class WeaponSystem {
     const weaponDef = WEAPON_TYPES[weaponData.id];
     if (!weaponDef) return;
 
-    // Apply level bonuses
-    const level = weaponData.level || 1;
-    const damageMultiplier = 1 + (level - 1) * 0.2; // +20% per level
+    // Apply level table
+    const levelStats = getWeaponStats(weaponDef, weaponData.level || 1);
 
     // Get ball stats
     const stats = inventorySystem?.getStats(ball.name) || { damageMultiplier: 1 };
-    const finalDamage = weaponDef.damage * damageMultiplier * stats.damageMultiplier;
+    const finalDamage = levelStats.damage * stats.damageMultiplier;
 
     // Get firing direction (use ball velocity direction or mount angle)
     const mountAngle = inventorySystem?.getMountAngle(weaponData.mountIndex) || 0;
@@ -50,68 +59,72 @@ export class WeaponSystem {
     // Combine mount angle with movement direction
     const fireAngle = moveAngle + mountAngle;
 
-    switch (weaponDef.type) {
-      case 'projectile':
-        this.fireProjectile(ball, weaponDef, fireAngle, finalDamage, level);
-        break;
-      case 'melee':
-        if (!weaponDef.passive) {
-          this.performMeleeAttack(ball, weaponDef, fireAngle, finalDamage);
-        }
-        break;
-      case 'area':
-        this.triggerAreaEffect(ball, weaponDef, finalDamage);
-        break;
+    // Record for replays
+    this.scene.replayRecorder?.recordEvent('fire', { ball: ball.name, weapon: weaponData.id, angle: Math.round(fireAngle * 100) / 100 });
+
+    // Passive deliveries (orbit, aura) are driven by updatePassiveWeapons
+    if (weaponDef.passive) return;
+
+    if (weaponDef.projectile) {
+      this.fireProjectile(ball, weaponDef, fireAngle, finalDamage, levelStats);
+    } else if (weaponDef.melee) {
+      this.performMeleeAttack(ball, weaponDef, fireAngle, finalDamage, levelStats);
+    } else {
+      this.triggerAreaEffect(ball, weaponDef, finalDamage, levelStats);
     }
   }
 
   /**
    * Fire a projectile weapon
    */
-  fireProjectile(ball, weaponDef, angle, damage, level) {
+  fireProjectile(ball, weaponDef, angle, damage, levelStats) {
     const x = ball.body.position.x;
     const y = ball.body.position.y;
+    const { count, radius } = levelStats;
 
-    // Handle multi-shot weapons (shotgun)
-    if (weaponDef.pelletCount) {
-      const pelletCount = weaponDef.pelletCount + Math.floor(level / 2);
-      const spread = weaponDef.spreadAngle;
-      const angleStep = spread / (pelletCount - 1);
+    // Handle multi-shot weapons (shotgun splits its damage across the pellets)
+    const pellets = weaponDef.behaviors.pellets;
+    if (count > 1) {
+      const spread = pellets ? pellets.spread : MULTISHOT_SPACING * (count - 1);
+      const angleStep = spread / (count - 1);
       const startAngle = angle - spread / 2;
+      const shotDamage = pellets ? damage / count : damage;
 
-      for (let i = 0; i < pelletCount; i++) {
-        const pelletAngle = startAngle + angleStep * i;
-        this.createProjectile(ball, weaponDef, x, y, pelletAngle, damage / pelletCount);
+      for (let i = 0; i < count; i++) {
+        const shotAngle = startAngle + angleStep * i;
+        this.createProjectile(ball, weaponDef, x, y, shotAngle, shotDamage, radius);
       }
     } else {
       // Single projectile
-      this.createProjectile(ball, weaponDef, x, y, angle, damage);
+      this.createProjectile(ball, weaponDef, x, y, angle, damage, radius);
     }
   }
 
   /**
    * Create a single projectile
    */
-  createProjectile(ownerBall, weaponDef, x, y, angle, damage) {
+  createProjectile(ownerBall, weaponDef, x, y, angle, damage, radius = weaponDef.projectile.radius) {
+    const { speed, lifetime } = weaponDef.projectile;
+    const { homing, bounces, piercing } = weaponDef.behaviors;
+
     // Create projectile graphics
     const graphics = this.scene.add.graphics();
-    graphics.fillStyle(weaponDef.projectileColor, 1);
-    graphics.fillCircle(0, 0, weaponDef.projectileRadius);
+    graphics.fillStyle(weaponDef.color, 1);
+    graphics.fillCircle(0, 0, radius);
     graphics.lineStyle(1, 0xffffff, 0.5);
-    graphics.strokeCircle(0, 0, weaponDef.projectileRadius);
+    graphics.strokeCircle(0, 0, radius);
     graphics.x = x;
     graphics.y = y;
 
     // Create physics body
-    const isSensor = weaponDef.isSensor !== false; // Default to sensor (pass through walls)
-    const body = this.scene.matter.add.circle(x, y, weaponDef.projectileRadius, {
+    const isSensor = bounces === 0; // Sensors pass through walls, bouncing shots collide
+    const body = this.scene.matter.add.circle(x, y, radius, {
       isSensor: isSensor,
       label: 'weapon_projectile',
       frictionAir: 0
     });
 
     // Set velocity
-    const speed = weaponDef.projectileSpeed;
     this.scene.matter.body.setVelocity(body, {
       x: Math.cos(angle) * speed,
       y: Math.sin(angle) * speed
@@ -122,15 +135,16 @@ export class WeaponSystem {
       graphics,
       owner: ownerBall.name,
       weaponId: weaponDef.id,
+      weaponDef,
       damage,
-      knockback: weaponDef.knockback || 0,
-      homing: weaponDef.homing || false,
-      homingStrength: weaponDef.homingStrength || 0,
-      bounces: weaponDef.bounces || 0,
-      bouncesRemaining: weaponDef.bounces || 0,
-      piercing: weaponDef.piercing || false,
+      knockback: weaponDef.knockback,
+      homing: !!homing,
+      homingStrength: homing?.strength || 0,
+      bounces,
+      bouncesRemaining: bounces,
+      piercing,
       spawnTime: Date.now(),
-      lifetime: weaponDef.projectileLifetime || 3000
+      lifetime
     };
 
     this.projectiles.push(projectile);
@@ -139,7 +153,7 @@ export class WeaponSystem {
   /**
    * Perform a melee attack
    */
-  performMeleeAttack(ball, weaponDef, angle, damage) {
+  performMeleeAttack(ball, weaponDef, angle, damage, levelStats) {
     const x = ball.body.position.x;
     const y = ball.body.position.y;
 
@@ -147,15 +161,16 @@ export class WeaponSystem {
     const hitbox = {
       owner: ball.name,
       weaponId: weaponDef.id,
+      weaponDef,
       x,
       y,
       angle,
-      range: weaponDef.range,
-      arcAngle: weaponDef.arcAngle,
+      range: levelStats.radius,
+      arcAngle: weaponDef.melee.arc,
       damage,
-      knockback: weaponDef.knockback || 0,
+      knockback: weaponDef.knockback,
       startTime: Date.now(),
-      duration: weaponDef.arcDuration || 150,
+      duration: weaponDef.melee.duration,
       hitTargets: new Set(), // Track who we've hit
       graphics: null
     };
@@ -199,31 +214,30 @@ export class WeaponSystem {
   }
 
   /**
-   * Trigger an area effect
+   * Trigger an area effect - a pulse around the ball, or a chain starting from it
    */
-  triggerAreaEffect(ball, weaponDef, damage) {
+  triggerAreaEffect(ball, weaponDef, damage, levelStats) {
     const x = ball.body.position.x;
     const y = ball.body.position.y;
 
-    if (weaponDef.id === 'FREEZE_AURA') {
-      this.triggerFreezeAura(ball, weaponDef, x, y);
-    } else if (weaponDef.id === 'LIGHTNING') {
-      this.triggerLightning(ball, weaponDef, x, y, damage);
+    if (weaponDef.area) {
+      this.triggerAreaPulse(ball, weaponDef, x, y, damage, levelStats.radius);
+    } else if (weaponDef.behaviors.chain) {
+      this.triggerChain(ball.name, weaponDef, x, y, damage, new Set([ball.name]), levelStats.count);
     }
   }
 
   /**
-   * Trigger freeze aura effect
+   * Hit every enemy inside the area radius
    */
-  triggerFreezeAura(ownerBall, weaponDef, x, y) {
+  triggerAreaPulse(ownerBall, weaponDef, x, y, damage, radius) {
     // Create visual pulse effect
     const graphics = this.scene.add.graphics();
     graphics.fillStyle(weaponDef.color, 0.3);
-    graphics.fillCircle(x, y, weaponDef.effectRadius);
-    graphics.lineStyle(3, weaponDef.pulseColor, 0.8);
-    graphics.strokeCircle(x, y, weaponDef.effectRadius);
+    graphics.fillCircle(x, y, radius);
+    graphics.lineStyle(3, weaponDef.area.pulseColor, 0.8);
+    graphics.strokeCircle(x, y, radius);
 
-    // Find and slow nearby enemy balls
     for (const ball of this.scene.balls) {
       if (ball.name === ownerBall.name || ball.finished || ball.isRespawning) continue;
 
@@ -231,16 +245,20 @@ export class WeaponSystem {
       const dy = ball.body.position.y - y;
       const dist = Math.sqrt(dx * dx + dy * dy);
 
-      if (dist < weaponDef.effectRadius) {
-        // Apply slow effect via inventory system
-        if (this.scene.inventorySystem) {
-          this.scene.inventorySystem.addBuff(ball.name, 'speed', weaponDef.effectDuration, {
-            multiplier: weaponDef.slowAmount
-          });
-        }
+      if (dist < radius) {
+        this.hitBall(ownerBall.name, weaponDef, ball, damage, x, y);
       }
     }
 
+    const boss = this.scene.bossSystem?.isAlive() ? this.scene.bossSystem.boss : null;
+    if (boss && this.distanceToBoss(boss, x, y) < radius) {
+      this.hitBoss(ownerBall.name, weaponDef, damage);
+    }
+
+    for (const target of this.findBossTargetsInRange(x, y, radius)) {
+      this.hitBossTarget(ownerBall.name, target, damage);
+    }
+
     // Fade out effect
     this.scene.tweens.add({
       targets: graphics,
@@ -252,20 +270,22 @@ export class WeaponSystem {
   }
 
   /**
-   * Trigger lightning chain effect
+   * Chain from a point to the nearest unhit targets, one jump at a time
    * Can target both balls and the boss
+   * @param {Set<string>} hitTargets - Ball names (or 'boss') that can't be chained to
+   * @param {number} [count] - Jumps (defaults to the chain behavior's count)
    */
-  triggerLightning(ownerBall, weaponDef, x, y, damage) {
+  triggerChain(ownerName, weaponDef, x, y, damage, hitTargets, count = weaponDef.behaviors.chain.count) {
+    const { range, delay } = weaponDef.behaviors.chain;
     const targets = [];
-    const hitTargets = new Set([ownerBall.name]);
 
     // Find initial targets (balls and boss)
     let currentX = x;
     let currentY = y;
 
-    for (let i = 0; i < weaponDef.chainCount; i++) {
+    for (let i = 0; i < count; i++) {
       let nearest = null;
-      let nearestDist = weaponDef.chainRange;
+      let nearestDist = range;
       let isBoss = false;
 
       // Check balls
@@ -314,7 +334,7 @@ export class WeaponSystem {
     let prevY = y;
 
     targets.forEach((entry, idx) => {
-      this.scene.time.delayedCall(idx * weaponDef.chainDelay, () => {
+      this.scene.time.delayedCall(idx * delay, () => {
         const tx = entry.target.body.position.x;
         const ty = entry.target.body.position.y;
 
@@ -322,11 +342,11 @@ export class WeaponSystem {
         const graphics = this.scene.add.graphics();
         this.drawLightningBolt(graphics, prevX, prevY, tx, ty, weaponDef.color);
 
-        // Apply damage
+        // Chained hits don't start new chains
         if (entry.isBoss) {
-          this.applyDamageToBoss(ownerBall.name, damage);
+          this.hitBoss(ownerName, weaponDef, damage, true);
         } else {
-          this.applyDamageToTarget(ownerBall.name, entry.target, damage, weaponDef.knockback, prevX, prevY);
+          this.hitBall(ownerName, weaponDef, entry.target, damage, prevX, prevY, true);
         }
 
         // Fade out
@@ -497,7 +517,7 @@ export class WeaponSystem {
         // Check if ball is in arc
         if (this.isInMeleeArc(hitbox, ball)) {
           hitbox.hitTargets.add(ball.name);
-          this.applyDamageToTarget(hitbox.owner, ball, hitbox.damage, hitbox.knockback, hitbox.x, hitbox.y);
+          this.hitBall(hitbox.owner, hitbox.weaponDef, ball, hitbox.damage, hitbox.x, hitbox.y);
         }
       }
 
@@ -506,7 +526,16 @@ export class WeaponSystem {
         const boss = this.scene.bossSystem.boss;
         if (boss && this.isInMeleeArcBoss(hitbox, boss)) {
           hitbox.hitTargets.add('boss');
-          this.applyDamageToBoss(hitbox.owner, hitbox.damage);
+          this.hitBoss(hitbox.owner, hitbox.weaponDef, hitbox.damage);
+        }
+      }
+
+      // Check for hits on boss minions and parts
+      for (const target of this.scene.bossSystem?.isAlive() ? this.scene.bossSystem.getTargets() : []) {
+        if (hitbox.hitTargets.has(target.id)) continue;
+        if (this.isInMeleeArc(hitbox, target)) {
+          hitbox.hitTargets.add(target.id);
+          this.hitBossTarget(hitbox.owner, target, hitbox.damage);
         }
       }
 
@@ -521,9 +550,8 @@ export class WeaponSystem {
           hitbox.angle = Math.atan2(vel.y, vel.x);
         }
         // Redraw at new position
-        const weaponDef = WEAPON_TYPES[hitbox.weaponId];
-        if (weaponDef && hitbox.graphics) {
-          this.drawMeleeArc(hitbox, weaponDef.color);
+        if (hitbox.graphics) {
+          this.drawMeleeArc(hitbox, hitbox.weaponDef.color);
         }
       }
 
@@ -532,7 +560,7 @@ export class WeaponSystem {
   }
 
   /**
-   * Check if a ball is within a melee arc
+   * Check if a ball (or a boss minion / part) is within a melee arc
    */
   isInMeleeArc(hitbox, ball) {
     const dx = ball.body.position.x - hitbox.x;
@@ -589,11 +617,11 @@ export class WeaponSystem {
    * @param {number} damage - Amount of damage to deal
    */
   applyDamageToBoss(attackerName, damage) {
-    if (!this.scene.bossSystem?.isAlive()) return;
+    if (!this.scene.bossSystem?.isAlive() || this.scene.bossSystem.isShielded()) return;
 
     const bossSystem = this.scene.bossSystem;
     const boss = bossSystem.boss;
-    const bossDied = bossSystem.takeDamage(damage);
+    const bossDied = bossSystem.takeDamage(damage, attackerName);
 
     // Log the damage (console + game log)
     console.log(`[WEAPON->BOSS] ${attackerName} dealt ${damage} weapon damage to boss`);
@@ -612,7 +640,18 @@ export class WeaponSystem {
   }
 
   /**
-   * Update passive weapons (flail, spike aura)
+   * Drop the passive state (and graphics) of a weapon a ball no longer holds
+   */
+  clearPassiveState(ballName, weaponId) {
+    const state = this.passiveStates.get(ballName)?.get(weaponId);
+    if (!state) return;
+
+    if (state.graphics) state.graphics.destroy();
+    this.passiveStates.get(ballName).delete(weaponId);
+  }
+
+  /**
+   * Update passive weapons (orbit and aura deliveries)
    */
   updatePassiveWeapons(delta) {
     if (!this.scene.inventorySystem) return;
@@ -642,101 +681,61 @@ export class WeaponSystem {
 
         const state = ballStates.get(weapon.id);
 
-        if (weaponDef.id === 'FLAIL') {
-          this.updateFlail(ball, weapon, weaponDef, state, delta);
-        } else if (weaponDef.id === 'SPIKE') {
-          this.updateSpikeAura(ball, weapon, weaponDef, state, delta);
+        // Put away inside no-weapons zones
+        if (this.scene.hazardZoneManager?.isWeaponFree(ball)) {
+          state.graphics.clear();
+          continue;
+        }
+
+        if (weaponDef.orbit) {
+          this.updateOrbitWeapon(ball, weapon, weaponDef, state, delta);
+        } else if (weaponDef.aura) {
+          this.updateAuraWeapon(ball, weapon, weaponDef, state, delta);
         }
       }
     }
   }
 
   /**
-   * Update flail passive weapon
+   * Update an orbiting passive weapon (flail)
    */
-  updateFlail(ball, weapon, weaponDef, state, delta) {
-    const now = Date.now();
+  updateOrbitWeapon(ball, weapon, weaponDef, state, delta) {
+    const { speed, size } = weaponDef.orbit;
+    const { radius } = getWeaponStats(weaponDef, weapon.level);
 
     // Update rotation
-    state.angle += weaponDef.orbitSpeed * (delta / 1000);
+    state.angle += speed * (delta / 1000);
 
-    // Calculate flail position
+    // Calculate head position
     const ballX = ball.body.position.x;
     const ballY = ball.body.position.y;
-    const flailX = ballX + Math.cos(state.angle) * weaponDef.orbitRadius;
-    const flailY = ballY + Math.sin(state.angle) * weaponDef.orbitRadius;
+    const headX = ballX + Math.cos(state.angle) * radius;
+    const headY = ballY + Math.sin(state.angle) * radius;
 
     // Draw flail
     const g = state.graphics;
     g.clear();
     // Chain
     g.lineStyle(2, 0x666666, 1);
-    g.lineBetween(ballX, ballY, flailX, flailY);
+    g.lineBetween(ballX, ballY, headX, headY);
     // Flail head
     g.fillStyle(weaponDef.color, 1);
-    g.fillCircle(flailX, flailY, weaponDef.size);
+    g.fillCircle(headX, headY, size);
     g.lineStyle(1, 0xffffff, 0.5);
-    g.strokeCircle(flailX, flailY, weaponDef.size);
-
-    // Check for hits on balls
-    const damage = weaponDef.damage * (1 + (weapon.level - 1) * 0.2);
-    for (const target of this.scene.balls) {
-      if (target.name === ball.name || target.finished || target.isRespawning) continue;
+    g.strokeCircle(headX, headY, size);
 
-      const dx = target.body.position.x - flailX;
-      const dy = target.body.position.y - flailY;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-
-      if (dist < weaponDef.size + (target.radius || 12)) {
-        // Check hit cooldown
-        const cooldownKey = target.name;
-        const lastHit = state.hitCooldowns.get(cooldownKey) || 0;
-
-        if (now - lastHit >= weaponDef.hitCooldown) {
-          state.hitCooldowns.set(cooldownKey, now);
-          this.applyDamageToTarget(ball.name, target, damage, weaponDef.knockback, flailX, flailY);
-        }
-      }
-    }
-
-    // Check for hits on boss
-    if (this.scene.bossSystem?.isAlive()) {
-      const boss = this.scene.bossSystem.boss;
-      if (boss) {
-        const bossX = boss.body.position.x;
-        const bossY = boss.body.position.y;
-        const bossHalfWidth = boss.width ? boss.width / 2 : 30;
-        const bossHalfHeight = boss.height ? boss.height / 2 : 30;
-
-        // Check if flail overlaps boss rectangle
-        const closestX = Math.max(bossX - bossHalfWidth, Math.min(flailX, bossX + bossHalfWidth));
-        const closestY = Math.max(bossY - bossHalfHeight, Math.min(flailY, bossY + bossHalfHeight));
-        const dx = flailX - closestX;
-        const dy = flailY - closestY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        if (dist < weaponDef.size) {
-          const cooldownKey = 'boss';
-          const lastHit = state.hitCooldowns.get(cooldownKey) || 0;
-
-          if (now - lastHit >= weaponDef.hitCooldown) {
-            state.hitCooldowns.set(cooldownKey, now);
-            this.applyDamageToBoss(ball.name, damage);
-          }
-        }
-      }
-    }
+    this.checkPassiveHits(ball, weapon, weaponDef, state, headX, headY, size);
   }
 
   /**
-   * Update spike aura passive weapon
+   * Update a contact aura passive weapon (spike aura)
    */
-  updateSpikeAura(ball, weapon, weaponDef, state, delta) {
+  updateAuraWeapon(ball, weapon, weaponDef, state, delta) {
     const now = Date.now();
     const ballX = ball.body.position.x;
     const ballY = ball.body.position.y;
     const ballRadius = ball.radius || 12;
-    const auraRadius = ballRadius + weaponDef.auraRadius;
+    const auraRadius = ballRadius + getWeaponStats(weaponDef, weapon.level).radius;
 
     // Draw aura
     const g = state.graphics;
@@ -757,56 +756,135 @@ export class WeaponSystem {
       g.lineBetween(x1, y1, x2, y2);
     }
 
+    this.checkPassiveHits(ball, weapon, weaponDef, state, ballX, ballY, auraRadius);
+  }
+
+  /**
+   * Hit balls and the boss touching a passive weapon's circle, respecting hitCooldown
+   */
+  checkPassiveHits(ball, weapon, weaponDef, state, x, y, radius) {
+    const now = Date.now();
+    const damage = getWeaponStats(weaponDef, weapon.level).damage;
+
     // Check for hits on balls
-    const damage = weaponDef.damage * (1 + (weapon.level - 1) * 0.2);
     for (const target of this.scene.balls) {
       if (target.name === ball.name || target.finished || target.isRespawning) continue;
 
-      const dx = target.body.position.x - ballX;
-      const dy = target.body.position.y - ballY;
+      const dx = target.body.position.x - x;
+      const dy = target.body.position.y - y;
       const dist = Math.sqrt(dx * dx + dy * dy);
 
-      if (dist < auraRadius + (target.radius || 12)) {
+      if (dist < radius + (target.radius || 12)) {
         // Check hit cooldown
-        const cooldownKey = target.name;
-        const lastHit = state.hitCooldowns.get(cooldownKey) || 0;
+        const lastHit = state.hitCooldowns.get(target.name) || 0;
 
         if (now - lastHit >= weaponDef.hitCooldown) {
-          state.hitCooldowns.set(cooldownKey, now);
-          this.applyDamageToTarget(ball.name, target, damage, weaponDef.knockback, ballX, ballY);
+          state.hitCooldowns.set(target.name, now);
+          this.hitBall(ball.name, weaponDef, target, damage, x, y);
         }
       }
     }
 
     // Check for hits on boss
-    if (this.scene.bossSystem?.isAlive()) {
-      const boss = this.scene.bossSystem.boss;
-      if (boss) {
-        const bossX = boss.body.position.x;
-        const bossY = boss.body.position.y;
-        const bossHalfWidth = boss.width ? boss.width / 2 : 30;
-        const bossHalfHeight = boss.height ? boss.height / 2 : 30;
-
-        // Check if aura overlaps boss rectangle
-        const closestX = Math.max(bossX - bossHalfWidth, Math.min(ballX, bossX + bossHalfWidth));
-        const closestY = Math.max(bossY - bossHalfHeight, Math.min(ballY, bossY + bossHalfHeight));
-        const dx = ballX - closestX;
-        const dy = ballY - closestY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
+    const boss = this.scene.bossSystem?.isAlive() ? this.scene.bossSystem.boss : null;
+    if (boss && this.distanceToBoss(boss, x, y) < radius) {
+      const lastHit = state.hitCooldowns.get('boss') || 0;
+
+      if (now - lastHit >= weaponDef.hitCooldown) {
+        state.hitCooldowns.set('boss', now);
+        this.hitBoss(ball.name, weaponDef, damage);
+      }
+    }
 
-        if (dist < auraRadius) {
-          const cooldownKey = 'boss';
-          const lastHit = state.hitCooldowns.get(cooldownKey) || 0;
+    // Check for hits on boss minions and parts
+    for (const target of this.findBossTargetsInRange(x, y, radius)) {
+      const lastHit = state.hitCooldowns.get(target.id) || 0;
 
-          if (now - lastHit >= weaponDef.hitCooldown) {
-            state.hitCooldowns.set(cooldownKey, now);
-            this.applyDamageToBoss(ball.name, damage);
-          }
-        }
+      if (now - lastHit >= weaponDef.hitCooldown) {
+        state.hitCooldowns.set(target.id, now);
+        this.hitBossTarget(ball.name, target, damage);
       }
     }
   }
 
+  /**
+   * Distance from a point to the boss rectangle (0 when inside)
+   */
+  distanceToBoss(boss, x, y) {
+    const bossX = boss.body.position.x;
+    const bossY = boss.body.position.y;
+    const bossHalfWidth = boss.width ? boss.width / 2 : 30;
+    const bossHalfHeight = boss.height ? boss.height / 2 : 30;
+
+    const closestX = Math.max(bossX - bossHalfWidth, Math.min(x, bossX + bossHalfWidth));
+    const closestY = Math.max(bossY - bossHalfHeight, Math.min(y, bossY + bossHalfHeight));
+    const dx = x - closestX;
+    const dy = y - closestY;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Apply one weapon hit to a ball: damage + knockback, then on-hit behaviors
+   * @param {boolean} [chained] - Hit came from a chain jump (won't chain again)
+   */
+  hitBall(attackerName, weaponDef, targetBall, damage, sourceX, sourceY, chained = false) {
+    const { slow, chain } = weaponDef.behaviors;
+
+    // Balls in a no-weapons zone can't be hit
+    if (this.scene.hazardZoneManager?.isWeaponFree(targetBall)) return;
+
+    if (damage > 0) {
+      this.applyDamageToTarget(attackerName, targetBall, damage, weaponDef.knockback, sourceX, sourceY);
+    }
+
+    // Apply slow effect via inventory system
+    if (slow && this.scene.inventorySystem) {
+      this.scene.inventorySystem.addBuff(targetBall.name, 'speed', slow.duration, {
+        multiplier: slow.amount
+      });
+    }
+
+    // Jump on to further targets from the one just hit
+    if (chain && !chained) {
+      const { x, y } = targetBall.body.position;
+      this.triggerChain(attackerName, weaponDef, x, y, damage, new Set([attackerName, targetBall.name]));
+    }
+  }
+
+  /**
+   * Apply one weapon hit to the boss, then chain on if the weapon chains
+   */
+  hitBoss(attackerName, weaponDef, damage, chained = false) {
+    if (damage <= 0 || !this.scene.bossSystem?.isAlive()) return;
+
+    const { x, y } = this.scene.bossSystem.boss.body.position;
+    this.applyDamageToBoss(attackerName, damage);
+
+    if (weaponDef.behaviors.chain && !chained && this.scene.bossSystem.isAlive()) {
+      this.triggerChain(attackerName, weaponDef, x, y, damage, new Set([attackerName, 'boss']));
+    }
+  }
+
+  /**
+   * Apply one weapon hit to a boss minion or part (kills are credited by BossSystem)
+   */
+  hitBossTarget(attackerName, target, damage) {
+    if (damage <= 0 || !this.scene.bossSystem?.isAlive()) return;
+    this.scene.bossSystem.damageTarget(target.body, damage, attackerName);
+  }
+
+  /**
+   * Boss minions and parts whose circle overlaps a point's range
+   */
+  findBossTargetsInRange(x, y, range) {
+    if (!this.scene.bossSystem?.isAlive()) return [];
+    return this.scene.bossSystem.getTargets().filter(target => {
+      const dx = target.x - x;
+      const dy = target.y - y;
+      return Math.sqrt(dx * dx + dy * dy) < range + target.radius;
+    });
+  }
+
   /**
    * Handle projectile collision with a ball
    */
@@ -818,12 +896,12 @@ export class WeaponSystem {
     const stats = this.scene.inventorySystem?.getStats(ball.name);
     if (stats?.isInvincible) return false;
 
-    // Apply damage and knockback
-    this.applyDamageToTarget(
+    // Apply damage, knockback and on-hit behaviors
+    this.hitBall(
       projectile.owner,
+      projectile.weaponDef,
       ball,
       projectile.damage,
-      projectile.knockback,
       projectile.body.position.x,
       projectile.body.position.y
     );
@@ -838,6 +916,35 @@ export class WeaponSystem {
     return false;
   }
 
+  /**
+   * Handle projectile collision with the boss
+   */
+  handleProjectileBossHit(projectile) {
+    this.hitBoss(projectile.owner, projectile.weaponDef, projectile.damage);
+
+    // Destroy projectile if not piercing
+    if (!projectile.piercing) {
+      this.destroyProjectile(projectile);
+      this.projectiles = this.projectiles.filter(p => p !== projectile);
+    }
+  }
+
+  /**
+   * Handle projectile collision with a boss minion or part
+   */
+  handleProjectileBossTargetHit(projectile, targetBody) {
+    const target = this.scene.bossSystem?.getTargets().find(t => t.body === targetBody);
+    if (target) {
+      this.hitBossTarget(projectile.owner, target, projectile.damage);
+    }
+
+    // Destroy projectile if not piercing
+    if (!projectile.piercing) {
+      this.destroyProjectile(projectile);
+      this.projectiles = this.projectiles.filter(p => p !== projectile);
+    }
+  }
+
   /**
    * Handle projectile bouncing off wall
    */
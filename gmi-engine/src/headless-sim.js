@@ -0,0 +1,912 @@
+/**
+ * Headless Simulation Runner - sim-runner.js without a browser
+ *
+ * PURPOSE:
+ * Runs full chains through Matter.js directly in Node (no Phaser, no
+ * Puppeteer, no HTTP server) and emits the same stats structure the
+ * multi-sim page builds, so balance checks run in seconds on CI.
+ *
+ * RULES:
+ * Same as SimRaceScene - equal ball stats, bounce twist, checkpoints and
+ * laps, spawn lanes from the same spawn modes (SpawnLanes.planSpawn),
+ * finish zone with a countdown for stragglers, boss auto-fire damage (with phase shields), instant roulette and
+ * the out-of-bounds / stuck safety nets (all from shared/SimRules.js).
+ * Physics steps at a fixed 60Hz in game time, so a seed always produces
+ * the same stats regardless of machine speed.
+ *
+ * USAGE:
+ *   npm run sim:headless -- --chains 50 --chain mixed --seed 1234 --out stats.json
+ *
+ *   --chains N    Number of chains to run (default 16)
+ *   --chain TYPE  race | boss | mixed | weapons (default mixed)
+ *   --map FILE    Run the map(s) in FILE as the chain instead (editor export,
+ *                 "Export All" bundle or array of maps; repeatable)
+ *   --seed S      Batch seed; chain N runs with hashSeed(S, N) (default random)
+ *   --balls N     Racers per race, 2-32 from the default roster (default 5)
+ *   --spawn MODE  fixed | shuffle | rotate | reverse | stagger (default fixed,
+ *                 like the game's Spawn setting)
+ *   --out FILE    Write stats JSON to FILE (default: stdout)
+ *   --calibration FILE  Also write a SimulationCalibration model fitted on the run
+ *   --report FILE Also write a balance report (lanes, heatmap, obstacles) to
+ *                 FILE.json and FILE.html
+ *   --verbose     Keep per-race system logs
+ *
+ * @module headless-sim
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Engine from 'phaser/src/physics/matter-js/lib/core/Engine.js';
+import Events from 'phaser/src/physics/matter-js/lib/core/Events.js';
+import Composite from 'phaser/src/physics/matter-js/lib/body/Composite.js';
+import Body from 'phaser/src/physics/matter-js/lib/body/Body.js';
+import Bodies from 'phaser/src/physics/matter-js/lib/factory/Bodies.js';
+import Vertices from 'phaser/src/physics/matter-js/lib/geometry/Vertices.js';
+import { CHAIN_RACE_MAPS, CHAIN_BOSS_MAPS, CHAIN_MIXED, CHAIN_WEAPONS_TEST } from './game/systems/MapChain.js';
+import { rng, hashSeed } from './game/systems/RandomSystem.js';
+import { WEAPON_DEFS, SIM_CONFIG, BALL_CONFIG, rollInstantReward } from './shared/SimRules.js';
+import { createSimStats, recordRaceStats, recordChainStats } from './shared/SimStats.js';
+import { buildRoster, clampBallCount, getPositionPoints, DEFAULT_BALL_COUNT } from './shared/Roster.js';
+import { getSpawnPositions, planSpawn, SPAWN_MODES, DEFAULT_SPAWN_MODE } from './game/systems/SpawnLanes.js';
+import { RaceTelemetry, createBalanceReport, recordBalanceRace, summarizeMapBalance, renderBalanceReportHTML } from './shared/BalanceReport.js';
+import { SimulationCalibration } from './game/systems/SimulationCalibration.js';
+import { createPolygonBody } from './shared/PolygonGeometry.js';
+import { SENSOR_BEHAVIORS } from './game/managers/SpecialObstacleManager.js';
+import { LapManager } from './game/managers/LapManager.js';
+
+const CHAINS = {
+  'race': CHAIN_RACE_MAPS,
+  'boss': CHAIN_BOSS_MAPS,
+  'mixed': CHAIN_MIXED,
+  'weapons': CHAIN_WEAPONS_TEST
+};
+
+// Same fixed canvas as sim-runner (map data is authored at this scale)
+const GAME_WIDTH = 800;
+const GAME_HEIGHT = 600;
+const WALL_THICKNESS = 10;
+
+// Fixed physics step (game time)
+const STEP_MS = 1000 / 60;
+
+// ============================================
+// CLI
+// ============================================
+
+function parseArgs(argv) {
+  const options = { chains: 16, chain: 'mixed', maps: [], seed: null, balls: DEFAULT_BALL_COUNT, spawn: DEFAULT_SPAWN_MODE, out: null, calibration: null, report: null, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+    if (arg === '--chains') { options.chains = Math.max(1, parseInt(next) || 1); i++; }
+    else if (arg === '--chain') { options.chain = next; i++; }
+    else if (arg === '--map') { options.maps.push(next); i++; }
+    else if (arg === '--seed') { options.seed = parseInt(next) >>> 0; i++; }
+    else if (arg === '--balls') { options.balls = clampBallCount(parseInt(next)); i++; }
+    else if (arg === '--spawn') { options.spawn = next; i++; }
+    else if (arg === '--out') { options.out = next; i++; }
+    else if (arg === '--calibration') { options.calibration = next; i++; }
+    else if (arg === '--report') { options.report = (next || '').replace(/\.(html|json)$/, ''); i++; }
+    else if (arg === '--verbose') { options.verbose = true; }
+  }
+
+  return options;
+}
+
+// Progress and summary go to stderr so stdout stays pure JSON
+function report(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+/**
+ * Maps in an exported file, flattened to the chain map format
+ */
+function loadMapFile(file) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const maps = Array.isArray(json) ? json : (json.maps || [json]);
+  return maps.map((map, i) => {
+    const data = map.data || map;
+    return {
+      ...data,
+      name: map.name || data.name || `${path.basename(file, '.json')} ${i + 1}`,
+      width: map.width || data.width,
+      height: map.height || data.height
+    };
+  });
+}
+
+// ============================================
+// RACE
+// ============================================
+
+/**
+ * One map of a chain - the headless equivalent of SimRaceScene
+ */
+class HeadlessRace {
+  constructor(chain, mapIndex) {
+    this.chain = chain;
+    this.mapIndex = mapIndex;
+    this.mapData = chain.maps[mapIndex];
+    this.mapName = this.mapData?.name || `Level ${mapIndex + 1}`;
+    this.diagnostics = chain.diagnostics;
+    this.gameWidth = GAME_WIDTH;
+    this.gameHeight = GAME_HEIGHT;
+
+    this.balls = [];
+    this.isRacing = false;
+    this.finishedCount = 0;
+    this.frameCount = 0;
+    this.time = 0;
+    this.countdownEndsAt = null;
+    this.boss = null;
+    this.bossDamageByBall = Object.fromEntries(chain.roster.map(racer => [racer.name, 0]));
+
+    // Reseed per map so any single race can be reproduced from (chainSeed, mapIndex)
+    this.raceSeed = rng.setSeed(hashSeed(chain.seed, mapIndex));
+
+    this.engine = Engine.create();
+    this.engine.gravity.y = 0;
+
+    // Balance telemetry only when a report was asked for
+    this.telemetry = chain.balanceReport
+      ? new RaceTelemetry(this.mapData, { width: GAME_WIDTH, height: GAME_HEIGHT, mapName: this.mapName })
+      : null;
+
+    this.buildMap();
+    this.createBalls();
+    this.setupCollisions();
+  }
+
+  add(body) {
+    Composite.add(this.engine.world, body);
+    return body;
+  }
+
+  remove(body) {
+    Composite.remove(this.engine.world, body);
+  }
+
+  buildMap() {
+    const map = this.mapData;
+
+    // Walls (left, right, top, bottom)
+    const t = WALL_THICKNESS;
+    [
+      [t / 2, GAME_HEIGHT / 2, t, GAME_HEIGHT],
+      [GAME_WIDTH - t / 2, GAME_HEIGHT / 2, t, GAME_HEIGHT],
+      [GAME_WIDTH / 2, t / 2, GAME_WIDTH, t],
+      [GAME_WIDTH / 2, GAME_HEIGHT - t / 2, GAME_WIDTH, t]
+    ].forEach(([x, y, w, h]) => {
+      this.add(Bodies.rectangle(x, y, w, h, { isStatic: true, label: 'wall' }));
+    });
+
+    (map.obstacles || []).forEach((obs, index) => {
+      // Boost pads and portals don't collide; their effects aren't simulated
+      if (SENSOR_BEHAVIORS.includes(obs.behavior)) return;
+
+      let body;
+      if (obs.type === 'circle') {
+        body = Bodies.circle(obs.x, obs.y, obs.radius, {
+          isStatic: true,
+          friction: 0,
+          restitution: 1,
+          label: 'obstacle'
+        });
+      } else if (obs.type === 'polygon') {
+        body = createPolygonBody({ Body, Vertices }, obs, {
+          isStatic: true,
+          friction: 0,
+          restitution: 1,
+          label: 'obstacle'
+        });
+        if (!body) return;
+        if (obs.angle) Body.setAngle(body, obs.angle * Math.PI / 180);
+      } else {
+        const width = obs.width || 50;
+        const height = obs.height || 20;
+        body = Bodies.rectangle(obs.x + width / 2, obs.y + height / 2, width, height, {
+          isStatic: true,
+          friction: 0,
+          restitution: 1,
+          angle: (obs.angle || 0) * Math.PI / 180,
+          label: 'obstacle'
+        });
+      }
+
+      // Index into map.obstacles for per-obstacle telemetry
+      body.obstacleIndex = index;
+      this.add(body);
+    });
+
+    this.finishZone = map.finishZone || null;
+    this.spawnZone = map.startZone || null;
+
+    // Checkpoints, laps and track progress for ranking timed-out balls (same as SimRaceScene)
+    this.lapManager = new LapManager(this);
+    this.lapManager.setup({
+      checkpoints: map.checkpoints || [],
+      laps: map.laps || 1,
+      finishZone: this.finishZone,
+      spawn: this.spawnZone
+        ? { x: this.spawnZone.x + this.spawnZone.width / 2, y: this.spawnZone.y + this.spawnZone.height / 2 }
+        : { x: GAME_WIDTH / 2, y: GAME_HEIGHT - 60 },
+      obstacles: map.obstacles || [],
+      animatedIds: new Set(Object.keys(map.animations || {}))
+    });
+  }
+
+  spawnBoss() {
+    const cfg = this.mapData.bossConfig;
+    const scaleY = GAME_HEIGHT / (this.mapData.height || 600);
+    const width = cfg.width || 80;
+    const height = cfg.height || 80;
+    const health = cfg.health || 100;
+
+    const body = this.add(Bodies.rectangle(cfg.x, cfg.y * scaleY, width, height, {
+      isStatic: true,
+      label: 'boss'
+    }));
+
+    // Phase shields (see BossSystem PHASES), highest threshold first
+    const shields = (cfg.phases || [])
+      .filter(phase => phase.shield > 0)
+      .map(phase => ({ hpThreshold: phase.hpThreshold ?? 1, duration: phase.shield }))
+      .sort((a, b) => b.hpThreshold - a.hpThreshold);
+
+    this.boss = { body, width, height, health, maxHealth: health, isAlive: true, shields, shieldUntil: 0 };
+    this.checkBossShields();
+  }
+
+  // Raise the shield of every phase whose HP threshold has been crossed
+  checkBossShields() {
+    const boss = this.boss;
+    while (boss.shields.length > 0 && boss.health / boss.maxHealth <= boss.shields[0].hpThreshold) {
+      boss.shieldUntil = this.time + boss.shields.shift().duration;
+    }
+  }
+
+  createBalls() {
+    const count = this.chain.roster.length;
+    const radius = BALL_CONFIG.radius;
+    const scaleY = GAME_HEIGHT / (this.mapData?.height || 600);
+
+    const zone = this.spawnZone && {
+      ...this.spawnZone,
+      y: this.spawnZone.y * scaleY,
+      height: this.spawnZone.height * scaleY
+    };
+    const positions = getSpawnPositions(count, { zone, width: GAME_WIDTH, spawnY: GAME_HEIGHT - 60, radius })
+      .map(pos => ({ x: pos.x, y: Math.min(pos.y, GAME_HEIGHT - radius - 10) }));
+
+    // Lanes for the chain's spawn mode (same plan as RaceScene.applySpawnPlan)
+    this.spawnPlan = planSpawn(this.chain.roster.map(racer => racer.name), this.chain.spawnMode, {
+      seed: this.raceSeed,
+      levelIndex: this.mapIndex,
+      standings: Object.entries(this.chain.cumulativePoints).map(([name, points]) => ({ name, points })),
+      // Lanes further along the track are better (progress before the first checkpoint)
+      laneScores: positions.map(p => this.lapManager.getProgress({ lap: 1, nextCheckpoint: 0 }, p.x, p.y) ?? 0)
+    });
+
+    this.chain.roster.forEach(colorData => {
+      const lane = this.spawnPlan.lanes[colorData.name];
+      this.telemetry?.setLane(colorData.name, lane);
+
+      const body = this.add(Bodies.circle(positions[lane].x, positions[lane].y, radius, {
+        restitution: SIM_CONFIG.ball.restitution,
+        friction: SIM_CONFIG.ball.friction,
+        frictionAir: SIM_CONFIG.ball.frictionAir,
+        label: 'ball'
+      }));
+
+      // EQUAL STATS for all balls - weapons are the only difference
+      const ballWeapons = this.chain.weaponStats.ballWeapons[colorData.name] || [];
+
+      this.balls.push({
+        body,
+        name: colorData.name,
+        finished: false,
+        finishPosition: null,
+        hp: SIM_CONFIG.ball.hp,
+        speed: 1.0,
+        damage: SIM_CONFIG.ball.baseDamage,
+        weapons: ballWeapons.map(id => ({ id, def: WEAPON_DEFS[id], lastFired: 0, damageDealt: 0 })),
+        buffs: [],
+        lastCollisionDamage: 0,
+        stuckFrames: 0,
+        lastPosition: { x: body.position.x, y: body.position.y },
+        spawnLane: lane,
+        startOffset: 0,
+        finishTime: null,
+        timedOut: false
+      });
+      const ball = this.balls[this.balls.length - 1];
+      this.lapManager.initBall(ball);
+
+      const delay = this.spawnPlan.delays[colorData.name];
+      if (delay > 0) this.holdBall(ball, delay);
+    });
+  }
+
+  /**
+   * Keep a time-trial ball out of play at the start line until its release
+   */
+  holdBall(ball, delay) {
+    ball.held = true;
+    ball.releaseAt = delay;
+    Body.setStatic(ball.body, true);
+    ball.body.collisionFilter = { group: -1, category: 0x0002, mask: 0 };
+  }
+
+  /**
+   * Start held time-trial balls whose release time has come; their own clock starts now
+   */
+  releaseHeldBalls() {
+    this.balls.forEach(ball => {
+      if (!ball.held || this.time < ball.releaseAt) return;
+
+      ball.held = false;
+      ball.startOffset = this.time / 1000;
+      Body.setStatic(ball.body, false);
+      ball.body.collisionFilter = { group: 0, category: 0x0001, mask: 0xFFFFFFFF };
+      this.launchBall(ball);
+    });
+  }
+
+  /**
+   * Time trial: rank finishers by their own time instead of crossing order
+   */
+  rankByOwnTime() {
+    const inTime = this.balls.filter(b => b.finished && !b.timedOut).sort((a, b) => a.finishTime - b.finishTime);
+    const timedOut = this.balls.filter(b => b.finished && b.timedOut).sort((a, b) => a.finishPosition - b.finishPosition);
+    [...inTime, ...timedOut].forEach((ball, index) => {
+      ball.finishPosition = index + 1;
+    });
+  }
+
+  setupCollisions() {
+    Events.on(this.engine, 'collisionStart', (event) => {
+      if (!this.isRacing) return;
+
+      event.pairs.forEach(pair => {
+        const ballBody = pair.bodyA.label === 'ball' ? pair.bodyA :
+                        (pair.bodyB.label === 'ball' ? pair.bodyB : null);
+        const otherBody = ballBody === pair.bodyA ? pair.bodyB : pair.bodyA;
+
+        if (!ballBody) return;
+
+        const ball = this.balls.find(b => b.body === ballBody);
+        if (!ball || ball.finished) return;
+
+        if (otherBody.label === 'obstacle') {
+          // Polygon obstacles collide through their convex parts
+          this.telemetry?.recordCollision(ball.name, otherBody.parent.obstacleIndex, this.time);
+        }
+
+        // Bounce with randomness
+        const vel = ballBody.velocity;
+        const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+        if (speed <= 0.1) return;
+
+        const effectiveSpeed = SIM_CONFIG.ball.defaultSpeed * (ball.speed || 1.0);
+        const twist = rng.range(-0.3, 0.3);
+
+        let newAngle;
+        if (otherBody.label === 'wall' || otherBody.label === 'obstacle') {
+          const normal = pair.collision.normal;
+          const dot = vel.x * normal.x + vel.y * normal.y;
+          newAngle = Math.atan2(vel.y - 2 * dot * normal.y, vel.x - 2 * dot * normal.x) + twist;
+        } else {
+          newAngle = Math.atan2(vel.y, vel.x) + Math.PI + twist;
+        }
+
+        Body.setVelocity(ballBody, {
+          x: Math.cos(newAngle) * effectiveSpeed,
+          y: Math.sin(newAngle) * effectiveSpeed
+        });
+      });
+    });
+  }
+
+  startRace() {
+    this.isRacing = true;
+
+    this.balls.forEach(ball => {
+      if (!ball.held) this.launchBall(ball);
+    });
+  }
+
+  launchBall(ball) {
+    const speed = SIM_CONFIG.ball.defaultSpeed * (ball.speed || 1.0);
+    const angle = -Math.PI / 2 + rng.range(-0.25, 0.25); // Mostly upward
+    Body.setVelocity(ball.body, { x: Math.cos(angle) * speed, y: Math.sin(angle) * speed });
+  }
+
+  /**
+   * Step until the race is decided
+   * @returns {Object} Race result entry (as pushed to raceResults)
+   */
+  run() {
+    this.startRace();
+
+    while (this.isRacing) {
+      this.step();
+    }
+
+    if (this.telemetry) {
+      recordBalanceRace(this.chain.balanceReport, this.telemetry.finish(this.result.results, this.time));
+    }
+
+    return this.result;
+  }
+
+  step() {
+    this.time += STEP_MS;
+    this.frameCount++;
+
+    if (this.mapData.bossConfig && !this.boss && this.time >= SIM_CONFIG.race.bossSpawnDelayMs) {
+      this.spawnBoss();
+    }
+
+    this.releaseHeldBalls();
+    Engine.update(this.engine, STEP_MS);
+    if (!this.isRacing) return;
+
+    this.telemetry?.sample(this.balls.map(ball => (ball.finished || ball.held || !ball.body ? null : ball.body.position)));
+
+    this.checkOutOfBounds();
+    this.checkStuckBalls();
+    this.checkRaceTimeout();
+
+    if (this.finishZone) {
+      this.checkFinishZone();
+      if (!this.isRacing) return;
+    }
+
+    if (this.boss?.isAlive) {
+      this.updateAutoFire();
+    }
+  }
+
+  checkFinishZone() {
+    const fz = this.finishZone;
+    const raceTime = this.time / 1000;
+
+    this.balls.forEach(ball => {
+      if (ball.finished || ball.held) return;
+      const pos = ball.body.position;
+      const inFinish = pos.x >= fz.x && pos.x <= fz.x + fz.width &&
+        pos.y >= fz.y && pos.y <= fz.y + fz.height;
+
+      // Laps decide whether reaching the finish ends this ball's race
+      if (this.lapManager.update(ball, pos.x, pos.y, inFinish, raceTime)) {
+        ball.finishTime = raceTime - ball.startOffset;
+        this.finishBall(ball);
+      }
+    });
+
+    if (this.finishedCount >= this.balls.length) {
+      this.onRaceComplete();
+      return;
+    }
+
+    // Start countdown when half have finished
+    const halfCount = Math.ceil(this.balls.length / 2);
+    if (this.countdownEndsAt === null && this.finishedCount >= halfCount) {
+      this.countdownEndsAt = this.time + SIM_CONFIG.race.countdownSeconds * 1000;
+    }
+
+    if (this.countdownEndsAt !== null && this.time >= this.countdownEndsAt) {
+      this.forceFinishRemaining();
+    }
+  }
+
+  finishBall(ball) {
+    ball.finished = true;
+    this.finishedCount++;
+    ball.finishPosition = this.finishedCount;
+
+    // Remove ball from physics world so it doesn't block others
+    if (ball.body) {
+      this.remove(ball.body);
+    }
+  }
+
+  // Unfinished balls sorted by track progress, closest to finish first
+  // (bodiless or unreachable balls last)
+  getUnfinishedByProgress() {
+    const progressOf = (ball) => {
+      const pos = ball.body?.position;
+      return pos ? (this.lapManager.getProgress(ball, pos.x, pos.y) ?? -1) : -1;
+    };
+    return this.balls
+      .filter(b => !b.finished)
+      .sort((a, b) => progressOf(b) - progressOf(a));
+  }
+
+  forceFinishRemaining() {
+    this.getUnfinishedByProgress().forEach(ball => {
+      ball.timedOut = true;
+      this.finishBall(ball);
+    });
+    this.onRaceComplete();
+  }
+
+  // Check for balls that have escaped the map and respawn them
+  checkOutOfBounds() {
+    const margin = SIM_CONFIG.safety.outOfBoundsMargin;
+
+    this.balls.forEach(ball => {
+      if (ball.finished || !ball.body) return;
+
+      const pos = ball.body.position;
+      const isOutOfBounds =
+        pos.x < -margin || pos.x > GAME_WIDTH + margin ||
+        pos.y < -margin || pos.y > GAME_HEIGHT + margin ||
+        !isFinite(pos.x) || !isFinite(pos.y);
+      if (!isOutOfBounds) return;
+
+      this.diagnostics.outOfBoundsRespawns++;
+      this.diagnostics.events.push({
+        type: 'outOfBounds',
+        ball: ball.name,
+        position: { x: pos.x, y: pos.y },
+        map: this.mapName,
+        raceTime: Math.round(this.time)
+      });
+
+      // Respawn at a safe position near center of map
+      const safeX = GAME_WIDTH / 2 + rng.range(-50, 50);
+      const safeY = GAME_HEIGHT / 2 + rng.range(-50, 50);
+      Body.setPosition(ball.body, { x: safeX, y: safeY });
+      Body.setVelocity(ball.body, { x: rng.range(-2, 2), y: -2 });
+
+      ball.stuckFrames = 0;
+      ball.lastPosition = { x: safeX, y: safeY };
+    });
+  }
+
+  // Check for balls that are stuck (not moving) and push them
+  checkStuckBalls() {
+    if (this.frameCount % SIM_CONFIG.safety.stuckCheckInterval !== 0) return;
+
+    this.balls.forEach(ball => {
+      if (ball.finished || ball.held || !ball.body) return;
+
+      const pos = ball.body.position;
+      const dx = pos.x - ball.lastPosition.x;
+      const dy = pos.y - ball.lastPosition.y;
+
+      if (Math.sqrt(dx * dx + dy * dy) < SIM_CONFIG.safety.stuckMinMovement) {
+        ball.stuckFrames++;
+        if (ball.stuckFrames >= SIM_CONFIG.safety.stuckThreshold) {
+          this.diagnostics.stuckPushes++;
+          this.telemetry?.recordStuckPush(pos);
+          this.diagnostics.events.push({
+            type: 'stuckPush',
+            ball: ball.name,
+            position: { x: pos.x, y: pos.y },
+            map: this.mapName,
+            raceTime: Math.round(this.time)
+          });
+
+          // Random push with a slight upward bias toward the finish
+          Body.setVelocity(ball.body, { x: rng.range(-4, 4), y: rng.range(-4, 4) - 2 });
+          ball.stuckFrames = 0;
+        }
+      } else {
+        ball.stuckFrames = 0;
+      }
+
+      ball.lastPosition = { x: pos.x, y: pos.y };
+    });
+  }
+
+  // Race timeout - force complete if it runs too long in game time
+  checkRaceTimeout() {
+    if (this.time <= SIM_CONFIG.safety.headlessRaceTimeoutMs) return;
+
+    this.diagnostics.raceTimeouts++;
+    this.telemetry?.recordTimeout();
+
+    this.getUnfinishedByProgress().forEach(ball => {
+      const hadBody = !!ball.body;
+      this.diagnostics.forceFinishedBalls++;
+      if (!hadBody) this.diagnostics.ballsWithoutBody++;
+      this.diagnostics.events.push({
+        type: 'forceFinish',
+        ball: ball.name,
+        hadBody,
+        position: hadBody ? { x: ball.body.position.x, y: ball.body.position.y } : null,
+        map: this.mapName,
+        raceTime: Math.round(this.time)
+      });
+      ball.timedOut = true;
+      this.finishBall(ball);
+    });
+
+    this.onRaceComplete();
+  }
+
+  // Each ball rams and fires its weapons at the boss (same model as SimRaceScene)
+  updateAutoFire() {
+    const bossPos = this.boss.body.position;
+    const bossSize = this.boss.width || 100;
+    const now = this.time;
+
+    for (const ball of this.balls) {
+      if (ball.finished || ball.held || !ball.body) continue;
+
+      const dx = ball.body.position.x - bossPos.x;
+      const dy = ball.body.position.y - bossPos.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      // Base collision damage (equal for all)
+      if (dist < bossSize + 30 && now - ball.lastCollisionDamage > SIM_CONFIG.race.bossCollisionCooldownMs) {
+        ball.lastCollisionDamage = now;
+        if (this.dealBossDamage(ball, ball.damage, 'collision')) return;
+      }
+
+      for (const weapon of ball.weapons) {
+        if (!weapon.def) continue;
+        if (now - weapon.lastFired < (weapon.def.cooldown || 1000)) continue;
+
+        const range = weapon.def.range || (weapon.def.type === 'melee' ? 80 : 200);
+        if (dist > range) continue;
+
+        weapon.lastFired = now;
+
+        let damage = weapon.def.damage || 5;
+        if (ball.buffs.includes('DAMAGE_BUFF')) damage *= 2;
+
+        weapon.damageDealt += damage;
+        if (this.dealBossDamage(ball, damage, weapon.id)) return;
+      }
+    }
+  }
+
+  /**
+   * @returns {boolean} True if this hit killed the boss
+   */
+  dealBossDamage(ball, damage, source) {
+    if (this.time < this.boss.shieldUntil) return false;
+
+    const weaponStats = this.chain.weaponStats;
+    this.bossDamageByBall[ball.name] = (this.bossDamageByBall[ball.name] || 0) + damage;
+    weaponStats.damageDealt[source] = (weaponStats.damageDealt[source] || 0) + damage;
+
+    this.boss.health -= damage;
+    if (this.boss.health > 0) {
+      this.checkBossShields();
+      return false;
+    }
+
+    this.boss.isAlive = false;
+    this.remove(this.boss.body);
+    this.onBossDefeated();
+    return true;
+  }
+
+  onBossDefeated() {
+    if (!this.isRacing) return;
+    this.isRacing = false;
+
+    // Rank balls by damage dealt to boss (most damage = 1st place)
+    const results = Object.entries(this.bossDamageByBall)
+      .sort((a, b) => b[1] - a[1])
+      .map(([name], idx) => ({ name, position: idx + 1 }));
+
+    this.awardPoints(results);
+    this.result = {
+      level: this.mapIndex + 1,
+      mapName: this.mapName,
+      winner: results[0]?.name,
+      results,
+      seed: this.raceSeed,
+      spawnLanes: this.spawnPlan.lanes,
+      isBoss: true,
+      bossDamage: this.bossDamageByBall
+    };
+  }
+
+  onRaceComplete() {
+    if (!this.isRacing) return;
+    this.isRacing = false;
+
+    if (this.spawnPlan.mode === 'stagger') {
+      this.rankByOwnTime();
+    }
+
+    const results = [...this.balls]
+      .sort((a, b) => {
+        if (a.finished && b.finished) return a.finishPosition - b.finishPosition;
+        if (a.finished) return -1;
+        if (b.finished) return 1;
+        return 0;
+      })
+      .map((ball, idx) => ({ name: ball.name, position: idx + 1 }));
+
+    this.awardPoints(results);
+    this.result = {
+      level: this.mapIndex + 1,
+      mapName: this.mapName,
+      winner: results[0]?.name,
+      results,
+      seed: this.raceSeed,
+      spawnLanes: this.spawnPlan.lanes,
+      rouletteAwards: this.runInstantRoulette(results)
+    };
+  }
+
+  awardPoints(results) {
+    results.forEach((r, idx) => {
+      this.chain.cumulativePoints[r.name] += getPositionPoints(idx + 1, results.length);
+    });
+  }
+
+  // Instant roulette - assign weapons based on placement (no animation)
+  runInstantRoulette(results) {
+    const weaponStats = this.chain.weaponStats;
+
+    return results.map(result => {
+      const { tier, weaponId } = rollInstantReward(result.position, results.length);
+      weaponStats.awarded[weaponId] = (weaponStats.awarded[weaponId] || 0) + 1;
+      weaponStats.ballWeapons[result.name].push(weaponId);
+
+      return {
+        ballName: result.name,
+        position: result.position,
+        tier,
+        weaponId,
+        weaponName: WEAPON_DEFS[weaponId]?.name || weaponId
+      };
+    });
+  }
+}
+
+// ============================================
+// CHAIN
+// ============================================
+
+/**
+ * Run one chain and feed its races into the batch stats
+ * @param {number} simId - 0-based simulation index
+ * @param {Array} maps - Chain map data
+ * @param {number} seed - Chain seed
+ * @param {Object} stats - Batch stats (shared/SimStats.js)
+ * @param {Array} roster - Racers (shared/Roster.js)
+ * @param {Object|null} balanceReport - Balance report to feed (shared/BalanceReport.js)
+ * @param {string} [spawnMode] - Key of SPAWN_MODES every race of the chain spawns with
+ */
+function runChain(simId, maps, seed, stats, roster, balanceReport = null, spawnMode = DEFAULT_SPAWN_MODE) {
+  const perBall = (factory) => Object.fromEntries(roster.map(racer => [racer.name, factory()]));
+  const chain = {
+    maps,
+    seed,
+    roster,
+    balanceReport,
+    spawnMode,
+    cumulativePoints: perBall(() => 0),
+    raceResults: [],
+    weaponStats: { awarded: {}, damageDealt: {}, ballWeapons: perBall(() => []) },
+    diagnostics: {
+      outOfBoundsRespawns: 0,
+      stuckPushes: 0,
+      raceTimeouts: 0,
+      forceFinishedBalls: 0,
+      ballsWithoutBody: 0,
+      events: []
+    }
+  };
+
+  maps.forEach((map, mapIndex) => {
+    const race = new HeadlessRace(chain, mapIndex).run();
+    chain.raceResults.push(race);
+
+    recordRaceStats(stats, {
+      simId: String(simId),
+      seed: race.seed,
+      winner: race.winner,
+      level: race.level,
+      totalLevels: maps.length,
+      mapName: race.mapName,
+      results: race.results,
+      spawnLanes: race.spawnLanes
+    });
+  });
+
+  const standings = Object.entries(chain.cumulativePoints)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, points], idx) => ({ name, points, position: idx + 1 }));
+
+  recordChainStats(stats, {
+    simId: String(simId),
+    seed,
+    winner: standings[0]?.name,
+    standings,
+    raceResults: chain.raceResults,
+    weaponStats: chain.weaponStats,
+    diagnostics: { ...chain.diagnostics, events: chain.diagnostics.events.slice(-20) }
+  });
+
+  return standings[0]?.name;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  // A missing name would swallow the next flag (--report --out x.json -> --out.html)
+  if (options.report !== null && (!options.report || options.report.startsWith('--'))) {
+    report('[HeadlessSim] --report needs a file name');
+    process.exit(1);
+  }
+  if (!SPAWN_MODES[options.spawn]) {
+    report(`Unknown spawn mode "${options.spawn}" (expected: ${Object.keys(SPAWN_MODES).join(', ')})`);
+    process.exit(1);
+  }
+  let maps = CHAINS[options.chain];
+  if (options.maps.length > 0) {
+    try {
+      maps = options.maps.flatMap(loadMapFile);
+    } catch (err) {
+      report(`[HeadlessSim] ${err.message}`);
+      process.exit(1);
+    }
+    options.chain = options.maps.map(file => path.basename(file)).join(' + ');
+  }
+  if (!maps || maps.length === 0) {
+    report(`Unknown chain "${options.chain}" (expected: ${Object.keys(CHAINS).join(', ')})`);
+    process.exit(1);
+  }
+
+  // System modules log per race - only keep that noise when asked
+  const log = console.log;
+  if (!options.verbose) console.log = () => {};
+
+  const baseSeed = options.seed ?? rng.generateSeed();
+  const roster = buildRoster([], options.balls);
+  const ballNames = roster.map(racer => racer.name);
+  const stats = createSimStats(baseSeed, ballNames, options.spawn);
+  const balanceReport = options.report ? createBalanceReport(baseSeed, options.spawn) : null;
+  const startTime = Date.now();
+
+  report(`[HeadlessSim] ${options.chains} x ${options.chain} chain (${maps.length} maps), ${roster.length} balls, ${options.spawn} spawn, seed ${baseSeed}`);
+
+  for (let simId = 0; simId < options.chains; simId++) {
+    const winner = runChain(simId, maps, hashSeed(baseSeed, simId), stats, roster, balanceReport, options.spawn);
+    report(`[HeadlessSim] Chain ${simId + 1}/${options.chains} winner: ${winner}`);
+  }
+
+  console.log = log;
+
+  const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+  report(`[HeadlessSim] Done in ${seconds}s - ${stats.totalChains} chains, ${stats.totalRaces} races`);
+  ballNames.forEach(name => {
+    const rate = (stats.chainWins[name] / stats.totalChains * 100).toFixed(1);
+    report(`  ${name.padEnd(9)} chains ${String(stats.chainWins[name]).padStart(4)} (${rate}%)  races ${stats.raceWins[name]}`);
+  });
+
+  const json = JSON.stringify(stats, null, 2);
+  if (options.out) {
+    fs.writeFileSync(options.out, json);
+    report(`[HeadlessSim] Stats written to ${options.out}`);
+  } else {
+    process.stdout.write(`${json}\n`);
+  }
+
+  if (options.calibration) {
+    fs.writeFileSync(options.calibration, JSON.stringify(SimulationCalibration.fit(stats)));
+    report(`[HeadlessSim] Calibration written to ${options.calibration}`);
+  }
+
+  if (balanceReport) {
+    Object.values(balanceReport.maps).map(summarizeMapBalance).forEach(map => {
+      const lanes = map.lanes.map(lane => `${(lane.winRate * 100).toFixed(0)}%`).join('/');
+      report(`  ${map.mapName}: avg ${(map.avgDuration / 1000).toFixed(1)}s, lane wins ${lanes}, ${map.traps} traps, ${map.stuckPushes} stuck pushes`);
+    });
+    fs.writeFileSync(`${options.report}.json`, JSON.stringify(balanceReport));
+    fs.writeFileSync(`${options.report}.html`, renderBalanceReportHTML(balanceReport));
+    report(`[HeadlessSim] Balance report (${options.spawn} spawn) written to ${options.report}.html and ${options.report}.json`);
+  }
+}
+
+main();
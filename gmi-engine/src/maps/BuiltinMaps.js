@@ -124,3 +124,40 @@ export const BUILTIN_BREAKABLE_MAP = {
     { id: "rotating", type: "rectangle", x: 400, y: 250, width: 120, height: 15, color: "#3498db", behavior: "rotating", rotationSpeed: 2, rotationDirection: "cw" }
   ]
 };
+
+// Built-in test map - CIRCUIT (3 laps)
+// Ring track around a central island. Balls start right of the finish line and
+// have to pass the left, top and right checkpoints in order before each lap counts
+export const BUILTIN_CIRCUIT_MAP = {
+  id: "builtin-circuit-test",
+  name: "Circuit Laps Test (Built-in)",
+  createdAt: Date.now(),
+  updatedAt: Date.now(),
+  width: 800,
+  height: 600,
+  startZone: { x: 440, y: 470, width: 140, height: 60 },
+  finishZone: { x: 370, y: 420, width: 30, height: 160 },
+  checkpoints: [
+    { x: 20, y: 285, width: 180, height: 30 },
+    { x: 385, y: 20, width: 30, height: 160 },
+    { x: 600, y: 285, width: 180, height: 30 }
+  ],
+  laps: 3,
+
+  obstacles: [
+    // ========== OUTER WALLS ==========
+    { id: "wall-top", type: "rectangle", x: 0, y: 0, width: 800, height: 20, color: "#2d3748", behavior: "static" },
+    { id: "wall-bottom", type: "rectangle", x: 0, y: 580, width: 800, height: 20, color: "#2d3748", behavior: "static" },
+    { id: "wall-left", type: "rectangle", x: 0, y: 20, width: 20, height: 560, color: "#2d3748", behavior: "static" },
+    { id: "wall-right", type: "rectangle", x: 780, y: 20, width: 20, height: 560, color: "#2d3748", behavior: "static" },
+
+    // ========== CENTRAL ISLAND ==========
+    { id: "island", type: "rectangle", x: 200, y: 180, width: 400, height: 240, color: "#4a5568", behavior: "static" },
+
+    // ========== CORNER BUMPERS ==========
+    { id: "bumper-bl", type: "circle", x: 110, y: 500, radius: 25, color: "#f39c12", behavior: "static" },
+    { id: "bumper-tl", type: "circle", x: 110, y: 100, radius: 25, color: "#f39c12", behavior: "static" },
+    { id: "bumper-tr", type: "circle", x: 690, y: 100, radius: 25, color: "#f39c12", behavior: "static" },
+    { id: "bumper-br", type: "circle", x: 690, y: 500, radius: 25, color: "#f39c12", behavior: "static" }
+  ]
+};
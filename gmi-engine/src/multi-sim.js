@@ -6,21 +6,16 @@
 
 import { getMapStorage } from './shared/MapStorage.js';
 import { mapChain, CHAIN_RACE_MAPS, CHAIN_BOSS_MAPS, CHAIN_MIXED, CHAIN_WEAPONS_TEST } from './game/systems/MapChain.js';
+import { rng, hashSeed } from './game/systems/RandomSystem.js';
+import { createSimStats, recordRaceStats, recordChainStats } from './shared/SimStats.js';
+import { buildRoster, clampBallCount, DEFAULT_BALL_COUNT } from './shared/Roster.js';
+import { createBalanceReport, recordBalanceRace, renderBalanceReportHTML } from './shared/BalanceReport.js';
+import { SimulationCalibration, saveCalibration } from './game/systems/SimulationCalibration.js';
 
 // ============================================
 // CONFIGURATION
 // ============================================
 
-const BALL_COLORS = {
-  Red: '#e74c3c',
-  Blue: '#3498db',
-  Green: '#2ecc71',
-  Yellow: '#f1c40f',
-  Purple: '#9b59b6'
-};
-
-const BALL_NAMES = ['Red', 'Blue', 'Green', 'Yellow', 'Purple'];
-
 // Built-in chains for selection
 // Built-in chains matching main game dropdown
 const BUILT_IN_CHAINS = {
@@ -39,6 +34,7 @@ class MultiSimManager {
     this.simCount = 16;
     this.timeScale = 4;
     this.visualMode = false;
+    this.baseSeed = null; // Sim N runs with hashSeed(baseSeed, N)
     this.selectedChainId = 'weapons';
     this.isRunning = false;
     this.completedChains = 0;
@@ -48,25 +44,13 @@ class MultiSimManager {
     this.availableChains = [];
     this.iframes = [];
 
-    // Statistics
-    this.stats = {
-      chainWins: { Red: 0, Blue: 0, Green: 0, Yellow: 0, Purple: 0 },
-      raceWins: { Red: 0, Blue: 0, Green: 0, Yellow: 0, Purple: 0 },
-      totalRaces: 0,
-      totalChains: 0,
-      recentFinishes: [],
-      // Detailed per-map stats
-      mapStats: {},  // mapName -> { wins: {ball: count}, placements: {ball: [positions]} }
-      // Per-simulation detailed data
-      simulations: [],  // Array of full simulation results
-      // Weapon statistics
-      weaponStats: {
-        awarded: {},  // weaponId -> count
-        damageDealt: {},  // weaponId -> total damage
-        // Track which weapons appeared in chain-winning builds
-        weaponWins: {}  // weaponId -> number of chains won with this weapon
-      }
-    };
+    // Racers in every sim (default roster, see shared/Roster.js)
+    this.roster = buildRoster([], DEFAULT_BALL_COUNT);
+
+    // Statistics (see shared/SimStats.js for the structure)
+    this.stats = createSimStats(null, this.getBallNames());
+    // Lane, heatmap and obstacle telemetry (shared/BalanceReport.js)
+    this.balanceReport = createBalanceReport();
 
     this.init();
   }
@@ -153,6 +137,8 @@ class MultiSimManager {
     document.getElementById('btn-start')?.addEventListener('click', () => this.start());
     document.getElementById('btn-stop')?.addEventListener('click', () => this.stop());
     document.getElementById('btn-export')?.addEventListener('click', () => this.exportStats());
+    document.getElementById('btn-report')?.addEventListener('click', () => this.exportBalanceReport());
+    document.getElementById('btn-calibrate')?.addEventListener('click', () => this.saveAsCalibration());
 
     document.getElementById('sim-count')?.addEventListener('change', (e) => {
       this.simCount = parseInt(e.target.value);
@@ -168,6 +154,7 @@ class MultiSimManager {
     });
 
     this.updateGridLayout();
+    this.renderWinBars();
   }
 
   populateChainSelector() {
@@ -237,36 +224,28 @@ class MultiSimManager {
     this.completedRaces = 0;
     this.startTime = Date.now();
 
+    // Pick the batch seed (blank input = random)
+    const seedInput = document.getElementById('sim-seed')?.value;
+    this.baseSeed = seedInput ? parseInt(seedInput) >>> 0 : rng.generateSeed();
+    console.log('[MultiSim] Batch seed:', this.baseSeed);
+
+    // Racers for this batch
+    const ballsInput = document.getElementById('sim-balls');
+    this.roster = buildRoster([], clampBallCount(parseInt(ballsInput?.value)));
+    if (ballsInput) ballsInput.value = this.roster.length;
+
     // Reset stats
-    this.stats = {
-      chainWins: { Red: 0, Blue: 0, Green: 0, Yellow: 0, Purple: 0 },
-      raceWins: { Red: 0, Blue: 0, Green: 0, Yellow: 0, Purple: 0 },
-      totalRaces: 0,
-      totalChains: 0,
-      recentFinishes: [],
-      mapStats: {},
-      simulations: [],
-      weaponStats: {
-        awarded: {},
-        damageDealt: {},
-        weaponWins: {}
-      },
-      // Diagnostics for debugging
-      diagnostics: {
-        outOfBoundsRespawns: 0,
-        stuckPushes: 0,
-        raceTimeouts: 0,
-        forceFinishedBalls: 0,
-        ballsWithoutBody: 0,
-        events: []
-      }
-    };
+    this.stats = createSimStats(this.baseSeed, this.getBallNames());
+    this.renderWinBars();
+    // The iframe runner shuffles lanes every race
+    this.balanceReport = createBalanceReport(this.baseSeed, 'shuffle');
 
     // Update UI
     document.getElementById('btn-start').disabled = true;
     document.getElementById('btn-stop').disabled = false;
     // Export button stays enabled - can export partial results anytime
     document.getElementById('btn-export').disabled = false;
+    document.getElementById('btn-report').disabled = false;
     document.getElementById('loading-overlay')?.classList.remove('hidden');
     document.getElementById('loading-text').textContent = 'Preparing simulations...';
 
@@ -319,7 +298,8 @@ class MultiSimManager {
     // Create cell with cache-busting URL
     const cacheBust = Date.now();
     const visualParam = this.visualMode ? '&visual=1' : '';
-    const iframeUrl = `sim-runner.html?simId=${simId}&speed=${this.timeScale}&levels=${chain.levelCount}&${mapIdsParam}${visualParam}&_t=${cacheBust}`;
+    const seed = hashSeed(this.baseSeed, simId);
+    const iframeUrl = `sim-runner.html?simId=${simId}&seed=${seed}&speed=${this.timeScale}&levels=${chain.levelCount}&balls=${this.roster.length}&${mapIdsParam}${visualParam}&_t=${cacheBust}`;
 
     console.log(`[MultiSim] Creating sim ${simId} with URL params: ${mapIdsParam}`);
 
@@ -356,43 +336,9 @@ class MultiSimManager {
 
   handleRaceComplete(data) {
     this.completedRaces++;
-    this.stats.totalRaces++;
-
-    // Track race winner
-    if (data.winner) {
-      this.stats.raceWins[data.winner]++;
-    }
-
-    // Track per-map stats
-    const mapName = data.mapName || `Level ${data.level}`;
-    if (!this.stats.mapStats[mapName]) {
-      this.stats.mapStats[mapName] = {
-        mapType: data.mapType || 'race',
-        wins: { Red: 0, Blue: 0, Green: 0, Yellow: 0, Purple: 0 },
-        placements: { Red: [], Blue: [], Green: [], Yellow: [], Purple: [] },
-        races: []
-      };
-    }
-
-    const mapStat = this.stats.mapStats[mapName];
-    if (data.winner) {
-      mapStat.wins[data.winner]++;
-    }
-
-    // Store detailed results for this race
-    if (data.results) {
-      data.results.forEach(r => {
-        if (mapStat.placements[r.name]) {
-          mapStat.placements[r.name].push(r.position);
-        }
-      });
-
-      // Store full race data
-      mapStat.races.push({
-        simId: data.simId,
-        results: data.results,
-        bossDefeated: data.bossDefeated
-      });
+    recordRaceStats(this.stats, data);
+    if (data.telemetry) {
+      recordBalanceRace(this.balanceReport, data.telemetry);
     }
 
     // Update level display
@@ -409,72 +355,8 @@ class MultiSimManager {
 
   handleChainComplete(data) {
     this.completedChains++;
-    this.stats.totalChains++;
-
-    // Track chain winner
+    recordChainStats(this.stats, data);
     const winner = data.winner;
-    if (winner) {
-      this.stats.chainWins[winner]++;
-    }
-
-    // Store full simulation data
-    this.stats.simulations.push({
-      simId: parseInt(data.simId) + 1,
-      winner: winner,
-      standings: data.standings,
-      raceResults: data.raceResults || [],
-      weaponStats: data.weaponStats || null
-    });
-
-    // Aggregate weapon stats
-    if (data.weaponStats) {
-      // Merge awarded counts
-      for (const [weaponId, count] of Object.entries(data.weaponStats.awarded || {})) {
-        this.stats.weaponStats.awarded[weaponId] = (this.stats.weaponStats.awarded[weaponId] || 0) + count;
-      }
-      // Merge damage dealt
-      for (const [source, damage] of Object.entries(data.weaponStats.damageDealt || {})) {
-        this.stats.weaponStats.damageDealt[source] = (this.stats.weaponStats.damageDealt[source] || 0) + damage;
-      }
-      // Track weapons in winning builds
-      if (winner && data.weaponStats.ballWeapons && data.weaponStats.ballWeapons[winner]) {
-        const winnerWeapons = data.weaponStats.ballWeapons[winner];
-        // Count each unique weapon (not duplicates)
-        const uniqueWeapons = [...new Set(winnerWeapons)];
-        for (const weaponId of uniqueWeapons) {
-          this.stats.weaponStats.weaponWins[weaponId] = (this.stats.weaponStats.weaponWins[weaponId] || 0) + 1;
-        }
-      }
-    }
-
-    // Aggregate diagnostics
-    if (data.diagnostics) {
-      this.stats.diagnostics.outOfBoundsRespawns += data.diagnostics.outOfBoundsRespawns || 0;
-      this.stats.diagnostics.stuckPushes += data.diagnostics.stuckPushes || 0;
-      this.stats.diagnostics.raceTimeouts += data.diagnostics.raceTimeouts || 0;
-      this.stats.diagnostics.forceFinishedBalls += data.diagnostics.forceFinishedBalls || 0;
-      this.stats.diagnostics.ballsWithoutBody += data.diagnostics.ballsWithoutBody || 0;
-      // Keep last 100 events across all simulations
-      if (data.diagnostics.events) {
-        this.stats.diagnostics.events.push(...data.diagnostics.events.map(e => ({
-          ...e,
-          simId: parseInt(data.simId) + 1
-        })));
-        if (this.stats.diagnostics.events.length > 100) {
-          this.stats.diagnostics.events = this.stats.diagnostics.events.slice(-100);
-        }
-      }
-    }
-
-    // Add to recent finishes
-    this.stats.recentFinishes.unshift({
-      simId: parseInt(data.simId) + 1,
-      winner,
-      points: data.standings?.[0]?.points || 0
-    });
-    if (this.stats.recentFinishes.length > 20) {
-      this.stats.recentFinishes.pop();
-    }
 
     // Update cell
     const cell = document.getElementById(`sim-cell-${data.simId}`);
@@ -488,7 +370,7 @@ class MultiSimManager {
     }
     if (winnerEl) {
       winnerEl.textContent = `${winner}`;
-      winnerEl.style.color = BALL_COLORS[winner];
+      winnerEl.style.color = this.getBallColor(winner);
     }
 
     // Mark as completed
@@ -541,6 +423,32 @@ class MultiSimManager {
     }
   }
 
+  getBallNames() {
+    return this.roster.map(racer => racer.name);
+  }
+
+  getBallColor(name) {
+    return this.roster.find(racer => racer.name === name)?.color || '#fff';
+  }
+
+  /**
+   * One empty win bar per racer in the chain and race wins panels
+   */
+  renderWinBars() {
+    ['chain-wins-stats', 'race-wins-stats'].forEach(id => {
+      const container = document.getElementById(id);
+      if (!container) return;
+
+      container.innerHTML = this.roster.map(racer => `
+        <div class="ball-stat">
+          <span class="ball-stat-name" style="color: ${racer.color}" title="${racer.name}">${racer.name}</span>
+          <div class="ball-stat-bar"><div class="ball-stat-bar-fill" style="width: 0%; background: ${racer.color}"></div></div>
+          <span class="ball-stat-value">0</span>
+        </div>
+      `).join('');
+    });
+  }
+
   updateStatsUI() {
     const maxChainWins = Math.max(...Object.values(this.stats.chainWins), 1);
     const maxRaceWins = Math.max(...Object.values(this.stats.raceWins), 1);
@@ -548,10 +456,10 @@ class MultiSimManager {
     // Update chain wins
     const chainWinsContainer = document.getElementById('chain-wins-stats');
     if (chainWinsContainer) {
-      BALL_NAMES.forEach((name, idx) => {
+      this.getBallNames().forEach((name, idx) => {
         const wins = this.stats.chainWins[name];
         const percent = (wins / maxChainWins) * 100;
-        const bar = chainWinsContainer.querySelector(`.bg-${name.toLowerCase()}`);
+        const bar = chainWinsContainer.querySelectorAll('.ball-stat-bar-fill')[idx];
         const value = chainWinsContainer.querySelectorAll('.ball-stat-value')[idx];
         if (bar) bar.style.width = `${percent}%`;
         if (value) value.textContent = wins;
@@ -561,10 +469,10 @@ class MultiSimManager {
     // Update race wins
     const raceWinsContainer = document.getElementById('race-wins-stats');
     if (raceWinsContainer) {
-      BALL_NAMES.forEach((name, idx) => {
+      this.getBallNames().forEach((name, idx) => {
         const wins = this.stats.raceWins[name];
         const percent = (wins / maxRaceWins) * 100;
-        const bar = raceWinsContainer.querySelector(`.bg-${name.toLowerCase()}`);
+        const bar = raceWinsContainer.querySelectorAll('.ball-stat-bar-fill')[idx];
         const value = raceWinsContainer.querySelectorAll('.ball-stat-value')[idx];
         if (bar) bar.style.width = `${percent}%`;
         if (value) value.textContent = wins;
@@ -586,7 +494,7 @@ class MultiSimManager {
 
     container.innerHTML = mapNames.map(mapName => {
       const stats = mapStats[mapName];
-      const sortedBalls = BALL_NAMES
+      const sortedBalls = this.getBallNames()
         .map(name => ({ name, wins: stats.wins[name] }))
         .sort((a, b) => b.wins - a.wins);
 
@@ -597,7 +505,7 @@ class MultiSimManager {
             ${sortedBalls.map((ball, idx) => `
               <div class="map-standing-row">
                 <span class="map-standing-position">${idx + 1}.</span>
-                <span class="map-standing-name" style="color: ${BALL_COLORS[ball.name]}">${ball.name}</span>
+                <span class="map-standing-name" style="color: ${this.getBallColor(ball.name)}">${ball.name}</span>
                 <span class="map-standing-wins">${ball.wins} wins</span>
               </div>
             `).join('')}
@@ -614,7 +522,7 @@ class MultiSimManager {
     container.innerHTML = this.stats.recentFinishes.map(f =>
       `<div style="margin-bottom: 4px;">
         <span style="color: #666;">#${f.simId}:</span>
-        <span style="color: ${BALL_COLORS[f.winner]}; font-weight: bold;">${f.winner}</span>
+        <span style="color: ${this.getBallColor(f.winner)}; font-weight: bold;">${f.winner}</span>
         <span style="color: #888;">(${f.points}pts)</span>
       </div>`
     ).join('') || '<div style="color: #666;">Waiting for results...</div>';
@@ -680,6 +588,8 @@ class MultiSimManager {
     document.getElementById('btn-start').disabled = false;
     document.getElementById('btn-stop').disabled = true;
     document.getElementById('btn-export').disabled = false;
+    document.getElementById('btn-report').disabled = false;
+    document.getElementById('btn-calibrate').disabled = false;
 
     // Final UI update
     this.updateWeaponStatsUI();
@@ -691,13 +601,13 @@ class MultiSimManager {
     const totalRaces = this.stats.totalRaces || 1;
 
     console.log('Chain Win Rates:');
-    BALL_NAMES.forEach(name => {
+    this.getBallNames().forEach(name => {
       const rate = ((this.stats.chainWins[name] / totalChains) * 100).toFixed(1);
       console.log(`  ${name}: ${rate}%`);
     });
 
     console.log('Race Win Rates:');
-    BALL_NAMES.forEach(name => {
+    this.getBallNames().forEach(name => {
       const rate = ((this.stats.raceWins[name] / totalRaces) * 100).toFixed(1);
       console.log(`  ${name}: ${rate}%`);
     });
@@ -718,10 +628,27 @@ class MultiSimManager {
     document.getElementById('btn-start').disabled = false;
     document.getElementById('btn-stop').disabled = true;
     document.getElementById('btn-export').disabled = false;
+    document.getElementById('btn-report').disabled = false;
+    document.getElementById('btn-calibrate').disabled = this.stats.totalChains === 0;
 
     console.log('[MultiSim] Stopped');
   }
 
+  /**
+   * Fit the SimulationSystem calibration to the current results
+   * (stored locally - the main game's simulationSystem picks it up)
+   */
+  saveAsCalibration() {
+    try {
+      const calibration = SimulationCalibration.fit(this.stats);
+      saveCalibration(calibration);
+      alert(`Calibration saved from ${calibration.model.sourceChains} chains (${calibration.model.sourceRaces} races)`);
+    } catch (e) {
+      console.error('[MultiSim] Calibration failed:', e);
+      alert(`Calibration failed: ${e.message}`);
+    }
+  }
+
   exportStats() {
     // Calculate per-map summaries
     const mapSummaries = {};
@@ -729,7 +656,7 @@ class MultiSimManager {
       const totalRaces = mapData.races.length || 1;
       const avgPlacements = {};
 
-      BALL_NAMES.forEach(name => {
+      this.getBallNames().forEach(name => {
         const placements = mapData.placements[name];
         if (placements.length > 0) {
           avgPlacements[name] = (placements.reduce((a, b) => a + b, 0) / placements.length).toFixed(2);
@@ -832,17 +759,37 @@ class MultiSimManager {
       simulations: this.stats.simulations
     };
 
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
     const statusSuffix = isComplete ? '' : `-partial-${this.completedChains}of${this.simCount}`;
-    a.download = `multi-sim-${Date.now()}${statusSuffix}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadFile(JSON.stringify(exportData, null, 2), 'application/json', `multi-sim-${Date.now()}${statusSuffix}.json`);
 
     console.log(`[MultiSim] Exported ${isComplete ? 'complete' : 'partial'} stats (${this.completedChains}/${this.simCount} chains):`, Object.keys(mapSummaries));
   }
+
+  /**
+   * Download the balance report (lane win rates, heatmaps, obstacle charts) as HTML + JSON
+   */
+  exportBalanceReport() {
+    if (this.balanceReport.totalRaces === 0) {
+      alert('No races finished yet');
+      return;
+    }
+
+    const name = `balance-report-${Date.now()}`;
+    downloadFile(renderBalanceReportHTML(this.balanceReport), 'text/html', `${name}.html`);
+    downloadFile(JSON.stringify(this.balanceReport), 'application/json', `${name}.json`);
+
+    console.log(`[MultiSim] Exported balance report (${this.balanceReport.totalRaces} races)`);
+  }
+}
+
+function downloadFile(content, type, filename) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
 // ============================================
@@ -4,6 +4,7 @@ import { getMapLoader } from './game/systems/MapLoader.js';
 import { volumeSystem, VolumeSystem } from './game/systems/VolumeSystem.js';
 import { gameLog } from './game/systems/GameLog.js';
 import { renderVolumeBallsList, updateVolumeBallAmounts, renderVolumeRankings } from './ui/VolumeUI.js';
+import { renderRosterList } from './ui/RosterUI.js';
 import { updateStatsDashboard } from './ui/StatsUI.js';
 import { showChainCompleteScreen } from './ui/ChainCompleteScreen.js';
 import { configStorage, getDefaultConfig } from './ui/ConfigManager.js';
@@ -13,7 +14,10 @@ import { statisticsSystem } from './game/systems/StatisticsSystem.js';
 import { simulationSystem } from './game/systems/SimulationSystem.js';
 import { mapChain, CHAIN_RACE_MAPS, CHAIN_BOSS_MAPS, CHAIN_MIXED, CHAIN_WEAPONS_TEST } from './game/systems/MapChain.js';
 import { getMapStorage } from './shared/MapStorage.js';
-import { BUILTIN_CRUSHER_MAP, BUILTIN_BOSS_MAP, BUILTIN_BREAKABLE_MAP } from './maps/BuiltinMaps.js';
+import { getRaceRoster } from './shared/Roster.js';
+import { reloadWeapons } from './game/systems/WeaponDefinitions.js';
+import { getBossScore } from './game/systems/BossSystem.js';
+import { BUILTIN_CRUSHER_MAP, BUILTIN_BOSS_MAP, BUILTIN_BREAKABLE_MAP, BUILTIN_CIRCUIT_MAP } from './maps/BuiltinMaps.js';
 
 // Global state
 let game = null;
@@ -58,6 +62,9 @@ async function init() {
     configStorage.save('default', config);
   }
 
+  // Volume balls follow the race roster (the scene reads their stats)
+  syncRoster();
+
   // Initialize game
   game = new Game('game-container', config);
   window.game = game; // Expose for chain system and debugging
@@ -125,6 +132,7 @@ function setupSliders() {
 
       // Update config
       setConfigValue(sliderConfig.path, configValue);
+      if (sliderConfig.path === 'race.ballCount') syncRoster();
 
       // Notify game of config change
       if (game) {
@@ -132,6 +140,14 @@ function setupSliders() {
       }
     });
   });
+
+  // Spawn lane mode (applies from the next race start)
+  document.getElementById('select-spawn-mode')?.addEventListener('change', (e) => {
+    setConfigValue('race.spawnMode', e.target.value);
+    if (game) {
+      game.updateConfig(config);
+    }
+  });
 }
 
 function setupButtons() {
@@ -176,6 +192,30 @@ function setupButtons() {
     }
   });
 
+  // Replay buttons - download the last recorded race, or open it in the viewer
+  document.getElementById('btn-save-replay')?.addEventListener('click', () => {
+    const scene = game?.getScene();
+    if (scene?.replayRecorder?.getReplay()) {
+      scene.replayRecorder.download();
+    } else {
+      gameLog.log('No replay recorded yet - run a race first', 'system');
+    }
+  });
+
+  document.getElementById('btn-watch-replay')?.addEventListener('click', () => {
+    window.open('replay.html?last=1', '_blank');
+  });
+
+  // Reload weapon definitions from config/weapons.json (applies to the next shot)
+  document.getElementById('btn-reload-weapons')?.addEventListener('click', async () => {
+    const result = await reloadWeapons();
+    if (result.ok) {
+      gameLog.log(`Reloaded ${result.count} weapons from config/weapons.json`, 'system');
+    } else {
+      gameLog.log(`Weapons not reloaded: ${result.errors[0]}${result.errors.length > 1 ? ` (+${result.errors.length - 1} more, see console)` : ''}`, 'system');
+    }
+  });
+
   // Export bounce logs button
   const exportBtn = document.getElementById('btn-export-logs');
   console.log('Export logs button found:', exportBtn);
@@ -465,6 +505,7 @@ async function refreshEditorMapList() {
   html += '<option value="builtin-crusher-test">Crusher Gauntlet (Built-in)</option>';
   html += '<option value="builtin-breakable-test">Breakable Barrier Test (Built-in)</option>';
   html += '<option value="builtin-boss-test">Boss Fight Arena (Built-in)</option>';
+  html += '<option value="builtin-circuit-test">Circuit Laps Test (Built-in)</option>';
 
   maps.forEach(map => {
     html += `<option value="${map.id}">${map.name} (${map.width}x${map.height})</option>`;
@@ -513,6 +554,16 @@ async function loadSelectedEditorMap() {
       return;
     }
 
+    if (mapId === 'builtin-circuit-test') {
+      if (game) {
+        const scene = game.getScene();
+        if (scene) {
+          scene.loadEditorMapData(BUILTIN_CIRCUIT_MAP);
+        }
+      }
+      return;
+    }
+
     if (mapId === 'builtin-boss-test') {
       if (game) {
         const scene = game.getScene();
@@ -526,7 +577,9 @@ async function loadSelectedEditorMap() {
                 width: cfg.width,
                 height: cfg.height,
                 health: cfg.health,
-                color: cfg.color
+                color: cfg.color,
+                movement: cfg.movement,
+                phases: cfg.phases
               });
               scene.bossSystem.setPattern(cfg.pattern);
               document.getElementById('boss-status').textContent = `Boss spawned! HP: ${cfg.health}, Pattern: ${cfg.pattern}`;
@@ -623,7 +676,8 @@ async function loadTestChain() {
           finishZone: map.data.finishZone,
           obstacles: map.data.obstacles || [],
           bossConfig: map.data.bossConfig || null,
-          animations: map.data.animations || null
+          animations: map.data.animations || null,
+          animationGroups: map.data.animationGroups || null
         };
         chainMaps.push(mapData);
       }
@@ -655,7 +709,7 @@ async function loadTestChain() {
       setTimeout(() => {
         const scene = window.game?.getScene();
         if (scene) {
-          window.game.startRace();
+          window.game.startRace(mapChain.getLevelSeed());
         }
       }, 500);
     }
@@ -685,6 +739,7 @@ function setupConfigManager() {
     if (loaded) {
       config = loaded;
       updateUIFromConfig();
+      syncRoster();
       if (game) {
         game.updateConfig(config);
         game.reset();
@@ -737,6 +792,9 @@ function updateUIFromConfig() {
       valueEl.textContent = sliderConfig.display(sliderValue);
     }
   });
+
+  const spawnModeSelect = document.getElementById('select-spawn-mode');
+  if (spawnModeSelect) spawnModeSelect.value = getConfigValue('race.spawnMode') || 'fixed';
 }
 
 function updateLoop() {
@@ -774,9 +832,9 @@ function updateStandings() {
   // Get cumulative points if chain is active
   const getPoints = (ballName) => isChainActive ? pointSystem.getPoints(ballName) : 0;
 
-  // For boss levels, sort by damage dealt instead of progress
+  // For boss levels, sort by damage dealt (plus kill credit) instead of progress
   if (isBossLevel) {
-    standings = [...standings].sort((a, b) => (b.damageDealtToBoss || 0) - (a.damageDealtToBoss || 0));
+    standings = [...standings].sort((a, b) => getBossScore(b) - getBossScore(a));
 
     // Find max damage for percentage calculation
     const maxDamage = Math.max(...standings.map(b => b.damageDealtToBoss || 0), 1);
@@ -784,16 +842,18 @@ function updateStandings() {
     elements.standings.innerHTML = standings.map((ball, index) => {
       const damage = ball.damageDealtToBoss || 0;
       const damagePercent = (damage / maxDamage) * 100;
+      const kills = (ball.minionKills || 0) + (ball.partKills || 0);
       const pts = getPoints(ball.name);
       return `
         <div class="standing-item">
           <span class="standing-pos">${index + 1}</span>
           <div class="standing-ball" style="background: ${ball.color}"></div>
           <span class="standing-name">${ball.name}</span>
-          <div class="standing-progress" title="${damage} damage">
+          <div class="standing-progress" title="${damage} damage, ${ball.minionKills || 0} minion / ${ball.partKills || 0} part kills">
             <div class="standing-progress-fill" style="width: ${damagePercent}%; background: #ff6b6b;"></div>
           </div>
           <span style="font-size: 10px; color: #ff6b6b; min-width: 30px; text-align: right;">${damage}</span>
+          ${kills > 0 ? `<span style="font-size: 10px; color: #ffa94d;" title="Minion and part kills">☠${kills}</span>` : ''}
           ${isChainActive ? `<span style="font-size: 10px; color: #ffd700; min-width: 30px; text-align: right;">${pts}p</span>` : ''}
         </div>
       `;
@@ -821,11 +881,21 @@ function updateStandings() {
 // VOLUME PANEL SYSTEM
 // ============================================
 
-function setupVolumePanel() {
-  // Initialize volume system with default balls
-  volumeSystem.initialize();
+/**
+ * Point the volume system and the roster panel at the configured racers
+ * (racers already trading keep their volume)
+ */
+function syncRoster() {
+  volumeSystem.setRoster(getRaceRoster(config));
+  renderVolumeBallsList();
+  renderRosterList(config, () => {
+    syncRoster();
+    game?.updateConfig(config);
+  });
+}
 
-  // Render initial UI
+function setupVolumePanel() {
+  // Render initial UI (volume balls were set from the roster in init)
   renderVolumeBallsList();
   renderVolumeRankings();
 
@@ -1032,7 +1102,7 @@ function setupVolumePanel() {
       updateChainUI();
 
       // Start statistics tracking for first race
-      statisticsSystem.startRace(0, firstMap?.name || 'Unknown', !!firstMap?.bossConfig);
+      statisticsSystem.startRace(0, firstMap?.name || 'Unknown', !!firstMap?.bossConfig, mapChain.getLevelSeed());
     }
 
     // Enable turbo mode on scene after map is loaded
@@ -1048,7 +1118,7 @@ function setupVolumePanel() {
     setTimeout(() => {
       if (turboState.active && game) {
         console.log('[Turbo] Starting first race');
-        game.startRace();
+        game.startRace(mapChain.getLevelSeed());
       }
     }, 500);
   }
@@ -1126,10 +1196,12 @@ function setupMapChain() {
 
           // Start statistics tracking for this race
           const currentMap = mapChain.getCurrentMap();
+          const raceSeed = mapChain.getLevelSeed();
           statisticsSystem.startRace(
             mapChain.getCurrentLevel() - 1,
             currentMap?.name || 'Unknown',
-            !!currentMap?.bossConfig
+            !!currentMap?.bossConfig,
+            raceSeed
           );
 
           // Record each ball's weapons
@@ -1140,7 +1212,7 @@ function setupMapChain() {
             });
           }
 
-          window.game.startRace();
+          window.game.startRace(raceSeed);
           gameLog.log('Race started!', 'system');
         }, 500);
       }
@@ -1192,8 +1264,9 @@ function setupMapChain() {
         return;
     }
 
-    // Set up the chain
-    mapChain.setChain(chain);
+    // Set up the chain (blank seed input = random seed)
+    const seedInput = document.getElementById('input-chain-seed')?.value;
+    mapChain.setChain(chain, seedInput ? parseInt(seedInput) : undefined);
 
     // Set up callbacks
     mapChain.onMapChange = (nextMap, index) => {
@@ -1261,7 +1334,10 @@ function loadChainMap(mapData) {
           width: cfg.width,
           height: cfg.height,
           health: cfg.health,
-          color: cfg.color
+          color: cfg.color,
+          shape: cfg.shape,
+          movement: cfg.movement,
+          phases: cfg.phases
         });
         scene.bossSystem.setPattern(cfg.pattern);
         if (cfg.attackCooldown) {
@@ -1434,6 +1510,10 @@ function onLevelComplete() {
         color: ball.color
       }));
 
+    // Kill shot, minion and part kill bonuses
+    (scene.bossKills || []).forEach(kill => pointSystem.recordBossKill(kill.ballName, kill.target));
+    scene.balls.forEach(ball => pointSystem.recordBumperScore(ball.name, ball.bumperScore));
+
     // Get most pumped ball for bonus
     const mostPumped = bettingSystem.getMostPumpedBall();
 
@@ -1455,6 +1535,7 @@ function onLevelComplete() {
         const levelResult = levelResults?.results?.find(r => r.name === ball.name);
         return {
           name: ball.name,
+          color: ball.color,
           position: index + 1,
           levelTotal: levelResult?.levelTotal || 0,
           damageDealtToBoss: ball.damageDealtToBoss || 0,
@@ -1527,10 +1608,12 @@ function onLevelComplete() {
             isLevelTransitioning = false; // Reset the guard
 
             // Start statistics tracking for this race
+            const raceSeed = mapChain.getLevelSeed();
             statisticsSystem.startRace(
               mapChain.getCurrentLevel() - 1,
               nextMap?.name || 'Unknown',
-              !!nextMap?.bossConfig
+              !!nextMap?.bossConfig,
+              raceSeed
             );
 
             // Record each ball's weapons
@@ -1541,7 +1624,7 @@ function onLevelComplete() {
               });
             }
 
-            window.game.startRace();
+            window.game.startRace(raceSeed);
             gameLog.log('Race started!', 'system');
           }, startDelay);
         }
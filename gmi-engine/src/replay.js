@@ -0,0 +1,141 @@
+/**
+ * Replay Viewer - Plays back races recorded by ReplayRecorder
+ * Loads the last race from localStorage or a downloaded replay file
+ */
+
+import Phaser from 'phaser';
+import { ReplayScene } from './game/scenes/ReplayScene.js';
+import { loadLastReplay } from './game/systems/ReplayRecorder.js';
+
+const elements = {
+  info: document.getElementById('replay-info'),
+  btnLoadLast: document.getElementById('btn-load-last'),
+  fileInput: document.getElementById('replay-file'),
+  btnPlay: document.getElementById('btn-play'),
+  scrub: document.getElementById('scrub'),
+  time: document.getElementById('replay-time'),
+  speed: document.getElementById('replay-speed')
+};
+
+// True while the user drags the scrub bar (don't fight them with time updates)
+let isScrubbing = false;
+
+const game = new Phaser.Game({
+  type: Phaser.AUTO,
+  parent: 'game-container',
+  width: 800,
+  height: 600,
+  backgroundColor: '#e8e0d0',
+  scale: {
+    mode: Phaser.Scale.FIT,
+    autoCenter: Phaser.Scale.CENTER_BOTH
+  },
+  scene: [ReplayScene]
+});
+
+function getScene() {
+  return game.scene.getScene('ReplayScene');
+}
+
+function formatTime(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function loadReplay(replay, source) {
+  const scene = getScene();
+  if (!scene) {
+    console.error('[ReplayViewer] Scene not ready');
+    return;
+  }
+
+  try {
+    scene.onTimeUpdate = onTimeUpdate;
+    scene.setSpeed(parseFloat(elements.speed.value));
+    scene.loadReplay(replay);
+  } catch (e) {
+    console.error('[ReplayViewer] Failed to load replay:', e);
+    elements.info.textContent = `Invalid replay (${e.message})`;
+    return;
+  }
+
+  const date = new Date(replay.recordedAt).toLocaleString();
+  elements.info.textContent = `${replay.mapName} • seed ${replay.seed ?? 'n/a'} • ${date} (${source})`;
+  elements.btnPlay.disabled = false;
+  elements.scrub.disabled = false;
+  elements.scrub.max = scene.getDuration();
+  elements.btnPlay.textContent = 'Play';
+}
+
+function onTimeUpdate(t, duration) {
+  if (!isScrubbing) {
+    elements.scrub.value = t;
+  }
+  elements.time.textContent = `${formatTime(t)} / ${formatTime(duration)}`;
+
+  const scene = getScene();
+  if (scene && !scene.isPlaying) {
+    elements.btnPlay.textContent = 'Play';
+  }
+}
+
+elements.btnLoadLast.addEventListener('click', () => {
+  const replay = loadLastReplay();
+  if (!replay) {
+    elements.info.textContent = 'No recorded race found - finish a race in the game first';
+    return;
+  }
+  loadReplay(replay, 'last race');
+});
+
+elements.fileInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    const replay = JSON.parse(await file.text());
+    loadReplay(replay, file.name);
+  } catch (err) {
+    console.error('[ReplayViewer] Could not parse file:', err);
+    elements.info.textContent = 'Could not read replay file';
+  }
+});
+
+elements.btnPlay.addEventListener('click', () => {
+  const scene = getScene();
+  if (!scene) return;
+  const playing = scene.togglePlay();
+  elements.btnPlay.textContent = playing ? 'Pause' : 'Play';
+});
+
+elements.scrub.addEventListener('input', () => {
+  isScrubbing = true;
+  getScene()?.seek(parseFloat(elements.scrub.value));
+});
+
+elements.scrub.addEventListener('change', () => {
+  isScrubbing = false;
+});
+
+elements.speed.addEventListener('change', () => {
+  getScene()?.setSpeed(parseFloat(elements.speed.value));
+});
+
+// Keyboard: space = play/pause, arrows = step 1s
+document.addEventListener('keydown', (e) => {
+  const scene = getScene();
+  if (!scene?.replay || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+
+  if (e.code === 'Space') {
+    e.preventDefault();
+    elements.btnPlay.click();
+  } else if (e.code === 'ArrowLeft') {
+    scene.seek(scene.playhead - 1000);
+  } else if (e.code === 'ArrowRight') {
+    scene.seek(scene.playhead + 1000);
+  }
+});
+
+// Auto-open the last race when launched with ?last=1 (from the game's Watch Replay button)
+if (new URLSearchParams(window.location.search).get('last') === '1') {
+  game.events.once('ready', () => elements.btnLoadLast.click());
+}
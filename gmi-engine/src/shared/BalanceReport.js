@@ -0,0 +1,525 @@
+/**
+ * BalanceReport - Spatial and per-obstacle telemetry from batch simulations
+ *
+ * PURPOSE:
+ * SimStats answers "who wins"; this answers "why". Every simulated race
+ * records which spawn lane each ball started in, where balls spend their
+ * time, which obstacles they hit and where they get trapped. Races are
+ * aggregated per map and rendered as a standalone HTML report (heatmap,
+ * lane win rates, obstacle charts) next to the raw JSON.
+ *
+ * FEATURES:
+ * - Lane bias: each race records the lane every ball actually started in,
+ *   after the runner's shuffle or spawn plan, so win rate and average
+ *   placement per lane show whether a spawn position is favoured. The
+ *   report names the spawn mode that handed out the lanes
+ * - Race duration (avg/min/max), timeouts and stuck pushes per map
+ * - Occupancy heatmap in HEAT_CELL_SIZE px cells, with stuck-push markers
+ * - Collisions and trap detections per obstacle (same rule as RaceScene's
+ *   [TRAP DETECTED]: TRAP_BOUNCES obstacle hits within TRAP_WINDOW_MS)
+ *
+ * USAGE:
+ *   const report = createBalanceReport(seed, spawnMode);
+ *   const telemetry = new RaceTelemetry(mapData);   // One per race
+ *   telemetry.setLane(ball.name, laneIndex);        // Lane the ball spawned in
+ *   telemetry.recordCollision(ball.name, obstacleIndex, raceTimeMs);
+ *   telemetry.sample(balls.map(b => b.body?.position)); // Every physics step
+ *   recordBalanceRace(report, telemetry.finish(results, durationMs));
+ *   const html = renderBalanceReportHTML(report);
+ *
+ * @module BalanceReport
+ */
+
+import { getPolygonPoints } from './PolygonGeometry.js';
+
+export const HEAT_CELL_SIZE = 20;
+
+// Same thresholds as RaceScene's trap detection
+const COLLISION_DEBOUNCE_MS = 100;
+const TRAP_WINDOW_MS = 500;
+const TRAP_BOUNCES = 6;
+
+// Stuck-push markers kept per race / per map
+const MAX_STUCK_POINTS = 50;
+const MAX_MAP_STUCK_POINTS = 300;
+
+// Obstacles listed in the HTML chart
+const TOP_OBSTACLES = 12;
+
+/**
+ * Static outline of a map for drawing the report (game coordinates)
+ */
+function describeLayout(map, width, height) {
+  const data = map.data || map;
+  return {
+    width,
+    height,
+    startZone: data.startZone || null,
+    finishZone: data.finishZone || null,
+    obstacles: (data.obstacles || []).map(obs => {
+      const shape = {
+        type: obs.type === 'circle' || obs.type === 'polygon' ? obs.type : 'rect',
+        x: obs.x,
+        y: obs.y,
+        behavior: obs.behavior || null
+      };
+      if (obs.id) shape.id = obs.id;
+      if (obs.type === 'circle') {
+        shape.radius = obs.radius;
+        return shape;
+      }
+      shape.width = obs.width || 50;
+      shape.height = obs.height || 20;
+      shape.angle = obs.angle || 0;
+      if (obs.type === 'polygon') {
+        shape.points = getPolygonPoints(obs).map(p => ({ x: Math.round(p.x), y: Math.round(p.y) }));
+        shape.closed = obs.closed !== false;
+      }
+      return shape;
+    })
+  };
+}
+
+// ============================================
+// PER-RACE COLLECTOR
+// ============================================
+
+/**
+ * Collects telemetry for one race
+ */
+export class RaceTelemetry {
+  /**
+   * @param {Object} map - Map data (editor format or flat chain map)
+   * @param {Object} [options]
+   * @param {number} [options.width=800] - Game width the race runs in
+   * @param {number} [options.height=600] - Game height the race runs in
+   * @param {string} [options.mapName] - Defaults to map.name
+   * @param {string} [options.mapType] - 'race' or 'boss'
+   * @param {number} [options.cellSize] - Heatmap cell size in px
+   */
+  constructor(map, { width = 800, height = 600, mapName, mapType, cellSize = HEAT_CELL_SIZE } = {}) {
+    const data = map.data || map;
+    this.mapName = mapName || map.name || 'Unknown';
+    this.mapType = mapType || (data.bossConfig ? 'boss' : 'race');
+    this.layout = describeLayout(map, width, height);
+    this.cellSize = cellSize;
+    this.cols = Math.ceil(width / cellSize);
+    this.rows = Math.ceil(height / cellSize);
+    this.heat = new Array(this.cols * this.rows).fill(0);
+    this.samples = 0;
+
+    const obstacleCount = this.layout.obstacles.length;
+    this.collisions = new Array(obstacleCount).fill(0);
+    this.traps = new Array(obstacleCount).fill(0);
+    this.trapCount = 0;
+
+    this.lanes = {};            // ball name -> spawn lane index
+    this.recentCollisions = {}; // ball name -> [{ obstacle, time }]
+    this.stuckPoints = [];
+    this.stuckPushes = 0;
+    this.timedOut = false;
+  }
+
+  /**
+   * Remember which spawn lane a ball started in
+   */
+  setLane(ballName, lane) {
+    this.lanes[ballName] = lane;
+  }
+
+  /**
+   * Add one occupancy sample per racing ball
+   * @param {Array<{x: number, y: number}|null>} positions - Finished/removed balls may be null
+   */
+  sample(positions) {
+    positions.forEach(pos => {
+      if (!pos || !isFinite(pos.x) || !isFinite(pos.y)) return;
+      const col = Math.floor(pos.x / this.cellSize);
+      const row = Math.floor(pos.y / this.cellSize);
+      if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return;
+      this.heat[row * this.cols + col]++;
+    });
+    this.samples++;
+  }
+
+  /**
+   * Count a ball-obstacle collision and run trap detection
+   * @param {string} ballName
+   * @param {number} obstacleIndex - Index into map.obstacles
+   * @param {number} time - Race time in ms
+   * @returns {boolean} True when this hit completed a trap
+   */
+  recordCollision(ballName, obstacleIndex, time) {
+    if (!(obstacleIndex >= 0 && obstacleIndex < this.collisions.length)) return false;
+
+    const history = this.recentCollisions[ballName] || (this.recentCollisions[ballName] = []);
+    while (history.length > 0 && time - history[0].time > TRAP_WINDOW_MS) {
+      history.shift();
+    }
+
+    // Micro-bounces against the same obstacle count once (as in RaceScene)
+    if (history.some(c => c.obstacle === obstacleIndex && time - c.time < COLLISION_DEBOUNCE_MS)) {
+      return false;
+    }
+
+    this.collisions[obstacleIndex]++;
+    history.push({ obstacle: obstacleIndex, time });
+    if (history.length < TRAP_BOUNCES) return false;
+
+    // Every obstacle that took part in the trap gets the blame once
+    new Set(history.map(c => c.obstacle)).forEach(index => this.traps[index]++);
+    this.trapCount++;
+    history.length = 0;
+    return true;
+  }
+
+  /**
+   * Count a stuck push at a position
+   */
+  recordStuckPush(pos) {
+    this.stuckPushes++;
+    if (pos && this.stuckPoints.length < MAX_STUCK_POINTS) {
+      this.stuckPoints.push({ x: Math.round(pos.x), y: Math.round(pos.y) });
+    }
+  }
+
+  /**
+   * Flag the race as ended by the safety timeout
+   */
+  recordTimeout() {
+    this.timedOut = true;
+  }
+
+  /**
+   * Plain JSON summary of the race (postMessage-safe)
+   * @param {Array<{name: string, position: number}>} results - Final placements
+   * @param {number} duration - Race duration in ms (game time)
+   */
+  finish(results, duration) {
+    return {
+      mapName: this.mapName,
+      mapType: this.mapType,
+      layout: this.layout,
+      cellSize: this.cellSize,
+      cols: this.cols,
+      rows: this.rows,
+      heat: this.heat,
+      samples: this.samples,
+      duration: Math.round(duration),
+      timedOut: this.timedOut,
+      stuckPushes: this.stuckPushes,
+      stuckPoints: this.stuckPoints,
+      trapCount: this.trapCount,
+      collisions: this.collisions,
+      traps: this.traps,
+      placements: (results || [])
+        .filter(r => this.lanes[r.name] !== undefined)
+        .map(r => ({ name: r.name, lane: this.lanes[r.name], position: r.position }))
+    };
+  }
+}
+
+// ============================================
+// AGGREGATION
+// ============================================
+
+/**
+ * Create an empty balance report
+ * @param {number|null} seed - Batch seed the races ran with
+ * @param {string|null} [spawnMode] - Spawn mode that assigned the lanes (SpawnLanes)
+ */
+export function createBalanceReport(seed = null, spawnMode = null) {
+  return {
+    version: 1,
+    seed,
+    spawnMode,
+    createdAt: new Date().toISOString(),
+    totalRaces: 0,
+    maps: {}  // mapName -> aggregated map entry (see recordBalanceRace)
+  };
+}
+
+/**
+ * Add one race summary (RaceTelemetry.finish) to the report
+ */
+export function recordBalanceRace(report, race) {
+  report.totalRaces++;
+
+  let entry = report.maps[race.mapName];
+  if (!entry) {
+    entry = report.maps[race.mapName] = {
+      mapName: race.mapName,
+      mapType: race.mapType,
+      layout: race.layout,
+      cellSize: race.cellSize,
+      cols: race.cols,
+      rows: race.rows,
+      races: 0,
+      totalDuration: 0,
+      minDuration: Infinity,
+      maxDuration: 0,
+      timeouts: 0,
+      stuckPushes: 0,
+      trapCount: 0,
+      samples: 0,
+      heat: new Array(race.heat.length).fill(0),
+      stuckPoints: [],
+      collisions: new Array(race.collisions.length).fill(0),
+      traps: new Array(race.traps.length).fill(0),
+      lanes: []  // lane index -> { races, wins, positionTotal }
+    };
+  }
+
+  entry.races++;
+  entry.totalDuration += race.duration;
+  entry.minDuration = Math.min(entry.minDuration, race.duration);
+  entry.maxDuration = Math.max(entry.maxDuration, race.duration);
+  if (race.timedOut) entry.timeouts++;
+  entry.stuckPushes += race.stuckPushes;
+  entry.trapCount += race.trapCount;
+
+  entry.samples += race.samples;
+  race.heat.forEach((count, i) => { entry.heat[i] += count; });
+  race.collisions.forEach((count, i) => { entry.collisions[i] += count; });
+  race.traps.forEach((count, i) => { entry.traps[i] += count; });
+
+  const room = MAX_MAP_STUCK_POINTS - entry.stuckPoints.length;
+  if (room > 0) entry.stuckPoints.push(...race.stuckPoints.slice(0, room));
+
+  race.placements.forEach(({ lane, position }) => {
+    const stat = entry.lanes[lane] || (entry.lanes[lane] = { races: 0, wins: 0, positionTotal: 0 });
+    stat.races++;
+    stat.positionTotal += position;
+    if (position === 1) stat.wins++;
+  });
+}
+
+/**
+ * Derived numbers for one map entry (rates, averages, worst obstacles)
+ */
+export function summarizeMapBalance(entry) {
+  const races = entry.races || 1;
+  const lanes = Array.from(entry.lanes, (stat = { races: 0, wins: 0, positionTotal: 0 }, lane) => ({
+    lane,
+    races: stat.races,
+    wins: stat.wins,
+    winRate: stat.races > 0 ? stat.wins / stat.races : 0,
+    avgPosition: stat.races > 0 ? stat.positionTotal / stat.races : null
+  }));
+
+  const obstacles = entry.collisions
+    .map((collisions, index) => {
+      const shape = entry.layout.obstacles[index];
+      return {
+        index,
+        id: shape.id || null,
+        type: shape.type,
+        behavior: shape.behavior,
+        collisions,
+        traps: entry.traps[index],
+        collisionsPerRace: collisions / races,
+        trapsPerRace: entry.traps[index] / races
+      };
+    })
+    .filter(o => o.collisions > 0 || o.traps > 0)
+    .sort((a, b) => b.traps - a.traps || b.collisions - a.collisions);
+
+  return {
+    mapName: entry.mapName,
+    mapType: entry.mapType,
+    races: entry.races,
+    avgDuration: entry.totalDuration / races,
+    minDuration: entry.races > 0 ? entry.minDuration : 0,
+    maxDuration: entry.maxDuration,
+    timeouts: entry.timeouts,
+    stuckPushes: entry.stuckPushes,
+    traps: entry.trapCount,
+    lanes,
+    obstacles
+  };
+}
+
+// ============================================
+// HTML
+// ============================================
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+// Cold (blue) to hot (red)
+function heatColor(t) {
+  return `hsl(${Math.round(240 - 240 * t)}, 90%, 50%)`;
+}
+
+function obstacleLabel(o) {
+  return `#${o.index} ${o.id || o.type}${o.behavior ? ` (${o.behavior})` : ''}`;
+}
+
+function obstacleSVG(shape, attrs) {
+  if (shape.type === 'circle') {
+    return `<circle cx="${shape.x}" cy="${shape.y}" r="${shape.radius}" ${attrs}/>`;
+  }
+  const cx = shape.x + shape.width / 2;
+  const cy = shape.y + shape.height / 2;
+  const rotate = shape.angle ? ` transform="rotate(${shape.angle} ${cx} ${cy})"` : '';
+  if (shape.type === 'polygon') {
+    const points = shape.points.map(p => `${p.x},${p.y}`).join(' ');
+    return `<${shape.closed ? 'polygon' : 'polyline'} points="${points}"${rotate} ${attrs}/>`;
+  }
+  return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}"${rotate} ${attrs}/>`;
+}
+
+function zoneSVG(zone, color) {
+  if (!zone) return '';
+  return `<rect x="${zone.x}" y="${zone.y}" width="${zone.width}" height="${zone.height}" fill="none" stroke="${color}" stroke-width="2" stroke-dasharray="6 4"/>`;
+}
+
+/**
+ * Heatmap of ball occupancy over the map outline
+ */
+function renderHeatmap(entry, summary) {
+  const { layout, cellSize, cols } = entry;
+  const max = Math.max(1, ...entry.heat);
+
+  // Square root keeps rarely visited cells visible next to the spawn hot spot
+  const cells = entry.heat.map((count, i) => {
+    if (count === 0) return '';
+    const t = Math.sqrt(count / max);
+    const x = (i % cols) * cellSize;
+    const y = Math.floor(i / cols) * cellSize;
+    return `<rect x="${x}" y="${y}" width="${cellSize}" height="${cellSize}" fill="${heatColor(t)}" fill-opacity="${(0.15 + 0.7 * t).toFixed(2)}"/>`;
+  }).join('');
+
+  const worst = new Set(summary.obstacles.slice(0, 3).filter(o => o.traps > 0).map(o => o.index));
+  const obstacles = layout.obstacles.map((shape, index) => {
+    const stroke = worst.has(index) ? '#ff00aa' : '#1a202c';
+    const width = worst.has(index) ? 3 : 1.5;
+    return obstacleSVG(shape, `fill="none" stroke="${stroke}" stroke-width="${width}"`);
+  }).join('');
+
+  const stuck = entry.stuckPoints
+    .map(p => `<path d="M${p.x - 4},${p.y - 4}l8,8m0,-8l-8,8" stroke="#000" stroke-width="2"/>`)
+    .join('');
+
+  return `<svg class="heatmap" viewBox="0 0 ${layout.width} ${layout.height}" xmlns="http://www.w3.org/2000/svg">
+      <rect width="${layout.width}" height="${layout.height}" fill="#f4f1ea"/>
+      ${cells}
+      ${zoneSVG(layout.startZone, '#10b981')}
+      ${zoneSVG(layout.finishZone, '#111827')}
+      ${obstacles}
+      ${stuck}
+    </svg>`;
+}
+
+function renderLaneChart(summary) {
+  if (summary.lanes.length === 0) return '<p class="muted">No lane data</p>';
+  const fair = 1 / summary.lanes.length;
+  const max = Math.max(fair * 2, ...summary.lanes.map(l => l.winRate));
+
+  const rows = summary.lanes.map(lane => `
+      <div class="bar-row">
+        <span class="bar-label">Lane ${lane.lane + 1}</span>
+        <span class="bar-track">
+          <span class="bar" style="width:${(lane.winRate / max * 100).toFixed(1)}%"></span>
+          <span class="fair" style="left:${(fair / max * 100).toFixed(1)}%"></span>
+        </span>
+        <span class="bar-value">${percent(lane.winRate)} wins, avg ${lane.avgPosition?.toFixed(2) ?? '-'}</span>
+      </div>`).join('');
+
+  return `${rows}<p class="muted">Lane 1 is the left of the start zone. The line marks an even ${percent(fair)} share.</p>`;
+}
+
+function renderObstacleChart(summary) {
+  const top = summary.obstacles.slice(0, TOP_OBSTACLES);
+  if (top.length === 0) return '<p class="muted">No obstacle collisions</p>';
+  const max = Math.max(...top.map(o => o.collisionsPerRace));
+
+  return top.map(o => `
+      <div class="bar-row">
+        <span class="bar-label" title="${escapeHTML(obstacleLabel(o))}">${escapeHTML(obstacleLabel(o))}</span>
+        <span class="bar-track">
+          <span class="bar hits" style="width:${(o.collisionsPerRace / max * 100).toFixed(1)}%"></span>
+        </span>
+        <span class="bar-value">${o.collisionsPerRace.toFixed(1)} hits/race${o.traps > 0 ? `, <b class="trap">${o.traps} trap${o.traps === 1 ? '' : 's'}</b>` : ''}</span>
+      </div>`).join('');
+}
+
+function renderMapSection(entry) {
+  const summary = summarizeMapBalance(entry);
+  return `
+  <section>
+    <h2>${escapeHTML(entry.mapName)} <small>${escapeHTML(entry.mapType)}</small></h2>
+    <div class="metrics">
+      <div><b>${summary.races}</b> races</div>
+      <div><b>${seconds(summary.avgDuration)}</b> avg (${seconds(summary.minDuration)} - ${seconds(summary.maxDuration)})</div>
+      <div class="${summary.timeouts > 0 ? 'bad' : ''}"><b>${summary.timeouts}</b> timeouts</div>
+      <div class="${summary.stuckPushes > 0 ? 'bad' : ''}"><b>${summary.stuckPushes}</b> stuck pushes</div>
+      <div class="${summary.traps > 0 ? 'bad' : ''}"><b>${summary.traps}</b> trap detections</div>
+    </div>
+    <div class="columns">
+      <div>
+        <h3>Where balls spend time</h3>
+        ${renderHeatmap(entry, summary)}
+        <p class="muted">Dashed green: start zone. Dashed black: finish. Pink outline: obstacles with the most traps. X: stuck push.</p>
+      </div>
+      <div>
+        <h3>Spawn lanes</h3>
+        ${renderLaneChart(summary)}
+        <h3>Obstacles by trouble</h3>
+        ${renderObstacleChart(summary)}
+      </div>
+    </div>
+  </section>`;
+}
+
+/**
+ * Standalone HTML page for a balance report (no external assets)
+ * @param {Object} report - From createBalanceReport
+ * @returns {string}
+ */
+export function renderBalanceReportHTML(report) {
+  const sections = Object.values(report.maps).map(renderMapSection).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>GMI Racing - Balance Report</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #111827; color: #e5e7eb; margin: 0; padding: 24px; }
+  h1 { margin: 0 0 4px; }
+  h2 { margin: 0 0 12px; }
+  h2 small { font-size: 13px; color: #9ca3af; font-weight: normal; text-transform: uppercase; }
+  h3 { font-size: 14px; color: #9ca3af; margin: 16px 0 8px; }
+  section { background: #1f2937; border-radius: 8px; padding: 16px 20px; margin-top: 20px; }
+  .muted { color: #9ca3af; font-size: 12px; }
+  .metrics { display: flex; gap: 24px; flex-wrap: wrap; }
+  .metrics .bad b { color: #f87171; }
+  .columns { display: grid; grid-template-columns: minmax(0, 3fr) minmax(0, 2fr); gap: 24px; }
+  .heatmap { width: 100%; height: auto; border-radius: 4px; }
+  .bar-row { display: flex; align-items: center; gap: 8px; font-size: 12px; margin: 4px 0; }
+  .bar-label { width: 150px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .bar-track { position: relative; flex: 1; height: 14px; background: #374151; border-radius: 3px; }
+  .bar { position: absolute; left: 0; top: 0; bottom: 0; background: #60a5fa; border-radius: 3px; }
+  .bar.hits { background: #fb923c; }
+  .fair { position: absolute; top: -2px; bottom: -2px; width: 2px; background: #f9fafb; }
+  .bar-value { width: 170px; text-align: right; }
+  .trap { color: #f87171; }
+</style>
+</head>
+<body>
+<h1>Balance Report</h1>
+<div class="muted">${report.totalRaces} races${report.seed !== null ? `, seed ${report.seed}` : ''}${report.spawnMode ? `, ${escapeHTML(report.spawnMode)} spawn lanes` : ''}, generated ${escapeHTML(report.createdAt)}</div>
+${sections || '<p>No races recorded.</p>'}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,959 @@
+/**
+ * MapAnalyzer - Playability checks for a map without running a race
+ *
+ * PURPOSE:
+ * The editor used to check only that a start and a finish zone exist. This
+ * rasterizes the fixed obstacles into a clearance grid (how far each cell is
+ * from the nearest wall or map edge) and floods it from the spawn with a
+ * ball of the configured radius. That proves the finish is reachable and
+ * finds the spots balls get stuck in, the usual cause of [TRAP DETECTED]
+ * and [UNSTICK] spam in RaceScene.
+ *
+ * CHECKS (issue codes):
+ * - no-start, no-finish, finish-outside-map
+ * - finish-unreachable, checkpoint-unreachable
+ * - finish-blocked: only open once breakables nobody can break are gone
+ * - finish-needs-breaking (info): balls have to break through to finish
+ * - narrow-gap: obstacles (or an obstacle and the edge) closer than the ball diameter
+ * - sealed-pocket: open space a ball fits in but can't leave
+ * - pocket: small dead end behind an opening under 1.5 ball diameters
+ * - spawn-overlap, spawn-blocked, spawn-lanes-narrow
+ * - crusher-no-escape: no room beside a crusher's path to dodge it
+ * - breakable-unbreakable, breakable-unreachable
+ *
+ * Like TrackProgress, moving, crusher, flipper, keyframe-animated and
+ * trigger-controlled obstacles don't hold a fixed spot, so the grid routes
+ * through them. Boost pads don't block and portals link their channel.
+ * Breakables the roster can break count as open.
+ *
+ * USAGE:
+ *   const { issues, counts } = analyzeMap(map, { ballRadius: 15, ballNames: ['Red', ...] });
+ *   // issues: [{ severity: 'error' | 'warning' | 'info', code, message,
+ *   //            area: { x, y, width, height }, line?, obstacles? }]
+ *
+ * Accepts editor maps ({ width, height, data }) and flat built-in maps.
+ *
+ * @module MapAnalyzer
+ */
+
+import { DEFAULT_BALL_NAMES } from './Roster.js';
+import { getSpawnPositions } from '../game/systems/SpawnLanes.js';
+import { getPolygonPoints, polylineToParts, pointInPolygon } from './PolygonGeometry.js';
+import { isFixedObstacle, obstacleBounds, pointInObstacle } from '../game/systems/TrackProgress.js';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const DEFAULT_BALL_RADIUS = 15;
+const DEFAULT_CELL_SIZE = 5;      // px per grid cell
+const MAX_CELLS = 400000;         // huge maps get a coarser grid
+const TOUCHING_GAP = 1;           // px, closer obstacles count as joined
+const POCKET_NECK = 1.5;          // pocket openings are narrower than this many ball diameters
+const POCKET_MAX_AREA = 16;       // px² per ball radius² (about a 4r x 4r chamber)
+const MIN_POCKET_CELLS = 3;       // smaller islands are rounding noise
+const FINISH_LINE_MARGIN = 40;    // matches RaceScene's finish check for maps without a zone
+const DODGE_CELLS = 2;            // cells beside a crusher's path searched for room
+const PASS_THROUGH_BEHAVIORS = ['boost', 'portal'];
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Analyze a map for a ball of the given radius
+ * @param {Object} map - Editor map ({ width, height, data }) or flat map data
+ * @param {Object} [options]
+ * @param {number} [options.ballRadius=15] - Ball radius in px
+ * @param {Array<string>} [options.ballNames] - Roster (breakableBy, spawn lanes)
+ * @param {number} [options.cellSize=5] - Grid resolution in px
+ * @returns {{ issues: Array, counts: Object, ok: boolean, ballRadius: number, cellSize: number }}
+ */
+export function analyzeMap(map, options = {}) {
+  const analysis = new MapAnalysis(map, options);
+  analysis.run();
+
+  const issues = analysis.issues
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [
+    severity, issues.filter(issue => issue.severity === severity).length
+  ]));
+
+  return { issues, counts, ok: counts.error === 0, ballRadius: analysis.radius, cellSize: analysis.cellSize };
+}
+
+class MapAnalysis {
+  constructor(map, { ballRadius = DEFAULT_BALL_RADIUS, ballNames = DEFAULT_BALL_NAMES, cellSize = DEFAULT_CELL_SIZE } = {}) {
+    const data = map.data || map;
+    this.data = data;
+    this.width = map.width || data.width || 800;
+    this.height = map.height || data.height || 600;
+    this.radius = ballRadius;
+    this.ballNames = ballNames;
+
+    while ((this.width / cellSize) * (this.height / cellSize) > MAX_CELLS) cellSize *= 2;
+    this.cellSize = cellSize;
+    this.cols = Math.max(1, Math.ceil(this.width / cellSize));
+    this.rows = Math.max(1, Math.ceil(this.height / cellSize));
+    this.issues = [];
+
+    const entries = (data.obstacles || []).map((obs, index) => ({ obs, index }));
+    const notFixed = new Set([...Object.keys(data.animations || {}), ...triggerTargets(data.triggers)]);
+    this.solid = entries.filter(({ obs }) => !PASS_THROUGH_BEHAVIORS.includes(obs.behavior));
+    this.fixed = this.solid.filter(({ obs }) => !obs.startHidden && isFixedObstacle(obs, notFixed));
+    this.moving = this.solid.filter(entry => !this.fixed.includes(entry));
+    this.portals = entries.filter(({ obs }) => obs.behavior === 'portal');
+    this.breakables = this.fixed.filter(({ obs }) => obs.behavior === 'breakable');
+    this.breakableByRoster = this.breakables.filter(({ obs }) => this.canBreak(obs));
+
+    const boss = data.bossConfig;
+    const winCondition = boss?.winCondition || 'boss';
+    this.needsFinish = !boss || winCondition === 'finish' || winCondition === 'either';
+    this.spawnPositions = this.getSpawnPositions();
+  }
+
+  run() {
+    this.checkZones();
+
+    // Breakables the roster can break are open ground for every other check
+    this.grid = this.buildGrid(this.fixed.filter(entry => !this.breakableByRoster.includes(entry)));
+    this.seeds = this.getStartSeeds(this.grid);
+    this.reach = this.flood(this.grid, this.seeds);
+
+    this.checkFinish();
+    this.checkCheckpoints();
+    this.checkSpawn();
+    this.checkPockets();
+    this.checkNarrowGaps();
+    this.checkCrushers();
+    this.checkBreakables();
+  }
+
+  report(severity, code, message, area, extra = {}) {
+    this.issues.push({ severity, code, message, area: roundArea(area), ...extra });
+  }
+
+  canBreak(obs) {
+    const breakableBy = obs.breakableBy || [];
+    return breakableBy.length === 0 || breakableBy.some(name => this.ballNames.includes(name));
+  }
+
+  // ---- Checks ----
+
+  checkZones() {
+    const { startZone, finishZone } = this.data;
+    const mapArea = { x: 0, y: 0, width: this.width, height: this.height };
+
+    if (!startZone) {
+      this.report('error', 'no-start', 'No start zone - balls spawn along the bottom edge', mapArea);
+    }
+    if (!this.needsFinish) return;
+
+    if (!finishZone) {
+      this.report('error', 'no-finish', 'No finish zone', mapArea);
+    } else if (!rectsOverlap(finishZone, mapArea)) {
+      this.report('error', 'finish-outside-map', 'The finish zone lies outside the map', clampArea(finishZone, this.width, this.height));
+    }
+  }
+
+  checkFinish() {
+    const { finishZone } = this.data;
+    if (!this.needsFinish || !finishZone || !rectsOverlap(finishZone, { x: 0, y: 0, width: this.width, height: this.height })) return;
+
+    const isFinish = (x, y) => pointInRect(x, y, finishZone);
+    if (this.reaches(this.reach, isFinish)) {
+      if (this.breakableByRoster.length > 0) {
+        const sealed = this.buildGrid(this.fixed);
+        if (!this.reaches(this.flood(sealed, this.getStartSeeds(sealed)), isFinish)) {
+          this.report('info', 'finish-needs-breaking', 'Balls have to break through a breakable to reach the finish', finishZone);
+        }
+      }
+      return;
+    }
+
+    // Would the finish open up if every breakable could be broken?
+    const unbreakable = this.breakables.filter(entry => !this.breakableByRoster.includes(entry));
+    if (unbreakable.length > 0) {
+      const open = this.buildGrid(this.fixed.filter(entry => !this.breakables.includes(entry)));
+      if (this.reaches(this.flood(open, this.getStartSeeds(open)), isFinish)) {
+        this.report('error', 'finish-blocked',
+          'The finish is walled off by breakables no ball in the roster can break',
+          finishZone, { obstacles: unbreakable.map(entry => entry.index) });
+        return;
+      }
+    }
+
+    this.report('error', 'finish-unreachable',
+      `No path from the start to the finish for a ball of radius ${this.radius}`, finishZone);
+  }
+
+  checkCheckpoints() {
+    (this.data.checkpoints || []).forEach((checkpoint, i) => {
+      if (!this.reaches(this.reach, (x, y) => pointInRect(x, y, checkpoint))) {
+        this.report('error', 'checkpoint-unreachable', `Checkpoint ${i + 1} can't be reached from the start`, checkpoint);
+      }
+    });
+  }
+
+  checkSpawn() {
+    const zone = this.data.startZone;
+    const r = this.radius;
+
+    if (zone) {
+      this.solid.forEach(entry => {
+        const overlap = this.obstacleOverlap(entry.obs, zone);
+        if (overlap) {
+          this.report('warning', 'spawn-overlap', `${describe(entry)} overlaps the start zone`, overlap, { obstacles: [entry.index] });
+        }
+      });
+
+      // Lanes too narrow for a ball wrap into extra rows - they must still fit the zone
+      const ys = this.spawnPositions.map(pos => pos.y);
+      const rows = new Set(ys).size;
+      const depth = Math.max(...ys) - Math.min(...ys) + r * 2;
+      if (rows > 1 && depth > zone.height) {
+        this.report('warning', 'spawn-lanes-narrow',
+          `${this.ballNames.length} balls of radius ${r} need ${rows} rows (${Math.round(depth)}px) - the start zone is ${Math.round(zone.height)}px tall`, zone);
+      }
+    }
+
+    const blocked = this.spawnPositions.filter(({ x, y }) =>
+      x < r || y < r || x > this.width - r || y > this.height - r ||
+      this.solid.some(({ obs }) => pointInObstacle(obs, x, y, r - 1))
+    );
+    if (blocked.length > 0) {
+      const xs = blocked.map(p => p.x);
+      const ys = blocked.map(p => p.y);
+      this.report('error', 'spawn-blocked',
+        `${blocked.length} of ${this.spawnPositions.length} spawn positions overlap an obstacle or the map edge`,
+        { x: Math.min(...xs) - r, y: Math.min(...ys) - r, width: Math.max(...xs) - Math.min(...xs) + r * 2, height: Math.max(...ys) - Math.min(...ys) + r * 2 });
+    }
+  }
+
+  /**
+   * Sealed pockets (fit but unreachable) and small dead ends behind a tight
+   * opening, where balls rattle until RaceScene's trap detection kicks in
+   */
+  checkPockets() {
+    const { grid, reach } = this;
+    const count = this.cols * this.rows;
+
+    const unreached = new Uint8Array(count);
+    for (let i = 0; i < count; i++) unreached[i] = grid.fits[i] && !reach[i];
+    this.components(unreached).forEach(component => {
+      if (component.cells.length < MIN_POCKET_CELLS) return;
+
+      const area = this.componentArea(component, 0);
+      const pusher = this.moving.find(({ obs }) => rectsOverlap(sweepArea(obs, this.width, this.height), this.componentArea(component, this.radius)));
+      if (pusher) {
+        this.report('warning', 'sealed-pocket',
+          `Sealed area - balls ${describe(pusher)} pushes in can never leave`, area, { obstacles: [pusher.index] });
+      } else {
+        this.report('info', 'sealed-pocket', 'Sealed area balls can fit in but never reach (or leave)', area);
+      }
+    });
+
+    // Roomy parts of the reachable space; a small one that only connects to
+    // the rest through a tight opening is a pocket
+    const neck = this.radius * POCKET_NECK;
+    const roomy = new Uint8Array(count);
+    for (let i = 0; i < count; i++) roomy[i] = reach[i] && grid.clearance[i] >= neck;
+
+    const labels = new Int32Array(count).fill(-1);
+    const chambers = this.components(roomy, labels);
+    const important = this.importantCells();
+    const maxCells = POCKET_MAX_AREA * this.radius * this.radius / (this.cellSize * this.cellSize);
+
+    chambers.forEach((chamber, label) => {
+      if (chamber.cells.length > maxCells || chamber.cells.some(i => important[i])) return;
+      if (this.neighbourChambers(chamber, label, labels).size > 1) return; // a room along a passage
+
+      this.report('warning', 'pocket',
+        `Dead-end pocket behind an opening under ${Math.round(neck * 2)}px - balls that get in bounce around inside`,
+        this.componentArea(chamber, this.radius));
+    });
+  }
+
+  /**
+   * Gaps between fixed obstacles (and the map edges) a ball can't pass
+   */
+  checkNarrowGaps() {
+    const diameter = this.radius * 2;
+    const shapes = this.fixed.map(entry => ({
+      entry,
+      prims: obstacleShapes(entry.obs),
+      bounds: obstacleBounds(entry.obs)
+    }));
+
+    const reportGap = (distance, p, q, message, obstacles) => {
+      const mid = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+      if (mid.x < 0 || mid.y < 0 || mid.x > this.width || mid.y > this.height) return;
+      if (!this.nearReach(mid.x, mid.y, diameter)) return;
+      // Another obstacle fills the gap
+      if (shapes.some(shape => !obstacles.includes(shape.entry.index) && pointInObstacle(shape.entry.obs, mid.x, mid.y))) return;
+
+      this.report('warning', 'narrow-gap', `${Math.round(distance)}px gap ${message} - a ball needs ${diameter}px`,
+        { x: Math.min(p.x, q.x) - 3, y: Math.min(p.y, q.y) - 3, width: Math.abs(p.x - q.x) + 6, height: Math.abs(p.y - q.y) + 6 },
+        { obstacles, line: { x1: round1(p.x), y1: round1(p.y), x2: round1(q.x), y2: round1(q.y) } });
+    };
+
+    for (let i = 0; i < shapes.length; i++) {
+      const a = shapes[i];
+      for (let j = i + 1; j < shapes.length; j++) {
+        const b = shapes[j];
+        if (boundsGap(a.bounds, b.bounds) >= diameter) continue;
+
+        const gap = shapesDistance(a.prims, b.prims);
+        if (gap.distance > TOUCHING_GAP && gap.distance < diameter) {
+          reportGap(gap.distance, gap.p, gap.q, `between ${describe(a.entry)} and ${describe(b.entry)}`, [a.entry.index, b.entry.index]);
+        }
+      }
+
+      edgeGaps(a.prims, this.width, this.height).forEach(gap => {
+        if (gap.distance > TOUCHING_GAP && gap.distance < diameter) {
+          reportGap(gap.distance, gap.p, gap.q, `between ${describe(a.entry)} and the ${gap.edge} edge`, [a.entry.index]);
+        }
+      });
+    }
+  }
+
+  /**
+   * A crusher pins every ball in its path against the map edge unless
+   * there is room beside the path to get out of the way
+   */
+  checkCrushers() {
+    const { cellSize, radius } = this;
+
+    this.solid.filter(({ obs }) => obs.behavior === 'crusher').forEach(entry => {
+      const sweep = sweepArea(entry.obs, this.width, this.height);
+      if (!this.reaches(this.reach, (x, y) => pointInRect(x, y, sweep))) return;
+
+      const horizontal = entry.obs.crusherDirection === 'left' || entry.obs.crusherDirection === 'right';
+      const band = radius + DODGE_CELLS * cellSize;
+      const sides = horizontal
+        ? [{ x: sweep.x, y: sweep.y - band, width: sweep.width, height: band - radius + cellSize },
+           { x: sweep.x, y: sweep.y + sweep.height + radius - cellSize, width: sweep.width, height: band - radius + cellSize }]
+        : [{ x: sweep.x - band, y: sweep.y, width: band - radius + cellSize, height: sweep.height },
+           { x: sweep.x + sweep.width + radius - cellSize, y: sweep.y, width: band - radius + cellSize, height: sweep.height }];
+
+      const canDodge = sides.some(side => this.reaches(this.reach, (x, y) => pointInRect(x, y, side)));
+      if (!canDodge) {
+        this.report('error', 'crusher-no-escape',
+          `${describe(entry)} sweeps ${entry.obs.crusherDirection || 'down'} with no room beside it - balls in its path get crushed`,
+          sweep, { obstacles: [entry.index] });
+      }
+    });
+  }
+
+  checkBreakables() {
+    this.breakables.forEach(entry => {
+      const { obs } = entry;
+      if (!this.canBreak(obs)) {
+        this.report('warning', 'breakable-unbreakable',
+          `${describe(entry)} can only be broken by ${obs.breakableBy.join(', ')} - nobody in the roster`,
+          boundsToArea(obstacleBounds(obs)), { obstacles: [entry.index] });
+        return;
+      }
+
+      const reach = this.radius + this.cellSize;
+      if (!this.reaches(this.reach, (x, y) => pointInObstacle(obs, x, y, reach), obstacleBounds(obs, reach))) {
+        this.report('warning', 'breakable-unreachable', `${describe(entry)} can't be reached, so nobody can break it`,
+          boundsToArea(obstacleBounds(obs)), { obstacles: [entry.index] });
+      }
+    });
+  }
+
+  // ---- Grid ----
+
+  /**
+   * Clearance grid for a set of blocking obstacles
+   * clearance: px from the cell centre to the nearest blocked cell or map edge
+   * fits: a ball centred here doesn't overlap anything (half a cell of slack)
+   */
+  buildGrid(entries) {
+    const { cols, rows, cellSize } = this;
+    const margin = cellSize / 2;
+    const blocked = new Uint8Array(cols * rows);
+
+    entries.forEach(({ obs }) => {
+      const bounds = obstacleBounds(obs, margin);
+      const c1 = Math.max(0, Math.floor(bounds.minX / cellSize));
+      const c2 = Math.min(cols - 1, Math.floor(bounds.maxX / cellSize));
+      const r1 = Math.max(0, Math.floor(bounds.minY / cellSize));
+      const r2 = Math.min(rows - 1, Math.floor(bounds.maxY / cellSize));
+      for (let r = r1; r <= r2; r++) {
+        for (let c = c1; c <= c2; c++) {
+          if (pointInObstacle(obs, (c + 0.5) * cellSize, (r + 0.5) * cellSize, margin)) {
+            blocked[r * cols + c] = 1;
+          }
+        }
+      }
+    });
+
+    const squared = distanceTransform(blocked, cols, rows);
+    const clearance = new Float32Array(cols * rows);
+    const fits = new Uint8Array(cols * rows);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const i = r * cols + c;
+        const x = (c + 0.5) * cellSize;
+        const y = (r + 0.5) * cellSize;
+        const edge = Math.min(x, y, this.width - x, this.height - y);
+        clearance[i] = Math.min(Math.sqrt(squared[i]) * cellSize, edge);
+        fits[i] = clearance[i] >= this.radius - margin;
+      }
+    }
+    return { clearance, fits };
+  }
+
+  /**
+   * Where balls start: the start zone and the cells nearest each spawn position
+   */
+  getStartSeeds(grid) {
+    const seeds = [];
+    const zone = this.data.startZone;
+    if (zone) {
+      this.forCells(zone, i => { if (grid.fits[i]) seeds.push(i); });
+    }
+    this.spawnPositions.forEach(({ x, y }) => {
+      const i = this.nearestFit(grid, x, y);
+      if (i >= 0) seeds.push(i);
+    });
+    return seeds;
+  }
+
+  /**
+   * Flood fill over cells a ball fits in; a portal the flood touches sends
+   * balls on to the rest of its channel
+   */
+  flood(grid, seeds) {
+    const { cols, rows } = this;
+    const reached = new Uint8Array(cols * rows);
+    const queue = [];
+    const visit = i => {
+      if (i >= 0 && grid.fits[i] && !reached[i]) {
+        reached[i] = 1;
+        queue.push(i);
+      }
+    };
+    seeds.forEach(visit);
+
+    const used = new Set();
+    let head = 0;
+    for (;;) {
+      while (head < queue.length) {
+        const i = queue[head++];
+        const c = i % cols;
+        const r = (i - c) / cols;
+        NEIGHBOURS.forEach(([dc, dr]) => {
+          const nc = c + dc;
+          const nr = r + dr;
+          if (nc >= 0 && nr >= 0 && nc < cols && nr < rows) visit(nr * cols + nc);
+        });
+      }
+
+      const entered = this.portals.filter(portal => !used.has(portal) &&
+        this.reaches(reached, (x, y) => pointInObstacle(portal.obs, x, y, this.radius), obstacleBounds(portal.obs, this.radius)));
+      if (entered.length === 0) break;
+
+      entered.forEach(portal => {
+        used.add(portal);
+        const channel = portal.obs.portalChannel || 1;
+        this.portals
+          .filter(exit => exit !== portal && (exit.obs.portalChannel || 1) === channel)
+          .forEach(exit => {
+            const { x, y } = obstacleCentre(exit.obs);
+            visit(this.nearestFit(grid, x, y));
+          });
+      });
+    }
+    return reached;
+  }
+
+  /**
+   * Whether any marked cell's centre passes the test
+   * @param {Uint8Array} cells - Cell mask
+   * @param {Function} test - (x, y) => boolean
+   * @param {Object} [bounds] - Only look inside these bounds ({ minX, maxX, minY, maxY })
+   */
+  reaches(cells, test, bounds = null) {
+    const { cols, rows, cellSize } = this;
+    const c1 = bounds ? Math.max(0, Math.floor(bounds.minX / cellSize)) : 0;
+    const c2 = bounds ? Math.min(cols - 1, Math.floor(bounds.maxX / cellSize)) : cols - 1;
+    const r1 = bounds ? Math.max(0, Math.floor(bounds.minY / cellSize)) : 0;
+    const r2 = bounds ? Math.min(rows - 1, Math.floor(bounds.maxY / cellSize)) : rows - 1;
+    for (let r = r1; r <= r2; r++) {
+      for (let c = c1; c <= c2; c++) {
+        if (cells[r * cols + c] && test((c + 0.5) * cellSize, (r + 0.5) * cellSize)) return true;
+      }
+    }
+    return false;
+  }
+
+  nearReach(x, y, distance) {
+    return this.reaches(this.reach, (cx, cy) => Math.hypot(cx - x, cy - y) <= distance,
+      { minX: x - distance, maxX: x + distance, minY: y - distance, maxY: y + distance });
+  }
+
+  /**
+   * Closest cell a ball fits in, within two ball diameters (-1 if none)
+   */
+  nearestFit(grid, x, y) {
+    const { cols, rows, cellSize } = this;
+    const c0 = Math.floor(x / cellSize);
+    const r0 = Math.floor(y / cellSize);
+    const maxRing = Math.ceil(this.radius * 4 / cellSize);
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      let best = -1;
+      let bestDistance = Infinity;
+      for (let r = r0 - ring; r <= r0 + ring; r++) {
+        for (let c = c0 - ring; c <= c0 + ring; c++) {
+          if (Math.max(Math.abs(r - r0), Math.abs(c - c0)) !== ring) continue;
+          if (c < 0 || r < 0 || c >= cols || r >= rows || !grid.fits[r * cols + c]) continue;
+          const d = Math.hypot(c - c0, r - r0);
+          if (d < bestDistance) {
+            best = r * cols + c;
+            bestDistance = d;
+          }
+        }
+      }
+      if (best >= 0) return best;
+    }
+    return -1;
+  }
+
+  forCells(rect, callback) {
+    const { cols, rows, cellSize } = this;
+    const c1 = Math.max(0, Math.ceil(rect.x / cellSize - 0.5));
+    const c2 = Math.min(cols - 1, Math.floor((rect.x + rect.width) / cellSize - 0.5));
+    const r1 = Math.max(0, Math.ceil(rect.y / cellSize - 0.5));
+    const r2 = Math.min(rows - 1, Math.floor((rect.y + rect.height) / cellSize - 0.5));
+    for (let r = r1; r <= r2; r++) {
+      for (let c = c1; c <= c2; c++) callback(r * cols + c);
+    }
+  }
+
+  /**
+   * 4-connected components of a cell mask
+   * @param {Uint8Array} mask
+   * @param {Int32Array} [labels] - Filled with each cell's component index
+   */
+  components(mask, labels = new Int32Array(mask.length).fill(-1)) {
+    const { cols, rows } = this;
+    const list = [];
+
+    for (let start = 0; start < mask.length; start++) {
+      if (!mask[start] || labels[start] >= 0) continue;
+
+      const label = list.length;
+      const cells = [start];
+      labels[start] = label;
+      for (let head = 0; head < cells.length; head++) {
+        const i = cells[head];
+        const c = i % cols;
+        const r = (i - c) / cols;
+        NEIGHBOURS.forEach(([dc, dr]) => {
+          const nc = c + dc;
+          const nr = r + dr;
+          if (nc < 0 || nr < 0 || nc >= cols || nr >= rows) return;
+          const next = nr * cols + nc;
+          if (mask[next] && labels[next] < 0) {
+            labels[next] = label;
+            cells.push(next);
+          }
+        });
+      }
+      list.push({ cells });
+    }
+    return list;
+  }
+
+  componentArea(component, grow) {
+    const { cols, cellSize } = this;
+    let minC = Infinity, minR = Infinity, maxC = -Infinity, maxR = -Infinity;
+    component.cells.forEach(i => {
+      const c = i % cols;
+      const r = (i - c) / cols;
+      minC = Math.min(minC, c);
+      maxC = Math.max(maxC, c);
+      minR = Math.min(minR, r);
+      maxR = Math.max(maxR, r);
+    });
+    return {
+      x: minC * cellSize - grow,
+      y: minR * cellSize - grow,
+      width: (maxC - minC + 1) * cellSize + grow * 2,
+      height: (maxR - minR + 1) * cellSize + grow * 2
+    };
+  }
+
+  /**
+   * Cells a chamber must not contain to count as a pocket (start, finish,
+   * checkpoints, portals)
+   */
+  importantCells() {
+    const important = new Uint8Array(this.cols * this.rows);
+    const mark = i => { important[i] = 1; };
+    this.seeds.forEach(mark);
+    [this.data.finishZone, ...(this.data.checkpoints || [])].forEach(zone => {
+      if (zone) this.forCells(zone, mark);
+    });
+    this.portals.forEach(({ obs }) => this.forCells(boundsToArea(obstacleBounds(obs, this.radius)), mark));
+    return important;
+  }
+
+  /**
+   * Other roomy chambers reachable from this one within a few ball
+   * diameters, through the tight space around it
+   */
+  neighbourChambers(chamber, label, labels) {
+    const { cols, rows } = this;
+    const maxSteps = Math.ceil(this.radius * 6 / this.cellSize);
+    const steps = new Map(chamber.cells.map(i => [i, 0]));
+    const queue = [...chamber.cells];
+    const found = new Set();
+
+    for (let head = 0; head < queue.length; head++) {
+      const i = queue[head];
+      const step = steps.get(i);
+      if (step >= maxSteps) continue;
+      const c = i % cols;
+      const r = (i - c) / cols;
+      NEIGHBOURS.forEach(([dc, dr]) => {
+        const nc = c + dc;
+        const nr = r + dr;
+        if (nc < 0 || nr < 0 || nc >= cols || nr >= rows) return;
+        const next = nr * cols + nc;
+        if (!this.reach[next] || steps.has(next)) return;
+        if (labels[next] >= 0 && labels[next] !== label) {
+          found.add(labels[next]);
+          return;
+        }
+        steps.set(next, step + 1);
+        queue.push(next);
+      });
+    }
+    return found;
+  }
+
+  // ---- Geometry helpers ----
+
+  /**
+   * Part of a rectangle an obstacle covers, null if none
+   */
+  obstacleOverlap(obs, rect) {
+    const bounds = obstacleBounds(obs);
+    const area = {
+      minX: Math.max(bounds.minX, rect.x),
+      maxX: Math.min(bounds.maxX, rect.x + rect.width),
+      minY: Math.max(bounds.minY, rect.y),
+      maxY: Math.min(bounds.maxY, rect.y + rect.height)
+    };
+    if (area.minX >= area.maxX || area.minY >= area.maxY) return null;
+
+    const step = Math.min(this.cellSize, (area.maxX - area.minX) / 2, (area.maxY - area.minY) / 2);
+    for (let y = area.minY + step / 2; y < area.maxY; y += step) {
+      for (let x = area.minX + step / 2; x < area.maxX; x += step) {
+        if (pointInObstacle(obs, x, y)) return boundsToArea(area);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Ball spawn points (same lanes as RaceScene)
+   */
+  getSpawnPositions() {
+    return getSpawnPositions(this.ballNames.length, {
+      zone: this.data.startZone,
+      width: this.width,
+      spawnY: this.height - 60,
+      radius: this.radius
+    });
+  }
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function triggerTargets(triggers = []) {
+  return triggers.flatMap(trigger => (trigger.actions || [])
+    .filter(action => action.type === 'toggleObstacle' || action.type === 'startCrusher')
+    .map(action => action.target));
+}
+
+function describe({ obs, index }) {
+  const shape = obs.type === 'polygon' ? (obs.closed === false ? 'polyline' : 'polygon') : obs.type || 'rectangle';
+  const behavior = obs.behavior && obs.behavior !== 'static' ? `${obs.behavior} ` : '';
+  return `${behavior}${shape} #${index + 1}`;
+}
+
+function obstacleCentre(obs) {
+  if (obs.type === 'circle') return { x: obs.x, y: obs.y };
+  return { x: obs.x + (obs.width || 50) / 2, y: obs.y + (obs.height || 20) / 2 };
+}
+
+/**
+ * Area a non-fixed obstacle can cover during the race
+ */
+function sweepArea(obs, width, height) {
+  const b = obstacleBounds(obs);
+  if (obs.behavior === 'crusher' || obs.crusher) {
+    switch (obs.crusherDirection) {
+      case 'up': return { x: b.minX, y: 0, width: b.maxX - b.minX, height: b.maxY };
+      case 'left': return { x: 0, y: b.minY, width: b.maxX, height: b.maxY - b.minY };
+      case 'right': return { x: b.minX, y: b.minY, width: width - b.minX, height: b.maxY - b.minY };
+      default: return { x: b.minX, y: b.minY, width: b.maxX - b.minX, height: height - b.minY };
+    }
+  }
+  if (obs.behavior === 'moving' || obs.moving) {
+    const distance = obs.moveDistance || 100;
+    const horizontal = (obs.moveDirection || 'horizontal') === 'horizontal';
+    return horizontal
+      ? { x: b.minX - distance, y: b.minY, width: b.maxX - b.minX + distance * 2, height: b.maxY - b.minY }
+      : { x: b.minX, y: b.minY - distance, width: b.maxX - b.minX, height: b.maxY - b.minY + distance * 2 };
+  }
+  if (obs.behavior === 'rotating' || obs.behavior === 'flipper' || obs.rotating || obs.flipper) {
+    const { x, y } = obstacleCentre(obs);
+    const reach = Math.max(x - b.minX, b.maxX - x, y - b.minY, b.maxY - y) * Math.SQRT2;
+    return { x: x - reach, y: y - reach, width: reach * 2, height: reach * 2 };
+  }
+  return boundsToArea(b);
+}
+
+/**
+ * Obstacle outline as convex/simple polygons and circles in map coordinates
+ */
+function obstacleShapes(obs) {
+  if (obs.type === 'circle') {
+    return [{ circle: { x: obs.x, y: obs.y, r: obs.radius } }];
+  }
+
+  const w = obs.width || 50;
+  const h = obs.height || 20;
+  const centre = { x: obs.x + w / 2, y: obs.y + h / 2 };
+  const angle = (obs.angle || 0) * Math.PI / 180;
+  const rotate = p => {
+    if (!angle) return p;
+    const dx = p.x - centre.x;
+    const dy = p.y - centre.y;
+    return {
+      x: centre.x + dx * Math.cos(angle) - dy * Math.sin(angle),
+      y: centre.y + dx * Math.sin(angle) + dy * Math.cos(angle)
+    };
+  };
+
+  let polygons;
+  if (obs.type === 'polygon') {
+    const points = getPolygonPoints(obs);
+    polygons = obs.closed === false ? polylineToParts(points, obs.thickness) : [points];
+  } else {
+    polygons = [[
+      { x: obs.x, y: obs.y },
+      { x: obs.x + w, y: obs.y },
+      { x: obs.x + w, y: obs.y + h },
+      { x: obs.x, y: obs.y + h }
+    ]];
+  }
+  return polygons.filter(poly => poly.length >= 3).map(poly => ({ poly: poly.map(rotate) }));
+}
+
+/**
+ * Shortest distance between two shapes with the closest points
+ * (0 when they overlap)
+ */
+function shapesDistance(primsA, primsB) {
+  let best = { distance: Infinity, p: null, q: null };
+  primsA.forEach(a => primsB.forEach(b => {
+    const result = primDistance(a, b);
+    if (result.distance < best.distance) best = result;
+  }));
+  return best;
+}
+
+function primDistance(a, b) {
+  if (a.circle && b.circle) {
+    const dx = b.circle.x - a.circle.x;
+    const dy = b.circle.y - a.circle.y;
+    const d = Math.hypot(dx, dy) || 1;
+    return {
+      distance: Math.max(0, d - a.circle.r - b.circle.r),
+      p: { x: a.circle.x + dx / d * a.circle.r, y: a.circle.y + dy / d * a.circle.r },
+      q: { x: b.circle.x - dx / d * b.circle.r, y: b.circle.y - dy / d * b.circle.r }
+    };
+  }
+  if (a.circle) {
+    const result = polyCircleDistance(b.poly, a.circle);
+    return { distance: result.distance, p: result.q, q: result.p };
+  }
+  if (b.circle) return polyCircleDistance(a.poly, b.circle);
+  return polyPolyDistance(a.poly, b.poly);
+}
+
+function polyCircleDistance(poly, circle) {
+  const centre = { x: circle.x, y: circle.y };
+  const edge = closestOnOutline(poly, centre);
+  if (pointInPolygon(centre, poly)) return { distance: 0, p: edge.point, q: edge.point };
+
+  const d = edge.distance || 1;
+  return {
+    distance: Math.max(0, edge.distance - circle.r),
+    p: edge.point,
+    q: { x: circle.x + (edge.point.x - circle.x) / d * circle.r, y: circle.y + (edge.point.y - circle.y) / d * circle.r }
+  };
+}
+
+function polyPolyDistance(a, b) {
+  if (a.some(p => pointInPolygon(p, b)) || b.some(p => pointInPolygon(p, a)) || outlinesCross(a, b)) {
+    return { distance: 0, p: a[0], q: a[0] };
+  }
+
+  let best = { distance: Infinity, p: null, q: null };
+  a.forEach(p => {
+    const edge = closestOnOutline(b, p);
+    if (edge.distance < best.distance) best = { distance: edge.distance, p, q: edge.point };
+  });
+  b.forEach(q => {
+    const edge = closestOnOutline(a, q);
+    if (edge.distance < best.distance) best = { distance: edge.distance, p: edge.point, q };
+  });
+  return best;
+}
+
+function closestOnOutline(poly, p) {
+  let best = { distance: Infinity, point: null };
+  for (let i = 0; i < poly.length; i++) {
+    const point = closestOnSegment(p, poly[i], poly[(i + 1) % poly.length]);
+    const distance = Math.hypot(p.x - point.x, p.y - point.y);
+    if (distance < best.distance) best = { distance, point };
+  }
+  return best;
+}
+
+function closestOnSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+  return { x: a.x + dx * t, y: a.y + dy * t };
+}
+
+function outlinesCross(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) {
+      if (segmentsCross(a[i], a[(i + 1) % a.length], b[j], b[(j + 1) % b.length])) return true;
+    }
+  }
+  return false;
+}
+
+function segmentsCross(p1, p2, q1, q2) {
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const d1 = cross(q1, q2, p1);
+  const d2 = cross(q1, q2, p2);
+  const d3 = cross(p1, p2, q1);
+  const d4 = cross(p1, p2, q2);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0)) && d1 !== 0 && d2 !== 0 && d3 !== 0 && d4 !== 0;
+}
+
+/**
+ * Distance from a shape to each map edge it comes near
+ */
+function edgeGaps(prims, width, height) {
+  const points = prims.flatMap(prim => prim.poly || [
+    { x: prim.circle.x - prim.circle.r, y: prim.circle.y },
+    { x: prim.circle.x + prim.circle.r, y: prim.circle.y },
+    { x: prim.circle.x, y: prim.circle.y - prim.circle.r },
+    { x: prim.circle.x, y: prim.circle.y + prim.circle.r }
+  ]);
+  const pick = (score, edge, toEdge) => {
+    const p = points.reduce((best, point) => (score(point) < score(best) ? point : best));
+    return { edge, distance: score(p), p, q: toEdge(p) };
+  };
+  return [
+    pick(p => p.x, 'left', p => ({ x: 0, y: p.y })),
+    pick(p => width - p.x, 'right', p => ({ x: width, y: p.y })),
+    pick(p => p.y, 'top', p => ({ x: p.x, y: 0 })),
+    pick(p => height - p.y, 'bottom', p => ({ x: p.x, y: height }))
+  ];
+}
+
+/**
+ * Exact squared Euclidean distance (in cells) from each cell to the nearest
+ * blocked cell (Felzenszwalb & Huttenlocher, two 1D passes)
+ */
+function distanceTransform(blocked, cols, rows) {
+  const INF = 1e20;
+  const grid = new Float64Array(cols * rows);
+  for (let i = 0; i < grid.length; i++) grid[i] = blocked[i] ? 0 : INF;
+
+  const size = Math.max(cols, rows);
+  const f = new Float64Array(size);
+  const d = new Float64Array(size);
+  const v = new Int32Array(size);
+  const z = new Float64Array(size + 1);
+
+  for (let c = 0; c < cols; c++) {
+    for (let r = 0; r < rows; r++) f[r] = grid[r * cols + c];
+    distanceTransform1D(f, rows, d, v, z);
+    for (let r = 0; r < rows; r++) grid[r * cols + c] = d[r];
+  }
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) f[c] = grid[r * cols + c];
+    distanceTransform1D(f, cols, d, v, z);
+    for (let c = 0; c < cols; c++) grid[r * cols + c] = d[c];
+  }
+  return grid;
+}
+
+function distanceTransform1D(f, n, d, v, z) {
+  let k = 0;
+  v[0] = 0;
+  z[0] = -Infinity;
+  z[1] = Infinity;
+  for (let q = 1; q < n; q++) {
+    let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    while (s <= z[k]) {
+      k--;
+      s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    }
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = Infinity;
+  }
+  k = 0;
+  for (let q = 0; q < n; q++) {
+    while (z[k + 1] < q) k++;
+    d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+  }
+}
+
+function pointInRect(x, y, rect) {
+  return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+}
+
+function rectsOverlap(a, b) {
+  return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+}
+
+function boundsGap(a, b) {
+  const dx = Math.max(0, a.minX - b.maxX, b.minX - a.maxX);
+  const dy = Math.max(0, a.minY - b.maxY, b.minY - a.maxY);
+  return Math.hypot(dx, dy);
+}
+
+function boundsToArea(b) {
+  return { x: b.minX, y: b.minY, width: b.maxX - b.minX, height: b.maxY - b.minY };
+}
+
+function clampArea(rect, width, height) {
+  const x = Math.max(0, Math.min(width - 20, rect.x));
+  const y = Math.max(0, Math.min(height - 20, rect.y));
+  return { x, y, width: 20, height: 20 };
+}
+
+function roundArea(area) {
+  return { x: round1(area.x), y: round1(area.y), width: round1(area.width), height: round1(area.height) };
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
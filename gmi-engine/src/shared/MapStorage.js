@@ -189,22 +189,34 @@ export class MapStorage {
       version: '1.0'
     };
 
-    const json = JSON.stringify(exportData, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-
-    // Create download link and click it
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${map.name.replace(/[^a-z0-9]/gi, '_')}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-
+    downloadJSON(exportData, `${map.name.replace(/[^a-z0-9]/gi, '_')}.json`);
     console.log('Map exported:', map.name);
   }
 
+  /**
+   * Export every stored map as one JSON file ({ maps: [...] }, each entry
+   * in the exportJSON format) - the input for `npm run analyze:maps`
+   * @returns {Promise<number>} Number of maps exported
+   */
+  async exportAllJSON() {
+    const summaries = await this.listMaps();
+    const maps = await Promise.all(summaries.map(summary => this.loadMap(summary.id)));
+
+    downloadJSON({
+      maps: maps.filter(Boolean).map(map => ({
+        name: map.name,
+        width: map.width,
+        height: map.height,
+        data: map.data
+      })),
+      exportedAt: Date.now(),
+      version: '1.0'
+    }, 'gmi-maps.json');
+
+    console.log(`Exported ${maps.length} maps`);
+    return maps.length;
+  }
+
   /**
    * Import a map from a JSON file
    * @param {File} file - JSON file to import
@@ -301,3 +313,21 @@ export function getMapStorage() {
   }
   return instance;
 }
+
+/**
+ * Download data as a pretty-printed JSON file
+ */
+function downloadJSON(data, filename) {
+  const json = JSON.stringify(data, null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  // Create download link and click it
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,443 @@
+/**
+ * PolygonGeometry - Shape math for polygon and polyline obstacles
+ *
+ * PURPOSE:
+ * Matter.js only collides convex bodies (concave vertices need the optional
+ * poly-decomp package, otherwise Matter silently falls back to the convex
+ * hull). This splits any simple polygon into convex parts itself, so
+ * imported artwork and editor-drawn shapes keep their real outline.
+ *
+ * OBSTACLE FORMAT:
+ *   {
+ *     type: 'polygon',
+ *     x, y, width, height,     // bounding box (resizing scales the points)
+ *     points: [{ x, y }, ...], // relative to x, y
+ *     closed: true,            // false = open polyline
+ *     thickness: 6             // polyline stroke width in px
+ *   }
+ *
+ * DECOMPOSITION:
+ * Ear clipping triangulates the outline, then Hertel-Mehlhorn merges
+ * neighbouring triangles while the result stays convex (at most 4x the
+ * optimal part count, usually close to it). Open polylines become one quad
+ * per segment plus a round joint at every bend.
+ *
+ * USAGE:
+ *   const obs = createPolygonObstacle(absolutePoints, { closed: true });
+ *   const parts = getConvexParts(obs);                // [[{x, y}, ...], ...]
+ *   const body = createPolygonBody(Matter, obs, { isStatic: true });
+ *
+ * @module PolygonGeometry
+ */
+
+const EPSILON = 1e-6;
+const MIN_POINT_DISTANCE = 0.5;  // px, closer points are merged
+const DEFAULT_THICKNESS = 6;     // px, open polyline width
+const JOINT_SIDES = 8;           // polyline joint polygon
+
+/**
+ * Build a polygon obstacle from absolute points
+ * @param {Array<{x: number, y: number}>} points - Outline in map coordinates
+ * @param {Object} [props] - Extra obstacle properties (closed, thickness, color, ...)
+ * @returns {Object|null} null when the points don't form a shape
+ */
+export function createPolygonObstacle(points, props = {}) {
+  const closed = props.closed !== false;
+  const cleaned = cleanPoints(points, closed);
+  if (cleaned.length < (closed ? 3 : 2)) return null;
+
+  const bounds = getBounds(cleaned);
+  return {
+    type: 'polygon',
+    ...props,
+    closed,
+    x: bounds.minX,
+    y: bounds.minY,
+    width: Math.max(1, bounds.maxX - bounds.minX),
+    height: Math.max(1, bounds.maxY - bounds.minY),
+    points: cleaned.map(p => ({ x: p.x - bounds.minX, y: p.y - bounds.minY }))
+  };
+}
+
+/**
+ * Absolute outline of a polygon obstacle, scaled to its current width/height
+ * @param {Object} obs - Polygon obstacle
+ * @param {Object} [origin] - Offset the points relative to this point instead of the map origin
+ */
+export function getPolygonPoints(obs, origin = null) {
+  const points = obs.points || [];
+  const bounds = getBounds(points);
+  const sourceW = bounds.maxX - bounds.minX;
+  const sourceH = bounds.maxY - bounds.minY;
+  const scaleX = sourceW > EPSILON ? (obs.width || sourceW) / sourceW : 1;
+  const scaleY = sourceH > EPSILON ? (obs.height || sourceH) / sourceH : 1;
+  const ox = (obs.x || 0) - (origin ? origin.x : 0);
+  const oy = (obs.y || 0) - (origin ? origin.y : 0);
+
+  return points.map(p => ({
+    x: ox + (p.x - bounds.minX) * scaleX,
+    y: oy + (p.y - bounds.minY) * scaleY
+  }));
+}
+
+/**
+ * Convex parts (absolute coordinates) covering a polygon obstacle
+ * @returns {Array<Array<{x: number, y: number}>>}
+ */
+export function getConvexParts(obs) {
+  const points = getPolygonPoints(obs);
+  const parts = obs.closed === false
+    ? polylineToParts(points, obs.thickness || DEFAULT_THICKNESS)
+    : decomposeConvex(points);
+
+  // Matter wants every part wound the same way (clockwise on screen)
+  return parts.map(part => (signedArea(part) < 0 ? [...part].reverse() : part));
+}
+
+/**
+ * Create a static compound Matter body for a polygon obstacle
+ * The body's position (rotation pivot, what animations move) is the
+ * bounding-box centre, matching how rectangles are placed
+ * @param {Object} Matter - Matter namespace (needs Body and Vertices)
+ * @param {Object} obs - Polygon obstacle
+ * @param {Object} [options] - Body options (label, restitution, ...)
+ * @returns {Object|null} Matter body, null if the shape has no area
+ */
+export function createPolygonBody(Matter, obs, options = {}) {
+  const { Body, Vertices } = Matter;
+  const parts = getConvexParts(obs)
+    .filter(part => Math.abs(signedArea(part)) > EPSILON)
+    .map(part => Body.create({
+      ...options,
+      position: Vertices.centre(part),
+      vertices: part
+    }));
+  if (parts.length === 0) return null;
+
+  const body = parts.length === 1 ? parts[0] : Body.create({ ...options, parts });
+  Body.setCentre(body, {
+    x: obs.x + (obs.width || 0) / 2,
+    y: obs.y + (obs.height || 0) / 2
+  });
+  if (options.isStatic) Body.setStatic(body, true);
+  return body;
+}
+
+// ---- Decomposition ----
+
+/**
+ * Split a simple polygon into convex polygons
+ * Self-intersecting outlines fall back to the convex hull of what ear
+ * clipping couldn't handle
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<Array<{x: number, y: number}>>}
+ */
+export function decomposeConvex(points) {
+  let polygon = cleanPoints(points, true);
+  if (polygon.length < 3) return [];
+  if (signedArea(polygon) < 0) polygon = [...polygon].reverse();
+  if (isConvex(polygon)) return [polygon];
+
+  const triangles = triangulate(polygon);
+  return mergeConvex(polygon, triangles).map(indices => indices.map(i => polygon[i]));
+}
+
+/**
+ * Ear clipping triangulation of a counter-clockwise polygon
+ * @returns {Array<Array<number>>} Triangles as vertex indices
+ */
+export function triangulate(polygon) {
+  const remaining = polygon.map((_, i) => i);
+  const triangles = [];
+  let guard = remaining.length * remaining.length;
+
+  while (remaining.length > 3 && guard-- > 0) {
+    let clipped = false;
+    for (let i = 0; i < remaining.length; i++) {
+      const prev = remaining[(i + remaining.length - 1) % remaining.length];
+      const curr = remaining[i];
+      const next = remaining[(i + 1) % remaining.length];
+      if (!isEar(polygon, remaining, prev, curr, next)) continue;
+
+      triangles.push([prev, curr, next]);
+      remaining.splice(i, 1);
+      clipped = true;
+      break;
+    }
+    if (!clipped) break;
+  }
+
+  if (remaining.length === 3) {
+    triangles.push(remaining);
+  } else if (remaining.length > 3) {
+    // Not a simple polygon; cover the rest with its hull
+    console.warn('[PolygonGeometry] Self-intersecting outline, using convex hull for', remaining.length, 'points');
+    const hull = convexHull(remaining.map(i => ({ ...polygon[i], index: i })));
+    for (let i = 1; i < hull.length - 1; i++) {
+      triangles.push([hull[0].index, hull[i].index, hull[i + 1].index]);
+    }
+  }
+  return triangles;
+}
+
+function isEar(polygon, remaining, prev, curr, next) {
+  const a = polygon[prev];
+  const b = polygon[curr];
+  const c = polygon[next];
+  if (cross(a, b, c) <= EPSILON) return false; // reflex or degenerate
+
+  for (const index of remaining) {
+    if (index === prev || index === curr || index === next) continue;
+    if (pointInTriangle(polygon[index], a, b, c)) return false;
+  }
+  return true;
+}
+
+/**
+ * Hertel-Mehlhorn: drop diagonals whose removal keeps both sides convex
+ * @returns {Array<Array<number>>} Convex polygons as vertex indices (CCW)
+ */
+function mergeConvex(polygon, triangles) {
+  const pieces = triangles.map(vertices => ({ vertices, alive: true }));
+  const owners = new Map(); // directed edge "a,b" -> piece
+  const register = (piece) => {
+    piece.vertices.forEach((a, i) => owners.set(`${a},${piece.vertices[(i + 1) % piece.vertices.length]}`, piece));
+  };
+  pieces.forEach(register);
+
+  let merged = true;
+  while (merged) {
+    merged = false;
+    for (const piece of pieces) {
+      if (!piece.alive) continue;
+      for (let i = 0; i < piece.vertices.length; i++) {
+        const a = piece.vertices[i];
+        const b = piece.vertices[(i + 1) % piece.vertices.length];
+        const other = owners.get(`${b},${a}`);
+        if (!other || other === piece || !other.alive) continue;
+
+        const combined = mergePieces(piece.vertices, other.vertices);
+        if (!combined || !isConvex(combined.map(index => polygon[index]))) continue;
+
+        other.alive = false;
+        piece.vertices = combined;
+        register(piece);
+        merged = true;
+        i = -1; // rescan the grown piece
+      }
+    }
+  }
+  return pieces.filter(piece => piece.alive).map(piece => piece.vertices);
+}
+
+/**
+ * Join two CCW pieces along a shared edge (a -> b in one, b -> a in the other)
+ */
+function mergePieces(p, q) {
+  for (let i = 0; i < p.length; i++) {
+    const a = p[i];
+    const b = p[(i + 1) % p.length];
+    const j = q.indexOf(b);
+    if (j === -1 || q[(j + 1) % q.length] !== a) continue;
+
+    // Walk p from b back around to a, then q's vertices strictly between a and b
+    const result = [];
+    for (let k = 0; k < p.length; k++) result.push(p[(i + 1 + k) % p.length]);
+    for (let k = 2; k < q.length; k++) result.push(q[(j + k) % q.length]);
+    return result;
+  }
+  return null;
+}
+
+/**
+ * Quads along each segment of an open polyline, with joints at the bends
+ */
+export function polylineToParts(points, thickness = DEFAULT_THICKNESS) {
+  const line = cleanPoints(points, false);
+  const half = thickness / 2;
+  const parts = [];
+
+  for (let i = 0; i < line.length - 1; i++) {
+    const a = line[i];
+    const b = line[i + 1];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length < EPSILON) continue;
+
+    const nx = -(b.y - a.y) / length * half;
+    const ny = (b.x - a.x) / length * half;
+    parts.push([
+      { x: a.x + nx, y: a.y + ny },
+      { x: b.x + nx, y: b.y + ny },
+      { x: b.x - nx, y: b.y - ny },
+      { x: a.x - nx, y: a.y - ny }
+    ]);
+  }
+
+  // Round joints so balls can't slip into the gap on the outside of a bend
+  for (let i = 1; i < line.length - 1; i++) {
+    const joint = [];
+    for (let k = 0; k < JOINT_SIDES; k++) {
+      const angle = k / JOINT_SIDES * Math.PI * 2;
+      joint.push({ x: line[i].x + Math.cos(angle) * half, y: line[i].y + Math.sin(angle) * half });
+    }
+    parts.push(joint);
+  }
+  return parts;
+}
+
+// ---- Queries ----
+
+/**
+ * Whether a point touches a polygon obstacle (grown by margin px)
+ */
+export function pointInPolygonObstacle(obs, x, y, margin = 0) {
+  const points = getPolygonPoints(obs);
+  const p = { x, y };
+
+  if (obs.closed === false) {
+    const reach = (obs.thickness || DEFAULT_THICKNESS) / 2 + margin;
+    for (let i = 0; i < points.length - 1; i++) {
+      if (distanceToSegment(p, points[i], points[i + 1]) <= reach) return true;
+    }
+    return false;
+  }
+
+  if (pointInPolygon(p, points)) return true;
+  if (margin <= 0) return false;
+  for (let i = 0; i < points.length; i++) {
+    if (distanceToSegment(p, points[i], points[(i + 1) % points.length]) <= margin) return true;
+  }
+  return false;
+}
+
+/**
+ * Even-odd point in polygon test
+ */
+export function pointInPolygon(p, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > p.y) !== (b.y > p.y) &&
+        p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+  return Math.hypot(p.x - (a.x + dx * t), p.y - (a.y + dy * t));
+}
+
+export function getBounds(points) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of points) {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  }
+  return minX === Infinity ? { minX: 0, minY: 0, maxX: 0, maxY: 0 } : { minX, minY, maxX, maxY };
+}
+
+/**
+ * Positive for counter-clockwise in a y-up frame (clockwise on screen)
+ */
+export function signedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+export function isConvex(points) {
+  if (points.length < 3) return false;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const c = points[(i + 2) % points.length];
+    if (cross(a, b, c) < -EPSILON) return false;
+  }
+  return true;
+}
+
+// ---- Helpers ----
+
+/**
+ * Drop non-finite, duplicate and collinear points (and the closing point of a ring)
+ */
+function cleanPoints(points, closed) {
+  let result = [];
+  for (const p of points) {
+    if (!Number.isFinite(p.x) || !Number.isFinite(p.y)) continue;
+    const last = result[result.length - 1];
+    if (last && Math.hypot(p.x - last.x, p.y - last.y) < MIN_POINT_DISTANCE) continue;
+    result.push({ x: p.x, y: p.y });
+  }
+
+  if (closed && result.length > 1) {
+    const first = result[0];
+    const last = result[result.length - 1];
+    if (Math.hypot(first.x - last.x, first.y - last.y) < MIN_POINT_DISTANCE) result.pop();
+  }
+
+  // Collinear points add parts without changing the shape
+  let changed = true;
+  while (changed && result.length > (closed ? 3 : 2)) {
+    changed = false;
+    const count = result.length;
+    const start = closed ? 0 : 1;
+    const end = closed ? count : count - 1;
+    for (let i = start; i < end; i++) {
+      const a = result[(i + count - 1) % count];
+      const b = result[i];
+      const c = result[(i + 1) % count];
+      const span = Math.hypot(c.x - a.x, c.y - a.y);
+      if (Math.abs(cross(a, b, c)) <= EPSILON * Math.max(1, span) && isBetween(a, b, c)) {
+        result = result.filter((_, k) => k !== i);
+        changed = true;
+        break;
+      }
+    }
+  }
+  return result;
+}
+
+function isBetween(a, b, c) {
+  return (b.x - a.x) * (c.x - b.x) + (b.y - a.y) * (c.y - b.y) >= 0;
+}
+
+function cross(a, b, c) {
+  return (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+}
+
+function pointInTriangle(p, a, b, c) {
+  return cross(a, b, p) >= -EPSILON && cross(b, c, p) >= -EPSILON && cross(c, a, p) >= -EPSILON;
+}
+
+/**
+ * Andrew's monotone chain, counter-clockwise
+ */
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const lower = [];
+  const upper = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
@@ -0,0 +1,176 @@
+/**
+ * Roster - Racers taking part in a race and how scoring scales with their number
+ *
+ * PURPOSE:
+ * A racer is a named ball with a colour, an optional skin image and base
+ * stat multipliers. Races run with 2-32 racers; every table that used to be
+ * written for exactly five balls (position points, roulette odds by
+ * placement, underdog bonuses) scales through the helpers here so the game,
+ * the sims and the stats agree for any roster size.
+ *
+ * FEATURES:
+ * - DEFAULT_ROSTER of 32 racers (the classic five first)
+ * - buildRoster: validated racers, padded from the defaults, unique names
+ * - getRaceRoster: the racers of a game config (config.balls.roster, or the
+ *   legacy config.balls.colors) for config.race.ballCount
+ * - getPositionPoints / getPlacementOdds / isUnderdogPosition
+ *
+ * RACER:
+ *   { name, color: '#rrggbb', skin: null | image URL,
+ *     stats: { hp, speed, damage } }  // multipliers on top of volume stats
+ *
+ * USAGE:
+ *   const roster = getRaceRoster(config);
+ *   getPositionPoints(1, roster.length);                // 10 for five balls
+ *   getPlacementOdds(PLACEMENT_ODDS, 12, roster.length); // { S, A, B, C }
+ *
+ * @module Roster
+ */
+
+export const MIN_BALLS = 2;
+export const MAX_BALLS = 32;
+export const DEFAULT_BALL_COUNT = 5;
+
+export const DEFAULT_ROSTER = [
+  { name: 'Red', color: '#ff4444' },
+  { name: 'Blue', color: '#4444ff' },
+  { name: 'Green', color: '#44ff44' },
+  { name: 'Yellow', color: '#ffff44' },
+  { name: 'Purple', color: '#ff44ff' },
+  { name: 'Orange', color: '#ff9f1c' },
+  { name: 'Cyan', color: '#22d3ee' },
+  { name: 'Pink', color: '#ff8fc8' },
+  { name: 'Lime', color: '#a3e635' },
+  { name: 'White', color: '#f5f5f5' },
+  { name: 'Teal', color: '#14b8a6' },
+  { name: 'Navy', color: '#1e3a8a' },
+  { name: 'Maroon', color: '#800000' },
+  { name: 'Gold', color: '#ffd700' },
+  { name: 'Silver', color: '#c0c0c0' },
+  { name: 'Coral', color: '#ff7f50' },
+  { name: 'Indigo', color: '#4b0082' },
+  { name: 'Magenta', color: '#d946ef' },
+  { name: 'Olive', color: '#808000' },
+  { name: 'Brown', color: '#8b4513' },
+  { name: 'Black', color: '#222222' },
+  { name: 'Mint', color: '#98ff98' },
+  { name: 'Lavender', color: '#b57edc' },
+  { name: 'Crimson', color: '#dc143c' },
+  { name: 'Azure', color: '#007fff' },
+  { name: 'Amber', color: '#ffbf00' },
+  { name: 'Violet', color: '#8f00ff' },
+  { name: 'Rose', color: '#e11d48' },
+  { name: 'Jade', color: '#00a86b' },
+  { name: 'Bronze', color: '#cd7f32' },
+  { name: 'Sky', color: '#87ceeb' },
+  { name: 'Plum', color: '#8e4585' }
+];
+
+export const DEFAULT_BALL_NAMES = DEFAULT_ROSTER.slice(0, DEFAULT_BALL_COUNT).map(racer => racer.name);
+
+export const DEFAULT_BASE_STATS = { hp: 1, speed: 1, damage: 1 };
+
+// Base stat multipliers are kept within this range
+const MIN_STAT = 0.5;
+const MAX_STAT = 2;
+
+// Positions in the bottom 40% of the field count as underdogs
+const UNDERDOG_FRACTION = 0.6;
+
+/**
+ * Clamp a ball count to the supported roster sizes
+ */
+export function clampBallCount(count) {
+  return Math.min(MAX_BALLS, Math.max(MIN_BALLS, Math.round(count) || DEFAULT_BALL_COUNT));
+}
+
+function normalizeStats(stats) {
+  return Object.fromEntries(Object.entries(DEFAULT_BASE_STATS).map(([key, fallback]) => {
+    const value = parseFloat(stats?.[key]);
+    return [key, Number.isFinite(value) ? Math.min(MAX_STAT, Math.max(MIN_STAT, value)) : fallback];
+  }));
+}
+
+/**
+ * Validated roster of `count` racers: missing slots are filled from
+ * DEFAULT_ROSTER, bad colours fall back to the slot's default and
+ * duplicate names get a number
+ * @param {Array<Object>} [racers] - Configured racers (partial entries are fine)
+ * @param {number} [count] - Racers wanted (clamped to 2-32)
+ * @returns {Array<{name: string, color: string, skin: string|null, stats: Object}>}
+ */
+export function buildRoster(racers = [], count = DEFAULT_BALL_COUNT) {
+  const size = clampBallCount(count);
+  const configured = (racers || []).slice(0, size);
+  const taken = new Set(configured.map(racer => racer?.name?.trim()).filter(Boolean));
+  const spares = DEFAULT_ROSTER.filter(racer => !taken.has(racer.name));
+  const used = new Set();
+
+  return Array.from({ length: size }, (_, i) => {
+    const racer = configured[i] || spares.shift() || DEFAULT_ROSTER[i];
+    const fallback = DEFAULT_ROSTER[i];
+
+    let name = String(racer.name || '').trim() || fallback.name;
+    for (let n = 2; used.has(name); n++) {
+      name = `${String(racer.name || fallback.name).trim()} ${n}`;
+    }
+    used.add(name);
+
+    return {
+      name,
+      color: /^#[0-9a-f]{6}$/i.test(racer.color) ? racer.color : fallback.color,
+      skin: racer.skin || null,
+      stats: normalizeStats(racer.stats)
+    };
+  });
+}
+
+/**
+ * Racers for a race with this game config
+ * @param {Object} config - Game config (see ConfigManager.getDefaultConfig)
+ */
+export function getRaceRoster(config) {
+  const racers = config?.balls?.roster || config?.balls?.colors || DEFAULT_ROSTER;
+  return buildRoster(racers, config?.race?.ballCount ?? DEFAULT_BALL_COUNT);
+}
+
+/**
+ * Base points for a finishing position: last place gets 2, the winner 10 in
+ * small fields, and every place beaten is worth at least 2 so big fields
+ * never tie (five balls: 10, 8, 6, 4, 2)
+ * @param {number} position - 1-based finishing position
+ * @param {number} count - Balls in the race
+ */
+export function getPositionPoints(position, count) {
+  if (count <= 1) return 10;
+  const place = Math.min(Math.max(1, position), count);
+  const step = Math.max(2, 8 / (count - 1));
+  return Math.round(2 + step * (count - place));
+}
+
+/**
+ * Tier odds for a finishing position, from a table written for as many
+ * places as it has rows. Positions map onto the table by how far down the
+ * field they are, interpolating between neighbouring rows
+ * @param {Object<number, Object<string, number>>} table - 1-based rows of { tier: percent }
+ * @param {number} position - 1-based finishing position
+ * @param {number} count - Balls in the race
+ * @returns {Object<string, number>} Percent per tier (sums to the table's row total)
+ */
+export function getPlacementOdds(table, position, count) {
+  const rows = Object.keys(table).length;
+  const fraction = count > 1 ? (Math.min(Math.max(1, position), count) - 1) / (count - 1) : 0;
+  const row = 1 + fraction * (rows - 1);
+  const low = table[Math.floor(row)];
+  const high = table[Math.ceil(row)];
+  const t = row - Math.floor(row);
+
+  return Object.fromEntries(Object.keys(low).map(tier => [tier, low[tier] + (high[tier] - low[tier]) * t]));
+}
+
+/**
+ * Whether a position is far enough back for an underdog win (4th/5th of five)
+ */
+export function isUnderdogPosition(position, count) {
+  return position > Math.ceil(count * UNDERDOG_FRACTION);
+}
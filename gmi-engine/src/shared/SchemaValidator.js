@@ -0,0 +1,124 @@
+/**
+ * SchemaValidator - Minimal JSON Schema (draft-07 subset) validator
+ *
+ * PURPOSE:
+ * Checks designer-edited config files (weapons.json, ...) against their
+ * schema before the game uses them, with readable error paths. No
+ * dependency so it runs in the browser bundles and the Node runner alike.
+ *
+ * SUPPORTED KEYWORDS:
+ * type, enum, required, properties, additionalProperties, minProperties,
+ * items, minItems, minLength, pattern, minimum, maximum, exclusiveMinimum,
+ * $ref (local "#/definitions/..." only)
+ *
+ * USAGE:
+ *   const errors = validateSchema(data, schema);
+ *   if (errors.length) console.error(errors.join('\n'));
+ *
+ * @module SchemaValidator
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path] - Path prefix used in messages
+ * @param {Object} [root] - Schema that $refs resolve against (defaults to schema)
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateSchema(value, schema, path = '$', root = schema) {
+  if (schema.$ref) {
+    const target = resolveRef(schema.$ref, root);
+    if (!target) return [`${path}: unresolved $ref ${schema.$ref}`];
+    return validateSchema(value, target, path, root);
+  }
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${i}]`, root));
+      });
+    }
+  } else if (typeOf(value) === 'object') {
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      errors.push(`${path}: needs at least ${schema.minProperties} properties`);
+    }
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue;
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], `${path}.${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unknown property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(child, schema.additionalProperties, `${path}.${key}`, root));
+      }
+    }
+  }
+
+  return errors;
+}
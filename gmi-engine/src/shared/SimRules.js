@@ -0,0 +1,137 @@
+/**
+ * SimRules - Simplified race rules shared by every simulation runner
+ *
+ * PURPOSE:
+ * The iframe runner (sim-runner.js) and the headless Node runner
+ * (headless-sim.js) must play by exactly the same rules, or their win
+ * rates can't be compared. Everything they tune lives here.
+ *
+ * FEATURES:
+ * - Equal ball stats, physics settings and safety limits (SIM_CONFIG)
+ * - Simplified weapon table used for boss auto-fire (WEAPON_DEFS)
+ * - Placement-weighted instant roulette (rollInstantReward)
+ *
+ * Racers, position points and odds for other roster sizes come from
+ * shared/Roster.js, like in the game.
+ *
+ * USAGE:
+ *   import { SIM_CONFIG, rollInstantReward } from './shared/SimRules.js';
+ *   const { tier, weaponId } = rollInstantReward(position, ballCount);
+ *
+ * @module SimRules
+ */
+
+import { rng } from '../game/systems/RandomSystem.js';
+import { getPlacementOdds } from './Roster.js';
+
+// Reward tiers (from RouletteSystem.js)
+export const REWARD_TIERS = {
+  S: { items: ['HOMING_ORB', 'LIGHTNING', 'HAMMER'] },
+  A: { items: ['SHOTGUN', 'SWORD', 'FLAIL'] },
+  B: { items: ['PEA_SHOOTER', 'BOUNCY_SHOT', 'SPIKE'] },
+  C: { items: ['SPEED_BUFF', 'SHIELD_BUFF', 'DAMAGE_BUFF'] }
+};
+
+// Odds by placement (1st gets better weapons), written for five balls
+export const PLACEMENT_ODDS = {
+  1: { S: 30, A: 40, B: 20, C: 10 },
+  2: { S: 20, A: 35, B: 30, C: 15 },
+  3: { S: 10, A: 30, B: 40, C: 20 },
+  4: { S: 5, A: 20, B: 45, C: 30 },
+  5: { S: 2, A: 15, B: 43, C: 40 }
+};
+
+// Weapon definitions (simplified for simulation)
+// Melee weapons BUFFED for balance - they were dealing < 10% of total damage before
+export const WEAPON_DEFS = {
+  // Projectile weapons (with explicit range)
+  PEA_SHOOTER: { name: 'Pea Shooter', damage: 5, cooldown: 800, range: 200, type: 'projectile' },
+  SHOTGUN: { name: 'Shotgun', damage: 15, cooldown: 1200, range: 200, type: 'projectile' },
+  HOMING_ORB: { name: 'Homing Orb', damage: 8, cooldown: 1500, range: 250, type: 'projectile' },
+  BOUNCY_SHOT: { name: 'Bouncy Shot', damage: 4, cooldown: 1000, range: 200, type: 'projectile' },
+  // Melee weapons - BUFFED damage and range
+  SWORD: { name: 'Sword', damage: 25, cooldown: 600, range: 120, type: 'melee' },
+  FLAIL: { name: 'Flail', damage: 12, cooldown: 400, range: 100, type: 'melee' },
+  SPIKE: { name: 'Spike Aura', damage: 18, cooldown: 500, range: 90, type: 'melee' },
+  HAMMER: { name: 'Hammer', damage: 45, cooldown: 1800, range: 130, type: 'melee' },
+  // Area weapons
+  LIGHTNING: { name: 'Lightning', damage: 20, cooldown: 3000, range: 300, type: 'area' },
+  // Buffs (unchanged)
+  SPEED_BUFF: { name: 'Speed Boost', damage: 0, cooldown: 0, type: 'buff', effect: 'speed' },
+  SHIELD_BUFF: { name: 'Shield', damage: 0, cooldown: 0, type: 'buff', effect: 'shield' },
+  DAMAGE_BUFF: { name: 'Damage Up', damage: 0, cooldown: 0, type: 'buff', effect: 'damage', multiplier: 2 }
+};
+
+// Centralized configuration for simulation parameters
+// All magic numbers extracted here for easy tuning
+export const SIM_CONFIG = {
+  // Ball physics
+  ball: {
+    radius: 15,
+    defaultSpeed: 5,
+    restitution: 1,
+    friction: 0,
+    frictionAir: 0,
+    hp: 100,
+    baseDamage: 10
+  },
+
+  // Race flow
+  race: {
+    countdownSeconds: 8,          // game seconds left for stragglers once half have finished
+    bossSpawnDelayMs: 300,        // boss appears shortly after the map loads
+    bossCollisionCooldownMs: 1000 // base ram damage cooldown per ball
+  },
+
+  // Safety systems - prevent stuck balls and infinite races
+  safety: {
+    outOfBoundsMargin: 50,        // pixels beyond map edge to detect escape
+    stuckCheckInterval: 60,       // frames between stuck checks (~1s at 60fps)
+    stuckThreshold: 5,            // consecutive stuck checks before push
+    stuckMinMovement: 2,          // min pixels moved to not be stuck
+    raceTimeoutMs: 30000,         // 30s max per race (real time)
+    globalTimeoutMs: 45000,       // 45s max per scene total
+    headlessRaceTimeoutMs: 120000 // headless runner: game-time cap (30s real at the 4x speed cap)
+  }
+};
+
+// Ball config (racers: Roster.buildRoster)
+export const BALL_CONFIG = {
+  radius: 15
+};
+
+/**
+ * Roll a roulette reward for a finishing position (draws from the shared rng)
+ * @param {number} position - 1-based finishing position
+ * @param {number} count - Balls in the race
+ * @returns {{tier: string, weaponId: string}}
+ */
+export function rollInstantReward(position, count) {
+  const odds = getPlacementOdds(PLACEMENT_ODDS, position, count);
+
+  // Roll for tier
+  const roll = rng.random() * 100;
+  let tier = 'C';
+  let cumulative = 0;
+
+  for (const [t, chance] of Object.entries(odds)) {
+    cumulative += chance;
+    if (roll < cumulative) {
+      tier = t;
+      break;
+    }
+  }
+
+  // Get random item from tier
+  const weaponId = rng.pick(REWARD_TIERS[tier].items);
+  return { tier, weaponId };
+}
+
+/**
+ * Get the English ordinal suffix for a number (1 -> 'st')
+ */
+export function getOrdinal(n) {
+  const s = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return s[(v - 20) % 10] || s[v] || s[0];
+}
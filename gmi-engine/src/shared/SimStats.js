@@ -0,0 +1,185 @@
+/**
+ * SimStats - Aggregates simulation results into batch statistics
+ *
+ * PURPOSE:
+ * One stats structure for every way of running simulations. The multi-sim
+ * page feeds it from iframe postMessages, the headless Node runner feeds it
+ * directly - both produce identical JSON for comparison and export.
+ *
+ * USAGE:
+ *   const stats = createSimStats(baseSeed, ballNames);
+ *   recordRaceStats(stats, raceMessage);    // 'sim-race-complete' payload
+ *   recordChainStats(stats, chainMessage);  // 'sim-chain-complete' payload
+ *
+ * @module SimStats
+ */
+
+import { DEFAULT_BALL_NAMES } from './Roster.js';
+
+// Diagnostic events kept across a whole batch
+const MAX_DIAGNOSTIC_EVENTS = 100;
+// Recent chain winners kept for the live feed
+const MAX_RECENT_FINISHES = 20;
+
+function perBall(names, factory) {
+  return Object.fromEntries(names.map(name => [name, factory()]));
+}
+
+/**
+ * Create an empty stats object
+ * @param {number|null} seed - Batch seed (sim N runs with hashSeed(seed, N))
+ * @param {string[]} [ballNames] - Roster the sims race with
+ * @param {string|null} [spawnMode] - Spawn mode the races ran with (SpawnLanes), null if not recorded
+ */
+export function createSimStats(seed = null, ballNames = DEFAULT_BALL_NAMES, spawnMode = null) {
+  return {
+    seed,
+    spawnMode,
+    balls: [...ballNames],
+    chainWins: perBall(ballNames, () => 0),
+    raceWins: perBall(ballNames, () => 0),
+    totalRaces: 0,
+    totalChains: 0,
+    recentFinishes: [],
+    mapStats: {},  // mapName -> { wins: {ball: count}, placements: {ball: [positions]} }
+    simulations: [],  // Array of full simulation results
+    weaponStats: {
+      awarded: {},  // weaponId -> count
+      damageDealt: {},  // weaponId -> total damage
+      // Track which weapons appeared in chain-winning builds
+      weaponWins: {}  // weaponId -> number of chains won with this weapon
+    },
+    // Diagnostics for debugging
+    diagnostics: {
+      outOfBoundsRespawns: 0,
+      stuckPushes: 0,
+      raceTimeouts: 0,
+      forceFinishedBalls: 0,
+      ballsWithoutBody: 0,
+      events: []
+    }
+  };
+}
+
+/**
+ * Add one finished race to the stats
+ * @param {Object} stats - From createSimStats
+ * @param {Object} data - { simId, seed, winner, level, mapName, mapType, results, bossDefeated, spawnLanes }
+ */
+export function recordRaceStats(stats, data) {
+  stats.totalRaces++;
+
+  // Track race winner
+  if (data.winner) {
+    stats.raceWins[data.winner] = (stats.raceWins[data.winner] || 0) + 1;
+  }
+
+  // Track per-map stats
+  const mapName = data.mapName || `Level ${data.level}`;
+  if (!stats.mapStats[mapName]) {
+    stats.mapStats[mapName] = {
+      mapType: data.mapType || 'race',
+      wins: perBall(stats.balls, () => 0),
+      placements: perBall(stats.balls, () => []),
+      races: []
+    };
+  }
+
+  const mapStat = stats.mapStats[mapName];
+  if (data.winner) {
+    mapStat.wins[data.winner] = (mapStat.wins[data.winner] || 0) + 1;
+  }
+
+  // Store detailed results for this race
+  if (data.results) {
+    data.results.forEach(r => {
+      if (mapStat.placements[r.name]) {
+        mapStat.placements[r.name].push(r.position);
+      }
+    });
+
+    // Store full race data
+    mapStat.races.push({
+      simId: data.simId,
+      seed: data.seed,
+      results: data.results,
+      bossDefeated: data.bossDefeated,
+      spawnLanes: data.spawnLanes
+    });
+  }
+}
+
+/**
+ * Add one finished chain to the stats
+ * @param {Object} stats - From createSimStats
+ * @param {Object} data - { simId, seed, winner, standings, raceResults, weaponStats, diagnostics }
+ */
+export function recordChainStats(stats, data) {
+  stats.totalChains++;
+
+  // Track chain winner
+  const winner = data.winner;
+  if (winner) {
+    stats.chainWins[winner] = (stats.chainWins[winner] || 0) + 1;
+  }
+
+  // Store full simulation data
+  stats.simulations.push({
+    simId: parseInt(data.simId) + 1,
+    seed: data.seed,
+    winner: winner,
+    standings: data.standings,
+    raceResults: data.raceResults || [],
+    weaponStats: data.weaponStats || null
+  });
+
+  // Aggregate weapon stats
+  if (data.weaponStats) {
+    // Merge awarded counts
+    for (const [weaponId, count] of Object.entries(data.weaponStats.awarded || {})) {
+      stats.weaponStats.awarded[weaponId] = (stats.weaponStats.awarded[weaponId] || 0) + count;
+    }
+    // Merge damage dealt
+    for (const [source, damage] of Object.entries(data.weaponStats.damageDealt || {})) {
+      stats.weaponStats.damageDealt[source] = (stats.weaponStats.damageDealt[source] || 0) + damage;
+    }
+    // Track weapons in winning builds
+    if (winner && data.weaponStats.ballWeapons && data.weaponStats.ballWeapons[winner]) {
+      const winnerWeapons = data.weaponStats.ballWeapons[winner];
+      // Count each unique weapon (not duplicates)
+      const uniqueWeapons = [...new Set(winnerWeapons)];
+      for (const weaponId of uniqueWeapons) {
+        stats.weaponStats.weaponWins[weaponId] = (stats.weaponStats.weaponWins[weaponId] || 0) + 1;
+      }
+    }
+  }
+
+  // Aggregate diagnostics
+  if (data.diagnostics) {
+    stats.diagnostics.outOfBoundsRespawns += data.diagnostics.outOfBoundsRespawns || 0;
+    stats.diagnostics.stuckPushes += data.diagnostics.stuckPushes || 0;
+    stats.diagnostics.raceTimeouts += data.diagnostics.raceTimeouts || 0;
+    stats.diagnostics.forceFinishedBalls += data.diagnostics.forceFinishedBalls || 0;
+    stats.diagnostics.ballsWithoutBody += data.diagnostics.ballsWithoutBody || 0;
+    // Keep last 100 events across all simulations
+    if (data.diagnostics.events) {
+      stats.diagnostics.events.push(...data.diagnostics.events.map(e => ({
+        ...e,
+        simId: parseInt(data.simId) + 1
+      })));
+      if (stats.diagnostics.events.length > MAX_DIAGNOSTIC_EVENTS) {
+        stats.diagnostics.events = stats.diagnostics.events.slice(-MAX_DIAGNOSTIC_EVENTS);
+      }
+    }
+  }
+
+  // Add to recent finishes
+  stats.recentFinishes.unshift({
+    simId: parseInt(data.simId) + 1,
+    winner,
+    points: data.standings?.[0]?.points || 0
+  });
+  if (stats.recentFinishes.length > MAX_RECENT_FINISHES) {
+    stats.recentFinishes.pop();
+  }
+}
@@ -12,6 +12,15 @@ import { InventorySystem } from './game/systems/InventorySystem.js';
 import { RouletteSystem } from './game/systems/RouletteSystem.js';
 import { volumeSystem } from './game/systems/VolumeSystem.js';
 import { CHAIN_RACE_MAPS, CHAIN_BOSS_MAPS, CHAIN_MIXED, CHAIN_WEAPONS_TEST } from './game/systems/MapChain.js';
+import { rng, hashSeed } from './game/systems/RandomSystem.js';
+import { LapManager } from './game/managers/LapManager.js';
+import { createPolygonBody } from './shared/PolygonGeometry.js';
+import { drawPolygonShape } from './game/rendering/ObstacleRenderer.js';
+import { SENSOR_BEHAVIORS } from './game/managers/SpecialObstacleManager.js';
+import { WEAPON_DEFS, SIM_CONFIG, BALL_CONFIG, rollInstantReward, getOrdinal } from './shared/SimRules.js';
+import { buildRoster, clampBallCount, getPositionPoints, DEFAULT_BALL_COUNT } from './shared/Roster.js';
+import { getSpawnPositions } from './game/systems/SpawnLanes.js';
+import { RaceTelemetry } from './shared/BalanceReport.js';
 
 // Parse URL parameters
 const params = new URLSearchParams(window.location.search);
@@ -20,8 +29,14 @@ const chainType = params.get('chainType') || 'mixed';
 // Cap time scale at 4x to avoid physics glitches (balls phasing through walls)
 const timeScale = Math.min(parseFloat(params.get('speed')) || 2, 4);
 const visualMode = params.get('visual') === '1';
+// Chain seed - each map's race seed is hashSeed(chainSeed, mapIndex)
+const chainSeed = params.has('seed') ? parseInt(params.get('seed')) >>> 0 : rng.generateSeed();
+// Default racers, as many as requested (2-32)
+const roster = buildRoster([], clampBallCount(parseInt(params.get('balls')) || DEFAULT_BALL_COUNT));
+const ballNames = roster.map(racer => racer.name);
+const perBall = (factory) => Object.fromEntries(ballNames.map(name => [name, factory()]));
 
-console.log(`[SimRunner ${simId}] Starting with chainType=${chainType}, speed=${timeScale}, visualMode=${visualMode}`);
+console.log(`[SimRunner ${simId}] Starting with chainType=${chainType}, speed=${timeScale}, visualMode=${visualMode}, seed=${chainSeed}, balls=${roster.length}`);
 
 // Get chain maps
 const CHAINS = {
@@ -37,14 +52,14 @@ console.log(`[SimRunner ${simId}] First map: ${chainMaps[0]?.name}, obstacles: $
 
 // State
 let currentMapIndex = 0;
-let cumulativePoints = { Red: 0, Blue: 0, Green: 0, Yellow: 0, Purple: 0 };
+let cumulativePoints = perBall(() => 0);
 let raceResults = [];
 
 // Weapon statistics tracking
 let weaponStats = {
   awarded: {}, // { PEA_SHOOTER: 5, SWORD: 3, ... }
   damageDealt: {}, // { PEA_SHOOTER: 1500, SWORD: 800, ... }
-  ballWeapons: { Red: [], Blue: [], Green: [], Yellow: [], Purple: [] }
+  ballWeapons: perBall(() => [])
 };
 
 // Diagnostics tracking for debugging stuck balls, timeouts, etc.
@@ -57,97 +72,12 @@ let chainDiagnostics = {
   events: []
 };
 
-// Reward tiers (from RouletteSystem.js)
-const REWARD_TIERS = {
-  S: { items: ['HOMING_ORB', 'LIGHTNING', 'HAMMER'] },
-  A: { items: ['SHOTGUN', 'SWORD', 'FLAIL'] },
-  B: { items: ['PEA_SHOOTER', 'BOUNCY_SHOT', 'SPIKE'] },
-  C: { items: ['SPEED_BUFF', 'SHIELD_BUFF', 'DAMAGE_BUFF'] }
-};
-
-// Odds by placement (1st gets better weapons)
-const PLACEMENT_ODDS = {
-  1: { S: 30, A: 40, B: 20, C: 10 },
-  2: { S: 20, A: 35, B: 30, C: 15 },
-  3: { S: 10, A: 30, B: 40, C: 20 },
-  4: { S: 5, A: 20, B: 45, C: 30 },
-  5: { S: 2, A: 15, B: 43, C: 40 }
-};
-
-// Weapon definitions (simplified for simulation)
-// Melee weapons BUFFED for balance - they were dealing < 10% of total damage before
-const WEAPON_DEFS = {
-  // Projectile weapons (with explicit range)
-  PEA_SHOOTER: { name: 'Pea Shooter', damage: 5, cooldown: 800, range: 200, type: 'projectile' },
-  SHOTGUN: { name: 'Shotgun', damage: 15, cooldown: 1200, range: 200, type: 'projectile' },
-  HOMING_ORB: { name: 'Homing Orb', damage: 8, cooldown: 1500, range: 250, type: 'projectile' },
-  BOUNCY_SHOT: { name: 'Bouncy Shot', damage: 4, cooldown: 1000, range: 200, type: 'projectile' },
-  // Melee weapons - BUFFED damage and range
-  SWORD: { name: 'Sword', damage: 25, cooldown: 600, range: 120, type: 'melee' },
-  FLAIL: { name: 'Flail', damage: 12, cooldown: 400, range: 100, type: 'melee' },
-  SPIKE: { name: 'Spike Aura', damage: 18, cooldown: 500, range: 90, type: 'melee' },
-  HAMMER: { name: 'Hammer', damage: 45, cooldown: 1800, range: 130, type: 'melee' },
-  // Area weapons
-  LIGHTNING: { name: 'Lightning', damage: 20, cooldown: 3000, range: 300, type: 'area' },
-  // Buffs (unchanged)
-  SPEED_BUFF: { name: 'Speed Boost', damage: 0, cooldown: 0, type: 'buff', effect: 'speed' },
-  SHIELD_BUFF: { name: 'Shield', damage: 0, cooldown: 0, type: 'buff', effect: 'shield' },
-  DAMAGE_BUFF: { name: 'Damage Up', damage: 0, cooldown: 0, type: 'buff', effect: 'damage', multiplier: 2 }
-};
-
-// Centralized configuration for simulation parameters
-// All magic numbers extracted here for easy tuning
-const SIM_CONFIG = {
-  // Ball physics
-  ball: {
-    radius: 15,
-    defaultSpeed: 5,
-    restitution: 1,
-    friction: 0,
-    frictionAir: 0,
-    hp: 100,
-    baseDamage: 10
-  },
-
-  // Safety systems - prevent stuck balls and infinite races
-  safety: {
-    outOfBoundsMargin: 50,        // pixels beyond map edge to detect escape
-    stuckCheckInterval: 60,       // frames between stuck checks (~1s at 60fps)
-    stuckThreshold: 5,            // consecutive stuck checks before push
-    stuckMinMovement: 2,          // min pixels moved to not be stuck
-    raceTimeoutMs: 30000,         // 30s max per race (real time)
-    globalTimeoutMs: 45000        // 45s max per scene total
-  },
-
-  // Points awarded by position
-  points: {
-    position: [10, 8, 6, 4, 2]    // 1st through 5th place
-  }
-};
-
 // Initialize volume system
 volumeSystem.initialize();
 
-// Ball config
-const BALL_CONFIG = {
-  radius: 15,
-  colors: [
-    { name: "Red", color: "#ff4444" },
-    { name: "Blue", color: "#4444ff" },
-    { name: "Green", color: "#44ff44" },
-    { name: "Yellow", color: "#ffff44" },
-    { name: "Purple", color: "#ff44ff" }
-  ]
-};
-
 // Shuffle array helper (Fisher-Yates)
 function shuffleArray(array) {
-  const arr = [...array];
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
+  return rng.shuffle(array);
 }
 
 // Instant roulette - assign weapons based on placement (no animation)
@@ -158,24 +88,7 @@ function runInstantRoulette(results) {
 
   results.forEach((result, idx) => {
     const position = result.position;
-    const odds = PLACEMENT_ODDS[position] || PLACEMENT_ODDS[5];
-
-    // Roll for tier
-    const roll = Math.random() * 100;
-    let tier = 'C';
-    let cumulative = 0;
-
-    for (const [t, chance] of Object.entries(odds)) {
-      cumulative += chance;
-      if (roll < cumulative) {
-        tier = t;
-        break;
-      }
-    }
-
-    // Get random item from tier
-    const tierItems = REWARD_TIERS[tier].items;
-    const weaponId = tierItems[Math.floor(Math.random() * tierItems.length)];
+    const { tier, weaponId } = rollInstantReward(position, results.length);
     const weaponDef = WEAPON_DEFS[weaponId];
 
     // Track weapon award
@@ -196,12 +109,6 @@ function runInstantRoulette(results) {
   return awards;
 }
 
-function getOrdinal(n) {
-  const s = ['th', 'st', 'nd', 'rd'];
-  const v = n % 100;
-  return s[(v - 20) % 10] || s[v] || s[0];
-}
-
 /**
  * Custom RaceScene for simulation - self-contained with all map data
  */
@@ -226,7 +133,7 @@ class SimRaceScene extends Phaser.Scene {
     this.countdownText = null;
     this.frameCount = 0;
     this.hasBoss = false;
-    this.bossDamageByBall = { Red: 0, Blue: 0, Green: 0, Yellow: 0, Purple: 0 };
+    this.bossDamageByBall = perBall(() => 0);
     this.lastDamageTime = 0;
 
     // Use global diagnostics (persists across scene restarts within chain)
@@ -246,6 +153,9 @@ class SimRaceScene extends Phaser.Scene {
       this.mapName = window.__simMapData?.name || 'Level 1';
     }
     this.timeScale = data?.timeScale || timeScale || 2;
+
+    // Reseed per map so any single race can be reproduced from (chainSeed, mapIndex)
+    this.raceSeed = rng.setSeed(hashSeed(chainSeed, currentMapIndex));
     console.log(`[SimRunner ${simId}] init() map: ${this.mapName}, obstacles: ${this.mapData?.obstacles?.length}, mapIndex: ${currentMapIndex}`);
   }
 
@@ -269,6 +179,13 @@ class SimRaceScene extends Phaser.Scene {
     this.itemSystem = new ItemSystem(this);
     this.inventorySystem = new InventorySystem(this);
 
+    // Balance telemetry (lanes, heatmap, obstacle hits) reported with each race
+    this.telemetry = new RaceTelemetry(this.mapData || {}, {
+      width: this.gameWidth,
+      height: this.gameHeight,
+      mapName: this.mapName
+    });
+
     // Render the map
     this.renderMap();
 
@@ -330,6 +247,7 @@ class SimRaceScene extends Phaser.Scene {
     (map.obstacles || []).forEach((obs, i) => {
       const color = obs.color ? parseInt(obs.color.replace('#', ''), 16) : 0x4a5568;
       const angle = (obs.angle || 0) * Math.PI / 180;
+      const isSensor = SENSOR_BEHAVIORS.includes(obs.behavior); // boost pads and portals
 
       let body;
       if (obs.type === 'circle') {
@@ -337,10 +255,32 @@ class SimRaceScene extends Phaser.Scene {
           isStatic: true,
           friction: 0,
           restitution: 1,
+          isSensor,
           label: 'obstacle'
         });
         this.obstacleLayer.fillStyle(color, 1);
         this.obstacleLayer.fillCircle(obs.x, obs.y, obs.radius);
+      } else if (obs.type === 'polygon') {
+        body = createPolygonBody(Phaser.Physics.Matter.Matter, obs, {
+          isStatic: true,
+          friction: 0,
+          restitution: 1,
+          isSensor,
+          label: 'obstacle'
+        });
+        if (!body) return;
+        this.matter.world.add(body);
+
+        if (angle !== 0) {
+          this.matter.body.setAngle(body, angle);
+          const graphics = this.add.graphics();
+          drawPolygonShape(graphics, obs, color, body.position);
+          graphics.x = body.position.x;
+          graphics.y = body.position.y;
+          graphics.rotation = angle;
+        } else {
+          drawPolygonShape(this.obstacleLayer, obs, color);
+        }
       } else {
         const cx = obs.x + (obs.width || 50) / 2;
         const cy = obs.y + (obs.height || 20) / 2;
@@ -350,6 +290,7 @@ class SimRaceScene extends Phaser.Scene {
           friction: 0,
           restitution: 1,
           angle: angle,
+          isSensor,
           label: 'obstacle'
         });
 
@@ -367,6 +308,8 @@ class SimRaceScene extends Phaser.Scene {
         }
       }
 
+      // Index into map.obstacles for per-obstacle telemetry
+      body.obstacleIndex = i;
       this.obstacles.push({ body, data: obs });
     });
 
@@ -409,19 +352,41 @@ class SimRaceScene extends Phaser.Scene {
       this.bgLayer.fillRect(sz.x, sz.y, sz.width, sz.height);
     }
 
+    // Checkpoints, laps and track progress for ranking timed-out balls (same as RaceScene)
+    this.lapManager = new LapManager(this);
+    this.lapManager.setup({
+      checkpoints: map.checkpoints || [],
+      laps: map.laps || 1,
+      finishZone: this.finishZone,
+      spawn: this.spawnZone
+        ? { x: this.spawnZone.x + this.spawnZone.width / 2, y: this.spawnZone.y + this.spawnZone.height / 2 }
+        : { x: this.gameWidth / 2, y: this.gameHeight - 60 },
+      obstacles: map.obstacles || [],
+      animatedIds: new Set(Object.keys(map.animations || {}))
+    });
+
     // Spawn boss if configured
     if (map.bossConfig) {
       const cfg = map.bossConfig;
       const mapHeight = map.height || 600;
       const scaleY = this.gameHeight / mapHeight;
       const bossY = cfg.y * scaleY;
-
-      this.time.delayedCall(300, () => {
+      const scaleMovement = (movement) => movement && {
+        ...movement,
+        waypoints: movement.waypoints?.map(p => ({ x: p.x, y: p.y * scaleY })),
+        anchors: movement.anchors?.map(p => ({ x: p.x, y: p.y * scaleY }))
+      };
+      const phases = (cfg.phases || []).map(phase => ({ ...phase, movement: scaleMovement(phase.movement) }));
+
+      this.time.delayedCall(SIM_CONFIG.race.bossSpawnDelayMs, () => {
         this.bossSystem.spawn(cfg.x, bossY, {
           width: cfg.width,
           height: cfg.height,
           health: cfg.health,
-          color: cfg.color
+          color: cfg.color,
+          movement: scaleMovement(cfg.movement),
+          phases,
+          parts: cfg.parts
         });
         this.bossSystem.setPattern(cfg.pattern);
         this.hasBoss = true;
@@ -431,40 +396,30 @@ class SimRaceScene extends Phaser.Scene {
   }
 
   createBalls() {
-    const count = 5;
+    const count = roster.length;
     const radius = BALL_CONFIG.radius;
 
     // Randomize spawn order to remove positional bias
-    const shuffledColors = shuffleArray(BALL_CONFIG.colors);
+    const shuffledColors = shuffleArray(roster);
 
     // Get map dimensions for scaling
     const mapHeight = this.mapData?.height || 600;
     const scaleY = this.gameHeight / mapHeight;
 
-    // Calculate spawn positions
-    let positions;
-    if (this.spawnZone) {
-      const laneWidth = this.spawnZone.width / count;
-      // Scale Y position to fit our game height
-      let spawnY = this.spawnZone.y * scaleY + (this.spawnZone.height * scaleY) / 2;
+    // Calculate spawn positions (start zone Y scaled to fit our game height)
+    const zone = this.spawnZone && {
+      ...this.spawnZone,
+      y: this.spawnZone.y * scaleY,
+      height: this.spawnZone.height * scaleY
+    };
+    const positions = getSpawnPositions(count, { zone, width: this.gameWidth, spawnY: this.gameHeight - 60, radius })
       // Ensure balls spawn within visible area
-      spawnY = Math.min(spawnY, this.gameHeight - radius - 10);
-
-      positions = Array.from({ length: count }, (_, i) => ({
-        x: this.spawnZone.x + laneWidth * i + laneWidth / 2,
-        y: spawnY
-      }));
-    } else {
-      const laneWidth = (this.gameWidth - 40) / count;
-      positions = Array.from({ length: count }, (_, i) => ({
-        x: 20 + laneWidth * i + laneWidth / 2,
-        y: this.gameHeight - 60
-      }));
-    }
+      .map(pos => ({ x: pos.x, y: Math.min(pos.y, this.gameHeight - radius - 10) }));
 
     for (let i = 0; i < count; i++) {
       const colorData = shuffledColors[i]; // Use shuffled order
       const pos = positions[i];
+      this.telemetry.setLane(colorData.name, i);
 
       const body = this.matter.add.circle(pos.x, pos.y, radius, {
         restitution: SIM_CONFIG.ball.restitution,
@@ -494,7 +449,7 @@ class SimRaceScene extends Phaser.Scene {
       graphics.y = pos.y;
 
       // EQUAL STATS for all balls (fair racing - bypasses VolumeSystem)
-      // This ensures ~20% win rate for each ball instead of Red/Blue dominance
+      // This gives every ball the same odds instead of Red/Blue dominance
       const stats = { hp: SIM_CONFIG.ball.hp, maxHp: SIM_CONFIG.ball.hp, speed: 1.0 };
 
       // EQUAL DAMAGE for all balls (fair boss fights)
@@ -524,6 +479,7 @@ class SimRaceScene extends Phaser.Scene {
         })),
         buffs: []
       });
+      this.lapManager.initBall(this.balls[this.balls.length - 1]);
 
       console.log(`[SimRaceScene] Created ball ${colorData.name} at (${pos.x}, ${pos.y}), weapons: ${ballWeapons.length}`);
     }
@@ -543,12 +499,17 @@ class SimRaceScene extends Phaser.Scene {
         const ball = this.balls.find(b => b.body === ballBody);
         if (!ball || ball.finished) return;
 
+        if (otherBody.label === 'obstacle' && !otherBody.isSensor) {
+          // Polygon obstacles collide through their convex parts
+          this.telemetry.recordCollision(ball.name, otherBody.parent.obstacleIndex, this.getRaceTime());
+        }
+
         // Bounce with randomness
         const vel = ballBody.velocity;
         const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
         if (speed > 0.1) {
           const effectiveSpeed = SIM_CONFIG.ball.defaultSpeed * (ball.speed || 1.0);
-          const twist = (Math.random() - 0.5) * 0.6;
+          const twist = rng.range(-0.3, 0.3);
           const currentAngle = Math.atan2(vel.y, vel.x);
 
           // Reflect and add twist
@@ -577,6 +538,7 @@ class SimRaceScene extends Phaser.Scene {
     this.finishedCount = 0;
     this.raceStartTime = this.time.now;
     this.raceStartRealTime = Date.now(); // Use real time for timeout (not affected by timeScale)
+    this.raceStartPhysicsTime = this.matter.world.engine.timing.timestamp;
 
     // Initialize ball tracking for stuck detection
     this.balls.forEach(ball => {
@@ -587,7 +549,7 @@ class SimRaceScene extends Phaser.Scene {
     // Give balls initial velocity
     this.balls.forEach(ball => {
       const speed = 5 * (ball.speed || 1.0);
-      const angle = -Math.PI/2 + (Math.random() - 0.5) * 0.5; // Mostly upward
+      const angle = -Math.PI/2 + rng.range(-0.25, 0.25); // Mostly upward
       this.matter.body.setVelocity(ball.body, {
         x: Math.cos(angle) * speed,
         y: Math.sin(angle) * speed
@@ -597,6 +559,13 @@ class SimRaceScene extends Phaser.Scene {
     console.log(`[SimRaceScene] Race started!`);
   }
 
+  /**
+   * Race time in ms of physics time (follows the sim speed, unlike this.time.now)
+   */
+  getRaceTime() {
+    return this.matter.world.engine.timing.timestamp - (this.raceStartPhysicsTime || 0);
+  }
+
   updateAutoFire(delta) {
     // Weapon-based boss damage system
     // Each ball fires their weapons at the boss based on cooldowns
@@ -616,7 +585,7 @@ class SimRaceScene extends Phaser.Scene {
 
       // Base collision damage (equal for all - 10 damage, cooldown 1000ms)
       if (!ball.lastCollisionDamage) ball.lastCollisionDamage = 0;
-      if (dist < bossSize + 30 && now - ball.lastCollisionDamage > 1000) {
+      if (dist < bossSize + 30 && now - ball.lastCollisionDamage > SIM_CONFIG.race.bossCollisionCooldownMs) {
         const damage = ball.damage; // Base 10 damage
         this.dealBossDamage(ball, damage, 'collision');
         ball.lastCollisionDamage = now;
@@ -746,13 +715,15 @@ class SimRaceScene extends Phaser.Scene {
   }
 
   dealBossDamage(ball, damage, source) {
+    if (this.bossSystem.isShielded()) return;
+
     // Track damage for statistics
     this.bossDamageByBall[ball.name] = (this.bossDamageByBall[ball.name] || 0) + damage;
 
     // Track damage by weapon type globally
     weaponStats.damageDealt[source] = (weaponStats.damageDealt[source] || 0) + damage;
 
-    const bossDied = this.bossSystem.takeDamage(damage);
+    const bossDied = this.bossSystem.takeDamage(damage, ball.name);
 
     if (bossDied) {
       console.log(`[SimRunner ${simId}] Boss killed by ${ball.name} using ${source}!`);
@@ -794,7 +765,7 @@ class SimRaceScene extends Phaser.Scene {
 
     // Track points (same as regular race)
     results.forEach((r, idx) => {
-      const points = SIM_CONFIG.points.position[idx] || 0;
+      const points = getPositionPoints(idx + 1, results.length);
       cumulativePoints[r.name] += points;
     });
 
@@ -803,12 +774,14 @@ class SimRaceScene extends Phaser.Scene {
       mapName: this.mapName,
       winner: results[0]?.name,
       results,
+      seed: this.raceSeed,
       isBoss: true,
       bossDamage: this.bossDamageByBall
     });
 
     // Report to parent
-    reportRaceComplete(results[0]?.name, currentMapIndex + 1, chainMaps.length, this.mapName, results);
+    reportRaceComplete(results[0]?.name, currentMapIndex + 1, chainMaps.length, this.mapName, results,
+      this.telemetry.finish(results, this.getRaceTime()));
 
     // Next map
     currentMapIndex++;
@@ -867,11 +840,11 @@ class SimRaceScene extends Phaser.Scene {
         });
 
         // Respawn at a safe position near center of map
-        const safeX = mapWidth / 2 + (Math.random() - 0.5) * 100;
-        const safeY = mapHeight / 2 + (Math.random() - 0.5) * 100;
+        const safeX = mapWidth / 2 + rng.range(-50, 50);
+        const safeY = mapHeight / 2 + rng.range(-50, 50);
 
         this.matter.body.setPosition(ball.body, { x: safeX, y: safeY });
-        this.matter.body.setVelocity(ball.body, { x: (Math.random() - 0.5) * 4, y: -2 });
+        this.matter.body.setVelocity(ball.body, { x: rng.range(-2, 2), y: -2 });
 
         // Update graphics immediately
         if (ball.graphics) {
@@ -919,6 +892,7 @@ class SimRaceScene extends Phaser.Scene {
 
           // Track diagnostic
           this.diagnostics.stuckPushes++;
+          this.telemetry.recordStuckPush(pos);
           this.diagnostics.events.push({
             type: 'stuckPush',
             ball: ball.name,
@@ -928,8 +902,8 @@ class SimRaceScene extends Phaser.Scene {
           });
 
           // Give the ball a random push to unstick it
-          const pushX = (Math.random() - 0.5) * 8;
-          const pushY = (Math.random() - 0.5) * 8 - 2; // Slight upward bias toward finish
+          const pushX = rng.range(-4, 4);
+          const pushY = rng.range(-4, 4) - 2; // Slight upward bias toward finish
           this.matter.body.setVelocity(ball.body, { x: pushX, y: pushY });
 
           ball.stuckFrames = 0;
@@ -959,6 +933,7 @@ class SimRaceScene extends Phaser.Scene {
 
       // Track diagnostic
       this.diagnostics.raceTimeouts++;
+      this.telemetry.recordTimeout();
       this.diagnostics.events.push({
         type: 'globalTimeout',
         isRacing: this.isRacing,
@@ -1000,7 +975,7 @@ class SimRaceScene extends Phaser.Scene {
 
     // Award points
     results.forEach((r, idx) => {
-      const points = SIM_CONFIG.points.position[idx] || 0;
+      const points = getPositionPoints(idx + 1, results.length);
       cumulativePoints[r.name] += points;
     });
 
@@ -1009,10 +984,12 @@ class SimRaceScene extends Phaser.Scene {
       mapName: this.mapName || 'Unknown',
       winner: results[0]?.name || 'Unknown',
       results,
+      seed: this.raceSeed,
       forcedByTimeout: true
     });
 
-    reportRaceComplete(results[0]?.name, currentMapIndex + 1, chainMaps.length, this.mapName, results);
+    reportRaceComplete(results[0]?.name, currentMapIndex + 1, chainMaps.length, this.mapName, results,
+      this.telemetry.finish(results, this.getRaceTime()));
     currentMapIndex++;
 
     if (currentMapIndex < chainMaps.length) {
@@ -1038,6 +1015,7 @@ class SimRaceScene extends Phaser.Scene {
 
       // Track diagnostic
       this.diagnostics.raceTimeouts++;
+      this.telemetry.recordTimeout();
 
       // Force-finish all remaining balls
       // Include balls with no body (they vanished) - sort by finished status
@@ -1108,16 +1086,21 @@ class SimRaceScene extends Phaser.Scene {
     this.checkStuckBalls();     // Push balls that are stuck
     this.checkRaceTimeout();    // Force-complete if race takes too long
 
+    this.telemetry.sample(this.balls.map(ball => (ball.finished || !ball.body ? null : ball.body.position)));
+
     // Check finish zone
     if (this.finishZone) {
+      const raceTime = (this.time.now - this.raceStartTime) / 1000;
       this.balls.forEach(ball => {
         if (ball.finished) return;
 
         const pos = ball.body.position;
         const fz = this.finishZone;
+        const inFinish = pos.x >= fz.x && pos.x <= fz.x + fz.width &&
+          pos.y >= fz.y && pos.y <= fz.y + fz.height;
 
-        if (pos.x >= fz.x && pos.x <= fz.x + fz.width &&
-            pos.y >= fz.y && pos.y <= fz.y + fz.height) {
+        // Laps decide whether reaching the finish ends this ball's race
+        if (this.lapManager.update(ball, pos.x, pos.y, inFinish, raceTime)) {
           ball.finished = true;
           this.finishedCount++;
           ball.finishPosition = this.finishedCount;
@@ -1145,7 +1128,7 @@ class SimRaceScene extends Phaser.Scene {
       const halfCount = Math.ceil(this.balls.length / 2);
       if (!this.countdownStarted && this.finishedCount >= halfCount) {
         this.countdownStarted = true;
-        this.countdown = 8; // 8 seconds real-time
+        this.countdown = SIM_CONFIG.race.countdownSeconds;
         console.log(`[SimRunner ${simId}] Half finished (${this.finishedCount}/${this.balls.length}), starting ${this.countdown}s countdown`);
 
         // Create countdown display
@@ -1200,15 +1183,15 @@ class SimRaceScene extends Phaser.Scene {
   forceFinishRemaining() {
     console.log(`[SimRunner ${simId}] Force finishing remaining balls`);
 
-    // Get unfinished balls sorted by Y position (closest to finish first)
+    // Get unfinished balls sorted by track progress (closest to finish first)
+    const progressOf = (ball) => {
+      // Handle case where body might have been removed
+      const pos = ball.body?.position;
+      return pos ? (this.lapManager?.getProgress(ball, pos.x, pos.y) ?? -1) : -1;
+    };
     const unfinished = this.balls
       .filter(b => !b.finished)
-      .sort((a, b) => {
-        // Handle case where body might have been removed
-        const aY = a.body?.position?.y ?? 999;
-        const bY = b.body?.position?.y ?? 999;
-        return aY - bY;
-      });
+      .sort((a, b) => progressOf(b) - progressOf(a));
 
     console.log(`[SimRunner ${simId}] ${unfinished.length} balls to force-finish`);
 
@@ -1269,7 +1252,7 @@ class SimRaceScene extends Phaser.Scene {
 
     // Track points
     results.forEach((r, idx) => {
-      const points = SIM_CONFIG.points.position[idx] || 0;
+      const points = getPositionPoints(idx + 1, results.length);
       cumulativePoints[r.name] += points;
     });
 
@@ -1281,11 +1264,13 @@ class SimRaceScene extends Phaser.Scene {
       mapName: this.mapName,
       winner: results[0]?.name,
       results,
+      seed: this.raceSeed,
       rouletteAwards // Track what weapons were given
     });
 
     // Report to parent
-    reportRaceComplete(results[0]?.name, currentMapIndex + 1, chainMaps.length, this.mapName, results);
+    reportRaceComplete(results[0]?.name, currentMapIndex + 1, chainMaps.length, this.mapName, results,
+      this.telemetry.finish(results, this.getRaceTime()));
 
     // Next map or finish
     currentMapIndex++;
@@ -1389,16 +1374,18 @@ function reportStatus(status) {
   }
 }
 
-function reportRaceComplete(winner, level, totalLevels, mapName, results) {
+function reportRaceComplete(winner, level, totalLevels, mapName, results, telemetry) {
   if (window.parent !== window) {
     window.parent.postMessage({
       type: 'sim-race-complete',
       simId,
+      seed: hashSeed(chainSeed, level - 1),
       winner,
       level,
       totalLevels,
       mapName,
-      results
+      results,
+      telemetry
     }, '*');
     console.log(`[SimRunner ${simId}] Reported race complete: L${level}/${totalLevels}, winner: ${winner}`);
   }
@@ -1409,6 +1396,7 @@ function reportChainComplete(winner, standings) {
     window.parent.postMessage({
       type: 'sim-chain-complete',
       simId,
+      seed: chainSeed,
       winner,
       standings,
       raceResults,
@@ -1429,7 +1417,7 @@ function reportChainComplete(winner, standings) {
   }
 
   // Reset for next chain
-  weaponStats.ballWeapons = { Red: [], Blue: [], Green: [], Yellow: [], Purple: [] };
+  weaponStats.ballWeapons = perBall(() => []);
   chainDiagnostics = {
     outOfBoundsRespawns: 0,
     stuckPushes: 0,
@@ -6,14 +6,15 @@
 import { pointSystem } from '../game/systems/PointSystem.js';
 import { statisticsSystem } from '../game/systems/StatisticsSystem.js';
 import { volumeSystem } from '../game/systems/VolumeSystem.js';
+import { mapChain } from '../game/systems/MapChain.js';
 
 /**
  * Show chain complete screen with final results
  * @param {Function} onClose - Callback when screen is closed
  */
 export function showChainCompleteScreen(onClose) {
-  // Get final results from point system
-  const finalResults = pointSystem.getFinalResults();
+  // Get final results from point system (seed lets the chain be replayed)
+  const finalResults = { ...pointSystem.getFinalResults(), seed: mapChain.seed };
   const leaderboard = finalResults.standings;
 
   // Record chain completion in statistics
@@ -49,6 +50,9 @@ export function showChainCompleteScreen(onClose) {
       <div style="font-size: 1.5em; color: #888; margin-bottom: 10px;">
         ${finalResults.totalLevels} Levels Completed
       </div>
+      <div style="font-size: 0.9em; color: #666; margin-bottom: 10px;">
+        Seed: ${finalResults.seed ?? 'n/a'}
+      </div>
       <div style="font-size: 2em; color: #ffd700; margin-bottom: 30px;">
         🏆 ${winner?.name || 'Unknown'} WINS! 🏆
       </div>
@@ -3,6 +3,8 @@
  * Extracted from renderer.js for modularity
  */
 
+import { buildRoster, DEFAULT_BALL_COUNT } from '../shared/Roster.js';
+
 /**
  * Simple localStorage-based config storage (replaces Electron IPC)
  */
@@ -42,14 +44,9 @@ export const configStorage = {
  */
 export function getDefaultConfig() {
   return {
-    race: { duration: 60, ballCount: 5 },
-    balls: { radius: 15, density: 0.5, colors: [
-      { name: "Red", color: "#ff4444" },
-      { name: "Blue", color: "#4444ff" },
-      { name: "Green", color: "#44ff44" },
-      { name: "Yellow", color: "#ffff44" },
-      { name: "Purple", color: "#ff44ff" }
-    ]},
+    race: { duration: 60, ballCount: 5, spawnMode: 'fixed' },
+    // Racers (shared/Roster.js) - slots past the end are filled from DEFAULT_ROSTER
+    balls: { radius: 15, density: 0.5, roster: buildRoster([], DEFAULT_BALL_COUNT) },
     map: { noiseScale: 50, platformDensity: 0.5, seed: 12345 },
     physics: { gravity: 8, bounce: 0.8, friction: 0.1, airResistance: 0.01 },  // gravity = ball speed
     items: { enabled: false, spawnRate: 5, types: [] }
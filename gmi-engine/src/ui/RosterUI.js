@@ -0,0 +1,70 @@
+/**
+ * RosterUI - Roster panel rendering functions
+ * One editable row per racer: colour, name, skin image and base stats
+ */
+
+import { getRaceRoster } from '../shared/Roster.js';
+
+const STAT_FIELDS = [
+  { key: 'hp', label: 'HP' },
+  { key: 'speed', label: 'SPD' },
+  { key: 'damage', label: 'DMG' }
+];
+
+function escapeAttribute(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Render the racers of the configured roster
+ * @param {Object} config - Game config (edited in place, see Roster.getRaceRoster)
+ * @param {Function} onChange - Called after a racer was edited
+ */
+export function renderRosterList(config, onChange) {
+  const container = document.getElementById('roster-list');
+  if (!container) return;
+
+  const roster = getRaceRoster(config);
+
+  container.innerHTML = roster.map((racer, i) => `
+    <div class="roster-row" data-index="${i}">
+      <input type="color" class="roster-color" data-field="color" value="${racer.color}">
+      <input type="text" class="roster-name" data-field="name" value="${escapeAttribute(racer.name)}" maxlength="16">
+      <input type="text" class="roster-skin" data-field="skin" value="${escapeAttribute(racer.skin || '')}" placeholder="Skin image URL">
+      <div class="roster-stats">
+        ${STAT_FIELDS.map(({ key, label }) => `
+          <label title="${label} multiplier">${label}
+            <input type="number" data-stat="${key}" value="${racer.stats[key]}" min="0.5" max="2" step="0.1">
+          </label>
+        `).join('')}
+      </div>
+    </div>
+  `).join('');
+
+  // 'change' rather than 'input' so typing a name doesn't rebuild the balls every keystroke
+  container.querySelectorAll('input').forEach(input => {
+    input.addEventListener('change', (e) => {
+      const index = parseInt(e.target.closest('.roster-row').dataset.index);
+      const racer = materializeRoster(config)[index];
+
+      if (e.target.dataset.stat) {
+        racer.stats = { ...racer.stats, [e.target.dataset.stat]: parseFloat(e.target.value) };
+      } else {
+        racer[e.target.dataset.field] = e.target.value.trim() || null;
+      }
+
+      onChange();
+    });
+  });
+}
+
+/**
+ * Write the racers currently in play into config.balls.roster so they can
+ * be edited (racers configured past the ball count are kept)
+ */
+function materializeRoster(config) {
+  const racers = getRaceRoster(config);
+  const configured = config.balls.roster || config.balls.colors || [];
+  config.balls.roster = [...racers, ...configured.slice(racers.length)];
+  return config.balls.roster;
+}
@@ -18,19 +18,11 @@ export function updateStatsDashboard() {
   // Update ball win rates
   const ballWinratesEl = document.getElementById('stats-ball-winrates');
   if (summary.totalRaces > 0) {
-    const ballColors = {
-      Red: '#e74c3c',
-      Blue: '#3498db',
-      Green: '#2ecc71',
-      Yellow: '#f1c40f',
-      Purple: '#9b59b6'
-    };
-
     let html = '<table style="width: 100%; border-collapse: collapse;">';
     html += '<tr style="color: #888; font-size: 10px;"><th style="text-align: left;">Ball</th><th>Races</th><th>Win%</th><th>Avg Pos</th><th>Chain W</th></tr>';
 
     for (const [name, data] of Object.entries(summary.ballWinRates)) {
-      const color = ballColors[name] || '#fff';
+      const color = data.color || '#fff';
       html += `<tr style="border-top: 1px solid #333;">
         <td style="color: ${color}; padding: 4px 0;">${name}</td>
         <td style="text-align: center;">${data.races}</td>
@@ -60,6 +52,18 @@ export function updateStatsDashboard() {
       </tr>`;
     }
     html += '</table>';
+
+    // Evolutions (maxed weapon + buff)
+    if (summary.evolutions.length > 0) {
+      html += '<div style="color: #888; font-size: 10px; margin-top: 6px;">Evolutions</div>';
+      for (const evolution of summary.evolutions) {
+        html += `<div style="padding: 2px 0;">
+          <span style="color: #e599f7;">${evolution.id}</span>
+          <span style="color: #666;">(${evolution.from} + ${evolution.buff})</span>
+          <span style="float: right;">×${evolution.count}</span>
+        </div>`;
+      }
+    }
     weaponsEl.innerHTML = html;
   } else {
     weaponsEl.innerHTML = '<div style="color: #666;">No weapon data yet.</div>';
@@ -2,17 +2,20 @@
  * Automated Test Runner for GMI Racing Engine
  *
  * Runs headless simulations and validates results.
- * Usage: npm run test:refactor
+ * Usage: npm run test:refactor          (Puppeteer + multi-sim.html, needs npm start)
+ *        npm run test:headless          (pure Node via src/headless-sim.js, no browser)
  */
 
-const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const { execFileSync } = require('child_process');
 
 // Configuration
 const CONFIG = {
   simCount: 16,
   chainType: 'mixed',
+  seed: 1,              // Headless batch seed - fixed so the win-rate check is reproducible
+  spawnMode: 'shuffle', // Headless spawn lanes, same as the multi-sim iframes
   speed: 4,
   port: 3000,  // Matches npm start
   timeout: 180000, // 3 minutes max
@@ -30,6 +33,84 @@ const PASS_CRITERIA = {
   winRateMax: 0.45,         // No ball above 45% win rate (very lenient)
 };
 
+/**
+ * Check results against PASS_CRITERIA, print the report and save test-results.json
+ * @returns {boolean} True if every criterion passed
+ */
+function validateAndSave(results, diagnostics, config) {
+  console.log('');
+  console.log('='.repeat(60));
+  console.log('TEST RESULTS');
+  console.log('='.repeat(60));
+
+  const failures = [];
+
+  // Check completion rate
+  const completionPass = results.completionRate >= PASS_CRITERIA.completionRate;
+  console.log(`Completion Rate: ${(results.completionRate * 100).toFixed(1)}% ${completionPass ? '✓' : '✗'}`);
+  if (!completionPass) failures.push(`Completion rate ${(results.completionRate * 100).toFixed(1)}% < required ${PASS_CRITERIA.completionRate * 100}%`);
+
+  // Check timeouts
+  const timeouts = diagnostics.raceTimeouts || 0;
+  const timeoutPass = timeouts <= PASS_CRITERIA.maxTimeouts;
+  console.log(`Race Timeouts: ${timeouts} ${timeoutPass ? '✓' : '✗'}`);
+  if (!timeoutPass) failures.push(`Race timeouts ${timeouts} > max ${PASS_CRITERIA.maxTimeouts}`);
+
+  // Check stuck pushes
+  const stuckPushes = diagnostics.stuckPushes || 0;
+  const stuckPass = stuckPushes <= PASS_CRITERIA.maxStuckPushes;
+  console.log(`Stuck Pushes: ${stuckPushes} ${stuckPass ? '✓' : '✗'}`);
+  if (!stuckPass) failures.push(`Stuck pushes ${stuckPushes} > max ${PASS_CRITERIA.maxStuckPushes}`);
+
+  // Check win rate balance
+  console.log('');
+  console.log('Win Rates:');
+  let winRatePass = true;
+  Object.entries(results.winRates).forEach(([ball, rate]) => {
+    const pass = rate >= PASS_CRITERIA.winRateMin && rate <= PASS_CRITERIA.winRateMax;
+    console.log(`  ${ball}: ${(rate * 100).toFixed(1)}% ${pass ? '✓' : '✗'}`);
+    if (!pass) {
+      winRatePass = false;
+      failures.push(`${ball} win rate ${(rate * 100).toFixed(1)}% outside range ${PASS_CRITERIA.winRateMin * 100}-${PASS_CRITERIA.winRateMax * 100}%`);
+    }
+  });
+
+  // Final verdict
+  console.log('');
+  console.log('='.repeat(60));
+
+  const allPass = failures.length === 0;
+  if (allPass) {
+    console.log('RESULT: ✓ ALL TESTS PASSED');
+    console.log('='.repeat(60));
+  } else {
+    console.log('RESULT: ✗ TESTS FAILED');
+    console.log('');
+    console.log('Failures:');
+    failures.forEach(f => console.log(`  - ${f}`));
+    console.log('='.repeat(60));
+  }
+
+  // Save results to file
+  const resultsPath = path.join(__dirname, 'test-results.json');
+  fs.writeFileSync(resultsPath, JSON.stringify({
+    timestamp: new Date().toISOString(),
+    config,
+    criteria: PASS_CRITERIA,
+    results: {
+      completionRate: results.completionRate,
+      winRates: results.winRates,
+      timeouts,
+      stuckPushes
+    },
+    passed: allPass,
+    failures
+  }, null, 2));
+  console.log(`Results saved to: ${resultsPath}`);
+
+  return allPass;
+}
+
 async function runTests() {
   console.log('='.repeat(60));
   console.log('GMI Racing Engine - Automated Test Runner');
@@ -37,6 +118,7 @@ async function runTests() {
   console.log(`Config: ${CONFIG.simCount} sims, ${CONFIG.chainType} chain, ${CONFIG.speed}x speed`);
   console.log('');
 
+  const puppeteer = require('puppeteer');
   let browser;
   try {
     // Launch headless browser
@@ -139,90 +221,72 @@ async function runTests() {
       return { raceTimeouts: 0, stuckPushes: 0, outOfBoundsRespawns: 0 };
     });
 
-    // Validate results
-    console.log('');
-    console.log('='.repeat(60));
-    console.log('TEST RESULTS');
-    console.log('='.repeat(60));
+    const allPass = validateAndSave(results, diagnostics, CONFIG);
 
-    const failures = [];
+    await browser.close();
+    process.exit(allPass ? 0 : 1);
 
-    // Check completion rate
-    const completionPass = results.completionRate >= PASS_CRITERIA.completionRate;
-    console.log(`Completion Rate: ${(results.completionRate * 100).toFixed(1)}% ${completionPass ? '✓' : '✗'}`);
-    if (!completionPass) failures.push(`Completion rate ${(results.completionRate * 100).toFixed(1)}% < required ${PASS_CRITERIA.completionRate * 100}%`);
+  } catch (error) {
+    console.error('Test runner error:', error.message);
+    if (browser) await browser.close();
+    process.exit(1);
+  }
+}
 
-    // Check timeouts
-    const timeouts = diagnostics.raceTimeouts || 0;
-    const timeoutPass = timeouts <= PASS_CRITERIA.maxTimeouts;
-    console.log(`Race Timeouts: ${timeouts} ${timeoutPass ? '✓' : '✗'}`);
-    if (!timeoutPass) failures.push(`Race timeouts ${timeouts} > max ${PASS_CRITERIA.maxTimeouts}`);
+/**
+ * Same checks without a browser - runs the headless Node simulator
+ * (build it first with npm run build:headless)
+ */
+function runHeadlessTests() {
+  console.log('='.repeat(60));
+  console.log('GMI Racing Engine - Headless Test Runner');
+  console.log('='.repeat(60));
+  console.log(`Config: ${CONFIG.simCount} sims, ${CONFIG.chainType} chain, ${CONFIG.spawnMode} spawn, seed ${CONFIG.seed}`);
+  console.log('');
 
-    // Check stuck pushes
-    const stuckPushes = diagnostics.stuckPushes || 0;
-    const stuckPass = stuckPushes <= PASS_CRITERIA.maxStuckPushes;
-    console.log(`Stuck Pushes: ${stuckPushes} ${stuckPass ? '✓' : '✗'}`);
-    if (!stuckPass) failures.push(`Stuck pushes ${stuckPushes} > max ${PASS_CRITERIA.maxStuckPushes}`);
+  const statsPath = path.join(__dirname, 'headless-stats.json');
 
-    // Check win rate balance
-    console.log('');
-    console.log('Win Rates:');
-    let winRatePass = true;
-    Object.entries(results.winRates).forEach(([ball, rate]) => {
-      const pass = rate >= PASS_CRITERIA.winRateMin && rate <= PASS_CRITERIA.winRateMax;
-      console.log(`  ${ball}: ${(rate * 100).toFixed(1)}% ${pass ? '✓' : '✗'}`);
-      if (!pass) {
-        winRatePass = false;
-        failures.push(`${ball} win rate ${(rate * 100).toFixed(1)}% outside range ${PASS_CRITERIA.winRateMin * 100}-${PASS_CRITERIA.winRateMax * 100}%`);
-      }
+  try {
+    const startTime = Date.now();
+    execFileSync(process.execPath, [
+      path.join(__dirname, 'src', 'headless-sim-bundle.js'),
+      '--chains', String(CONFIG.simCount),
+      '--chain', CONFIG.chainType,
+      '--seed', String(CONFIG.seed),
+      '--spawn', CONFIG.spawnMode,
+      '--out', statsPath
+    ], { stdio: ['ignore', 'inherit', 'inherit'], timeout: CONFIG.timeout });
+    console.log(`Simulations completed in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+
+    const stats = JSON.parse(fs.readFileSync(statsPath, 'utf8'));
+    const winRates = {};
+    Object.entries(stats.chainWins).forEach(([ball, wins]) => {
+      winRates[ball] = stats.totalChains > 0 ? wins / stats.totalChains : 0;
     });
 
-    // Final verdict
-    console.log('');
-    console.log('='.repeat(60));
-
-    const allPass = failures.length === 0;
-    if (allPass) {
-      console.log('RESULT: ✓ ALL TESTS PASSED');
-      console.log('='.repeat(60));
-    } else {
-      console.log('RESULT: ✗ TESTS FAILED');
-      console.log('');
-      console.log('Failures:');
-      failures.forEach(f => console.log(`  - ${f}`));
-      console.log('='.repeat(60));
-    }
+    const results = {
+      completed: stats.totalChains,
+      total: CONFIG.simCount,
+      completionRate: stats.totalChains / CONFIG.simCount,
+      winRates
+    };
 
-    // Save results to file
-    const resultsPath = path.join(__dirname, 'test-results.json');
-    fs.writeFileSync(resultsPath, JSON.stringify({
-      timestamp: new Date().toISOString(),
-      config: CONFIG,
-      criteria: PASS_CRITERIA,
-      results: {
-        completionRate: results.completionRate,
-        winRates: results.winRates,
-        timeouts,
-        stuckPushes
-      },
-      passed: allPass,
-      failures
-    }, null, 2));
-    console.log(`Results saved to: ${resultsPath}`);
-
-    await browser.close();
+    const allPass = validateAndSave(results, stats.diagnostics, { ...CONFIG, mode: 'headless' });
     process.exit(allPass ? 0 : 1);
 
   } catch (error) {
-    console.error('Test runner error:', error.message);
-    if (browser) await browser.close();
+    console.error('Headless test runner error:', error.message);
     process.exit(1);
   }
 }
 
 // Run if called directly
 if (require.main === module) {
-  runTests();
+  if (process.argv.includes('--headless')) {
+    runHeadlessTests();
+  } else {
+    runTests();
+  }
 }
 
-module.exports = { runTests, CONFIG, PASS_CRITERIA };
+module.exports = { runTests, runHeadlessTests, CONFIG, PASS_CRITERIA };